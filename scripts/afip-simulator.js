@@ -0,0 +1,44 @@
+/**
+ * afip-simulator.js
+ *
+ * Runs the local WSAA/WSFE simulator until interrupted, for offline runs of
+ * the whole flow. In another shell, point the app at it:
+ *
+ *   AFIP_SIMULATOR_URL=http://127.0.0.1:8089 npm run process:auto
+ *
+ * Usage:
+ *   node scripts/afip-simulator.js [port]          # default 8089
+ *
+ * Optional environment:
+ *   AFIP_SIMULATOR_LAST_VOUCHERS  JSON starting sequences, e.g. '{"2-11":150}'
+ *   AFIP_SIMULATOR_FAULTS         JSON list of faults to apply in order, e.g.
+ *                                 '[{"type":"reject","code":10016},{"type":"http","status":503},{"type":"reset"}]'
+ */
+
+const AfipSimulator = require('../src/simulator/AfipSimulator');
+
+const port = parseInt(process.argv[2] || process.env.AFIP_SIMULATOR_PORT || '8089');
+
+const simulator = new AfipSimulator({
+  lastVouchers: JSON.parse(process.env.AFIP_SIMULATOR_LAST_VOUCHERS || '{}'),
+  faults: JSON.parse(process.env.AFIP_SIMULATOR_FAULTS || '[]')
+});
+
+simulator.start(port).then(url => {
+  console.log(`AFIP simulator listening on ${url}`);
+  console.log(`Set AFIP_SIMULATOR_URL=${url} to send AFIP calls here`);
+}).catch(error => {
+  console.error(`Could not start the AFIP simulator: ${error.message}`);
+  process.exit(1);
+});
+
+const shutdown = () => {
+  simulator.stop().then(() => {
+    const counts = simulator.requests.reduce((acc, { method }) => ({ ...acc, [method]: (acc[method] || 0) + 1 }), {});
+    console.log('AFIP simulator stopped', counts);
+    process.exit(0);
+  });
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
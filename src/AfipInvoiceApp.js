@@ -13,6 +13,7 @@ class AfipInvoiceApp {
       certPath: config.afip.certPath,
       keyPath: config.afip.keyPath,
       environment: config.afip.environment,
+      simulatorUrl: config.afip.simulatorUrl,
       inputPath: config.app.invoiceInputPath,
       outputPath: config.app.invoiceOutputPath,
       binanceApiKey: config.binance.apiKey,
@@ -6,20 +6,53 @@
  */
 
 // Infrastructure
+const AzureTableDatabase = require('../../database/AzureTableDatabase');
 const AzureOrderRepository = require('../../infrastructure/repositories/AzureOrderRepository');
 const AzureInvoiceRepository = require('../../infrastructure/repositories/AzureInvoiceRepository');
+const AzureCaeaRepository = require('../../infrastructure/repositories/AzureCaeaRepository');
+const AzureTaxpayerRepository = require('../../infrastructure/repositories/AzureTaxpayerRepository');
+const AzureCounterpartyRepository = require('../../infrastructure/repositories/AzureCounterpartyRepository');
+const AzureParameterRepository = require('../../infrastructure/repositories/AzureParameterRepository');
+const AzureVoucherSequenceRepository = require('../../infrastructure/repositories/AzureVoucherSequenceRepository');
+const AzureRunLockRepository = require('../../infrastructure/repositories/AzureRunLockRepository');
 // The gateway adapters are required inside their getters, not here: their
 // service imports walk to shared/config, which eagerly validates AFIP cert
 // env vars. The deployed Function App has no AFIP_CERT_PATH (certs arrive as
 // AFIP_CERT_B64, per-request), so a top-level require makes this module — and
 // everything that composes through it, like the MCP tools — unloadable there.
 
+// Domain
+const IssuerProfileTimeline = require('../../domain/entities/IssuerProfileTimeline');
+const PointOfSaleRouting = require('../../domain/entities/PointOfSaleRouting');
+const MonotributoScale = require('../../domain/entities/MonotributoScale');
+const IibbJurisdiction = require('../../domain/entities/IibbJurisdiction');
+const { MONOTRIBUTO_SCALE } = require('../../shared/constants');
+const { DomainError } = require('../../shared/errors');
+
 // Use Cases
 const FetchBinanceOrders = require('../use-cases/binance/FetchBinanceOrders');
 const CreateInvoice = require('../use-cases/invoices/CreateInvoice');
 const ProcessUnprocessedOrders = require('../use-cases/invoices/ProcessUnprocessedOrders');
 const ProcessMonthOrders = require('../use-cases/invoices/ProcessMonthOrders');
+const CreateCreditNote = require('../use-cases/invoices/CreateCreditNote');
+const CreateDebitNote = require('../use-cases/invoices/CreateDebitNote');
+const ReconcileMonth = require('../use-cases/invoices/ReconcileMonth');
+const RequestCaea = require('../use-cases/invoices/RequestCaea');
+const IssueCaeaInvoices = require('../use-cases/invoices/IssueCaeaInvoices');
+const ReportCaeaInvoices = require('../use-cases/invoices/ReportCaeaInvoices');
+const GenerateInvoicePdf = require('../use-cases/invoices/GenerateInvoicePdf');
+const ExportMonthInvoicePdfs = require('../use-cases/invoices/ExportMonthInvoicePdfs');
+const SetForeignBuyer = require('../use-cases/invoices/SetForeignBuyer');
 const GenerateMonthlyReport = require('../use-cases/reports/GenerateMonthlyReport');
+const TrackMonotributoIncome = require('../use-cases/reports/TrackMonotributoIncome');
+const GenerateRecategorizationReport = require('../use-cases/reports/GenerateRecategorizationReport');
+const GenerateIibbReport = require('../use-cases/reports/GenerateIibbReport');
+const LookupTaxpayer = require('../use-cases/taxpayers/LookupTaxpayer');
+const RegisterCounterparty = require('../use-cases/counterparties/RegisterCounterparty');
+const GetParameterCatalog = require('../use-cases/parameters/GetParameterCatalog');
+const HoldRunLock = require('../use-cases/locks/HoldRunLock');
+const ListRunLocks = require('../use-cases/locks/ListRunLocks');
+const ReleaseRunLock = require('../use-cases/locks/ReleaseRunLock');
 
 /**
  * Dependency Injection Container
@@ -34,13 +67,24 @@ class Container {
 
   // ==================== Repositories ====================
 
+  /**
+   * Get the Table Storage database every repository shares
+   * @returns {AzureTableDatabase}
+   */
+  getDatabase() {
+    if (!this._singletons.has('database')) {
+      this._singletons.set('database', new AzureTableDatabase());
+    }
+    return this._singletons.get('database');
+  }
+
   /**
    * Get OrderRepository instance
    * @returns {IOrderRepository}
    */
   getOrderRepository() {
     if (!this._singletons.has('orderRepository')) {
-      const repository = new AzureOrderRepository();
+      const repository = new AzureOrderRepository(this.getDatabase());
       this._singletons.set('orderRepository', repository);
     }
     return this._singletons.get('orderRepository');
@@ -52,12 +96,84 @@ class Container {
    */
   getInvoiceRepository() {
     if (!this._singletons.has('invoiceRepository')) {
-      const repository = new AzureInvoiceRepository();
+      const repository = new AzureInvoiceRepository(this.getDatabase());
       this._singletons.set('invoiceRepository', repository);
     }
     return this._singletons.get('invoiceRepository');
   }
 
+  /**
+   * Get CaeaRepository instance
+   * @returns {ICaeaRepository}
+   */
+  getCaeaRepository() {
+    if (!this._singletons.has('caeaRepository')) {
+      const repository = new AzureCaeaRepository(this.getDatabase());
+      this._singletons.set('caeaRepository', repository);
+    }
+    return this._singletons.get('caeaRepository');
+  }
+
+  /**
+   * Get TaxpayerRepository instance
+   * @returns {ITaxpayerRepository}
+   */
+  getTaxpayerRepository() {
+    if (!this._singletons.has('taxpayerRepository')) {
+      const repository = new AzureTaxpayerRepository(this.getDatabase());
+      this._singletons.set('taxpayerRepository', repository);
+    }
+    return this._singletons.get('taxpayerRepository');
+  }
+
+  /**
+   * Get CounterpartyRepository instance
+   * @returns {ICounterpartyRepository}
+   */
+  getCounterpartyRepository() {
+    if (!this._singletons.has('counterpartyRepository')) {
+      const repository = new AzureCounterpartyRepository(this.getDatabase());
+      this._singletons.set('counterpartyRepository', repository);
+    }
+    return this._singletons.get('counterpartyRepository');
+  }
+
+  /**
+   * Get ParameterRepository instance
+   * @returns {IParameterRepository}
+   */
+  getParameterRepository() {
+    if (!this._singletons.has('parameterRepository')) {
+      const repository = new AzureParameterRepository(this.getDatabase());
+      this._singletons.set('parameterRepository', repository);
+    }
+    return this._singletons.get('parameterRepository');
+  }
+
+  /**
+   * Get VoucherSequenceRepository instance
+   * @returns {IVoucherSequenceRepository}
+   */
+  getVoucherSequenceRepository() {
+    if (!this._singletons.has('voucherSequenceRepository')) {
+      const repository = new AzureVoucherSequenceRepository(this.getDatabase());
+      this._singletons.set('voucherSequenceRepository', repository);
+    }
+    return this._singletons.get('voucherSequenceRepository');
+  }
+
+  /**
+   * Get RunLockRepository instance
+   * @returns {IRunLockRepository}
+   */
+  getRunLockRepository() {
+    if (!this._singletons.has('runLockRepository')) {
+      const repository = new AzureRunLockRepository(this.getDatabase());
+      this._singletons.set('runLockRepository', repository);
+    }
+    return this._singletons.get('runLockRepository');
+  }
+
   // ==================== Gateways ====================
 
   /**
@@ -68,7 +184,12 @@ class Container {
   getAfipGateway(afipService = null) {
     const AfipGatewayAdapter = require('../../infrastructure/gateways/AfipGatewayAdapter');
     if (!afipService && !this._singletons.has('afipGateway')) {
-      const gateway = new AfipGatewayAdapter();
+      // Invoices are checked against the cached WSFE parameter catalog and
+      // numbered holding the lease of their sequence
+      const gateway = new AfipGatewayAdapter(null, {
+        catalogProvider: () => this.getParameterCatalogUseCase().execute(),
+        voucherAllocator: this.getVoucherAllocator()
+      });
       this._singletons.set('afipGateway', gateway);
     }
     return afipService
@@ -76,6 +197,38 @@ class Container {
       : this._singletons.get('afipGateway');
   }
 
+  /**
+   * Get the AFIP export (WSFEX, Factura E) gateway
+   * @param {Object} [afipService] - Optional AfipService for testing
+   * @returns {IAfipExportGateway}
+   */
+  getAfipExportGateway(afipService = null) {
+    const AfipExportGatewayAdapter = require('../../infrastructure/gateways/AfipExportGatewayAdapter');
+    if (!afipService && !this._singletons.has('afipExportGateway')) {
+      this._singletons.set('afipExportGateway', new AfipExportGatewayAdapter(null, {
+        voucherAllocator: this.getVoucherAllocator()
+      }));
+    }
+    return afipService
+      ? new AfipExportGatewayAdapter(afipService)
+      : this._singletons.get('afipExportGateway');
+  }
+
+  /**
+   * Get the voucher allocator shared by the AFIP gateways
+   * @returns {VoucherAllocator}
+   */
+  getVoucherAllocator() {
+    if (!this._singletons.has('voucherAllocator')) {
+      const VoucherAllocator = require('../../infrastructure/gateways/VoucherAllocator');
+      const config = require('../../config');
+      this._singletons.set('voucherAllocator', new VoucherAllocator(this.getVoucherSequenceRepository(), {
+        leaseSeconds: config.afip.voucherLeaseSeconds
+      }));
+    }
+    return this._singletons.get('voucherAllocator');
+  }
+
   /**
    * Get BinanceGateway instance
    * @param {Object} [binanceService] - Optional BinanceService for testing
@@ -92,6 +245,102 @@ class Container {
       : this._singletons.get('binanceGateway');
   }
 
+  // ==================== Renderers ====================
+
+  /**
+   * Get the invoice PDF renderer
+   * @returns {IInvoiceRenderer}
+   */
+  getInvoiceRenderer() {
+    const PdfInvoiceRenderer = require('../../infrastructure/renderers/PdfInvoiceRenderer');
+    if (!this._singletons.has('invoiceRenderer')) {
+      this._singletons.set('invoiceRenderer', new PdfInvoiceRenderer());
+    }
+    return this._singletons.get('invoiceRenderer');
+  }
+
+  // ==================== Issuer ====================
+
+  /**
+   * Get the issuer's tax profiles over time: ISSUER_PROFILES, or a single
+   * profile from ISSUER_TAX_CONDITION, ISSUER_VAT_RATE and AFIP_PTOVTA
+   * @returns {IssuerProfileTimeline}
+   */
+  getIssuerProfiles() {
+    if (!this._singletons.has('issuerProfiles')) {
+      const config = require('../../config');
+      const defaults = {
+        taxCondition: config.issuer.taxCondition,
+        pointOfSale: config.afip.ptoVta,
+        vatRate: config.issuer.vatRate
+      };
+      const timeline = config.issuer.profiles
+        ? new IssuerProfileTimeline(config.issuer.profiles.map(profile => ({ ...defaults, ...profile })))
+        : IssuerProfileTimeline.single(defaults);
+      this._singletons.set('issuerProfiles', timeline);
+    }
+    return this._singletons.get('issuerProfiles');
+  }
+
+  /**
+   * Get the rules routing orders to points of sale (AFIP_PTOVTA_RULES)
+   * @returns {PointOfSaleRouting}
+   */
+  getPointOfSaleRouting() {
+    if (!this._singletons.has('pointOfSaleRouting')) {
+      const config = require('../../config');
+      const routing = config.afip.pointOfSaleRules
+        ? new PointOfSaleRouting(config.afip.pointOfSaleRules)
+        : PointOfSaleRouting.none();
+      this._singletons.set('pointOfSaleRouting', routing);
+    }
+    return this._singletons.get('pointOfSaleRouting');
+  }
+
+  /**
+   * Get the monotributo category caps: MONOTRIBUTO_SCALE, or the tables
+   * shipped in the AFIP constants
+   * @returns {MonotributoScale}
+   */
+  getMonotributoScale() {
+    if (!this._singletons.has('monotributoScale')) {
+      const config = require('../../config');
+      this._singletons.set('monotributoScale', new MonotributoScale(config.monotributo.scale || MONOTRIBUTO_SCALE));
+    }
+    return this._singletons.get('monotributoScale');
+  }
+
+  /**
+   * Get the jurisdictions the issuer files Ingresos Brutos in (IIBB_JURISDICTIONS)
+   * @returns {IibbJurisdiction[]}
+   */
+  getIibbJurisdictions() {
+    if (!this._singletons.has('iibbJurisdictions')) {
+      const config = require('../../config');
+      const jurisdictions = (config.iibb.jurisdictions || []).map(data => new IibbJurisdiction(data));
+      this._singletons.set('iibbJurisdictions', jurisdictions);
+    }
+    return this._singletons.get('iibbJurisdictions');
+  }
+
+  /**
+   * Options shared by the use cases that issue invoices
+   * @private
+   * @returns {Object}
+   */
+  _invoicingOptions() {
+    const config = require('../../config');
+    return {
+      issuerProfiles: this.getIssuerProfiles(),
+      pointOfSaleRouting: this.getPointOfSaleRouting(),
+      exportGateway: this.getAfipExportGateway(),
+      exportPointOfSale: config.afip.exportPtoVta,
+      counterpartyRepository: this.getCounterpartyRepository(),
+      identificationThreshold: config.afip.buyerIdThreshold,
+      consolidateBelow: config.afip.consolidateBelow
+    };
+  }
+
   // ==================== Use Cases ====================
 
   /**
@@ -112,7 +361,9 @@ class Container {
   getCreateInvoiceUseCase() {
     return new CreateInvoice(
       this.getOrderRepository(),
-      this.getAfipGateway()
+      this.getAfipGateway(),
+      this.getLookupTaxpayerUseCase(),
+      this._invoicingOptions()
     );
   }
 
@@ -123,7 +374,8 @@ class Container {
   getProcessUnprocessedOrdersUseCase() {
     return new ProcessUnprocessedOrders(
       this.getOrderRepository(),
-      this.getAfipGateway()
+      this.getAfipGateway(),
+      this._invoicingOptions()
     );
   }
 
@@ -132,12 +384,255 @@ class Container {
    * @returns {GenerateMonthlyReport}
    */
   getProcessMonthOrdersUseCase() {
-    return new ProcessMonthOrders(this.getOrderRepository(), this.getAfipGateway());
+    return new ProcessMonthOrders(
+      this.getOrderRepository(),
+      this.getAfipGateway(),
+      this._invoicingOptions()
+    );
+  }
+
+  /**
+   * Get CreateCreditNote use case
+   * @returns {CreateCreditNote}
+   */
+  getCreateCreditNoteUseCase() {
+    const config = require('../../config');
+    return new CreateCreditNote(
+      this.getOrderRepository(),
+      this.getAfipGateway(),
+      { vatRate: config.issuer.vatRate }
+    );
+  }
+
+  /**
+   * Get CreateDebitNote use case
+   * @returns {CreateDebitNote}
+   */
+  getCreateDebitNoteUseCase() {
+    const config = require('../../config');
+    return new CreateDebitNote(
+      this.getOrderRepository(),
+      this.getAfipGateway(),
+      { vatRate: config.issuer.vatRate }
+    );
+  }
+
+  /**
+   * Get the ReconcileMonth use cases of a month, one per voucher sequence: each
+   * point of sale and invoice type the issuer profiles in force that month
+   * issue on (A and B for a Responsable Inscripto, C otherwise)
+   * @param {number} year - Full year
+   * @param {number} month - Month 1-12
+   * @param {number} [voucherType] - Walk only this voucher type
+   * @param {number} [pointOfSale] - Walk only this point of sale
+   * @returns {ReconcileMonth[]}
+   * @throws {DomainError} If no issuer profile is in force in the month
+   */
+  getReconcileMonthUseCases(year, month, voucherType, pointOfSale) {
+    const from = `${year}-${String(month).padStart(2, '0')}-01`;
+    const to = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    const profiles = this.getIssuerProfiles().profilesBetween(from, to);
+    if (profiles.length === 0) {
+      throw new DomainError('No issuer profile in force in this month', { from, to });
+    }
+
+    const sequences = new Map();
+    for (const profile of profiles) {
+      for (const type of voucherType ? [voucherType] : profile.voucherTypes()) {
+        const sequence = { pointOfSale: pointOfSale || profile.pointOfSale, voucherType: type };
+        sequences.set(`${sequence.pointOfSale}-${sequence.voucherType}`, sequence);
+      }
+    }
+
+    return [...sequences.values()].map(sequence =>
+      new ReconcileMonth(this.getOrderRepository(), this.getAfipGateway(), sequence)
+    );
+  }
+
+  /**
+   * Get RequestCaea use case
+   * @returns {RequestCaea}
+   */
+  getRequestCaeaUseCase() {
+    return new RequestCaea(
+      this.getCaeaRepository(),
+      this.getAfipGateway()
+    );
+  }
+
+  /**
+   * Get IssueCaeaInvoices use case for the configured CAEA point of sale
+   * @returns {IssueCaeaInvoices}
+   */
+  getIssueCaeaInvoicesUseCase() {
+    const config = require('../../config');
+    return new IssueCaeaInvoices(
+      this.getOrderRepository(),
+      this.getCaeaRepository(),
+      { ...this._invoicingOptions(), pointOfSale: config.afip.caeaPtoVta }
+    );
+  }
+
+  /**
+   * Get ReportCaeaInvoices use case for the configured CAEA point of sale
+   * @returns {ReportCaeaInvoices}
+   */
+  getReportCaeaInvoicesUseCase() {
+    const config = require('../../config');
+    return new ReportCaeaInvoices(
+      this.getOrderRepository(),
+      this.getAfipGateway(),
+      { pointOfSale: config.afip.caeaPtoVta, issuerProfiles: this.getIssuerProfiles() }
+    );
+  }
+
+  /**
+   * Get GenerateInvoicePdf use case with the configured issuer and points of sale
+   * @returns {GenerateInvoicePdf}
+   */
+  getGenerateInvoicePdfUseCase() {
+    const config = require('../../config');
+    return new GenerateInvoicePdf(
+      this.getOrderRepository(),
+      this.getAfipGateway(),
+      this.getInvoiceRenderer(),
+      {
+        issuer: { cuit: config.afip.cuit, ...config.issuer },
+        pointOfSale: config.afip.ptoVta,
+        caeaPointOfSale: config.afip.caeaPtoVta,
+        issuerProfiles: this.getIssuerProfiles()
+      }
+    );
+  }
+
+  /**
+   * Get ExportMonthInvoicePdfs use case
+   * @returns {ExportMonthInvoicePdfs}
+   */
+  getExportMonthInvoicePdfsUseCase() {
+    return new ExportMonthInvoicePdfs(
+      this.getOrderRepository(),
+      this.getGenerateInvoicePdfUseCase()
+    );
+  }
+
+  /**
+   * Get SetForeignBuyer use case
+   * @returns {SetForeignBuyer}
+   */
+  getSetForeignBuyerUseCase() {
+    return new SetForeignBuyer(this.getOrderRepository());
+  }
+
+  /**
+   * Get LookupTaxpayer use case (padrón lookup with the taxpayers table as cache)
+   * @returns {LookupTaxpayer}
+   */
+  getLookupTaxpayerUseCase() {
+    const config = require('../../config');
+    return new LookupTaxpayer(
+      this.getTaxpayerRepository(),
+      this.getAfipGateway(),
+      { maxAgeDays: config.afip.padronCacheDays }
+    );
+  }
+
+  /**
+   * Get RegisterCounterparty use case (registry of identified buyers by Binance nickname)
+   * @returns {RegisterCounterparty}
+   */
+  getRegisterCounterpartyUseCase() {
+    return new RegisterCounterparty(this.getCounterpartyRepository());
+  }
+
+  /**
+   * Get GetParameterCatalog use case (FEParamGet* with the parameters table as cache)
+   * @returns {GetParameterCatalog}
+   */
+  getParameterCatalogUseCase() {
+    const config = require('../../config');
+    return new GetParameterCatalog(
+      this.getParameterRepository(),
+      this.getAfipGateway(),
+      { maxAgeHours: config.afip.paramsCacheHours }
+    );
+  }
+
+  /**
+   * Get HoldRunLock use case (runs work under a named run lock)
+   * @returns {HoldRunLock}
+   */
+  getHoldRunLockUseCase() {
+    const config = require('../../config');
+    return new HoldRunLock(
+      this.getRunLockRepository(),
+      { ttlMinutes: config.app.runLockMinutes }
+    );
+  }
+
+  /**
+   * Get ListRunLocks use case
+   * @returns {ListRunLocks}
+   */
+  getListRunLocksUseCase() {
+    return new ListRunLocks(this.getRunLockRepository());
+  }
+
+  /**
+   * Get ReleaseRunLock use case (force-release a stale lock)
+   * @returns {ReleaseRunLock}
+   */
+  getReleaseRunLockUseCase() {
+    return new ReleaseRunLock(this.getRunLockRepository());
   }
 
   getGenerateMonthlyReportUseCase() {
+    const config = require('../../config');
     return new GenerateMonthlyReport(
-      this.getOrderRepository()
+      this.getOrderRepository(),
+      { pointOfSale: config.afip.ptoVta }
+    );
+  }
+
+  /**
+   * Get TrackMonotributoIncome use case (income against the category caps)
+   * @returns {TrackMonotributoIncome}
+   */
+  getTrackMonotributoIncomeUseCase() {
+    const config = require('../../config');
+    return new TrackMonotributoIncome(
+      this.getOrderRepository(),
+      this.getMonotributoScale(),
+      {
+        registeredCategory: config.monotributo.category,
+        thresholds: config.monotributo.warnThresholds
+      }
+    );
+  }
+
+  /**
+   * Get GenerateRecategorizationReport use case (semiannual recategorization backup)
+   * @returns {GenerateRecategorizationReport}
+   */
+  getGenerateRecategorizationReportUseCase() {
+    const config = require('../../config');
+    return new GenerateRecategorizationReport(
+      this.getOrderRepository(),
+      this.getMonotributoScale(),
+      { registeredCategory: config.monotributo.category }
+    );
+  }
+
+  /**
+   * Get GenerateIibbReport use case (monthly Ingresos Brutos declaration)
+   * @returns {GenerateIibbReport}
+   */
+  getGenerateIibbReportUseCase() {
+    const config = require('../../config');
+    return new GenerateIibbReport(
+      this.getOrderRepository(),
+      this.getIibbJurisdictions(),
+      { credits: config.iibb.credits, pointOfSale: config.afip.ptoVta }
     );
   }
 
@@ -150,9 +645,21 @@ class Container {
   async initialize() {
     const orderRepository = this.getOrderRepository();
     const invoiceRepository = this.getInvoiceRepository();
+    const caeaRepository = this.getCaeaRepository();
+    const taxpayerRepository = this.getTaxpayerRepository();
+    const counterpartyRepository = this.getCounterpartyRepository();
+    const parameterRepository = this.getParameterRepository();
+    const voucherSequenceRepository = this.getVoucherSequenceRepository();
+    const runLockRepository = this.getRunLockRepository();
 
     await orderRepository.initialize();
     await invoiceRepository.initialize();
+    await caeaRepository.initialize();
+    await taxpayerRepository.initialize();
+    await counterpartyRepository.initialize();
+    await parameterRepository.initialize();
+    await voucherSequenceRepository.initialize();
+    await runLockRepository.initialize();
   }
 
   /**
@@ -162,9 +669,21 @@ class Container {
   async cleanup() {
     const orderRepository = this.getOrderRepository();
     const invoiceRepository = this.getInvoiceRepository();
+    const caeaRepository = this.getCaeaRepository();
+    const taxpayerRepository = this.getTaxpayerRepository();
+    const counterpartyRepository = this.getCounterpartyRepository();
+    const parameterRepository = this.getParameterRepository();
+    const voucherSequenceRepository = this.getVoucherSequenceRepository();
+    const runLockRepository = this.getRunLockRepository();
 
     await orderRepository.cleanup();
     await invoiceRepository.cleanup();
+    await caeaRepository.cleanup();
+    await taxpayerRepository.cleanup();
+    await counterpartyRepository.cleanup();
+    await parameterRepository.cleanup();
+    await voucherSequenceRepository.cleanup();
+    await runLockRepository.cleanup();
 
     this._singletons.clear();
     this._instances.clear();
@@ -177,6 +696,7 @@ class Container {
     this._singletons.clear();
     this._instances.clear();
   }
+
 }
 
 // Export singleton instance
@@ -0,0 +1,37 @@
+/**
+ * IAfipExportGateway Interface
+ *
+ * Gateway interface for AFIP export invoicing (WSFEX, Factura E).
+ * Export vouchers are authorized by a different web service than
+ * IAfipGateway's WSFE and are numbered on their own sequence.
+ * Infrastructure layer will implement this interface.
+ */
+
+/**
+ * AFIP Export Gateway Interface
+ * @interface
+ */
+class IAfipExportGateway {
+  /**
+   * Submit a Factura E to AFIP for authorization
+   * @param {ExportInvoice} exportInvoice - Export invoice to submit
+   * @param {number} [voucherNumber=null] - Voucher number to use (next after last authorized if null)
+   * @returns {Promise<InvoiceResult>} Result of invoice creation
+   * @abstract
+   */
+  async createExportInvoice(exportInvoice, voucherNumber = null) {
+    throw new Error('Method not implemented: createExportInvoice');
+  }
+
+  /**
+   * Get the last Factura E number authorized on an export point of sale
+   * @param {number} pointOfSale - Export point of sale
+   * @returns {Promise<number>} Last voucher number
+   * @abstract
+   */
+  async getLastVoucherNumber(pointOfSale) {
+    throw new Error('Method not implemented: getLastVoucherNumber');
+  }
+}
+
+module.exports = IAfipExportGateway;
@@ -15,23 +15,90 @@ class IAfipGateway {
    * Submit invoice to AFIP for authorization
    * @param {Invoice} invoice - Invoice to submit
    * @param {number} pointOfSale - Point of sale number
+   * @param {number} [voucherNumber=null] - Voucher number to use (next after last authorized if null)
    * @returns {Promise<InvoiceResult>} Result of invoice creation
    * @abstract
    */
-  async createInvoice(invoice, pointOfSale) {
+  async createInvoice(invoice, pointOfSale, voucherNumber = null) {
     throw new Error('Method not implemented: createInvoice');
   }
 
   /**
-   * Query invoice by CAE
-   * @param {CAE|string} cae - CAE to query
-   * @returns {Promise<Object>} Invoice information from AFIP
+   * Submit several invoices to AFIP in multi-record requests
+   * @param {Array<Invoice>} invoices - Invoices sharing point of sale and voucher type
+   * @returns {Promise<Array<InvoiceResult>>} One result per invoice, in input order
    * @abstract
    */
-  async queryInvoice(cae) {
+  async createInvoices(invoices) {
+    throw new Error('Method not implemented: createInvoices');
+  }
+
+  /**
+   * Query a voucher as AFIP has it on record
+   * @param {number} pointOfSale - Point of sale number
+   * @param {number} voucherType - Voucher type (e.g. 11 = Factura C)
+   * @param {number} voucherNumber - Voucher number
+   * @returns {Promise<AuthorizedVoucher|null>} The authorized voucher, or null if AFIP has none
+   * @abstract
+   */
+  async queryInvoice(pointOfSale, voucherType, voucherNumber) {
     throw new Error('Method not implemented: queryInvoice');
   }
 
+  /**
+   * Request (or fetch the already granted) CAEA for a fortnight
+   * @param {number} period - Period as YYYYMM
+   * @param {number} fortnight - 1 or 2
+   * @returns {Promise<Caea>} The fortnight's CAEA
+   * @abstract
+   */
+  async requestCaea(period, fortnight) {
+    throw new Error('Method not implemented: requestCaea');
+  }
+
+  /**
+   * Report vouchers issued under a CAEA
+   * @param {string} caeaCode - CAEA the vouchers were issued under
+   * @param {number} pointOfSale - CAEA point of sale
+   * @param {Array<{invoice: Invoice, voucherNumber: number}>} entries - Vouchers to report
+   * @returns {Promise<Array<{success: boolean, voucherNumber: number, error?: string}>>} One result per entry
+   * @abstract
+   */
+  async reportCaeaInvoices(caeaCode, pointOfSale, entries) {
+    throw new Error('Method not implemented: reportCaeaInvoices');
+  }
+
+  /**
+   * Fetch the WSFE parameter tables (voucher types, doc types, currencies,
+   * points of sale, receiver VAT conditions)
+   * @returns {Promise<ParameterCatalog>} Freshly fetched catalog
+   * @abstract
+   */
+  async fetchParameterCatalog() {
+    throw new Error('Method not implemented: fetchParameterCatalog');
+  }
+
+  /**
+   * Get AFIP's official exchange rate for a currency on a date
+   * @param {string} currency - ISO currency code (e.g. 'USD')
+   * @param {string} date - Date of the rate (YYYY-MM-DD)
+   * @returns {Promise<number>} Pesos per unit of the currency
+   * @abstract
+   */
+  async getExchangeRate(currency, date) {
+    throw new Error('Method not implemented: getExchangeRate');
+  }
+
+  /**
+   * Look up a taxpayer in the AFIP padrón
+   * @param {string} cuit - CUIT to look up
+   * @returns {Promise<Taxpayer|null>} Taxpayer, or null if the padrón does not know the CUIT
+   * @abstract
+   */
+  async lookupTaxpayer(cuit) {
+    throw new Error('Method not implemented: lookupTaxpayer');
+  }
+
   /**
    * Get last authorized invoice number
    * @param {number} pointOfSale - Point of sale number
@@ -0,0 +1,47 @@
+/**
+ * ICaeaRepository Interface
+ *
+ * Repository interface for CAEA persistence following Repository pattern.
+ * CAEAs must be stored ahead of time: they are needed precisely when AFIP
+ * cannot be reached to fetch them.
+ * Infrastructure layer will implement this interface.
+ */
+
+/**
+ * CAEA Repository Interface
+ * @interface
+ */
+class ICaeaRepository {
+  /**
+   * Save (or replace) the CAEA of a fortnight
+   * @param {Caea} caea - CAEA to save
+   * @returns {Promise<Caea>} Saved CAEA
+   * @abstract
+   */
+  async save(caea) {
+    throw new Error('Method not implemented: save');
+  }
+
+  /**
+   * Find the CAEA of a fortnight
+   * @param {number} period - Period as YYYYMM
+   * @param {number} fortnight - 1 or 2
+   * @returns {Promise<Caea|null>} Found CAEA or null
+   * @abstract
+   */
+  async findByPeriod(period, fortnight) {
+    throw new Error('Method not implemented: findByPeriod');
+  }
+
+  /**
+   * Find the CAEA valid on a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Caea|null>} Found CAEA or null
+   * @abstract
+   */
+  async findCovering(date) {
+    throw new Error('Method not implemented: findCovering');
+  }
+}
+
+module.exports = ICaeaRepository;
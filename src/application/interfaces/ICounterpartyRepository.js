@@ -0,0 +1,35 @@
+/**
+ * ICounterpartyRepository Interface
+ *
+ * Repository interface for the registry of identified Binance buyers, keyed
+ * by nickname, following Repository pattern.
+ * Infrastructure layer will implement this interface.
+ */
+
+/**
+ * Counterparty Repository Interface
+ * @interface
+ */
+class ICounterpartyRepository {
+  /**
+   * Save (or replace) a counterparty
+   * @param {Counterparty} counterparty - Counterparty to save
+   * @returns {Promise<Counterparty>} Saved counterparty
+   * @abstract
+   */
+  async save(counterparty) {
+    throw new Error('Method not implemented: save');
+  }
+
+  /**
+   * Find a registered buyer by Binance nickname
+   * @param {string} nickname - Binance buyer nickname
+   * @returns {Promise<Counterparty|null>} Found counterparty or null
+   * @abstract
+   */
+  async findByNickname(nickname) {
+    throw new Error('Method not implemented: findByNickname');
+  }
+}
+
+module.exports = ICounterpartyRepository;
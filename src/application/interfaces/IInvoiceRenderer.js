@@ -0,0 +1,53 @@
+/**
+ * IInvoiceRenderer Interface
+ *
+ * Renderer interface for printable invoices following Adapter pattern.
+ * Defines the contract for turning an authorized voucher into a document.
+ * Infrastructure layer will implement this interface.
+ */
+
+/**
+ * @typedef {Object} InvoiceDocument
+ * @property {Object} issuer - Issuer data
+ * @property {string} issuer.cuit - Issuer CUIT (formatted)
+ * @property {string} issuer.name - Legal name
+ * @property {string} [issuer.address] - Commercial address
+ * @property {string} [issuer.taxCondition] - e.g. 'Responsable Monotributo'
+ * @property {string} [issuer.activityStart] - Start of activities (YYYY-MM-DD)
+ * @property {string} letter - Voucher letter ('A', 'B' or 'C')
+ * @property {string} title - Voucher name ('FACTURA')
+ * @property {number} voucherType - AFIP voucher type
+ * @property {number} pointOfSale - Point of sale
+ * @property {number} voucherNumber - Voucher number
+ * @property {string} date - Voucher date (YYYY-MM-DD)
+ * @property {Object} receiver - Receiver data
+ * @property {number} receiver.docType - AFIP document type
+ * @property {string} receiver.docNumber - Document number ('0' when unidentified)
+ * @property {string} [servicePeriod] - Service period shown for concept 2 ("from – to")
+ * @property {string} description - Line item description
+ * @property {Money} [net] - Net amount (A/B vouchers)
+ * @property {Money} [vat] - IVA amount (A/B vouchers)
+ * @property {Money} total - Voucher total
+ * @property {string} authorizationType - 'CAE' or 'CAEA'
+ * @property {string} cae - CAE or CAEA
+ * @property {string} caeExpiration - Authorization expiry (YYYY-MM-DD)
+ * @property {string} qrUrl - RG 4892 QR content
+ */
+
+/**
+ * Invoice Renderer Interface
+ * @interface
+ */
+class IInvoiceRenderer {
+  /**
+   * Render an invoice as a PDF
+   * @param {InvoiceDocument} document - Invoice data to print
+   * @returns {Promise<Buffer>} PDF bytes
+   * @abstract
+   */
+  async render(document) {
+    throw new Error('Method not implemented: render');
+  }
+}
+
+module.exports = IInvoiceRenderer;
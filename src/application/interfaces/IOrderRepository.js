@@ -31,6 +31,27 @@ class IOrderRepository {
     throw new Error('Method not implemented: findByOrderNumber');
   }
 
+  /**
+   * Find the order whose invoice was authorized with a given CAE
+   * @param {CAE|string} cae - CAE of the order's invoice
+   * @returns {Promise<Order|null>} Found order or null
+   * @abstract
+   */
+  async findByCae(cae) {
+    throw new Error('Method not implemented: findByCae');
+  }
+
+  /**
+   * Find every order invoiced with a given CAE: one, or all the orders of a
+   * daily consolidated invoice
+   * @param {CAE|string} cae - CAE of the invoice
+   * @returns {Promise<Order[]>} Orders on the invoice
+   * @abstract
+   */
+  async findAllByCae(cae) {
+    throw new Error('Method not implemented: findAllByCae');
+  }
+
   /**
    * Find all unprocessed orders
    * @returns {Promise<Order[]>} Unprocessed orders
@@ -60,6 +81,15 @@ class IOrderRepository {
     throw new Error('Method not implemented: findSuccessfullyInvoiced');
   }
 
+  /**
+   * Find orders whose CAEA voucher has not been reported to AFIP yet
+   * @returns {Promise<Order[]>} Orders pending FECAEARegInformativo
+   * @abstract
+   */
+  async findPendingCaeaReport() {
+    throw new Error('Method not implemented: findPendingCaeaReport');
+  }
+
   /**
    * Find the order date of the newest order in the whole table
    * @returns {Promise<string|null>} Newest order date (YYYY-MM-DD) or null
@@ -0,0 +1,34 @@
+/**
+ * IParameterRepository Interface
+ *
+ * Repository interface for the cached WSFE parameter catalog (FEParamGet*)
+ * following Repository pattern.
+ * Infrastructure layer will implement this interface.
+ */
+
+/**
+ * Parameter Repository Interface
+ * @interface
+ */
+class IParameterRepository {
+  /**
+   * Save (or replace) the cached catalog
+   * @param {ParameterCatalog} catalog - Catalog to save
+   * @returns {Promise<ParameterCatalog>} Saved catalog
+   * @abstract
+   */
+  async saveCatalog(catalog) {
+    throw new Error('Method not implemented: saveCatalog');
+  }
+
+  /**
+   * Find the cached catalog
+   * @returns {Promise<ParameterCatalog|null>} Cached catalog or null
+   * @abstract
+   */
+  async findCatalog() {
+    throw new Error('Method not implemented: findCatalog');
+  }
+}
+
+module.exports = IParameterRepository;
@@ -0,0 +1,56 @@
+/**
+ * IRunLockRepository Interface
+ *
+ * Repository interface for run locks following Repository pattern.
+ * Taking a lock must be atomic (compare-and-swap on the stored version):
+ * two runs starting together must not both get it.
+ * Infrastructure layer will implement this interface.
+ */
+
+/**
+ * Run Lock Repository Interface
+ * @interface
+ */
+class IRunLockRepository {
+  /**
+   * Take a lock if nobody holds it or its holder's lock has expired
+   * @param {RunLock} lock - Lock as the caller would hold it
+   * @returns {Promise<RunLock>} The lock, owned by the caller if taken;
+   *   otherwise as stored, showing who holds it
+   * @abstract
+   */
+  async acquire(lock) {
+    throw new Error('Method not implemented: acquire');
+  }
+
+  /**
+   * Give back a lock taken with acquire
+   * @param {RunLock} lock - Lock as returned by acquire
+   * @returns {Promise<boolean>} False if it was already gone or taken over
+   * @abstract
+   */
+  async release(lock) {
+    throw new Error('Method not implemented: release');
+  }
+
+  /**
+   * List every stored lock, held or stale
+   * @returns {Promise<RunLock[]>}
+   * @abstract
+   */
+  async findAll() {
+    throw new Error('Method not implemented: findAll');
+  }
+
+  /**
+   * Delete a lock whoever holds it
+   * @param {string} name - Lock name
+   * @returns {Promise<boolean>} False if there was no such lock
+   * @abstract
+   */
+  async forceRelease(name) {
+    throw new Error('Method not implemented: forceRelease');
+  }
+}
+
+module.exports = IRunLockRepository;
@@ -0,0 +1,35 @@
+/**
+ * ITaxpayerRepository Interface
+ *
+ * Repository interface for the cache of AFIP padrón lookups, keyed by CUIT,
+ * following Repository pattern.
+ * Infrastructure layer will implement this interface.
+ */
+
+/**
+ * Taxpayer Repository Interface
+ * @interface
+ */
+class ITaxpayerRepository {
+  /**
+   * Save (or replace) a taxpayer
+   * @param {Taxpayer} taxpayer - Taxpayer to save
+   * @returns {Promise<Taxpayer>} Saved taxpayer
+   * @abstract
+   */
+  async save(taxpayer) {
+    throw new Error('Method not implemented: save');
+  }
+
+  /**
+   * Find a cached taxpayer by CUIT
+   * @param {string} cuit - CUIT (11 digits)
+   * @returns {Promise<Taxpayer|null>} Found taxpayer or null
+   * @abstract
+   */
+  async findByCuit(cuit) {
+    throw new Error('Method not implemented: findByCuit');
+  }
+}
+
+module.exports = ITaxpayerRepository;
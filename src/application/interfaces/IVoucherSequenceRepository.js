@@ -0,0 +1,54 @@
+/**
+ * IVoucherSequenceRepository Interface
+ *
+ * Repository interface for voucher numbering sequences and their leases
+ * following Repository pattern. Taking and giving back a lease must be
+ * atomic (compare-and-swap on the stored version): two runs racing for a
+ * free sequence must not both get it.
+ * Infrastructure layer will implement this interface.
+ */
+
+/**
+ * Voucher Sequence Repository Interface
+ * @interface
+ */
+class IVoucherSequenceRepository {
+  /**
+   * Take the lease of a sequence if it is free or its lease has expired
+   * @param {number} pointOfSale - Point of sale
+   * @param {number} voucherType - AFIP voucher type
+   * @param {string} owner - Run taking the lease
+   * @param {string} expiresAt - When the lease lapses (ISO timestamp)
+   * @returns {Promise<VoucherSequence>} The sequence, leased by `owner` if taken;
+   *   otherwise as stored, showing who holds it
+   * @abstract
+   */
+  async acquireLease(pointOfSale, voucherType, owner, expiresAt) {
+    throw new Error('Method not implemented: acquireLease');
+  }
+
+  /**
+   * Extend a lease still held
+   * @param {VoucherSequence} sequence - Sequence as returned by acquireLease or renewLease
+   * @param {string} expiresAt - New expiry (ISO timestamp)
+   * @returns {Promise<VoucherSequence|null>} The renewed sequence, or null if the lease had
+   *   lapsed and another run took it
+   * @abstract
+   */
+  async renewLease(sequence, expiresAt) {
+    throw new Error('Method not implemented: renewLease');
+  }
+
+  /**
+   * Give back a lease, recording the last authorized number
+   * @param {VoucherSequence} sequence - Sequence as returned by acquireLease
+   * @param {number} lastNumber - Last voucher number now authorized
+   * @returns {Promise<boolean>} False if the lease had lapsed and another run took it
+   * @abstract
+   */
+  async releaseLease(sequence, lastNumber) {
+    throw new Error('Method not implemented: releaseLease');
+  }
+}
+
+module.exports = IVoucherSequenceRepository;
@@ -6,12 +6,28 @@
 
 const IOrderRepository = require('./IOrderRepository');
 const IInvoiceRepository = require('./IInvoiceRepository');
+const ICaeaRepository = require('./ICaeaRepository');
+const ITaxpayerRepository = require('./ITaxpayerRepository');
+const ICounterpartyRepository = require('./ICounterpartyRepository');
+const IParameterRepository = require('./IParameterRepository');
+const IVoucherSequenceRepository = require('./IVoucherSequenceRepository');
+const IRunLockRepository = require('./IRunLockRepository');
 const IAfipGateway = require('./IAfipGateway');
+const IAfipExportGateway = require('./IAfipExportGateway');
 const IBinanceGateway = require('./IBinanceGateway');
+const IInvoiceRenderer = require('./IInvoiceRenderer');
 
 module.exports = {
   IOrderRepository,
   IInvoiceRepository,
+  ICaeaRepository,
+  ITaxpayerRepository,
+  ICounterpartyRepository,
+  IParameterRepository,
+  IVoucherSequenceRepository,
+  IRunLockRepository,
   IAfipGateway,
-  IBinanceGateway
+  IAfipExportGateway,
+  IBinanceGateway,
+  IInvoiceRenderer
 };
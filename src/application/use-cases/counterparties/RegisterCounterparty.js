@@ -0,0 +1,81 @@
+/**
+ * RegisterCounterparty Use Case
+ *
+ * Records the identity document of a Binance buyer, keyed by nickname, so
+ * their invoices identify them instead of going out to an unidentified
+ * consumidor final. Registering a nickname again replaces its document.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const Counterparty = require('../../../domain/entities/Counterparty');
+const logger = require('../../../utils/logger');
+const { ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} RegisterCounterpartyInput
+ * @property {string} nickname - Binance buyer nickname
+ * @property {number} docType - AFIP document type (96 = DNI, 80 = CUIT, 86 = CUIL, 94 = Pasaporte)
+ * @property {string} docNumber - Document number
+ * @property {string} [name] - Buyer's name as printed on the invoice
+ * @property {number} [vatCondition=5] - Buyer's VAT condition (VAT_CONDITION), declared as
+ *   CondicionIVAReceptorId on their invoices
+ */
+
+class RegisterCounterparty extends UseCase {
+  /**
+   * @param {ICounterpartyRepository} counterpartyRepository - Counterparty registry
+   */
+  constructor(counterpartyRepository) {
+    super();
+    this.counterpartyRepository = counterpartyRepository;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (!input.nickname) {
+      throw new ValidationError('nickname is required');
+    }
+
+    if (!input.docType || !input.docNumber) {
+      throw new ValidationError('docType and docNumber are required');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {RegisterCounterpartyInput} input - Input parameters
+   * @returns {Promise<Counterparty>} The registered buyer
+   * @throws {ValidationError} If the document is not valid
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const counterparty = new Counterparty({
+      nickname: input.nickname,
+      docType: input.docType,
+      docNumber: input.docNumber,
+      name: input.name,
+      vatCondition: input.vatCondition
+    });
+
+    await this.counterpartyRepository.save(counterparty);
+
+    logger.info('Buyer registered', {
+      nickname: counterparty.nickname,
+      docType: counterparty.docType,
+      vatCondition: counterparty.vatCondition,
+      event: 'counterparty_registered'
+    });
+
+    return counterparty;
+  }
+}
+
+module.exports = RegisterCounterparty;
@@ -0,0 +1,11 @@
+/**
+ * Counterparty Use Cases
+ *
+ * Exports all counterparty-related use cases
+ */
+
+const RegisterCounterparty = require('./RegisterCounterparty');
+
+module.exports = {
+  RegisterCounterparty
+};
@@ -8,10 +8,18 @@ const UseCase = require('./UseCase');
 const binanceUseCases = require('./binance');
 const invoiceUseCases = require('./invoices');
 const reportUseCases = require('./reports');
+const taxpayerUseCases = require('./taxpayers');
+const counterpartyUseCases = require('./counterparties');
+const parameterUseCases = require('./parameters');
+const lockUseCases = require('./locks');
 
 module.exports = {
   UseCase,
   ...binanceUseCases,
   ...invoiceUseCases,
-  ...reportUseCases
+  ...reportUseCases,
+  ...taxpayerUseCases,
+  ...counterpartyUseCases,
+  ...parameterUseCases,
+  ...lockUseCases
 };
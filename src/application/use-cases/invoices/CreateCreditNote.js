@@ -0,0 +1,181 @@
+/**
+ * CreateCreditNote Use Case
+ *
+ * Cancels (fully or partially) an already authorized invoice by issuing a
+ * Nota de Crédito of the invoice's class (A, B or C) that references it, and
+ * records the note on the order.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const Invoice = require('../../../domain/entities/Invoice');
+const Money = require('../../../domain/value-objects/Money');
+const logger = require('../../../utils/logger');
+const { formatToYYYYMMDD } = require('../../../shared/utils/date.utils');
+const { NotFoundError, DomainError, ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} CreateCreditNoteInput
+ * @property {string} [orderNumber] - Order whose invoice is credited (this or cae is required)
+ * @property {string} [cae] - CAE of the invoice to credit
+ * @property {number} [amount] - Partial amount to credit (defaults to everything still invoiced)
+ * @property {string} [reason] - Why the invoice is being cancelled
+ */
+
+/**
+ * @typedef {Object} CreateCreditNoteOutput
+ * @property {boolean} success - Whether AFIP authorized the credit note
+ * @property {string} orderNumber - Order the note was issued against
+ * @property {number} amount - Credited amount
+ * @property {string} [cae] - Credit note CAE if successful
+ * @property {number} [voucherNumber] - Credit note voucher number if successful
+ * @property {string} [error] - Error message if AFIP rejected it
+ */
+
+class CreateCreditNote extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {Object} [options]
+   * @param {number} [options.vatRate] - VAT rate to itemize notes on A/B invoices with
+   */
+  constructor(orderRepository, afipGateway, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.afipGateway = afipGateway;
+    this.vatRate = options.vatRate;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (!input.orderNumber && !input.cae) {
+      throw new ValidationError('orderNumber or cae is required');
+    }
+
+    if (input.amount !== undefined) {
+      if (typeof input.amount !== 'number' || !(input.amount > 0)) {
+        throw new ValidationError('amount must be a positive number');
+      }
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {CreateCreditNoteInput} input - Input parameters
+   * @returns {Promise<CreateCreditNoteOutput>} Credit note result
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const order = input.orderNumber
+      ? await this.orderRepository.findByOrderNumber(input.orderNumber)
+      : await this._findByCae(input.cae);
+
+    if (!order) {
+      throw input.orderNumber
+        ? NotFoundError.order(input.orderNumber)
+        : NotFoundError.invoice(input.cae);
+    }
+
+    const orderNumber = order.orderNumber.value;
+
+    if (!order.isSuccessful() || !order.voucherNumber) {
+      throw new DomainError('Order has no authorized invoice to credit', { orderNumber });
+    }
+
+    const remaining = order.getNetInvoicedAmount();
+    if (remaining.amount <= 0) {
+      throw new DomainError('Invoice is already fully credited', { orderNumber });
+    }
+
+    const amount = input.amount !== undefined ? input.amount : remaining.amount;
+    if (Money.of(amount, remaining.currency).isGreaterThan(remaining)) {
+      throw new DomainError(
+        `Credit amount exceeds the amount still invoiced (${remaining.format()})`,
+        { orderNumber, amount }
+      );
+    }
+
+    const voucherType = Invoice.noteTypeFor(order.voucherType, 'credit');
+    const creditNote = Invoice.adjustmentFor(order, {
+      voucherType,
+      amount,
+      vatRate: this.vatRate,
+      invoiceDate: formatToYYYYMMDD(new Date())
+    });
+
+    logger.info('Submitting credit note to AFIP', {
+      orderNumber,
+      originalVoucher: order.voucherNumber,
+      amount: creditNote.totalAmount.format(),
+      event: 'credit_note_submit'
+    });
+
+    const result = await this.afipGateway.createInvoice(creditNote);
+
+    if (!result.isSuccessful()) {
+      logger.error('AFIP rejected credit note', {
+        orderNumber,
+        error: result.errorMessage,
+        event: 'credit_note_rejected'
+      });
+      return { success: false, orderNumber, amount, error: result.errorMessage };
+    }
+
+    const updatedOrder = order.addAdjustment({
+      kind: 'credit',
+      voucherType,
+      voucherNumber: result.voucherNumber,
+      cae: result.cae.value,
+      date: creditNote.invoiceDate,
+      amount,
+      reason: input.reason || null
+    });
+    await this.orderRepository.update(updatedOrder);
+
+    logger.info('Credit note created', {
+      orderNumber,
+      cae: result.cae.value,
+      voucherNumber: result.voucherNumber,
+      event: 'credit_note_created'
+    });
+
+    return {
+      success: true,
+      orderNumber,
+      amount,
+      cae: result.cae.value,
+      voucherNumber: result.voucherNumber
+    };
+  }
+
+  /**
+   * The order invoiced with a CAE. The orders of a daily consolidated invoice
+   * share its CAE, and each can only be credited up to its own amount, so
+   * one of them has to be picked by order number.
+   * @private
+   * @param {string} cae
+   * @returns {Promise<Order|null>}
+   * @throws {ValidationError} If the CAE is on several orders
+   */
+  async _findByCae(cae) {
+    const orders = await this.orderRepository.findAllByCae(cae);
+    if (orders.length > 1) {
+      const orderNumbers = orders.map(order => order.orderNumber.value);
+      throw new ValidationError(
+        `CAE ${cae} is a daily invoice of ${orders.length} orders (${orderNumbers.join(', ')}): credit one of them by order number`,
+        [],
+        { cae, orderNumbers }
+      );
+    }
+    return orders[0] || null;
+  }
+}
+
+module.exports = CreateCreditNote;
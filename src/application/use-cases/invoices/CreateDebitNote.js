@@ -0,0 +1,148 @@
+/**
+ * CreateDebitNote Use Case
+ *
+ * Tops up an order that was invoiced for less than it should have been by
+ * issuing a Nota de Débito of the invoice's class (A, B or C) for the
+ * difference, associated with the original voucher, and records the note on
+ * the order.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const Invoice = require('../../../domain/entities/Invoice');
+const Money = require('../../../domain/value-objects/Money');
+const logger = require('../../../utils/logger');
+const { formatToYYYYMMDD } = require('../../../shared/utils/date.utils');
+const { NotFoundError, DomainError, ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} CreateDebitNoteInput
+ * @property {string} orderNumber - Order that was under-invoiced
+ * @property {number} correctAmount - Amount the order should have been invoiced for
+ * @property {string} [reason] - Why the invoice is being corrected
+ */
+
+/**
+ * @typedef {Object} CreateDebitNoteOutput
+ * @property {boolean} success - Whether AFIP authorized the debit note
+ * @property {string} orderNumber - Order the note was issued against
+ * @property {number} amount - Debited amount (correctAmount minus what was already invoiced)
+ * @property {string} [cae] - Debit note CAE if successful
+ * @property {number} [voucherNumber] - Debit note voucher number if successful
+ * @property {string} [error] - Error message if AFIP rejected it
+ */
+
+class CreateDebitNote extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {Object} [options]
+   * @param {number} [options.vatRate] - VAT rate to itemize notes on A/B invoices with
+   */
+  constructor(orderRepository, afipGateway, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.afipGateway = afipGateway;
+    this.vatRate = options.vatRate;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (!input.orderNumber) {
+      throw new ValidationError('orderNumber is required');
+    }
+
+    if (typeof input.correctAmount !== 'number' || !(input.correctAmount > 0)) {
+      throw new ValidationError('correctAmount must be a positive number');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {CreateDebitNoteInput} input - Input parameters
+   * @returns {Promise<CreateDebitNoteOutput>} Debit note result
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const { orderNumber, correctAmount } = input;
+
+    const order = await this.orderRepository.findByOrderNumber(orderNumber);
+    if (!order) {
+      throw NotFoundError.order(orderNumber);
+    }
+
+    if (!order.isSuccessful() || !order.voucherNumber) {
+      throw new DomainError('Order has no authorized invoice to debit', { orderNumber });
+    }
+
+    const invoiced = order.getNetInvoicedAmount();
+    const amount = new Money(correctAmount, invoiced.currency).subtract(invoiced).amount;
+    if (amount <= 0) {
+      throw new DomainError(
+        `Order is already invoiced for ${invoiced.format()}; nothing to debit`,
+        { orderNumber, correctAmount }
+      );
+    }
+
+    const voucherType = Invoice.noteTypeFor(order.voucherType, 'debit');
+    const debitNote = Invoice.adjustmentFor(order, {
+      voucherType,
+      amount,
+      vatRate: this.vatRate,
+      invoiceDate: formatToYYYYMMDD(new Date())
+    });
+
+    logger.info('Submitting debit note to AFIP', {
+      orderNumber,
+      originalVoucher: order.voucherNumber,
+      amount: debitNote.totalAmount.format(),
+      event: 'debit_note_submit'
+    });
+
+    const result = await this.afipGateway.createInvoice(debitNote);
+
+    if (!result.isSuccessful()) {
+      logger.error('AFIP rejected debit note', {
+        orderNumber,
+        error: result.errorMessage,
+        event: 'debit_note_rejected'
+      });
+      return { success: false, orderNumber, amount, error: result.errorMessage };
+    }
+
+    const updatedOrder = order.addAdjustment({
+      kind: 'debit',
+      voucherType,
+      voucherNumber: result.voucherNumber,
+      cae: result.cae.value,
+      date: debitNote.invoiceDate,
+      amount,
+      reason: input.reason || null
+    });
+    await this.orderRepository.update(updatedOrder);
+
+    logger.info('Debit note created', {
+      orderNumber,
+      cae: result.cae.value,
+      voucherNumber: result.voucherNumber,
+      event: 'debit_note_created'
+    });
+
+    return {
+      success: true,
+      orderNumber,
+      amount,
+      cae: result.cae.value,
+      voucherNumber: result.voucherNumber
+    };
+  }
+}
+
+module.exports = CreateDebitNote;
@@ -8,15 +8,26 @@
 
 const UseCase = require('../UseCase');
 const Invoice = require('../../../domain/entities/Invoice');
+const ExportInvoice = require('../../../domain/entities/ExportInvoice');
+const InvoiceResult = require('../../../domain/entities/InvoiceResult');
 const InvoiceDateValidator = require('../../../domain/services/InvoiceDateValidator');
+const OrderProcessor = require('../../../domain/services/OrderProcessor');
 const logger = require('../../../utils/logger');
-const { NotFoundError, DomainError } = require('../../../shared/errors');
+const { NotFoundError, DomainError, InfrastructureError } = require('../../../shared/errors');
+const { AFIP_ERROR_CODE } = require('../../../shared/constants');
+
+const SEQUENCE_ERROR_CODE = AFIP_ERROR_CODE.VOUCHER_OUT_OF_SEQUENCE;
+const SEQUENCE_ERROR_TEXT = 'no se corresponde con el proximo a autorizar';
 
 /**
  * @typedef {Object} CreateInvoiceInput
  * @property {string} orderNumber - Order number to create invoice for
  * @property {string} [invoiceDate] - Optional invoice date (YYYY-MM-DD), defaults to today
  * @property {boolean} [skipAgeCheck] - Skip the 10-day age check (for historical order processing)
+ * @property {string} [buyerCuit] - CUIT of an identified buyer; looked up in the AFIP padrón for
+ *   the receiver's name and VAT condition
+ * @property {string} [profileDate] - Date whose issuer profile applies (YYYY-MM-DD); defaults to
+ *   the invoice date. Back-fills pass the order date so each order keeps the profile it was sold under
  */
 
 /**
@@ -25,6 +36,7 @@ const { NotFoundError, DomainError } = require('../../../shared/errors');
  * @property {string} [cae] - CAE number if successful
  * @property {string} [caeExpiration] - CAE expiration date if successful
  * @property {number} [voucherNumber] - Voucher number if successful
+ * @property {number} voucherType - AFIP voucher type issued (1 = A, 6 = B, 11 = C, 19 = E)
  * @property {string} [error] - Error message if failed
  * @property {string} orderNumber - Order number processed
  */
@@ -33,11 +45,31 @@ class CreateInvoice extends UseCase {
   /**
    * @param {IOrderRepository} orderRepository - Order repository
    * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {LookupTaxpayer} [lookupTaxpayer=null] - Padrón lookup, required to invoice identified buyers
+   * @param {Object} [options]
+   * @param {IssuerProfileTimeline} [options.issuerProfiles] - Issuer tax profiles over time; the one
+   *   in force picks voucher type, VAT and point of sale (Factura C on AFIP_PTOVTA when omitted)
+   * @param {PointOfSaleRouting} [options.pointOfSaleRouting] - Rules sending orders to another
+   *   point of sale than the profile's by source, asset or trade type
+   * @param {IAfipExportGateway} [options.exportGateway] - WSFEX gateway; orders flagged with a
+   *   foreign buyer are invoiced through it with a Factura E
+   * @param {number} [options.exportPointOfSale] - Point of sale of Factura E vouchers
+   * @param {ICounterpartyRepository} [options.counterpartyRepository] - Registry of identified
+   *   buyers by Binance nickname; a registered buyer's document goes on the invoice
+   * @param {number} [options.identificationThreshold] - Amount in ARS from which a consumidor
+   *   final must be identified; such orders without a registered buyer stay unprocessed
    */
-  constructor(orderRepository, afipGateway) {
+  constructor(orderRepository, afipGateway, lookupTaxpayer = null, options = {}) {
     super();
     this.orderRepository = orderRepository;
     this.afipGateway = afipGateway;
+    this.lookupTaxpayer = lookupTaxpayer;
+    this.issuerProfiles = options.issuerProfiles || null;
+    this.pointOfSaleRouting = options.pointOfSaleRouting || null;
+    this.exportGateway = options.exportGateway || null;
+    this.exportPointOfSale = options.exportPointOfSale || null;
+    this.counterpartyRepository = options.counterpartyRepository || null;
+    this.identificationThreshold = options.identificationThreshold || null;
   }
 
   /**
@@ -62,6 +94,14 @@ class CreateInvoice extends UseCase {
         throw new ValidationError(`Invalid invoice date: must be YYYY-MM-DD`);
       }
     }
+
+    if (input.profileDate && !InvoiceDateValidator.isValidDateFormat(input.profileDate)) {
+      throw new ValidationError('Invalid profile date: must be YYYY-MM-DD');
+    }
+
+    if (input.buyerCuit && !this.lookupTaxpayer) {
+      throw new ValidationError('buyerCuit requires a taxpayer lookup');
+    }
   }
 
   /**
@@ -73,10 +113,16 @@ class CreateInvoice extends UseCase {
   async execute(input) {
     this.validateInput(input);
 
-    const { orderNumber, invoiceDate, skipAgeCheck } = input;
+    const { orderNumber, invoiceDate, skipAgeCheck, buyerCuit, profileDate } = input;
 
     logger.info('Creating invoice for order', { orderNumber });
 
+    // Resolve the buyer before touching the order: an unknown CUIT is an
+    // input mistake, not a reason to mark the order as failed
+    const receiver = buyerCuit
+      ? await this.lookupTaxpayer.execute({ cuit: buyerCuit })
+      : null;
+
     try {
       // 1. Find the order
       const order = await this.orderRepository.findByOrderNumber(orderNumber);
@@ -100,17 +146,41 @@ class CreateInvoice extends UseCase {
         );
       }
 
-      // 4. Create invoice from order
-      const invoice = Invoice.fromOrder(order, { invoiceDate });
+      // 4. Create invoice from order: a Factura E for a foreign resident,
+      //    otherwise under the issuer profile in force. Foreign-currency
+      //    orders carry AFIP's official rate for the invoice date
+      const exporting = order.isForeignBuyer();
+      const issuerOptions = exporting
+        ? {}
+        : this.issuerOptionsFor(order, profileDate || invoiceDate || order.orderDate);
+      const exchangeRate = await this._exchangeRateFor(order, invoiceDate || order.orderDate);
+      const counterparty = receiver ? null : await this.identifyBuyer(order, { exchangeRate });
+      const invoice = exporting
+        ? this._exportInvoiceFor(order, invoiceDate, exchangeRate)
+        : Invoice.fromOrder(order, {
+          invoiceDate,
+          receiver,
+          counterparty,
+          exchangeRate,
+          ...issuerOptions
+        });
 
       logger.info('Submitting invoice to AFIP', {
         orderNumber,
+        receiver: receiver ? receiver.cuit.value : undefined,
+        counterparty: counterparty ? counterparty.nickname : undefined,
+        taxCondition: issuerOptions.issuerTaxCondition,
+        pointOfSale: invoice.pointOfSale || undefined,
         invoiceType: invoice.getInvoiceType(),
-        total: invoice.totalAmount.format()
+        total: invoice.totalAmount.format(),
+        exchangeRate
       });
 
-      // 5. Submit to AFIP
-      const result = await this.afipGateway.createInvoice(invoice);
+      // 5. Submit to AFIP: WSFEX for export, WSFE otherwise (recovering from an
+      //    out-of-sequence voucher number)
+      const result = exporting
+        ? await this.exportGateway.createExportInvoice(invoice)
+        : await this._submitWithSequenceRecovery(order, invoice);
 
       // 6. Update order with result
       const updatedOrder = order.markAsProcessed(
@@ -118,6 +188,11 @@ class CreateInvoice extends UseCase {
           success: result.isSuccessful(),
           cae: result.isSuccessful() ? result.cae.value : null,
           voucherNumber: result.voucherNumber,
+          voucherType: result.isSuccessful() ? invoice.getInvoiceType() : null,
+          pointOfSale: result.isSuccessful() ? invoice.pointOfSale : null,
+          exchangeRate: result.isSuccessful() ? exchangeRate : null,
+          // What was declared as CondicionIVAReceptorId (Factura E has none)
+          receiverVatCondition: result.isSuccessful() ? invoice.receiverVatCondition || null : null,
           invoiceDate: result.invoiceDate,
           errorMessage: result.isSuccessful() ? null : result.errorMessage
         },
@@ -139,14 +214,25 @@ class CreateInvoice extends UseCase {
         cae: result.cae?.value,
         caeExpiration: result.cae?.expirationDate,
         voucherNumber: result.voucherNumber,
+        voucherType: invoice.getInvoiceType(),
         error: result.errorMessage,
         orderNumber
       };
 
     } catch (error) {
+      // An unidentified buyer above the threshold blocks the order until the
+      // buyer is registered: it is left unprocessed, not failed
+      if (error.metadata && error.metadata.blocked) {
+        logger.warn('Order blocked until the buyer is identified', {
+          error: error.message,
+          orderNumber,
+          event: 'invoice_blocked_buyer_identification'
+        });
+        throw error;
+      }
+
       // Check if this is an AFIP "already exists" error (error code 10016)
-      const isAlreadyProcessedError = error.code === 10016 ||
-        error.message?.includes('no se corresponde con el proximo a autorizar');
+      const isAlreadyProcessedError = CreateInvoice.isSequenceError(error);
 
       // Distinguish PERMANENT, order-level failures from TRANSIENT infrastructure
       // failures. Permanent failures (AFIP rejected the invoice, the order is too
@@ -166,7 +252,7 @@ class CreateInvoice extends UseCase {
         logger.warn('Order may already have an invoice in AFIP', {
           error: error.message,
           orderNumber,
-          suggestion: 'Check AFIP portal and use mark-manual command to sync database',
+          suggestion: 'Run reconcile <year> <month> --fix (or mark-manual) to sync database',
           event: 'possible_duplicate_invoice'
         });
       } else if (isPermanentOrderError) {
@@ -212,6 +298,170 @@ class CreateInvoice extends UseCase {
       throw error;
     }
   }
+
+  /**
+   * Registered buyer of an order, checked against the consumidor final
+   * identification threshold
+   * @param {Order} order - Order to invoice
+   * @param {Object} [options]
+   * @param {number} [options.exchangeRate] - Rate of a foreign-currency order
+   * @returns {Promise<Counterparty|null>} The registered buyer, or null
+   * @throws {DomainError} With `metadata.blocked` when the order reaches the threshold and its
+   *   buyer is not registered
+   */
+  async identifyBuyer(order, options = {}) {
+    const counterparty = this.counterpartyRepository && order.buyerNickname && !order.isForeignBuyer()
+      ? await this.counterpartyRepository.findByNickname(order.buyerNickname)
+      : null;
+
+    const reason = OrderProcessor.buyerIdentificationReason(order, {
+      identificationThreshold: this.identificationThreshold,
+      buyerIdentified: Boolean(counterparty),
+      exchangeRate: options.exchangeRate
+    });
+    if (reason) {
+      throw new DomainError(reason, {
+        orderNumber: order.orderNumber.value,
+        buyerNickname: order.buyerNickname,
+        blocked: true
+      });
+    }
+
+    return counterparty;
+  }
+
+  /**
+   * Issuer options of Invoice.fromOrder for an order: the profile in force on
+   * a date sets tax condition, VAT rate and point of sale, and the first
+   * routing rule matching the order overrides the point of sale
+   * @param {Order} order - Order to invoice
+   * @param {string} date - Date whose profile applies (YYYY-MM-DD)
+   * @returns {{issuerTaxCondition?: string, vatRate?: number, pointOfSale?: number}}
+   */
+  issuerOptionsFor(order, date) {
+    const options = this.issuerProfiles ? this.issuerProfiles.profileOn(date).invoiceOptions() : {};
+    const routed = this.pointOfSaleRouting ? this.pointOfSaleRouting.pointOfSaleFor(order) : null;
+    return routed ? { ...options, pointOfSale: routed } : options;
+  }
+
+  /**
+   * Build the Factura E of an order sold to a foreign resident
+   * @private
+   * @throws {InfrastructureError} If export invoicing is not configured; the order
+   *   is left unprocessed so it goes out once it is
+   */
+  _exportInvoiceFor(order, invoiceDate, exchangeRate) {
+    if (!this.exportGateway || !this.exportPointOfSale) {
+      throw new InfrastructureError('Export invoicing is not configured: set AFIP_EXPORT_PTOVTA', {
+        orderNumber: order.orderNumber.value
+      });
+    }
+    return ExportInvoice.fromOrder(order, { invoiceDate, exchangeRate, pointOfSale: this.exportPointOfSale });
+  }
+
+  /**
+   * AFIP's official exchange rate for an order in foreign currency
+   * @private
+   * @param {Order} order - Order to invoice
+   * @param {string} date - Invoice date (YYYY-MM-DD)
+   * @returns {Promise<number|undefined>} Pesos per unit, undefined for orders in pesos
+   */
+  async _exchangeRateFor(order, date) {
+    const currency = order.totalAmount.currency;
+    if (currency === 'ARS') {
+      return undefined;
+    }
+    return this.afipGateway.getExchangeRate(currency, date);
+  }
+
+  /**
+   * Submit the invoice; on AFIP 10016 look at the last authorized voucher. If
+   * it is this order's invoice (same amount and service date, not claimed by
+   * another order) adopt its CAE — the previous run was interrupted after AFIP
+   * authorized it. Otherwise retry once, numbered after the last voucher AFIP
+   * reports at the time of the retry.
+   * @private
+   * @param {Order} order - Order being invoiced
+   * @param {Invoice} invoice - Invoice to submit
+   * @returns {Promise<InvoiceResult>}
+   */
+  async _submitWithSequenceRecovery(order, invoice) {
+    try {
+      const result = await this.afipGateway.createInvoice(invoice);
+      if (result.isSuccessful() || !CreateInvoice.isSequenceError(result.errorMessage)) {
+        return result;
+      }
+    } catch (error) {
+      if (!CreateInvoice.isSequenceError(error)) {
+        throw error;
+      }
+    }
+
+    const orderNumber = order.orderNumber.value;
+    const { PtoVta: pointOfSale, CbteTipo: voucherType } = invoice.toAfipFormat();
+    const last = await this.afipGateway.getLastInvoiceNumber(pointOfSale, voucherType);
+    const voucher = last > 0
+      ? await this.afipGateway.queryInvoice(pointOfSale, voucherType, last)
+      : null;
+
+    if (voucher && await this._isVoucherForInvoice(voucher, invoice)) {
+      logger.warn('AFIP already authorized this invoice — adopting its CAE', {
+        orderNumber,
+        voucherNumber: voucher.voucherNumber,
+        cae: voucher.cae.value,
+        event: 'afip_sequence_adopted'
+      });
+
+      return InvoiceResult.success({
+        cae: voucher.cae.value,
+        caeExpiration: voucher.cae.expirationDate,
+        voucherNumber: voucher.voucherNumber,
+        invoiceDate: voucher.voucherDate,
+        metadata: { recoveredFrom: SEQUENCE_ERROR_CODE }
+      });
+    }
+
+    logger.warn('AFIP voucher sequence out of date — retrying with next number', {
+      orderNumber,
+      lastVoucherNumber: last,
+      event: 'afip_sequence_retry'
+    });
+
+    // No explicit number: `last` was read outside the sequence lease, and the
+    // gateway reads it again while holding it
+    return this.afipGateway.createInvoice(invoice);
+  }
+
+  /**
+   * Check whether an error (thrown or returned as a message) is AFIP 10016
+   * @param {Error|string|null} errorOrMessage
+   * @returns {boolean}
+   */
+  static isSequenceError(errorOrMessage) {
+    if (!errorOrMessage) return false;
+    if (typeof errorOrMessage === 'object' && Number(errorOrMessage.code) === SEQUENCE_ERROR_CODE) {
+      return true;
+    }
+    const message = typeof errorOrMessage === 'string' ? errorOrMessage : errorOrMessage.message;
+    return Boolean(message) &&
+      (message.includes(`[${SEQUENCE_ERROR_CODE}]`) || message.includes(SEQUENCE_ERROR_TEXT));
+  }
+
+  /**
+   * Check whether an authorized voucher is the invoice we were trying to issue
+   * @private
+   */
+  async _isVoucherForInvoice(voucher, invoice) {
+    if (!voucher.cae || !voucher.matchesAmount(invoice.totalAmount)) {
+      return false;
+    }
+    if ((voucher.serviceFrom || voucher.voucherDate) !== invoice.serviceFrom) {
+      return false;
+    }
+
+    const owner = await this.orderRepository.findByCae(voucher.cae.value);
+    return !owner || owner.orderNumber.value === invoice.orderNumber.value;
+  }
 }
 
 module.exports = CreateInvoice;
@@ -0,0 +1,99 @@
+/**
+ * ExportMonthInvoicePdfs Use Case
+ *
+ * Renders the invoice PDF of every order invoiced in a month, for handing
+ * the month over to the accountant. One order failing does not stop the
+ * others.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const logger = require('../../../utils/logger');
+const { ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} ExportMonthInvoicePdfsInput
+ * @property {number} year - Full year (e.g. 2026)
+ * @property {number} month - Month number 1–12
+ */
+
+/**
+ * @typedef {Object} ExportMonthInvoicePdfsOutput
+ * @property {number} year
+ * @property {number} month
+ * @property {Array<GenerateInvoicePdfOutput>} documents - Rendered PDFs, by voucher number
+ * @property {Array<{orderNumber: string, error: string}>} failures - Orders that could not be rendered
+ */
+
+class ExportMonthInvoicePdfs extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {GenerateInvoicePdf} generateInvoicePdf - Single-invoice PDF use case
+   */
+  constructor(orderRepository, generateInvoicePdf) {
+    super();
+    this.orderRepository = orderRepository;
+    this.generateInvoicePdf = generateInvoicePdf;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+    const { year, month } = input;
+    if (!year || !Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw new ValidationError('year must be a valid 4-digit number');
+    }
+    if (!month || !Number.isInteger(month) || month < 1 || month > 12) {
+      throw new ValidationError('month must be between 1 and 12');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {ExportMonthInvoicePdfsInput} input - Input parameters
+   * @returns {Promise<ExportMonthInvoicePdfsOutput>} Rendered PDFs and failures
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const { year, month } = input;
+    const yearMonth = `${year}-${String(month).padStart(2, '0')}`;
+
+    const orders = (await this.orderRepository.findSuccessfullyInvoiced())
+      .filter(order => order.invoiceDate && order.invoiceDate.startsWith(yearMonth))
+      // Voucher numbers run per point of sale
+      .sort((a, b) => (Number(a.pointOfSale) || 0) - (Number(b.pointOfSale) || 0) ||
+        Number(a.voucherNumber) - Number(b.voucherNumber));
+
+    logger.info('Exporting invoice PDFs for month', {
+      yearMonth,
+      orders: orders.length,
+      event: 'invoice_pdf_export_start'
+    });
+
+    const documents = [];
+    const failures = [];
+
+    for (const order of orders) {
+      const orderNumber = order.orderNumber.value;
+      try {
+        documents.push(await this.generateInvoicePdf.execute({ orderNumber }));
+      } catch (error) {
+        logger.warn('Could not generate invoice PDF', {
+          orderNumber,
+          error: error.message,
+          event: 'invoice_pdf_export_failed'
+        });
+        failures.push({ orderNumber, error: error.message });
+      }
+    }
+
+    return { year, month, documents, failures };
+  }
+}
+
+module.exports = ExportMonthInvoicePdfs;
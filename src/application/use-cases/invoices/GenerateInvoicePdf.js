@@ -0,0 +1,207 @@
+/**
+ * GenerateInvoicePdf Use Case
+ *
+ * Renders the printable Factura (A, B or C) for an invoiced order, with the RG 4892
+ * QR code. Fiscal data (amounts, receiver, CAE expiry) comes from AFIP's own
+ * record of the voucher, so the PDF and its QR always match what AFIP
+ * authorized.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const AfipQrCode = require('../../../domain/services/AfipQrCode');
+const CUIT = require('../../../domain/value-objects/CUIT');
+const logger = require('../../../utils/logger');
+const { AFIP_VOUCHER_TYPE } = require('../../../shared/constants');
+const { NotFoundError, DomainError, ValidationError } = require('../../../shared/errors');
+
+/**
+ * Letter printed in the voucher box, by invoice type
+ */
+const INVOICE_LETTER = {
+  [AFIP_VOUCHER_TYPE.INVOICE_A]: 'A',
+  [AFIP_VOUCHER_TYPE.INVOICE_B]: 'B',
+  [AFIP_VOUCHER_TYPE.INVOICE_C]: 'C'
+};
+
+/**
+ * Tax condition captions as printed on AFIP vouchers, by ISSUER_TAX_CONDITION
+ */
+const TAX_CONDITION_CAPTION = {
+  MONOTRIBUTO: 'Responsable Monotributo',
+  RESPONSABLE_INSCRIPTO: 'IVA Responsable Inscripto',
+  EXENTO: 'IVA Sujeto Exento'
+};
+
+/**
+ * @typedef {Object} GenerateInvoicePdfInput
+ * @property {string} orderNumber - Invoiced order
+ */
+
+/**
+ * @typedef {Object} GenerateInvoicePdfOutput
+ * @property {string} orderNumber - Order the invoice belongs to
+ * @property {number} pointOfSale - Point of sale
+ * @property {number} voucherNumber - Voucher number
+ * @property {string} fileName - Suggested file name (e.g. factura-C-00003-00000021.pdf)
+ * @property {Buffer} pdf - PDF bytes
+ */
+
+class GenerateInvoicePdf extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {IInvoiceRenderer} invoiceRenderer - PDF renderer
+   * @param {Object} options
+   * @param {Object} options.issuer - Issuer data printed on the invoice
+   * @param {string} options.issuer.cuit - Issuer CUIT
+   * @param {string} [options.issuer.name] - Legal name
+   * @param {string} [options.issuer.address] - Commercial address
+   * @param {string} [options.issuer.taxCondition] - Tax condition (e.g. MONOTRIBUTO)
+   * @param {string} [options.issuer.activityStart] - Start of activities (YYYY-MM-DD)
+   * @param {number} options.pointOfSale - CAE point of sale
+   * @param {number} [options.caeaPointOfSale] - CAEA point of sale
+   * @param {IssuerProfileTimeline} [options.issuerProfiles] - When given, the tax condition
+   *   printed is the one in force on the voucher date instead of options.issuer.taxCondition
+   */
+  constructor(orderRepository, afipGateway, invoiceRenderer, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.afipGateway = afipGateway;
+    this.invoiceRenderer = invoiceRenderer;
+    this.issuer = options.issuer || {};
+    this.pointOfSale = options.pointOfSale;
+    this.caeaPointOfSale = options.caeaPointOfSale || null;
+    this.issuerProfiles = options.issuerProfiles || null;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (!input.orderNumber) {
+      throw new ValidationError('orderNumber is required');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {GenerateInvoicePdfInput} input - Input parameters
+   * @returns {Promise<GenerateInvoicePdfOutput>} Rendered PDF
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const order = await this.orderRepository.findByOrderNumber(input.orderNumber);
+    if (!order) {
+      throw NotFoundError.order(input.orderNumber);
+    }
+
+    const orderNumber = order.orderNumber.value;
+
+    if (!order.isSuccessful() || !order.cae || !order.voucherNumber) {
+      throw new DomainError('Order has no authorized invoice to print', { orderNumber });
+    }
+
+    if (!INVOICE_LETTER[order.voucherType]) {
+      throw new DomainError('Only Factura A, B and C can be printed', {
+        orderNumber,
+        voucherType: order.voucherType
+      });
+    }
+
+    const isCaea = order.authorizationType === 'CAEA';
+    const pointOfSale = order.pointOfSale || (isCaea ? this.caeaPointOfSale : this.pointOfSale);
+    const voucherType = order.voucherType;
+
+    const voucher = await this.afipGateway.queryInvoice(pointOfSale, voucherType, order.voucherNumber);
+    if (!voucher) {
+      throw new DomainError(
+        isCaea
+          ? 'AFIP has no record of this CAEA voucher yet; run caea-report first'
+          : 'AFIP has no record of this voucher; run reconcile for its month',
+        { orderNumber, pointOfSale, voucherNumber: order.voucherNumber }
+      );
+    }
+    if (voucher.cae.value !== order.cae.value) {
+      throw new DomainError(
+        'AFIP authorized this voucher number with a different CAE; run reconcile for its month',
+        { orderNumber, voucherNumber: order.voucherNumber, orderCae: order.cae.value, afipCae: voucher.cae.value }
+      );
+    }
+
+    const document = this._buildDocument(order, voucher);
+    const pdf = await this.invoiceRenderer.render(document);
+
+    logger.info('Invoice PDF generated', {
+      orderNumber,
+      pointOfSale,
+      voucherNumber: voucher.voucherNumber,
+      bytes: pdf.length,
+      event: 'invoice_pdf_generated'
+    });
+
+    return {
+      orderNumber,
+      pointOfSale,
+      voucherNumber: voucher.voucherNumber,
+      fileName: `factura-${INVOICE_LETTER[voucherType]}-${String(pointOfSale).padStart(5, '0')}-${String(voucher.voucherNumber).padStart(8, '0')}.pdf`,
+      pdf
+    };
+  }
+
+  /**
+   * Assemble what the renderer prints
+   * @private
+   * @param {Order} order - Invoiced order
+   * @param {AuthorizedVoucher} voucher - AFIP's record of the invoice
+   * @returns {InvoiceDocument}
+   */
+  _buildDocument(order, voucher) {
+    const issuerCuit = CUIT.of(this.issuer.cuit);
+    const taxCondition = this.issuerProfiles
+      ? this.issuerProfiles.profileOn(voucher.voucherDate).taxCondition
+      : this.issuer.taxCondition;
+    const servicePeriod = voucher.serviceFrom
+      ? `${voucher.serviceFrom} – ${voucher.serviceTo}`
+      : null;
+
+    return {
+      issuer: {
+        cuit: issuerCuit.formatted,
+        name: this.issuer.name || issuerCuit.formatted,
+        address: this.issuer.address || null,
+        taxCondition: TAX_CONDITION_CAPTION[taxCondition] || taxCondition || null,
+        activityStart: this.issuer.activityStart || null
+      },
+      letter: INVOICE_LETTER[voucher.voucherType],
+      title: 'FACTURA',
+      voucherType: voucher.voucherType,
+      pointOfSale: voucher.pointOfSale,
+      voucherNumber: voucher.voucherNumber,
+      date: voucher.voucherDate,
+      receiver: {
+        docType: voucher.docType,
+        docNumber: voucher.docNumber
+      },
+      servicePeriod,
+      description: `Operación P2P ${order.orderNumber.value} (${order.amount} ${order.asset})`,
+      // A/B vouchers print the net and IVA lines AFIP authorized
+      net: voucher.vatAmount.amount > 0 ? voucher.netAmount : null,
+      vat: voucher.vatAmount.amount > 0 ? voucher.vatAmount : null,
+      total: voucher.totalAmount,
+      authorizationType: voucher.authorizationType,
+      cae: voucher.cae.value,
+      caeExpiration: voucher.cae.expirationDate
+        ? voucher.cae.expirationDate.toISOString().split('T')[0]
+        : null,
+      qrUrl: AfipQrCode.url(AfipQrCode.payload(voucher, issuerCuit))
+    };
+  }
+}
+
+module.exports = GenerateInvoicePdf;
@@ -0,0 +1,193 @@
+/**
+ * IssueCaeaInvoices Use Case
+ *
+ * Contingency mode for AFIP outages: invoices pending orders locally under
+ * the stored CAEA instead of asking WSFE for a CAE, so they do not drift past
+ * the 10-day limit. Each invoice is built the way CreateInvoice builds it
+ * (issuer profile, registered buyer, identification threshold), numbered on
+ * the CAEA point of sale in its voucher type's sequence and recorded as
+ * pending report; ReportCaeaInvoices tells AFIP about them once it is back.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const CreateInvoice = require('./CreateInvoice');
+const Invoice = require('../../../domain/entities/Invoice');
+const logger = require('../../../utils/logger');
+const { formatToYYYYMMDD } = require('../../../shared/utils/date.utils');
+const { DomainError, ValidationError } = require('../../../shared/errors');
+const { AFIP_VOUCHER_TYPE } = require('../../../shared/constants');
+
+/**
+ * @typedef {Object} IssueCaeaInvoicesInput
+ * @property {number} [limit] - Maximum number of orders to invoice
+ */
+
+/**
+ * @typedef {Object} IssueCaeaInvoicesOutput
+ * @property {string} caea - CAEA the vouchers were issued under
+ * @property {number} pointOfSale - CAEA point of sale
+ * @property {string} invoiceDate - Date of the issued vouchers (YYYY-MM-DD)
+ * @property {Array<{orderNumber: string, voucherType: number, voucherNumber: number}>} issued - Issued vouchers
+ * @property {Array<{orderNumber: string, error: string}>} skipped - Orders left pending
+ */
+
+class IssueCaeaInvoices extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {ICaeaRepository} caeaRepository - CAEA repository
+   * @param {Object} options
+   * @param {number} options.pointOfSale - Point of sale enabled for CAEA
+   * @param {IssuerProfileTimeline} [options.issuerProfiles] - Issuer tax profiles, as for CreateInvoice
+   * @param {ICounterpartyRepository} [options.counterpartyRepository] - Registered buyers, as for
+   *   CreateInvoice
+   * @param {number} [options.identificationThreshold] - Consumidor final identification
+   *   threshold, as for CreateInvoice
+   */
+  constructor(orderRepository, caeaRepository, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.caeaRepository = caeaRepository;
+    this.pointOfSale = options.pointOfSale || null;
+
+    // Builds the invoices; WSFE is down, so it never submits any
+    this.createInvoiceUseCase = new CreateInvoice(orderRepository, null, null, options);
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (input.limit !== undefined && (typeof input.limit !== 'number' || input.limit < 1)) {
+      throw new ValidationError('limit must be a positive number');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {IssueCaeaInvoicesInput} input - Input parameters
+   * @returns {Promise<IssueCaeaInvoicesOutput>} Issued vouchers
+   */
+  async execute(input = {}) {
+    this.validateInput(input);
+
+    if (!this.pointOfSale) {
+      throw new DomainError('No CAEA point of sale configured (AFIP_CAEA_PTOVTA)');
+    }
+
+    const invoiceDate = formatToYYYYMMDD(new Date());
+    const caea = await this.caeaRepository.findCovering(invoiceDate);
+    if (!caea) {
+      throw new DomainError(
+        'No CAEA covers today — request one with caea-request while AFIP is up',
+        { invoiceDate }
+      );
+    }
+
+    // The CAEA covers WSFE vouchers only: Factura E waits for WSFEX. Orders
+    // in foreign currency wait too, their exchange rate comes from AFIP
+    const pending = (await this.orderRepository.findUnprocessed())
+      .filter(order => order.isReadyForInvoicing() &&
+        !order.isForeignBuyer() &&
+        order.totalAmount.currency === 'ARS');
+    const orders = input.limit ? pending.slice(0, input.limit) : pending;
+
+    const lastNumbers = await this._lastCaeaVoucherNumbers();
+    const issued = [];
+    const skipped = [];
+
+    logger.info('Issuing invoices under CAEA', {
+      orders: orders.length,
+      pointOfSale: this.pointOfSale,
+      period: caea.period,
+      fortnight: caea.fortnight,
+      event: 'caea_issue_start'
+    });
+
+    for (const order of orders) {
+      const orderNumber = order.orderNumber.value;
+
+      // Under the profile in force today, to the registered buyer; an order
+      // blocked for want of identification stays pending like in CreateInvoice.
+      // Whatever point of sale the profile or routing picks, CAEA vouchers go
+      // out on the one enabled for CAEA
+      let invoice;
+      try {
+        const counterparty = await this.createInvoiceUseCase.identifyBuyer(order);
+        invoice = Invoice.fromOrder(order, {
+          invoiceDate,
+          counterparty,
+          ...this.createInvoiceUseCase.issuerOptionsFor(order, invoiceDate),
+          pointOfSale: this.pointOfSale
+        });
+        invoice.validateOrThrow();
+      } catch (error) {
+        skipped.push({ orderNumber, error: error.message });
+        continue;
+      }
+
+      const voucherType = invoice.getInvoiceType();
+      const voucherNumber = (lastNumbers.get(voucherType) || 0) + 1;
+      lastNumbers.set(voucherType, voucherNumber);
+
+      await this.orderRepository.update(order.markAsProcessed({
+        success: true,
+        cae: caea.code,
+        voucherType,
+        pointOfSale: this.pointOfSale,
+        voucherNumber,
+        invoiceDate,
+        receiverVatCondition: invoice.receiverVatCondition,
+        // ReportCaeaInvoices restates the voucher to AFIP from these
+        receiverDocType: invoice.docType,
+        receiverDocNumber: invoice.docNumber,
+        authorizationType: 'CAEA'
+      }, 'automatic'));
+
+      issued.push({ orderNumber, voucherType, voucherNumber });
+      logger.info('Invoice issued under CAEA', {
+        orderNumber,
+        pointOfSale: this.pointOfSale,
+        voucherType,
+        voucherNumber,
+        event: 'caea_invoice_issued'
+      });
+    }
+
+    return {
+      caea: caea.code,
+      pointOfSale: this.pointOfSale,
+      invoiceDate,
+      issued,
+      skipped
+    };
+  }
+
+  /**
+   * Last voucher number of each voucher type used on the CAEA point of sale.
+   * WSFE cannot be asked while it is down, but every CAEA voucher on this
+   * point of sale was issued here, so the highest one recorded on an order is
+   * the last one of its type. Vouchers recorded before their type was are
+   * Factura C.
+   * @private
+   * @returns {Promise<Map<number, number>>} Last number by voucher type
+   */
+  async _lastCaeaVoucherNumbers() {
+    const invoiced = await this.orderRepository.findSuccessfullyInvoiced();
+    const lastNumbers = new Map();
+    for (const order of invoiced) {
+      if (order.authorizationType !== 'CAEA' || (order.pointOfSale || this.pointOfSale) !== this.pointOfSale) {
+        continue;
+      }
+      const voucherType = order.voucherType || AFIP_VOUCHER_TYPE.INVOICE_C;
+      lastNumbers.set(voucherType, Math.max(lastNumbers.get(voucherType) || 0, Number(order.voucherNumber) || 0));
+    }
+    return lastNumbers;
+  }
+}
+
+module.exports = IssueCaeaInvoices;
@@ -19,11 +19,24 @@ const logger = require('../../../utils/logger');
  */
 
 class ProcessMonthOrders extends UseCase {
-  constructor(orderRepository, afipGateway) {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {Object} [options]
+   * @param {IssuerProfileTimeline} [options.issuerProfiles] - Issuer tax profiles, as for CreateInvoice
+   * @param {PointOfSaleRouting} [options.pointOfSaleRouting] - Point of sale rules, as for CreateInvoice
+   * @param {IAfipExportGateway} [options.exportGateway] - WSFEX gateway, as for CreateInvoice
+   * @param {number} [options.exportPointOfSale] - Factura E point of sale, as for CreateInvoice
+   * @param {ICounterpartyRepository} [options.counterpartyRepository] - Identified buyers, as for
+   *   CreateInvoice
+   * @param {number} [options.identificationThreshold] - Consumidor final identification
+   *   threshold, as for CreateInvoice
+   */
+  constructor(orderRepository, afipGateway, options = {}) {
     super();
     this.orderRepository = orderRepository;
     this.afipGateway = afipGateway;
-    this.createInvoiceUseCase = new CreateInvoice(orderRepository, afipGateway);
+    this.createInvoiceUseCase = new CreateInvoice(orderRepository, afipGateway, null, options);
   }
 
   validateInput(input) {
@@ -79,6 +92,8 @@ class ProcessMonthOrders extends UseCase {
         const result = await this.createInvoiceUseCase.execute({
           orderNumber: order.orderNumber.value,
           invoiceDate,
+          // The sale happened under the profile in force on its date, even if invoiced today
+          profileDate: order.orderDate,
           skipAgeCheck: true,
         });
 
@@ -7,12 +7,15 @@
 
 const UseCase = require('../UseCase');
 const CreateInvoice = require('./CreateInvoice');
+const Invoice = require('../../../domain/entities/Invoice');
+const OrderProcessor = require('../../../domain/services/OrderProcessor');
 const logger = require('../../../utils/logger');
 
 /**
  * @typedef {Object} ProcessUnprocessedOrdersInput
  * @property {number} [limit] - Maximum number of orders to process
  * @property {string} [tradeType] - Filter by trade type (SELL or BUY)
+ * @property {boolean} [batch=false] - Authorize all orders in multi-record CAE requests
  */
 
 /**
@@ -20,6 +23,10 @@ const logger = require('../../../utils/logger');
  * @property {number} totalOrders - Total unprocessed orders found
  * @property {number} processedOrders - Orders successfully processed
  * @property {number} failedOrders - Orders that failed to process
+ * @property {number} [deferredOrders] - Batch mode: orders left unprocessed because an
+ *   earlier record in the same request was rejected (AFIP 10016), retried next run
+ * @property {number} [consolidatedInvoices] - Daily consolidated invoices authorized, when
+ *   consolidation is on
  * @property {Array<Object>} results - Detailed results for each order
  */
 
@@ -27,13 +34,26 @@ class ProcessUnprocessedOrders extends UseCase {
   /**
    * @param {IOrderRepository} orderRepository - Order repository
    * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {Object} [options]
+   * @param {IssuerProfileTimeline} [options.issuerProfiles] - Issuer tax profiles, as for CreateInvoice
+   * @param {PointOfSaleRouting} [options.pointOfSaleRouting] - Point of sale rules, as for CreateInvoice
+   * @param {IAfipExportGateway} [options.exportGateway] - WSFEX gateway, as for CreateInvoice
+   * @param {number} [options.exportPointOfSale] - Factura E point of sale, as for CreateInvoice
+   * @param {ICounterpartyRepository} [options.counterpartyRepository] - Identified buyers, as for
+   *   CreateInvoice
+   * @param {number} [options.identificationThreshold] - Consumidor final identification
+   *   threshold, as for CreateInvoice; a daily consolidated invoice stays below it too
+   * @param {number} [options.consolidateBelow] - Consumidor final SELL orders in pesos below
+   *   this amount are invoiced together, one invoice per day; off when omitted
    */
-  constructor(orderRepository, afipGateway) {
+  constructor(orderRepository, afipGateway, options = {}) {
     super();
     this.orderRepository = orderRepository;
     this.afipGateway = afipGateway;
+    this.consolidateBelow = options.consolidateBelow || null;
+    this.identificationThreshold = options.identificationThreshold || null;
     // Create CreateInvoice use case for processing individual orders
-    this.createInvoiceUseCase = new CreateInvoice(orderRepository, afipGateway);
+    this.createInvoiceUseCase = new CreateInvoice(orderRepository, afipGateway, null, options);
   }
 
   /**
@@ -68,9 +88,9 @@ class ProcessUnprocessedOrders extends UseCase {
   async execute(input = {}) {
     this.validateInput(input);
 
-    const { limit, tradeType } = input;
+    const { limit, tradeType, batch = false } = input;
 
-    logger.info('Processing unprocessed orders', { limit, tradeType });
+    logger.info('Processing unprocessed orders', { limit, tradeType, batch });
 
     try {
       // 1. Get all unprocessed orders
@@ -112,66 +132,489 @@ class ProcessUnprocessedOrders extends UseCase {
         event: 'processing_preview'
       });
 
-      // 5. Process each order
-      const results = [];
-      let successCount = 0;
-      let failCount = 0;
+      // 6. Small consumidor final sales of a day go out on one invoice
+      const consolidated = this.consolidateBelow
+        ? await this._processConsolidated(ordersToProcess)
+        : null;
+      const remaining = consolidated ? consolidated.remaining : ordersToProcess;
 
-      for (const order of ordersToProcess) {
-        try {
-          logger.info(`Processing order ${order.orderNumber.value}`);
+      // 7. Everything else, one invoice per order
+      const outcome = batch
+        ? await this._processBatch(remaining)
+        : await this._processEach(remaining);
 
-          const result = await this.createInvoiceUseCase.execute({
-            orderNumber: order.orderNumber.value
-          });
+      return consolidated ? this._withConsolidated(outcome, consolidated) : outcome;
 
-          results.push({
-            orderNumber: result.orderNumber,
-            success: result.success,
-            cae: result.cae,
-            error: result.error
-          });
+    } catch (error) {
+      logger.error('Failed to process unprocessed orders', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
 
-          if (result.success) {
-            successCount++;
-          } else {
-            failCount++;
-          }
+  /**
+   * Invoice each order with CreateInvoice, one request per order
+   * @private
+   * @param {Order[]} ordersToProcess - Eligible orders
+   * @returns {Promise<ProcessUnprocessedOrdersOutput>}
+   */
+  async _processEach(ordersToProcess) {
+    const results = [];
+    let successCount = 0;
+    let failCount = 0;
 
-        } catch (error) {
-          logger.error(`Failed to process order ${order.orderNumber.value}`, {
-            error: error.message
-          });
+    for (const order of ordersToProcess) {
+      try {
+        logger.info(`Processing order ${order.orderNumber.value}`);
 
-          results.push({
-            orderNumber: order.orderNumber.value,
-            success: false,
-            error: error.message
-          });
+        const result = await this.createInvoiceUseCase.execute({
+          orderNumber: order.orderNumber.value
+        });
 
+        results.push({
+          orderNumber: result.orderNumber,
+          success: result.success,
+          cae: result.cae,
+          error: result.error
+        });
+
+        if (result.success) {
+          successCount++;
+        } else {
           failCount++;
         }
+
+      } catch (error) {
+        logger.error(`Failed to process order ${order.orderNumber.value}`, {
+          error: error.message
+        });
+
+        results.push({
+          orderNumber: order.orderNumber.value,
+          success: false,
+          error: error.message
+        });
+
+        failCount++;
       }
+    }
 
-      logger.info('Batch processing completed', {
-        total: ordersToProcess.length,
-        success: successCount,
-        failed: failCount
-      });
+    logger.info('Batch processing completed', {
+      total: ordersToProcess.length,
+      success: successCount,
+      failed: failCount
+    });
+
+    return {
+      totalOrders: ordersToProcess.length,
+      processedOrders: successCount,
+      failedOrders: failCount,
+      results
+    };
+  }
+
+  /**
+   * Invoice the orders eligible for consolidation on one invoice per day.
+   *
+   * Eligible orders (OrderProcessor.canConsolidate) whose buyer is not
+   * registered are grouped by day and by the issuer options they would be
+   * invoiced under (profile, point of sale). A day whose total would reach
+   * the consumidor final identification threshold is split so that each
+   * invoice stays below it. Groups of one, and orders not eligible, are
+   * returned as `remaining` for the usual path.
+   *
+   * Results are recorded like the batch path: approved → every member
+   * processed with the shared CAE and number, rejected → every member
+   * failed, AFIP 10016 or a failed request → left unprocessed.
+   * @private
+   * @param {Order[]} orders - Eligible orders
+   * @returns {Promise<Object>} Counts and results of the consolidated orders, and the orders left
+   */
+  async _processConsolidated(orders) {
+    const summary = { remaining: [], results: [], processedOrders: 0, failedOrders: 0, deferredOrders: 0, invoices: 0 };
+
+    const days = new Map();
+    for (const order of orders) {
+      if (!OrderProcessor.canConsolidate(order, this.consolidateBelow)) {
+        summary.remaining.push(order);
+        continue;
+      }
+      let counterparty;
+      try {
+        counterparty = await this.createInvoiceUseCase.identifyBuyer(order);
+      } catch (error) {
+        // Blocked for want of identification: CreateInvoice reports it
+        summary.remaining.push(order);
+        continue;
+      }
+      if (counterparty) {
+        summary.remaining.push(order);
+        continue;
+      }
+
+      const issuerOptions = this.createInvoiceUseCase.issuerOptionsFor(order, order.orderDate);
+      const key = `${order.orderDate}|${JSON.stringify(issuerOptions)}`;
+      if (!days.has(key)) {
+        days.set(key, { orders: [], issuerOptions });
+      }
+      days.get(key).orders.push(order);
+    }
 
-      return {
-        totalOrders: ordersToProcess.length,
-        processedOrders: successCount,
-        failedOrders: failCount,
-        results
-      };
+    for (const { orders: dayOrders, issuerOptions } of days.values()) {
+      for (const group of this._belowIdentificationThreshold(dayOrders)) {
+        if (group.length < 2) {
+          summary.remaining.push(...group);
+          continue;
+        }
+        await this._submitConsolidated(group, issuerOptions, summary);
+      }
+    }
 
+    return summary;
+  }
+
+  /**
+   * Submit one daily consolidated invoice and record it on every member order
+   * @private
+   * @param {Order[]} group - Orders of one day
+   * @param {Object} issuerOptions - Issuer options they are invoiced under
+   * @param {Object} summary - Consolidation summary to add to
+   */
+  async _submitConsolidated(group, issuerOptions, summary) {
+    const orderNumbers = group.map(order => order.orderNumber.value);
+
+    let invoice;
+    try {
+      invoice = Invoice.fromDailyOrders(group, issuerOptions);
     } catch (error) {
-      logger.error('Failed to process unprocessed orders', {
-        error: error.message
+      summary.remaining.push(...group);
+      return;
+    }
+
+    logger.info('Submitting daily consolidated invoice', {
+      day: invoice.serviceFrom,
+      orders: orderNumbers.length,
+      total: invoice.totalAmount.format(),
+      event: 'invoice_consolidated_start'
+    });
+
+    let result;
+    try {
+      result = await this.afipGateway.createInvoice(invoice);
+    } catch (error) {
+      logger.error('Transient error creating daily invoice — orders left unprocessed for retry', {
+        error: error.message,
+        orderNumbers,
+        event: 'invoice_consolidated_transient_failure'
       });
-      throw error;
+      for (const orderNumber of orderNumbers) {
+        summary.results.push({ orderNumber, success: false, error: error.message });
+      }
+      summary.failedOrders += group.length;
+      return;
+    }
+
+    if (!result.isSuccessful() && CreateInvoice.isSequenceError(result.errorMessage)) {
+      logger.warn('Daily invoice out of sequence — orders left unprocessed for retry', {
+        orderNumbers,
+        error: result.errorMessage,
+        event: 'invoice_consolidated_deferred'
+      });
+      for (const orderNumber of orderNumbers) {
+        summary.results.push({ orderNumber, success: false, deferred: true, error: result.errorMessage });
+      }
+      summary.deferredOrders += group.length;
+      return;
+    }
+
+    const success = result.isSuccessful();
+    if (success) {
+      summary.invoices++;
+    }
+
+    for (const order of group) {
+      const orderNumber = order.orderNumber.value;
+      try {
+        await this.orderRepository.update(order.markAsProcessed(
+          {
+            success,
+            cae: success ? result.cae.value : null,
+            voucherNumber: result.voucherNumber,
+            voucherType: success ? invoice.getInvoiceType() : null,
+            pointOfSale: success ? invoice.pointOfSale : null,
+            receiverVatCondition: success ? invoice.receiverVatCondition : null,
+            invoiceDate: result.invoiceDate,
+            consolidatedOrders: success ? group.length : null,
+            errorMessage: success ? null : result.errorMessage
+          },
+          'automatic'
+        ));
+      } catch (error) {
+        // The CAE exists in AFIP even if the row was not saved: reconcile picks it up
+        logger.error('Failed to save daily invoice result for order', {
+          orderNumber,
+          cae: result.cae?.value,
+          voucherNumber: result.voucherNumber,
+          error: error.message,
+          suggestion: 'Run reconcile <year> <month> --fix to sync database'
+        });
+      }
+
+      summary.results.push({ orderNumber, success, cae: result.cae?.value, error: result.errorMessage, consolidated: true });
+      if (success) {
+        summary.processedOrders++;
+      } else {
+        summary.failedOrders++;
+      }
+    }
+
+    logger.info('Daily consolidated invoice recorded', {
+      day: invoice.serviceFrom,
+      orders: orderNumbers.length,
+      success,
+      cae: result.cae?.value,
+      voucherNumber: result.voucherNumber,
+      event: 'invoice_consolidated_complete'
+    });
+  }
+
+  /**
+   * Split a day's orders so that no invoice reaches the consumidor final
+   * identification threshold, keeping their order
+   * @private
+   * @param {Order[]} orders - Orders of one day
+   * @returns {Order[][]}
+   */
+  _belowIdentificationThreshold(orders) {
+    if (!this.identificationThreshold) {
+      return [orders];
+    }
+
+    const groups = [[]];
+    let total = 0;
+    for (const order of orders) {
+      const amount = order.totalAmount.amount;
+      if (groups[groups.length - 1].length > 0 && total + amount >= this.identificationThreshold) {
+        groups.push([]);
+        total = 0;
+      }
+      groups[groups.length - 1].push(order);
+      total += amount;
+    }
+    return groups;
+  }
+
+  /**
+   * Add the consolidated orders to the outcome of the usual path
+   * @private
+   * @param {ProcessUnprocessedOrdersOutput} outcome - Orders invoiced one by one
+   * @param {Object} consolidated - Summary of _processConsolidated
+   * @returns {ProcessUnprocessedOrdersOutput}
+   */
+  _withConsolidated(outcome, consolidated) {
+    const consolidatedOrders = consolidated.results.length;
+    return {
+      ...outcome,
+      totalOrders: outcome.totalOrders + consolidatedOrders,
+      processedOrders: outcome.processedOrders + consolidated.processedOrders,
+      failedOrders: outcome.failedOrders + consolidated.failedOrders,
+      deferredOrders: (outcome.deferredOrders || 0) + consolidated.deferredOrders,
+      consolidatedInvoices: consolidated.invoices,
+      results: [...consolidated.results, ...outcome.results]
+    };
+  }
+
+  /**
+   * Authorize all orders in multi-record CAE requests and record each result.
+   *
+   * Approved records are saved as processed and rejected ones as failed, like
+   * CreateInvoice does. A rejected record shifts the numbering of every record
+   * after it, so AFIP answers those with 10016: they are left unprocessed and
+   * go out in the next run. If the request fails as a whole (network, AFIP
+   * down) nothing was authorized and every order is left unprocessed.
+   * Orders whose invoice cannot be built go through CreateInvoice one by one
+   * so their failure is recorded the usual way. Each order is invoiced under
+   * the issuer profile in force on its date and routed to its point of sale,
+   * so orders that straddle a profile change or are routed to several points
+   * of sale go out in one request per point of sale and voucher type.
+   * Foreign-currency orders carry AFIP's rate for their date, looked up once
+   * per currency and date. Orders blocked for want of buyer identification go
+   * through CreateInvoice too, which reports them and leaves them pending.
+   * @private
+   * @param {Order[]} orders - Eligible orders
+   * @returns {Promise<ProcessUnprocessedOrdersOutput>}
+   */
+  async _processBatch(orders) {
+    const results = [];
+    let successCount = 0;
+    let failCount = 0;
+    let deferredCount = 0;
+
+    // Requests keyed by point of sale and voucher type (each a numbering sequence)
+    const batches = new Map();
+    const singles = [];
+    const exchangeRates = new Map();
+    let batched = 0;
+    for (const order of orders) {
+      // Factura E goes through WSFEX, one voucher per request
+      if (!order.canBeProcessed() || order.isForeignBuyer()) {
+        singles.push(order);
+        continue;
+      }
+      try {
+        const exchangeRate = await this._exchangeRateFor(order, exchangeRates);
+        const counterparty = await this.createInvoiceUseCase.identifyBuyer(order, { exchangeRate });
+        const invoice = Invoice.fromOrder(order, {
+          exchangeRate,
+          counterparty,
+          ...this.createInvoiceUseCase.issuerOptionsFor(order, order.orderDate)
+        });
+        const { PtoVta, CbteTipo } = invoice.toAfipFormat();
+        const key = `${PtoVta}-${CbteTipo}`;
+        if (!batches.has(key)) {
+          batches.set(key, { orders: [], invoices: [] });
+        }
+        batches.get(key).orders.push(order);
+        batches.get(key).invoices.push(invoice);
+        batched++;
+      } catch (error) {
+        singles.push(order);
+      }
+    }
+
+    for (const { orders: batchable, invoices } of batches.values()) {
+      let invoiceResults = null;
+      try {
+        invoiceResults = await this.afipGateway.createInvoices(invoices);
+      } catch (error) {
+        logger.error('Transient error creating invoice batch — orders left unprocessed for retry', {
+          error: error.message,
+          count: invoices.length,
+          event: 'invoice_batch_transient_failure'
+        });
+
+        for (const order of batchable) {
+          results.push({ orderNumber: order.orderNumber.value, success: false, error: error.message });
+        }
+        failCount += batchable.length;
+      }
+
+      for (let i = 0; invoiceResults && i < batchable.length; i++) {
+        const order = batchable[i];
+        const invoice = invoices[i];
+        const result = invoiceResults[i];
+        const orderNumber = order.orderNumber.value;
+
+        if (!result.isSuccessful() && CreateInvoice.isSequenceError(result.errorMessage)) {
+          logger.warn('Batch record out of sequence — order left unprocessed for retry', {
+            orderNumber,
+            error: result.errorMessage,
+            event: 'invoice_batch_deferred'
+          });
+          results.push({ orderNumber, success: false, deferred: true, error: result.errorMessage });
+          deferredCount++;
+          continue;
+        }
+
+        try {
+          await this.orderRepository.update(order.markAsProcessed(
+            {
+              success: result.isSuccessful(),
+              cae: result.isSuccessful() ? result.cae.value : null,
+              voucherNumber: result.voucherNumber,
+              voucherType: result.isSuccessful() ? invoice.getInvoiceType() : null,
+              pointOfSale: result.isSuccessful() ? invoice.pointOfSale : null,
+              exchangeRate: result.isSuccessful() && invoice.totalAmount.currency !== 'ARS'
+                ? invoice.exchangeRate
+                : null,
+              receiverVatCondition: result.isSuccessful() ? invoice.receiverVatCondition : null,
+              invoiceDate: result.invoiceDate,
+              errorMessage: result.isSuccessful() ? null : result.errorMessage
+            },
+            'automatic'
+          ));
+        } catch (error) {
+          // The CAE exists in AFIP even if the row was not saved: reconcile picks it up
+          logger.error('Failed to save batch result for order', {
+            orderNumber,
+            cae: result.cae?.value,
+            voucherNumber: result.voucherNumber,
+            error: error.message,
+            suggestion: 'Run reconcile <year> <month> --fix to sync database'
+          });
+        }
+
+        results.push({
+          orderNumber,
+          success: result.isSuccessful(),
+          cae: result.cae?.value,
+          error: result.errorMessage
+        });
+
+        if (result.isSuccessful()) {
+          successCount++;
+        } else {
+          failCount++;
+        }
+      }
+    }
+
+    for (const order of singles) {
+      try {
+        const result = await this.createInvoiceUseCase.execute({ orderNumber: order.orderNumber.value });
+        results.push({
+          orderNumber: result.orderNumber,
+          success: result.success,
+          cae: result.cae,
+          error: result.error
+        });
+        if (result.success) {
+          successCount++;
+        } else {
+          failCount++;
+        }
+      } catch (error) {
+        results.push({ orderNumber: order.orderNumber.value, success: false, error: error.message });
+        failCount++;
+      }
+    }
+
+    logger.info('Batch processing completed', {
+      total: orders.length,
+      success: successCount,
+      failed: failCount,
+      deferred: deferredCount,
+      batched,
+      event: 'invoice_batch_complete'
+    });
+
+    return {
+      totalOrders: orders.length,
+      processedOrders: successCount,
+      failedOrders: failCount,
+      deferredOrders: deferredCount,
+      results
+    };
+  }
+
+  /**
+   * AFIP's official exchange rate for an order in foreign currency on its date
+   * @private
+   * @param {Order} order - Order to invoice
+   * @param {Map<string, number>} cache - Rates already looked up, by currency and date
+   * @returns {Promise<number|undefined>} Pesos per unit, undefined for orders in pesos
+   */
+  async _exchangeRateFor(order, cache) {
+    const currency = order.totalAmount.currency;
+    if (currency === 'ARS') {
+      return undefined;
+    }
+    const key = `${currency}-${order.orderDate}`;
+    if (!cache.has(key)) {
+      cache.set(key, await this.afipGateway.getExchangeRate(currency, order.orderDate));
     }
+    return cache.get(key);
   }
 }
 
@@ -0,0 +1,275 @@
+/**
+ * ReconcileMonth Use Case
+ *
+ * Compares what AFIP authorized for our point of sale in a month against the
+ * orders table, and optionally repairs unambiguous gaps the same way the
+ * mark-manual command does.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const Money = require('../../../domain/value-objects/Money');
+const logger = require('../../../utils/logger');
+const { AFIP_VOUCHER_TYPE } = require('../../../shared/constants');
+const { ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} ReconcileMonthInput
+ * @property {number} year - Full year (e.g. 2026)
+ * @property {number} month - Month number 1–12
+ * @property {boolean} [fix=false] - Record unambiguous AFIP vouchers on their orders
+ */
+
+/**
+ * @typedef {Object} ReconcileMonthOutput
+ * @property {number} year
+ * @property {number} month
+ * @property {number} pointOfSale
+ * @property {number} voucherType
+ * @property {number} afipVouchers - Vouchers AFIP authorized in the month
+ * @property {number} matched - Vouchers that agree with the table
+ * @property {Array<Object>} missingInTable - AFIP vouchers no order records
+ * @property {Array<Object>} missingInAfip - Orders invoiced in the month that AFIP does not know
+ * @property {Array<Object>} amountMismatches - Same voucher, different amount or CAE; `orders`
+ *   lists every order on a daily consolidated voucher and `tableAmount` is their total
+ * @property {Array<Object>} fixed - Orders updated by --fix
+ */
+
+class ReconcileMonth extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {Object} options
+   * @param {number} options.pointOfSale - Point of sale to reconcile
+   * @param {number} [options.voucherType=AFIP_VOUCHER_TYPE.INVOICE_C] - Voucher type to walk
+   */
+  constructor(orderRepository, afipGateway, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.afipGateway = afipGateway;
+    this.pointOfSale = options.pointOfSale;
+    this.voucherType = options.voucherType || AFIP_VOUCHER_TYPE.INVOICE_C;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+    const { year, month } = input;
+    if (!year || !Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw new ValidationError('year must be a valid 4-digit number');
+    }
+    if (!month || !Number.isInteger(month) || month < 1 || month > 12) {
+      throw new ValidationError('month must be between 1 and 12');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {ReconcileMonthInput} input - Input parameters
+   * @returns {Promise<ReconcileMonthOutput>} Reconciliation diff
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const { year, month, fix = false } = input;
+    const yearMonth = `${year}-${String(month).padStart(2, '0')}`;
+
+    logger.info('Reconciling month against AFIP', {
+      yearMonth,
+      pointOfSale: this.pointOfSale,
+      voucherType: this.voucherType,
+      fix,
+      event: 'reconcile_start'
+    });
+
+    const vouchers = await this._fetchMonthVouchers(yearMonth);
+    // CAEA vouchers are numbered on their own point of sale, and each point of
+    // sale and voucher type (A, B, C) has its own sequence. Orders invoiced
+    // before the point of sale was recorded belong to the default one.
+    const invoiced = (await this.orderRepository.findSuccessfullyInvoiced())
+      .filter(order => order.authorizationType !== 'CAEA' &&
+        (order.pointOfSale || this.pointOfSale) === this.pointOfSale &&
+        order.voucherType === this.voucherType);
+
+    // A daily consolidated invoice is recorded on every order it covers
+    const byVoucherNumber = new Map();
+    for (const order of invoiced) {
+      if (order.voucherNumber) {
+        const number = Number(order.voucherNumber);
+        byVoucherNumber.set(number, [...(byVoucherNumber.get(number) || []), order]);
+      }
+    }
+
+    const missingInTable = [];
+    const amountMismatches = [];
+    let matched = 0;
+
+    for (const voucher of vouchers) {
+      const orders = byVoucherNumber.get(voucher.voucherNumber);
+      if (!orders) {
+        missingInTable.push({ voucher });
+        continue;
+      }
+
+      const [order] = orders;
+      const tableAmount = Money.sum(...orders.map(member => member.totalAmount)).amount;
+      const caeMatches = orders.every(member =>
+        !member.cae || !voucher.cae || member.cae.value === voucher.cae.value
+      );
+      if (!voucher.matchesAmount(tableAmount) || !caeMatches) {
+        amountMismatches.push({ voucher, order, orders, tableAmount });
+      } else {
+        matched++;
+      }
+    }
+
+    const afipNumbers = new Set(vouchers.map(v => v.voucherNumber));
+    const missingInAfip = invoiced.filter(order =>
+      order.invoiceDate && order.invoiceDate.startsWith(yearMonth) &&
+      !afipNumbers.has(Number(order.voucherNumber))
+    );
+
+    await this._attachCandidates(missingInTable);
+
+    const fixed = fix ? await this._applyFixes(missingInTable) : [];
+
+    logger.info('Month reconciliation complete', {
+      yearMonth,
+      afipVouchers: vouchers.length,
+      matched,
+      missingInTable: missingInTable.length,
+      missingInAfip: missingInAfip.length,
+      amountMismatches: amountMismatches.length,
+      fixed: fixed.length,
+      event: 'reconcile_complete'
+    });
+
+    return {
+      year,
+      month,
+      pointOfSale: this.pointOfSale,
+      voucherType: this.voucherType,
+      afipVouchers: vouchers.length,
+      matched,
+      missingInTable,
+      missingInAfip,
+      amountMismatches,
+      fixed
+    };
+  }
+
+  /**
+   * Walk voucher numbers back from the last authorized one, collecting those
+   * dated in the month. Numbers are sequential and dates never decrease, so
+   * the walk stops at the first voucher dated before the month.
+   * @private
+   * @param {string} yearMonth - YYYY-MM
+   * @returns {Promise<AuthorizedVoucher[]>} Month vouchers, oldest first
+   */
+  async _fetchMonthVouchers(yearMonth) {
+    const last = await this.afipGateway.getLastInvoiceNumber(this.pointOfSale, this.voucherType);
+    const vouchers = [];
+
+    for (let number = last; number > 0; number--) {
+      const voucher = await this.afipGateway.queryInvoice(this.pointOfSale, this.voucherType, number);
+      if (!voucher) {
+        continue;
+      }
+
+      const voucherMonth = voucher.voucherDate.slice(0, 7);
+      if (voucherMonth > yearMonth) {
+        continue;
+      }
+      if (voucherMonth < yearMonth) {
+        break;
+      }
+
+      vouchers.push(voucher);
+    }
+
+    return vouchers.reverse();
+  }
+
+  /**
+   * For each voucher the table lacks, find the orders it could belong to: not
+   * successfully invoiced, same total, and an order date equal to the voucher's
+   * service date (invoices are issued with the order date as service period).
+   * @private
+   */
+  async _attachCandidates(missingInTable) {
+    if (missingInTable.length === 0) {
+      return;
+    }
+
+    const serviceDates = missingInTable.map(({ voucher }) => voucher.serviceFrom || voucher.voucherDate);
+    const from = serviceDates.reduce((a, b) => (a < b ? a : b));
+    const to = serviceDates.reduce((a, b) => (a > b ? a : b));
+    const orders = (await this.orderRepository.findByDateRange(from, to))
+      .filter(order => order.isSellTrade() && !order.isSuccessful());
+
+    const claimed = new Map();
+    for (const entry of missingInTable) {
+      const serviceDate = entry.voucher.serviceFrom || entry.voucher.voucherDate;
+      entry.candidates = orders.filter(order =>
+        order.orderDate === serviceDate && entry.voucher.matchesAmount(order.totalAmount)
+      );
+      for (const order of entry.candidates) {
+        const key = order.orderNumber.value;
+        claimed.set(key, (claimed.get(key) || 0) + 1);
+      }
+    }
+
+    // A match is unambiguous only when the voucher has one candidate and that
+    // order is not also a candidate for another voucher.
+    for (const entry of missingInTable) {
+      const [only] = entry.candidates;
+      entry.match = entry.candidates.length === 1 && claimed.get(only.orderNumber.value) === 1
+        ? only
+        : null;
+    }
+  }
+
+  /**
+   * Record unambiguous AFIP vouchers on their orders, like mark-manual
+   * @private
+   */
+  async _applyFixes(missingInTable) {
+    const fixed = [];
+
+    for (const { voucher, match } of missingInTable) {
+      if (!match) {
+        continue;
+      }
+
+      const pending = match.isFailed() ? match.resetForRetry() : match;
+      const updated = pending
+        .markAsProcessed({
+          success: true,
+          cae: voucher.cae ? voucher.cae.value : null,
+          voucherNumber: voucher.voucherNumber,
+          voucherType: voucher.voucherType,
+          pointOfSale: voucher.pointOfSale,
+          invoiceDate: voucher.voucherDate
+        }, 'manual')
+        .addNotes(`Reconciled with AFIP voucher ${voucher.pointOfSale}-${voucher.voucherNumber}`);
+
+      await this.orderRepository.update(updated);
+      fixed.push({ orderNumber: updated.orderNumber.value, voucherNumber: voucher.voucherNumber });
+
+      logger.info('Order reconciled with AFIP voucher', {
+        orderNumber: updated.orderNumber.value,
+        voucherNumber: voucher.voucherNumber,
+        cae: voucher.cae ? voucher.cae.value : null,
+        event: 'order_reconciled'
+      });
+    }
+
+    return fixed;
+  }
+}
+
+module.exports = ReconcileMonth;
@@ -0,0 +1,119 @@
+/**
+ * ReportCaeaInvoices Use Case
+ *
+ * Reports vouchers issued under a CAEA to AFIP (FECAEARegInformativo) once
+ * WSFE is reachable again, and records which ones AFIP accepted. Each voucher
+ * is restated from what its order recorded when it was issued. Rejected
+ * vouchers stay pending with AFIP's reason added to the order notes.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const Invoice = require('../../../domain/entities/Invoice');
+const logger = require('../../../utils/logger');
+const { DomainError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} ReportCaeaInvoicesOutput
+ * @property {number} pending - Vouchers that were pending report
+ * @property {Array<{orderNumber: string, voucherNumber: number}>} reported - Accepted by AFIP
+ * @property {Array<{orderNumber: string, voucherNumber: number, error: string}>} rejected - Still pending
+ */
+
+class ReportCaeaInvoices extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {Object} options
+   * @param {number} options.pointOfSale - Point of sale the CAEA vouchers were numbered on
+   * @param {IssuerProfileTimeline} [options.issuerProfiles] - Issuer tax profiles; the one in
+   *   force on a voucher's date gives the VAT rate an A/B voucher was split with
+   */
+  constructor(orderRepository, afipGateway, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.afipGateway = afipGateway;
+    this.pointOfSale = options.pointOfSale || null;
+    this.issuerProfiles = options.issuerProfiles || null;
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @returns {Promise<ReportCaeaInvoicesOutput>} Report results
+   */
+  async execute(input = {}) {
+    this.validateInput(input);
+
+    if (!this.pointOfSale) {
+      throw new DomainError('No CAEA point of sale configured (AFIP_CAEA_PTOVTA)');
+    }
+
+    const orders = await this.orderRepository.findPendingCaeaReport();
+    const reported = [];
+    const rejected = [];
+
+    // One FECAEARegInformativo per CAEA (fortnight), point of sale and voucher type
+    const reports = new Map();
+    for (const order of orders) {
+      const pointOfSale = order.pointOfSale || this.pointOfSale;
+      const key = `${order.cae.value}-${pointOfSale}-${order.voucherType}`;
+      if (!reports.has(key)) reports.set(key, { code: order.cae.value, pointOfSale, group: [] });
+      reports.get(key).group.push(order);
+    }
+
+    for (const { code, pointOfSale, group } of reports.values()) {
+      const entries = group.map(order => ({
+        invoice: Invoice.restatementOf(order, { vatRate: this._vatRateOn(order.invoiceDate) }),
+        voucherNumber: order.voucherNumber
+      }));
+
+      const results = await this.afipGateway.reportCaeaInvoices(code, pointOfSale, entries);
+
+      for (let i = 0; i < group.length; i++) {
+        const order = group[i];
+        const result = results[i];
+        const orderNumber = order.orderNumber.value;
+
+        if (result.success) {
+          await this.orderRepository.update(order.markCaeaReported());
+          reported.push({ orderNumber, voucherNumber: order.voucherNumber });
+          continue;
+        }
+
+        // Keep what the notes already say (e.g. an earlier rejection)
+        const notes = order.notes ? `${order.notes}\n${result.error}` : result.error;
+        await this.orderRepository.update(order.addNotes(notes));
+        rejected.push({ orderNumber, voucherNumber: order.voucherNumber, error: result.error });
+        logger.error('AFIP rejected CAEA voucher report', {
+          orderNumber,
+          caea: code,
+          voucherNumber: order.voucherNumber,
+          error: result.error,
+          event: 'caea_report_rejected'
+        });
+      }
+    }
+
+    logger.info('CAEA report complete', {
+      pending: orders.length,
+      reported: reported.length,
+      rejected: rejected.length,
+      event: 'caea_report_complete'
+    });
+
+    return { pending: orders.length, reported, rejected };
+  }
+
+  /**
+   * VAT rate of the issuer profile in force on a date
+   * @private
+   * @param {string} date - Voucher date (YYYY-MM-DD)
+   * @returns {number|undefined} Undefined without profiles (Invoice's default rate)
+   */
+  _vatRateOn(date) {
+    return this.issuerProfiles ? this.issuerProfiles.profileOn(date).invoiceOptions().vatRate : undefined;
+  }
+}
+
+module.exports = ReportCaeaInvoices;
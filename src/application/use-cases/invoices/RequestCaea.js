@@ -0,0 +1,75 @@
+/**
+ * RequestCaea Use Case
+ *
+ * Obtains the CAEA for a fortnight from AFIP and stores it, so vouchers can
+ * still be issued if WSFE goes down during that fortnight. Run it while AFIP
+ * is up; AFIP accepts the request from a few days before the fortnight starts.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const Caea = require('../../../domain/entities/Caea');
+const InvoiceDateValidator = require('../../../domain/services/InvoiceDateValidator');
+const logger = require('../../../utils/logger');
+const { formatToYYYYMMDD } = require('../../../shared/utils/date.utils');
+const { ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} RequestCaeaInput
+ * @property {string} [date] - Any date in the fortnight (YYYY-MM-DD), defaults to today
+ */
+
+class RequestCaea extends UseCase {
+  /**
+   * @param {ICaeaRepository} caeaRepository - CAEA repository
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   */
+  constructor(caeaRepository, afipGateway) {
+    super();
+    this.caeaRepository = caeaRepository;
+    this.afipGateway = afipGateway;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (input.date && !InvoiceDateValidator.isValidDateFormat(input.date)) {
+      throw new ValidationError('date must be YYYY-MM-DD');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {RequestCaeaInput} input - Input parameters
+   * @returns {Promise<Caea>} The stored CAEA
+   */
+  async execute(input = {}) {
+    this.validateInput(input);
+
+    const date = input.date || formatToYYYYMMDD(new Date());
+    const { period, fortnight } = Caea.periodFor(date);
+
+    logger.info('Requesting CAEA', { period, fortnight, event: 'caea_request_start' });
+
+    const caea = await this.afipGateway.requestCaea(period, fortnight);
+    await this.caeaRepository.save(caea);
+
+    logger.info('CAEA stored', {
+      period,
+      fortnight,
+      validFrom: caea.validFrom,
+      validTo: caea.validTo,
+      reportDeadline: caea.reportDeadline,
+      event: 'caea_request_complete'
+    });
+
+    return caea;
+  }
+}
+
+module.exports = RequestCaea;
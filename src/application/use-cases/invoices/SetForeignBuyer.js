@@ -0,0 +1,75 @@
+/**
+ * SetForeignBuyer Use Case
+ *
+ * Flags an order's buyer as a foreign resident (or clears the flag), so the
+ * order is invoiced with a Factura E through WSFEX instead of a WSFE voucher.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const logger = require('../../../utils/logger');
+const { NotFoundError, ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} SetForeignBuyerInput
+ * @property {string} orderNumber - Order to flag
+ * @property {ForeignBuyer|null} foreignBuyer - Buyer details, or null to clear the flag
+ */
+
+class SetForeignBuyer extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   */
+  constructor(orderRepository) {
+    super();
+    this.orderRepository = orderRepository;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (!input.orderNumber) {
+      throw new ValidationError('orderNumber is required');
+    }
+
+    if (input.foreignBuyer === undefined) {
+      throw new ValidationError('foreignBuyer is required (null to clear it)');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {SetForeignBuyerInput} input - Input parameters
+   * @returns {Promise<Order>} The updated order
+   * @throws {NotFoundError} If the order does not exist
+   * @throws {DomainError} If the order is already invoiced
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const { orderNumber, foreignBuyer } = input;
+
+    const order = await this.orderRepository.findByOrderNumber(orderNumber);
+    if (!order) {
+      throw NotFoundError.order(orderNumber);
+    }
+
+    const updated = order.withForeignBuyer(foreignBuyer);
+    await this.orderRepository.update(updated);
+
+    logger.info(foreignBuyer ? 'Order flagged with a foreign buyer' : 'Foreign buyer cleared', {
+      orderNumber,
+      country: foreignBuyer ? foreignBuyer.country : undefined,
+      event: 'foreign_buyer_set'
+    });
+
+    return updated;
+  }
+}
+
+module.exports = SetForeignBuyer;
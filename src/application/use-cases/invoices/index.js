@@ -6,8 +6,26 @@
 
 const CreateInvoice = require('./CreateInvoice');
 const ProcessUnprocessedOrders = require('./ProcessUnprocessedOrders');
+const CreateCreditNote = require('./CreateCreditNote');
+const CreateDebitNote = require('./CreateDebitNote');
+const ReconcileMonth = require('./ReconcileMonth');
+const RequestCaea = require('./RequestCaea');
+const IssueCaeaInvoices = require('./IssueCaeaInvoices');
+const ReportCaeaInvoices = require('./ReportCaeaInvoices');
+const GenerateInvoicePdf = require('./GenerateInvoicePdf');
+const ExportMonthInvoicePdfs = require('./ExportMonthInvoicePdfs');
+const SetForeignBuyer = require('./SetForeignBuyer');
 
 module.exports = {
   CreateInvoice,
-  ProcessUnprocessedOrders
+  ProcessUnprocessedOrders,
+  CreateCreditNote,
+  CreateDebitNote,
+  ReconcileMonth,
+  RequestCaea,
+  IssueCaeaInvoices,
+  ReportCaeaInvoices,
+  GenerateInvoicePdf,
+  ExportMonthInvoicePdfs,
+  SetForeignBuyer
 };
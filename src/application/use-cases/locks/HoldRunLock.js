@@ -0,0 +1,124 @@
+/**
+ * HoldRunLock Use Case
+ *
+ * Runs a piece of work while holding a named run lock, so a second run
+ * that wants the same lock fails fast instead of processing the same
+ * orders. The lock is given back when the work ends, whether it succeeded
+ * or threw; if the process dies instead, the lock goes stale after
+ * ttlMinutes and the next run takes it over.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const UseCase = require('../UseCase');
+const RunLock = require('../../../domain/entities/RunLock');
+const logger = require('../../../utils/logger');
+const { ValidationError, ConflictError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} HoldRunLockInput
+ * @property {string} name - Lock to hold (runs sharing a name exclude each other)
+ * @property {string} command - What the run does, shown to whoever finds the lock held
+ * @property {Function} run - Work to do while holding it; its result is returned
+ */
+
+class HoldRunLock extends UseCase {
+  /**
+   * @param {IRunLockRepository} runLockRepository - Run lock storage
+   * @param {Object} [options]
+   * @param {number} [options.ttlMinutes=60] - A lock not given back goes stale after this long
+   * @param {string} [options.owner] - Identifies this process in the lock (host, pid and a
+   *   random suffix by default)
+   */
+  constructor(runLockRepository, options = {}) {
+    super();
+    this.runLockRepository = runLockRepository;
+    this.ttlMinutes = options.ttlMinutes || 60;
+    this.owner = options.owner || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (!input.name || !input.command) {
+      throw new ValidationError('Lock name and command are required');
+    }
+    if (typeof input.run !== 'function') {
+      throw new ValidationError('run must be a function');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {HoldRunLockInput} input - Input parameters
+   * @returns {Promise<*>} Whatever run returned
+   * @throws {ConflictError} If another run holds the lock
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const now = new Date();
+    const wanted = new RunLock({
+      name: input.name,
+      command: input.command,
+      owner: this.owner,
+      acquiredAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlMinutes * 60 * 1000).toISOString()
+    });
+
+    const lock = await this.runLockRepository.acquire(wanted);
+    if (!lock.isHeldBy(this.owner)) {
+      logger.warn('Run lock held by another run', {
+        lock: lock.name,
+        command: input.command,
+        heldBy: lock.owner,
+        heldFor: lock.command,
+        since: lock.acquiredAt,
+        event: 'run_lock_conflict'
+      });
+      throw new ConflictError(`run ${lock.command} in progress since ${lock.acquiredAt} (${lock.owner})`, {
+        lock: lock.name,
+        command: lock.command,
+        owner: lock.owner,
+        acquiredAt: lock.acquiredAt,
+        expiresAt: lock.expiresAt
+      });
+    }
+
+    logger.info('Run lock acquired', { lock: lock.name, command: lock.command, owner: lock.owner, event: 'run_lock_acquired' });
+
+    try {
+      return await input.run();
+    } finally {
+      await this._release(lock);
+    }
+  }
+
+  /**
+   * Give the lock back without masking the run's own outcome
+   * @private
+   */
+  async _release(lock) {
+    try {
+      const released = await this.runLockRepository.release(lock);
+      if (!released) {
+        logger.warn('Run lock was gone or taken over before it was released', {
+          lock: lock.name,
+          owner: lock.owner,
+          event: 'run_lock_lost'
+        });
+      }
+    } catch (error) {
+      // It goes stale after ttlMinutes; `locks release` frees it sooner
+      logger.error('Failed to release run lock', { lock: lock.name, error: error.message, event: 'run_lock_release_failed' });
+    }
+  }
+}
+
+module.exports = HoldRunLock;
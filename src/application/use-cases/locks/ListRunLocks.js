@@ -0,0 +1,32 @@
+/**
+ * ListRunLocks Use Case
+ *
+ * Lists the run locks in storage, held and stale alike, so an operator can
+ * see which run is in progress or left a lock behind.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+
+class ListRunLocks extends UseCase {
+  /**
+   * @param {IRunLockRepository} runLockRepository - Run lock storage
+   */
+  constructor(runLockRepository) {
+    super();
+    this.runLockRepository = runLockRepository;
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {Object} [input={}]
+   * @returns {Promise<RunLock[]>} Locks, oldest first
+   */
+  async execute(input = {}) {
+    const locks = await this.runLockRepository.findAll();
+    return [...locks].sort((a, b) => a.acquiredAt.localeCompare(b.acquiredAt));
+  }
+}
+
+module.exports = ListRunLocks;
@@ -0,0 +1,59 @@
+/**
+ * ReleaseRunLock Use Case
+ *
+ * Force-releases a run lock, whoever holds it. Meant for a lock left by a
+ * run that died; releasing the lock of a run still in progress lets a
+ * second one start alongside it.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const logger = require('../../../utils/logger');
+const { ValidationError, NotFoundError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} ReleaseRunLockInput
+ * @property {string} name - Lock to release
+ */
+
+class ReleaseRunLock extends UseCase {
+  /**
+   * @param {IRunLockRepository} runLockRepository - Run lock storage
+   */
+  constructor(runLockRepository) {
+    super();
+    this.runLockRepository = runLockRepository;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (!input.name) {
+      throw new ValidationError('Lock name is required');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {ReleaseRunLockInput} input - Input parameters
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If there is no such lock
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const released = await this.runLockRepository.forceRelease(input.name);
+    if (!released) {
+      throw NotFoundError.resource('Run lock', input.name);
+    }
+
+    logger.warn('Run lock force-released', { lock: input.name, event: 'run_lock_force_released' });
+  }
+}
+
+module.exports = ReleaseRunLock;
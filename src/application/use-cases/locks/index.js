@@ -0,0 +1,15 @@
+/**
+ * Run Lock Use Cases
+ *
+ * Exports all run-lock-related use cases
+ */
+
+const HoldRunLock = require('./HoldRunLock');
+const ListRunLocks = require('./ListRunLocks');
+const ReleaseRunLock = require('./ReleaseRunLock');
+
+module.exports = {
+  HoldRunLock,
+  ListRunLocks,
+  ReleaseRunLock
+};
@@ -0,0 +1,74 @@
+/**
+ * GetParameterCatalog Use Case
+ *
+ * Returns the WSFE parameter catalog (FEParamGet*), from the parameters table
+ * while it is younger than maxAgeHours and from AFIP otherwise. If AFIP
+ * cannot be reached, a stale cached catalog is still better than none.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const logger = require('../../../utils/logger');
+
+/**
+ * @typedef {Object} GetParameterCatalogInput
+ * @property {boolean} [refresh=false] - Ignore the cache and query AFIP
+ */
+
+class GetParameterCatalog extends UseCase {
+  /**
+   * @param {IParameterRepository} parameterRepository - Catalog cache
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeHours=24] - Re-query AFIP after this many hours
+   */
+  constructor(parameterRepository, afipGateway, options = {}) {
+    super();
+    this.parameterRepository = parameterRepository;
+    this.afipGateway = afipGateway;
+    this.maxAgeHours = options.maxAgeHours || 24;
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {GetParameterCatalogInput} input - Input parameters
+   * @returns {Promise<ParameterCatalog>} The catalog
+   */
+  async execute(input = {}) {
+    this.validateInput(input);
+
+    const cached = await this.parameterRepository.findCatalog();
+    if (cached && !input.refresh && !cached.isStale(this.maxAgeHours)) {
+      return cached;
+    }
+
+    logger.info('Fetching WSFE parameter catalog', { event: 'parameter_catalog_fetch_start' });
+
+    let catalog;
+    try {
+      catalog = await this.afipGateway.fetchParameterCatalog();
+    } catch (error) {
+      if (!cached) throw error;
+
+      logger.warn('Could not refresh WSFE parameter catalog, using cached copy', {
+        error: error.message,
+        fetchedAt: cached.fetchedAt,
+        event: 'parameter_catalog_refresh_failed'
+      });
+      return cached;
+    }
+
+    await this.parameterRepository.saveCatalog(catalog);
+
+    logger.info('WSFE parameter catalog refreshed', {
+      voucherTypes: catalog.voucherTypes.length,
+      pointsOfSale: catalog.pointsOfSale.length,
+      event: 'parameter_catalog_fetch_complete'
+    });
+
+    return catalog;
+  }
+}
+
+module.exports = GetParameterCatalog;
@@ -0,0 +1,11 @@
+/**
+ * Parameter Use Cases
+ *
+ * Exports all WSFE parameter catalog use cases
+ */
+
+const GetParameterCatalog = require('./GetParameterCatalog');
+
+module.exports = {
+  GetParameterCatalog
+};
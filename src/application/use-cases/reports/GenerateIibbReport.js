@@ -0,0 +1,140 @@
+/**
+ * GenerateIibbReport Use Case
+ *
+ * Builds the monthly Ingresos Brutos declaration on the monthly report: the
+ * taxable base is its invoiced income, the vouchers issued in the month
+ * (invoices by their invoice date, credit and debit notes by their own date).
+ * Each configured jurisdiction applies its rate or simplified-regime bracket,
+ * and the retentions and perceptions suffered are subtracted. The vouchers
+ * the base is made of are listed as backup.
+ * Part of Application Layer - orchestrates reporting logic.
+ */
+
+const UseCase = require('../UseCase');
+const GenerateMonthlyReport = require('./GenerateMonthlyReport');
+const IibbCalculator = require('../../../domain/services/IibbCalculator');
+const MonotributoTracker = require('../../../domain/services/MonotributoTracker');
+const Money = require('../../../domain/value-objects/Money');
+const logger = require('../../../utils/logger');
+const { ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} GenerateIibbReportInput
+ * @property {number} year - Year
+ * @property {number} month - Month 1-12
+ */
+
+/**
+ * @typedef {Object} IibbReport
+ * @property {number} year
+ * @property {number} month
+ * @property {number} base - Taxable base of the month (ARS)
+ * @property {number|null} annualIncome - Income over the last twelve months, when a
+ *   jurisdiction uses brackets (ARS)
+ * @property {Array<Object>} jurisdictions - Tax, credits and amount due per jurisdiction
+ * @property {{tax: number, credits: number, due: number, balanceInFavor: number}} totals
+ * @property {import('./GenerateMonthlyReport').MonthlyVoucher[]} vouchers - Vouchers the base is made of
+ */
+
+class GenerateIibbReport extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {import('../../../domain/entities/IibbJurisdiction')[]} jurisdictions - Jurisdictions filed in
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.credits] - Retentions and perceptions suffered
+   * @param {number} [options.pointOfSale] - Point of sale of orders invoiced before it was recorded
+   */
+  constructor(orderRepository, jurisdictions, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.jurisdictions = jurisdictions || [];
+    this.credits = options.credits || [];
+    this.monthlyReport = new GenerateMonthlyReport(orderRepository, { pointOfSale: options.pointOfSale });
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+    const { year, month } = input;
+    if (!year || !Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw new ValidationError('year must be a valid 4-digit number');
+    }
+    if (!month || !Number.isInteger(month) || month < 1 || month > 12) {
+      throw new ValidationError('month must be between 1 and 12');
+    }
+    if (this.jurisdictions.length === 0) {
+      throw new ValidationError('No IIBB jurisdiction is configured (IIBB_JURISDICTIONS)');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {GenerateIibbReportInput} input - Input parameters
+   * @returns {Promise<IibbReport>} Monthly declaration
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const { year, month } = input;
+    const yearMonth = `${year}-${String(month).padStart(2, '0')}`;
+
+    logger.info('Generating IIBB report', { yearMonth });
+
+    const { stats, vouchers } = await this.monthlyReport.execute({ year, month });
+    const base = Money.of(stats.invoicedAmount, 'ARS');
+
+    let annualIncome = null;
+    if (this.jurisdictions.some(jurisdiction => jurisdiction.isSimplified())) {
+      const lastDay = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+      const { from, to } = MonotributoTracker.windowFor(lastDay);
+      const orders = await this.orderRepository.findSuccessfullyInvoiced();
+      annualIncome = MonotributoTracker.incomeBetween(orders, from, to).amount;
+    }
+
+    const declaration = IibbCalculator.declare({
+      jurisdictions: this.jurisdictions,
+      base,
+      annualIncome,
+      credits: this.credits,
+      month: yearMonth
+    });
+
+    logger.info('IIBB report generated', {
+      yearMonth,
+      base: base.amount,
+      due: declaration.totals.due.amount
+    });
+
+    return {
+      year,
+      month,
+      base: base.amount,
+      annualIncome,
+      jurisdictions: declaration.lines.map(line => ({
+        jurisdiction: line.jurisdiction,
+        regime: line.regime,
+        share: line.share,
+        base: line.base.amount,
+        rate: line.rate,
+        bracket: line.bracket,
+        tax: line.tax.amount,
+        credits: line.credits.amount,
+        due: line.due.amount,
+        balanceInFavor: line.balanceInFavor.amount
+      })),
+      totals: {
+        tax: declaration.totals.tax.amount,
+        credits: declaration.totals.credits.amount,
+        due: declaration.totals.due.amount,
+        balanceInFavor: declaration.totals.balanceInFavor.amount
+      },
+      vouchers
+    };
+  }
+}
+
+module.exports = GenerateIibbReport;
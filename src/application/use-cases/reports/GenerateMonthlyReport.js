@@ -2,12 +2,18 @@
  * GenerateMonthlyReport Use Case
  *
  * Generates a comprehensive monthly report with order and invoice statistics.
+ * Order figures cover the orders placed in the month; invoiced figures cover
+ * the vouchers issued in it (invoices by their invoice date, credit and debit
+ * notes by their own date), so they add up to the Ingresos Brutos base.
  * Part of Application Layer - orchestrates reporting logic.
  */
 
 const UseCase = require('../UseCase');
+const MonotributoTracker = require('../../../domain/services/MonotributoTracker');
+const Money = require('../../../domain/value-objects/Money');
 const logger = require('../../../utils/logger');
 const { formatCurrency } = require('../../../shared/utils/currency.utils');
+const { formatVoucherId } = require('../../../shared/utils/format.utils');
 
 /**
  * @typedef {Object} GenerateMonthlyReportInput
@@ -15,21 +21,36 @@ const { formatCurrency } = require('../../../shared/utils/currency.utils');
  * @property {number} [month] - Month 1-12 (defaults to current month)
  */
 
+/**
+ * @typedef {Object} MonthlyVoucher
+ * @property {string|null} voucher - Point of sale and number (e.g. '00002-00000042')
+ * @property {number} voucherType - AFIP voucher type (an invoice, or a credit or debit note)
+ * @property {string} date - Voucher date (YYYY-MM-DD)
+ * @property {string|null} cae
+ * @property {string[]} orderNumbers - Orders the voucher covers
+ * @property {number} amount - Amount in pesos, negative for a credit note
+ */
+
 /**
  * @typedef {Object} MonthlyReportOutput
  * @property {number} year - Report year
  * @property {number} month - Report month
  * @property {Object} stats - Statistical data
  * @property {Array<Object>} orders - Order details
+ * @property {MonthlyVoucher[]} vouchers - Vouchers issued in the month
  */
 
 class GenerateMonthlyReport extends UseCase {
   /**
    * @param {IOrderRepository} orderRepository - Order repository
+   * @param {Object} [options]
+   * @param {number} [options.pointOfSale] - Point of sale of orders that do not
+   *   record one (AFIP_PTOVTA)
    */
-  constructor(orderRepository) {
+  constructor(orderRepository, options = {}) {
     super();
     this.orderRepository = orderRepository;
+    this.pointOfSale = options.pointOfSale || null;
   }
 
   /**
@@ -77,8 +98,12 @@ class GenerateMonthlyReport extends UseCase {
       // Fetch all orders for the month
       const orders = await this.orderRepository.findByDateRange(startDate, endDate);
 
+      // Vouchers can be dated in a later month than their orders
+      const invoiced = await this.orderRepository.findSuccessfullyInvoiced();
+      const vouchers = this._vouchersBetween(invoiced, startDate, endDate);
+
       // Calculate statistics
-      const stats = this._calculateStatistics(orders);
+      const stats = this._calculateStatistics(orders, vouchers);
 
       // Format order details
       const orderDetails = this._formatOrderDetails(orders);
@@ -93,7 +118,8 @@ class GenerateMonthlyReport extends UseCase {
         year,
         month,
         stats,
-        orders: orderDetails
+        orders: orderDetails,
+        vouchers: vouchers.map(({ pointOfSale, kind, ...voucher }) => ({ ...voucher, amount: voucher.amount.amount }))
       };
 
     } catch (error) {
@@ -107,13 +133,14 @@ class GenerateMonthlyReport extends UseCase {
   }
 
   /**
-   * Calculate statistics from orders
+   * Calculate statistics from orders and the vouchers issued in the month
    *
    * @private
    * @param {Order[]} orders - Orders to analyze
+   * @param {Array<Object>} vouchers - From _vouchersBetween
    * @returns {Object} Statistics
    */
-  _calculateStatistics(orders) {
+  _calculateStatistics(orders, vouchers) {
     const stats = {
       totalOrders: orders.length,
       totalAmount: 0,
@@ -121,26 +148,68 @@ class GenerateMonthlyReport extends UseCase {
       successfulInvoices: 0,
       failedInvoices: 0,
       pendingOrders: 0,
+      invoices: 0,
+      consolidatedOrders: 0,
       averageAmount: 0,
+      invoicedAmount: 0,
+      creditedAmount: 0,
+      debitedAmount: 0,
       byTradeType: {
         SELL: 0,
         BUY: 0
       },
-      byCurrency: {}
+      byCurrency: {},
+      byPointOfSale: {}
     };
 
+    // Invoiced income is net of credit notes and includes debit notes, in
+    // pesos at the exchange rate each invoice was sent to AFIP with. Amounts
+    // are added up in cents and converted once at the end, so the month's
+    // totals do not drift from what AFIP has
+    const cents = { total: 0, invoiced: 0, credited: 0, debited: 0, byPointOfSale: {}, byCurrency: {} };
+
+    for (const voucher of vouchers) {
+      const amount = voucher.amount.minorUnits;
+      cents.invoiced += amount;
+      if (voucher.kind === 'credit') {
+        cents.credited -= amount;
+      } else if (voucher.kind === 'debit') {
+        cents.debited += amount;
+      }
+
+      // Each point of sale numbers its vouchers independently
+      const pointOfSale = voucher.pointOfSale;
+      if (!stats.byPointOfSale[pointOfSale]) {
+        stats.byPointOfSale[pointOfSale] = { count: 0, invoicedAmount: 0 };
+      }
+      // A daily consolidated invoice covers several orders but is one voucher
+      if (voucher.kind === 'invoice') {
+        stats.invoices++;
+        stats.byPointOfSale[pointOfSale].count++;
+      }
+      cents.byPointOfSale[pointOfSale] = (cents.byPointOfSale[pointOfSale] || 0) + amount;
+    }
+
+    stats.invoicedAmount = cents.invoiced / 100;
+    stats.creditedAmount = cents.credited / 100;
+    stats.debitedAmount = cents.debited / 100;
+    for (const [pointOfSale, invoiced] of Object.entries(cents.byPointOfSale)) {
+      stats.byPointOfSale[pointOfSale].invoicedAmount = invoiced / 100;
+    }
+
     if (orders.length === 0) {
       return stats;
     }
 
-    let totalAmountSum = 0;
-
     for (const order of orders) {
       // Count by status
       if (order.isProcessed()) {
         stats.processedOrders++;
         if (order.isSuccessful()) {
           stats.successfulInvoices++;
+          if (order.isConsolidated()) {
+            stats.consolidatedOrders++;
+          }
         } else {
           stats.failedInvoices++;
         }
@@ -154,8 +223,8 @@ class GenerateMonthlyReport extends UseCase {
       }
 
       // Sum amounts
-      const amount = order.totalAmount.amount;
-      totalAmountSum += amount;
+      const amount = order.totalAmount.minorUnits;
+      cents.total += amount;
 
       // Count by currency
       const currency = order.totalAmount.currency;
@@ -166,15 +235,64 @@ class GenerateMonthlyReport extends UseCase {
         };
       }
       stats.byCurrency[currency].count++;
-      stats.byCurrency[currency].total += amount;
+      cents.byCurrency[currency] = (cents.byCurrency[currency] || 0) + amount;
     }
 
-    stats.totalAmount = totalAmountSum;
-    stats.averageAmount = totalAmountSum / orders.length;
+    stats.totalAmount = cents.total / 100;
+    stats.averageAmount = stats.totalAmount / orders.length;
+    for (const [currency, total] of Object.entries(cents.byCurrency)) {
+      stats.byCurrency[currency].total = total / 100;
+    }
 
     return stats;
   }
 
+  /**
+   * Vouchers issued between two dates: invoices by their invoice date, and
+   * each credit or debit note by its own date, whatever month its invoice is
+   * in. The orders of a daily consolidated invoice share one entry.
+   *
+   * @private
+   * @param {Order[]} orders - Successfully invoiced orders
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Array<Object>} Vouchers with their point of sale and kind
+   *   ('invoice', 'credit' or 'debit'), amounts as Money in pesos
+   */
+  _vouchersBetween(orders, from, to) {
+    const vouchers = new Map();
+
+    for (const order of orders) {
+      const pointOfSale = this._pointOfSaleOf(order);
+
+      for (const { date, amount, note } of MonotributoTracker.incomeEntriesOf(order)) {
+        if (date < from || date > to) {
+          continue;
+        }
+
+        const key = note ? `${pointOfSale}-${note.voucherType}-${note.voucherNumber}` : this._voucherKeyOf(order);
+        const voucherNumber = note ? note.voucherNumber : order.voucherNumber;
+        const voucher = vouchers.get(key) || {
+          voucher: voucherNumber ? formatVoucherId(pointOfSale, voucherNumber) : null,
+          voucherType: note ? note.voucherType : order.voucherType,
+          date,
+          cae: note ? note.cae : (order.cae ? order.cae.value : null),
+          orderNumbers: [],
+          amount: Money.zero('ARS'),
+          pointOfSale,
+          kind: note ? note.kind : 'invoice'
+        };
+        voucher.orderNumbers.push(order.orderNumber.value);
+        voucher.amount = voucher.amount.add(amount);
+        vouchers.set(key, voucher);
+      }
+    }
+
+    return [...vouchers.values()].sort((a, b) =>
+      String(a.voucher).localeCompare(String(b.voucher)) || a.voucherType - b.voucherType
+    );
+  }
+
   /**
    * Format order details for output
    *
@@ -183,21 +301,61 @@ class GenerateMonthlyReport extends UseCase {
    * @returns {Array<Object>} Formatted order details
    */
   _formatOrderDetails(orders) {
-    return orders.map(order => ({
-      orderNumber: order.orderNumber.value,
-      orderDate: order.orderDate,
-      tradeType: order.tradeType,
-      totalPrice: order.totalAmount.amount,
-      fiat: order.totalAmount.currency,
-      asset: order.asset,
-      processing_status: order.isProcessed()
-        ? (order.isSuccessful() ? 'success' : 'failed')
-        : 'pending',
-      cae: order.cae || null,
-      voucherNumber: order.voucherNumber || null,
-      error_message: order.errorMessage || null,
-      processing_method: order.processingMethod || null
-    }));
+    return orders.map(order => {
+      const pointOfSale = order.voucherNumber ? this._pointOfSaleOf(order) : null;
+      return {
+        orderNumber: order.orderNumber.value,
+        orderDate: order.orderDate,
+        tradeType: order.tradeType,
+        totalPrice: order.totalAmount.amount,
+        fiat: order.totalAmount.currency,
+        exchangeRate: order.exchangeRate,
+        asset: order.asset,
+        processing_status: order.isProcessed()
+          ? (order.isSuccessful() ? 'success' : 'failed')
+          : 'pending',
+        cae: order.cae || null,
+        pointOfSale,
+        voucherType: order.voucherType,
+        voucherNumber: order.voucherNumber || null,
+        voucher: pointOfSale ? formatVoucherId(pointOfSale, order.voucherNumber) : null,
+        invoiceDate: order.invoiceDate || null,
+        consolidatedOrders: order.consolidatedOrders,
+        // Invoiced amounts in pesos, like the stats
+        creditedAmount: order.toPesos(order.getCreditedAmount()).amount,
+        debitedAmount: order.toPesos(order.getDebitedAmount()).amount,
+        netInvoicedAmount: order.toPesos(order.getNetInvoicedAmount()).amount,
+        error_message: order.errorMessage || null,
+        processing_method: order.processingMethod || null
+      };
+    });
+  }
+
+  /**
+   * Point of sale an order was invoiced on; orders invoiced before points of
+   * sale were recorded belong to the default one
+   *
+   * @private
+   * @param {Order} order - Invoiced order
+   * @returns {number|null} Point of sale
+   */
+  _pointOfSaleOf(order) {
+    return order.pointOfSale || this.pointOfSale;
+  }
+
+  /**
+   * Voucher an invoiced order is on, the same for every order of a daily
+   * consolidated invoice
+   *
+   * @private
+   * @param {Order} order - Invoiced order
+   * @returns {string} Voucher key
+   */
+  _voucherKeyOf(order) {
+    if (!order.voucherNumber) {
+      return order.orderNumber.value;
+    }
+    return `${this._pointOfSaleOf(order)}-${order.voucherType || ''}-${order.voucherNumber}`;
   }
 
   /**
@@ -0,0 +1,213 @@
+/**
+ * GenerateRecategorizationReport Use Case
+ *
+ * Gathers what a semiannual monotributo recategorization needs: invoiced
+ * income of the twelve months up to the close of the semester, month by
+ * month (invoices by their invoice date, credit and debit notes by their
+ * own), and the category it lands in under the caps
+ * in force for the declaration. The result is the backup handed to the
+ * accountant.
+ * Part of Application Layer - orchestrates reporting logic.
+ */
+
+const UseCase = require('../UseCase');
+const MonotributoTracker = require('../../../domain/services/MonotributoTracker');
+const Money = require('../../../domain/value-objects/Money');
+const logger = require('../../../utils/logger');
+const { ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} GenerateRecategorizationReportInput
+ * @property {number} year - Year the semester belongs to
+ * @property {number} semester - 1 (closes June 30) or 2 (closes December 31)
+ */
+
+/**
+ * @typedef {Object} RecategorizationMonth
+ * @property {string} month - YYYY-MM
+ * @property {number} invoices - Invoices issued in the month
+ * @property {number} invoiced - Invoiced amount, debit notes of the month included (ARS)
+ * @property {number} credited - Credit notes issued in the month (ARS)
+ * @property {number} income - Invoiced net of credit notes (ARS)
+ */
+
+/**
+ * @typedef {Object} RecategorizationReport
+ * @property {number} year
+ * @property {number} semester
+ * @property {{from: string, to: string}} period - Twelve months counted
+ * @property {string} capsDate - Date the category caps are taken on
+ * @property {RecategorizationMonth[]} months - Oldest first, all twelve
+ * @property {{invoices: number, invoiced: number, credited: number, income: number}} totals
+ * @property {Object|null} category - Resulting category; null when over every cap
+ * @property {number} usage - Income over the resulting (or top) category's cap
+ * @property {string|null} registeredCategory - Category before recategorizing
+ * @property {string|null} change - 'up', 'down' or 'same' against the registered category
+ * @property {boolean} exceedsScale - The income is over the top category
+ * @property {string} generatedAt - ISO timestamp
+ */
+
+class GenerateRecategorizationReport extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {import('../../../domain/entities/MonotributoScale')} scale - Category caps
+   * @param {Object} [options]
+   * @param {string} [options.registeredCategory] - Category the issuer is registered in
+   */
+  constructor(orderRepository, scale, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.scale = scale;
+    this.registeredCategory = options.registeredCategory || null;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+    const { year, semester } = input;
+    if (!year || !Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw new ValidationError('year must be a valid 4-digit number');
+    }
+    if (semester !== 1 && semester !== 2) {
+      throw new ValidationError('semester must be 1 (January-June) or 2 (July-December)');
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {GenerateRecategorizationReportInput} input - Input parameters
+   * @returns {Promise<RecategorizationReport>} Recategorization backup
+   * @throws {ValidationError} If the semester has not closed yet
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const { year, semester } = input;
+    const { from, to, capsDate } = MonotributoTracker.recategorizationWindow(year, semester);
+
+    const today = new Date().toISOString().split('T')[0];
+    if (to >= today) {
+      throw ValidationError.forField('semester', `Semester ${semester} of ${year} closes on ${to}; run \`monotributo\` for the figures so far`);
+    }
+
+    logger.info('Generating recategorization report', { year, semester, from, to });
+
+    // Invoices count on their invoice date and notes on their own, either of
+    // which can fall in a later month than the order, so the period cannot be
+    // read by order date
+    const orders = await this.orderRepository.findSuccessfullyInvoiced();
+
+    const months = this._monthsOf(orders, from);
+    const income = MonotributoTracker.incomeBetween(orders, from, to);
+    const categories = this.scale.categoriesOn(capsDate);
+    const category = this.scale.categoryFor(income.amount, capsDate);
+    const measuredAgainst = category || categories[categories.length - 1];
+
+    const report = {
+      year,
+      semester,
+      period: { from, to },
+      capsDate,
+      months,
+      totals: {
+        invoices: months.reduce((sum, month) => sum + month.invoices, 0),
+        invoiced: this._sumOf(months, 'invoiced'),
+        credited: this._sumOf(months, 'credited'),
+        income: income.amount
+      },
+      category,
+      usage: Math.round((income.amount / measuredAgainst.maxIncome) * 10000) / 10000,
+      registeredCategory: this.registeredCategory,
+      change: this._changeOf(category, categories),
+      exceedsScale: category === null,
+      generatedAt: new Date().toISOString()
+    };
+
+    logger.info('Recategorization report generated', {
+      year,
+      semester,
+      income: report.totals.income,
+      category: category ? category.category : null
+    });
+
+    return report;
+  }
+
+  /**
+   * Income month by month, all twelve months listed even when empty. Each
+   * invoice and each note lands in the month of its own date
+   * @private
+   * @param {Order[]} orders - Successfully invoiced orders
+   * @param {string} from - First day of the period
+   * @returns {RecategorizationMonth[]}
+   */
+  _monthsOf(orders, from) {
+    const [startYear, startMonth] = from.split('-').map(Number);
+    const entries = orders.flatMap(order =>
+      MonotributoTracker.incomeEntriesOf(order).map(entry => ({ ...entry, order }))
+    );
+    const months = [];
+
+    for (let i = 0; i < MonotributoTracker.WINDOW_MONTHS; i++) {
+      const start = new Date(Date.UTC(startYear, startMonth - 1 + i, 1));
+      const month = start.toISOString().slice(0, 7);
+      const inMonth = entries.filter(entry => entry.date.startsWith(month));
+      const invoices = inMonth.filter(entry => !entry.note);
+
+      const invoicedTotal = Money.sum(Money.zero('ARS'), ...inMonth
+        .filter(entry => !entry.note || entry.note.kind === 'debit')
+        .map(entry => entry.amount));
+      const creditedTotal = Money.sum(Money.zero('ARS'), ...inMonth
+        .filter(entry => entry.note && entry.note.kind === 'credit')
+        .map(entry => entry.amount.negate()));
+
+      months.push({
+        month,
+        // A daily consolidated invoice covers several orders: vouchers are counted once
+        invoices: new Set(invoices.map(({ order }) => `${order.pointOfSale}-${order.voucherType}-${order.voucherNumber}`)).size,
+        invoiced: invoicedTotal.amount,
+        credited: creditedTotal.amount,
+        income: invoicedTotal.subtract(creditedTotal).amount
+      });
+    }
+
+    return months;
+  }
+
+  /**
+   * Total of one amount column, added up in cents
+   * @private
+   * @param {RecategorizationMonth[]} months
+   * @param {string} field
+   * @returns {number}
+   */
+  _sumOf(months, field) {
+    return Money.sum(...months.map(month => Money.of(month[field], 'ARS'))).amount;
+  }
+
+  /**
+   * Direction of the change from the registered category
+   * @private
+   * @param {Object|null} category - Resulting category
+   * @param {Object[]} categories - Categories in force, lowest cap first
+   * @returns {string|null} Null when no registered category is configured
+   */
+  _changeOf(category, categories) {
+    if (!this.registeredCategory) {
+      return null;
+    }
+    const letters = categories.map(c => c.category);
+    const registered = letters.indexOf(this.registeredCategory.toUpperCase());
+    const resulting = category ? letters.indexOf(category.category) : letters.length;
+    if (resulting === registered) {
+      return 'same';
+    }
+    return resulting > registered ? 'up' : 'down';
+  }
+}
+
+module.exports = GenerateRecategorizationReport;
@@ -0,0 +1,164 @@
+/**
+ * TrackMonotributoIncome Use Case
+ *
+ * Measures invoiced income over the last twelve months against the
+ * monotributo category caps, projects the month in progress to its end and
+ * flags the figures past the warning thresholds, so P2P volume does not push
+ * the issuer over a category without notice.
+ * Part of Application Layer - orchestrates reporting logic.
+ */
+
+const UseCase = require('../UseCase');
+const MonotributoTracker = require('../../../domain/services/MonotributoTracker');
+const logger = require('../../../utils/logger');
+const { ValidationError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} TrackMonotributoIncomeInput
+ * @property {number} [year] - Year (defaults to current year)
+ * @property {number} [month] - Month 1-12 (defaults to current month)
+ */
+
+/**
+ * @typedef {Object} MonotributoStatus
+ * @property {string} asOf - Last day counted (today for the month in progress)
+ * @property {{from: string, to: string}} window - Twelve months the income covers
+ * @property {number} income - Invoiced income in the window (ARS)
+ * @property {number} monthIncome - Invoiced income of the tracked month (ARS)
+ * @property {number} projectedIncome - Window income at month end (ARS)
+ * @property {Object|null} category - Lowest category covering the income
+ * @property {Object|null} projectedCategory - Lowest category covering the projection
+ * @property {Object} limit - Category usage is measured against
+ * @property {boolean} registered - The limit is the configured registered category
+ * @property {number} usage - Income over the limit's cap
+ * @property {number} projectedUsage - Projection over the limit's cap
+ * @property {number} remaining - Income left before the limit's cap (ARS)
+ * @property {boolean} exceedsScale - The income is over the top category
+ * @property {Array<Object>} warnings - Figures past a threshold
+ */
+
+class TrackMonotributoIncome extends UseCase {
+  /**
+   * @param {IOrderRepository} orderRepository - Order repository
+   * @param {import('../../../domain/entities/MonotributoScale')} scale - Category caps
+   * @param {Object} [options]
+   * @param {string} [options.registeredCategory] - Category the issuer is registered in
+   * @param {number[]} [options.thresholds] - Shares of the cap to warn at
+   */
+  constructor(orderRepository, scale, options = {}) {
+    super();
+    this.orderRepository = orderRepository;
+    this.scale = scale;
+    this.registeredCategory = options.registeredCategory || null;
+    this.thresholds = options.thresholds || MonotributoTracker.DEFAULT_THRESHOLDS;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    if (input.year !== undefined) {
+      if (typeof input.year !== 'number' || input.year < 2000 || input.year > 2100) {
+        throw new ValidationError('year must be a number between 2000 and 2100');
+      }
+    }
+
+    if (input.month !== undefined) {
+      if (typeof input.month !== 'number' || input.month < 1 || input.month > 12) {
+        throw new ValidationError('month must be a number between 1 and 12');
+      }
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {TrackMonotributoIncomeInput} input - Input parameters
+   * @returns {Promise<MonotributoStatus>} Income against the category caps
+   * @throws {ValidationError} If the month has not started yet
+   */
+  async execute(input = {}) {
+    this.validateInput(input);
+
+    const now = new Date();
+    const year = input.year || now.getFullYear();
+    const month = input.month || now.getMonth() + 1;
+    const asOf = this._asOf(year, month, now);
+
+    const window = MonotributoTracker.windowFor(asOf);
+    const monthStart = `${asOf.slice(0, 7)}-01`;
+
+    logger.info('Tracking monotributo income', { asOf, from: window.from });
+
+    // Invoices count on their invoice date, which can fall in a later month
+    // than the order, so the window cannot be read by order date
+    const orders = await this.orderRepository.findSuccessfullyInvoiced();
+
+    const income = MonotributoTracker.incomeBetween(orders, window.from, window.to);
+    const monthIncome = MonotributoTracker.incomeBetween(orders, monthStart, asOf);
+    const projectedIncome = MonotributoTracker.projectMonthEnd(income, monthIncome, asOf);
+
+    const assessment = MonotributoTracker.assess({
+      income,
+      projectedIncome,
+      scale: this.scale,
+      asOf,
+      registeredCategory: this.registeredCategory,
+      thresholds: this.thresholds
+    });
+
+    if (assessment.warnings.length > 0) {
+      logger.warn('Monotributo income near the category cap', {
+        asOf,
+        category: assessment.limit.category,
+        usage: assessment.usage,
+        projectedUsage: assessment.projectedUsage
+      });
+    }
+
+    return {
+      asOf,
+      window,
+      income: income.amount,
+      monthIncome: monthIncome.amount,
+      projectedIncome: projectedIncome.amount,
+      category: assessment.category,
+      projectedCategory: assessment.projectedCategory,
+      limit: assessment.limit,
+      registered: Boolean(this.registeredCategory),
+      usage: assessment.usage,
+      projectedUsage: assessment.projectedUsage,
+      remaining: assessment.remaining.amount,
+      exceedsScale: assessment.exceedsScale,
+      warnings: assessment.warnings
+    };
+  }
+
+  /**
+   * Last day counted for a month: today for the month in progress, else its last day
+   * @private
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @param {Date} now
+   * @returns {string} YYYY-MM-DD
+   * @throws {ValidationError} If the month is in the future
+   */
+  _asOf(year, month, now) {
+    const prefix = `${year}-${String(month).padStart(2, '0')}`;
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+    if (prefix > today.slice(0, 7)) {
+      throw ValidationError.forField('month', `${prefix} has not started yet`);
+    }
+    if (prefix === today.slice(0, 7)) {
+      return today;
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return `${prefix}-${String(lastDay).padStart(2, '0')}`;
+  }
+}
+
+module.exports = TrackMonotributoIncome;
@@ -5,7 +5,13 @@
  */
 
 const GenerateMonthlyReport = require('./GenerateMonthlyReport');
+const TrackMonotributoIncome = require('./TrackMonotributoIncome');
+const GenerateRecategorizationReport = require('./GenerateRecategorizationReport');
+const GenerateIibbReport = require('./GenerateIibbReport');
 
 module.exports = {
-  GenerateMonthlyReport
+  GenerateMonthlyReport,
+  TrackMonotributoIncome,
+  GenerateRecategorizationReport,
+  GenerateIibbReport
 };
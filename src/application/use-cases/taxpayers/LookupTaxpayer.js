@@ -0,0 +1,87 @@
+/**
+ * LookupTaxpayer Use Case
+ *
+ * Resolves a CUIT to the taxpayer registered in the AFIP padrón. Results are
+ * cached in the taxpayers table so repeat buyers are not looked up again
+ * until the cached entry is older than maxAgeDays.
+ * Part of Application Layer - orchestrates domain and infrastructure.
+ */
+
+const UseCase = require('../UseCase');
+const logger = require('../../../utils/logger');
+const { CUITValidator } = require('../../../shared/validation/validators');
+const { ValidationError, NotFoundError } = require('../../../shared/errors');
+
+/**
+ * @typedef {Object} LookupTaxpayerInput
+ * @property {string} cuit - CUIT to look up
+ * @property {boolean} [refresh=false] - Ignore the cache and query the padrón
+ */
+
+class LookupTaxpayer extends UseCase {
+  /**
+   * @param {ITaxpayerRepository} taxpayerRepository - Taxpayer cache
+   * @param {IAfipGateway} afipGateway - AFIP gateway
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeDays=30] - Re-query the padrón after this many days
+   */
+  constructor(taxpayerRepository, afipGateway, options = {}) {
+    super();
+    this.taxpayerRepository = taxpayerRepository;
+    this.afipGateway = afipGateway;
+    this.maxAgeDays = options.maxAgeDays || 30;
+  }
+
+  /**
+   * Validate input parameters
+   * @override
+   */
+  validateInput(input) {
+    super.validateInput(input);
+
+    const validation = CUITValidator.validate(input.cuit);
+    if (!validation.valid) {
+      throw new ValidationError(`Invalid CUIT: ${validation.errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * Execute the use case
+   *
+   * @param {LookupTaxpayerInput} input - Input parameters
+   * @returns {Promise<Taxpayer>} The taxpayer
+   * @throws {NotFoundError} If the padrón does not know the CUIT
+   */
+  async execute(input) {
+    this.validateInput(input);
+
+    const cuit = String(input.cuit).replace(/-/g, '');
+
+    if (!input.refresh) {
+      const cached = await this.taxpayerRepository.findByCuit(cuit);
+      if (cached && !cached.isStale(this.maxAgeDays)) {
+        logger.debug('Taxpayer found in cache', { cuit, event: 'taxpayer_cache_hit' });
+        return cached;
+      }
+    }
+
+    logger.info('Looking up taxpayer in AFIP padrón', { cuit, event: 'taxpayer_lookup_start' });
+
+    const taxpayer = await this.afipGateway.lookupTaxpayer(cuit);
+    if (!taxpayer) {
+      throw NotFoundError.resource('Taxpayer', cuit);
+    }
+
+    await this.taxpayerRepository.save(taxpayer);
+
+    logger.info('Taxpayer looked up', {
+      cuit,
+      taxCondition: taxpayer.taxCondition,
+      event: 'taxpayer_lookup_complete'
+    });
+
+    return taxpayer;
+  }
+}
+
+module.exports = LookupTaxpayer;
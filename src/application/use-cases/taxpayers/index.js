@@ -0,0 +1,11 @@
+/**
+ * Taxpayer Use Cases
+ *
+ * Exports all taxpayer-related use cases
+ */
+
+const LookupTaxpayer = require('./LookupTaxpayer');
+
+module.exports = {
+  LookupTaxpayer
+};
@@ -10,6 +10,7 @@
 const container = require('../../application/di/container');
 const ConsoleFormatter = require('../formatters/ConsoleFormatter');
 const ReportFormatter = require('../formatters/ReportFormatter');
+const RunLock = require('../../domain/entities/RunLock');
 const logger = require('../../utils/logger');
 
 class BinanceCommand {
@@ -217,10 +218,12 @@ class BinanceCommand {
     // Get use case from DI container (already initialized)
     const processUnprocessedOrdersUseCase = container.getProcessUnprocessedOrdersUseCase();
 
-    // Execute use case
-    const result = await processUnprocessedOrdersUseCase.execute();
-
-    return result;
+    // Execute use case under the processing lock, like `process`
+    return container.getHoldRunLockUseCase().execute({
+      name: RunLock.PROCESSING,
+      command: 'binance:auto',
+      run: () => processUnprocessedOrdersUseCase.execute()
+    });
   }
 }
 
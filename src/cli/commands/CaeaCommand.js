@@ -0,0 +1,155 @@
+/**
+ * CaeaCommand
+ *
+ * CLI command handler for CAEA contingency mode (AFIP outages)
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const TableFormatter = require('../formatters/TableFormatter');
+const RunLock = require('../../domain/entities/RunLock');
+const logger = require('../../utils/logger');
+
+class CaeaCommand {
+  /**
+   * Request and store the CAEA for a fortnight
+   * @param {string} [date] - Any date in the fortnight (YYYY-MM-DD), defaults to today
+   */
+  static async requestCaea(date) {
+    ConsoleFormatter.header('Requesting CAEA');
+
+    try {
+      await container.initialize();
+
+      const useCase = container.getRequestCaeaUseCase();
+
+      ConsoleFormatter.progress('Requesting CAEA from AFIP');
+      const caea = await useCase.execute({ date });
+
+      ConsoleFormatter.success('CAEA stored');
+      ConsoleFormatter.keyValue('CAEA', caea.code, 1);
+      ConsoleFormatter.keyValue('Period', `${caea.period} / ${caea.fortnight}`, 1);
+      ConsoleFormatter.keyValue('Valid', `${caea.validFrom} → ${caea.validTo}`, 1);
+      ConsoleFormatter.keyValue('Report by', caea.reportDeadline, 1);
+
+      return caea;
+    } catch (error) {
+      ConsoleFormatter.error('CAEA request failed', error);
+      logger.error('CAEA request exception', {
+        error: error.message,
+        date,
+        event: 'caea_request_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * Invoice pending orders locally under the stored CAEA
+   */
+  static async issueInvoices() {
+    ConsoleFormatter.header('Issuing Invoices under CAEA (contingency)');
+
+    try {
+      await container.initialize();
+
+      const useCase = container.getIssueCaeaInvoicesUseCase();
+
+      // Hold the processing lock: process runs invoice the same pending orders
+      const result = await container.getHoldRunLockUseCase().execute({
+        name: RunLock.PROCESSING,
+        command: 'caea-issue',
+        run: () => useCase.execute()
+      });
+
+      ConsoleFormatter.keyValue('CAEA', result.caea, 1);
+      ConsoleFormatter.keyValue('Point of Sale', result.pointOfSale, 1);
+      ConsoleFormatter.keyValue('Invoice Date', result.invoiceDate, 1);
+      ConsoleFormatter.newLine();
+
+      if (result.issued.length > 0) {
+        TableFormatter.format(result.issued, ['orderNumber', 'voucherType', 'voucherNumber'], {
+          headers: { orderNumber: 'Order', voucherNumber: 'Voucher' }
+        });
+        ConsoleFormatter.newLine();
+        ConsoleFormatter.success(`Issued ${result.issued.length} voucher(s) — run caea-report once AFIP is back`);
+      } else {
+        ConsoleFormatter.info('No pending orders to invoice');
+      }
+
+      result.skipped.forEach(s => ConsoleFormatter.warning(`${s.orderNumber}: ${s.error}`));
+
+      logger.info('CAEA issue command complete', {
+        issued: result.issued.length,
+        skipped: result.skipped.length,
+        event: 'caea_issue_command_complete'
+      });
+
+      return result;
+    } catch (error) {
+      ConsoleFormatter.error('CAEA issue failed', error);
+      logger.error('CAEA issue exception', {
+        error: error.message,
+        event: 'caea_issue_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * Report CAEA vouchers still pending to AFIP
+   */
+  static async reportInvoices() {
+    ConsoleFormatter.header('Reporting CAEA Vouchers to AFIP');
+
+    try {
+      await container.initialize();
+
+      const useCase = container.getReportCaeaInvoicesUseCase();
+
+      ConsoleFormatter.progress('Sending FECAEARegInformativo');
+      const result = await useCase.execute();
+
+      if (result.pending === 0) {
+        ConsoleFormatter.info('No CAEA vouchers pending report');
+        return result;
+      }
+
+      ConsoleFormatter.keyValue('Pending', result.pending, 1);
+      ConsoleFormatter.keyValue('Reported', result.reported.length, 1);
+      ConsoleFormatter.keyValue('Rejected', result.rejected.length, 1);
+      ConsoleFormatter.newLine();
+
+      if (result.rejected.length > 0) {
+        TableFormatter.format(result.rejected, ['orderNumber', 'voucherNumber', 'error'], {
+          headers: { orderNumber: 'Order', voucherNumber: 'Voucher' }
+        });
+        process.exitCode = 1;
+      }
+
+      logger.info('CAEA report command complete', {
+        reported: result.reported.length,
+        rejected: result.rejected.length,
+        event: 'caea_report_command_complete'
+      });
+
+      return result;
+    } catch (error) {
+      ConsoleFormatter.error('CAEA report failed', error);
+      logger.error('CAEA report exception', {
+        error: error.message,
+        event: 'caea_report_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+}
+
+module.exports = CaeaCommand;
@@ -0,0 +1,57 @@
+/**
+ * CounterpartyCommand
+ *
+ * CLI command handler for the registry of identified buyers (Binance
+ * nickname → document), used on invoices above the identification threshold
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const logger = require('../../utils/logger');
+
+class CounterpartyCommand {
+  /**
+   * Register (or replace) the document of a Binance buyer
+   * @param {Object} input
+   * @param {string} input.nickname - Binance buyer nickname
+   * @param {number} input.docType - AFIP document type
+   * @param {string} input.docNumber - Document number
+   * @param {string} [input.name] - Buyer's name
+   * @param {number} [input.vatCondition] - Buyer's VAT condition (defaults to consumidor final)
+   * @returns {Promise<Counterparty>} The registered buyer
+   */
+  static async register(input) {
+    ConsoleFormatter.header('Register Buyer');
+
+    try {
+      await container.initialize();
+
+      const useCase = container.getRegisterCounterpartyUseCase();
+      const counterparty = await useCase.execute(input);
+
+      ConsoleFormatter.keyValue('Nickname', counterparty.nickname, 1);
+      ConsoleFormatter.keyValue('Document type', counterparty.docType, 1);
+      ConsoleFormatter.keyValue('Document number', counterparty.docNumber, 1);
+      if (counterparty.name) {
+        ConsoleFormatter.keyValue('Name', counterparty.name, 1);
+      }
+      ConsoleFormatter.keyValue('VAT condition id', counterparty.vatCondition, 1);
+      ConsoleFormatter.success('Invoices to this buyer will carry their document');
+
+      return counterparty;
+    } catch (error) {
+      ConsoleFormatter.error('Could not register buyer', error);
+      logger.error('Buyer registration exception', {
+        error: error.message,
+        nickname: input.nickname,
+        event: 'buyer_register_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+}
+
+module.exports = CounterpartyCommand;
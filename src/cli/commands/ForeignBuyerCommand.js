@@ -0,0 +1,55 @@
+/**
+ * ForeignBuyerCommand
+ *
+ * CLI command handler for flagging orders sold to foreign residents
+ * (invoiced with a Factura E through WSFEX)
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const logger = require('../../utils/logger');
+
+class ForeignBuyerCommand {
+  /**
+   * Flag an order's buyer as a foreign resident, or clear the flag
+   * @param {string} orderNumber - Order to flag
+   * @param {ForeignBuyer|null} foreignBuyer - Buyer details, or null to clear
+   * @returns {Promise<Order>} The updated order
+   */
+  static async setForeignBuyer(orderNumber, foreignBuyer) {
+    ConsoleFormatter.header('Foreign Buyer');
+
+    try {
+      await container.initialize();
+
+      const useCase = container.getSetForeignBuyerUseCase();
+      const order = await useCase.execute({ orderNumber, foreignBuyer });
+
+      ConsoleFormatter.keyValue('Order', orderNumber, 1);
+      if (foreignBuyer) {
+        ConsoleFormatter.keyValue('Name', foreignBuyer.name, 1);
+        ConsoleFormatter.keyValue('Country code', foreignBuyer.country, 1);
+        ConsoleFormatter.keyValue('Tax ID', foreignBuyer.taxId, 1);
+        ConsoleFormatter.keyValue('Address', foreignBuyer.address, 1);
+        ConsoleFormatter.success('Order will be invoiced with a Factura E (WSFEX)');
+      } else {
+        ConsoleFormatter.success('Foreign buyer cleared');
+      }
+
+      return order;
+    } catch (error) {
+      ConsoleFormatter.error('Could not set foreign buyer', error);
+      logger.error('Foreign buyer exception', {
+        error: error.message,
+        orderNumber,
+        event: 'foreign_buyer_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+}
+
+module.exports = ForeignBuyerCommand;
@@ -0,0 +1,60 @@
+/**
+ * IibbCommand
+ *
+ * CLI command handler for the monthly Ingresos Brutos declaration
+ * Part of Presentation Layer (CLI)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const IibbFormatter = require('../formatters/IibbFormatter');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+class IibbCommand {
+  /**
+   * Show the IIBB declaration of a month and write its vouchers as CSV
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {Object} [options]
+   * @param {string} [options.outputDir] - Target directory (defaults to INVOICE_OUTPUT_PATH)
+   * @returns {Promise<Object>} Report and the written CSV
+   */
+  static async generate(year, month, options = {}) {
+    const yearMonth = `${year}-${String(month).padStart(2, '0')}`;
+    ConsoleFormatter.header(`Ingresos Brutos - ${yearMonth}`);
+
+    try {
+      await container.initialize();
+
+      const report = await container.getGenerateIibbReportUseCase().execute({ year, month });
+
+      IibbFormatter.display(report);
+
+      const outputDir = options.outputDir || config.app.invoiceOutputPath;
+      await fs.mkdir(outputDir, { recursive: true });
+      const file = path.join(outputDir, `iibb-${yearMonth}-vouchers.csv`);
+      await fs.writeFile(file, IibbFormatter.vouchersToCSV(report));
+
+      ConsoleFormatter.newLine();
+      ConsoleFormatter.keyValue('Vouchers CSV', file, 1);
+
+      return { report, file };
+    } catch (error) {
+      ConsoleFormatter.error('IIBB report failed', error);
+      logger.error('IIBB report exception', {
+        error: error.message,
+        year,
+        month,
+        event: 'iibb_report_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+}
+
+module.exports = IibbCommand;
@@ -0,0 +1,125 @@
+/**
+ * InvoicePdfCommand
+ *
+ * CLI command handler for printable invoice PDFs (with the AFIP QR code)
+ * Part of Presentation Layer (CLI)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+class InvoicePdfCommand {
+  /**
+   * Write the invoice PDF of one order
+   * @param {string} orderNumber - Invoiced order
+   * @param {Object} [options]
+   * @param {string} [options.outputDir] - Target directory (defaults to INVOICE_PDF_PATH)
+   * @returns {Promise<string>} Path of the written file
+   */
+  static async exportOrder(orderNumber, options = {}) {
+    ConsoleFormatter.header('Invoice PDF');
+
+    try {
+      await container.initialize();
+
+      const useCase = container.getGenerateInvoicePdfUseCase();
+
+      ConsoleFormatter.progress(`Fetching voucher for order ${orderNumber} from AFIP`);
+      const document = await useCase.execute({ orderNumber });
+
+      const outputDir = options.outputDir || config.app.invoicePdfPath;
+      const filePath = await InvoicePdfCommand._write(outputDir, document);
+
+      ConsoleFormatter.success(`Invoice ${document.fileName} written`);
+      ConsoleFormatter.keyValue('File', filePath, 1);
+
+      return filePath;
+    } catch (error) {
+      ConsoleFormatter.error('Invoice PDF generation failed', error);
+      logger.error('Invoice PDF exception', {
+        error: error.message,
+        orderNumber,
+        event: 'invoice_pdf_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * Write the invoice PDFs of every order invoiced in a month
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {Object} [options]
+   * @param {string} [options.outputDir] - Target directory (defaults to INVOICE_PDF_PATH/YYYY-MM)
+   * @returns {Promise<Object>} Export result: written files and failures
+   */
+  static async exportMonth(year, month, options = {}) {
+    const yearMonth = `${year}-${String(month).padStart(2, '0')}`;
+    ConsoleFormatter.header(`Invoice PDFs - ${yearMonth}`);
+
+    try {
+      await container.initialize();
+
+      const useCase = container.getExportMonthInvoicePdfsUseCase();
+
+      ConsoleFormatter.progress('Fetching vouchers from AFIP and rendering PDFs');
+      const result = await useCase.execute({ year, month });
+
+      const outputDir = options.outputDir || path.join(config.app.invoicePdfPath, yearMonth);
+      const files = [];
+      for (const document of result.documents) {
+        files.push(await InvoicePdfCommand._write(outputDir, document));
+      }
+
+      ConsoleFormatter.newLine();
+      ConsoleFormatter.keyValue('Directory', outputDir, 1);
+      ConsoleFormatter.keyValue('Written', files.length, 1);
+      ConsoleFormatter.keyValue('Failed', result.failures.length, 1);
+
+      if (result.failures.length > 0) {
+        ConsoleFormatter.newLine();
+        ConsoleFormatter.subheader('Not exported');
+        for (const failure of result.failures) {
+          ConsoleFormatter.listItem(`${failure.orderNumber}: ${failure.error}`);
+        }
+        ConsoleFormatter.warning(`${result.failures.length} invoice(s) could not be exported`);
+      } else if (files.length === 0) {
+        ConsoleFormatter.info(`No invoices issued in ${yearMonth}`);
+      } else {
+        ConsoleFormatter.success(`All ${files.length} invoice(s) exported`);
+      }
+
+      return { ...result, files };
+    } catch (error) {
+      ConsoleFormatter.error('Invoice PDF export failed', error);
+      logger.error('Invoice PDF export exception', {
+        error: error.message,
+        year,
+        month,
+        event: 'invoice_pdf_export_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<string>} Path of the written file
+   */
+  static async _write(outputDir, document) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const filePath = path.join(outputDir, document.fileName);
+    await fs.writeFile(filePath, document.pdf);
+    return filePath;
+  }
+}
+
+module.exports = InvoicePdfCommand;
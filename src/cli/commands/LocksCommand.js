@@ -0,0 +1,80 @@
+/**
+ * LocksCommand
+ *
+ * CLI command handler for run locks (the lock processing runs hold)
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const logger = require('../../utils/logger');
+
+class LocksCommand {
+  /**
+   * List run locks, marking the ones whose run is gone as stale
+   */
+  static async list() {
+    ConsoleFormatter.header('Run Locks');
+
+    try {
+      await container.initialize();
+
+      const locks = await container.getListRunLocksUseCase().execute();
+
+      if (locks.length === 0) {
+        ConsoleFormatter.info('No run holds a lock');
+        return locks;
+      }
+
+      const now = new Date();
+      for (const lock of locks) {
+        const status = lock.isExpired(now) ? 'stale' : 'held';
+        ConsoleFormatter.subheader(`${lock.name} (${status})`);
+        ConsoleFormatter.keyValue('Command', lock.command, 1);
+        ConsoleFormatter.keyValue('Owner', lock.owner, 1);
+        ConsoleFormatter.keyValue('Since', lock.acquiredAt, 1);
+        ConsoleFormatter.keyValue('Expires', lock.expiresAt, 1);
+      }
+
+      if (locks.some(lock => lock.isExpired(now))) {
+        ConsoleFormatter.newLine();
+        ConsoleFormatter.info('Stale locks are taken over by the next run; `locks release <name>` removes them now');
+      }
+
+      return locks;
+    } catch (error) {
+      ConsoleFormatter.error('Listing run locks failed', error);
+      logger.error('Locks command exception', { error: error.message, event: 'locks_command_exception' });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * Force-release a run lock, whoever holds it
+   * @param {string} name - Lock name
+   */
+  static async release(name) {
+    ConsoleFormatter.header('Release Run Lock');
+    ConsoleFormatter.keyValue('Lock', name);
+    ConsoleFormatter.newLine();
+
+    try {
+      await container.initialize();
+
+      await container.getReleaseRunLockUseCase().execute({ name });
+
+      ConsoleFormatter.success(`Lock ${name} released`);
+      ConsoleFormatter.warning('If its run is still going, a new run can now process alongside it');
+    } catch (error) {
+      ConsoleFormatter.error(`Releasing lock ${name} failed`, error);
+      logger.error('Lock release exception', { error: error.message, lock: name, event: 'lock_release_exception' });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+}
+
+module.exports = LocksCommand;
@@ -0,0 +1,89 @@
+/**
+ * MonotributoCommand
+ *
+ * CLI command handler for monotributo category tracking
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const logger = require('../../utils/logger');
+
+class MonotributoCommand {
+  /**
+   * Show invoiced income over the last twelve months against the category caps
+   * @param {number} [year] - Year of the month to track (default: current)
+   * @param {number} [month] - Month 1-12 (default: current)
+   */
+  static async showStatus(year, month) {
+    ConsoleFormatter.header('Monotributo Category');
+
+    try {
+      await container.initialize();
+
+      const status = await container.getTrackMonotributoIncomeUseCase().execute({ year, month });
+
+      ConsoleFormatter.keyValue('As of', status.asOf);
+      ConsoleFormatter.keyValue('Window', `${status.window.from} to ${status.window.to}`);
+      ConsoleFormatter.keyValue('Income (12 months)', this._formatCurrency(status.income));
+      ConsoleFormatter.keyValue('This month', this._formatCurrency(status.monthIncome));
+      ConsoleFormatter.keyValue('Projected at month end', this._formatCurrency(status.projectedIncome));
+      ConsoleFormatter.newLine();
+
+      ConsoleFormatter.keyValue('Category for income', status.category ? status.category.category : 'over every category');
+      ConsoleFormatter.keyValue('Category projected', status.projectedCategory ? status.projectedCategory.category : 'over every category');
+      ConsoleFormatter.keyValue(
+        status.registered ? 'Registered category' : 'Measured against',
+        `${status.limit.category} (cap ${this._formatCurrency(status.limit.maxIncome)})`
+      );
+      ConsoleFormatter.keyValue('Used', `${this._formatPercent(status.usage)} (projected ${this._formatPercent(status.projectedUsage)})`);
+      ConsoleFormatter.keyValue('Remaining', this._formatCurrency(status.remaining));
+
+      if (status.warnings.length > 0) {
+        ConsoleFormatter.newLine();
+        for (const warning of status.warnings) {
+          const figure = warning.figure === 'projected' ? 'Projected income' : 'Income';
+          ConsoleFormatter.warning(
+            `${figure} is at ${this._formatPercent(warning.usage)} of category ${status.limit.category} ` +
+            `(past the ${this._formatPercent(warning.threshold)} threshold)`
+          );
+        }
+      }
+      if (status.exceedsScale) {
+        ConsoleFormatter.warning('Income is over the top category: it no longer fits the monotributo');
+      } else if (status.usage > 1) {
+        ConsoleFormatter.warning(`Income is over category ${status.limit.category}: recategorize to ${status.category.category}`);
+      }
+
+      return status;
+    } catch (error) {
+      ConsoleFormatter.error('Tracking monotributo income failed', error);
+      logger.error('Monotributo command exception', { error: error.message, event: 'monotributo_command_exception' });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _formatCurrency(amount, currency = 'ARS') {
+    if (!amount && amount !== 0) return 'N/A';
+    const formatter = new Intl.NumberFormat('es-AR', {
+      style: 'currency',
+      currency: currency,
+      minimumFractionDigits: 2
+    });
+    return formatter.format(amount);
+  }
+
+  /**
+   * @private
+   */
+  static _formatPercent(share) {
+    return `${(share * 100).toFixed(1)}%`;
+  }
+}
+
+module.exports = MonotributoCommand;
@@ -0,0 +1,117 @@
+/**
+ * ParametersCommand
+ *
+ * CLI command handler for the WSFE parameter catalog (FEParamGet*)
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const TableFormatter = require('../formatters/TableFormatter');
+const logger = require('../../utils/logger');
+const {
+  AFIP_VOUCHER_TYPE,
+  AFIP_DOC_TYPE,
+  CURRENCY_CODE,
+  VAT_CONDITION
+} = require('../../shared/constants');
+
+const KIND_LABELS = {
+  voucherTypes: 'Voucher types (AFIP_VOUCHER_TYPE)',
+  docTypes: 'Document types (AFIP_DOC_TYPE)',
+  currencies: 'Currencies (CURRENCY_CODE)',
+  vatConditions: 'Receiver VAT conditions (VAT_CONDITION)'
+};
+
+class ParametersCommand {
+  /**
+   * Show the WSFE parameter catalog and what changed compared with the constants
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore the cache and query AFIP
+   */
+  static async showCatalog(options = {}) {
+    ConsoleFormatter.header('WSFE Parameter Catalog');
+
+    try {
+      await container.initialize();
+
+      const config = require('../../config');
+      const useCase = container.getParameterCatalogUseCase();
+
+      ConsoleFormatter.progress('Loading parameter catalog');
+      const catalog = await useCase.execute({ refresh: Boolean(options.refresh) });
+
+      ConsoleFormatter.keyValue('Fetched at', catalog.fetchedAt, 1);
+      ConsoleFormatter.newLine();
+
+      ConsoleFormatter.subheader('Points of sale');
+      TableFormatter.format(
+        catalog.pointsOfSale.map(p => ({
+          number: p.number,
+          emissionType: p.emissionType,
+          blocked: p.blocked ? 'yes' : 'no',
+          deactivatedAt: p.deactivatedAt || ''
+        })),
+        ['number', 'emissionType', 'blocked', 'deactivatedAt'],
+        { headers: { number: 'PtoVta', emissionType: 'Emission', deactivatedAt: 'Deactivated' } }
+      );
+      ConsoleFormatter.newLine();
+
+      const configured = [['AFIP_PTOVTA', config.afip.ptoVta], ['AFIP_CAEA_PTOVTA', config.afip.caeaPtoVta]]
+        .filter(([, number]) => number);
+      for (const [name, number] of configured) {
+        if (catalog.isPointOfSaleEnabled(number)) {
+          ConsoleFormatter.success(`${name}=${number} is enabled`);
+        } else {
+          ConsoleFormatter.warning(`${name}=${number} is not an enabled point of sale in AFIP`);
+        }
+      }
+
+      const diff = catalog.compareWith({
+        voucherTypes: AFIP_VOUCHER_TYPE,
+        docTypes: AFIP_DOC_TYPE,
+        currencies: CURRENCY_CODE,
+        vatConditions: VAT_CONDITION
+      });
+
+      let changes = 0;
+      for (const [kind, { unknownToAfip, missingLocally }] of Object.entries(diff)) {
+        if (unknownToAfip.length === 0 && missingLocally.length === 0) continue;
+        changes += unknownToAfip.length + missingLocally.length;
+
+        ConsoleFormatter.newLine();
+        ConsoleFormatter.subheader(KIND_LABELS[kind]);
+        unknownToAfip.forEach(({ name, value }) =>
+          ConsoleFormatter.listItem(`- ${name} = ${value} (AFIP does not list it)`, 1));
+        missingLocally.forEach(({ id, description }) =>
+          ConsoleFormatter.listItem(`+ ${id} ${description} (no constant)`, 1));
+      }
+
+      ConsoleFormatter.newLine();
+      if (changes === 0) {
+        ConsoleFormatter.success('Constants match the AFIP catalog');
+      } else {
+        ConsoleFormatter.info(`${changes} difference(s) between the constants and the AFIP catalog`);
+      }
+
+      logger.info('Parameters command complete', {
+        changes,
+        fetchedAt: catalog.fetchedAt,
+        event: 'parameters_command_complete'
+      });
+
+      return { catalog, diff };
+    } catch (error) {
+      ConsoleFormatter.error('Loading the parameter catalog failed', error);
+      logger.error('Parameters command exception', {
+        error: error.message,
+        event: 'parameters_command_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+}
+
+module.exports = ParametersCommand;
@@ -10,6 +10,9 @@
 const container = require('../../application/di/container');
 const ConsoleFormatter = require('../formatters/ConsoleFormatter');
 const ReportFormatter = require('../formatters/ReportFormatter');
+const RunLock = require('../../domain/entities/RunLock');
+const Invoice = require('../../domain/entities/Invoice');
+const { NotFoundError } = require('../../shared/errors');
 const logger = require('../../utils/logger');
 
 class ProcessCommand {
@@ -17,8 +20,11 @@ class ProcessCommand {
    * Process unprocessed orders to AFIP invoices
    * @param {Object} config - Configuration (legacy, not used)
    * @param {Object} afipService - AFIP service instance (legacy, not used)
+   * @param {Object} [options]
+   * @param {boolean} [options.batch=false] - Authorize in multi-record CAE requests
    */
-  static async processUnprocessedOrders(config, afipService) {
+  static async processUnprocessedOrders(config, afipService, options = {}) {
+    const batch = Boolean(options.batch);
     ConsoleFormatter.header('Processing Unprocessed Orders');
     ConsoleFormatter.progress('Initializing order processing');
 
@@ -30,10 +36,14 @@ class ProcessCommand {
       const processUnprocessedOrdersUseCase = container.getProcessUnprocessedOrdersUseCase();
 
       ConsoleFormatter.progress('Processing orders to AFIP');
-      logger.info('Order processing start', { event: 'order_processing_start' });
+      logger.info('Order processing start', { batch, event: 'order_processing_start' });
 
-      // Execute use case
-      const result = await processUnprocessedOrdersUseCase.execute();
+      // Execute use case, holding the processing lock so another run cannot pick the same orders
+      const result = await container.getHoldRunLockUseCase().execute({
+        name: RunLock.PROCESSING,
+        command: 'process',
+        run: () => processUnprocessedOrdersUseCase.execute({ batch })
+      });
 
       // Format and display results
       ReportFormatter.formatProcessingSummary({
@@ -42,10 +52,23 @@ class ProcessCommand {
         failed: result.failedOrders
       });
 
+      if (result.deferredOrders > 0) {
+        ConsoleFormatter.warning(
+          `${result.deferredOrders} order(s) left pending after a rejected record shifted the voucher sequence — run process again`
+        );
+      }
+
+      if (result.consolidatedInvoices > 0) {
+        ConsoleFormatter.info(`${result.consolidatedInvoices} daily consolidated invoice(s) issued`);
+      }
+
       logger.info('Order processing complete', {
         processed: result.totalOrders,
         successful: result.processedOrders,
         failed: result.failedOrders,
+        deferred: result.deferredOrders || 0,
+        consolidatedInvoices: result.consolidatedInvoices || 0,
+        batch,
         event: 'order_processing_complete'
       });
 
@@ -71,10 +94,15 @@ class ProcessCommand {
    * @param {string} orderNumber - Order number to process
    * @param {Object} config - Configuration (legacy, not used)
    * @param {Object} afipService - AFIP service instance (legacy, not used)
+   * @param {Object} [options]
+   * @param {string} [options.buyerCuit] - Invoice an identified buyer (looked up in the AFIP padrón)
    */
-  static async processOrderByNumber(orderNumber, config, afipService) {
+  static async processOrderByNumber(orderNumber, config, afipService, options = {}) {
     ConsoleFormatter.header('Processing Specific Order');
     ConsoleFormatter.keyValue('Order Number', orderNumber);
+    if (options.buyerCuit) {
+      ConsoleFormatter.keyValue('Buyer CUIT', options.buyerCuit);
+    }
     ConsoleFormatter.newLine();
 
     try {
@@ -91,7 +119,7 @@ class ProcessCommand {
       });
 
       // Execute use case
-      const result = await createInvoiceUseCase.execute({ orderNumber });
+      const result = await createInvoiceUseCase.execute({ orderNumber, buyerCuit: options.buyerCuit });
 
       // Display result
       if (result.success) {
@@ -143,7 +171,11 @@ class ProcessCommand {
       ConsoleFormatter.progress('Submitting historical invoices to AFIP');
       logger.info('Month order processing start', { year, month, event: 'month_order_processing_start' });
 
-      const result = await useCase.execute({ year, month });
+      const result = await container.getHoldRunLockUseCase().execute({
+        name: RunLock.PROCESSING,
+        command: `process-month ${year}-${String(month).padStart(2, '0')}`,
+        run: () => useCase.execute({ year, month })
+      });
 
       if (result.totalOrders === 0) {
         ConsoleFormatter.info(`No pending orders found for ${year}-${String(month).padStart(2, '0')}`);
@@ -175,14 +207,26 @@ class ProcessCommand {
   }
 
   /**
-   * Mark order as manually processed
-   * @param {string} orderNumber - Order number
+   * Mark orders as manually processed
+   * @param {string|string[]} orderNumbers - Order number, or every order on a daily consolidated invoice
    * @param {string} cae - CAE number
+   * @param {number} [voucherNumber] - Voucher number
+   * @param {number} [pointOfSale] - Point of sale the voucher was issued on
+   * @param {number} [voucherType] - AFIP voucher type (1, 6 or 11); unset, Factura C
    */
-  static async markOrderAsManual(orderNumber, cae, voucherNumber = null) {
+  static async markOrderAsManual(orderNumbers, cae, voucherNumber = null, pointOfSale = null, voucherType = null) {
+    const orders = [].concat(orderNumbers);
+    const consolidatedOrders = orders.length > 1 ? orders.length : null;
+
     ConsoleFormatter.header('Mark Order as Manually Processed');
-    ConsoleFormatter.keyValue('Order Number', orderNumber);
+    ConsoleFormatter.keyValue(orders.length > 1 ? 'Order Numbers' : 'Order Number', orders.join(', '));
     ConsoleFormatter.keyValue('CAE', cae);
+    if (pointOfSale) {
+      ConsoleFormatter.keyValue('Point of Sale', pointOfSale);
+    }
+    if (voucherType) {
+      ConsoleFormatter.keyValue('Voucher Type', voucherType);
+    }
     if (voucherNumber) {
       ConsoleFormatter.keyValue('Voucher Number', voucherNumber);
     }
@@ -192,32 +236,41 @@ class ProcessCommand {
     const dbTracker = new DatabaseOrderTracker();
 
     try {
+      if (orders.length > 1) {
+        await this._ensureDailyInvoice(orders);
+      }
+
       await dbTracker.initialize();
 
-      ConsoleFormatter.progress('Marking order as manual');
-      const result = await dbTracker.markManualInvoice(orderNumber, cae, voucherNumber);
+      for (const orderNumber of orders) {
+        ConsoleFormatter.progress(`Marking order ${orderNumber} as manual`);
+        const result = await dbTracker.markManualInvoice(orderNumber, cae, voucherNumber, null, pointOfSale, consolidatedOrders, voucherType);
 
-      if (result) {
-        ConsoleFormatter.success(`Order ${orderNumber} marked as manually processed`);
-        logger.info('Order marked as manual', {
-          orderNumber,
-          cae,
-          voucherNumber,
-          event: 'order_marked_manual'
-        });
-      } else {
-        ConsoleFormatter.error('Failed to mark order as manual');
-        ConsoleFormatter.warning('Order may not exist in database');
-        logger.error('Failed to mark order as manual', {
-          orderNumber,
-          event: 'mark_manual_failed'
-        });
+        if (result) {
+          ConsoleFormatter.success(`Order ${orderNumber} marked as manually processed`);
+          logger.info('Order marked as manual', {
+            orderNumber,
+            cae,
+            pointOfSale,
+            voucherType,
+            voucherNumber,
+            consolidatedOrders,
+            event: 'order_marked_manual'
+          });
+        } else {
+          ConsoleFormatter.error(`Failed to mark order ${orderNumber} as manual`);
+          ConsoleFormatter.warning('Order may not exist in database');
+          logger.error('Failed to mark order as manual', {
+            orderNumber,
+            event: 'mark_manual_failed'
+          });
+        }
       }
     } catch (error) {
       ConsoleFormatter.error('Error marking order as manual', error);
       logger.error('Mark manual exception', {
         error: error.message,
-        orderNumber,
+        orderNumbers: orders,
         event: 'mark_manual_exception'
       });
       throw error;
@@ -225,6 +278,34 @@ class ProcessCommand {
       await dbTracker.close();
     }
   }
+
+  /**
+   * Check that the orders given for one manual invoice could share a daily
+   * consolidated invoice, as when one is issued here
+   * @private
+   * @param {string[]} orderNumbers - Orders on the invoice
+   * @throws {NotFoundError} If an order does not exist
+   * @throws {DomainError} If the orders span days or currencies
+   */
+  static async _ensureDailyInvoice(orderNumbers) {
+    try {
+      await container.initialize();
+      const orderRepository = container.getOrderRepository();
+
+      const orders = [];
+      for (const orderNumber of orderNumbers) {
+        const order = await orderRepository.findByOrderNumber(orderNumber);
+        if (!order) {
+          throw NotFoundError.order(orderNumber);
+        }
+        orders.push(order);
+      }
+
+      Invoice.ensureDailyOrders(orders);
+    } finally {
+      await container.cleanup();
+    }
+  }
 }
 
 module.exports = ProcessCommand;
@@ -0,0 +1,75 @@
+/**
+ * RecategorizationCommand
+ *
+ * CLI command handler for the semiannual monotributo recategorization report
+ * Part of Presentation Layer (CLI)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const RecategorizationFormatter = require('../formatters/RecategorizationFormatter');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+class RecategorizationCommand {
+  /**
+   * Show the recategorization report of a semester and write it as JSON and CSV
+   * @param {number} year - Year the semester belongs to
+   * @param {number} semester - 1 (January-June) or 2 (July-December)
+   * @param {Object} [options]
+   * @param {string} [options.outputDir] - Target directory (defaults to INVOICE_OUTPUT_PATH)
+   * @returns {Promise<Object>} Report and written files
+   */
+  static async generate(year, semester, options = {}) {
+    ConsoleFormatter.header(`Monotributo Recategorization - ${year} S${semester}`);
+
+    try {
+      await container.initialize();
+
+      const report = await container.getGenerateRecategorizationReportUseCase().execute({ year, semester });
+
+      RecategorizationFormatter.display(report);
+
+      const outputDir = options.outputDir || config.app.invoiceOutputPath;
+      const baseName = `recategorization-${year}-S${semester}`;
+      await fs.mkdir(outputDir, { recursive: true });
+      const files = [
+        await RecategorizationCommand._write(outputDir, `${baseName}.json`, RecategorizationFormatter.toJSON(report)),
+        await RecategorizationCommand._write(outputDir, `${baseName}.csv`, RecategorizationFormatter.toCSV(report))
+      ];
+
+      ConsoleFormatter.newLine();
+      for (const file of files) {
+        ConsoleFormatter.keyValue('File', file, 1);
+      }
+      ConsoleFormatter.success('Recategorization report written');
+
+      return { report, files };
+    } catch (error) {
+      ConsoleFormatter.error('Recategorization report failed', error);
+      logger.error('Recategorization report exception', {
+        error: error.message,
+        year,
+        semester,
+        event: 'recategorization_report_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<string>} Path of the written file
+   */
+  static async _write(outputDir, fileName, content) {
+    const filePath = path.join(outputDir, fileName);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+}
+
+module.exports = RecategorizationCommand;
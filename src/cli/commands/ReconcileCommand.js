@@ -0,0 +1,150 @@
+/**
+ * ReconcileCommand
+ *
+ * CLI command handler for AFIP-vs-table reconciliation
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const TableFormatter = require('../formatters/TableFormatter');
+const logger = require('../../utils/logger');
+
+class ReconcileCommand {
+  /**
+   * Compare a month's AFIP vouchers with the orders table and print the diff,
+   * one voucher sequence at a time: every point of sale and invoice type the
+   * issuer profiles in force that month issue on, unless narrowed down
+   * @param {number} year
+   * @param {number} month
+   * @param {Object} [options]
+   * @param {boolean} [options.fix=false] - Record unambiguous matches like mark-manual
+   * @param {number} [options.voucherType] - Voucher type to walk
+   * @param {number} [options.pointOfSale] - Point of sale to walk
+   * @returns {Promise<Array<Object>>} ReconcileMonth output per sequence
+   */
+  static async reconcileMonth(year, month, options = {}) {
+    const yearMonth = `${year}-${String(month).padStart(2, '0')}`;
+    ConsoleFormatter.header(`Reconciling ${yearMonth} against AFIP`);
+
+    try {
+      await container.initialize();
+
+      const useCases = container.getReconcileMonthUseCases(year, month, options.voucherType, options.pointOfSale);
+
+      const results = [];
+      for (const useCase of useCases) {
+        ConsoleFormatter.progress(`Querying AFIP vouchers (point of sale ${useCase.pointOfSale}, type ${useCase.voucherType})`);
+        const result = await useCase.execute({ year, month, fix: Boolean(options.fix) });
+        ReconcileCommand._printResult(result, options);
+        results.push(result);
+      }
+
+      logger.info('Reconcile command complete', {
+        yearMonth,
+        sequences: results.length,
+        matched: results.reduce((sum, result) => sum + result.matched, 0),
+        fixed: results.reduce((sum, result) => sum + result.fixed.length, 0),
+        event: 'reconcile_command_complete'
+      });
+
+      return results;
+    } catch (error) {
+      ConsoleFormatter.error('Reconciliation failed', error);
+      logger.error('Reconcile command exception', {
+        error: error.message,
+        yearMonth,
+        event: 'reconcile_command_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * Print the diff of one voucher sequence
+   * @private
+   * @param {Object} result - ReconcileMonth output
+   * @param {Object} options - As for reconcileMonth
+   */
+  static _printResult(result, options) {
+    ConsoleFormatter.subheader('Summary');
+    ConsoleFormatter.keyValue('Point of Sale', result.pointOfSale, 1);
+    ConsoleFormatter.keyValue('Voucher type', result.voucherType, 1);
+    ConsoleFormatter.keyValue('AFIP vouchers', result.afipVouchers, 1);
+    ConsoleFormatter.keyValue('Matched', result.matched, 1);
+    ConsoleFormatter.keyValue('Missing in table', result.missingInTable.length, 1);
+    ConsoleFormatter.keyValue('Missing in AFIP', result.missingInAfip.length, 1);
+    ConsoleFormatter.keyValue('Amount mismatches', result.amountMismatches.length, 1);
+    ConsoleFormatter.newLine();
+
+    if (result.missingInTable.length > 0) {
+      ConsoleFormatter.subheader('Vouchers AFIP has that the table does not');
+      TableFormatter.format(
+        result.missingInTable.map(({ voucher, candidates, match }) => ({
+          voucherNumber: voucher.voucherNumber,
+          voucherDate: voucher.voucherDate,
+          amount: voucher.totalAmount.amount,
+          cae: voucher.cae ? voucher.cae.value : '',
+          match: match
+            ? match.orderNumber.value
+            : `${candidates.length} candidate(s)`
+        })),
+        ['voucherNumber', 'voucherDate', 'amount', 'cae', 'match'],
+        { headers: { voucherNumber: 'Voucher', voucherDate: 'Date', match: 'Order' } }
+      );
+      ConsoleFormatter.newLine();
+    }
+
+    if (result.missingInAfip.length > 0) {
+      ConsoleFormatter.subheader('Orders marked invoiced that AFIP does not know');
+      TableFormatter.format(
+        result.missingInAfip.map(order => ({
+          orderNumber: order.orderNumber.value,
+          invoiceDate: order.invoiceDate,
+          amount: order.totalAmount.amount,
+          voucherNumber: order.voucherNumber || '',
+          method: order.processingMethod || ''
+        })),
+        ['orderNumber', 'invoiceDate', 'amount', 'voucherNumber', 'method'],
+        { headers: { orderNumber: 'Order', voucherNumber: 'Voucher' } }
+      );
+      ConsoleFormatter.newLine();
+    }
+
+    if (result.amountMismatches.length > 0) {
+      ConsoleFormatter.subheader('Amount / CAE mismatches');
+      TableFormatter.format(
+        result.amountMismatches.map(({ voucher, order, orders, tableAmount }) => ({
+          voucherNumber: voucher.voucherNumber,
+          orderNumber: orders.map(member => member.orderNumber.value).join(', '),
+          afipAmount: voucher.totalAmount.amount,
+          tableAmount,
+          afipCae: voucher.cae ? voucher.cae.value : '',
+          tableCae: order.cae ? order.cae.value : ''
+        })),
+        ['voucherNumber', 'orderNumber', 'afipAmount', 'tableAmount', 'afipCae', 'tableCae'],
+        { headers: { voucherNumber: 'Voucher', orderNumber: 'Order', afipCae: 'AFIP CAE', tableCae: 'Table CAE' } }
+      );
+      ConsoleFormatter.newLine();
+    }
+
+    if (options.fix) {
+      if (result.fixed.length > 0) {
+        ConsoleFormatter.success(`Recorded ${result.fixed.length} AFIP voucher(s) on their orders`);
+        result.fixed.forEach(f => ConsoleFormatter.listItem(`${f.orderNumber} ← voucher ${f.voucherNumber}`, 1));
+      } else {
+        ConsoleFormatter.info('No unambiguous matches to fix');
+      }
+    } else if (result.missingInTable.some(entry => entry.match)) {
+      ConsoleFormatter.info('Run again with --fix to record the unambiguous matches');
+    }
+
+    if (result.missingInTable.length === 0 && result.missingInAfip.length === 0 && result.amountMismatches.length === 0) {
+      ConsoleFormatter.success('Table and AFIP agree');
+    }
+  }
+}
+
+module.exports = ReconcileCommand;
@@ -11,6 +11,7 @@ const container = require('../../application/di/container');
 const DatabaseOrderTracker = require('../../utils/DatabaseOrderTracker');
 const ConsoleFormatter = require('../formatters/ConsoleFormatter');
 const ReportFormatter = require('../formatters/ReportFormatter');
+const { formatVoucherId } = require('../../shared/utils/format.utils');
 const logger = require('../../utils/logger');
 
 class ReportCommand {
@@ -35,8 +36,14 @@ class ReportCommand {
           successfulOrders: report.stats.successfulInvoices,
           failedOrders: report.stats.failedInvoices,
           pendingOrders: report.stats.pendingOrders,
+          invoices: report.stats.invoices,
+          consolidatedOrders: report.stats.consolidatedOrders,
           totalAmount: report.stats.totalAmount,
           averageAmount: report.stats.averageAmount,
+          invoicedAmount: report.stats.invoicedAmount,
+          creditedAmount: report.stats.creditedAmount,
+          debitedAmount: report.stats.debitedAmount,
+          byPointOfSale: report.stats.byPointOfSale,
           byProcessingMethod: {
             automatic: report.stats.successfulInvoices, // All from use case are automatic
             manual: 0
@@ -127,6 +134,7 @@ class ReportCommand {
       const statsData = {
         totalOrders: stats.total_orders || 0,
         successfulOrders: stats.successful_orders || 0,
+        invoices: stats.invoices || 0,
         failedOrders: stats.failed_orders || 0,
         pendingOrders: stats.pending_orders || 0,
         totalAmount: this._formatCurrency(stats.total_amount || 0),
@@ -173,6 +181,8 @@ class ReportCommand {
         successfulOrders: stats.successful_orders || 0,
         failedOrders: stats.failed_orders || 0,
         pendingOrders: stats.pending_orders || 0,
+        invoices: stats.invoices || 0,
+        consolidatedOrders: orders.filter(order => order.success === 1 && order.consolidated_orders).length,
         totalAmount: stats.total_amount || 0,
         invoicedAmount: stats.invoiced_amount || 0
       }
@@ -184,6 +194,7 @@ class ReportCommand {
    * @private
    */
   static _transformOrders(orders) {
+    const config = require('../../config');
     return orders.map(order => ({
       orderNumber: order.order_number,
       orderDate: order.order_date,
@@ -193,6 +204,9 @@ class ReportCommand {
       processing_method: order.processing_method,
       cae: order.cae,
       voucherNumber: order.voucher_number,
+      voucher: order.voucher_number
+        ? formatVoucherId(order.point_of_sale || config.afip.ptoVta, order.voucher_number)
+        : null,
       error_message: order.error_message
     }));
   }
@@ -0,0 +1,57 @@
+/**
+ * TaxpayerCommand
+ *
+ * CLI command handler for AFIP padrón taxpayer lookups
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const logger = require('../../utils/logger');
+
+class TaxpayerCommand {
+  /**
+   * Look up a CUIT in the AFIP padrón (cached in the taxpayers table)
+   * @param {string} cuit - CUIT to look up
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore the cache and query the padrón
+   */
+  static async lookup(cuit, options = {}) {
+    ConsoleFormatter.header('Taxpayer Lookup');
+
+    try {
+      await container.initialize();
+
+      const useCase = container.getLookupTaxpayerUseCase();
+
+      ConsoleFormatter.progress('Looking up CUIT in the AFIP padrón');
+      const taxpayer = await useCase.execute({ cuit, refresh: Boolean(options.refresh) });
+
+      ConsoleFormatter.keyValue('CUIT', taxpayer.cuit.formatted, 1);
+      ConsoleFormatter.keyValue('Name', taxpayer.name, 1);
+      ConsoleFormatter.keyValue('Tax condition', taxpayer.taxCondition, 1);
+      ConsoleFormatter.keyValue('VAT condition id', taxpayer.vatConditionId, 1);
+      ConsoleFormatter.keyValue('Address', taxpayer.address || '-', 1);
+      ConsoleFormatter.keyValue('Status', taxpayer.status || '-', 1);
+      ConsoleFormatter.keyValue('Fetched at', taxpayer.fetchedAt, 1);
+
+      if (!taxpayer.isActive()) {
+        ConsoleFormatter.warning(`CUIT is ${taxpayer.status} in the padrón`);
+      }
+
+      return taxpayer;
+    } catch (error) {
+      ConsoleFormatter.error('Taxpayer lookup failed', error);
+      logger.error('Taxpayer lookup exception', {
+        error: error.message,
+        cuit,
+        event: 'taxpayer_lookup_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+}
+
+module.exports = TaxpayerCommand;
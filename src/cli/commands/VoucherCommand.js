@@ -0,0 +1,109 @@
+/**
+ * VoucherCommand
+ *
+ * CLI command handler for credit/debit notes against authorized invoices
+ * Part of Presentation Layer (CLI)
+ */
+
+const container = require('../../application/di/container');
+const ConsoleFormatter = require('../formatters/ConsoleFormatter');
+const logger = require('../../utils/logger');
+
+class VoucherCommand {
+  /**
+   * Issue a Nota de Crédito C against an order's invoice
+   * @param {Object} target - Invoice to credit
+   * @param {string} [target.orderNumber] - Order number
+   * @param {string} [target.cae] - CAE of the original invoice
+   * @param {number} [amount] - Partial amount (defaults to the full remaining amount)
+   */
+  static async createCreditNote(target, amount) {
+    ConsoleFormatter.header('Issuing Credit Note');
+    ConsoleFormatter.keyValue(target.orderNumber ? 'Order Number' : 'CAE', target.orderNumber || target.cae);
+    if (amount !== undefined) {
+      ConsoleFormatter.keyValue('Amount', amount);
+    }
+    ConsoleFormatter.newLine();
+
+    try {
+      await container.initialize();
+
+      const createCreditNoteUseCase = container.getCreateCreditNoteUseCase();
+
+      ConsoleFormatter.progress('Submitting credit note to AFIP');
+      logger.info('Credit note start', { ...target, amount, event: 'credit_note_start' });
+
+      const result = await createCreditNoteUseCase.execute({ ...target, amount });
+
+      if (result.success) {
+        ConsoleFormatter.success(`Credit note issued for order ${result.orderNumber}`);
+        ConsoleFormatter.keyValue('CAE', result.cae, 1);
+        ConsoleFormatter.keyValue('Voucher Number', result.voucherNumber, 1);
+        ConsoleFormatter.keyValue('Amount', result.amount, 1);
+      } else {
+        ConsoleFormatter.error(`Failed to issue credit note for order ${result.orderNumber}`, result.error);
+        process.exitCode = 1;
+      }
+
+      return result;
+    } catch (error) {
+      ConsoleFormatter.error('Credit note failed', error);
+      logger.error('Credit note exception', {
+        error: error.message,
+        ...target,
+        event: 'credit_note_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+
+  /**
+   * Issue a Nota de Débito C for the difference between what an order was
+   * invoiced for and what it should have been
+   * @param {string} orderNumber - Order number
+   * @param {number} correctAmount - Amount the order should have been invoiced for
+   */
+  static async createDebitNote(orderNumber, correctAmount) {
+    ConsoleFormatter.header('Issuing Debit Note');
+    ConsoleFormatter.keyValue('Order Number', orderNumber);
+    ConsoleFormatter.keyValue('Correct Amount', correctAmount);
+    ConsoleFormatter.newLine();
+
+    try {
+      await container.initialize();
+
+      const createDebitNoteUseCase = container.getCreateDebitNoteUseCase();
+
+      ConsoleFormatter.progress('Submitting debit note to AFIP');
+      logger.info('Debit note start', { orderNumber, correctAmount, event: 'debit_note_start' });
+
+      const result = await createDebitNoteUseCase.execute({ orderNumber, correctAmount });
+
+      if (result.success) {
+        ConsoleFormatter.success(`Debit note issued for order ${orderNumber}`);
+        ConsoleFormatter.keyValue('CAE', result.cae, 1);
+        ConsoleFormatter.keyValue('Voucher Number', result.voucherNumber, 1);
+        ConsoleFormatter.keyValue('Amount', result.amount, 1);
+      } else {
+        ConsoleFormatter.error(`Failed to issue debit note for order ${orderNumber}`, result.error);
+        process.exitCode = 1;
+      }
+
+      return result;
+    } catch (error) {
+      ConsoleFormatter.error('Debit note failed', error);
+      logger.error('Debit note exception', {
+        error: error.message,
+        orderNumber,
+        event: 'debit_note_exception'
+      });
+      throw error;
+    } finally {
+      await container.cleanup();
+    }
+  }
+}
+
+module.exports = VoucherCommand;
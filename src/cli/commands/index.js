@@ -7,9 +7,29 @@
 const BinanceCommand = require('./BinanceCommand');
 const ReportCommand = require('./ReportCommand');
 const ProcessCommand = require('./ProcessCommand');
+const VoucherCommand = require('./VoucherCommand');
+const ReconcileCommand = require('./ReconcileCommand');
+const CaeaCommand = require('./CaeaCommand');
+const TaxpayerCommand = require('./TaxpayerCommand');
+const ParametersCommand = require('./ParametersCommand');
+const InvoicePdfCommand = require('./InvoicePdfCommand');
+const LocksCommand = require('./LocksCommand');
+const MonotributoCommand = require('./MonotributoCommand');
+const RecategorizationCommand = require('./RecategorizationCommand');
+const IibbCommand = require('./IibbCommand');
 
 module.exports = {
   BinanceCommand,
   ReportCommand,
-  ProcessCommand
+  ProcessCommand,
+  VoucherCommand,
+  ReconcileCommand,
+  CaeaCommand,
+  TaxpayerCommand,
+  ParametersCommand,
+  InvoicePdfCommand,
+  LocksCommand,
+  MonotributoCommand,
+  RecategorizationCommand,
+  IibbCommand
 };
@@ -0,0 +1,104 @@
+/**
+ * IibbFormatter
+ *
+ * Lays out the monthly Ingresos Brutos declaration on the console, and its
+ * vouchers as CSV
+ * Part of Presentation Layer (CLI)
+ */
+
+const ConsoleFormatter = require('./ConsoleFormatter');
+const TableFormatter = require('./TableFormatter');
+
+class IibbFormatter {
+  /**
+   * Print the declaration
+   * @param {Object} report - GenerateIibbReport output
+   */
+  static display(report) {
+    ConsoleFormatter.keyValue('Taxable base', this._formatCurrency(report.base));
+    if (report.annualIncome !== null) {
+      ConsoleFormatter.keyValue('Income (12 months)', this._formatCurrency(report.annualIncome));
+    }
+    ConsoleFormatter.keyValue('Vouchers', report.vouchers.length);
+    ConsoleFormatter.newLine();
+
+    const rows = report.jurisdictions.map(line => ({
+      ...line,
+      applied: line.regime === 'simplified'
+        ? `bracket up to ${this._formatCurrency(line.bracket.maxIncome)}`
+        : `${(line.rate * 100).toFixed(2)}%`
+    }));
+    TableFormatter.format(rows, ['jurisdiction', 'share', 'base', 'applied', 'tax', 'credits', 'due', 'balanceInFavor'], {
+      headers: {
+        jurisdiction: 'Jurisdiction',
+        share: 'Share',
+        base: 'Base',
+        applied: 'Rate / Bracket',
+        tax: 'Tax',
+        credits: 'Credits',
+        due: 'Due',
+        balanceInFavor: 'In favour'
+      },
+      formatters: {
+        base: (val) => this._formatCurrency(val),
+        tax: (val) => this._formatCurrency(val),
+        credits: (val) => this._formatCurrency(val),
+        due: (val) => this._formatCurrency(val),
+        balanceInFavor: (val) => this._formatCurrency(val)
+      }
+    });
+    ConsoleFormatter.newLine();
+
+    ConsoleFormatter.keyValue('Tax', this._formatCurrency(report.totals.tax));
+    ConsoleFormatter.keyValue('Retentions and perceptions', this._formatCurrency(report.totals.credits));
+    ConsoleFormatter.keyValue('Amount due', this._formatCurrency(report.totals.due));
+    if (report.totals.balanceInFavor > 0) {
+      ConsoleFormatter.info(`Balance in favour of ${this._formatCurrency(report.totals.balanceInFavor)} to carry to the next declaration`);
+    }
+  }
+
+  /**
+   * Vouchers of the base as CSV, one line each
+   * @param {Object} report - GenerateIibbReport output
+   * @returns {string}
+   */
+  static vouchersToCSV(report) {
+    const lines = [
+      ['Voucher', 'Type', 'Date', 'CAE', 'Orders', 'Amount'],
+      ...report.vouchers.map(voucher => [
+        voucher.voucher,
+        voucher.voucherType,
+        voucher.date,
+        voucher.cae,
+        voucher.orderNumbers.join(' '),
+        Number(voucher.amount).toFixed(2)
+      ]),
+      ['Total', '', '', '', '', Number(report.base).toFixed(2)]
+    ];
+
+    return lines.map(fields => fields.map(field => this._csvField(field)).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * @private
+   */
+  static _csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * @private
+   */
+  static _formatCurrency(amount, currency = 'ARS') {
+    if (!amount && amount !== 0) return 'N/A';
+    const formatter = new Intl.NumberFormat('es-AR', {
+      style: 'currency',
+      currency: currency,
+      minimumFractionDigits: 2
+    });
+    return formatter.format(amount);
+  }
+}
+
+module.exports = IibbFormatter;
@@ -0,0 +1,141 @@
+/**
+ * RecategorizationFormatter
+ *
+ * Lays out the semiannual recategorization report: on the console, and as
+ * the JSON and CSV files handed to the accountant
+ * Part of Presentation Layer (CLI)
+ */
+
+const ConsoleFormatter = require('./ConsoleFormatter');
+const TableFormatter = require('./TableFormatter');
+
+class RecategorizationFormatter {
+  /**
+   * Print the report
+   * @param {Object} report - GenerateRecategorizationReport output
+   */
+  static display(report) {
+    ConsoleFormatter.keyValue('Period', `${report.period.from} to ${report.period.to}`);
+    ConsoleFormatter.keyValue('Caps in force on', report.capsDate);
+    ConsoleFormatter.newLine();
+
+    TableFormatter.format(report.months, ['month', 'invoices', 'invoiced', 'credited', 'income'], {
+      headers: { month: 'Month', invoices: 'Invoices', invoiced: 'Invoiced', credited: 'Credited', income: 'Income' },
+      formatters: {
+        invoiced: (val) => this._formatCurrency(val),
+        credited: (val) => this._formatCurrency(val),
+        income: (val) => this._formatCurrency(val)
+      }
+    });
+    ConsoleFormatter.newLine();
+
+    ConsoleFormatter.keyValue('Invoices', report.totals.invoices);
+    ConsoleFormatter.keyValue('Invoiced', this._formatCurrency(report.totals.invoiced));
+    ConsoleFormatter.keyValue('Credited', this._formatCurrency(report.totals.credited));
+    ConsoleFormatter.keyValue('Income (12 months)', this._formatCurrency(report.totals.income));
+    ConsoleFormatter.newLine();
+
+    if (report.category) {
+      ConsoleFormatter.keyValue('Category', `${report.category.category} (cap ${this._formatCurrency(report.category.maxIncome)}, ${this._formatPercent(report.usage)} used)`);
+    } else {
+      ConsoleFormatter.warning(`Income is over the top category (${this._formatPercent(report.usage)} of its cap): it no longer fits the monotributo`);
+    }
+    if (report.registeredCategory) {
+      ConsoleFormatter.keyValue('Registered category', report.registeredCategory);
+      ConsoleFormatter.keyValue('Change', this._describeChange(report));
+    }
+  }
+
+  /**
+   * Report as pretty-printed JSON
+   * @param {Object} report - GenerateRecategorizationReport output
+   * @returns {string}
+   */
+  static toJSON(report) {
+    return JSON.stringify(report, null, 2) + '\n';
+  }
+
+  /**
+   * Report as CSV: summary lines, then one line per month
+   * @param {Object} report - GenerateRecategorizationReport output
+   * @returns {string}
+   */
+  static toCSV(report) {
+    const lines = [
+      ['Recategorization', `${report.year} S${report.semester}`],
+      ['Period from', report.period.from],
+      ['Period to', report.period.to],
+      ['Caps in force on', report.capsDate],
+      ['Invoices', report.totals.invoices],
+      ['Invoiced', this._formatAmount(report.totals.invoiced)],
+      ['Credited', this._formatAmount(report.totals.credited)],
+      ['Income', this._formatAmount(report.totals.income)],
+      ['Category', report.category ? report.category.category : 'over every category'],
+      ['Category cap', report.category ? this._formatAmount(report.category.maxIncome) : ''],
+      ['Usage', report.usage],
+      ['Registered category', report.registeredCategory || ''],
+      ['Change', report.change || ''],
+      ['Generated at', report.generatedAt],
+      [],
+      ['Month', 'Invoices', 'Invoiced', 'Credited', 'Income'],
+      ...report.months.map(month => [
+        month.month,
+        month.invoices,
+        this._formatAmount(month.invoiced),
+        this._formatAmount(month.credited),
+        this._formatAmount(month.income)
+      ])
+    ];
+
+    return lines.map(fields => fields.map(field => this._csvField(field)).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * @private
+   */
+  static _describeChange(report) {
+    const resulting = report.category ? report.category.category : 'over every category';
+    switch (report.change) {
+      case 'up': return `up to ${resulting}`;
+      case 'down': return `down to ${resulting}`;
+      default: return 'none';
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * @private
+   */
+  static _formatAmount(amount) {
+    return Number(amount).toFixed(2);
+  }
+
+  /**
+   * @private
+   */
+  static _formatCurrency(amount, currency = 'ARS') {
+    if (!amount && amount !== 0) return 'N/A';
+    const formatter = new Intl.NumberFormat('es-AR', {
+      style: 'currency',
+      currency: currency,
+      minimumFractionDigits: 2
+    });
+    return formatter.format(amount);
+  }
+
+  /**
+   * @private
+   */
+  static _formatPercent(share) {
+    return `${(share * 100).toFixed(1)}%`;
+  }
+}
+
+module.exports = RecategorizationFormatter;
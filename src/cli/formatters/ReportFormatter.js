@@ -34,6 +34,11 @@ class ReportFormatter {
     // Summary Statistics
     this._formatStatistics(stats);
 
+    // Points of sale, when invoices went out on more than one
+    if (stats.byPointOfSale && Object.keys(stats.byPointOfSale).length > 1) {
+      this._formatPointsOfSale(stats.byPointOfSale);
+    }
+
     // Orders by Status
     this._formatOrdersByStatus(orders);
 
@@ -65,10 +70,27 @@ class ReportFormatter {
       'Pending': `${stats.pendingOrders || 0} (${this._percentage(stats.pendingOrders, stats.totalOrders)})`,
     };
 
+    // Daily consolidated invoices cover several orders each
+    if (stats.consolidatedOrders) {
+      statsData['Invoices'] = `${stats.invoices} (${stats.consolidatedOrders} orders on daily invoices)`;
+    }
+
     if (stats.totalAmount) {
       statsData['Total Amount'] = this._formatCurrency(stats.totalAmount);
     }
 
+    if (stats.creditedAmount) {
+      statsData['Credited'] = this._formatCurrency(stats.creditedAmount);
+    }
+
+    if (stats.debitedAmount) {
+      statsData['Debited'] = this._formatCurrency(stats.debitedAmount);
+    }
+
+    if (stats.creditedAmount || stats.debitedAmount) {
+      statsData['Net Invoiced'] = this._formatCurrency(stats.invoicedAmount);
+    }
+
     Object.entries(statsData).forEach(([key, value]) => {
       ConsoleFormatter.keyValue(key, value, 1);
     });
@@ -76,6 +98,24 @@ class ReportFormatter {
     ConsoleFormatter.newLine();
   }
 
+  /**
+   * Format invoices per point of sale
+   * @private
+   */
+  static _formatPointsOfSale(byPointOfSale) {
+    ConsoleFormatter.subheader('By Point of Sale');
+
+    Object.entries(byPointOfSale).forEach(([pointOfSale, { count, invoicedAmount }]) => {
+      ConsoleFormatter.keyValue(
+        String(pointOfSale).padStart(5, '0'),
+        `${count} invoices, ${this._formatCurrency(invoicedAmount)}`,
+        1
+      );
+    });
+
+    ConsoleFormatter.newLine();
+  }
+
   /**
    * Format orders by status table
    * @private
@@ -83,13 +123,13 @@ class ReportFormatter {
   static _formatOrdersByStatus(orders) {
     ConsoleFormatter.subheader('Orders by Status');
 
-    const columns = ['orderNumber', 'orderDate', 'totalPrice', 'processing_status', 'voucherNumber', 'cae'];
+    const columns = ['orderNumber', 'orderDate', 'totalPrice', 'processing_status', 'voucher', 'cae'];
     const formatters = {
       orderNumber: (val) => val || '',
       orderDate: (val) => val ? new Date(val).toLocaleDateString('es-AR') : 'N/A',
       totalPrice: (val) => this._formatCurrency(val),
       processing_status: (val) => this._formatStatus(val),
-      voucherNumber: (val) => val ? String(val) : 'N/A',
+      voucher: (val) => val || 'N/A',
       cae: (val) => val || 'N/A'
     };
 
@@ -98,7 +138,7 @@ class ReportFormatter {
       orderDate: 'Date',
       totalPrice: 'Amount',
       processing_status: 'Status',
-      voucherNumber: 'Voucher',
+      voucher: 'Voucher',
       cae: 'CAE'
     };
 
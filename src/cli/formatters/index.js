@@ -7,9 +7,13 @@
 const ConsoleFormatter = require('./ConsoleFormatter');
 const TableFormatter = require('./TableFormatter');
 const ReportFormatter = require('./ReportFormatter');
+const RecategorizationFormatter = require('./RecategorizationFormatter');
+const IibbFormatter = require('./IibbFormatter');
 
 module.exports = {
   ConsoleFormatter,
   TableFormatter,
-  ReportFormatter
+  ReportFormatter,
+  RecategorizationFormatter,
+  IibbFormatter
 };
@@ -8,7 +8,20 @@
 const BinanceCommand = require('./commands/BinanceCommand');
 const ReportCommand = require('./commands/ReportCommand');
 const ProcessCommand = require('./commands/ProcessCommand');
+const VoucherCommand = require('./commands/VoucherCommand');
+const ReconcileCommand = require('./commands/ReconcileCommand');
+const CaeaCommand = require('./commands/CaeaCommand');
+const TaxpayerCommand = require('./commands/TaxpayerCommand');
+const ParametersCommand = require('./commands/ParametersCommand');
+const InvoicePdfCommand = require('./commands/InvoicePdfCommand');
+const ForeignBuyerCommand = require('./commands/ForeignBuyerCommand');
+const CounterpartyCommand = require('./commands/CounterpartyCommand');
+const LocksCommand = require('./commands/LocksCommand');
+const MonotributoCommand = require('./commands/MonotributoCommand');
+const RecategorizationCommand = require('./commands/RecategorizationCommand');
+const IibbCommand = require('./commands/IibbCommand');
 const ConsoleFormatter = require('./formatters/ConsoleFormatter');
+const { AFIP_DOC_TYPE, AFIP_VOUCHER_TYPE } = require('../shared/constants');
 
 class CLI {
   constructor(app) {
@@ -47,6 +60,54 @@ class CLI {
         case 'mark-manual':
           return await this._handleMarkManual(args);
 
+        case 'credit-note':
+          return await this._handleCreditNote(args);
+
+        case 'debit-note':
+          return await this._handleDebitNote(args);
+
+        case 'reconcile':
+          return await this._handleReconcile(args);
+
+        case 'foreign-buyer':
+          return await this._handleForeignBuyer(args);
+
+        case 'buyer-register':
+          return await this._handleBuyerRegister(args);
+
+        case 'pdf':
+          return await this._handlePdf(args);
+
+        case 'pdf-month':
+          return await this._handlePdfMonth(args);
+
+        case 'caea-request':
+          return await CaeaCommand.requestCaea(args[0]);
+
+        case 'caea-issue':
+          return await CaeaCommand.issueInvoices();
+
+        case 'caea-report':
+          return await CaeaCommand.reportInvoices();
+
+        case 'taxpayer':
+          return await this._handleTaxpayer(args);
+
+        case 'afip-params':
+          return await ParametersCommand.showCatalog({ refresh: args.includes('--refresh') });
+
+        case 'locks':
+          return await this._handleLocks(args);
+
+        case 'monotributo':
+          return await this._handleMonotributo(args);
+
+        case 'recategorization':
+          return await this._handleRecategorization(args);
+
+        case 'iibb':
+          return await this._handleIibb(args);
+
         case 'help':
         default:
           this._showHelp();
@@ -135,19 +196,29 @@ class CLI {
   async _handleProcess(args) {
     await this.app.initialize();
 
-    const orderNumber = args[0];
+    const batch = args.includes('--batch');
+    const cuitIndex = args.indexOf('--cuit');
+    const buyerCuit = cuitIndex >= 0 ? args[cuitIndex + 1] : undefined;
+    const orderNumber = args.find((arg, i) => !arg.startsWith('--') && i !== cuitIndex + 1);
+
+    if (cuitIndex >= 0 && (!buyerCuit || !orderNumber)) {
+      ConsoleFormatter.error('Usage: process <order-number> --cuit <buyer-cuit>');
+      process.exit(1);
+    }
 
     if (orderNumber) {
       return await ProcessCommand.processOrderByNumber(
         orderNumber,
         this.app.config,
-        this.app.afipService
+        this.app.afipService,
+        { buyerCuit }
       );
     }
 
     const result = await ProcessCommand.processUnprocessedOrders(
       this.app.config,
-      this.app.afipService
+      this.app.afipService,
+      { batch }
     );
 
     if (result && result.failed > 0 && result.successful === 0) {
@@ -182,16 +253,249 @@ class CLI {
    * @private
    */
   async _handleMarkManual(args) {
+    const posIndex = args.indexOf('--pos');
+    const pointOfSale = posIndex !== -1 ? parseInt(args[posIndex + 1]) : null;
+    const typeIndex = args.indexOf('--type');
+    const voucherType = typeIndex !== -1 ? parseInt(args[typeIndex + 1]) : null;
+    const [orderArg, cae, voucherArg] = args.filter((arg, i) =>
+      !arg.startsWith('--') && (posIndex === -1 || i !== posIndex + 1) && (typeIndex === -1 || i !== typeIndex + 1)
+    );
+    const voucherNumber = voucherArg ? parseInt(voucherArg) : null;
+    // A daily consolidated invoice covers several orders: order1,order2,...
+    const orderNumbers = orderArg ? orderArg.split(',').filter(Boolean) : [];
+    const invoiceTypes = [AFIP_VOUCHER_TYPE.INVOICE_A, AFIP_VOUCHER_TYPE.INVOICE_B, AFIP_VOUCHER_TYPE.INVOICE_C];
+
+    if (orderNumbers.length === 0 || !cae || (posIndex !== -1 && !(pointOfSale > 0)) ||
+        (typeIndex !== -1 && !invoiceTypes.includes(voucherType))) {
+      ConsoleFormatter.error('Usage: mark-manual <order-number>[,<order-number>...] <cae> [voucher-number] [--pos <point-of-sale>] [--type <1|6|11>]');
+      process.exit(1);
+    }
+
+    return await ProcessCommand.markOrderAsManual(orderNumbers, cae, voucherNumber, pointOfSale, voucherType);
+  }
+
+  /**
+   * Handle credit-note command
+   * Accepts either an order number or the 14-digit CAE of the original invoice.
+   * @private
+   */
+  async _handleCreditNote(args) {
+    const reference = args[0];
+    const amount = args[1] !== undefined ? parseFloat(args[1]) : undefined;
+
+    if (!reference || (amount !== undefined && !(amount > 0))) {
+      ConsoleFormatter.error('Usage: credit-note <order-number|cae> [amount]');
+      process.exit(1);
+    }
+
+    const normalized = reference.replace(/-/g, '');
+    const target = /^\d{14}$/.test(normalized)
+      ? { cae: normalized }
+      : { orderNumber: reference };
+
+    return await VoucherCommand.createCreditNote(target, amount);
+  }
+
+  /**
+   * Handle debit-note command
+   * @private
+   */
+  async _handleDebitNote(args) {
+    const orderNumber = args[0];
+    const correctAmount = parseFloat(args[1]);
+
+    if (!orderNumber || !(correctAmount > 0)) {
+      ConsoleFormatter.error('Usage: debit-note <order-number> <correct-amount>');
+      process.exit(1);
+    }
+
+    return await VoucherCommand.createDebitNote(orderNumber, correctAmount);
+  }
+
+  /**
+   * Handle reconcile command
+   * @private
+   */
+  async _handleReconcile(args) {
+    const fix = args.includes('--fix');
+    const typeIndex = args.indexOf('--type');
+    const voucherType = typeIndex !== -1 ? parseInt(args[typeIndex + 1]) : undefined;
+    const posIndex = args.indexOf('--pos');
+    const pointOfSale = posIndex !== -1 ? parseInt(args[posIndex + 1]) : undefined;
+    const [yearArg, monthArg] = args.filter((arg, i) =>
+      !arg.startsWith('--') && (typeIndex === -1 || i !== typeIndex + 1) && (posIndex === -1 || i !== posIndex + 1)
+    );
+    const year = parseInt(yearArg);
+    const month = parseInt(monthArg);
+
+    if (!year || !month || (typeIndex !== -1 && !voucherType) || (posIndex !== -1 && !(pointOfSale > 0))) {
+      ConsoleFormatter.error('Usage: reconcile <year> <month> [--fix] [--type <1|6|11>] [--pos <n>]  (e.g. reconcile 2026 1 --fix)');
+      process.exit(1);
+    }
+
+    return await ReconcileCommand.reconcileMonth(year, month, { fix, voucherType, pointOfSale });
+  }
+
+  /**
+   * Handle foreign-buyer command
+   * @private
+   */
+  async _handleForeignBuyer(args) {
+    const [orderNumber, country, taxId, name, address] = args.filter(arg => !arg.startsWith('--'));
+
+    if (orderNumber && args.includes('--clear')) {
+      return await ForeignBuyerCommand.setForeignBuyer(orderNumber, null);
+    }
+
+    if (!orderNumber || !parseInt(country) || !taxId || !name || !address) {
+      ConsoleFormatter.error('Usage: foreign-buyer <order-number> <country-code> <tax-id> "<name>" "<address>"  (or <order-number> --clear)');
+      process.exit(1);
+    }
+
+    return await ForeignBuyerCommand.setForeignBuyer(orderNumber, {
+      name,
+      country: parseInt(country),
+      taxId,
+      address
+    });
+  }
+
+  /**
+   * Handle buyer-register command
+   * @private
+   */
+  async _handleBuyerRegister(args) {
+    const vatIndex = args.indexOf('--vat');
+    const vatCondition = vatIndex !== -1 ? parseInt(args[vatIndex + 1]) : undefined;
+    const [nickname, type, docNumber, name] = args.filter((arg, i) =>
+      !arg.startsWith('--') && (vatIndex === -1 || i !== vatIndex + 1)
+    );
+    const docType = /^\d+$/.test(type || '')
+      ? parseInt(type)
+      : AFIP_DOC_TYPE[String(type).toUpperCase()];
+
+    if (!nickname || !docType || !docNumber || (vatIndex !== -1 && !vatCondition)) {
+      ConsoleFormatter.error('Usage: buyer-register <nickname> <dni|cuit|cuil|passport|doc-type-code> <number> ["<name>"] [--vat <condition-id>]');
+      process.exit(1);
+    }
+
+    return await CounterpartyCommand.register({ nickname, docType, docNumber, name, vatCondition });
+  }
+
+  /**
+   * Handle pdf command
+   * @private
+   */
+  async _handlePdf(args) {
     const orderNumber = args[0];
-    const cae = args[1];
-    const voucherNumber = args[2] ? parseInt(args[2]) : null;
 
-    if (!orderNumber || !cae) {
-      ConsoleFormatter.error('Usage: mark-manual <order-number> <cae> [voucher-number]');
+    if (!orderNumber) {
+      ConsoleFormatter.error('Usage: pdf <order-number>');
+      process.exit(1);
+    }
+
+    return await InvoicePdfCommand.exportOrder(orderNumber);
+  }
+
+  /**
+   * Handle pdf-month command
+   * @private
+   */
+  async _handlePdfMonth(args) {
+    const year = parseInt(args[0]);
+    const month = parseInt(args[1]);
+
+    if (!year || !month) {
+      ConsoleFormatter.error('Usage: pdf-month <year> <month>  (e.g. pdf-month 2026 1)');
+      process.exit(1);
+    }
+
+    return await InvoicePdfCommand.exportMonth(year, month);
+  }
+
+  /**
+   * Handle taxpayer command
+   * @private
+   */
+  async _handleTaxpayer(args) {
+    const refresh = args.includes('--refresh');
+    const cuit = args.find(arg => !arg.startsWith('--'));
+
+    if (!cuit) {
+      ConsoleFormatter.error('Usage: taxpayer <cuit> [--refresh]');
+      process.exit(1);
+    }
+
+    return await TaxpayerCommand.lookup(cuit, { refresh });
+  }
+
+  /**
+   * Handle locks command
+   * @private
+   */
+  async _handleLocks(args) {
+    if (args[0] !== 'release') {
+      return await LocksCommand.list();
+    }
+
+    if (!args[1]) {
+      ConsoleFormatter.error('Usage: locks release <name>');
+      process.exit(1);
+    }
+
+    return await LocksCommand.release(args[1]);
+  }
+
+  /**
+   * Handle monotributo command
+   * @private
+   */
+  async _handleMonotributo(args) {
+    if (args.length === 0) {
+      return await MonotributoCommand.showStatus();
+    }
+
+    const year = parseInt(args[0]);
+    const month = parseInt(args[1]);
+
+    if (!year || !month) {
+      ConsoleFormatter.error('Usage: monotributo [<year> <month>]  (e.g. monotributo 2026 9)');
+      process.exit(1);
+    }
+
+    return await MonotributoCommand.showStatus(year, month);
+  }
+
+  /**
+   * Handle recategorization command
+   * @private
+   */
+  async _handleRecategorization(args) {
+    const year = parseInt(args[0]);
+    const semester = parseInt(args[1]);
+
+    if (!year || (semester !== 1 && semester !== 2)) {
+      ConsoleFormatter.error('Usage: recategorization <year> <1|2>  (e.g. recategorization 2026 1 for January-June)');
       process.exit(1);
     }
 
-    return await ProcessCommand.markOrderAsManual(orderNumber, cae, voucherNumber);
+    return await RecategorizationCommand.generate(year, semester);
+  }
+
+  /**
+   * Handle iibb command
+   * @private
+   */
+  async _handleIibb(args) {
+    const year = parseInt(args[0]);
+    const month = parseInt(args[1]);
+
+    if (!year || !month) {
+      ConsoleFormatter.error('Usage: iibb <year> <month>  (e.g. iibb 2026 9)');
+      process.exit(1);
+    }
+
+    return await IibbCommand.generate(year, month);
   }
 
   /**
@@ -216,15 +520,53 @@ class CLI {
 
     ConsoleFormatter.subheader('Processing Commands');
     ConsoleFormatter.listItem('process                              Process all unprocessed orders to AFIP invoices');
+    ConsoleFormatter.listItem('process --batch                      Same, in multi-record CAE requests');
     ConsoleFormatter.listItem('process <order-number>               Process specific order by number');
+    ConsoleFormatter.listItem('process <order-number> --cuit <cuit> Same, invoicing an identified buyer (padrón lookup)');
     ConsoleFormatter.listItem('process-month <year> <month>         Create invoices for all pending orders in a month');
-    ConsoleFormatter.listItem('mark-manual <order> <cae> [voucher]  Mark order as manually processed');
+    ConsoleFormatter.listItem('mark-manual <order>[,<order>...] <cae> [voucher]  Mark orders as manually processed (several share a daily invoice)');
+    ConsoleFormatter.listItem('  --pos <n>                          Point of sale the voucher was issued on (default: AFIP_PTOVTA)');
+    ConsoleFormatter.listItem('  --type <1|6|11>                    Factura A, B or C (default: C)');
+    ConsoleFormatter.listItem('credit-note <order|cae> [amount]     Issue a Nota de Crédito C against an invoice');
+    ConsoleFormatter.listItem('debit-note <order> <correct-amount>  Issue a Nota de Débito C for an under-invoiced order');
+    ConsoleFormatter.listItem('reconcile <year> <month> [--fix]     Diff AFIP vouchers against the orders table');
+    ConsoleFormatter.listItem('  --type <1|6|11>                    Voucher type to walk (default: the issuer\'s usual type)');
+    ConsoleFormatter.listItem('  --pos <n>                          Point of sale to walk (default: the issuer profile\'s)');
+    ConsoleFormatter.listItem('foreign-buyer <order> <country> <tax-id> "<name>" "<address>"');
+    ConsoleFormatter.listItem('                                     Invoice the order with a Factura E (WSFEX); --clear undoes it');
+    ConsoleFormatter.listItem('buyer-register <nickname> <dni|cuit|cuil|passport> <number> ["<name>"]');
+    ConsoleFormatter.listItem('                                     Identify a buyer on invoices above the consumidor final threshold');
+    ConsoleFormatter.listItem('  --vat <id>                         Buyer\'s VAT condition (default 5, consumidor final; 1 RI, 6 monotributo…)');
+    ConsoleFormatter.newLine();
+
+    ConsoleFormatter.subheader('Run Locks');
+    ConsoleFormatter.listItem('locks                         Show which run holds the processing lock (held or stale)');
+    ConsoleFormatter.listItem('locks release <name>          Force-release a lock left by a run that died');
+    ConsoleFormatter.newLine();
+
+    ConsoleFormatter.subheader('Invoice PDFs');
+    ConsoleFormatter.listItem('pdf <order-number>            Write the invoice PDF (with AFIP QR) of an order');
+    ConsoleFormatter.listItem('pdf-month <year> <month>      Write the invoice PDFs of every order invoiced in a month');
+    ConsoleFormatter.newLine();
+
+    ConsoleFormatter.subheader('CAEA Contingency (AFIP outages)');
+    ConsoleFormatter.listItem('caea-request [date]           Request and store the CAEA for the fortnight of date (default today)');
+    ConsoleFormatter.listItem('caea-issue                    Invoice pending orders locally under the stored CAEA');
+    ConsoleFormatter.listItem('caea-report                   Report CAEA vouchers to AFIP once it is back');
+    ConsoleFormatter.newLine();
+
+    ConsoleFormatter.subheader('AFIP Reference Data');
+    ConsoleFormatter.listItem('taxpayer <cuit> [--refresh]   Look up a CUIT in the AFIP padrón (cached)');
+    ConsoleFormatter.listItem('afip-params [--refresh]       Show the WSFE parameter catalog and its diff with the constants');
     ConsoleFormatter.newLine();
 
     ConsoleFormatter.subheader('Report Commands');
     ConsoleFormatter.listItem('report                        Show current month invoice report');
     ConsoleFormatter.listItem('report status <status>        Show orders by status (success|failed|pending)');
     ConsoleFormatter.listItem('report-stats                  Show statistics summary');
+    ConsoleFormatter.listItem('monotributo [year month]      Income of the last 12 months against the monotributo category caps');
+    ConsoleFormatter.listItem('recategorization <year> <1|2> Recategorization backup for a semester (console, JSON and CSV)');
+    ConsoleFormatter.listItem('iibb <year> <month>           Ingresos Brutos declaration of a month, with a CSV of its vouchers');
     ConsoleFormatter.newLine();
 
     ConsoleFormatter.subheader('NPM Scripts');
@@ -1,4 +1,5 @@
 const { TableClient } = require('@azure/data-tables');
+const logger = require('../utils/logger');
 
 /**
  * Determine whether a connection string targets the local Azurite emulator
@@ -30,6 +31,15 @@ class AzureTableDatabase {
 
     this.ordersClient = TableClient.fromConnectionString(connectionString, 'orders');
     this.invoicesClient = TableClient.fromConnectionString(connectionString, 'invoices');
+    this.caeaClient = TableClient.fromConnectionString(connectionString, 'caea');
+    this.taxpayersClient = TableClient.fromConnectionString(connectionString, 'taxpayers');
+    this.counterpartiesClient = TableClient.fromConnectionString(connectionString, 'counterparties');
+    this.parametersClient = TableClient.fromConnectionString(connectionString, 'parameters');
+    this.sequencesClient = TableClient.fromConnectionString(connectionString, 'sequences');
+    this.locksClient = TableClient.fromConnectionString(connectionString, 'locks');
+
+    // Repositories share one instance: the tables are created once per process
+    this._tablesCreated = null;
   }
 
   async connect() {
@@ -37,18 +47,24 @@ class AzureTableDatabase {
   }
 
   async initialize() {
-    await this.createTables();
+    if (!this._tablesCreated) {
+      this._tablesCreated = this.createTables().catch(error => {
+        this._tablesCreated = null;
+        throw error;
+      });
+    }
+    await this._tablesCreated;
   }
 
   async createTables() {
-    for (const client of [this.ordersClient, this.invoicesClient]) {
+    for (const client of [this.ordersClient, this.invoicesClient, this.caeaClient, this.taxpayersClient, this.counterpartiesClient, this.parametersClient, this.sequencesClient, this.locksClient]) {
       try {
         await client.createTable();
       } catch (error) {
         if (error.statusCode !== 409) throw error;
       }
     }
-    console.log('✅ Azure Table Storage tables initialized');
+    logger.info('Azure Table Storage tables initialized');
   }
 
   async insertOrder(orderData) {
@@ -72,6 +88,7 @@ class AzureTableDatabase {
     };
     if (result.cae) entity.cae = result.cae;
     if (result.voucherNumber) entity.voucherNumber = Number(result.voucherNumber);
+    if (result.voucherType) entity.voucherType = Number(result.voucherType);
     if (invoiceDate) entity.invoiceDate = invoiceDate;
     if (result.error) entity.errorMessage = result.error;
 
@@ -79,7 +96,7 @@ class AzureTableDatabase {
     return 1;
   }
 
-  async markOrderManual(orderNumber, cae, voucherNumber, notes = null) {
+  async markOrderManual(orderNumber, cae, voucherNumber, notes = null, pointOfSale = null, consolidatedOrders = null, voucherType = null) {
     const entity = {
       partitionKey: 'orders',
       rowKey: String(orderNumber),
@@ -89,6 +106,9 @@ class AzureTableDatabase {
       cae: cae,
     };
     if (voucherNumber) entity.voucherNumber = Number(voucherNumber);
+    if (pointOfSale) entity.pointOfSale = Number(pointOfSale);
+    if (voucherType) entity.voucherType = Number(voucherType);
+    if (consolidatedOrders) entity.consolidatedOrders = Number(consolidatedOrders);
     if (notes) entity.notes = notes;
 
     await this.ordersClient.upsertEntity(entity, 'Merge');
@@ -121,6 +141,21 @@ class AzureTableDatabase {
     }
   }
 
+  async getOrderByCae(cae) {
+    for await (const entity of this.ordersClient.listEntities()) {
+      if (entity.cae === String(cae)) return this._entityToRow(entity);
+    }
+    return null;
+  }
+
+  async getOrdersByCae(cae) {
+    const rows = [];
+    for await (const entity of this.ordersClient.listEntities()) {
+      if (entity.cae === String(cae)) rows.push(this._entityToRow(entity));
+    }
+    return rows;
+  }
+
   async getProcessedOrders() {
     const rows = [];
     for await (const entity of this.ordersClient.listEntities()) {
@@ -192,9 +227,14 @@ class AzureTableDatabase {
       processed_orders: orders.filter(o => o.processed_at).length,
       pending_orders: orders.filter(o => !o.processed_at).length,
       successful_orders: orders.filter(o => o.success === 1).length,
+      // Orders on a daily consolidated invoice share its voucher
+      invoices: new Set(orders.filter(o => o.success === 1)
+        .map(o => (o.voucher_number ? `${o.point_of_sale}-${o.voucher_type}-${o.voucher_number}` : o.cae || o.order_number))).size,
       failed_orders: orders.filter(o => o.processed_at && o.success === 0).length,
       total_amount: orders.reduce((sum, o) => sum + (o.amount || 0), 0),
-      invoiced_amount: orders.filter(o => o.success === 1).reduce((sum, o) => sum + (o.total_price || 0), 0),
+      // In pesos, at the exchange rate each invoice was sent to AFIP with
+      invoiced_amount: orders.filter(o => o.success === 1)
+        .reduce((sum, o) => sum + (o.total_price || 0) * (o.exchange_rate || 1), 0),
       earliest_date: orders.length ? orders.map(o => o.order_date).sort()[0] : null,
       latest_date: orders.length ? orders.map(o => o.order_date).sort().pop() : null,
     };
@@ -226,7 +266,7 @@ class AzureTableDatabase {
       automatic_orders: entities.filter(e => e.processingMethod === 'automatic').length,
       total_invoiced_amount: entities
         .filter(e => e.success === true)
-        .reduce((sum, e) => sum + (e.totalPrice || 0), 0),
+        .reduce((sum, e) => sum + (e.totalPrice || 0) * (e.exchangeRate || 1), 0),
     };
   }
 
@@ -240,6 +280,16 @@ class AzureTableDatabase {
     return rows.sort((a, b) => new Date(b.order_date) - new Date(a.order_date));
   }
 
+  async getPendingCaeaReportOrders() {
+    const rows = [];
+    for await (const entity of this.ordersClient.listEntities()) {
+      if (entity.success === true && entity.authorizationType === 'CAEA' && !entity.caeaReportedAt) {
+        rows.push(this._entityToRow(entity));
+      }
+    }
+    return rows.sort((a, b) => Number(a.voucher_number) - Number(b.voucher_number));
+  }
+
   async getFailedOrders() {
     return this.getOrdersByStatus(false);
   }
@@ -293,6 +343,270 @@ class AzureTableDatabase {
     return rows;
   }
 
+  async saveCaea(caeaData) {
+    const entity = {
+      partitionKey: 'caea',
+      rowKey: `${caeaData.period}-${caeaData.fortnight}`,
+      code: String(caeaData.code),
+      period: Number(caeaData.period),
+      fortnight: Number(caeaData.fortnight),
+      validFrom: caeaData.validFrom,
+      validTo: caeaData.validTo,
+      reportDeadline: caeaData.reportDeadline,
+    };
+    if (caeaData.grantedAt) entity.grantedAt = caeaData.grantedAt;
+
+    await this.caeaClient.upsertEntity(entity, 'Replace');
+    return { rowKey: entity.rowKey };
+  }
+
+  async getCaea(period, fortnight) {
+    try {
+      const entity = await this.caeaClient.getEntity('caea', `${period}-${fortnight}`);
+      return this._caeaEntityToRow(entity);
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async saveTaxpayer(taxpayerData) {
+    const entity = {
+      partitionKey: 'taxpayer',
+      rowKey: String(taxpayerData.cuit),
+      name: taxpayerData.name,
+      taxCondition: taxpayerData.taxCondition,
+      fetchedAt: taxpayerData.fetchedAt,
+    };
+    if (taxpayerData.personType) entity.personType = taxpayerData.personType;
+    if (taxpayerData.status) entity.status = taxpayerData.status;
+    if (taxpayerData.address) entity.address = taxpayerData.address;
+
+    await this.taxpayersClient.upsertEntity(entity, 'Replace');
+    return { rowKey: entity.rowKey };
+  }
+
+  async getTaxpayer(cuit) {
+    try {
+      const entity = await this.taxpayersClient.getEntity('taxpayer', String(cuit));
+      return this._taxpayerEntityToRow(entity);
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async saveCounterparty(counterpartyData) {
+    const entity = {
+      partitionKey: 'counterparty',
+      rowKey: String(counterpartyData.nickname),
+      docType: Number(counterpartyData.docType),
+      docNumber: String(counterpartyData.docNumber),
+      vatCondition: Number(counterpartyData.vatCondition),
+      registeredAt: counterpartyData.registeredAt,
+    };
+    if (counterpartyData.name) entity.name = counterpartyData.name;
+
+    await this.counterpartiesClient.upsertEntity(entity, 'Replace');
+    return { rowKey: entity.rowKey };
+  }
+
+  async getCounterparty(nickname) {
+    try {
+      const entity = await this.counterpartiesClient.getEntity('counterparty', String(nickname));
+      return {
+        nickname: entity.rowKey,
+        doc_type: entity.docType,
+        doc_number: entity.docNumber,
+        name: entity.name || null,
+        vat_condition: entity.vatCondition || null,
+        registered_at: entity.registeredAt,
+      };
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async saveParameterCatalog(catalogData) {
+    // Table properties cannot hold arrays: each list is stored as JSON
+    const entity = {
+      partitionKey: 'parameters',
+      rowKey: 'wsfe',
+      voucherTypes: JSON.stringify(catalogData.voucherTypes),
+      docTypes: JSON.stringify(catalogData.docTypes),
+      currencies: JSON.stringify(catalogData.currencies),
+      pointsOfSale: JSON.stringify(catalogData.pointsOfSale),
+      vatConditions: JSON.stringify(catalogData.vatConditions),
+      fetchedAt: catalogData.fetchedAt,
+    };
+
+    await this.parametersClient.upsertEntity(entity, 'Replace');
+    return { rowKey: entity.rowKey };
+  }
+
+  async getParameterCatalog() {
+    try {
+      const entity = await this.parametersClient.getEntity('parameters', 'wsfe');
+      return {
+        voucher_types: JSON.parse(entity.voucherTypes),
+        doc_types: JSON.parse(entity.docTypes),
+        currencies: JSON.parse(entity.currencies),
+        points_of_sale: JSON.parse(entity.pointsOfSale),
+        vat_conditions: JSON.parse(entity.vatConditions),
+        fetched_at: entity.fetchedAt,
+      };
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async acquireVoucherLease(pointOfSale, voucherType, owner, expiresAt, now = new Date()) {
+    const rowKey = `${pointOfSale}-${voucherType}`;
+    let entity = null;
+    try {
+      entity = await this.sequencesClient.getEntity('sequences', rowKey);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    const leased = {
+      partitionKey: 'sequences',
+      rowKey,
+      pointOfSale: Number(pointOfSale),
+      voucherType: Number(voucherType),
+      lastNumber: entity ? Number(entity.lastNumber) || 0 : 0,
+      leaseOwner: owner,
+      leaseExpiresAt: expiresAt,
+    };
+
+    // Held and not expired: leave it, and say who holds it
+    if (entity && entity.leaseOwner && Date.parse(entity.leaseExpiresAt) > now.getTime()) {
+      return this._sequenceEntityToRow(entity);
+    }
+
+    // The ETag makes taking the lease a compare-and-swap: whoever writes
+    // first wins, the other gets a 409 (new row) or 412 (changed row)
+    try {
+      const response = entity
+        ? await this.sequencesClient.updateEntity(leased, 'Replace', { etag: entity.etag })
+        : await this.sequencesClient.createEntity(leased);
+      return this._sequenceEntityToRow({ ...leased, etag: response.etag });
+    } catch (error) {
+      if (error.statusCode !== 409 && error.statusCode !== 412) throw error;
+      const current = await this.sequencesClient.getEntity('sequences', rowKey);
+      return this._sequenceEntityToRow(current);
+    }
+  }
+
+  async renewVoucherLease(sequenceData, expiresAt) {
+    const entity = {
+      partitionKey: 'sequences',
+      rowKey: `${sequenceData.pointOfSale}-${sequenceData.voucherType}`,
+      pointOfSale: Number(sequenceData.pointOfSale),
+      voucherType: Number(sequenceData.voucherType),
+      lastNumber: Number(sequenceData.lastNumber) || 0,
+      leaseOwner: sequenceData.leaseOwner,
+      leaseExpiresAt: expiresAt,
+    };
+
+    try {
+      const response = await this.sequencesClient.updateEntity(entity, 'Replace', { etag: sequenceData.version });
+      return this._sequenceEntityToRow({ ...entity, etag: response.etag });
+    } catch (error) {
+      // The lease lapsed and another run took it
+      if (error.statusCode === 412) return null;
+      throw error;
+    }
+  }
+
+  async releaseVoucherLease(sequenceData, lastNumber) {
+    const entity = {
+      partitionKey: 'sequences',
+      rowKey: `${sequenceData.pointOfSale}-${sequenceData.voucherType}`,
+      pointOfSale: Number(sequenceData.pointOfSale),
+      voucherType: Number(sequenceData.voucherType),
+      lastNumber: Number(lastNumber) || 0,
+      leaseOwner: '',
+      leaseExpiresAt: '',
+    };
+
+    try {
+      await this.sequencesClient.updateEntity(entity, 'Replace', { etag: sequenceData.version });
+      return true;
+    } catch (error) {
+      // The lease lapsed and another run took it: its row is not ours to write
+      if (error.statusCode === 412) return false;
+      throw error;
+    }
+  }
+
+  async acquireRunLock(lockData, now = new Date()) {
+    let entity = null;
+    try {
+      entity = await this.locksClient.getEntity('locks', lockData.name);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    // Held and not expired: leave it, and say who holds it
+    if (entity && Date.parse(entity.expiresAt) > now.getTime()) {
+      return this._lockEntityToRow(entity);
+    }
+
+    const lock = {
+      partitionKey: 'locks',
+      rowKey: lockData.name,
+      command: lockData.command,
+      owner: lockData.owner,
+      acquiredAt: lockData.acquiredAt,
+      expiresAt: lockData.expiresAt,
+    };
+
+    // Same compare-and-swap as the voucher leases: a stale lock is taken
+    // over only if nobody else took it over since it was read
+    try {
+      const response = entity
+        ? await this.locksClient.updateEntity(lock, 'Replace', { etag: entity.etag })
+        : await this.locksClient.createEntity(lock);
+      return this._lockEntityToRow({ ...lock, etag: response.etag });
+    } catch (error) {
+      if (error.statusCode !== 409 && error.statusCode !== 412) throw error;
+      const current = await this.locksClient.getEntity('locks', lockData.name);
+      return this._lockEntityToRow(current);
+    }
+  }
+
+  async releaseRunLock(lockData) {
+    try {
+      await this.locksClient.deleteEntity('locks', lockData.name, { etag: lockData.version });
+      return true;
+    } catch (error) {
+      // Gone, or taken over after it went stale: not ours to delete
+      if (error.statusCode === 404 || error.statusCode === 412) return false;
+      throw error;
+    }
+  }
+
+  async getRunLocks() {
+    const locks = [];
+    for await (const entity of this.locksClient.listEntities()) {
+      locks.push(this._lockEntityToRow(entity));
+    }
+    return locks;
+  }
+
+  async deleteRunLock(name) {
+    try {
+      await this.locksClient.deleteEntity('locks', String(name));
+      return 1;
+    } catch (error) {
+      if (error.statusCode === 404) return 0;
+      throw error;
+    }
+  }
+
   async close() {
     // No-op for Azure Table Storage
   }
@@ -314,6 +628,7 @@ class AzureTableDatabase {
       orderDate: orderDate,
     };
 
+    if (orderData.source) entity.source = orderData.source;
     if (orderData.buyerNickname) entity.buyerNickname = orderData.buyerNickname;
     if (orderData.sellerNickname) entity.sellerNickname = orderData.sellerNickname;
     if (orderData.processedAt) entity.processedAt = orderData.processedAt;
@@ -321,9 +636,23 @@ class AzureTableDatabase {
     if (orderData.success !== null && orderData.success !== undefined) entity.success = Boolean(orderData.success);
     if (orderData.cae) entity.cae = orderData.cae;
     if (orderData.voucherNumber) entity.voucherNumber = Number(orderData.voucherNumber);
+    if (orderData.voucherType) entity.voucherType = Number(orderData.voucherType);
+    if (orderData.pointOfSale) entity.pointOfSale = Number(orderData.pointOfSale);
+    if (orderData.exchangeRate) entity.exchangeRate = Number(orderData.exchangeRate);
+    if (orderData.receiverVatCondition) entity.receiverVatCondition = Number(orderData.receiverVatCondition);
+    if (orderData.receiverDocType) entity.receiverDocType = Number(orderData.receiverDocType);
+    if (orderData.receiverDocNumber) entity.receiverDocNumber = String(orderData.receiverDocNumber);
     if (orderData.invoiceDate) entity.invoiceDate = orderData.invoiceDate;
     if (orderData.errorMessage) entity.errorMessage = orderData.errorMessage;
     if (orderData.notes) entity.notes = orderData.notes;
+    if (orderData.authorizationType) entity.authorizationType = orderData.authorizationType;
+    if (orderData.caeaReportedAt) entity.caeaReportedAt = orderData.caeaReportedAt;
+    if (orderData.consolidatedOrders) entity.consolidatedOrders = Number(orderData.consolidatedOrders);
+    // Table Storage has no array type: credit/debit notes are kept as a JSON column
+    if (orderData.adjustments && orderData.adjustments.length > 0) {
+      entity.adjustments = JSON.stringify(orderData.adjustments);
+    }
+    if (orderData.foreignBuyer) entity.foreignBuyer = JSON.stringify(orderData.foreignBuyer);
 
     return entity;
   }
@@ -341,14 +670,26 @@ class AzureTableDatabase {
       trade_type: entity.tradeType || '',
       create_time: entity.createTime || 0,
       order_date: entity.orderDate || '',
+      source: entity.source || null,
       processed_at: entity.processedAt || null,
       processing_method: entity.processingMethod || null,
       success: entity.success === true ? 1 : (entity.success === false ? 0 : null),
       cae: entity.cae || null,
       voucher_number: entity.voucherNumber || null,
+      voucher_type: entity.voucherType || null,
+      point_of_sale: entity.pointOfSale || null,
+      exchange_rate: entity.exchangeRate || null,
+      receiver_vat_condition: entity.receiverVatCondition || null,
+      receiver_doc_type: entity.receiverDocType || null,
+      receiver_doc_number: entity.receiverDocNumber || null,
       invoice_date: entity.invoiceDate || null,
       error_message: entity.errorMessage || null,
       notes: entity.notes || null,
+      adjustments: entity.adjustments ? JSON.parse(entity.adjustments) : [],
+      foreign_buyer: entity.foreignBuyer ? JSON.parse(entity.foreignBuyer) : null,
+      authorization_type: entity.authorizationType || null,
+      caea_reported_at: entity.caeaReportedAt || null,
+      consolidated_orders: entity.consolidatedOrders || null,
     };
   }
 
@@ -364,6 +705,52 @@ class AzureTableDatabase {
       created_at: entity.timestamp ? entity.timestamp.toISOString() : null,
     };
   }
+
+  _caeaEntityToRow(entity) {
+    return {
+      code: entity.code,
+      period: entity.period,
+      fortnight: entity.fortnight,
+      valid_from: entity.validFrom,
+      valid_to: entity.validTo,
+      report_deadline: entity.reportDeadline,
+      granted_at: entity.grantedAt || null,
+    };
+  }
+
+  _sequenceEntityToRow(entity) {
+    return {
+      point_of_sale: entity.pointOfSale,
+      voucher_type: entity.voucherType,
+      last_number: entity.lastNumber || 0,
+      lease_owner: entity.leaseOwner || null,
+      lease_expires_at: entity.leaseExpiresAt || null,
+      etag: entity.etag || null,
+    };
+  }
+
+  _lockEntityToRow(entity) {
+    return {
+      name: entity.rowKey,
+      command: entity.command,
+      owner: entity.owner,
+      acquired_at: entity.acquiredAt,
+      expires_at: entity.expiresAt,
+      etag: entity.etag || null,
+    };
+  }
+
+  _taxpayerEntityToRow(entity) {
+    return {
+      cuit: entity.rowKey,
+      name: entity.name,
+      tax_condition: entity.taxCondition,
+      person_type: entity.personType || null,
+      status: entity.status || null,
+      address: entity.address || null,
+      fetched_at: entity.fetchedAt,
+    };
+  }
 }
 
 module.exports = AzureTableDatabase;
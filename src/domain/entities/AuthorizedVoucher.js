@@ -0,0 +1,245 @@
+/**
+ * AuthorizedVoucher Entity
+ *
+ * A voucher exactly as AFIP has it on record (WSFE FECompConsultar).
+ * Used to verify what was really authorized when the orders table and the
+ * AFIP portal disagree. Immutable; built from the AFIP response.
+ */
+
+const Money = require('../value-objects/Money');
+const CAE = require('../value-objects/CAE');
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * AFIP currency ids mapped to ISO codes
+ */
+const AFIP_CURRENCY = {
+  PES: 'ARS',
+  DOL: 'USD',
+  '060': 'EUR'
+};
+
+/**
+ * @typedef {Object} AuthorizedVoucherData
+ * @property {number} pointOfSale - Point of sale
+ * @property {number} voucherType - AFIP voucher type (11 = Factura C, ...)
+ * @property {number} voucherNumber - Voucher number
+ * @property {string} voucherDate - Voucher date (YYYY-MM-DD)
+ * @property {number} concept - Invoice concept (1 products, 2 services, 3 both)
+ * @property {number} docType - Receiver document type
+ * @property {string} docNumber - Receiver document number
+ * @property {number} totalAmount - ImpTotal
+ * @property {number} netAmount - ImpNeto
+ * @property {number} [vatAmount=0] - ImpIVA
+ * @property {number} [exemptAmount=0] - ImpOpEx
+ * @property {number} [untaxedAmount=0] - ImpTotConc
+ * @property {number} [otherTaxesAmount=0] - ImpTrib
+ * @property {string} [currency='ARS'] - ISO currency code
+ * @property {number} [exchangeRate=1] - MonCotiz
+ * @property {string} [serviceFrom] - Service start (YYYY-MM-DD)
+ * @property {string} [serviceTo] - Service end (YYYY-MM-DD)
+ * @property {string} [dueDate] - Payment due date (YYYY-MM-DD)
+ * @property {string} cae - Authorization code (CAE or CAEA)
+ * @property {string} [caeExpiration] - Authorization expiry (YYYY-MM-DD)
+ * @property {string} [authorizationType='CAE'] - 'CAE' or 'CAEA'
+ * @property {string} [result] - AFIP result ('A' approved, 'R' rejected, 'O' observed)
+ * @property {string} [processedAt] - When AFIP processed the voucher (YYYY-MM-DD)
+ * @property {Array<{type: number, pointOfSale: number, number: number}>} [associatedVouchers] - CbtesAsoc
+ */
+
+class AuthorizedVoucher {
+  /**
+   * @param {AuthorizedVoucherData} data - Voucher data
+   */
+  constructor(data) {
+    const currency = data.currency || 'ARS';
+
+    this._pointOfSale = data.pointOfSale;
+    this._voucherType = data.voucherType;
+    this._voucherNumber = data.voucherNumber;
+    this._voucherDate = data.voucherDate;
+    this._concept = data.concept;
+    this._docType = data.docType;
+    this._docNumber = data.docNumber != null ? String(data.docNumber) : null;
+
+    this._totalAmount = new Money(data.totalAmount, currency);
+    this._netAmount = new Money(data.netAmount || 0, currency);
+    this._vatAmount = new Money(data.vatAmount || 0, currency);
+    this._exemptAmount = new Money(data.exemptAmount || 0, currency);
+    this._untaxedAmount = new Money(data.untaxedAmount || 0, currency);
+    this._otherTaxesAmount = new Money(data.otherTaxesAmount || 0, currency);
+    this._exchangeRate = data.exchangeRate || 1;
+
+    this._serviceFrom = data.serviceFrom || null;
+    this._serviceTo = data.serviceTo || null;
+    this._dueDate = data.dueDate || null;
+
+    this._cae = data.cae ? CAE.of(data.cae, data.caeExpiration) : null;
+    this._authorizationType = data.authorizationType || 'CAE';
+    this._result = data.result || null;
+    this._processedAt = data.processedAt || null;
+    this._associatedVouchers = Object.freeze(
+      (data.associatedVouchers || []).map(v => Object.freeze({ ...v }))
+    );
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If required identifiers are missing
+   */
+  _validate() {
+    const errors = [];
+
+    if (!this._pointOfSale) errors.push('Point of sale is required');
+    if (!this._voucherType) errors.push('Voucher type is required');
+    if (!this._voucherNumber) errors.push('Voucher number is required');
+    if (!this._voucherDate || !/^\d{4}-\d{2}-\d{2}$/.test(this._voucherDate)) {
+      errors.push('Voucher date must be in YYYY-MM-DD format');
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('authorizedVoucher', errors.join(', '));
+    }
+  }
+
+  // Getters
+  get pointOfSale() { return this._pointOfSale; }
+  get voucherType() { return this._voucherType; }
+  get voucherNumber() { return this._voucherNumber; }
+  get voucherDate() { return this._voucherDate; }
+  get concept() { return this._concept; }
+  get docType() { return this._docType; }
+  get docNumber() { return this._docNumber; }
+  get totalAmount() { return this._totalAmount; }
+  get netAmount() { return this._netAmount; }
+  get vatAmount() { return this._vatAmount; }
+  get exemptAmount() { return this._exemptAmount; }
+  get untaxedAmount() { return this._untaxedAmount; }
+  get otherTaxesAmount() { return this._otherTaxesAmount; }
+  get exchangeRate() { return this._exchangeRate; }
+  get serviceFrom() { return this._serviceFrom; }
+  get serviceTo() { return this._serviceTo; }
+  get dueDate() { return this._dueDate; }
+  get cae() { return this._cae; }
+  get authorizationType() { return this._authorizationType; }
+  get result() { return this._result; }
+  get processedAt() { return this._processedAt; }
+  get associatedVouchers() { return this._associatedVouchers.map(v => ({ ...v })); }
+
+  /**
+   * Check if AFIP approved the voucher
+   * @returns {boolean}
+   */
+  isApproved() {
+    return this._result === 'A' || this._result === 'O';
+  }
+
+  /**
+   * Check if the voucher matches an amount to the cent
+   * @param {Money|number} amount - Amount to compare
+   * @returns {boolean}
+   */
+  matchesAmount(amount) {
+    const other = amount instanceof Money ? amount : new Money(amount);
+    return this._totalAmount.minorUnits === other.minorUnits;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      pointOfSale: this._pointOfSale,
+      voucherType: this._voucherType,
+      voucherNumber: this._voucherNumber,
+      voucherDate: this._voucherDate,
+      concept: this._concept,
+      docType: this._docType,
+      docNumber: this._docNumber,
+      totalAmount: this._totalAmount.amount,
+      netAmount: this._netAmount.amount,
+      vatAmount: this._vatAmount.amount,
+      exemptAmount: this._exemptAmount.amount,
+      untaxedAmount: this._untaxedAmount.amount,
+      otherTaxesAmount: this._otherTaxesAmount.amount,
+      currency: this._totalAmount.currency,
+      exchangeRate: this._exchangeRate,
+      serviceFrom: this._serviceFrom,
+      serviceTo: this._serviceTo,
+      dueDate: this._dueDate,
+      cae: this._cae ? this._cae.value : null,
+      caeExpiration: this._cae && this._cae.expirationDate
+        ? this._cae.expirationDate.toISOString().split('T')[0]
+        : null,
+      authorizationType: this._authorizationType,
+      result: this._result,
+      processedAt: this._processedAt,
+      associatedVouchers: this.associatedVouchers
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {AuthorizedVoucherData} data
+   * @returns {AuthorizedVoucher}
+   */
+  static fromJSON(data) {
+    return new AuthorizedVoucher(data);
+  }
+
+  /**
+   * Create from a FECompConsultar ResultGet
+   * @param {Object} resultGet - Raw ResultGet from AFIP
+   * @returns {AuthorizedVoucher}
+   */
+  static fromAFIPResponse(resultGet) {
+    const toDate = AuthorizedVoucher._fromAfipDate;
+    const associated = resultGet.CbtesAsoc?.CbteAsoc;
+
+    return new AuthorizedVoucher({
+      pointOfSale: parseInt(resultGet.PtoVta),
+      voucherType: parseInt(resultGet.CbteTipo),
+      voucherNumber: parseInt(resultGet.CbteDesde),
+      voucherDate: toDate(resultGet.CbteFch),
+      concept: parseInt(resultGet.Concepto),
+      docType: parseInt(resultGet.DocTipo),
+      docNumber: resultGet.DocNro,
+      totalAmount: parseFloat(resultGet.ImpTotal),
+      netAmount: parseFloat(resultGet.ImpNeto) || 0,
+      vatAmount: parseFloat(resultGet.ImpIVA) || 0,
+      exemptAmount: parseFloat(resultGet.ImpOpEx) || 0,
+      untaxedAmount: parseFloat(resultGet.ImpTotConc) || 0,
+      otherTaxesAmount: parseFloat(resultGet.ImpTrib) || 0,
+      currency: AFIP_CURRENCY[resultGet.MonId] || 'ARS',
+      exchangeRate: parseFloat(resultGet.MonCotiz) || 1,
+      serviceFrom: toDate(resultGet.FchServDesde),
+      serviceTo: toDate(resultGet.FchServHasta),
+      dueDate: toDate(resultGet.FchVtoPago),
+      cae: resultGet.CodAutorizacion,
+      caeExpiration: toDate(resultGet.FchVto),
+      authorizationType: resultGet.EmisionTipo || 'CAE',
+      result: resultGet.Resultado,
+      processedAt: toDate(resultGet.FchProceso),
+      associatedVouchers: (Array.isArray(associated) ? associated : associated ? [associated] : [])
+        .map(v => ({ type: parseInt(v.Tipo), pointOfSale: parseInt(v.PtoVta), number: parseInt(v.Nro) }))
+    });
+  }
+
+  /**
+   * Convert AFIP date (YYYYMMDD, or YYYYMMDDhhmmss for FchProceso) to YYYY-MM-DD
+   * @private
+   */
+  static _fromAfipDate(value) {
+    if (!value) return null;
+    const str = String(value);
+    if (str.length < 8) return null;
+    return `${str.substring(0, 4)}-${str.substring(4, 6)}-${str.substring(6, 8)}`;
+  }
+}
+
+module.exports = AuthorizedVoucher;
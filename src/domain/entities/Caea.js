@@ -0,0 +1,164 @@
+/**
+ * Caea Entity
+ *
+ * A CAEA (Código de Autorización Electrónico Anticipado) granted by AFIP for
+ * one fortnight. Vouchers issued while WSFE is down carry the CAEA instead of
+ * a CAE and must be reported with FECAEARegInformativo before the deadline.
+ * Immutable; built from the FECAEASolicitar / FECAEAConsultar response.
+ */
+
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * @typedef {Object} CaeaData
+ * @property {string} code - 14-digit CAEA
+ * @property {number} period - Period as YYYYMM
+ * @property {number} fortnight - 1 (days 1–15) or 2 (day 16 to month end)
+ * @property {string} validFrom - First valid date (YYYY-MM-DD)
+ * @property {string} validTo - Last valid date (YYYY-MM-DD)
+ * @property {string} reportDeadline - Last date to report its vouchers (YYYY-MM-DD)
+ * @property {string} [grantedAt] - When AFIP processed the request (YYYY-MM-DD)
+ */
+
+class Caea {
+  /**
+   * @param {CaeaData} data - CAEA data
+   * @throws {ValidationError} If the data is invalid
+   */
+  constructor(data) {
+    this._code = data.code != null ? String(data.code) : null;
+    this._period = Number(data.period);
+    this._fortnight = Number(data.fortnight);
+    this._validFrom = data.validFrom;
+    this._validTo = data.validTo;
+    this._reportDeadline = data.reportDeadline;
+    this._grantedAt = data.grantedAt || null;
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+    const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+    if (!this._code || !/^\d{14}$/.test(this._code)) {
+      errors.push('CAEA must be 14 digits');
+    }
+    if (!/^\d{6}$/.test(String(this._period))) {
+      errors.push('Period must be YYYYMM');
+    }
+    if (![1, 2].includes(this._fortnight)) {
+      errors.push('Fortnight must be 1 or 2');
+    }
+    if (!isDate(this._validFrom) || !isDate(this._validTo) || !isDate(this._reportDeadline)) {
+      errors.push('Validity and report deadline must be in YYYY-MM-DD format');
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('caea', errors.join(', '));
+    }
+  }
+
+  // Getters
+  get code() { return this._code; }
+  get period() { return this._period; }
+  get fortnight() { return this._fortnight; }
+  get validFrom() { return this._validFrom; }
+  get validTo() { return this._validTo; }
+  get reportDeadline() { return this._reportDeadline; }
+  get grantedAt() { return this._grantedAt; }
+
+  /**
+   * Check if a voucher dated `date` can be issued under this CAEA
+   * @param {string} date - YYYY-MM-DD
+   * @returns {boolean}
+   */
+  covers(date) {
+    return date >= this._validFrom && date <= this._validTo;
+  }
+
+  /**
+   * Check if the report deadline has passed
+   * @param {string} [today] - YYYY-MM-DD, defaults to today
+   * @returns {boolean}
+   */
+  isReportOverdue(today = new Date().toISOString().split('T')[0]) {
+    return today > this._reportDeadline;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {CaeaData}
+   */
+  toJSON() {
+    return {
+      code: this._code,
+      period: this._period,
+      fortnight: this._fortnight,
+      validFrom: this._validFrom,
+      validTo: this._validTo,
+      reportDeadline: this._reportDeadline,
+      grantedAt: this._grantedAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {CaeaData} data
+   * @returns {Caea}
+   */
+  static fromJSON(data) {
+    return new Caea(data);
+  }
+
+  /**
+   * Create from a FECAEASolicitar / FECAEAConsultar ResultGet
+   * @param {Object} resultGet - Raw ResultGet from AFIP
+   * @returns {Caea}
+   */
+  static fromAFIPResponse(resultGet) {
+    const toDate = Caea._fromAfipDate;
+
+    return new Caea({
+      code: resultGet.CAEA,
+      period: parseInt(resultGet.Periodo),
+      fortnight: parseInt(resultGet.Orden),
+      validFrom: toDate(resultGet.FchVigDesde),
+      validTo: toDate(resultGet.FchVigHasta),
+      reportDeadline: toDate(resultGet.FchTopeInf),
+      grantedAt: toDate(resultGet.FchProceso)
+    });
+  }
+
+  /**
+   * Period and fortnight a date falls in
+   * @param {string} date - YYYY-MM-DD
+   * @returns {{period: number, fortnight: number}}
+   */
+  static periodFor(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return {
+      period: year * 100 + month,
+      fortnight: day <= 15 ? 1 : 2
+    };
+  }
+
+  /**
+   * Convert AFIP date (YYYYMMDD, or YYYYMMDDhhmmss for FchProceso) to YYYY-MM-DD
+   * @private
+   */
+  static _fromAfipDate(value) {
+    if (!value) return null;
+    const str = String(value);
+    if (str.length < 8) return null;
+    return `${str.substring(0, 4)}-${str.substring(4, 6)}-${str.substring(6, 8)}`;
+  }
+}
+
+module.exports = Caea;
@@ -0,0 +1,116 @@
+/**
+ * Counterparty Entity
+ *
+ * A Binance buyer whose identity document we know, keyed by their P2P
+ * nickname. Invoices to a registered buyer carry the document instead of
+ * going out unidentified, which AFIP requires for consumidor final sales at
+ * or above the identification threshold, and declare the buyer's VAT
+ * condition (consumidor final unless registered otherwise). Immutable.
+ */
+
+const CUIT = require('../value-objects/CUIT');
+const { ValidationError } = require('../../shared/errors');
+const { AFIP_DOC_TYPE, VAT_CONDITION, RECEIVER_VAT_CONDITIONS_BY_CLASS } = require('../../shared/constants');
+
+/**
+ * Document types that identify a buyer (everything but "sin identificar")
+ */
+const IDENTIFYING_DOC_TYPES = Object.values(AFIP_DOC_TYPE).filter(type => type !== AFIP_DOC_TYPE.NO_ID);
+
+/**
+ * @typedef {Object} CounterpartyData
+ * @property {string} nickname - Binance buyer nickname
+ * @property {number} docType - AFIP document type (DocTipo, e.g. 96 = DNI, 80 = CUIT)
+ * @property {string} docNumber - Document number (digits only for DNI, CUIT and CUIL)
+ * @property {string} [name] - Buyer's name as printed on the invoice
+ * @property {number} [vatCondition=5] - Buyer's VAT condition (CondicionIVAReceptorId, VAT_CONDITION)
+ * @property {string} [registeredAt] - When the buyer was registered (ISO timestamp)
+ */
+
+class Counterparty {
+  /**
+   * @param {CounterpartyData} data - Counterparty data
+   * @throws {ValidationError} If the data is invalid
+   */
+  constructor(data) {
+    this._nickname = data.nickname ? String(data.nickname).trim() : '';
+    this._docType = Number(data.docType);
+    this._docNumber = data.docNumber ? String(data.docNumber).replace(/[-.\s]/g, '') : '';
+    this._name = data.name ? String(data.name).trim() : null;
+    this._vatCondition = data.vatCondition ? Number(data.vatCondition) : VAT_CONDITION.FINAL_CONSUMER;
+    this._registeredAt = data.registeredAt || new Date().toISOString();
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (!this._nickname) {
+      errors.push('Nickname is required');
+    }
+    if (!IDENTIFYING_DOC_TYPES.includes(this._docType)) {
+      errors.push(`Document type ${this._docType} does not identify a buyer`);
+    } else if (!this._docNumber) {
+      errors.push('Document number is required');
+    } else if ([AFIP_DOC_TYPE.CUIT, AFIP_DOC_TYPE.CUIL].includes(this._docType)) {
+      if (!CUIT.isValid(this._docNumber)) {
+        errors.push(`Invalid CUIT/CUIL: ${this._docNumber}`);
+      }
+    } else if (this._docType === AFIP_DOC_TYPE.DNI && !/^\d{7,8}$/.test(this._docNumber)) {
+      errors.push(`Invalid DNI: ${this._docNumber}`);
+    }
+
+    if (!Object.values(VAT_CONDITION).includes(this._vatCondition)) {
+      errors.push(`Unknown VAT condition: ${this._vatCondition}`);
+    } else if (RECEIVER_VAT_CONDITIONS_BY_CLASS.A.includes(this._vatCondition) &&
+      this._docType !== AFIP_DOC_TYPE.CUIT) {
+      // They may receive a Factura A, which identifies the receiver by CUIT
+      errors.push('Registered and monotributo buyers are identified by CUIT');
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('counterparty', errors.join(', '));
+    }
+  }
+
+  // Getters
+  get nickname() { return this._nickname; }
+  get docType() { return this._docType; }
+  get docNumber() { return this._docNumber; }
+  get name() { return this._name; }
+  get vatCondition() { return this._vatCondition; }
+  get registeredAt() { return this._registeredAt; }
+
+  /**
+   * Convert to plain object
+   * @returns {CounterpartyData}
+   */
+  toJSON() {
+    return {
+      nickname: this._nickname,
+      docType: this._docType,
+      docNumber: this._docNumber,
+      name: this._name,
+      vatCondition: this._vatCondition,
+      registeredAt: this._registeredAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {CounterpartyData} data
+   * @returns {Counterparty}
+   */
+  static fromJSON(data) {
+    return new Counterparty(data);
+  }
+}
+
+module.exports = Counterparty;
@@ -0,0 +1,228 @@
+/**
+ * ExportInvoice Entity
+ *
+ * A Factura E (voucher type 19): the invoice for a service sold to a buyer
+ * resident abroad. It is authorized through WSFEX rather than WSFE, carries
+ * no VAT, and identifies the buyer by destination country and foreign tax ID.
+ * The amount is stated in the invoice currency together with its exchange
+ * rate to pesos. Export vouchers have their own point of sale and sequence.
+ * Immutable.
+ */
+
+const Money = require('../value-objects/Money');
+const OrderNumber = require('../value-objects/OrderNumber');
+const InvoiceDateValidator = require('../services/InvoiceDateValidator');
+const { ValidationError, DomainError } = require('../../shared/errors');
+const {
+  AFIP_EXPORT_VOUCHER_TYPE,
+  AFIP_EXPORT_TYPE,
+  CURRENCY_CODE
+} = require('../../shared/constants');
+
+/** WSFEX language of the voucher (Idioma_cbte): 1 = Spanish */
+const LANGUAGE_SPANISH = 1;
+
+/** WSFEX unit of measure (Pro_umed): 7 = unidades */
+const UNIT_UNITS = 7;
+
+/**
+ * @typedef {Object} ExportInvoiceData
+ * @property {OrderNumber|string} orderNumber - Associated order number
+ * @property {Money|number} totalAmount - Total in the invoice currency
+ * @property {string} currency - AFIP currency code (Moneda_Id, e.g. 'PES', 'DOL')
+ * @property {number} [exchangeRate=1] - Pesos per unit of currency (Moneda_ctz); 1 for 'PES'
+ * @property {string} invoiceDate - Invoice date (YYYY-MM-DD)
+ * @property {number} pointOfSale - Export point of sale
+ * @property {ForeignBuyer} buyer - Buyer resident abroad
+ * @property {string} [description] - Item description
+ * @property {string} [serviceDate] - Date the service was rendered (YYYY-MM-DD)
+ */
+
+class ExportInvoice {
+  /**
+   * @param {ExportInvoiceData} data - Invoice data
+   * @throws {ValidationError} If the data is invalid
+   */
+  constructor(data) {
+    this._orderNumber = data.orderNumber instanceof OrderNumber
+      ? data.orderNumber
+      : OrderNumber.of(data.orderNumber);
+    this._totalAmount = data.totalAmount instanceof Money
+      ? data.totalAmount
+      : new Money(data.totalAmount, 'ARS');
+    this._currency = data.currency;
+    this._exchangeRate = data.exchangeRate != null ? Number(data.exchangeRate) : 1;
+    this._invoiceDate = data.invoiceDate;
+    this._pointOfSale = Number(data.pointOfSale);
+    this._buyer = data.buyer ? Object.freeze({ ...data.buyer }) : null;
+    this._description = data.description || 'Servicio de intermediación P2P';
+    this._serviceDate = data.serviceDate || data.invoiceDate;
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (!this._totalAmount.isPositive()) {
+      errors.push('Total amount must be positive');
+    }
+    if (!Object.values(CURRENCY_CODE).includes(this._currency)) {
+      errors.push(`Unknown currency: ${this._currency}`);
+    }
+    if (!(this._exchangeRate > 0)) {
+      errors.push('Exchange rate must be positive');
+    }
+    if (this._currency === CURRENCY_CODE.ARS && this._exchangeRate !== 1) {
+      errors.push('Invoices in pesos have an exchange rate of 1');
+    }
+    if (!InvoiceDateValidator.isValidDateFormat(this._invoiceDate)) {
+      errors.push('Invoice date must be YYYY-MM-DD');
+    }
+    if (!Number.isInteger(this._pointOfSale) || this._pointOfSale < 1) {
+      errors.push('Point of sale must be a positive integer');
+    }
+    if (!this._buyer || !this._buyer.name || !this._buyer.taxId || !this._buyer.address) {
+      errors.push('Buyer needs a name, tax ID and address');
+    } else if (!Number.isInteger(Number(this._buyer.country)) || Number(this._buyer.country) < 1) {
+      errors.push('Buyer country must be an AFIP country code');
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('exportInvoice', errors.join(', '));
+    }
+  }
+
+  // Getters
+  get orderNumber() { return this._orderNumber; }
+  get totalAmount() { return this._totalAmount; }
+  get currency() { return this._currency; }
+  get exchangeRate() { return this._exchangeRate; }
+  get invoiceDate() { return this._invoiceDate; }
+  get pointOfSale() { return this._pointOfSale; }
+  get buyer() { return { ...this._buyer }; }
+  get voucherType() { return AFIP_EXPORT_VOUCHER_TYPE.INVOICE_E; }
+
+  /**
+   * Get the AFIP voucher type, as Invoice does
+   * @returns {number} Always 19 (Factura E)
+   */
+  getInvoiceType() {
+    return AFIP_EXPORT_VOUCHER_TYPE.INVOICE_E;
+  }
+
+  /**
+   * Convert to the WSFEX FEXAuthorize Cmp structure
+   * @param {number} requestId - Unique request ID (last FEXGetLast_ID + 1)
+   * @param {number} voucherNumber - Voucher number (last FEXGetLast_CMP + 1)
+   * @returns {Object}
+   */
+  toWsfexFormat(requestId, voucherNumber) {
+    const total = this._totalAmount.toAfipAmount();
+
+    return {
+      Id: requestId,
+      Fecha_cbte: this._formatDate(this._invoiceDate),
+      Cbte_Tipo: AFIP_EXPORT_VOUCHER_TYPE.INVOICE_E,
+      Punto_vta: this._pointOfSale,
+      Cbte_nro: voucherNumber,
+      Tipo_expo: AFIP_EXPORT_TYPE.SERVICES,
+      Permiso_existente: '',
+      Dst_cmp: Number(this._buyer.country),
+      Cliente: this._buyer.name,
+      Id_impositivo: this._buyer.taxId,
+      Domicilio_cliente: this._buyer.address,
+      Moneda_Id: this._currency,
+      Moneda_ctz: this._exchangeRate,
+      Imp_total: total,
+      Idioma_cbte: LANGUAGE_SPANISH,
+      // Services are paid on the date they are rendered
+      Fecha_pago: this._formatDate(this._serviceDate),
+      Items: {
+        Item: [{
+          Pro_codigo: this._orderNumber.value,
+          Pro_ds: this._description,
+          Pro_qty: 1,
+          Pro_umed: UNIT_UNITS,
+          Pro_precio_uni: total,
+          Pro_bonificacion: 0,
+          Pro_total_item: total
+        }]
+      }
+    };
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      orderNumber: this._orderNumber.value,
+      voucherType: this.voucherType,
+      totalAmount: this._totalAmount.amount,
+      currency: this._currency,
+      exchangeRate: this._exchangeRate,
+      invoiceDate: this._invoiceDate,
+      pointOfSale: this._pointOfSale,
+      buyer: this.buyer,
+      description: this._description,
+      serviceDate: this._serviceDate
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} YYYYMMDD
+   */
+  _formatDate(date) {
+    return date.replace(/-/g, '');
+  }
+
+  /**
+   * Create the Factura E for an order sold to a foreign resident
+   * @param {Order} order - Order flagged with a foreign buyer
+   * @param {Object} options
+   * @param {number} options.pointOfSale - Export point of sale
+   * @param {string} [options.invoiceDate] - Invoice date (defaults to the order date)
+   * @param {number} [options.exchangeRate] - Pesos per unit of the order currency; required
+   *   unless the order is in pesos
+   * @returns {ExportInvoice}
+   * @throws {DomainError} If the order has no foreign buyer or no exchange rate for its currency
+   */
+  static fromOrder(order, options) {
+    if (!order.isForeignBuyer()) {
+      throw new DomainError('Order has no foreign buyer', { orderNumber: order.orderNumber.value });
+    }
+
+    const currency = CURRENCY_CODE[order.fiat];
+    if (!currency) {
+      throw new DomainError(`No AFIP currency code for ${order.fiat}`, { orderNumber: order.orderNumber.value });
+    }
+    if (currency !== CURRENCY_CODE.ARS && !options.exchangeRate) {
+      throw new DomainError(`Exchange rate required to invoice in ${order.fiat}`, {
+        orderNumber: order.orderNumber.value
+      });
+    }
+
+    return new ExportInvoice({
+      orderNumber: order.orderNumber,
+      totalAmount: order.totalAmount,
+      currency,
+      exchangeRate: currency === CURRENCY_CODE.ARS ? 1 : options.exchangeRate,
+      invoiceDate: options.invoiceDate || order.orderDate,
+      pointOfSale: options.pointOfSale,
+      buyer: order.foreignBuyer,
+      serviceDate: order.getServicePeriod().to
+    });
+  }
+}
+
+module.exports = ExportInvoice;
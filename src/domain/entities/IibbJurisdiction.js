@@ -0,0 +1,159 @@
+/**
+ * IibbJurisdiction Entity
+ *
+ * A province (or CABA) the issuer files Ingresos Brutos in, and how its tax
+ * is worked out. Under the general regime the tax is the jurisdiction's share
+ * of the base times its rate. Under a simplified regime it is the fixed
+ * monthly amount of the bracket the last twelve months of income fall in.
+ * The share is the Convenio Multilateral coefficient, 1 for a single
+ * jurisdiction. Immutable.
+ */
+
+const Money = require('../value-objects/Money');
+const { ValidationError, DomainError } = require('../../shared/errors');
+
+/**
+ * @typedef {Object} IibbBracket
+ * @property {number} maxIncome - Income over twelve months the bracket goes up to (ARS)
+ * @property {number} amount - Fixed monthly tax of the bracket (ARS)
+ */
+
+/**
+ * @typedef {Object} IibbJurisdictionData
+ * @property {string} jurisdiction - Name or code (e.g. 'CABA', '901')
+ * @property {number} [share=1] - Share of the base attributed to the jurisdiction
+ * @property {number} [rate] - Rate of the general regime (e.g. 0.03)
+ * @property {IibbBracket[]} [brackets] - Brackets of the simplified regime
+ */
+
+class IibbJurisdiction {
+  /**
+   * @param {IibbJurisdictionData} data - Jurisdiction data
+   * @throws {ValidationError} If the data is invalid
+   */
+  constructor(data) {
+    this._jurisdiction = data.jurisdiction ? String(data.jurisdiction) : '';
+    this._share = data.share != null ? Number(data.share) : 1;
+    this._rate = data.rate != null ? Number(data.rate) : null;
+    this._brackets = data.brackets
+      ? Object.freeze(data.brackets
+        .map(bracket => Object.freeze({ maxIncome: Number(bracket.maxIncome), amount: Number(bracket.amount) }))
+        .sort((a, b) => a.maxIncome - b.maxIncome))
+      : null;
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (!this._jurisdiction) {
+      errors.push('Jurisdiction is required');
+    }
+    if (!(this._share > 0 && this._share <= 1)) {
+      errors.push('Share must be above 0 and at most 1');
+    }
+    if ((this._rate === null) === (this._brackets === null)) {
+      errors.push('Give either a rate (general regime) or brackets (simplified regime)');
+    }
+    if (this._rate !== null && !(this._rate >= 0 && this._rate < 1)) {
+      errors.push('Rate must be a fraction (e.g. 0.03 for 3%)');
+    }
+    if (this._brackets !== null) {
+      if (this._brackets.length === 0) {
+        errors.push('At least one bracket is required');
+      }
+      if (this._brackets.some(b => !(b.maxIncome > 0) || !(b.amount >= 0))) {
+        errors.push('Brackets need a positive income cap and an amount of zero or more');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('iibbJurisdiction', `${this._jurisdiction || 'jurisdiction'}: ${errors.join(', ')}`);
+    }
+  }
+
+  // Getters
+  get jurisdiction() { return this._jurisdiction; }
+  get share() { return this._share; }
+  get rate() { return this._rate; }
+  get brackets() { return this._brackets ? [...this._brackets] : null; }
+
+  /**
+   * Check if the tax is a fixed amount by bracket
+   * @returns {boolean}
+   */
+  isSimplified() {
+    return this._brackets !== null;
+  }
+
+  /**
+   * The jurisdiction's part of a base
+   * @param {Money} base - Taxable base of the month
+   * @returns {Money}
+   */
+  baseShare(base) {
+    return base.multiply(this._share);
+  }
+
+  /**
+   * Bracket of the simplified regime an income falls in
+   * @param {number} annualIncome - Income over the last twelve months (ARS)
+   * @returns {IibbBracket}
+   * @throws {DomainError} If the income is over every bracket
+   */
+  bracketFor(annualIncome) {
+    const bracket = this._brackets.find(b => annualIncome <= b.maxIncome);
+    if (!bracket) {
+      throw new DomainError('Income is over every bracket of the simplified regime', {
+        jurisdiction: this._jurisdiction,
+        annualIncome,
+        topBracket: this._brackets[this._brackets.length - 1].maxIncome
+      });
+    }
+    return bracket;
+  }
+
+  /**
+   * Tax of a month
+   * @param {Money} base - Taxable base of the month
+   * @param {number} [annualIncome] - Income over the last twelve months, for brackets
+   * @returns {Money}
+   */
+  taxOn(base, annualIncome) {
+    if (this.isSimplified()) {
+      return Money.of(this.bracketFor(annualIncome).amount, base.currency);
+    }
+    return this.baseShare(base).multiply(this._rate);
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {IibbJurisdictionData}
+   */
+  toJSON() {
+    return {
+      jurisdiction: this._jurisdiction,
+      share: this._share,
+      rate: this._rate,
+      brackets: this.brackets
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {IibbJurisdictionData} data
+   * @returns {IibbJurisdiction}
+   */
+  static fromJSON(data) {
+    return new IibbJurisdiction(data);
+  }
+}
+
+module.exports = IibbJurisdiction;
@@ -9,7 +9,10 @@
 const Money = require('../value-objects/Money');
 const CUIT = require('../value-objects/CUIT');
 const OrderNumber = require('../value-objects/OrderNumber');
+const Taxpayer = require('./Taxpayer');
+const InvoiceCalculator = require('../services/InvoiceCalculator');
 const { ValidationError, DomainError } = require('../../shared/errors');
+const { AFIP_VOUCHER_TYPE, VAT_CONDITION, RECEIVER_VAT_CONDITIONS_BY_CLASS } = require('../../shared/constants');
 
 /**
  * Invoice concepts (AFIP)
@@ -24,10 +27,60 @@ const InvoiceConcept = {
  * Invoice types (AFIP)
  */
 const InvoiceType = {
-  TYPE_B: 6,  // With VAT breakdown
+  TYPE_A: 1,  // Responsable Inscripto to RI/monotributo buyers - VAT breakdown
+  TYPE_B: 6,  // Responsable Inscripto to everyone else - VAT breakdown
   TYPE_C: 11  // Monotributista - no VAT
 };
 
+/**
+ * Voucher types (A and B, invoices and notes) whose amounts carry the Iva
+ * breakdown (AlicIva)
+ */
+const VAT_BREAKDOWN_TYPES = [
+  AFIP_VOUCHER_TYPE.INVOICE_A, AFIP_VOUCHER_TYPE.DEBIT_NOTE_A, AFIP_VOUCHER_TYPE.CREDIT_NOTE_A,
+  AFIP_VOUCHER_TYPE.INVOICE_B, AFIP_VOUCHER_TYPE.DEBIT_NOTE_B, AFIP_VOUCHER_TYPE.CREDIT_NOTE_B
+];
+
+/**
+ * Class (A, B or C) of each voucher type, for the receiver VAT condition matrix
+ */
+const VOUCHER_CLASS = {
+  [AFIP_VOUCHER_TYPE.INVOICE_A]: 'A',
+  [AFIP_VOUCHER_TYPE.DEBIT_NOTE_A]: 'A',
+  [AFIP_VOUCHER_TYPE.CREDIT_NOTE_A]: 'A',
+  [AFIP_VOUCHER_TYPE.INVOICE_B]: 'B',
+  [AFIP_VOUCHER_TYPE.DEBIT_NOTE_B]: 'B',
+  [AFIP_VOUCHER_TYPE.CREDIT_NOTE_B]: 'B',
+  [AFIP_VOUCHER_TYPE.INVOICE_C]: 'C',
+  [AFIP_VOUCHER_TYPE.DEBIT_NOTE_C]: 'C',
+  [AFIP_VOUCHER_TYPE.CREDIT_NOTE_C]: 'C'
+};
+
+/**
+ * Credit/debit note voucher type for each invoice type
+ */
+const NOTE_TYPE_BY_INVOICE_TYPE = {
+  [InvoiceType.TYPE_A]: { credit: AFIP_VOUCHER_TYPE.CREDIT_NOTE_A, debit: AFIP_VOUCHER_TYPE.DEBIT_NOTE_A },
+  [InvoiceType.TYPE_B]: { credit: AFIP_VOUCHER_TYPE.CREDIT_NOTE_B, debit: AFIP_VOUCHER_TYPE.DEBIT_NOTE_B },
+  [InvoiceType.TYPE_C]: { credit: AFIP_VOUCHER_TYPE.CREDIT_NOTE_C, debit: AFIP_VOUCHER_TYPE.DEBIT_NOTE_C }
+};
+
+/**
+ * Credit/debit note voucher types (AFIP). Notes must reference the voucher
+ * they adjust through CbtesAsoc.
+ */
+const NOTE_VOUCHER_TYPES = [
+  AFIP_VOUCHER_TYPE.CREDIT_NOTE_A, AFIP_VOUCHER_TYPE.DEBIT_NOTE_A,
+  AFIP_VOUCHER_TYPE.CREDIT_NOTE_B, AFIP_VOUCHER_TYPE.DEBIT_NOTE_B,
+  AFIP_VOUCHER_TYPE.CREDIT_NOTE_C, AFIP_VOUCHER_TYPE.DEBIT_NOTE_C
+];
+
+const CREDIT_NOTE_TYPES = [
+  AFIP_VOUCHER_TYPE.CREDIT_NOTE_A,
+  AFIP_VOUCHER_TYPE.CREDIT_NOTE_B,
+  AFIP_VOUCHER_TYPE.CREDIT_NOTE_C
+];
+
 /**
  * Document types (AFIP)
  */
@@ -52,15 +105,34 @@ const DocumentType = {
  * @property {Money|number} netAmount - Net amount (before VAT)
  * @property {Money|number} vatAmount - VAT amount
  * @property {Money|number} totalAmount - Total amount (including VAT)
+ * @property {number} [vatRate] - VAT rate of the Iva breakdown (e.g. 0.21); derived from the
+ *   amounts when omitted
  * @property {string} currency - Currency code ('ARS' or 'USD')
+ * @property {number} [exchangeRate=1] - Pesos per unit of currency (MonCotiz); 1 for 'ARS'
  * @property {string} invoiceDate - Invoice date (YYYY-MM-DD)
  * @property {number} [concept=2] - Invoice concept (1=Products, 2=Services, 3=Both)
  * @property {CUIT|string} [clientCUIT] - Client's CUIT (optional for consumer)
  * @property {number} [docType] - Document type if not CUIT
  * @property {string} [docNumber] - Document number if not CUIT
+ * @property {string} [receiverName] - Receiver legal name (identified buyers)
+ * @property {number} [receiverVatCondition=5] - Receiver VAT condition (CondicionIVAReceptorId)
  * @property {string} [serviceFrom] - Service start date
  * @property {string} [serviceTo] - Service end date
  * @property {string} [dueDate] - Payment due date
+ * @property {number} [voucherType] - Explicit AFIP voucher type (defaults to B/C from VAT)
+ * @property {number} [pointOfSale] - Point of sale to issue on (defaults to AFIP_PTOVTA)
+ * @property {AssociatedVoucher} [associatedVoucher] - Voucher adjusted by a credit/debit note
+ * @property {boolean} [issued=false] - Voucher already issued (e.g. under a CAEA) and only being
+ *   restated to AFIP: the 10-day window applies to issuing, so it is not checked
+ */
+
+/**
+ * Reference to the original voucher a credit/debit note adjusts (CbteAsoc)
+ * @typedef {Object} AssociatedVoucher
+ * @property {number} type - Original voucher type (e.g. 11 = Factura C)
+ * @property {number} number - Original voucher number
+ * @property {number} [pointOfSale] - Original point of sale (defaults to the note's)
+ * @property {string} [date] - Original voucher date (YYYY-MM-DD)
  */
 
 /**
@@ -92,6 +164,9 @@ class Invoice {
       ? data.totalAmount
       : new Money(parseFloat(data.totalAmount), currency);
 
+    this._vatRate = data.vatRate != null ? Number(data.vatRate) : null;
+    this._exchangeRate = data.exchangeRate != null ? Number(data.exchangeRate) : 1;
+
     // Invoice metadata
     this._invoiceDate = data.invoiceDate;
     this._concept = data.concept || InvoiceConcept.SERVICES;
@@ -102,12 +177,25 @@ class Invoice {
       : null;
     this._docType = data.docType || (this._clientCUIT ? DocumentType.CUIT : DocumentType.SIN_IDENTIFICAR);
     this._docNumber = data.docNumber || (this._clientCUIT ? this._clientCUIT.value : null);
+    this._receiverName = data.receiverName || null;
+    this._receiverVatCondition = data.receiverVatCondition
+      ? Number(data.receiverVatCondition)
+      : VAT_CONDITION.FINAL_CONSUMER;
 
     // Service dates (required for services)
     this._serviceFrom = data.serviceFrom || this._invoiceDate;
     this._serviceTo = data.serviceTo || this._invoiceDate;
     this._dueDate = data.dueDate || this._invoiceDate;
 
+    // Voucher type override and, for notes, the voucher being adjusted
+    this._voucherType = data.voucherType || null;
+    this._pointOfSale = data.pointOfSale || null;
+    this._associatedVoucher = data.associatedVoucher
+      ? Object.freeze({ ...data.associatedVoucher })
+      : null;
+
+    this._issued = Boolean(data.issued);
+
     // Timestamps
     this._createdAt = data.createdAt || new Date();
 
@@ -145,9 +233,15 @@ class Invoice {
       errors.push('All amounts must be in the same currency');
     }
 
-    // Validate amount calculation
+    if (!(this._exchangeRate > 0)) {
+      errors.push('Exchange rate must be positive');
+    } else if (this._totalAmount.currency === 'ARS' && this._exchangeRate !== 1) {
+      errors.push('Invoices in pesos have an exchange rate of 1');
+    }
+
+    // Validate amount calculation: AFIP checks ImpTotal = ImpNeto + ImpIVA to the cent
     const calculatedTotal = this._netAmount.add(this._vatAmount);
-    if (Math.abs(calculatedTotal.amount - this._totalAmount.amount) > 0.01) {
+    if (!calculatedTotal.equals(this._totalAmount)) {
       errors.push('Total amount must equal net amount plus VAT amount');
     }
 
@@ -165,7 +259,7 @@ class Invoice {
       errors.push('Invoice date cannot be in the future');
     }
 
-    if (daysDiff > 10) {
+    if (daysDiff > 10 && !this._issued) {
       errors.push('Invoice date must be within the last 10 days (AFIP regulation)');
     }
 
@@ -181,6 +275,28 @@ class Invoice {
       }
     }
 
+    // A/B vouchers itemize VAT at a rate AFIP knows; C vouchers carry none
+    if (this.hasVatBreakdown() && !InvoiceCalculator.VAT_RATE_IDS.has(this.getVATRate())) {
+      errors.push(`VAT rate ${this.getVATRate()} is not an AFIP VAT rate`);
+    }
+    if (this._voucherType && !this.hasVatBreakdown() && this.hasVAT()) {
+      errors.push(`Voucher type ${this._voucherType} cannot carry VAT`);
+    }
+
+    // The receiver's VAT condition must be one AFIP accepts on this voucher class
+    if (!Object.values(VAT_CONDITION).includes(this._receiverVatCondition)) {
+      errors.push(`Unknown receiver VAT condition: ${this._receiverVatCondition}`);
+    } else if (!Invoice.acceptsReceiverVatCondition(this.getInvoiceType(), this._receiverVatCondition)) {
+      errors.push(`Receiver VAT condition ${this._receiverVatCondition} is not allowed on voucher type ${this.getInvoiceType()}`);
+    }
+
+    // Credit/debit notes must reference the voucher they adjust
+    if (this.isNote()) {
+      if (!this._associatedVoucher || !this._associatedVoucher.type || !this._associatedVoucher.number) {
+        errors.push('Credit and debit notes require the associated voucher type and number');
+      }
+    }
+
     if (errors.length > 0) {
       throw ValidationError.forField('invoice', errors.join(', '));
     }
@@ -203,14 +319,20 @@ class Invoice {
   get netAmount() { return this._netAmount; }
   get vatAmount() { return this._vatAmount; }
   get totalAmount() { return this._totalAmount; }
+  get exchangeRate() { return this._exchangeRate; }
   get invoiceDate() { return this._invoiceDate; }
   get concept() { return this._concept; }
   get clientCUIT() { return this._clientCUIT; }
   get docType() { return this._docType; }
   get docNumber() { return this._docNumber; }
+  get receiverName() { return this._receiverName; }
+  get receiverVatCondition() { return this._receiverVatCondition; }
   get serviceFrom() { return this._serviceFrom; }
   get serviceTo() { return this._serviceTo; }
   get dueDate() { return this._dueDate; }
+  get voucherType() { return this._voucherType; }
+  get pointOfSale() { return this._pointOfSale; }
+  get associatedVoucher() { return this._associatedVoucher; }
   get createdAt() { return this._createdAt; }
 
   /**
@@ -221,14 +343,41 @@ class Invoice {
     return this._vatAmount.amount > 0;
   }
 
+  /**
+   * Check if the voucher type itemizes VAT (Type A and B vouchers)
+   * @returns {boolean}
+   */
+  hasVatBreakdown() {
+    return VAT_BREAKDOWN_TYPES.includes(this.getInvoiceType());
+  }
+
   /**
    * Get invoice type (B or C) based on VAT
    * @returns {number} Invoice type code
    */
   getInvoiceType() {
+    if (this._voucherType) {
+      return this._voucherType;
+    }
     return this.hasVAT() ? InvoiceType.TYPE_B : InvoiceType.TYPE_C;
   }
 
+  /**
+   * Check if this voucher is a credit or debit note
+   * @returns {boolean}
+   */
+  isNote() {
+    return NOTE_VOUCHER_TYPES.includes(this._voucherType);
+  }
+
+  /**
+   * Check if this voucher is a credit note
+   * @returns {boolean}
+   */
+  isCreditNote() {
+    return CREDIT_NOTE_TYPES.includes(this._voucherType);
+  }
+
   /**
    * Check if invoice is for a final consumer (no CUIT)
    * @returns {boolean}
@@ -251,10 +400,13 @@ class Invoice {
    * @returns {number} VAT rate (e.g., 0.21 for 21%)
    */
   getVATRate() {
+    if (this._vatRate !== null) {
+      return this._vatRate;
+    }
     if (!this.hasVAT()) {
       return 0;
     }
-    return this._vatAmount.amount / this._netAmount.amount;
+    return Math.round((this._vatAmount.amount / this._netAmount.amount) * 10000) / 10000;
   }
 
   /**
@@ -276,17 +428,24 @@ class Invoice {
       CbteDesde: 1,
       CbteHasta: 1,
       CbteFch: this._formatDateForAFIP(this._invoiceDate),
-      ImpTotal: this._totalAmount.amount,
+      ImpTotal: this._totalAmount.toAfipAmount(),
       ImpTotConc: 0,
-      ImpNeto: this._netAmount.amount,
+      ImpNeto: this._netAmount.toAfipAmount(),
       ImpOpEx: 0,
-      ImpIVA: this._vatAmount.amount,
+      ImpIVA: this._vatAmount.toAfipAmount(),
       ImpTrib: 0,
       MonId: afipCurrency,
-      MonCotiz: 1,
-      CondicionIVAReceptorId: 5 // Consumidor Final (most common)
+      MonCotiz: this._exchangeRate,
+      // Required for Resolution 5616 - VAT condition of receiver
+      CondicionIVAReceptorId: this._receiverVatCondition
     };
 
+    // Foreign-currency vouchers state whether they are paid in that currency
+    // (RG 5616); Binance settles USD orders in USD
+    if (afipCurrency !== 'PES') {
+      baseInvoice.CanMisMonExt = 'S';
+    }
+
     // Add service dates for services
     if (this.isServiceInvoice()) {
       baseInvoice.FchServDesde = this._formatDateForAFIP(this._serviceFrom);
@@ -294,13 +453,28 @@ class Invoice {
       baseInvoice.FchVtoPago = this._formatDateForAFIP(this._dueDate);
     }
 
-    // Add VAT breakdown for Type B invoices
-    if (invoiceType === InvoiceType.TYPE_B) {
-      baseInvoice.Iva = [{
-        Id: 5, // 21% VAT
-        BaseImp: this._netAmount.amount,
-        Importe: this._vatAmount.amount
-      }];
+    // Reference the adjusted voucher for credit/debit notes
+    if (this._associatedVoucher) {
+      const associated = {
+        Tipo: this._associatedVoucher.type,
+        PtoVta: this._associatedVoucher.pointOfSale || pointOfSale,
+        Nro: this._associatedVoucher.number
+      };
+      if (this._associatedVoucher.date) {
+        associated.CbteFch = this._formatDateForAFIP(this._associatedVoucher.date);
+      }
+      baseInvoice.CbtesAsoc = { CbteAsoc: [associated] };
+    }
+
+    // Type A/B vouchers itemize VAT by AFIP rate id
+    if (this.hasVatBreakdown()) {
+      baseInvoice.Iva = {
+        AlicIva: [{
+          Id: InvoiceCalculator.vatRateId(this.getVATRate()),
+          BaseImp: this._netAmount.toAfipAmount(),
+          Importe: this._vatAmount.toAfipAmount()
+        }]
+      };
     }
 
     return baseInvoice;
@@ -308,12 +482,12 @@ class Invoice {
 
   /**
    * Alias for toAFIPFormat for compatibility with AfipService
-   * Uses default point of sale from config
+   * Uses the invoice's point of sale, or the default one from config
    * @returns {Object} Invoice in AFIP format
    */
   toAfipFormat() {
     const config = require('../../config');
-    return this.toAFIPFormat(config.afip.ptoVta);
+    return this.toAFIPFormat(this._pointOfSale || config.afip.ptoVta);
   }
 
   /**
@@ -335,16 +509,23 @@ class Invoice {
       orderNumber: this._orderNumber.value,
       netAmount: this._netAmount.amount,
       vatAmount: this._vatAmount.amount,
+      vatRate: this.hasVAT() ? this.getVATRate() : null,
       totalAmount: this._totalAmount.amount,
       currency: this._totalAmount.currency,
+      exchangeRate: this._exchangeRate,
       invoiceDate: this._invoiceDate,
       concept: this._concept,
       clientCUIT: this._clientCUIT ? this._clientCUIT.value : null,
       docType: this._docType,
       docNumber: this._docNumber,
+      receiverName: this._receiverName,
+      receiverVatCondition: this._receiverVatCondition,
       serviceFrom: this._serviceFrom,
       serviceTo: this._serviceTo,
       dueDate: this._dueDate,
+      voucherType: this.getInvoiceType(),
+      pointOfSale: this._pointOfSale,
+      associatedVoucher: this._associatedVoucher ? { ...this._associatedVoucher } : null,
       createdAt: this._createdAt
     };
   }
@@ -364,38 +545,288 @@ class Invoice {
    * @param {Object} options - Additional options
    * @param {boolean} [options.includeVAT=false] - Whether to include VAT
    * @param {number} [options.vatRate=0.21] - VAT rate (default 21%)
+   * @param {string} [options.issuerTaxCondition=MONOTRIBUTO] - Issuer tax condition
+   *   (Taxpayer.TaxCondition). A Responsable Inscripto issues Type A or B with VAT, by receiver
+   *   condition; anyone else issues Type C
+   * @param {number} [options.pointOfSale] - Point of sale to issue on (defaults to AFIP_PTOVTA)
+   * @param {number} [options.exchangeRate=1] - Pesos per unit of the order currency (MonCotiz)
    * @param {string} [options.invoiceDate] - Override invoice date
+   * @param {boolean} [options.issued=false] - Restating a voucher already issued (skips the 10-day window)
+   * @param {Taxpayer} [options.receiver] - Identified buyer from the padrón (defaults to an
+   *   unidentified Consumidor Final)
+   * @param {Counterparty} [options.counterparty] - Registered buyer, identified by their document
+   *   and declared with their VAT condition instead of an unidentified Consumidor Final (ignored
+   *   with a receiver)
    * @returns {Invoice}
    */
   static fromOrder(order, options = {}) {
-    const includeVAT = options.includeVAT || false;
-    const vatRate = options.vatRate || 0.21;
+    const vatRate = options.vatRate || InvoiceCalculator.VAT_RATES.STANDARD;
     const invoiceDate = options.invoiceDate || order.orderDate;
+    const receiver = options.receiver || null;
+    const counterparty = receiver ? null : options.counterparty || null;
+    const receiverVatCondition = receiver
+      ? receiver.vatConditionId
+      : counterparty ? counterparty.vatCondition : VAT_CONDITION.FINAL_CONSUMER;
+
+    const voucherType = Invoice.voucherTypeFor(options.issuerTaxCondition, receiverVatCondition);
+    const includeVAT = voucherType !== InvoiceType.TYPE_C || Boolean(options.includeVAT);
 
     const totalAmount = order.totalAmount;
-    const netAmount = includeVAT
-      ? totalAmount.divide(1 + vatRate)
-      : totalAmount;
-    const vatAmount = includeVAT
-      ? totalAmount.subtract(netAmount)
-      : new Money(0, totalAmount.currency);
+    const breakdown = includeVAT
+      ? InvoiceCalculator.vatBreakdown(totalAmount, vatRate)
+      : { net: totalAmount, vat: new Money(0, totalAmount.currency) };
 
     const servicePeriod = order.getServicePeriod();
 
     return new Invoice({
       orderNumber: order.orderNumber,
-      netAmount: netAmount,
-      vatAmount: vatAmount,
+      netAmount: breakdown.net,
+      vatAmount: breakdown.vat,
+      vatRate: includeVAT ? vatRate : null,
       totalAmount: totalAmount,
       currency: totalAmount.currency,
+      exchangeRate: options.exchangeRate,
+      voucherType: voucherType !== InvoiceType.TYPE_C ? voucherType : null,
+      pointOfSale: options.pointOfSale || null,
       invoiceDate: invoiceDate,
       concept: InvoiceConcept.SERVICES, // Crypto trading is a service
       serviceFrom: servicePeriod.from,
       serviceTo: servicePeriod.to,
       // AFIP requires FchVtoPago >= CbteFch; clamp dueDate up when invoicing historically
-      dueDate: invoiceDate > servicePeriod.to ? invoiceDate : servicePeriod.to
+      dueDate: invoiceDate > servicePeriod.to ? invoiceDate : servicePeriod.to,
+      issued: options.issued,
+      clientCUIT: receiver ? receiver.cuit : null,
+      docType: counterparty ? counterparty.docType : undefined,
+      docNumber: counterparty ? counterparty.docNumber : undefined,
+      receiverName: receiver ? receiver.name : counterparty ? counterparty.name : null,
+      receiverVatCondition
     });
   }
+
+  /**
+   * Check that orders can share a daily consolidated invoice, whether it is
+   * issued here or recorded after being issued by hand
+   * @param {Order[]} orders - Orders on the invoice
+   * @throws {DomainError} If there are no orders, or they span days or currencies
+   */
+  static ensureDailyOrders(orders) {
+    const [first] = orders;
+    if (!first || orders.some(order => order.orderDate !== first.orderDate || order.totalAmount.currency !== 'ARS')) {
+      throw new DomainError('A daily invoice covers orders in pesos sold on a single day', {
+        orderNumbers: orders.map(order => order.orderNumber.value)
+      });
+    }
+  }
+
+  /**
+   * Create the daily consolidated invoice of several small orders sold on
+   * the same day to unidentified consumidores finales
+   *
+   * One voucher covers them all: its total is the sum of the orders, its
+   * service period is their day, and it carries the first order's number
+   * (AFIP only sees the voucher; each order records the shared CAE).
+   *
+   * @param {Order[]} orders - Orders to consolidate, all in pesos and from one day
+   * @param {Object} [options] - Issuer options, as for fromOrder
+   * @param {number} [options.vatRate=0.21] - VAT rate
+   * @param {string} [options.issuerTaxCondition=MONOTRIBUTO] - Issuer tax condition
+   * @param {number} [options.pointOfSale] - Point of sale to issue on
+   * @param {string} [options.invoiceDate] - Override invoice date (defaults to the orders' day)
+   * @returns {Invoice}
+   * @throws {DomainError} If there are no orders, or they span days or currencies
+   */
+  static fromDailyOrders(orders, options = {}) {
+    Invoice.ensureDailyOrders(orders);
+
+    const [first] = orders;
+    const day = first.orderDate;
+    const invoiceDate = options.invoiceDate || day;
+    const vatRate = options.vatRate || InvoiceCalculator.VAT_RATES.STANDARD;
+    const voucherType = Invoice.voucherTypeFor(options.issuerTaxCondition, VAT_CONDITION.FINAL_CONSUMER);
+    const includeVAT = voucherType !== InvoiceType.TYPE_C;
+
+    const totalAmount = orders.reduce((sum, order) => sum.add(order.totalAmount), Money.zero('ARS'));
+    const breakdown = includeVAT
+      ? InvoiceCalculator.vatBreakdown(totalAmount, vatRate)
+      : { net: totalAmount, vat: new Money(0, 'ARS') };
+
+    return new Invoice({
+      orderNumber: first.orderNumber,
+      netAmount: breakdown.net,
+      vatAmount: breakdown.vat,
+      vatRate: includeVAT ? vatRate : null,
+      totalAmount,
+      currency: 'ARS',
+      voucherType: includeVAT ? voucherType : null,
+      pointOfSale: options.pointOfSale || null,
+      invoiceDate,
+      concept: InvoiceConcept.SERVICES,
+      serviceFrom: day,
+      serviceTo: day,
+      dueDate: invoiceDate > day ? invoiceDate : day,
+      receiverVatCondition: VAT_CONDITION.FINAL_CONSUMER
+    });
+  }
+
+  /**
+   * Create a credit or debit note adjusting an order's invoice
+   *
+   * The note keeps the order's service period and references the original
+   * voucher; its amount is the adjustment itself, not the new order total.
+   *
+   * @param {Order} order - Successfully invoiced order
+   * @param {Object} options - Note options
+   * @param {number} options.voucherType - Note voucher type (e.g. AFIP_VOUCHER_TYPE.CREDIT_NOTE_C)
+   * @param {number} options.amount - Note total
+   * @param {string} options.invoiceDate - Note date (YYYY-MM-DD)
+   * @param {number} [options.associatedVoucherType] - Voucher type of the original invoice
+   *   (defaults to the order's)
+   * @param {number} [options.vatRate=0.21] - VAT rate to split A/B notes with
+   * @returns {Invoice}
+   * @throws {DomainError} If the order has no invoice to adjust
+   */
+  static adjustmentFor(order, options) {
+    if (!order.isSuccessful() || !order.voucherNumber) {
+      throw new DomainError('Order has no authorized invoice to adjust', {
+        orderNumber: order.orderNumber.value
+      });
+    }
+
+    const amount = new Money(options.amount, order.totalAmount.currency);
+    const servicePeriod = order.getServicePeriod();
+    const invoiceDate = options.invoiceDate;
+
+    // Notes on A/B invoices itemize VAT like the invoice they adjust
+    const vatRate = options.vatRate || InvoiceCalculator.VAT_RATES.STANDARD;
+    const breakdown = VAT_BREAKDOWN_TYPES.includes(options.voucherType)
+      ? InvoiceCalculator.vatBreakdown(amount, vatRate)
+      : null;
+
+    return new Invoice({
+      orderNumber: order.orderNumber,
+      netAmount: breakdown ? breakdown.net : amount,
+      vatAmount: breakdown ? breakdown.vat : new Money(0, amount.currency),
+      vatRate: breakdown ? vatRate : null,
+      totalAmount: amount,
+      currency: amount.currency,
+      // Notes restate the invoice at the rate it was issued with
+      exchangeRate: order.exchangeRate || undefined,
+      invoiceDate,
+      concept: InvoiceConcept.SERVICES,
+      serviceFrom: servicePeriod.from,
+      serviceTo: servicePeriod.to,
+      dueDate: invoiceDate > servicePeriod.to ? invoiceDate : servicePeriod.to,
+      voucherType: options.voucherType,
+      // Notes go out on the point of sale of the invoice they adjust, to the
+      // receiver the invoice declared
+      pointOfSale: order.pointOfSale || null,
+      receiverVatCondition: order.receiverVatCondition || undefined,
+      associatedVoucher: {
+        type: options.associatedVoucherType || order.voucherType || InvoiceType.TYPE_C,
+        number: order.voucherNumber,
+        pointOfSale: order.pointOfSale || undefined,
+        date: order.invoiceDate || undefined
+      }
+    });
+  }
+
+  /**
+   * Restate the invoice an order was issued with, from what the order
+   * recorded: voucher type, point of sale, date, receiver and exchange rate.
+   * Used to report a CAEA voucher to AFIP as it was issued, whatever the
+   * issuer profile or the buyer's registration say today.
+   *
+   * @param {Order} order - Successfully invoiced order
+   * @param {Object} [options]
+   * @param {number} [options.vatRate=0.21] - VAT rate A/B invoices were split with
+   * @returns {Invoice} An issued invoice (the 10-day window is not checked)
+   * @throws {DomainError} If the order has no invoice
+   */
+  static restatementOf(order, options = {}) {
+    if (!order.isSuccessful() || !order.voucherNumber) {
+      throw new DomainError('Order has no authorized invoice to restate', {
+        orderNumber: order.orderNumber.value
+      });
+    }
+
+    const totalAmount = order.totalAmount;
+    const vatRate = options.vatRate || InvoiceCalculator.VAT_RATES.STANDARD;
+    const breakdown = VAT_BREAKDOWN_TYPES.includes(order.voucherType)
+      ? InvoiceCalculator.vatBreakdown(totalAmount, vatRate)
+      : null;
+    const servicePeriod = order.getServicePeriod();
+    const invoiceDate = order.invoiceDate;
+
+    return new Invoice({
+      orderNumber: order.orderNumber,
+      netAmount: breakdown ? breakdown.net : totalAmount,
+      vatAmount: breakdown ? breakdown.vat : new Money(0, totalAmount.currency),
+      vatRate: breakdown ? vatRate : null,
+      totalAmount,
+      currency: totalAmount.currency,
+      exchangeRate: order.exchangeRate || undefined,
+      voucherType: order.voucherType,
+      pointOfSale: order.pointOfSale || null,
+      invoiceDate,
+      concept: InvoiceConcept.SERVICES,
+      serviceFrom: servicePeriod.from,
+      serviceTo: servicePeriod.to,
+      dueDate: invoiceDate > servicePeriod.to ? invoiceDate : servicePeriod.to,
+      issued: true,
+      docType: order.receiverDocType || undefined,
+      docNumber: order.receiverDocNumber || undefined,
+      receiverVatCondition: order.receiverVatCondition || undefined
+    });
+  }
+
+  /**
+   * Voucher type an issuer must use for a receiver
+   *
+   * A Responsable Inscripto issues Factura A to RI and monotributo receivers
+   * and Factura B to everyone else; any other issuer issues Factura C.
+   *
+   * @param {string} [issuerTaxCondition=MONOTRIBUTO] - Issuer tax condition (Taxpayer.TaxCondition)
+   * @param {number} [receiverVatCondition=5] - Receiver VAT condition (CondicionIVAReceptorId)
+   * @returns {number} Invoice type (1, 6 or 11)
+   */
+  static voucherTypeFor(issuerTaxCondition, receiverVatCondition = VAT_CONDITION.FINAL_CONSUMER) {
+    if (issuerTaxCondition !== Taxpayer.TaxCondition.RESPONSABLE_INSCRIPTO) {
+      return InvoiceType.TYPE_C;
+    }
+    // RI and, since RG 5003, monotributistas get Factura A; anyone else Factura B
+    return RECEIVER_VAT_CONDITIONS_BY_CLASS.A.includes(receiverVatCondition)
+      ? InvoiceType.TYPE_A
+      : InvoiceType.TYPE_B;
+  }
+
+  /**
+   * Whether AFIP accepts a receiver VAT condition on a voucher type
+   * (RECEIVER_VAT_CONDITIONS_BY_CLASS); voucher types outside classes A, B
+   * and C are not checked
+   * @param {number} voucherType - AFIP voucher type (invoice or note)
+   * @param {number} receiverVatCondition - CondicionIVAReceptorId
+   * @returns {boolean}
+   */
+  static acceptsReceiverVatCondition(voucherType, receiverVatCondition) {
+    const voucherClass = VOUCHER_CLASS[voucherType];
+    return !voucherClass ||
+      RECEIVER_VAT_CONDITIONS_BY_CLASS[voucherClass].includes(Number(receiverVatCondition));
+  }
+
+  /**
+   * Credit or debit note type adjusting an invoice type
+   * @param {number} invoiceType - Original invoice type (1, 6 or 11)
+   * @param {string} kind - 'credit' or 'debit'
+   * @returns {number} Note voucher type
+   * @throws {DomainError} If the invoice type has no notes
+   */
+  static noteTypeFor(invoiceType, kind) {
+    const noteTypes = NOTE_TYPE_BY_INVOICE_TYPE[invoiceType];
+    if (!noteTypes || !noteTypes[kind]) {
+      throw new DomainError(`No ${kind} note for voucher type ${invoiceType}`);
+    }
+    return noteTypes[kind];
+  }
 }
 
 // Export constants
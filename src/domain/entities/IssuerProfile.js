@@ -0,0 +1,136 @@
+/**
+ * IssuerProfile Entity
+ *
+ * The issuer's tax profile for a period: tax condition, the point of sale
+ * its vouchers are issued on and the VAT rate of A/B invoices. A profile is
+ * in force from its effective date until the next profile of the timeline
+ * takes over. Immutable.
+ */
+
+const Taxpayer = require('./Taxpayer');
+const InvoiceDateValidator = require('../services/InvoiceDateValidator');
+const InvoiceCalculator = require('../services/InvoiceCalculator');
+const { ValidationError } = require('../../shared/errors');
+const { AFIP_VOUCHER_TYPE } = require('../../shared/constants');
+
+/**
+ * Tax conditions an issuer can invoice under
+ */
+const ISSUER_TAX_CONDITIONS = [
+  Taxpayer.TaxCondition.MONOTRIBUTO,
+  Taxpayer.TaxCondition.RESPONSABLE_INSCRIPTO,
+  Taxpayer.TaxCondition.EXENTO
+];
+
+/**
+ * @typedef {Object} IssuerProfileData
+ * @property {string} [effectiveFrom] - First day in force (YYYY-MM-DD); omitted for a
+ *   profile in force since always
+ * @property {string} taxCondition - MONOTRIBUTO, RESPONSABLE_INSCRIPTO or EXENTO
+ * @property {number} pointOfSale - Point of sale vouchers are issued on
+ * @property {number} [vatRate=0.21] - VAT rate of Type A/B invoices
+ */
+
+class IssuerProfile {
+  /**
+   * @param {IssuerProfileData} data - Profile data
+   * @throws {ValidationError} If the data is invalid
+   */
+  constructor(data) {
+    this._effectiveFrom = data.effectiveFrom || null;
+    this._taxCondition = data.taxCondition;
+    this._pointOfSale = Number(data.pointOfSale);
+    this._vatRate = data.vatRate != null ? Number(data.vatRate) : InvoiceCalculator.VAT_RATES.STANDARD;
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (this._effectiveFrom && !InvoiceDateValidator.isValidDateFormat(this._effectiveFrom)) {
+      errors.push(`Invalid effective date: ${this._effectiveFrom}`);
+    }
+    if (!ISSUER_TAX_CONDITIONS.includes(this._taxCondition)) {
+      errors.push(`Invalid issuer tax condition: ${this._taxCondition}`);
+    }
+    if (!Number.isInteger(this._pointOfSale) || this._pointOfSale < 1) {
+      errors.push('Point of sale must be a positive integer');
+    }
+    if (!InvoiceCalculator.VAT_RATE_IDS.has(this._vatRate)) {
+      errors.push(`VAT rate ${this._vatRate} is not an AFIP VAT rate`);
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('issuerProfile', errors.join(', '));
+    }
+  }
+
+  // Getters
+  get effectiveFrom() { return this._effectiveFrom; }
+  get taxCondition() { return this._taxCondition; }
+  get pointOfSale() { return this._pointOfSale; }
+  get vatRate() { return this._vatRate; }
+
+  /**
+   * Check if the profile is in force on a date, ignoring later profiles
+   * @param {string} date - YYYY-MM-DD
+   * @returns {boolean}
+   */
+  startsOnOrBefore(date) {
+    return !this._effectiveFrom || this._effectiveFrom <= date;
+  }
+
+  /**
+   * Invoice types issued under this profile, each its own numbering
+   * sequence: A and B for a Responsable Inscripto, C otherwise
+   * @returns {number[]}
+   */
+  voucherTypes() {
+    return this._taxCondition === Taxpayer.TaxCondition.RESPONSABLE_INSCRIPTO
+      ? [AFIP_VOUCHER_TYPE.INVOICE_A, AFIP_VOUCHER_TYPE.INVOICE_B]
+      : [AFIP_VOUCHER_TYPE.INVOICE_C];
+  }
+
+  /**
+   * Options for Invoice.fromOrder under this profile
+   * @returns {{issuerTaxCondition: string, vatRate: number, pointOfSale: number}}
+   */
+  invoiceOptions() {
+    return {
+      issuerTaxCondition: this._taxCondition,
+      vatRate: this._vatRate,
+      pointOfSale: this._pointOfSale
+    };
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {IssuerProfileData}
+   */
+  toJSON() {
+    return {
+      effectiveFrom: this._effectiveFrom,
+      taxCondition: this._taxCondition,
+      pointOfSale: this._pointOfSale,
+      vatRate: this._vatRate
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {IssuerProfileData} data
+   * @returns {IssuerProfile}
+   */
+  static fromJSON(data) {
+    return new IssuerProfile(data);
+  }
+}
+
+module.exports = IssuerProfile;
@@ -0,0 +1,119 @@
+/**
+ * IssuerProfileTimeline Entity
+ *
+ * The issuer's tax profiles over time, e.g. monotributista until 2026-06-30
+ * and Responsable Inscripto from 2026-07-01. Each profile is in force from its
+ * effective date until the next one starts; only the first may omit the date
+ * (in force since always). Immutable.
+ */
+
+const IssuerProfile = require('./IssuerProfile');
+const { ValidationError, DomainError } = require('../../shared/errors');
+
+class IssuerProfileTimeline {
+  /**
+   * @param {Array<IssuerProfile|IssuerProfileData>} profiles - Profiles, in any order
+   * @throws {ValidationError} If the timeline is empty or two profiles share a start
+   */
+  constructor(profiles) {
+    this._profiles = Object.freeze(
+      (profiles || [])
+        .map(profile => profile instanceof IssuerProfile ? profile : new IssuerProfile(profile))
+        .sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''))
+    );
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (this._profiles.length === 0) {
+      errors.push('At least one issuer profile is required');
+    }
+    if (this._profiles.slice(1).some(profile => !profile.effectiveFrom)) {
+      errors.push('Only the first issuer profile may omit its effective date');
+    }
+    const starts = this._profiles.map(profile => profile.effectiveFrom);
+    if (new Set(starts).size !== starts.length) {
+      errors.push('Two issuer profiles cannot start on the same date');
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('issuerProfiles', errors.join(', '));
+    }
+  }
+
+  /**
+   * Profiles, oldest first
+   * @returns {IssuerProfile[]}
+   */
+  get profiles() {
+    return [...this._profiles];
+  }
+
+  /**
+   * Profile in force on a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {IssuerProfile}
+   * @throws {DomainError} If the date is before the first profile
+   */
+  profileOn(date) {
+    const profile = this._profiles.filter(p => p.startsOnOrBefore(date)).pop();
+    if (!profile) {
+      throw new DomainError('No issuer profile in force on this date', {
+        date,
+        firstEffectiveFrom: this._profiles[0].effectiveFrom
+      });
+    }
+    return profile;
+  }
+
+  /**
+   * Profiles in force on any day of a period, oldest first: the one in force
+   * on its first day and those starting within it
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {IssuerProfile[]}
+   */
+  profilesBetween(from, to) {
+    return this._profiles.filter((profile, i) => {
+      const next = this._profiles[i + 1];
+      return profile.startsOnOrBefore(to) && (!next || next.effectiveFrom > from);
+    });
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {IssuerProfileData[]}
+   */
+  toJSON() {
+    return this._profiles.map(profile => profile.toJSON());
+  }
+
+  /**
+   * Create from plain objects
+   * @param {IssuerProfileData[]} data
+   * @returns {IssuerProfileTimeline}
+   */
+  static fromJSON(data) {
+    return new IssuerProfileTimeline(data);
+  }
+
+  /**
+   * Timeline with one profile in force since always
+   * @param {IssuerProfileData} data - Profile data (effectiveFrom is ignored)
+   * @returns {IssuerProfileTimeline}
+   */
+  static single(data) {
+    return new IssuerProfileTimeline([{ ...data, effectiveFrom: null }]);
+  }
+}
+
+module.exports = IssuerProfileTimeline;
@@ -0,0 +1,164 @@
+/**
+ * MonotributoScale Entity
+ *
+ * The monotributo categories and the gross income each allows over twelve
+ * months, by period: ARCA updates the caps twice a year and each table is in
+ * force from its effective date until the next one starts. Only the first
+ * table may omit the date (in force since always). Immutable.
+ */
+
+const InvoiceDateValidator = require('../services/InvoiceDateValidator');
+const { ValidationError, DomainError } = require('../../shared/errors');
+
+/**
+ * @typedef {Object} MonotributoCategory
+ * @property {string} category - Category letter (e.g. 'A')
+ * @property {number} maxIncome - Gross income allowed over twelve months (ARS)
+ */
+
+/**
+ * @typedef {Object} MonotributoScalePeriod
+ * @property {string} [effectiveFrom] - First day in force (YYYY-MM-DD)
+ * @property {MonotributoCategory[]} categories - Categories, in any order
+ */
+
+class MonotributoScale {
+  /**
+   * @param {MonotributoScalePeriod[]} periods - Category tables, in any order
+   * @throws {ValidationError} If a table is invalid or two share a start
+   */
+  constructor(periods) {
+    this._periods = Object.freeze(
+      (periods || [])
+        .map(period => Object.freeze({
+          effectiveFrom: period.effectiveFrom || null,
+          categories: Object.freeze((period.categories || [])
+            .map(category => Object.freeze({
+              category: String(category.category || '').toUpperCase(),
+              maxIncome: Number(category.maxIncome)
+            }))
+            .sort((a, b) => a.maxIncome - b.maxIncome))
+        }))
+        .sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''))
+    );
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (this._periods.length === 0) {
+      errors.push('At least one category table is required');
+    }
+    if (this._periods.slice(1).some(period => !period.effectiveFrom)) {
+      errors.push('Only the first category table may omit its effective date');
+    }
+    const starts = this._periods.map(period => period.effectiveFrom);
+    if (new Set(starts).size !== starts.length) {
+      errors.push('Two category tables cannot start on the same date');
+    }
+
+    this._periods.forEach(period => {
+      const label = period.effectiveFrom || 'first table';
+      if (period.effectiveFrom && !InvoiceDateValidator.isValidDateFormat(period.effectiveFrom)) {
+        errors.push(`Invalid effective date: ${period.effectiveFrom}`);
+      }
+      if (period.categories.length === 0) {
+        errors.push(`${label}: at least one category is required`);
+      }
+      if (period.categories.some(c => !/^[A-Z]$/.test(c.category))) {
+        errors.push(`${label}: categories must be single letters`);
+      }
+      if (period.categories.some(c => !Number.isFinite(c.maxIncome) || c.maxIncome <= 0)) {
+        errors.push(`${label}: income caps must be positive amounts`);
+      }
+      const letters = period.categories.map(c => c.category);
+      if (new Set(letters).size !== letters.length) {
+        errors.push(`${label}: a category appears twice`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('monotributoScale', errors.join(', '));
+    }
+  }
+
+  /**
+   * Category tables, oldest first
+   * @returns {MonotributoScalePeriod[]}
+   */
+  get periods() {
+    return [...this._periods];
+  }
+
+  /**
+   * Categories in force on a date, lowest cap first
+   * @param {string} date - YYYY-MM-DD
+   * @returns {MonotributoCategory[]}
+   * @throws {DomainError} If the date is before the first table
+   */
+  categoriesOn(date) {
+    const period = this._periods.filter(p => !p.effectiveFrom || p.effectiveFrom <= date).pop();
+    if (!period) {
+      throw new DomainError('No monotributo category table in force on this date', {
+        date,
+        firstEffectiveFrom: this._periods[0].effectiveFrom
+      });
+    }
+    return [...period.categories];
+  }
+
+  /**
+   * Lowest category whose cap covers an income
+   * @param {number} income - Gross income over twelve months (ARS)
+   * @param {string} date - YYYY-MM-DD the caps are taken on
+   * @returns {MonotributoCategory|null} Null when the income is over every cap
+   */
+  categoryFor(income, date) {
+    return this.categoriesOn(date).find(c => income <= c.maxIncome) || null;
+  }
+
+  /**
+   * A category by letter, as in force on a date
+   * @param {string} letter - Category letter
+   * @param {string} date - YYYY-MM-DD
+   * @returns {MonotributoCategory}
+   * @throws {DomainError} If the table in force has no such category
+   */
+  category(letter, date) {
+    const found = this.categoriesOn(date).find(c => c.category === String(letter).toUpperCase());
+    if (!found) {
+      throw new DomainError('Monotributo category not in the table in force', { category: letter, date });
+    }
+    return found;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {MonotributoScalePeriod[]}
+   */
+  toJSON() {
+    return this._periods.map(period => ({
+      effectiveFrom: period.effectiveFrom,
+      categories: period.categories.map(c => ({ ...c }))
+    }));
+  }
+
+  /**
+   * Create from plain objects
+   * @param {MonotributoScalePeriod[]} data
+   * @returns {MonotributoScale}
+   */
+  static fromJSON(data) {
+    return new MonotributoScale(data);
+  }
+}
+
+module.exports = MonotributoScale;
@@ -10,6 +10,7 @@ const OrderNumber = require('../value-objects/OrderNumber');
 const Money = require('../value-objects/Money');
 const CAE = require('../value-objects/CAE');
 const { ValidationError, DomainError } = require('../../shared/errors');
+const { AFIP_VOUCHER_TYPE } = require('../../shared/constants');
 
 /**
  * @typedef {Object} OrderData
@@ -24,8 +25,52 @@ const { ValidationError, DomainError } = require('../../shared/errors');
  * @property {string} tradeType - 'BUY' or 'SELL'
  * @property {number} createTime - Unix timestamp (milliseconds)
  * @property {string} orderDate - ISO date string (YYYY-MM-DD)
+ * @property {string} [source='binance'] - Where the order comes from; point of sale routing
+ *   rules can match on it
+ * @property {Array<OrderAdjustment>} [adjustments] - Credit/debit notes issued against the invoice
+ * @property {string} [authorizationType] - 'CAEA' when issued in contingency under a CAEA (CAE otherwise)
+ * @property {number} [voucherType] - AFIP voucher type of the invoice (1 = A, 6 = B, 11 = C)
+ * @property {number} [pointOfSale] - Point of sale the invoice was issued on (AFIP_PTOVTA when unset)
+ * @property {number} [exchangeRate] - Pesos per unit of the order currency sent to AFIP with the
+ *   invoice (MonCotiz); unset for orders in pesos
+ * @property {number} [receiverVatCondition] - Buyer VAT condition the invoice declared
+ *   (CondicionIVAReceptorId); unset for Factura E and for invoices issued before it was stored
+ * @property {number} [receiverDocType] - Document type the invoice identified the buyer with
+ *   (DocTipo); recorded for CAEA vouchers, which are restated to AFIP when reported
+ * @property {string} [receiverDocNumber] - Document number the invoice identified the buyer
+ *   with (DocNro); recorded along with receiverDocType
+ * @property {string} [caeaReportedAt] - When a CAEA voucher was reported to AFIP (YYYY-MM-DD)
+ * @property {number} [consolidatedOrders] - Set when the order was invoiced on a daily
+ *   consolidated invoice: how many orders that voucher covers (they share its CAE and number)
+ * @property {ForeignBuyer} [foreignBuyer] - Set when the buyer is a foreign resident: the order
+ *   is invoiced with a Factura E through WSFEX
  */
 
+/**
+ * A buyer resident abroad, as a Factura E identifies them
+ * @typedef {Object} ForeignBuyer
+ * @property {string} name - Legal name (Cliente)
+ * @property {number} country - AFIP destination country code (Dst_cmp, e.g. 203 = Brasil)
+ * @property {string} taxId - Tax ID in the buyer's country (Id_impositivo)
+ * @property {string} address - Address abroad (Domicilio_cliente)
+ */
+
+/**
+ * A credit or debit note (Nota de Crédito / Nota de Débito) issued against
+ * the order's invoice. Notes never replace the original voucher: they are
+ * recorded alongside it and netted into the invoiced amount.
+ * @typedef {Object} OrderAdjustment
+ * @property {string} kind - 'credit' or 'debit'
+ * @property {number} voucherType - AFIP voucher type of the note (e.g. 13 = Nota de Crédito C)
+ * @property {number} voucherNumber - Note voucher number
+ * @property {string} cae - CAE authorizing the note
+ * @property {string} date - Note date (YYYY-MM-DD)
+ * @property {number} amount - Note total (always positive; `kind` gives the sign)
+ * @property {string} [reason] - Free-text reason for the note
+ */
+
+const ADJUSTMENT_KINDS = ['credit', 'debit'];
+
 /**
  * Order entity represents a Binance P2P trade order
  */
@@ -48,6 +93,7 @@ class Order {
     this._tradeType = data.tradeType;
     this._createTime = data.createTime;
     this._orderDate = data.orderDate;
+    this._source = data.source || 'binance';
 
     // Optional trader information
     this._buyerNickname = data.buyerNickname || null;
@@ -61,12 +107,35 @@ class Order {
     // Invoice information
     this._cae = data.cae ? CAE.of(data.cae) : null;
     this._voucherNumber = data.voucherNumber || null;
+    this._voucherType = data.voucherType ? Number(data.voucherType) : null;
+    this._pointOfSale = data.pointOfSale ? Number(data.pointOfSale) : null;
+    this._exchangeRate = data.exchangeRate ? Number(data.exchangeRate) : null;
+    this._receiverVatCondition = data.receiverVatCondition ? Number(data.receiverVatCondition) : null;
+    this._receiverDocType = data.receiverDocType ? Number(data.receiverDocType) : null;
+    this._receiverDocNumber = data.receiverDocNumber ? String(data.receiverDocNumber) : null;
     this._invoiceDate = data.invoiceDate || null;
 
+    // CAEA contingency: the voucher is valid but AFIP learns of it only when reported
+    this._authorizationType = data.authorizationType || null;
+    this._caeaReportedAt = data.caeaReportedAt || null;
+
+    // Daily consolidated invoice: the voucher covers this many orders
+    this._consolidatedOrders = data.consolidatedOrders ? Number(data.consolidatedOrders) : null;
+
     // Error handling
     this._errorMessage = data.errorMessage || null;
     this._notes = data.notes || null;
 
+    // Buyer resident abroad (Factura E)
+    this._foreignBuyer = data.foreignBuyer
+      ? Object.freeze({ ...data.foreignBuyer, country: Number(data.foreignBuyer.country) })
+      : null;
+
+    // Credit/debit notes issued against the invoice
+    this._adjustments = Object.freeze(
+      (data.adjustments || []).map(adjustment => Object.freeze({ ...adjustment }))
+    );
+
     // Timestamps
     this._createdAt = data.createdAt || new Date();
     this._updatedAt = data.updatedAt || new Date();
@@ -106,6 +175,33 @@ class Order {
       errors.push('Processing method must be automatic or manual');
     }
 
+    if (this._authorizationType && !['CAE', 'CAEA'].includes(this._authorizationType)) {
+      errors.push('Authorization type must be CAE or CAEA');
+    }
+
+    if (this._consolidatedOrders !== null && !(Number.isInteger(this._consolidatedOrders) && this._consolidatedOrders > 1)) {
+      errors.push('A consolidated invoice covers more than one order');
+    }
+
+    if (this._foreignBuyer) {
+      const { name, country, taxId, address } = this._foreignBuyer;
+      if (!name || !taxId || !address) {
+        errors.push('Foreign buyer needs a name, tax ID and address');
+      }
+      if (!Number.isInteger(country) || country < 1) {
+        errors.push('Foreign buyer country must be an AFIP country code');
+      }
+    }
+
+    for (const adjustment of this._adjustments) {
+      if (!ADJUSTMENT_KINDS.includes(adjustment.kind)) {
+        errors.push(`Adjustment kind must be one of: ${ADJUSTMENT_KINDS.join(', ')}`);
+      }
+      if (!(adjustment.amount > 0)) {
+        errors.push('Adjustment amount must be positive');
+      }
+    }
+
     if (errors.length > 0) {
       throw ValidationError.forField('order', errors.join(', '));
     }
@@ -121,6 +217,7 @@ class Order {
   get buyerNickname() { return this._buyerNickname; }
   get sellerNickname() { return this._sellerNickname; }
   get tradeType() { return this._tradeType; }
+  get source() { return this._source; }
   get createTime() { return this._createTime; }
   get orderDate() { return this._orderDate; }
   get processedAt() { return this._processedAt; }
@@ -128,9 +225,21 @@ class Order {
   get success() { return this._success; }
   get cae() { return this._cae; }
   get voucherNumber() { return this._voucherNumber; }
+  // Orders invoiced before A/B support carry no type: they were all Factura C
+  get voucherType() { return this._voucherType || (this._voucherNumber ? AFIP_VOUCHER_TYPE.INVOICE_C : null); }
+  get pointOfSale() { return this._pointOfSale; }
+  get exchangeRate() { return this._exchangeRate; }
+  get receiverVatCondition() { return this._receiverVatCondition; }
+  get receiverDocType() { return this._receiverDocType; }
+  get receiverDocNumber() { return this._receiverDocNumber; }
   get invoiceDate() { return this._invoiceDate; }
+  get authorizationType() { return this._authorizationType || (this._cae ? 'CAE' : null); }
+  get caeaReportedAt() { return this._caeaReportedAt; }
+  get consolidatedOrders() { return this._consolidatedOrders; }
   get errorMessage() { return this._errorMessage; }
   get notes() { return this._notes; }
+  get foreignBuyer() { return this._foreignBuyer ? { ...this._foreignBuyer } : null; }
+  get adjustments() { return this._adjustments.map(adjustment => ({ ...adjustment })); }
   get createdAt() { return this._createdAt; }
   get updatedAt() { return this._updatedAt; }
 
@@ -175,6 +284,23 @@ class Order {
     return this._tradeType === 'BUY';
   }
 
+  /**
+   * Check if the buyer is a foreign resident (invoiced with a Factura E)
+   * @returns {boolean}
+   */
+  isForeignBuyer() {
+    return this._foreignBuyer !== null;
+  }
+
+  /**
+   * Check if the order's voucher is a daily consolidated invoice it shares
+   * with other orders
+   * @returns {boolean}
+   */
+  isConsolidated() {
+    return this._consolidatedOrders !== null;
+  }
+
   /**
    * Check if order can be processed (not yet processed and is a SELL trade)
    * @returns {boolean}
@@ -207,8 +333,17 @@ class Order {
    * @param {boolean} result.success - Processing success status
    * @param {string} [result.cae] - CAE number if successful
    * @param {number} [result.voucherNumber] - Invoice voucher number
+   * @param {number} [result.voucherType] - Invoice voucher type (defaults to Factura C)
+   * @param {number} [result.pointOfSale] - Point of sale the invoice was issued on
+   * @param {number} [result.exchangeRate] - Exchange rate the invoice was issued with (MonCotiz)
+   * @param {number} [result.receiverVatCondition] - Buyer VAT condition the invoice declared
+   * @param {number} [result.receiverDocType] - Buyer document type the invoice declared
+   * @param {string} [result.receiverDocNumber] - Buyer document number the invoice declared
    * @param {string} [result.invoiceDate] - Invoice date (YYYY-MM-DD)
    * @param {string} [result.errorMessage] - Error message if failed
+   * @param {string} [result.authorizationType] - 'CAEA' when issued under a CAEA
+   * @param {number} [result.consolidatedOrders] - Orders the voucher covers, when it is a daily
+   *   consolidated invoice
    * @param {string} processingMethod - 'automatic' or 'manual'
    * @returns {Order} New Order instance with updated status
    */
@@ -217,31 +352,49 @@ class Order {
       throw new DomainError('Order already processed');
     }
 
-    return new Order({
-      orderNumber: this._orderNumber.value,
-      amount: this._amount,
-      price: this._price,
-      totalPrice: this._totalAmount.amount,
-      asset: this._asset,
-      fiat: this._fiat,
-      buyerNickname: this._buyerNickname,
-      sellerNickname: this._sellerNickname,
-      tradeType: this._tradeType,
-      createTime: this._createTime,
-      orderDate: this._orderDate,
+    return this._with({
       processedAt: new Date(),
       processingMethod,
       success: result.success,
       cae: result.cae || null,
       voucherNumber: result.voucherNumber || null,
+      voucherType: result.voucherType || null,
+      pointOfSale: result.pointOfSale || null,
+      exchangeRate: result.exchangeRate || null,
+      receiverVatCondition: result.receiverVatCondition || null,
+      receiverDocType: result.receiverDocType || null,
+      receiverDocNumber: result.receiverDocNumber || null,
       invoiceDate: result.invoiceDate || null,
       errorMessage: result.errorMessage || null,
-      notes: this._notes,
-      createdAt: this._createdAt,
-      updatedAt: new Date()
+      authorizationType: result.authorizationType || null,
+      consolidatedOrders: result.consolidatedOrders || null
     });
   }
 
+  /**
+   * Check if the order's voucher was issued under a CAEA and AFIP has not
+   * been told about it yet (FECAEARegInformativo)
+   * @returns {boolean}
+   */
+  isPendingCaeaReport() {
+    return this.isSuccessful() && this._authorizationType === 'CAEA' && !this._caeaReportedAt;
+  }
+
+  /**
+   * Record that the order's CAEA voucher was reported to AFIP
+   * @param {string} [reportedAt] - YYYY-MM-DD, defaults to today
+   * @returns {Order} New Order instance
+   * @throws {DomainError} If the order has no unreported CAEA voucher
+   */
+  markCaeaReported(reportedAt = new Date().toISOString().split('T')[0]) {
+    if (!this.isPendingCaeaReport()) {
+      throw new DomainError('Order has no CAEA voucher pending report', {
+        orderNumber: this._orderNumber.value
+      });
+    }
+    return this._with({ caeaReportedAt: reportedAt });
+  }
+
   /**
    * Reset a failed order back to unprocessed so it can be retried.
    * @returns {Order} New unprocessed Order instance
@@ -250,55 +403,129 @@ class Order {
     if (!this.isFailed()) {
       throw new DomainError('Only failed orders can be reset for retry', { orderNumber: this._orderNumber.value });
     }
-    return new Order({
-      orderNumber: this._orderNumber.value,
-      amount: this._amount,
-      price: this._price,
-      totalPrice: this._totalAmount.amount,
-      asset: this._asset,
-      fiat: this._fiat,
-      buyerNickname: this._buyerNickname,
-      sellerNickname: this._sellerNickname,
-      tradeType: this._tradeType,
-      createTime: this._createTime,
-      orderDate: this._orderDate,
-      notes: this._notes,
-      createdAt: this._createdAt,
-      updatedAt: new Date()
+    return this._with({
+      processedAt: null,
+      processingMethod: null,
+      success: null,
+      cae: null,
+      voucherNumber: null,
+      voucherType: null,
+      pointOfSale: null,
+      exchangeRate: null,
+      receiverVatCondition: null,
+      receiverDocType: null,
+      receiverDocNumber: null,
+      invoiceDate: null,
+      errorMessage: null,
+      authorizationType: null,
+      caeaReportedAt: null,
+      consolidatedOrders: null
     });
   }
 
+  /**
+   * Flag the buyer as a foreign resident, so the order is invoiced with a
+   * Factura E; pass null to clear the flag
+   * @param {ForeignBuyer|null} foreignBuyer - Buyer details
+   * @returns {Order} New Order instance
+   * @throws {DomainError} If the order already has an invoice
+   */
+  withForeignBuyer(foreignBuyer) {
+    if (this.isSuccessful()) {
+      throw new DomainError('Order is already invoiced', { orderNumber: this._orderNumber.value });
+    }
+    return this._with({ foreignBuyer });
+  }
+
   /**
    * Add notes to the order
    * @param {string} notes - Notes to add
    * @returns {Order} New Order instance with notes
    */
   addNotes(notes) {
-    return new Order({
-      orderNumber: this._orderNumber.value,
-      amount: this._amount,
-      price: this._price,
-      totalPrice: this._totalAmount.amount,
-      asset: this._asset,
-      fiat: this._fiat,
-      buyerNickname: this._buyerNickname,
-      sellerNickname: this._sellerNickname,
-      tradeType: this._tradeType,
-      createTime: this._createTime,
-      orderDate: this._orderDate,
-      processedAt: this._processedAt,
-      processingMethod: this._processingMethod,
-      success: this._success,
-      cae: this._cae ? this._cae.value : null,
-      voucherNumber: this._voucherNumber,
-      invoiceDate: this._invoiceDate,
-      errorMessage: this._errorMessage,
-      notes: notes,
-      createdAt: this._createdAt,
-      updatedAt: new Date()
+    return this._with({ notes });
+  }
+
+  /**
+   * Record a credit or debit note issued against this order's invoice
+   * @param {OrderAdjustment} adjustment - Authorized note details
+   * @returns {Order} New Order instance with the note recorded
+   * @throws {DomainError} If the order has no successful invoice, or a credit
+   *   note exceeds what is still invoiced
+   */
+  addAdjustment(adjustment) {
+    if (!this.isSuccessful()) {
+      throw new DomainError('Notes can only be issued against a successfully invoiced order', {
+        orderNumber: this._orderNumber.value
+      });
+    }
+
+    if (adjustment.kind === 'credit') {
+      const remaining = this.getNetInvoicedAmount();
+      if (Money.of(adjustment.amount, remaining.currency).isGreaterThan(remaining)) {
+        throw new DomainError('Credit note exceeds the amount still invoiced for this order', {
+          orderNumber: this._orderNumber.value,
+          requested: adjustment.amount,
+          remaining: remaining.amount
+        });
+      }
+    }
+
+    return this._with({
+      adjustments: [...this._adjustments, adjustment]
     });
   }
 
+  /**
+   * Total of credit notes issued against this order
+   * @returns {Money}
+   */
+  getCreditedAmount() {
+    return this._sumAdjustments('credit');
+  }
+
+  /**
+   * Total of debit notes issued against this order
+   * @returns {Money}
+   */
+  getDebitedAmount() {
+    return this._sumAdjustments('debit');
+  }
+
+  /**
+   * Amount actually invoiced for this order: the original invoice plus debit
+   * notes minus credit notes. Zero when the order has no successful invoice.
+   * @returns {Money}
+   */
+  getNetInvoicedAmount() {
+    if (!this.isSuccessful()) {
+      return Money.zero(this._totalAmount.currency);
+    }
+    return this._totalAmount
+      .add(this.getDebitedAmount())
+      .subtract(this.getCreditedAmount());
+  }
+
+  /**
+   * Convert an amount in the order's currency to pesos at the exchange rate
+   * its invoice was sent to AFIP with. Invoices issued before the rate was
+   * stored went out with MonCotiz 1.
+   * @param {Money} money - Amount in the order's currency
+   * @param {number} [exchangeRate] - Rate to use instead, for an order not invoiced yet
+   * @returns {Money} Amount in ARS
+   */
+  toPesos(money, exchangeRate = this._exchangeRate) {
+    return money.convertTo('ARS', exchangeRate || 1);
+  }
+
+  /**
+   * Check if credit notes cancel the whole invoice
+   * @returns {boolean}
+   */
+  isFullyCredited() {
+    return this.isSuccessful() && this.getNetInvoicedAmount().amount <= 0;
+  }
+
   /**
    * Calculate service period for invoice
    * For services, we need to specify service dates
@@ -329,19 +556,60 @@ class Order {
       tradeType: this._tradeType,
       createTime: this._createTime,
       orderDate: this._orderDate,
+      source: this._source,
       processedAt: this._processedAt,
       processingMethod: this._processingMethod,
       success: this._success,
       cae: this._cae ? this._cae.value : null,
       voucherNumber: this._voucherNumber,
+      voucherType: this._voucherType,
+      pointOfSale: this._pointOfSale,
+      exchangeRate: this._exchangeRate,
+      receiverVatCondition: this._receiverVatCondition,
+      receiverDocType: this._receiverDocType,
+      receiverDocNumber: this._receiverDocNumber,
       invoiceDate: this._invoiceDate,
+      authorizationType: this._authorizationType,
+      caeaReportedAt: this._caeaReportedAt,
+      consolidatedOrders: this._consolidatedOrders,
+      foreignBuyer: this.foreignBuyer,
       errorMessage: this._errorMessage,
       notes: this._notes,
+      adjustments: this.adjustments,
       createdAt: this._createdAt,
       updatedAt: this._updatedAt
     };
   }
 
+  /**
+   * Copy this order with some fields changed (the entity is immutable)
+   * @private
+   * @param {Object} changes - Fields to override, in constructor shape
+   * @returns {Order}
+   */
+  _with(changes) {
+    return new Order({
+      ...this.toJSON(),
+      updatedAt: new Date(),
+      ...changes
+    });
+  }
+
+  /**
+   * Sum adjustments of one kind
+   * @private
+   * @param {string} kind - 'credit' or 'debit'
+   * @returns {Money}
+   */
+  _sumAdjustments(kind) {
+    return this._adjustments
+      .filter(adjustment => adjustment.kind === kind)
+      .reduce(
+        (sum, adjustment) => sum.add(new Money(adjustment.amount, this._totalAmount.currency)),
+        Money.zero(this._totalAmount.currency)
+      );
+  }
+
   /**
    * Create Order from plain object
    * @param {Object} data - Plain object data
@@ -0,0 +1,198 @@
+/**
+ * ParameterCatalog Entity
+ *
+ * WSFE reference data as AFIP currently publishes it (FEParamGet*): voucher
+ * types, document types, currencies, the issuer's points of sale and receiver
+ * VAT conditions. Replaces guessing from the hand-copied constants: invoices
+ * are checked against it before they are sent, and it can be diffed against
+ * the constants to spot stale ones. Immutable.
+ */
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {number|string} id - AFIP code
+ * @property {string} description - AFIP description
+ */
+
+/**
+ * @typedef {Object} PointOfSaleEntry
+ * @property {number} number - Point of sale number
+ * @property {string} emissionType - e.g. 'CAE - Ws', 'CAEA - Ws'
+ * @property {boolean} blocked - Whether AFIP has it blocked
+ * @property {string|null} deactivatedAt - Deactivation date (YYYY-MM-DD), null if active
+ */
+
+/**
+ * @typedef {Object} ParameterCatalogData
+ * @property {Array<CatalogEntry>} voucherTypes - FEParamGetTiposCbte (valid today)
+ * @property {Array<CatalogEntry>} docTypes - FEParamGetTiposDoc
+ * @property {Array<CatalogEntry>} currencies - FEParamGetTiposMonedas
+ * @property {Array<PointOfSaleEntry>} pointsOfSale - FEParamGetPtosVenta
+ * @property {Array<CatalogEntry>} vatConditions - FEParamGetCondicionIvaReceptor
+ * @property {string} [fetchedAt] - When AFIP was queried (ISO timestamp)
+ */
+
+class ParameterCatalog {
+  /**
+   * @param {ParameterCatalogData} data - Catalog data
+   */
+  constructor(data) {
+    const freezeAll = (list) => Object.freeze((list || []).map(item => Object.freeze({ ...item })));
+
+    this._voucherTypes = freezeAll(data.voucherTypes);
+    this._docTypes = freezeAll(data.docTypes);
+    this._currencies = freezeAll(data.currencies);
+    this._pointsOfSale = freezeAll(data.pointsOfSale);
+    this._vatConditions = freezeAll(data.vatConditions);
+    this._fetchedAt = data.fetchedAt || new Date().toISOString();
+
+    Object.freeze(this);
+  }
+
+  // Getters
+  get voucherTypes() { return this._voucherTypes; }
+  get docTypes() { return this._docTypes; }
+  get currencies() { return this._currencies; }
+  get pointsOfSale() { return this._pointsOfSale; }
+  get vatConditions() { return this._vatConditions; }
+  get fetchedAt() { return this._fetchedAt; }
+
+  /**
+   * @param {number} id - CbteTipo
+   * @returns {boolean}
+   */
+  hasVoucherType(id) {
+    return this._voucherTypes.some(entry => entry.id === Number(id));
+  }
+
+  /**
+   * @param {number} id - DocTipo
+   * @returns {boolean}
+   */
+  hasDocType(id) {
+    return this._docTypes.some(entry => entry.id === Number(id));
+  }
+
+  /**
+   * @param {string} id - MonId (e.g. 'PES', 'DOL')
+   * @returns {boolean}
+   */
+  hasCurrency(id) {
+    return this._currencies.some(entry => entry.id === String(id));
+  }
+
+  /**
+   * @param {number} id - CondicionIVAReceptorId
+   * @returns {boolean}
+   */
+  hasVatCondition(id) {
+    return this._vatConditions.some(entry => entry.id === Number(id));
+  }
+
+  /**
+   * Check if a point of sale exists, is not blocked and has not been deactivated
+   * @param {number} number - Point of sale number
+   * @returns {boolean}
+   */
+  isPointOfSaleEnabled(number) {
+    return this._pointsOfSale.some(entry =>
+      entry.number === Number(number) && !entry.blocked && !entry.deactivatedAt
+    );
+  }
+
+  /**
+   * Check if the catalog is older than maxAgeHours
+   * @param {number} maxAgeHours - Maximum age in hours
+   * @param {Date} [now] - Reference time
+   * @returns {boolean}
+   */
+  isStale(maxAgeHours, now = new Date()) {
+    const ageMs = now.getTime() - new Date(this._fetchedAt).getTime();
+    return ageMs > maxAgeHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Diff the catalog against hand-copied constants
+   *
+   * @param {Object} constants - Constant maps by kind, e.g.
+   *   `{ voucherTypes: AFIP_VOUCHER_TYPE, docTypes: AFIP_DOC_TYPE, currencies: CURRENCY_CODE, vatConditions: VAT_CONDITION }`
+   * @returns {Object<string, {unknownToAfip: Array<{name: string, value: *}>, missingLocally: Array<CatalogEntry>}>}
+   *   Per kind: constants AFIP does not list, and AFIP codes no constant has
+   */
+  compareWith(constants) {
+    const diff = {};
+
+    for (const [kind, constantMap] of Object.entries(constants)) {
+      const entries = this[`_${kind}`] || [];
+      const afipIds = new Set(entries.map(entry => String(entry.id)));
+      const localIds = new Set(Object.values(constantMap).map(String));
+
+      diff[kind] = {
+        unknownToAfip: Object.entries(constantMap)
+          .filter(([, value]) => !afipIds.has(String(value)))
+          .map(([name, value]) => ({ name, value })),
+        missingLocally: entries.filter(entry => !localIds.has(String(entry.id)))
+      };
+    }
+
+    return diff;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {ParameterCatalogData}
+   */
+  toJSON() {
+    return {
+      voucherTypes: this._voucherTypes.map(entry => ({ ...entry })),
+      docTypes: this._docTypes.map(entry => ({ ...entry })),
+      currencies: this._currencies.map(entry => ({ ...entry })),
+      pointsOfSale: this._pointsOfSale.map(entry => ({ ...entry })),
+      vatConditions: this._vatConditions.map(entry => ({ ...entry })),
+      fetchedAt: this._fetchedAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {ParameterCatalogData} data
+   * @returns {ParameterCatalog}
+   */
+  static fromJSON(data) {
+    return new ParameterCatalog(data);
+  }
+
+  /**
+   * Create from the raw FEParamGet* result lists
+   *
+   * Voucher types whose FchHasta has passed are dropped: AFIP keeps listing
+   * retired types with an end date.
+   *
+   * @param {Object} raw - Raw lists as returned by AfipService.getParameterCatalog()
+   * @param {string} [today] - YYYYMMDD, defaults to today
+   * @returns {ParameterCatalog}
+   */
+  static fromAFIPResponse(raw, today = new Date().toISOString().slice(0, 10).replace(/-/g, '')) {
+    const isSet = (value) => value && value !== 'NULL';
+    const toEntry = (item) => ({ id: Number(item.Id), description: item.Desc });
+
+    return new ParameterCatalog({
+      voucherTypes: (raw.voucherTypes || [])
+        .filter(item => !isSet(item.FchHasta) || String(item.FchHasta) >= today)
+        .map(toEntry),
+      docTypes: (raw.docTypes || []).map(toEntry),
+      currencies: (raw.currencies || []).map(item => ({ id: String(item.Id), description: item.Desc })),
+      pointsOfSale: (raw.pointsOfSale || []).map(item => ({
+        number: Number(item.Nro),
+        emissionType: item.EmisionTipo,
+        blocked: item.Bloqueado === 'S',
+        deactivatedAt: isSet(item.FchBaja)
+          ? `${String(item.FchBaja).substring(0, 4)}-${String(item.FchBaja).substring(4, 6)}-${String(item.FchBaja).substring(6, 8)}`
+          : null
+      })),
+      vatConditions: (raw.vatConditions || []).map(toEntry)
+    });
+  }
+}
+
+module.exports = ParameterCatalog;
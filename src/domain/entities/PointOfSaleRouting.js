@@ -0,0 +1,118 @@
+/**
+ * PointOfSaleRouting Entity
+ *
+ * Rules that send orders to a point of sale other than the issuer profile's,
+ * e.g. automated Binance invoices on one and other income on another, so each
+ * keeps its own voucher sequence. A rule matches an order by source, asset
+ * and/or trade type; the first matching rule wins and orders no rule matches
+ * stay on the profile's point of sale. Immutable.
+ */
+
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * Order fields a rule can match on
+ */
+const CRITERIA = ['source', 'asset', 'tradeType'];
+
+/**
+ * @typedef {Object} PointOfSaleRule
+ * @property {number} pointOfSale - Point of sale matching orders are invoiced on
+ * @property {string} [source] - Order source (e.g. 'binance')
+ * @property {string} [asset] - Crypto asset (e.g. 'USDT')
+ * @property {string} [tradeType] - 'BUY' or 'SELL'
+ */
+
+class PointOfSaleRouting {
+  /**
+   * @param {PointOfSaleRule[]} [rules] - Rules, in priority order
+   * @throws {ValidationError} If a rule is invalid
+   */
+  constructor(rules) {
+    this._rules = Object.freeze((rules || []).map(rule => Object.freeze({
+      pointOfSale: Number(rule.pointOfSale),
+      ...(rule.source ? { source: String(rule.source).toLowerCase() } : {}),
+      ...(rule.asset ? { asset: String(rule.asset).toUpperCase() } : {}),
+      ...(rule.tradeType ? { tradeType: String(rule.tradeType).toUpperCase() } : {})
+    })));
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    this._rules.forEach((rule, i) => {
+      if (!Number.isInteger(rule.pointOfSale) || rule.pointOfSale < 1) {
+        errors.push(`Rule ${i + 1}: point of sale must be a positive integer`);
+      }
+      if (!CRITERIA.some(field => rule[field])) {
+        errors.push(`Rule ${i + 1}: needs a source, asset or tradeType to match`);
+      }
+      if (rule.tradeType && !['BUY', 'SELL'].includes(rule.tradeType)) {
+        errors.push(`Rule ${i + 1}: trade type must be BUY or SELL`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('pointOfSaleRules', errors.join(', '));
+    }
+  }
+
+  /**
+   * Rules, in priority order
+   * @returns {PointOfSaleRule[]}
+   */
+  get rules() {
+    return this._rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Point of sale of the first rule matching an order
+   * @param {Order} order - Order to invoice
+   * @returns {number|null} Point of sale, or null to use the issuer profile's
+   */
+  pointOfSaleFor(order) {
+    const fields = {
+      source: order.source ? String(order.source).toLowerCase() : null,
+      asset: order.asset ? String(order.asset).toUpperCase() : null,
+      tradeType: order.tradeType ? String(order.tradeType).toUpperCase() : null
+    };
+    const rule = this._rules.find(candidate =>
+      CRITERIA.every(field => !candidate[field] || candidate[field] === fields[field])
+    );
+    return rule ? rule.pointOfSale : null;
+  }
+
+  /**
+   * Points of sale the rules route to
+   * @returns {number[]}
+   */
+  pointsOfSale() {
+    return [...new Set(this._rules.map(rule => rule.pointOfSale))];
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {PointOfSaleRule[]}
+   */
+  toJSON() {
+    return this.rules;
+  }
+
+  /**
+   * Routing without rules: every order stays on the issuer profile's point of sale
+   * @returns {PointOfSaleRouting}
+   */
+  static none() {
+    return new PointOfSaleRouting([]);
+  }
+}
+
+module.exports = PointOfSaleRouting;
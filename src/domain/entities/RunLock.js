@@ -0,0 +1,125 @@
+/**
+ * RunLock Entity
+ *
+ * A named lock held for the length of a processing run, so two runs (the
+ * scheduled workflow, a local `process-month`, the dashboard's Function) do
+ * not invoice the same pending orders at once. A lock past its expiry is
+ * stale: its run died without releasing it, and the next run takes it over.
+ * Immutable; `version` is the storage concurrency token (ETag).
+ */
+
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * @typedef {Object} RunLockData
+ * @property {string} name - Lock name (e.g. 'processing')
+ * @property {string} command - What the run is doing (e.g. 'process-month 2026-09')
+ * @property {string} owner - Run holding the lock (host, pid and a random suffix)
+ * @property {string} acquiredAt - When the run took it (ISO timestamp)
+ * @property {string} expiresAt - When it goes stale (ISO timestamp)
+ * @property {string} [version] - Storage concurrency token
+ */
+
+class RunLock {
+  /**
+   * Lock shared by every run that invoices pending orders: `process`,
+   * `process-month`, `binance:auto` and the processMonth Function all pick
+   * from the same unprocessed orders
+   */
+  static get PROCESSING() { return 'processing'; }
+
+  /**
+   * @param {RunLockData} data - Lock data
+   * @throws {ValidationError} If the data is invalid
+   */
+  constructor(data) {
+    this._name = data.name;
+    this._command = data.command;
+    this._owner = data.owner;
+    this._acquiredAt = data.acquiredAt;
+    this._expiresAt = data.expiresAt;
+    this._version = data.version || null;
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (!this._name || !/^[a-z0-9-]+$/.test(this._name)) {
+      errors.push('Name must be lowercase letters, digits and dashes');
+    }
+    if (!this._command) {
+      errors.push('Command is required');
+    }
+    if (!this._owner) {
+      errors.push('Owner is required');
+    }
+    if (Number.isNaN(Date.parse(this._acquiredAt)) || Number.isNaN(Date.parse(this._expiresAt))) {
+      errors.push('Acquisition and expiry must be ISO timestamps');
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('runLock', errors.join(', '));
+    }
+  }
+
+  // Getters
+  get name() { return this._name; }
+  get command() { return this._command; }
+  get owner() { return this._owner; }
+  get acquiredAt() { return this._acquiredAt; }
+  get expiresAt() { return this._expiresAt; }
+  get version() { return this._version; }
+
+  /**
+   * Check if the lock has gone stale
+   * @param {Date} [now=new Date()]
+   * @returns {boolean}
+   */
+  isExpired(now = new Date()) {
+    return Date.parse(this._expiresAt) <= now.getTime();
+  }
+
+  /**
+   * Check if `owner` holds the lock and it has not gone stale
+   * @param {string} owner - Run identifier
+   * @param {Date} [now=new Date()]
+   * @returns {boolean}
+   */
+  isHeldBy(owner, now = new Date()) {
+    return this._owner === owner && !this.isExpired(now);
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {RunLockData}
+   */
+  toJSON() {
+    return {
+      name: this._name,
+      command: this._command,
+      owner: this._owner,
+      acquiredAt: this._acquiredAt,
+      expiresAt: this._expiresAt,
+      version: this._version
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {RunLockData} data
+   * @returns {RunLock}
+   */
+  static fromJSON(data) {
+    return new RunLock(data);
+  }
+}
+
+module.exports = RunLock;
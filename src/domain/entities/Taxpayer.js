@@ -0,0 +1,208 @@
+/**
+ * Taxpayer Entity
+ *
+ * A taxpayer as registered in the AFIP padrón (ws_sr_padron_a5 getPersona_v2).
+ * Carries what an invoice needs about an identified receiver: legal name, tax
+ * condition and fiscal address. Immutable; cached so repeat buyers do not
+ * trigger repeat lookups.
+ */
+
+const CUIT = require('../value-objects/CUIT');
+const { ValidationError } = require('../../shared/errors');
+const { VAT_CONDITION } = require('../../shared/constants');
+
+/**
+ * Tax conditions derived from the padrón
+ * @enum {string}
+ */
+const TaxCondition = {
+  MONOTRIBUTO: 'MONOTRIBUTO',
+  RESPONSABLE_INSCRIPTO: 'RESPONSABLE_INSCRIPTO',
+  EXENTO: 'EXENTO',
+  CONSUMIDOR_FINAL: 'CONSUMIDOR_FINAL'
+};
+
+/**
+ * Receiver VAT condition (CondicionIVAReceptorId) for each tax condition
+ */
+const VAT_CONDITION_BY_TAX_CONDITION = {
+  [TaxCondition.MONOTRIBUTO]: VAT_CONDITION.MONOTAX,
+  [TaxCondition.RESPONSABLE_INSCRIPTO]: VAT_CONDITION.REGISTERED,
+  [TaxCondition.EXENTO]: VAT_CONDITION.EXEMPT,
+  [TaxCondition.CONSUMIDOR_FINAL]: VAT_CONDITION.FINAL_CONSUMER
+};
+
+/**
+ * Padrón tax ids (idImpuesto) that determine the VAT condition
+ */
+const PADRON_TAX_ID = {
+  IVA: 30,
+  IVA_EXENTO: 32
+};
+
+/**
+ * @typedef {Object} TaxpayerData
+ * @property {CUIT|string} cuit - Taxpayer CUIT
+ * @property {string} name - Legal name (razón social, or "APELLIDO NOMBRE")
+ * @property {string} taxCondition - One of TaxCondition
+ * @property {string} [personType] - 'FISICA' or 'JURIDICA'
+ * @property {string} [status] - CUIT status in the padrón (e.g. 'ACTIVO')
+ * @property {string} [address] - Fiscal address, single line
+ * @property {string} [fetchedAt] - When the padrón was queried (ISO timestamp)
+ */
+
+class Taxpayer {
+  /**
+   * @param {TaxpayerData} data - Taxpayer data
+   * @throws {ValidationError} If the data is invalid
+   */
+  constructor(data) {
+    this._cuit = data.cuit instanceof CUIT ? data.cuit : CUIT.of(data.cuit);
+    this._name = data.name ? String(data.name).trim() : '';
+    this._taxCondition = data.taxCondition;
+    this._personType = data.personType || null;
+    this._status = data.status || null;
+    this._address = data.address || null;
+    this._fetchedAt = data.fetchedAt || new Date().toISOString();
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (!this._name) {
+      errors.push('Name is required');
+    }
+    if (!Object.values(TaxCondition).includes(this._taxCondition)) {
+      errors.push(`Invalid tax condition: ${this._taxCondition}`);
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('taxpayer', errors.join(', '));
+    }
+  }
+
+  // Getters
+  get cuit() { return this._cuit; }
+  get name() { return this._name; }
+  get taxCondition() { return this._taxCondition; }
+  get personType() { return this._personType; }
+  get status() { return this._status; }
+  get address() { return this._address; }
+  get fetchedAt() { return this._fetchedAt; }
+
+  /**
+   * Receiver VAT condition to send as CondicionIVAReceptorId
+   * @returns {number}
+   */
+  get vatConditionId() {
+    return VAT_CONDITION_BY_TAX_CONDITION[this._taxCondition];
+  }
+
+  /**
+   * Check if the CUIT is active in the padrón (unknown status counts as active)
+   * @returns {boolean}
+   */
+  isActive() {
+    return !this._status || this._status === 'ACTIVO';
+  }
+
+  /**
+   * Check if the cached data is older than maxAgeDays
+   * @param {number} maxAgeDays - Maximum age in days
+   * @param {Date} [now] - Reference time
+   * @returns {boolean}
+   */
+  isStale(maxAgeDays, now = new Date()) {
+    const ageMs = now.getTime() - new Date(this._fetchedAt).getTime();
+    return ageMs > maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {TaxpayerData}
+   */
+  toJSON() {
+    return {
+      cuit: this._cuit.value,
+      name: this._name,
+      taxCondition: this._taxCondition,
+      vatConditionId: this.vatConditionId,
+      personType: this._personType,
+      status: this._status,
+      address: this._address,
+      fetchedAt: this._fetchedAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {TaxpayerData} data
+   * @returns {Taxpayer}
+   */
+  static fromJSON(data) {
+    return new Taxpayer(data);
+  }
+
+  /**
+   * Create from a getPersona_v2 personaReturn
+   *
+   * Monotributo registration wins; otherwise IVA (30) means Responsable
+   * Inscripto and IVA EXENTO (32) means Exento. Anyone else is invoiced as
+   * Consumidor Final.
+   *
+   * @param {Object} personaReturn - Raw personaReturn from the padrón
+   * @returns {Taxpayer}
+   */
+  static fromPadronResponse(personaReturn) {
+    const general = personaReturn.datosGenerales || {};
+    const taxes = Taxpayer._asArray(personaReturn.datosRegimenGeneral?.impuesto)
+      .map(tax => Number(tax.idImpuesto));
+
+    let taxCondition = TaxCondition.CONSUMIDOR_FINAL;
+    if (personaReturn.datosMonotributo) {
+      taxCondition = TaxCondition.MONOTRIBUTO;
+    } else if (taxes.includes(PADRON_TAX_ID.IVA)) {
+      taxCondition = TaxCondition.RESPONSABLE_INSCRIPTO;
+    } else if (taxes.includes(PADRON_TAX_ID.IVA_EXENTO)) {
+      taxCondition = TaxCondition.EXENTO;
+    }
+
+    const name = general.razonSocial
+      || [general.apellido, general.nombre].filter(Boolean).join(' ');
+
+    const domicilio = general.domicilioFiscal || {};
+    const address = [domicilio.direccion, domicilio.localidad, domicilio.descripcionProvincia, domicilio.codPostal]
+      .filter(Boolean)
+      .join(', ');
+
+    return new Taxpayer({
+      cuit: String(general.idPersona),
+      name,
+      taxCondition,
+      personType: general.tipoPersona || null,
+      status: general.estadoClave || null,
+      address: address || null
+    });
+  }
+
+  /**
+   * SOAP collections come back as an object when there is a single element
+   * @private
+   */
+  static _asArray(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+Taxpayer.TaxCondition = TaxCondition;
+
+module.exports = Taxpayer;
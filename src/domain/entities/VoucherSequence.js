@@ -0,0 +1,137 @@
+/**
+ * VoucherSequence Entity
+ *
+ * The numbering sequence of one point of sale and voucher type, as held in
+ * storage: the last number this app saw authorized and the lease of the run
+ * currently allowed to number vouchers in it. Only the lease holder submits
+ * to AFIP; a lease past its expiry is free again, so a run that crashed
+ * while holding it does not block the sequence for good.
+ * Immutable; `version` is the storage concurrency token (ETag).
+ */
+
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * @typedef {Object} VoucherSequenceData
+ * @property {number} pointOfSale - Point of sale
+ * @property {number} voucherType - AFIP voucher type (e.g. 11 = Factura C)
+ * @property {number} [lastNumber=0] - Last voucher number recorded as authorized
+ * @property {string} [leaseOwner] - Run holding the lease, null when free
+ * @property {string} [leaseExpiresAt] - When the lease lapses (ISO timestamp)
+ * @property {string} [version] - Storage concurrency token
+ */
+
+class VoucherSequence {
+  /**
+   * @param {VoucherSequenceData} data - Sequence data
+   * @throws {ValidationError} If the data is invalid
+   */
+  constructor(data) {
+    this._pointOfSale = Number(data.pointOfSale);
+    this._voucherType = Number(data.voucherType);
+    this._lastNumber = Number(data.lastNumber || 0);
+    this._leaseOwner = data.leaseOwner || null;
+    this._leaseExpiresAt = data.leaseExpiresAt || null;
+    this._version = data.version || null;
+
+    this._validate();
+
+    Object.freeze(this);
+  }
+
+  /**
+   * @private
+   * @throws {ValidationError} If validation fails
+   */
+  _validate() {
+    const errors = [];
+
+    if (!Number.isInteger(this._pointOfSale) || this._pointOfSale < 1) {
+      errors.push('Point of sale must be a positive integer');
+    }
+    if (!Number.isInteger(this._voucherType) || this._voucherType < 1) {
+      errors.push('Voucher type must be a positive integer');
+    }
+    if (!Number.isInteger(this._lastNumber) || this._lastNumber < 0) {
+      errors.push('Last number must be a non-negative integer');
+    }
+    if (this._leaseOwner && Number.isNaN(Date.parse(this._leaseExpiresAt))) {
+      errors.push('A leased sequence needs its lease expiry');
+    }
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('voucherSequence', errors.join(', '));
+    }
+  }
+
+  // Getters
+  get pointOfSale() { return this._pointOfSale; }
+  get voucherType() { return this._voucherType; }
+  get lastNumber() { return this._lastNumber; }
+  get leaseOwner() { return this._leaseOwner; }
+  get leaseExpiresAt() { return this._leaseExpiresAt; }
+  get version() { return this._version; }
+
+  /**
+   * Storage key of the sequence, e.g. '2-11'
+   * @returns {string}
+   */
+  get key() {
+    return VoucherSequence.keyFor(this._pointOfSale, this._voucherType);
+  }
+
+  /**
+   * Check if some run holds an unexpired lease
+   * @param {Date} [now=new Date()]
+   * @returns {boolean}
+   */
+  isLeased(now = new Date()) {
+    return Boolean(this._leaseOwner) && Date.parse(this._leaseExpiresAt) > now.getTime();
+  }
+
+  /**
+   * Check if `owner` holds an unexpired lease
+   * @param {string} owner - Run identifier
+   * @param {Date} [now=new Date()]
+   * @returns {boolean}
+   */
+  isLeasedBy(owner, now = new Date()) {
+    return this._leaseOwner === owner && this.isLeased(now);
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {VoucherSequenceData}
+   */
+  toJSON() {
+    return {
+      pointOfSale: this._pointOfSale,
+      voucherType: this._voucherType,
+      lastNumber: this._lastNumber,
+      leaseOwner: this._leaseOwner,
+      leaseExpiresAt: this._leaseExpiresAt,
+      version: this._version
+    };
+  }
+
+  /**
+   * Storage key of a point of sale and voucher type
+   * @param {number} pointOfSale
+   * @param {number} voucherType
+   * @returns {string}
+   */
+  static keyFor(pointOfSale, voucherType) {
+    return `${pointOfSale}-${voucherType}`;
+  }
+
+  /**
+   * Create from plain object
+   * @param {VoucherSequenceData} data
+   * @returns {VoucherSequence}
+   */
+  static fromJSON(data) {
+    return new VoucherSequence(data);
+  }
+}
+
+module.exports = VoucherSequence;
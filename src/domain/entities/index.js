@@ -6,10 +6,36 @@
 
 const Order = require('./Order');
 const Invoice = require('./Invoice');
+const ExportInvoice = require('./ExportInvoice');
 const InvoiceResult = require('./InvoiceResult');
+const AuthorizedVoucher = require('./AuthorizedVoucher');
+const Caea = require('./Caea');
+const Taxpayer = require('./Taxpayer');
+const Counterparty = require('./Counterparty');
+const ParameterCatalog = require('./ParameterCatalog');
+const IssuerProfile = require('./IssuerProfile');
+const IssuerProfileTimeline = require('./IssuerProfileTimeline');
+const PointOfSaleRouting = require('./PointOfSaleRouting');
+const VoucherSequence = require('./VoucherSequence');
+const RunLock = require('./RunLock');
+const MonotributoScale = require('./MonotributoScale');
+const IibbJurisdiction = require('./IibbJurisdiction');
 
 module.exports = {
   Order,
   Invoice,
-  InvoiceResult
+  ExportInvoice,
+  InvoiceResult,
+  AuthorizedVoucher,
+  Caea,
+  Taxpayer,
+  Counterparty,
+  ParameterCatalog,
+  IssuerProfile,
+  IssuerProfileTimeline,
+  PointOfSaleRouting,
+  VoucherSequence,
+  RunLock,
+  MonotributoScale,
+  IibbJurisdiction
 };
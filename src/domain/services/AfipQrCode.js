@@ -0,0 +1,92 @@
+/**
+ * AfipQrCode Domain Service
+ *
+ * Builds the QR code content RG 4892 requires on every printed electronic
+ * voucher: a URL to AFIP's verification page carrying the voucher data as
+ * base64-encoded JSON. Stateless; rendering the QR image is left to the
+ * infrastructure layer.
+ */
+
+const CUIT = require('../value-objects/CUIT');
+const { AFIP_DOC_TYPE, CURRENCY_CODE } = require('../../shared/constants');
+
+/**
+ * @typedef {Object} AfipQrPayload
+ * @property {number} ver - Format version (1)
+ * @property {string} fecha - Voucher date (YYYY-MM-DD)
+ * @property {number} cuit - Issuer CUIT
+ * @property {number} ptoVta - Point of sale
+ * @property {number} tipoCmp - AFIP voucher type
+ * @property {number} nroCmp - Voucher number
+ * @property {number} importe - Voucher total
+ * @property {string} moneda - AFIP currency id (e.g. 'PES')
+ * @property {number} ctz - Exchange rate
+ * @property {number} [tipoDocRec] - Receiver document type (omitted when unidentified)
+ * @property {number} [nroDocRec] - Receiver document number (omitted when unidentified)
+ * @property {string} tipoCodAut - 'E' for CAE, 'A' for CAEA
+ * @property {number} codAut - CAE or CAEA
+ */
+
+class AfipQrCode {
+  /**
+   * AFIP verification page the QR points to
+   */
+  static BASE_URL = 'https://www.afip.gob.ar/fe/qr/';
+
+  /**
+   * Build the QR payload for a voucher as AFIP has it on record
+   * @param {AuthorizedVoucher} voucher - Authorized voucher (FECompConsultar)
+   * @param {CUIT|string} issuerCuit - Issuer CUIT
+   * @returns {AfipQrPayload}
+   */
+  static payload(voucher, issuerCuit) {
+    const cuit = issuerCuit instanceof CUIT ? issuerCuit : CUIT.of(issuerCuit);
+    const currency = voucher.totalAmount.currency;
+
+    const payload = {
+      ver: 1,
+      fecha: voucher.voucherDate,
+      cuit: Number(cuit.value),
+      ptoVta: Number(voucher.pointOfSale),
+      tipoCmp: Number(voucher.voucherType),
+      nroCmp: Number(voucher.voucherNumber),
+      importe: voucher.totalAmount.amount,
+      moneda: CURRENCY_CODE[currency] || currency,
+      ctz: voucher.exchangeRate
+    };
+
+    // Consumidor final without identification: the receiver fields are optional
+    const docNumber = Number(voucher.docNumber);
+    if (voucher.docType && voucher.docType !== AFIP_DOC_TYPE.NO_ID && docNumber > 0) {
+      payload.tipoDocRec = Number(voucher.docType);
+      payload.nroDocRec = docNumber;
+    }
+
+    payload.tipoCodAut = voucher.authorizationType === 'CAEA' ? 'A' : 'E';
+    payload.codAut = Number(voucher.cae.value);
+
+    return payload;
+  }
+
+  /**
+   * Encode a payload as the URL the QR code must contain
+   * @param {AfipQrPayload} payload - QR payload
+   * @returns {string} https://www.afip.gob.ar/fe/qr/?p=<base64 JSON>
+   */
+  static url(payload) {
+    const encoded = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64');
+    return `${AfipQrCode.BASE_URL}?p=${encoded}`;
+  }
+
+  /**
+   * Decode a QR URL back into its payload
+   * @param {string} url - URL built by url()
+   * @returns {AfipQrPayload}
+   */
+  static decode(url) {
+    const encoded = new URL(url).searchParams.get('p');
+    return JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+  }
+}
+
+module.exports = AfipQrCode;
@@ -0,0 +1,138 @@
+/**
+ * IibbCalculator Domain Service
+ *
+ * Stateless service working out a monthly Ingresos Brutos declaration: the
+ * tax of each jurisdiction on the month's base, less the retentions and
+ * perceptions suffered in it. Credits above a jurisdiction's tax are a
+ * balance in favour, never a negative amount due.
+ */
+
+const Money = require('../value-objects/Money');
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * Kinds of credit an IIBB declaration takes
+ */
+const CREDIT_KINDS = ['retention', 'perception'];
+
+/**
+ * @typedef {Object} IibbCredit
+ * @property {string} month - YYYY-MM the credit was suffered in
+ * @property {string} jurisdiction - Jurisdiction it is credited against
+ * @property {string} kind - 'retention' or 'perception'
+ * @property {number} amount - Amount (ARS)
+ * @property {string} [agent] - Agent that withheld or perceived it
+ */
+
+/**
+ * @typedef {Object} IibbDeclarationLine
+ * @property {string} jurisdiction
+ * @property {string} regime - 'general' or 'simplified'
+ * @property {number} share - Share of the base attributed to the jurisdiction
+ * @property {Money} base - The jurisdiction's part of the base
+ * @property {number|null} rate - Rate applied (general regime)
+ * @property {Object|null} bracket - Bracket applied (simplified regime)
+ * @property {Money} tax
+ * @property {Money} credits - Retentions and perceptions of the month
+ * @property {Money} due - Tax less credits, zero at least
+ * @property {Money} balanceInFavor - Credits the tax did not absorb
+ */
+
+/**
+ * Domain service for Ingresos Brutos declarations
+ */
+class IibbCalculator {
+  static CREDIT_KINDS = CREDIT_KINDS;
+
+  /**
+   * Check the configured credits
+   * @param {IibbCredit[]} credits
+   * @throws {ValidationError} If a credit is malformed
+   */
+  static validateCredits(credits) {
+    const errors = [];
+
+    (credits || []).forEach((credit, i) => {
+      if (typeof credit.month !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(credit.month)) {
+        errors.push(`Credit ${i + 1}: month must be YYYY-MM`);
+      }
+      if (!credit.jurisdiction) {
+        errors.push(`Credit ${i + 1}: jurisdiction is required`);
+      }
+      if (!CREDIT_KINDS.includes(credit.kind)) {
+        errors.push(`Credit ${i + 1}: kind must be one of: ${CREDIT_KINDS.join(', ')}`);
+      }
+      if (!(Number(credit.amount) > 0)) {
+        errors.push(`Credit ${i + 1}: amount must be positive`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw ValidationError.forField('iibbCredits', errors.join(', '));
+    }
+  }
+
+  /**
+   * Credits of one month against one jurisdiction
+   * @param {IibbCredit[]} credits
+   * @param {string} month - YYYY-MM
+   * @param {string} jurisdiction
+   * @returns {IibbCredit[]}
+   */
+  static creditsFor(credits, month, jurisdiction) {
+    return (credits || []).filter(credit =>
+      credit.month === month && String(credit.jurisdiction) === jurisdiction
+    );
+  }
+
+  /**
+   * Work out the declaration of a month
+   * @param {Object} params
+   * @param {import('../entities/IibbJurisdiction')[]} params.jurisdictions
+   * @param {Money} params.base - Taxable base of the month
+   * @param {number} [params.annualIncome] - Income over the last twelve months, for brackets
+   * @param {IibbCredit[]} [params.credits] - Configured credits, any month
+   * @param {string} params.month - YYYY-MM declared
+   * @returns {{lines: IibbDeclarationLine[], totals: {tax: Money, credits: Money, due: Money, balanceInFavor: Money}}}
+   */
+  static declare({ jurisdictions, base, annualIncome, credits, month }) {
+    IibbCalculator.validateCredits(credits);
+
+    const lines = jurisdictions.map(jurisdiction => {
+      const tax = jurisdiction.taxOn(base, annualIncome);
+      const monthCredits = IibbCalculator.creditsFor(credits, month, jurisdiction.jurisdiction)
+        .map(credit => Money.of(Number(credit.amount), base.currency));
+      const credited = monthCredits.length > 0 ? Money.sum(...monthCredits) : Money.zero(base.currency);
+      const net = tax.subtract(credited);
+
+      return {
+        jurisdiction: jurisdiction.jurisdiction,
+        regime: jurisdiction.isSimplified() ? 'simplified' : 'general',
+        share: jurisdiction.share,
+        base: jurisdiction.baseShare(base),
+        rate: jurisdiction.rate,
+        bracket: jurisdiction.isSimplified() ? jurisdiction.bracketFor(annualIncome) : null,
+        tax,
+        credits: credited,
+        due: net.isNegative() ? Money.zero(base.currency) : net,
+        balanceInFavor: net.isNegative() ? net.negate() : Money.zero(base.currency)
+      };
+    });
+
+    const total = field => lines.length > 0
+      ? Money.sum(...lines.map(line => line[field]))
+      : Money.zero(base.currency);
+
+    return {
+      lines,
+      totals: {
+        tax: total('tax'),
+        credits: total('credits'),
+        due: total('due'),
+        balanceInFavor: total('balanceInFavor')
+      }
+    };
+  }
+}
+
+module.exports = IibbCalculator;
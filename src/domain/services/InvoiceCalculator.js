@@ -7,6 +7,7 @@
 
 const Money = require('../value-objects/Money');
 const { ValidationError } = require('../../shared/errors');
+const { AFIP_VAT_RATE_ID } = require('../../shared/constants');
 
 /**
  * Domain service for invoice calculations
@@ -21,6 +22,18 @@ class InvoiceCalculator {
     ZERO: 0            // 0% - Exempt or zero-rated
   };
 
+  /**
+   * AFIP rate id (AlicIva Id) for each VAT rate
+   */
+  static VAT_RATE_IDS = new Map([
+    [0, AFIP_VAT_RATE_ID.ZERO],
+    [0.025, AFIP_VAT_RATE_ID.MINIMUM],
+    [0.05, AFIP_VAT_RATE_ID.FIVE],
+    [0.105, AFIP_VAT_RATE_ID.REDUCED],
+    [0.21, AFIP_VAT_RATE_ID.GENERAL],
+    [0.27, AFIP_VAT_RATE_ID.INCREASED]
+  ]);
+
   /**
    * Calculate VAT amount from net amount
    * @param {Money} netAmount - Net amount before VAT
@@ -37,8 +50,7 @@ class InvoiceCalculator {
       throw ValidationError.forField('vatRate', 'Must be between 0 and 1');
     }
 
-    const vatAmount = netAmount.amount * vatRate;
-    return new Money(vatAmount, netAmount.currency);
+    return netAmount.multiply(vatRate);
   }
 
   /**
@@ -72,8 +84,8 @@ class InvoiceCalculator {
       throw ValidationError.forField('vatRate', 'Must be between 0 and 1');
     }
 
-    const netAmount = totalAmount.amount / (1 + vatRate);
-    return new Money(netAmount, totalAmount.currency);
+    // Money divides by the decimal 1.21 (or 1.105), not its binary approximation
+    return totalAmount.divide(1 + vatRate);
   }
 
   /**
@@ -104,6 +116,45 @@ class InvoiceCalculator {
     };
   }
 
+  /**
+   * AFIP rate id (AlicIva Id) for a VAT rate
+   * @param {number} vatRate - VAT rate (e.g., 0.21 for 21%)
+   * @returns {number} AFIP rate id (e.g., 5 for 21%)
+   * @throws {ValidationError} If AFIP has no such rate
+   */
+  static vatRateId(vatRate) {
+    const id = InvoiceCalculator.VAT_RATE_IDS.get(Number(vatRate));
+    if (id === undefined) {
+      throw ValidationError.forField('vatRate', `AFIP has no VAT rate of ${vatRate * 100}%`);
+    }
+    return id;
+  }
+
+  /**
+   * Split a VAT-inclusive total for a Type A/B voucher
+   *
+   * The net is rounded to cents and the VAT is the remainder, so net + VAT
+   * add up to the total exactly, as AFIP checks ImpTotal.
+   *
+   * @param {Money} totalAmount - Total amount including VAT
+   * @param {number} [vatRate] - VAT rate (e.g., 0.21 for 21%)
+   * @returns {{net: Money, vat: Money, total: Money, rateId: number}} Amount breakdown with the AFIP rate id
+   * @throws {ValidationError} If AFIP has no such rate
+   */
+  static vatBreakdown(totalAmount, vatRate = InvoiceCalculator.VAT_RATES.STANDARD) {
+    const rateId = InvoiceCalculator.vatRateId(vatRate);
+    const net = InvoiceCalculator.roundAmount(
+      InvoiceCalculator.calculateNetFromTotal(totalAmount, vatRate)
+    );
+
+    return {
+      net,
+      vat: totalAmount.subtract(net),
+      total: totalAmount,
+      rateId
+    };
+  }
+
   /**
    * Determine if VAT should be applied based on amount and business rules
    * @param {Money} amount - Transaction amount
@@ -155,16 +206,15 @@ class InvoiceCalculator {
    * Round money amount to specified decimal places
    * @param {Money} amount - Amount to round
    * @param {number} [decimals=2] - Number of decimal places
+   * @param {string} [rounding=Money.ROUNDING.HALF_UP] - Rounding mode
    * @returns {Money} Rounded amount
    */
-  static roundAmount(amount, decimals = 2) {
+  static roundAmount(amount, decimals = 2, rounding = Money.ROUNDING.HALF_UP) {
     if (!(amount instanceof Money)) {
       throw ValidationError.forField('amount', 'Must be a Money instance');
     }
 
-    const multiplier = Math.pow(10, decimals);
-    const roundedAmount = Math.round(amount.amount * multiplier) / multiplier;
-    return new Money(roundedAmount, amount.currency);
+    return amount.round(decimals, rounding);
   }
 
   /**
@@ -177,8 +227,8 @@ class InvoiceCalculator {
    */
   static validateAmounts(netAmount, vatAmount, totalAmount, tolerance = 0.01) {
     const calculatedTotal = netAmount.add(vatAmount);
-    const difference = Math.abs(calculatedTotal.amount - totalAmount.amount);
-    return difference <= tolerance;
+    const difference = Math.abs(calculatedTotal.minorUnits - totalAmount.minorUnits);
+    return difference <= Math.round(tolerance * 100);
   }
 }
 
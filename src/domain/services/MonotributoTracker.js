@@ -0,0 +1,211 @@
+/**
+ * MonotributoTracker Domain Service
+ *
+ * Stateless service measuring invoiced income against the monotributo
+ * category caps. The caps apply to gross income over the last twelve months,
+ * so the window is the month being tracked and the eleven before it; the
+ * month in progress is projected to its end at the pace it has gone so far.
+ */
+
+const Money = require('../value-objects/Money');
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * @typedef {Object} MonotributoWarning
+ * @property {string} figure - 'income' (so far) or 'projected' (at month end)
+ * @property {number} threshold - Highest share of the cap the figure reached
+ * @property {number} usage - Share of the cap the figure is at
+ */
+
+/**
+ * @typedef {Object} MonotributoAssessment
+ * @property {import('../entities/MonotributoScale').MonotributoCategory|null} category -
+ *   Lowest category covering the income; null when over every cap
+ * @property {import('../entities/MonotributoScale').MonotributoCategory|null} projectedCategory -
+ *   Same for the projected income
+ * @property {import('../entities/MonotributoScale').MonotributoCategory} limit - Category the
+ *   usage is measured against: the registered one when given, else the income's own
+ *   (the top one when over every cap)
+ * @property {number} usage - Income over the limit's cap
+ * @property {number} projectedUsage - Projected income over the limit's cap
+ * @property {Money} remaining - Income left before the limit's cap (negative when over)
+ * @property {boolean} exceedsScale - The income is over the top category
+ * @property {MonotributoWarning[]} warnings - One per figure past a threshold
+ */
+
+/**
+ * Domain service for monotributo category tracking
+ */
+class MonotributoTracker {
+  /**
+   * Months of income the category caps apply to
+   */
+  static WINDOW_MONTHS = 12;
+
+  /**
+   * Shares of the cap to warn at when none are configured
+   */
+  static DEFAULT_THRESHOLDS = Object.freeze([0.8, 0.95]);
+
+  /**
+   * Twelve-month window ending on a date: from the first day of the eleventh
+   * month before it
+   * @param {string} asOf - YYYY-MM-DD
+   * @returns {{from: string, to: string}}
+   */
+  static windowFor(asOf) {
+    const [year, month] = asOf.split('-').map(Number);
+    const start = new Date(Date.UTC(year, month - MonotributoTracker.WINDOW_MONTHS, 1));
+    return { from: start.toISOString().split('T')[0], to: asOf };
+  }
+
+  /**
+   * Twelve months a semiannual recategorization looks at, and the date its
+   * caps are taken on. Semester 1 closes on June 30 and is declared in July,
+   * semester 2 closes on December 31 and is declared in January; the caps are
+   * those in force on the deadline, the 5th of the month after, since ARCA
+   * updates them right before it
+   * @param {number} year - Year the semester belongs to
+   * @param {number} semester - 1 or 2
+   * @returns {{from: string, to: string, capsDate: string}}
+   * @throws {ValidationError} If the semester is not 1 or 2
+   */
+  static recategorizationWindow(year, semester) {
+    if (semester !== 1 && semester !== 2) {
+      throw ValidationError.forField('semester', 'Semester must be 1 (January-June) or 2 (July-December)');
+    }
+    const to = semester === 1 ? `${year}-06-30` : `${year}-12-31`;
+    const capsDate = semester === 1 ? `${year}-08-05` : `${year + 1}-02-05`;
+    return { ...MonotributoTracker.windowFor(to), capsDate };
+  }
+
+  /**
+   * Date an order's income counts on: its invoice date, or the order date for
+   * manual invoices, which do not record one
+   * @param {Order} order
+   * @returns {string} YYYY-MM-DD
+   */
+  static incomeDateOf(order) {
+    return order.invoiceDate || order.orderDate;
+  }
+
+  /**
+   * Vouchers an order's income is made of: its invoice on its income date,
+   * and each credit or debit note on its own date, whatever month the
+   * invoice is in. Amounts are in pesos at the rate the invoice went out
+   * with, credit notes negative
+   * @param {Order} order
+   * @returns {Array<{date: string, amount: Money, note: Object|null}>} Empty
+   *   unless the order was successfully invoiced; note is null for the invoice
+   */
+  static incomeEntriesOf(order) {
+    if (!order.isSuccessful()) {
+      return [];
+    }
+
+    const notes = order.adjustments.map(note => {
+      const amount = order.toPesos(Money.of(note.amount, order.totalAmount.currency));
+      return { date: note.date, amount: note.kind === 'credit' ? amount.negate() : amount, note };
+    });
+    return [
+      { date: MonotributoTracker.incomeDateOf(order), amount: order.toPesos(order.totalAmount), note: null },
+      ...notes
+    ];
+  }
+
+  /**
+   * Invoiced income between two dates: invoices by their income date, less
+   * the credit notes and plus the debit notes issued in the period, in pesos
+   * at the rate each invoice went out with
+   * @param {Order[]} orders - Orders (only successfully invoiced ones count)
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Money} Income in ARS
+   */
+  static incomeBetween(orders, from, to) {
+    const incomes = orders
+      .flatMap(order => MonotributoTracker.incomeEntriesOf(order))
+      .filter(entry => entry.date >= from && entry.date <= to)
+      .map(entry => entry.amount);
+
+    return Money.sum(Money.zero('ARS'), ...incomes);
+  }
+
+  /**
+   * Project window income to the end of the month in progress, assuming the
+   * rest of the month invoices at the pace of the days gone
+   * @param {Money} income - Window income up to asOf
+   * @param {Money} monthToDate - Income of asOf's month up to asOf
+   * @param {string} asOf - YYYY-MM-DD
+   * @returns {Money} Window income at month end
+   */
+  static projectMonthEnd(income, monthToDate, asOf) {
+    const [year, month, day] = asOf.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (day >= daysInMonth) {
+      return income;
+    }
+    return income.add(monthToDate.multiply((daysInMonth - day) / day));
+  }
+
+  /**
+   * Measure income against the category caps in force on a date
+   * @param {Object} params
+   * @param {Money} params.income - Window income so far
+   * @param {Money} params.projectedIncome - Window income at month end
+   * @param {import('../entities/MonotributoScale')} params.scale - Category caps
+   * @param {string} params.asOf - YYYY-MM-DD the caps are taken on
+   * @param {string} [params.registeredCategory] - Category the issuer is registered in
+   * @param {number[]} [params.thresholds] - Shares of the cap to warn at
+   * @returns {MonotributoAssessment}
+   * @throws {ValidationError} If a threshold is not a positive share
+   */
+  static assess({ income, projectedIncome, scale, asOf, registeredCategory, thresholds }) {
+    const levels = [...(thresholds || MonotributoTracker.DEFAULT_THRESHOLDS)].sort((a, b) => a - b);
+    if (levels.some(level => typeof level !== 'number' || !(level > 0))) {
+      throw ValidationError.forField('thresholds', 'Warning thresholds must be positive shares of the cap (e.g. 0.8)');
+    }
+
+    const categories = scale.categoriesOn(asOf);
+    const category = scale.categoryFor(income.amount, asOf);
+    const projectedCategory = scale.categoryFor(projectedIncome.amount, asOf);
+    const limit = registeredCategory
+      ? scale.category(registeredCategory, asOf)
+      : category || categories[categories.length - 1];
+
+    const usage = MonotributoTracker._share(income, limit);
+    const projectedUsage = MonotributoTracker._share(projectedIncome, limit);
+
+    const warnings = [];
+    for (const [figure, share] of [['income', usage], ['projected', projectedUsage]]) {
+      const reached = levels.filter(level => share >= level).pop();
+      if (reached !== undefined) {
+        warnings.push({ figure, threshold: reached, usage: share });
+      }
+    }
+
+    return {
+      category,
+      projectedCategory,
+      limit,
+      usage,
+      projectedUsage,
+      remaining: Money.of(limit.maxIncome, 'ARS').subtract(income),
+      exceedsScale: category === null,
+      warnings
+    };
+  }
+
+  /**
+   * Share of a category's cap an income is at, to four decimals
+   * @private
+   * @param {Money} income
+   * @param {import('../entities/MonotributoScale').MonotributoCategory} category
+   * @returns {number}
+   */
+  static _share(income, category) {
+    return Math.round((income.amount / category.maxIncome) * 10000) / 10000;
+  }
+}
+
+module.exports = MonotributoTracker;
@@ -8,8 +8,17 @@
 const Invoice = require('../entities/Invoice');
 const InvoiceCalculator = require('./InvoiceCalculator');
 const InvoiceDateValidator = require('./InvoiceDateValidator');
+const Money = require('../value-objects/Money');
 const { DomainError } = require('../../shared/errors');
 
+/**
+ * @typedef {Object} BuyerIdentificationOptions
+ * @property {number} [identificationThreshold] - Amount in ARS from which a consumidor final
+ *   must be identified; no check when omitted
+ * @property {boolean} [buyerIdentified=false] - The buyer is registered or was looked up by CUIT
+ * @property {number} [exchangeRate] - Rate for a foreign-currency order not invoiced yet
+ */
+
 /**
  * Domain service for order processing
  */
@@ -17,9 +26,11 @@ class OrderProcessor {
   /**
    * Check if an order can be processed
    * @param {Order} order - Order to check
+   * @param {BuyerIdentificationOptions} [options] - Also check the consumidor final
+   *   identification threshold
    * @returns {{canProcess: boolean, reasons: string[]}} Processing eligibility
    */
-  static canProcess(order) {
+  static canProcess(order, options = {}) {
     const reasons = [];
 
     // Must be a SELL trade
@@ -40,12 +51,59 @@ class OrderProcessor {
       }
     }
 
+    // Must identify the buyer at or above the threshold
+    const identificationReason = OrderProcessor.buyerIdentificationReason(order, options);
+    if (identificationReason) {
+      reasons.push(identificationReason);
+    }
+
     return {
       canProcess: reasons.length === 0,
       reasons
     };
   }
 
+  /**
+   * Why an order cannot go out to an unidentified consumidor final: AFIP
+   * requires the buyer's document when the amount in pesos reaches the
+   * identification threshold. Factura E identifies its buyer on its own.
+   * @param {Order} order - Order to check
+   * @param {BuyerIdentificationOptions} [options]
+   * @returns {string|null} Reason the order is blocked, or null
+   */
+  static buyerIdentificationReason(order, options = {}) {
+    const { identificationThreshold, buyerIdentified = false, exchangeRate } = options;
+    if (!identificationThreshold || buyerIdentified || order.isForeignBuyer()) {
+      return null;
+    }
+
+    const amount = order.toPesos(order.totalAmount, exchangeRate);
+    if (amount.amount < identificationThreshold) {
+      return null;
+    }
+    return `Order total ${amount.format()} reaches the consumidor final identification threshold ` +
+      `(${Money.of(identificationThreshold).format()}): register buyer ` +
+      `"${order.buyerNickname || 'unknown'}" with buyer-register`;
+  }
+
+  /**
+   * Whether an order may go on the daily consolidated invoice of its day: an
+   * unprocessed SELL in pesos below the per-order amount, not sold abroad.
+   * Registered buyers are left to the caller: they are invoiced on their own,
+   * with their document
+   * @param {Order} order - Order to check
+   * @param {number} [maxOrderAmount] - Orders below this amount (ARS) are consolidated;
+   *   consolidation is off when omitted
+   * @returns {boolean}
+   */
+  static canConsolidate(order, maxOrderAmount) {
+    return Boolean(maxOrderAmount) &&
+      order.canBeProcessed() &&
+      !order.isForeignBuyer() &&
+      order.totalAmount.currency === 'ARS' &&
+      order.totalAmount.amount < maxOrderAmount;
+  }
+
   /**
    * Validate order for processing and throw if invalid
    * @param {Order} order - Order to validate
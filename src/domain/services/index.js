@@ -4,12 +4,18 @@
  * Export all domain services
  */
 
+const AfipQrCode = require('./AfipQrCode');
+const IibbCalculator = require('./IibbCalculator');
 const InvoiceCalculator = require('./InvoiceCalculator');
 const InvoiceDateValidator = require('./InvoiceDateValidator');
+const MonotributoTracker = require('./MonotributoTracker');
 const OrderProcessor = require('./OrderProcessor');
 
 module.exports = {
+  AfipQrCode,
+  IibbCalculator,
   InvoiceCalculator,
   InvoiceDateValidator,
+  MonotributoTracker,
   OrderProcessor
 };
@@ -4,26 +4,90 @@
  * Represents a monetary amount with currency.
  * Immutable value object following DDD principles.
  *
+ * Amounts are held as an integer number of cents (minor units), so sums are
+ * exact and match what AFIP adds up. Operations that can produce fractions
+ * of a cent (multiply, divide, percentage, conversion) work on the decimal
+ * value of their operand and round once, with an explicit rounding mode.
+ *
  * @see https://martinfowler.com/eaaCatalog/money.html
  */
 
 const { DomainError, ValidationError } = require('../../shared/errors');
-const { AmountValidator } = require('../../shared/validation/validators');
 const currencyUtils = require('../../shared/utils/currency.utils');
 
+// Every currency is kept to cents, as AFIP takes amounts with 2 decimals
+const MINOR_UNITS = 100n;
+
+/**
+ * Parse a number or numeric string into an exact decimal: value = units / 10^scale.
+ * Numbers are read from their shortest decimal form (0.1 is 1/10, not the binary
+ * approximation of it)
+ * @param {number|string} value - Value to parse
+ * @returns {{units: bigint, scale: number}|null} Decimal, or null if not a finite number
+ */
+function toDecimal(value) {
+  const text = typeof value === 'number' ? String(value) : String(value).trim();
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+  if (!match || (!match[2] && !match[3]) || !Number.isFinite(Number(text))) {
+    return null;
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  let units = BigInt(`${whole}${fraction}` || '0');
+  let scale = fraction.length - Number(exponent);
+  if (scale < 0) {
+    units *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { units: sign === '-' ? -units : units, scale };
+}
+
+/**
+ * Divide two integers, rounding the quotient to an integer
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Non-zero
+ * @param {string} rounding - One of Money.ROUNDING
+ * @returns {bigint}
+ */
+function divideRounded(numerator, denominator, rounding) {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+
+  let quotient = n / d;
+  const twiceRemainder = (n % d) * 2n;
+  if (twiceRemainder > d ||
+      (twiceRemainder === d && (rounding === Money.ROUNDING.HALF_UP || quotient % 2n === 1n))) {
+    quotient += 1n;
+  }
+  return negative ? -quotient : quotient;
+}
+
 class Money {
+  /**
+   * Rounding modes for results that fall between two cents. HALF_UP rounds
+   * ties away from zero (AFIP's and the default); HALF_EVEN rounds them to
+   * the even cent, which does not bias long sums of rounded amounts
+   */
+  static ROUNDING = Object.freeze({
+    HALF_UP: 'HALF_UP',
+    HALF_EVEN: 'HALF_EVEN'
+  });
+
   /**
    * Create a Money instance
-   * @param {number} amount - The monetary amount
+   * @param {number|string} amount - The monetary amount, rounded to cents
    * @param {string} currency - Currency code (ARS, USD, EUR, etc.)
+   * @param {string} [rounding=Money.ROUNDING.HALF_UP] - How to round fractions of a cent
    * @throws {ValidationError} If amount or currency is invalid
    */
-  constructor(amount, currency = 'ARS') {
+  constructor(amount, currency = 'ARS', rounding = Money.ROUNDING.HALF_UP) {
     // Validate amount (allow positive, negative, and zero)
-    const numAmount = parseFloat(amount);
-    if (isNaN(numAmount) || !isFinite(numAmount)) {
+    const decimal = toDecimal(amount);
+    if (!decimal) {
       throw ValidationError.forField('amount', 'Amount must be a valid finite number');
     }
+    Money._ensureRounding(rounding);
 
     // Validate currency
     const normalizedCurrency = currencyUtils.normalizeCurrencyCode(currency);
@@ -31,9 +95,14 @@ class Money {
       throw ValidationError.forField('currency', `Invalid currency code: ${currency}`);
     }
 
+    const minorUnits = divideRounded(decimal.units * MINOR_UNITS, 10n ** BigInt(decimal.scale), rounding);
+    if (minorUnits > BigInt(Number.MAX_SAFE_INTEGER) || minorUnits < BigInt(Number.MIN_SAFE_INTEGER)) {
+      throw ValidationError.forField('amount', 'Amount is too large');
+    }
+
     // Store values as private properties (using symbols for privacy)
-    Object.defineProperty(this, '_amount', {
-      value: currencyUtils.roundCurrency(numAmount),
+    Object.defineProperty(this, '_minorUnits', {
+      value: Number(minorUnits),
       writable: false,
       enumerable: false,
       configurable: false
@@ -55,7 +124,15 @@ class Money {
    * @returns {number}
    */
   get amount() {
-    return this._amount;
+    return this._minorUnits / 100;
+  }
+
+  /**
+   * Get the amount in cents
+   * @returns {number} Integer number of minor units
+   */
+  get minorUnits() {
+    return this._minorUnits;
   }
 
   /**
@@ -71,7 +148,7 @@ class Money {
    * @returns {boolean}
    */
   isZero() {
-    return currencyUtils.areAmountsEqual(this._amount, 0);
+    return this._minorUnits === 0;
   }
 
   /**
@@ -79,7 +156,7 @@ class Money {
    * @returns {boolean}
    */
   isPositive() {
-    return this._amount > 0;
+    return this._minorUnits > 0;
   }
 
   /**
@@ -87,7 +164,7 @@ class Money {
    * @returns {boolean}
    */
   isNegative() {
-    return this._amount < 0;
+    return this._minorUnits < 0;
   }
 
   /**
@@ -98,8 +175,7 @@ class Money {
    */
   add(other) {
     this._ensureSameCurrency(other);
-    const newAmount = currencyUtils.addAmounts(this._amount, other._amount);
-    return new Money(newAmount, this._currency);
+    return Money.fromMinorUnits(this._minorUnits + other._minorUnits, this._currency);
   }
 
   /**
@@ -110,69 +186,94 @@ class Money {
    */
   subtract(other) {
     this._ensureSameCurrency(other);
-    const newAmount = currencyUtils.subtractAmounts(this._amount, other._amount);
-    return new Money(newAmount, this._currency);
+    return Money.fromMinorUnits(this._minorUnits - other._minorUnits, this._currency);
   }
 
   /**
    * Multiply by a number
    * @param {number} multiplier - Number to multiply by
+   * @param {string} [rounding=Money.ROUNDING.HALF_UP] - How to round the product to cents
    * @returns {Money} New Money instance with the product
    * @throws {ValidationError} If multiplier is invalid
    */
-  multiply(multiplier) {
-    if (typeof multiplier !== 'number' || isNaN(multiplier)) {
+  multiply(multiplier, rounding = Money.ROUNDING.HALF_UP) {
+    if (typeof multiplier !== 'number' || !Number.isFinite(multiplier)) {
       throw ValidationError.forField('multiplier', 'Multiplier must be a valid number');
     }
-    const newAmount = currencyUtils.multiplyAmount(this._amount, multiplier);
-    return new Money(newAmount, this._currency);
+    const { units, scale } = toDecimal(multiplier);
+    return this._scaled(units, 10n ** BigInt(scale), rounding);
   }
 
   /**
    * Divide by a number
    * @param {number} divisor - Number to divide by
+   * @param {string} [rounding=Money.ROUNDING.HALF_UP] - How to round the quotient to cents
    * @returns {Money} New Money instance with the quotient
    * @throws {ValidationError} If divisor is invalid or zero
    */
-  divide(divisor) {
-    if (typeof divisor !== 'number' || isNaN(divisor) || divisor === 0) {
+  divide(divisor, rounding = Money.ROUNDING.HALF_UP) {
+    if (typeof divisor !== 'number' || !Number.isFinite(divisor) || divisor === 0) {
       throw ValidationError.forField('divisor', 'Divisor must be a valid non-zero number');
     }
-    const newAmount = currencyUtils.divideAmount(this._amount, divisor);
-    return new Money(newAmount, this._currency);
+    const { units, scale } = toDecimal(divisor);
+    return this._scaled(10n ** BigInt(scale), units, rounding);
   }
 
   /**
    * Calculate percentage of this amount
    * @param {number} percentage - Percentage (e.g., 21 for 21%)
+   * @param {string} [rounding=Money.ROUNDING.HALF_UP] - How to round the result to cents
    * @returns {Money} New Money instance with the percentage amount
+   * @throws {ValidationError} If percentage is invalid
+   */
+  percentage(percentage, rounding = Money.ROUNDING.HALF_UP) {
+    if (typeof percentage !== 'number' || !Number.isFinite(percentage)) {
+      throw ValidationError.forField('percentage', 'Percentage must be a valid number');
+    }
+    const { units, scale } = toDecimal(percentage);
+    return this._scaled(units, 100n * 10n ** BigInt(scale), rounding);
+  }
+
+  /**
+   * Round to fewer decimals than cents (e.g. 0 for whole pesos)
+   * @param {number} [decimals=2] - Decimal places to keep, 0 to 2
+   * @param {string} [rounding=Money.ROUNDING.HALF_UP] - How to round
+   * @returns {Money} New Money instance
    */
-  percentage(percentage) {
-    const newAmount = currencyUtils.calculatePercentage(this._amount, percentage);
-    return new Money(newAmount, this._currency);
+  round(decimals = 2, rounding = Money.ROUNDING.HALF_UP) {
+    if (decimals >= 2) {
+      return this;
+    }
+    const step = 10n ** BigInt(2 - Math.max(0, decimals));
+    Money._ensureRounding(rounding);
+    return Money.fromMinorUnits(
+      Number(divideRounded(BigInt(this._minorUnits), step, rounding) * step),
+      this._currency
+    );
   }
 
   /**
    * Convert to another currency
    * @param {string} toCurrency - Target currency code
    * @param {number} exchangeRate - Exchange rate (toCurrency per 1 fromCurrency)
+   * @param {string} [rounding=Money.ROUNDING.HALF_UP] - How to round the result to cents
    * @returns {Money} New Money instance in target currency
    */
-  convertTo(toCurrency, exchangeRate) {
+  convertTo(toCurrency, exchangeRate, rounding = Money.ROUNDING.HALF_UP) {
     const normalizedToCurrency = currencyUtils.normalizeCurrencyCode(toCurrency);
 
     if (!currencyUtils.validateCurrencyCode(normalizedToCurrency)) {
       throw ValidationError.forField('toCurrency', `Invalid currency code: ${toCurrency}`);
     }
+    if (typeof exchangeRate !== 'number' || !Number.isFinite(exchangeRate) || exchangeRate <= 0) {
+      throw ValidationError.forField('exchangeRate', 'Exchange rate must be a positive number');
+    }
 
-    const convertedAmount = currencyUtils.convertCurrency(
-      this._amount,
-      this._currency,
-      normalizedToCurrency,
-      exchangeRate
-    );
-
-    return new Money(convertedAmount, normalizedToCurrency);
+    if (normalizedToCurrency === this._currency) {
+      return this;
+    }
+    const converted = this.multiply(exchangeRate, rounding);
+    return Money.fromMinorUnits(converted._minorUnits, normalizedToCurrency);
   }
 
   /**
@@ -183,7 +284,7 @@ class Money {
    */
   compareTo(other) {
     this._ensureSameCurrency(other);
-    return currencyUtils.compareCurrencyAmounts(this._amount, other._amount);
+    return Math.sign(this._minorUnits - other._minorUnits);
   }
 
   /**
@@ -196,7 +297,7 @@ class Money {
       return false;
     }
     return this._currency === other._currency &&
-           currencyUtils.areAmountsEqual(this._amount, other._amount);
+           this._minorUnits === other._minorUnits;
   }
 
   /**
@@ -244,7 +345,7 @@ class Money {
    * @returns {Money} New Money instance with absolute value
    */
   abs() {
-    return new Money(Math.abs(this._amount), this._currency);
+    return Money.fromMinorUnits(Math.abs(this._minorUnits), this._currency);
   }
 
   /**
@@ -252,7 +353,7 @@ class Money {
    * @returns {Money} New Money instance with negated amount
    */
   negate() {
-    return new Money(-this._amount, this._currency);
+    return Money.fromMinorUnits(-this._minorUnits, this._currency);
   }
 
   /**
@@ -261,7 +362,27 @@ class Money {
    * @returns {string}
    */
   format(options = {}) {
-    return currencyUtils.formatCurrencyAmount(this._amount, this._currency);
+    return currencyUtils.formatCurrencyAmount(this.amount, this._currency);
+  }
+
+  /**
+   * The amount with exactly two decimals, e.g. '1500.00'
+   * @returns {string}
+   */
+  toDecimalString() {
+    const sign = this._minorUnits < 0 ? '-' : '';
+    const cents = String(Math.abs(this._minorUnits)).padStart(3, '0');
+    return `${sign}${cents.slice(0, -2)}.${cents.slice(-2)}`;
+  }
+
+  /**
+   * The amount as AFIP takes it (ImpTotal, ImpNeto, ...): a number whose
+   * decimal form is exactly the amount in cents, so totals AFIP adds up
+   * from the parts match ours
+   * @returns {number}
+   */
+  toAfipAmount() {
+    return Number(this.toDecimalString());
   }
 
   /**
@@ -270,7 +391,7 @@ class Money {
    */
   toJSON() {
     return {
-      amount: this._amount,
+      amount: this.amount,
       currency: this._currency
     };
   }
@@ -283,6 +404,31 @@ class Money {
     return this.format();
   }
 
+  /**
+   * Multiply the amount by numerator / denominator and round to cents
+   * @private
+   * @param {bigint} numerator
+   * @param {bigint} denominator - Non-zero
+   * @param {string} rounding - One of Money.ROUNDING
+   * @returns {Money}
+   */
+  _scaled(numerator, denominator, rounding) {
+    Money._ensureRounding(rounding);
+    const minorUnits = divideRounded(BigInt(this._minorUnits) * numerator, denominator, rounding);
+    return Money.fromMinorUnits(Number(minorUnits), this._currency);
+  }
+
+  /**
+   * @private
+   * @param {string} rounding - Rounding mode to check
+   * @throws {ValidationError} If it is not one of Money.ROUNDING
+   */
+  static _ensureRounding(rounding) {
+    if (!Object.values(Money.ROUNDING).includes(rounding)) {
+      throw ValidationError.forField('rounding', `Unknown rounding mode: ${rounding}`);
+    }
+  }
+
   /**
    * Ensure another Money instance has the same currency
    * @param {Money} other - Money instance to check
@@ -310,6 +456,20 @@ class Money {
     return new Money(amount, currency);
   }
 
+  /**
+   * Static factory method: Create Money from an amount in cents
+   * @param {number} minorUnits - Integer number of cents
+   * @param {string} currency - Currency code
+   * @returns {Money}
+   * @throws {ValidationError} If minorUnits is not an integer
+   */
+  static fromMinorUnits(minorUnits, currency = 'ARS') {
+    if (!Number.isSafeInteger(minorUnits)) {
+      throw ValidationError.forField('minorUnits', 'Minor units must be an integer');
+    }
+    return new Money(`${minorUnits}e-2`, currency);
+  }
+
   /**
    * Static factory method: Create zero Money
    * @param {string} currency - Currency code
@@ -336,11 +496,22 @@ class Money {
 
   /**
    * Static method: Sum multiple Money instances
-   * @param {...Money} moneys - Money instances to sum
+   *
+   * Amounts are whole cents, so the sum is exact: the total of a month
+   * matches the total of its vouchers in AFIP. Like every other operation it
+   * takes a rounding mode as its last argument, checked but never applied.
+   * @param {...(Money|string)} moneys - Money instances to sum, optionally
+   *   followed by one of Money.ROUNDING (default HALF_UP)
    * @returns {Money} New Money instance with the sum
    * @throws {DomainError} If currencies don't match or no instances provided
+   * @throws {ValidationError} If the rounding mode is unknown
    */
   static sum(...moneys) {
+    const rounding = typeof moneys[moneys.length - 1] === 'string'
+      ? moneys.pop()
+      : Money.ROUNDING.HALF_UP;
+    Money._ensureRounding(rounding);
+
     if (moneys.length === 0) {
       throw new DomainError('Cannot sum zero Money instances');
     }
@@ -356,9 +527,8 @@ class Money {
       }
     }
 
-    const amounts = moneys.map(m => m.amount);
-    const totalAmount = currencyUtils.addAmounts(...amounts);
-    return new Money(totalAmount, currency);
+    const minorUnits = moneys.reduce((sum, money) => sum + money._minorUnits, 0);
+    return Money.fromMinorUnits(minorUnits, currency);
   }
 
   /**
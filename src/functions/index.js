@@ -1,3 +1,4 @@
 require('./orders');
 require('./processMonth');
+require('./monotributo');
 require('./mcp');
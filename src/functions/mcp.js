@@ -106,6 +106,16 @@ function invoiceDateOf(order) {
   return order.invoiceDate || order.orderDate;
 }
 
+/**
+ * Total of the orders' amounts, added up in cents so a month of orders does
+ * not drift from the sum of its vouchers.
+ * @param {import('../domain/entities/Order')[]} orders
+ * @returns {number}
+ */
+function totalOf(orders) {
+  return orders.reduce((sum, o) => sum + o.totalAmount.minorUnits, 0) / 100;
+}
+
 /**
  * Freshness of the orders table as a whole (any month): the newest fetched
  * order and its age in whole days. `{ null, null }` when the table is empty.
@@ -232,12 +242,40 @@ app.mcpTool('mcpMonthlyIncome', {
 
     return {
       month,
-      invoicedArs: invoicesInMonth.reduce((sum, o) => sum + o.totalAmount.amount, 0),
+      invoicedArs: totalOf(invoicesInMonth),
       invoiceCount: invoicesInMonth.length,
-      sellOrdersArs: sellOrders.reduce((sum, o) => sum + o.totalAmount.amount, 0),
+      sellOrdersArs: totalOf(sellOrders),
       sellOrderCount: sellOrders.length,
       uninvoicedCount: uninvoiced.length,
       tableFreshness: freshness,
     };
   }),
 });
+
+// ---------------------------------------------------------------------------
+// monotributo_status
+// ---------------------------------------------------------------------------
+app.mcpTool('mcpMonotributoStatus', {
+  toolName: 'monotributo_status',
+  description:
+    'Invoiced ARS over the twelve months ending with the given month against the monotributo ' +
+    'category caps: category, share of the cap used, month-end projection and the warning ' +
+    'thresholds passed. For the current month the figures run to today. A stale orders table ' +
+    '(tableFreshness.ageDays) under-reports income and so understates the usage.',
+  toolProperties: [
+    {
+      propertyName: 'month',
+      propertyType: 'string',
+      description: 'Month in YYYY-MM format (e.g. "2026-07").',
+      isRequired: true,
+    },
+  ],
+  handler: tool('monotributo_status', async (args) => {
+    const { month, year, monthNumber } = parseMonth(args.month);
+    const [status, freshness] = await Promise.all([
+      container().getTrackMonotributoIncomeUseCase().execute({ year, month: monthNumber }),
+      tableFreshness(),
+    ]);
+    return { month, ...status, tableFreshness: freshness };
+  }),
+});
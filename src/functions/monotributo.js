@@ -0,0 +1,35 @@
+const { app } = require('@azure/functions');
+
+const MONTH_RE = /^\d{4}-(?:0[1-9]|1[0-2])$/;
+
+app.http('monotributo', {
+  methods: ['GET'],
+  authLevel: 'function',
+  route: 'monotributo',
+  handler: async (request, context) => {
+    try {
+      // Required per request, like the MCP tools: the container walks to
+      // shared/config, which must not load with the worker's entry point
+      const container = require('../application/di/container');
+      const now = new Date();
+      const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+      const requested = request.query.get('month');
+      const month = requested && MONTH_RE.test(requested) ? requested : currentMonth;
+      const [year, monthNumber] = month.split('-').map(Number);
+
+      const status = await container.getTrackMonotributoIncomeUseCase().execute({ year, month: monthNumber });
+
+      return {
+        jsonBody: { generated_at: now.toISOString(), month, ...status },
+        headers: { 'Cache-Control': 'max-age=60' },
+      };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return { status: 400, jsonBody: { error: error.message } };
+      }
+      context.error('Failed to track monotributo income:', error.message);
+      return { status: 500, jsonBody: { error: 'Failed to track monotributo income' } };
+    }
+  },
+});
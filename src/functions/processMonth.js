@@ -2,6 +2,7 @@ const { app } = require('@azure/functions');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const RunLock = require('../domain/entities/RunLock');
 const YEAR_MONTH_RE = /^\d{4}$|^([1-9]|1[0-2])$/;
 
 function decodeCerts() {
@@ -58,7 +59,11 @@ app.http('processMonth', {
 
       try {
         const useCase = container.getProcessMonthOrdersUseCase();
-        const result = await useCase.execute({ year, month });
+        const result = await container.getHoldRunLockUseCase().execute({
+          name: RunLock.PROCESSING,
+          command: `process-month ${year}-${String(month).padStart(2, '0')} (dashboard)`,
+          run: () => useCase.execute({ year, month })
+        });
 
         return {
           jsonBody: { generated_at: new Date().toISOString(), ...result },
@@ -71,7 +76,9 @@ app.http('processMonth', {
 
     } catch (error) {
       context.error('process-month failed:', error.message);
-      return { status: 500, jsonBody: { error: error.message } };
+      // 409: another run holds the processing lock; nothing was submitted
+      const status = error.statusCode === 409 ? 409 : 500;
+      return { status, jsonBody: { error: error.message } };
     } finally {
       cleanupCerts(certPaths);
     }
@@ -0,0 +1,144 @@
+/**
+ * AfipExportGatewayAdapter
+ *
+ * Adapter implementing IAfipExportGateway interface
+ * Wraps AfipService's WSFEX calls (Factura E)
+ * Part of Infrastructure Layer
+ */
+
+const IAfipExportGateway = require('../../application/interfaces/IAfipExportGateway');
+const AfipService = require('../../services/AfipService');
+const InvoiceResult = require('../../domain/entities/InvoiceResult');
+const logger = require('../../utils/logger');
+const { AFIP_EXPORT_VOUCHER_TYPE } = require('../../shared/constants');
+const config = require('../../config');
+
+class AfipExportGatewayAdapter extends IAfipExportGateway {
+  /**
+   * @param {AfipService} [afipService=null] - Optional AfipService instance (for testing)
+   * @param {Object} [options]
+   * @param {VoucherAllocator} [options.voucherAllocator] - When set, each voucher is numbered
+   *   holding the lease of its sequence
+   */
+  constructor(afipService = null, options = {}) {
+    super();
+
+    this.afipService = afipService || new AfipService({
+      cuit: config.afip.cuit,
+      environment: config.afip.environment,
+      certPath: config.afip.certPath,
+      keyPath: config.afip.keyPath,
+      simulatorUrl: config.afip.simulatorUrl
+    });
+
+    this.voucherAllocator = options.voucherAllocator || null;
+
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize AFIP connection
+   */
+  async initialize() {
+    if (!this.initialized) {
+      await this.afipService.initialize();
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Submit a Factura E to WSFEX for authorization
+   * @param {ExportInvoice} exportInvoice - Export invoice to submit
+   * @param {number} [voucherNumber=null] - Voucher number to use (next after last authorized if null)
+   * @returns {Promise<InvoiceResult>} Domain InvoiceResult entity
+   * @throws {InfrastructureError} If the voucher sequence stays leased by another run
+   */
+  async createExportInvoice(exportInvoice, voucherNumber = null) {
+    await this.initialize();
+
+    if (!this.voucherAllocator) {
+      return this._submit(exportInvoice, voucherNumber);
+    }
+
+    // Taking the lease and reading the last number throw: nothing is submitted on a guess
+    return this.voucherAllocator.allocate({
+      pointOfSale: exportInvoice.pointOfSale,
+      voucherType: AFIP_EXPORT_VOUCHER_TYPE.INVOICE_E,
+      voucherNumber,
+      lastNumber: () => this.afipService.getLastExportVoucherNumber(exportInvoice.pointOfSale)
+    }, number => this._submit(exportInvoice, number));
+  }
+
+  /**
+   * Submit a Factura E and convert the outcome to an InvoiceResult
+   * @param {ExportInvoice} exportInvoice - Export invoice to submit
+   * @param {number|null} voucherNumber - Voucher number to use
+   * @returns {Promise<InvoiceResult>}
+   * @private
+   */
+  async _submit(exportInvoice, voucherNumber) {
+    try {
+      const result = await this.afipService.createExportInvoice(exportInvoice, voucherNumber);
+
+      if (result.success) {
+        return InvoiceResult.success({
+          cae: result.cae,
+          caeExpiration: this._convertAfipDate(result.caeExpiration),
+          voucherNumber: result.voucherNumber,
+          invoiceDate: exportInvoice.invoiceDate,
+          observations: [],
+          metadata: {
+            rawResponse: result.result
+          }
+        });
+      }
+
+      return InvoiceResult.failure(
+        result.error,
+        {
+          errorCode: result.errorCode,
+          rawResponse: result.invoice
+        }
+      );
+    } catch (error) {
+      logger.error('AFIP gateway error creating export invoice', {
+        error: error.message,
+        event: 'afip_gateway_create_export_invoice_error'
+      });
+
+      return InvoiceResult.failure(
+        error.message,
+        {
+          errorCode: error.code || 'AFIP_GATEWAY_ERROR',
+          invoice: exportInvoice.toJSON()
+        }
+      );
+    }
+  }
+
+  /**
+   * Get the last Factura E number authorized on an export point of sale
+   * @param {number} pointOfSale - Export point of sale
+   * @returns {Promise<number>} Last voucher number
+   */
+  async getLastVoucherNumber(pointOfSale) {
+    await this.initialize();
+    return this.afipService.getLastExportVoucherNumber(pointOfSale);
+  }
+
+  /**
+   * Convert AFIP date format (YYYYMMDD) to ISO string (YYYY-MM-DD)
+   * @param {string} afipDate - Date in YYYYMMDD format
+   * @returns {string} Date in YYYY-MM-DD format
+   * @private
+   */
+  _convertAfipDate(afipDate) {
+    if (!afipDate || String(afipDate).length !== 8) {
+      return null;
+    }
+    const date = String(afipDate);
+    return `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6, 8)}`;
+  }
+}
+
+module.exports = AfipExportGatewayAdapter;
@@ -9,15 +9,26 @@
 const IAfipGateway = require('../../application/interfaces/IAfipGateway');
 const AfipService = require('../../services/AfipService');
 const InvoiceResult = require('../../domain/entities/InvoiceResult');
+const AuthorizedVoucher = require('../../domain/entities/AuthorizedVoucher');
+const Caea = require('../../domain/entities/Caea');
+const Taxpayer = require('../../domain/entities/Taxpayer');
+const ParameterCatalog = require('../../domain/entities/ParameterCatalog');
 const CAE = require('../../domain/value-objects/CAE');
 const logger = require('../../utils/logger');
+const { InvoiceValidator } = require('../../shared/validation/validators');
+const { CURRENCY_CODE } = require('../../shared/constants');
 const config = require('../../config');
 
 class AfipGatewayAdapter extends IAfipGateway {
   /**
    * @param {AfipService} [afipService=null] - Optional AfipService instance (for testing)
+   * @param {Object} [options]
+   * @param {Function} [options.catalogProvider] - Async function returning the WSFE
+   *   ParameterCatalog; when set, invoices are checked against it before submission
+   * @param {VoucherAllocator} [options.voucherAllocator] - When set, vouchers are numbered
+   *   holding the lease of their sequence
    */
-  constructor(afipService = null) {
+  constructor(afipService = null, options = {}) {
     super();
 
     // Use provided service or create new one with config
@@ -25,9 +36,14 @@ class AfipGatewayAdapter extends IAfipGateway {
       cuit: config.afip.cuit,
       environment: config.afip.environment,
       certPath: config.afip.certPath,
-      keyPath: config.afip.keyPath
+      keyPath: config.afip.keyPath,
+      simulatorUrl: config.afip.simulatorUrl
     });
 
+    this.catalogProvider = options.catalogProvider || null;
+    this._parameterCatalog = undefined;
+    this.voucherAllocator = options.voucherAllocator || null;
+
     this.initialized = false;
   }
 
@@ -45,39 +61,35 @@ class AfipGatewayAdapter extends IAfipGateway {
    * Submit invoice to AFIP for authorization
    * @param {Invoice} invoice - Invoice domain entity to submit
    * @param {number} pointOfSale - Point of sale number
+   * @param {number} [voucherNumber=null] - Voucher number to use (next after last authorized if null)
    * @returns {Promise<InvoiceResult>} Domain InvoiceResult entity
+   * @throws {AfipError} If the last authorized number cannot be read (with a voucher allocator)
+   * @throws {InfrastructureError} If the voucher sequence stays leased by another run
    */
-  async createInvoice(invoice, pointOfSale) {
+  async createInvoice(invoice, pointOfSale, voucherNumber = null) {
     await this.initialize();
 
+    const [catalogErrors] = await this._checkAgainstCatalog([invoice]);
+    if (catalogErrors) {
+      return this._catalogFailure(catalogErrors, invoice);
+    }
+
+    return this._allocate(invoice, voucherNumber, number => this._submit(invoice, number));
+  }
+
+  /**
+   * Submit one invoice and convert the outcome to an InvoiceResult
+   * @param {Invoice} invoice - Invoice to submit
+   * @param {number|null} voucherNumber - Voucher number to use
+   * @returns {Promise<InvoiceResult>}
+   * @private
+   */
+  async _submit(invoice, voucherNumber) {
     try {
       // Call the underlying AfipService
-      const result = await this.afipService.createInvoice(invoice);
-
-      // Convert service result to domain InvoiceResult
-      if (result.success) {
-        // Convert AFIP date format (YYYYMMDD) to ISO string
-        const caeExpiration = this._convertAfipDate(result.caeExpiration);
-
-        return InvoiceResult.success({
-          cae: result.cae,
-          caeExpiration: caeExpiration,
-          voucherNumber: result.voucherNumber,
-          invoiceDate: invoice.invoiceDate, // Use invoice date from original invoice
-          observations: [],
-          metadata: {
-            rawResponse: result.result
-          }
-        });
-      } else {
-        return InvoiceResult.failure(
-          result.error,
-          {
-            errorCode: result.errorCode,
-            rawResponse: result.invoice
-          }
-        );
-      }
+      const result = await this.afipService.createInvoice(invoice, voucherNumber);
+
+      return this._toInvoiceResult(result, invoice);
     } catch (error) {
       logger.error('AFIP gateway error creating invoice', {
         error: error.message,
@@ -95,31 +107,72 @@ class AfipGatewayAdapter extends IAfipGateway {
   }
 
   /**
-   * Query invoice by CAE
-   * @param {CAE|string} cae - CAE to query
-   * @returns {Promise<Object>} Invoice information from AFIP
+   * Submit several invoices to AFIP in multi-record requests
+   * @param {Array<Invoice>} invoices - Invoices sharing point of sale and voucher type
+   * @returns {Promise<Array<InvoiceResult>>} One result per invoice, in input order
+   * @throws {AfipError} If a request fails as a whole (no record was decided)
+   * @throws {InfrastructureError} If the voucher sequence stays leased by another run
    */
-  async queryInvoice(cae) {
+  async createInvoices(invoices) {
     await this.initialize();
 
-    const caeValue = typeof cae === 'object' ? cae.value : cae;
+    // Records the catalog rules out are failed here and left out of the request
+    const catalogErrors = await this._checkAgainstCatalog(invoices);
+    const toSubmit = invoices.filter((invoice, i) => !catalogErrors[i]);
 
     try {
-      // Note: facturajs doesn't have a direct queryInvoice method
-      // This would need to be implemented if AFIP provides such endpoint
-      logger.warn('Query invoice not implemented in current AFIP SDK', {
-        cae: caeValue,
-        event: 'afip_query_not_available'
+      if (toSubmit.length === 0) {
+        return invoices.map((invoice, i) => this._catalogFailure(catalogErrors[i], invoice));
+      }
+
+      return await this._allocate(toSubmit[0], null, async (firstNumber) => {
+        const results = await this.afipService.createInvoiceBatch(toSubmit, firstNumber);
+
+        let next = 0;
+        return invoices.map((invoice, i) => catalogErrors[i]
+          ? this._catalogFailure(catalogErrors[i], invoice)
+          : this._toInvoiceResult(results[next++], invoice));
+      });
+    } catch (error) {
+      logger.error('AFIP gateway error creating invoice batch', {
+        count: invoices.length,
+        error: error.message,
+        event: 'afip_gateway_create_batch_error'
       });
 
-      return {
-        success: false,
-        message: 'Query invoice not available in current SDK',
-        cae: caeValue
-      };
+      throw error;
+    }
+  }
+
+  /**
+   * Query a voucher as AFIP has it on record (FECompConsultar)
+   * @param {number} pointOfSale - Point of sale number
+   * @param {number} voucherType - Voucher type (e.g. 11 = Factura C)
+   * @param {number} voucherNumber - Voucher number
+   * @returns {Promise<AuthorizedVoucher|null>} The authorized voucher, or null if AFIP has none
+   */
+  async queryInvoice(pointOfSale, voucherType, voucherNumber) {
+    await this.initialize();
+
+    try {
+      const resultGet = await this.afipService.queryVoucher(pointOfSale, voucherType, voucherNumber);
+
+      if (!resultGet) {
+        logger.info('Voucher not found in AFIP', {
+          pointOfSale,
+          voucherType,
+          voucherNumber,
+          event: 'afip_voucher_not_found'
+        });
+        return null;
+      }
+
+      return AuthorizedVoucher.fromAFIPResponse(resultGet);
     } catch (error) {
       logger.error('AFIP gateway error querying invoice', {
-        cae: caeValue,
+        pointOfSale,
+        voucherType,
+        voucherNumber,
         error: error.message,
         event: 'afip_gateway_query_error'
       });
@@ -128,6 +181,129 @@ class AfipGatewayAdapter extends IAfipGateway {
     }
   }
 
+  /**
+   * Request (or fetch the already granted) CAEA for a fortnight
+   * @param {number} period - Period as YYYYMM
+   * @param {number} fortnight - 1 or 2
+   * @returns {Promise<Caea>} The fortnight's CAEA
+   */
+  async requestCaea(period, fortnight) {
+    await this.initialize();
+
+    try {
+      const resultGet = await this.afipService.requestCaea(period, fortnight);
+      return Caea.fromAFIPResponse(resultGet);
+    } catch (error) {
+      logger.error('AFIP gateway error requesting CAEA', {
+        period,
+        fortnight,
+        error: error.message,
+        event: 'afip_gateway_caea_request_error'
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Report vouchers issued under a CAEA (FECAEARegInformativo)
+   * @param {string} caeaCode - CAEA the vouchers were issued under
+   * @param {number} pointOfSale - CAEA point of sale
+   * @param {Array<{invoice: Invoice, voucherNumber: number}>} entries - Vouchers to report
+   * @returns {Promise<Array<{success: boolean, voucherNumber: number, error?: string}>>} One result per entry
+   */
+  async reportCaeaInvoices(caeaCode, pointOfSale, entries) {
+    await this.initialize();
+
+    try {
+      return await this.afipService.reportCaeaVouchers(caeaCode, pointOfSale, entries);
+    } catch (error) {
+      logger.error('AFIP gateway error reporting CAEA vouchers', {
+        caea: caeaCode,
+        pointOfSale,
+        count: entries.length,
+        error: error.message,
+        event: 'afip_gateway_caea_report_error'
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the WSFE parameter tables from AFIP (FEParamGet*)
+   * @returns {Promise<ParameterCatalog>} Freshly fetched catalog
+   */
+  async fetchParameterCatalog() {
+    await this.initialize();
+
+    try {
+      const raw = await this.afipService.getParameterCatalog();
+      return ParameterCatalog.fromAFIPResponse(raw);
+    } catch (error) {
+      logger.error('AFIP gateway error fetching parameter catalog', {
+        error: error.message,
+        event: 'afip_gateway_params_error'
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get AFIP's official exchange rate for a currency (FEParamGetCotizacion)
+   * @param {string} currency - ISO currency code (e.g. 'USD')
+   * @param {string} date - Date of the rate (YYYY-MM-DD)
+   * @returns {Promise<number>} Pesos per unit of the currency
+   */
+  async getExchangeRate(currency, date) {
+    await this.initialize();
+
+    try {
+      const rate = await this.afipService.getExchangeRate(CURRENCY_CODE[currency] || currency, date);
+
+      logger.debug('Retrieved AFIP exchange rate', {
+        currency,
+        date,
+        rate,
+        event: 'afip_exchange_rate_retrieved'
+      });
+
+      return rate;
+    } catch (error) {
+      logger.error('AFIP gateway error getting exchange rate', {
+        currency,
+        date,
+        error: error.message,
+        event: 'afip_gateway_exchange_rate_error'
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a taxpayer in the AFIP padrón
+   * @param {string} cuit - CUIT to look up
+   * @returns {Promise<Taxpayer|null>} Taxpayer, or null if the padrón does not know the CUIT
+   */
+  async lookupTaxpayer(cuit) {
+    await this.initialize();
+
+    try {
+      const persona = await this.afipService.getTaxpayer(cuit);
+      return persona && persona.datosGenerales ? Taxpayer.fromPadronResponse(persona) : null;
+    } catch (error) {
+      logger.error('AFIP gateway error looking up taxpayer', {
+        cuit,
+        error: error.message,
+        event: 'afip_gateway_taxpayer_lookup_error'
+      });
+
+      throw error;
+    }
+  }
+
   /**
    * Get last authorized invoice number
    * @param {number} pointOfSale - Point of sale number
@@ -222,6 +398,119 @@ class AfipGatewayAdapter extends IAfipGateway {
     }
   }
 
+  /**
+   * Run a submission holding the lease of the invoice's sequence, numbered
+   * after the last voucher AFIP authorized; without an allocator AfipService
+   * numbers it
+   * @param {Invoice} invoice - Invoice whose point of sale and voucher type are the sequence
+   * @param {number|null} voucherNumber - Number to use instead of the next one
+   * @param {Function} submit - Async function given the voucher number
+   * @returns {Promise<*>} What `submit` resolved to
+   * @private
+   */
+  _allocate(invoice, voucherNumber, submit) {
+    if (!this.voucherAllocator) {
+      return submit(voucherNumber);
+    }
+
+    const { PtoVta, CbteTipo } = invoice.toAfipFormat();
+    return this.voucherAllocator.allocate({
+      pointOfSale: PtoVta,
+      voucherType: CbteTipo,
+      voucherNumber,
+      lastNumber: () => this.afipService.getLastVoucherNumber(PtoVta, CbteTipo)
+    }, submit);
+  }
+
+  /**
+   * Check invoices against the WSFE parameter catalog
+   *
+   * The catalog is loaded once per adapter. If it cannot be loaded the
+   * invoices go to AFIP unchecked: a missing catalog must not stop invoicing.
+   *
+   * @param {Array<Invoice>} invoices - Invoices to check
+   * @returns {Promise<Array<string[]|null>>} Catalog errors per invoice, null when it passes
+   * @private
+   */
+  async _checkAgainstCatalog(invoices) {
+    if (this._parameterCatalog === undefined) {
+      this._parameterCatalog = null;
+      if (this.catalogProvider) {
+        try {
+          this._parameterCatalog = await this.catalogProvider();
+        } catch (error) {
+          logger.warn('WSFE parameter catalog unavailable, invoices not checked against it', {
+            error: error.message,
+            event: 'afip_gateway_params_unavailable'
+          });
+        }
+      }
+    }
+
+    const catalog = this._parameterCatalog;
+    return invoices.map(invoice => {
+      if (!catalog) return null;
+      const result = InvoiceValidator.validateAgainstCatalog(invoice.toAfipFormat(), catalog);
+      return result.valid ? null : result.errors;
+    });
+  }
+
+  /**
+   * InvoiceResult for an invoice the catalog rules out
+   * @param {string[]} errors - Catalog errors
+   * @param {Invoice} invoice - Invoice that was not submitted
+   * @returns {InvoiceResult}
+   * @private
+   */
+  _catalogFailure(errors, invoice) {
+    logger.warn('Invoice does not match the WSFE parameter catalog, not submitted', {
+      orderNumber: invoice.orderNumber.value,
+      errors,
+      event: 'afip_gateway_params_mismatch'
+    });
+
+    return InvoiceResult.failure(
+      `Invoice does not match the AFIP parameter catalog: ${errors.join('; ')}`,
+      {
+        errorCode: 'AFIP_PARAM_INVALID',
+        invoice: invoice.toJSON()
+      }
+    );
+  }
+
+  /**
+   * Convert an AfipService result to a domain InvoiceResult
+   * @param {Object} result - AfipService invoice creation result
+   * @param {Invoice} invoice - Invoice that was submitted
+   * @returns {InvoiceResult}
+   * @private
+   */
+  _toInvoiceResult(result, invoice) {
+    if (result.success) {
+      // Convert AFIP date format (YYYYMMDD) to ISO string
+      const caeExpiration = this._convertAfipDate(result.caeExpiration);
+
+      return InvoiceResult.success({
+        cae: result.cae,
+        caeExpiration: caeExpiration,
+        voucherNumber: result.voucherNumber,
+        invoiceDate: invoice.invoiceDate, // Use invoice date from original invoice
+        observations: [],
+        metadata: {
+          rawResponse: result.result
+        }
+      });
+    }
+
+    return InvoiceResult.failure(
+      result.error,
+      {
+        errorCode: result.errorCode,
+        rawResponse: result.invoice
+      }
+    );
+  }
+
   /**
    * Convert AFIP date format (YYYYMMDD) to ISO string (YYYY-MM-DD)
    * @param {string} afipDate - Date in YYYYMMDD format
@@ -0,0 +1,192 @@
+/**
+ * VoucherAllocator
+ *
+ * Serializes voucher numbering across runs. The GitHub Actions run and the
+ * dashboard's process-month can both be submitting to AFIP at once; each
+ * would read the same last number and ask for the same next one. Before
+ * numbering a voucher the gateways take the lease of its sequence (point of
+ * sale and voucher type), read the last number from AFIP, submit, record
+ * the last authorized number and give the lease back.
+ *
+ * If AFIP cannot say what the last number is, nothing is submitted: the
+ * error propagates and the orders stay for the next run. The lease is
+ * renewed right before submitting, and every third of its length while AFIP
+ * answers, so a slow WSFE call does not let another run take the number; a
+ * lease lost before submitting stops the submission. A run that dies
+ * holding a lease blocks the sequence until the lease expires.
+ * Part of Infrastructure Layer
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const VoucherSequence = require('../../domain/entities/VoucherSequence');
+const { InfrastructureError } = require('../../shared/errors');
+const logger = require('../../utils/logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @typedef {Object} VoucherAllocation
+ * @property {number} pointOfSale - Point of sale
+ * @property {number} voucherType - AFIP voucher type
+ * @property {Function} lastNumber - Async function returning the last number AFIP authorized;
+ *   must throw rather than guess when AFIP cannot be reached
+ * @property {number} [voucherNumber] - Number to submit with instead of the next one
+ */
+
+class VoucherAllocator {
+  /**
+   * @param {IVoucherSequenceRepository} sequenceRepository - Sequences and their leases
+   * @param {Object} [options]
+   * @param {number} [options.leaseSeconds=120] - How long a lease lasts; a crashed run's lease
+   *   lapses after it
+   * @param {number} [options.waitSeconds] - How long to wait for a lease another run holds
+   *   (defaults to leaseSeconds)
+   * @param {number} [options.retryMs=2000] - Delay between attempts to take a held lease
+   * @param {string} [options.owner] - Identifies this process in the lease (host, pid and a
+   *   random suffix by default)
+   */
+  constructor(sequenceRepository, options = {}) {
+    this.sequenceRepository = sequenceRepository;
+    this.leaseSeconds = options.leaseSeconds || 120;
+    this.waitSeconds = options.waitSeconds !== undefined ? options.waitSeconds : this.leaseSeconds;
+    this.retryMs = options.retryMs || 2000;
+    this.owner = options.owner || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this._allocations = 0;
+  }
+
+  /**
+   * Run `submit` holding the lease of a sequence
+   * @param {VoucherAllocation} allocation - Sequence to number in
+   * @param {Function} submit - Async function given the number to use; resolves to an
+   *   InvoiceResult or an array of them
+   * @returns {Promise<*>} What `submit` resolved to
+   * @throws {InfrastructureError} If another run still holds the lease after waitSeconds
+   */
+  async allocate(allocation, submit) {
+    const { pointOfSale, voucherType, lastNumber, voucherNumber } = allocation;
+    // One lease per call: two requests of the same process must not share one
+    const owner = `${this.owner}:${++this._allocations}`;
+    const lease = { sequence: await this._acquire(pointOfSale, voucherType, owner), renewal: null };
+    let recorded = lease.sequence.lastNumber;
+    let keepAlive = null;
+
+    try {
+      const next = voucherNumber || (await lastNumber()) + 1;
+      recorded = Math.max(recorded, next - 1);
+
+      // Asking AFIP may have used up most of the lease: submit with a whole one
+      await this._renew(lease);
+      keepAlive = setInterval(() => {
+        lease.renewal = lease.renewal || this._renew(lease)
+          .catch(error => logger.error('Could not renew voucher sequence lease', {
+            sequence: lease.sequence.key,
+            error: error.message,
+            event: 'voucher_lease_renew_failed'
+          }))
+          .finally(() => { lease.renewal = null; });
+      }, this.leaseSeconds * 1000 / 3);
+      keepAlive.unref();
+
+      const results = await submit(next);
+      const authorized = [].concat(results)
+        .filter(result => result && result.isSuccessful())
+        .map(result => Number(result.voucherNumber) || 0);
+      recorded = Math.max(recorded, ...authorized);
+
+      return results;
+    } finally {
+      clearInterval(keepAlive);
+      await lease.renewal;
+      await this._release(lease.sequence, recorded);
+    }
+  }
+
+  /**
+   * Extend the lease by leaseSeconds from now
+   * @private
+   * @param {{sequence: VoucherSequence}} lease - Lease held, updated with the renewed sequence
+   * @throws {InfrastructureError} If it lapsed and another run took it
+   */
+  async _renew(lease) {
+    const expiresAt = new Date(Date.now() + this.leaseSeconds * 1000).toISOString();
+    const renewed = await this.sequenceRepository.renewLease(lease.sequence, expiresAt);
+    if (!renewed) {
+      throw new InfrastructureError(
+        `Voucher sequence ${lease.sequence.key} lease lapsed and another run took it`,
+        {
+          code: 'VOUCHER_LEASE_LOST',
+          pointOfSale: lease.sequence.pointOfSale,
+          voucherType: lease.sequence.voucherType,
+          leaseOwner: lease.sequence.leaseOwner
+        }
+      );
+    }
+    lease.sequence = renewed;
+  }
+
+  /**
+   * Take the lease, waiting for another run to give it back or let it lapse
+   * @private
+   * @returns {Promise<VoucherSequence>} The sequence, leased by `owner`
+   * @throws {InfrastructureError} If it is still held after waitSeconds
+   */
+  async _acquire(pointOfSale, voucherType, owner) {
+    const deadline = Date.now() + this.waitSeconds * 1000;
+    let waiting = false;
+
+    for (;;) {
+      const expiresAt = new Date(Date.now() + this.leaseSeconds * 1000).toISOString();
+      const sequence = await this.sequenceRepository.acquireLease(pointOfSale, voucherType, owner, expiresAt);
+      if (sequence.isLeasedBy(owner)) {
+        return sequence;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new InfrastructureError(
+          `Voucher sequence ${VoucherSequence.keyFor(pointOfSale, voucherType)} is held by ` +
+          `${sequence.leaseOwner} until ${sequence.leaseExpiresAt}`,
+          {
+            code: 'VOUCHER_SEQUENCE_LOCKED',
+            pointOfSale,
+            voucherType,
+            leaseOwner: sequence.leaseOwner,
+            leaseExpiresAt: sequence.leaseExpiresAt
+          }
+        );
+      }
+
+      if (!waiting) {
+        waiting = true;
+        logger.info('Voucher sequence held by another run — waiting', {
+          sequence: sequence.key,
+          leaseOwner: sequence.leaseOwner,
+          leaseExpiresAt: sequence.leaseExpiresAt,
+          event: 'voucher_lease_wait'
+        });
+      }
+      await sleep(Math.min(this.retryMs, remaining));
+    }
+  }
+
+  /**
+   * Give the lease back. A failure here is logged, not thrown: the vouchers
+   * are already authorized and the lease lapses on its own
+   * @private
+   */
+  async _release(sequence, lastNumber) {
+    try {
+      await this.sequenceRepository.releaseLease(sequence, lastNumber);
+    } catch (error) {
+      logger.error('Could not release voucher sequence lease', {
+        sequence: sequence.key,
+        lastNumber,
+        error: error.message,
+        event: 'voucher_lease_release_failed'
+      });
+    }
+  }
+}
+
+module.exports = VoucherAllocator;
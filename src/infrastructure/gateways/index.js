@@ -5,9 +5,13 @@
  */
 
 const AfipGatewayAdapter = require('./AfipGatewayAdapter');
+const AfipExportGatewayAdapter = require('./AfipExportGatewayAdapter');
 const BinanceGatewayAdapter = require('./BinanceGatewayAdapter');
+const VoucherAllocator = require('./VoucherAllocator');
 
 module.exports = {
   AfipGatewayAdapter,
-  BinanceGatewayAdapter
+  AfipExportGatewayAdapter,
+  BinanceGatewayAdapter,
+  VoucherAllocator
 };
@@ -4,10 +4,12 @@
  * Export all infrastructure implementations (Adapters)
  * - Repository implementations
  * - Gateway implementations
+ * - Renderer implementations
  */
 
 const repositories = require('./repositories');
 const gateways = require('./gateways');
+const renderers = require('./renderers');
 
 module.exports = {
   // Repositories
@@ -16,5 +18,8 @@ module.exports = {
 
   // Gateways
   AfipGatewayAdapter: gateways.AfipGatewayAdapter,
-  BinanceGatewayAdapter: gateways.BinanceGatewayAdapter
+  BinanceGatewayAdapter: gateways.BinanceGatewayAdapter,
+
+  // Renderers
+  PdfInvoiceRenderer: renderers.PdfInvoiceRenderer
 };
@@ -0,0 +1,229 @@
+/**
+ * PdfInvoiceRenderer
+ *
+ * Adapter implementing IInvoiceRenderer interface with pdfkit.
+ * Lays out a single-page A4 invoice in the usual AFIP shape: issuer block,
+ * voucher letter and code, receiver, line item, total, and the CAE with the
+ * RG 4892 QR code in the footer.
+ * Part of Infrastructure Layer
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const IInvoiceRenderer = require('../../application/interfaces/IInvoiceRenderer');
+const { AFIP_DOC_TYPE } = require('../../shared/constants');
+
+/**
+ * Document type captions as printed on AFIP vouchers
+ */
+const DOC_TYPE_LABEL = {
+  [AFIP_DOC_TYPE.CUIT]: 'CUIT',
+  [AFIP_DOC_TYPE.CUIL]: 'CUIL',
+  [AFIP_DOC_TYPE.CDI]: 'CDI',
+  [AFIP_DOC_TYPE.LE]: 'LE',
+  [AFIP_DOC_TYPE.LC]: 'LC',
+  [AFIP_DOC_TYPE.DNI]: 'DNI',
+  [AFIP_DOC_TYPE.PASSPORT]: 'Pasaporte',
+  [AFIP_DOC_TYPE.FOREIGN_DOC]: 'Doc. extranjero'
+};
+
+const PAGE_MARGIN = 40;
+const QR_SIZE = 110;
+
+class PdfInvoiceRenderer extends IInvoiceRenderer {
+  /**
+   * Render an invoice as a PDF
+   * @param {InvoiceDocument} document - Invoice data to print
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async render(document) {
+    const qrImage = await QRCode.toBuffer(document.qrUrl, {
+      type: 'png',
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: QR_SIZE * 2
+    });
+
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${document.title} ${document.letter} ${this._voucherId(document)}`,
+        Author: document.issuer.name
+      }
+    });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+    });
+
+    this._drawHeader(pdf, document);
+    this._drawReceiver(pdf, document);
+    this._drawItems(pdf, document);
+    this._drawFooter(pdf, document, qrImage);
+
+    pdf.end();
+    return done;
+  }
+
+  /**
+   * Issuer block, voucher letter box and voucher identification
+   * @private
+   */
+  _drawHeader(pdf, document) {
+    const width = pdf.page.width - PAGE_MARGIN * 2;
+    const middle = PAGE_MARGIN + width / 2;
+    const top = PAGE_MARGIN;
+    const height = 130;
+
+    pdf.rect(PAGE_MARGIN, top, width, height).stroke();
+    pdf.moveTo(middle, top + 50).lineTo(middle, top + height).stroke();
+
+    // Letter box
+    pdf.rect(middle - 25, top, 50, 50).stroke();
+    pdf.font('Helvetica-Bold').fontSize(28).text(document.letter, middle - 25, top + 8, { width: 50, align: 'center' });
+    pdf.font('Helvetica').fontSize(7)
+      .text(`COD. ${String(document.voucherType).padStart(3, '0')}`, middle - 25, top + 40, { width: 50, align: 'center' });
+
+    // Issuer
+    const left = PAGE_MARGIN + 10;
+    const columnWidth = width / 2 - 40;
+    pdf.font('Helvetica-Bold').fontSize(14).text(document.issuer.name, left, top + 15, { width: columnWidth });
+    pdf.font('Helvetica').fontSize(9).moveDown(0.5);
+    if (document.issuer.address) {
+      pdf.text(`Domicilio comercial: ${document.issuer.address}`, { width: columnWidth });
+    }
+    if (document.issuer.taxCondition) {
+      pdf.text(`Condición frente al IVA: ${document.issuer.taxCondition}`, { width: columnWidth });
+    }
+
+    // Voucher identification
+    const right = middle + 35;
+    const rightWidth = width / 2 - 45;
+    pdf.font('Helvetica-Bold').fontSize(16).text(document.title, right, top + 15, { width: rightWidth });
+    pdf.font('Helvetica').fontSize(9).moveDown(0.3);
+    pdf.text(`Punto de Venta: ${String(document.pointOfSale).padStart(5, '0')}    Comp. Nro: ${String(document.voucherNumber).padStart(8, '0')}`, { width: rightWidth });
+    pdf.text(`Fecha de Emisión: ${this._formatDate(document.date)}`, { width: rightWidth });
+    pdf.text(`CUIT: ${document.issuer.cuit}`, { width: rightWidth });
+    if (document.issuer.activityStart) {
+      pdf.text(`Inicio de Actividades: ${this._formatDate(document.issuer.activityStart)}`, { width: rightWidth });
+    }
+  }
+
+  /**
+   * Receiver and service period
+   * @private
+   */
+  _drawReceiver(pdf, document) {
+    const width = pdf.page.width - PAGE_MARGIN * 2;
+    const top = PAGE_MARGIN + 140;
+
+    pdf.rect(PAGE_MARGIN, top, width, 50).stroke();
+    pdf.font('Helvetica').fontSize(9);
+
+    const { docType, docNumber } = document.receiver;
+    const label = DOC_TYPE_LABEL[docType];
+    const receiver = label && Number(docNumber) > 0
+      ? `${label}: ${docNumber}`
+      : 'Consumidor Final';
+
+    pdf.text(`Receptor: ${receiver}`, PAGE_MARGIN + 10, top + 10, { width: width - 20 });
+    if (document.servicePeriod) {
+      const [from, to] = document.servicePeriod.split(' – ');
+      pdf.text(`Período facturado desde: ${this._formatDate(from)}  hasta: ${this._formatDate(to)}`, { width: width - 20 });
+    }
+  }
+
+  /**
+   * Line item and total (with the net and IVA lines on A/B vouchers)
+   * @private
+   */
+  _drawItems(pdf, document) {
+    const width = pdf.page.width - PAGE_MARGIN * 2;
+    const top = PAGE_MARGIN + 200;
+    const amountWidth = 120;
+    const amount = this._formatAmount(document.net || document.total);
+
+    pdf.rect(PAGE_MARGIN, top, width, 18).fillAndStroke('#dddddd', '#000000');
+    pdf.fillColor('#000000').font('Helvetica-Bold').fontSize(9);
+    pdf.text('Descripción', PAGE_MARGIN + 10, top + 5);
+    pdf.text('Subtotal', PAGE_MARGIN + width - amountWidth - 10, top + 5, { width: amountWidth, align: 'right' });
+
+    pdf.font('Helvetica').fontSize(9);
+    pdf.text(document.description, PAGE_MARGIN + 10, top + 26, { width: width - amountWidth - 30 });
+    pdf.text(amount, PAGE_MARGIN + width - amountWidth - 10, top + 26, { width: amountWidth, align: 'right' });
+
+    let totalTop = top + 70;
+    pdf.moveTo(PAGE_MARGIN, totalTop).lineTo(PAGE_MARGIN + width, totalTop).stroke();
+
+    if (document.vat) {
+      pdf.font('Helvetica').fontSize(9);
+      pdf.text('Importe Neto Gravado:', PAGE_MARGIN + width - amountWidth - 130, totalTop + 10, { width: 120, align: 'right' });
+      pdf.text(amount, PAGE_MARGIN + width - amountWidth - 10, totalTop + 10, { width: amountWidth, align: 'right' });
+      pdf.text('IVA:', PAGE_MARGIN + width - amountWidth - 130, totalTop + 24, { width: 120, align: 'right' });
+      pdf.text(this._formatAmount(document.vat), PAGE_MARGIN + width - amountWidth - 10, totalTop + 24, { width: amountWidth, align: 'right' });
+      totalTop += 30;
+    }
+
+    pdf.font('Helvetica-Bold').fontSize(11);
+    pdf.text('Importe Total:', PAGE_MARGIN + width - amountWidth - 130, totalTop + 10, { width: 120, align: 'right' });
+    pdf.text(this._formatAmount(document.total), PAGE_MARGIN + width - amountWidth - 10, totalTop + 10, { width: amountWidth, align: 'right' });
+  }
+
+  /**
+   * QR code and authorization
+   * @private
+   */
+  _drawFooter(pdf, document, qrImage) {
+    const width = pdf.page.width - PAGE_MARGIN * 2;
+    const top = pdf.page.height - PAGE_MARGIN - QR_SIZE;
+    const codeLabel = document.authorizationType === 'CAEA' ? 'CAEA' : 'CAE';
+
+    pdf.image(qrImage, PAGE_MARGIN, top, { width: QR_SIZE, height: QR_SIZE });
+
+    const textLeft = PAGE_MARGIN + QR_SIZE + 20;
+    pdf.font('Helvetica-Bold').fontSize(10).text('Comprobante Autorizado', textLeft, top + 20);
+    pdf.font('Helvetica').fontSize(9).moveDown(0.5);
+    pdf.text(`${codeLabel} N°: ${document.cae}`, { width: width - QR_SIZE - 20 });
+    if (document.caeExpiration) {
+      pdf.text(`Fecha de Vto. de ${codeLabel}: ${this._formatDate(document.caeExpiration)}`, { width: width - QR_SIZE - 20 });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} DD/MM/YYYY
+   */
+  _formatDate(date) {
+    if (!date) return '';
+    const [year, month, day] = date.split('-');
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * @private
+   * @param {Money} money - Amount to print
+   * @returns {string} e.g. "$ 12.345,67"
+   */
+  _formatAmount(money) {
+    const formatted = money.amount.toLocaleString('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+    return money.currency === 'ARS' ? `$ ${formatted}` : `${money.currency} ${formatted}`;
+  }
+
+  /**
+   * @private
+   * @returns {string} e.g. "00003-00000021"
+   */
+  _voucherId(document) {
+    return `${String(document.pointOfSale).padStart(5, '0')}-${String(document.voucherNumber).padStart(8, '0')}`;
+  }
+}
+
+module.exports = PdfInvoiceRenderer;
@@ -0,0 +1,11 @@
+/**
+ * Infrastructure Renderers
+ *
+ * Export all renderer implementations
+ */
+
+const PdfInvoiceRenderer = require('./PdfInvoiceRenderer');
+
+module.exports = {
+  PdfInvoiceRenderer
+};
@@ -0,0 +1,115 @@
+/**
+ * AzureCaeaRepository
+ *
+ * Azure Table Storage implementation of ICaeaRepository interface
+ * Part of Infrastructure Layer
+ */
+
+const ICaeaRepository = require('../../application/interfaces/ICaeaRepository');
+const Caea = require('../../domain/entities/Caea');
+const Database = require('../../database/AzureTableDatabase');
+const logger = require('../../utils/logger');
+
+class AzureCaeaRepository extends ICaeaRepository {
+  constructor(database = null) {
+    super();
+    this.db = database || new Database();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database connection
+   */
+  async initialize() {
+    if (!this.initialized) {
+      await this.db.initialize();
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Save (or replace) the CAEA of a fortnight
+   * @param {Caea} caea - CAEA to save
+   * @returns {Promise<Caea>} Saved CAEA
+   */
+  async save(caea) {
+    await this.initialize();
+
+    try {
+      await this.db.saveCaea(caea.toJSON());
+      logger.info('CAEA saved', {
+        period: caea.period,
+        fortnight: caea.fortnight,
+        event: 'caea_saved'
+      });
+      return caea;
+    } catch (error) {
+      logger.error('Failed to save CAEA', {
+        period: caea.period,
+        fortnight: caea.fortnight,
+        error: error.message,
+        event: 'caea_save_failed'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the CAEA of a fortnight
+   * @param {number} period - Period as YYYYMM
+   * @param {number} fortnight - 1 or 2
+   * @returns {Promise<Caea|null>} Found CAEA or null
+   */
+  async findByPeriod(period, fortnight) {
+    await this.initialize();
+
+    const row = await this.db.getCaea(period, fortnight);
+    return row ? this._fromDatabase(row) : null;
+  }
+
+  /**
+   * Find the CAEA valid on a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Caea|null>} Found CAEA or null
+   */
+  async findCovering(date) {
+    const { period, fortnight } = Caea.periodFor(date);
+    const caea = await this.findByPeriod(period, fortnight);
+    return caea && caea.covers(date) ? caea : null;
+  }
+
+  /**
+   * Convert database row to Caea entity
+   * @private
+   */
+  _fromDatabase(row) {
+    return new Caea({
+      code: row.code,
+      period: row.period,
+      fortnight: row.fortnight,
+      validFrom: row.valid_from,
+      validTo: row.valid_to,
+      reportDeadline: row.report_deadline,
+      grantedAt: row.granted_at
+    });
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.initialized) {
+      await this.db.close();
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * Cleanup resources (alias for close)
+   */
+  async cleanup() {
+    return this.close();
+  }
+}
+
+module.exports = AzureCaeaRepository;
@@ -0,0 +1,101 @@
+/**
+ * AzureCounterpartyRepository
+ *
+ * Azure Table Storage implementation of ICounterpartyRepository interface
+ * Part of Infrastructure Layer
+ */
+
+const ICounterpartyRepository = require('../../application/interfaces/ICounterpartyRepository');
+const Counterparty = require('../../domain/entities/Counterparty');
+const Database = require('../../database/AzureTableDatabase');
+const logger = require('../../utils/logger');
+
+class AzureCounterpartyRepository extends ICounterpartyRepository {
+  constructor(database = null) {
+    super();
+    this.db = database || new Database();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database connection
+   */
+  async initialize() {
+    if (!this.initialized) {
+      await this.db.initialize();
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Save (or replace) a counterparty
+   * @param {Counterparty} counterparty - Counterparty to save
+   * @returns {Promise<Counterparty>} Saved counterparty
+   */
+  async save(counterparty) {
+    await this.initialize();
+
+    try {
+      await this.db.saveCounterparty(counterparty.toJSON());
+      logger.info('Counterparty registered', {
+        nickname: counterparty.nickname,
+        docType: counterparty.docType,
+        event: 'counterparty_saved'
+      });
+      return counterparty;
+    } catch (error) {
+      logger.error('Failed to save counterparty', {
+        nickname: counterparty.nickname,
+        error: error.message,
+        event: 'counterparty_save_failed'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a registered buyer by Binance nickname
+   * @param {string} nickname - Binance buyer nickname
+   * @returns {Promise<Counterparty|null>} Found counterparty or null
+   */
+  async findByNickname(nickname) {
+    await this.initialize();
+
+    const row = await this.db.getCounterparty(nickname);
+    return row ? this._fromDatabase(row) : null;
+  }
+
+  /**
+   * Convert database row to Counterparty entity
+   * @private
+   */
+  _fromDatabase(row) {
+    return new Counterparty({
+      nickname: row.nickname,
+      docType: row.doc_type,
+      docNumber: row.doc_number,
+      name: row.name,
+      vatCondition: row.vat_condition,
+      registeredAt: row.registered_at
+    });
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.initialized) {
+      await this.db.close();
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * Cleanup resources (alias for close)
+   */
+  async cleanup() {
+    return this.close();
+  }
+}
+
+module.exports = AzureCounterpartyRepository;
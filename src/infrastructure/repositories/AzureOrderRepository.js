@@ -82,6 +82,52 @@ class AzureOrderRepository extends IOrderRepository {
     }
   }
 
+  /**
+   * Find the order whose invoice was authorized with a given CAE
+   * @param {CAE|string} cae - CAE of the order's invoice
+   * @returns {Promise<Order|null>} Found order or null
+   */
+  async findByCae(cae) {
+    await this.initialize();
+
+    const caeStr = cae instanceof CAE ? cae.value : String(cae);
+
+    try {
+      const row = await this.db.getOrderByCae(caeStr);
+      return row ? this._fromDatabase(row) : null;
+    } catch (error) {
+      logger.error('Failed to find order by CAE', {
+        cae: caeStr,
+        error: error.message,
+        event: 'order_find_by_cae_failed'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Find every order invoiced with a given CAE
+   * @param {CAE|string} cae - CAE of the invoice
+   * @returns {Promise<Order[]>} Orders on the invoice
+   */
+  async findAllByCae(cae) {
+    await this.initialize();
+
+    const caeStr = cae instanceof CAE ? cae.value : String(cae);
+
+    try {
+      const rows = await this.db.getOrdersByCae(caeStr);
+      return rows.map(row => this._fromDatabase(row));
+    } catch (error) {
+      logger.error('Failed to find orders by CAE', {
+        cae: caeStr,
+        error: error.message,
+        event: 'order_find_all_by_cae_failed'
+      });
+      return [];
+    }
+  }
+
   /**
    * Find all unprocessed orders
    * @returns {Promise<Order[]>} Unprocessed orders
@@ -153,6 +199,18 @@ class AzureOrderRepository extends IOrderRepository {
     return orders;
   }
 
+  /**
+   * Find orders whose CAEA voucher has not been reported to AFIP yet,
+   * lowest voucher number first
+   * @returns {Promise<Order[]>} Orders pending FECAEARegInformativo
+   */
+  async findPendingCaeaReport() {
+    await this.initialize();
+
+    const rows = await this.db.getPendingCaeaReportOrders();
+    return rows.map(row => this._fromDatabase(row));
+  }
+
   /**
    * Find the order date of the newest order in the whole table (any month).
    * Freshness signal for the local-only Binance fetch: a stale value means
@@ -330,6 +388,7 @@ class AzureOrderRepository extends IOrderRepository {
       asset: order.asset,
       fiat: order.fiat,
       orderDate: order.orderDate,
+      source: order.source,
       buyerNickname: order.buyerNickname,
       sellerNickname: order.sellerNickname,
       tradeType: order.tradeType,
@@ -339,8 +398,20 @@ class AzureOrderRepository extends IOrderRepository {
       success: order.success,
       cae: order.cae ? order.cae.value : null,
       voucherNumber: order.voucherNumber,
+      voucherType: order.voucherType,
+      pointOfSale: order.pointOfSale,
+      exchangeRate: order.exchangeRate,
+      receiverVatCondition: order.receiverVatCondition,
+      receiverDocType: order.receiverDocType,
+      receiverDocNumber: order.receiverDocNumber,
       invoiceDate: order.invoiceDate,
-      errorMessage: order.errorMessage
+      errorMessage: order.errorMessage,
+      notes: order.notes,
+      adjustments: order.adjustments,
+      foreignBuyer: order.foreignBuyer,
+      authorizationType: order.authorizationType === 'CAEA' ? 'CAEA' : null,
+      caeaReportedAt: order.caeaReportedAt,
+      consolidatedOrders: order.consolidatedOrders
     };
   }
 
@@ -357,6 +428,7 @@ class AzureOrderRepository extends IOrderRepository {
       asset: row.asset,
       fiat: row.fiat,
       orderDate: row.order_date,
+      source: row.source,
       buyerNickname: row.buyer_nickname,
       sellerNickname: row.seller_nickname,
       tradeType: row.trade_type,
@@ -366,8 +438,20 @@ class AzureOrderRepository extends IOrderRepository {
       success: row.success === null ? null : (row.success === 1 || row.success === true),
       cae: row.cae,
       voucherNumber: row.voucher_number,
+      voucherType: row.voucher_type,
+      pointOfSale: row.point_of_sale,
+      exchangeRate: row.exchange_rate,
+      receiverVatCondition: row.receiver_vat_condition,
+      receiverDocType: row.receiver_doc_type,
+      receiverDocNumber: row.receiver_doc_number,
       invoiceDate: row.invoice_date,
-      errorMessage: row.error_message
+      errorMessage: row.error_message,
+      notes: row.notes,
+      adjustments: row.adjustments,
+      foreignBuyer: row.foreign_buyer,
+      authorizationType: row.authorization_type,
+      caeaReportedAt: row.caea_reported_at,
+      consolidatedOrders: row.consolidated_orders
     });
   }
 
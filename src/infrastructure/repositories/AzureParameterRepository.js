@@ -0,0 +1,98 @@
+/**
+ * AzureParameterRepository
+ *
+ * Azure Table Storage implementation of IParameterRepository interface
+ * Part of Infrastructure Layer
+ */
+
+const IParameterRepository = require('../../application/interfaces/IParameterRepository');
+const ParameterCatalog = require('../../domain/entities/ParameterCatalog');
+const Database = require('../../database/AzureTableDatabase');
+const logger = require('../../utils/logger');
+
+class AzureParameterRepository extends IParameterRepository {
+  constructor(database = null) {
+    super();
+    this.db = database || new Database();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database connection
+   */
+  async initialize() {
+    if (!this.initialized) {
+      await this.db.initialize();
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Save (or replace) the cached catalog
+   * @param {ParameterCatalog} catalog - Catalog to save
+   * @returns {Promise<ParameterCatalog>} Saved catalog
+   */
+  async saveCatalog(catalog) {
+    await this.initialize();
+
+    try {
+      await this.db.saveParameterCatalog(catalog.toJSON());
+      logger.info('WSFE parameter catalog cached', {
+        fetchedAt: catalog.fetchedAt,
+        event: 'parameter_catalog_saved'
+      });
+      return catalog;
+    } catch (error) {
+      logger.error('Failed to save WSFE parameter catalog', {
+        error: error.message,
+        event: 'parameter_catalog_save_failed'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the cached catalog
+   * @returns {Promise<ParameterCatalog|null>} Cached catalog or null
+   */
+  async findCatalog() {
+    await this.initialize();
+
+    const row = await this.db.getParameterCatalog();
+    return row ? this._fromDatabase(row) : null;
+  }
+
+  /**
+   * Convert database row to ParameterCatalog entity
+   * @private
+   */
+  _fromDatabase(row) {
+    return new ParameterCatalog({
+      voucherTypes: row.voucher_types,
+      docTypes: row.doc_types,
+      currencies: row.currencies,
+      pointsOfSale: row.points_of_sale,
+      vatConditions: row.vat_conditions,
+      fetchedAt: row.fetched_at
+    });
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.initialized) {
+      await this.db.close();
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * Cleanup resources (alias for close)
+   */
+  async cleanup() {
+    return this.close();
+  }
+}
+
+module.exports = AzureParameterRepository;
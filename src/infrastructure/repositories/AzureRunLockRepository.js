@@ -0,0 +1,108 @@
+/**
+ * AzureRunLockRepository
+ *
+ * Azure Table Storage implementation of IRunLockRepository interface.
+ * Locks are taken and given back with ETag-conditional writes.
+ * Part of Infrastructure Layer
+ */
+
+const IRunLockRepository = require('../../application/interfaces/IRunLockRepository');
+const RunLock = require('../../domain/entities/RunLock');
+const Database = require('../../database/AzureTableDatabase');
+
+class AzureRunLockRepository extends IRunLockRepository {
+  constructor(database = null) {
+    super();
+    this.db = database || new Database();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database connection
+   */
+  async initialize() {
+    if (!this.initialized) {
+      await this.db.initialize();
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Take a lock if nobody holds it or its holder's lock has expired
+   * @param {RunLock} lock - Lock as the caller would hold it
+   * @returns {Promise<RunLock>} The lock, owned by the caller if taken
+   */
+  async acquire(lock) {
+    await this.initialize();
+
+    const row = await this.db.acquireRunLock(lock.toJSON());
+    return this._fromDatabase(row);
+  }
+
+  /**
+   * Give back a lock taken with acquire
+   * @param {RunLock} lock - Lock as returned by acquire
+   * @returns {Promise<boolean>} False if it was already gone or taken over
+   */
+  async release(lock) {
+    await this.initialize();
+    return this.db.releaseRunLock(lock.toJSON());
+  }
+
+  /**
+   * List every stored lock, held or stale
+   * @returns {Promise<RunLock[]>}
+   */
+  async findAll() {
+    await this.initialize();
+
+    const rows = await this.db.getRunLocks();
+    return rows.map(row => this._fromDatabase(row));
+  }
+
+  /**
+   * Delete a lock whoever holds it
+   * @param {string} name - Lock name
+   * @returns {Promise<boolean>} False if there was no such lock
+   */
+  async forceRelease(name) {
+    await this.initialize();
+
+    const deleted = await this.db.deleteRunLock(name);
+    return deleted > 0;
+  }
+
+  /**
+   * Convert database row to RunLock entity
+   * @private
+   */
+  _fromDatabase(row) {
+    return new RunLock({
+      name: row.name,
+      command: row.command,
+      owner: row.owner,
+      acquiredAt: row.acquired_at,
+      expiresAt: row.expires_at,
+      version: row.etag
+    });
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.initialized) {
+      await this.db.close();
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * Cleanup resources (alias for close)
+   */
+  async cleanup() {
+    return this.close();
+  }
+}
+
+module.exports = AzureRunLockRepository;
@@ -0,0 +1,102 @@
+/**
+ * AzureTaxpayerRepository
+ *
+ * Azure Table Storage implementation of ITaxpayerRepository interface
+ * Part of Infrastructure Layer
+ */
+
+const ITaxpayerRepository = require('../../application/interfaces/ITaxpayerRepository');
+const Taxpayer = require('../../domain/entities/Taxpayer');
+const Database = require('../../database/AzureTableDatabase');
+const logger = require('../../utils/logger');
+
+class AzureTaxpayerRepository extends ITaxpayerRepository {
+  constructor(database = null) {
+    super();
+    this.db = database || new Database();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database connection
+   */
+  async initialize() {
+    if (!this.initialized) {
+      await this.db.initialize();
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Save (or replace) a taxpayer
+   * @param {Taxpayer} taxpayer - Taxpayer to save
+   * @returns {Promise<Taxpayer>} Saved taxpayer
+   */
+  async save(taxpayer) {
+    await this.initialize();
+
+    try {
+      await this.db.saveTaxpayer(taxpayer.toJSON());
+      logger.info('Taxpayer cached', {
+        cuit: taxpayer.cuit.value,
+        taxCondition: taxpayer.taxCondition,
+        event: 'taxpayer_saved'
+      });
+      return taxpayer;
+    } catch (error) {
+      logger.error('Failed to save taxpayer', {
+        cuit: taxpayer.cuit.value,
+        error: error.message,
+        event: 'taxpayer_save_failed'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a cached taxpayer by CUIT
+   * @param {string} cuit - CUIT (11 digits)
+   * @returns {Promise<Taxpayer|null>} Found taxpayer or null
+   */
+  async findByCuit(cuit) {
+    await this.initialize();
+
+    const row = await this.db.getTaxpayer(String(cuit).replace(/-/g, ''));
+    return row ? this._fromDatabase(row) : null;
+  }
+
+  /**
+   * Convert database row to Taxpayer entity
+   * @private
+   */
+  _fromDatabase(row) {
+    return new Taxpayer({
+      cuit: row.cuit,
+      name: row.name,
+      taxCondition: row.tax_condition,
+      personType: row.person_type,
+      status: row.status,
+      address: row.address,
+      fetchedAt: row.fetched_at
+    });
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.initialized) {
+      await this.db.close();
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * Cleanup resources (alias for close)
+   */
+  async cleanup() {
+    return this.close();
+  }
+}
+
+module.exports = AzureTaxpayerRepository;
@@ -0,0 +1,113 @@
+/**
+ * AzureVoucherSequenceRepository
+ *
+ * Azure Table Storage implementation of IVoucherSequenceRepository interface.
+ * Leases are taken and given back with ETag-conditional writes.
+ * Part of Infrastructure Layer
+ */
+
+const IVoucherSequenceRepository = require('../../application/interfaces/IVoucherSequenceRepository');
+const VoucherSequence = require('../../domain/entities/VoucherSequence');
+const Database = require('../../database/AzureTableDatabase');
+const logger = require('../../utils/logger');
+
+class AzureVoucherSequenceRepository extends IVoucherSequenceRepository {
+  constructor(database = null) {
+    super();
+    this.db = database || new Database();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database connection
+   */
+  async initialize() {
+    if (!this.initialized) {
+      await this.db.initialize();
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Take the lease of a sequence if it is free or its lease has expired
+   * @param {number} pointOfSale - Point of sale
+   * @param {number} voucherType - AFIP voucher type
+   * @param {string} owner - Run taking the lease
+   * @param {string} expiresAt - When the lease lapses (ISO timestamp)
+   * @returns {Promise<VoucherSequence>} The sequence, leased by `owner` if taken
+   */
+  async acquireLease(pointOfSale, voucherType, owner, expiresAt) {
+    await this.initialize();
+
+    const row = await this.db.acquireVoucherLease(pointOfSale, voucherType, owner, expiresAt);
+    return this._fromDatabase(row);
+  }
+
+  /**
+   * Extend a lease still held
+   * @param {VoucherSequence} sequence - Sequence as returned by acquireLease or renewLease
+   * @param {string} expiresAt - New expiry (ISO timestamp)
+   * @returns {Promise<VoucherSequence|null>} Null if the lease had lapsed and another run took it
+   */
+  async renewLease(sequence, expiresAt) {
+    await this.initialize();
+
+    const row = await this.db.renewVoucherLease(sequence.toJSON(), expiresAt);
+    return row ? this._fromDatabase(row) : null;
+  }
+
+  /**
+   * Give back a lease, recording the last authorized number
+   * @param {VoucherSequence} sequence - Sequence as returned by acquireLease
+   * @param {number} lastNumber - Last voucher number now authorized
+   * @returns {Promise<boolean>} False if the lease had lapsed and another run took it
+   */
+  async releaseLease(sequence, lastNumber) {
+    await this.initialize();
+
+    const released = await this.db.releaseVoucherLease(sequence.toJSON(), lastNumber);
+    if (!released) {
+      logger.warn('Voucher sequence lease lapsed before it was released', {
+        sequence: sequence.key,
+        owner: sequence.leaseOwner,
+        lastNumber,
+        event: 'voucher_lease_lapsed'
+      });
+    }
+    return released;
+  }
+
+  /**
+   * Convert database row to VoucherSequence entity
+   * @private
+   */
+  _fromDatabase(row) {
+    return new VoucherSequence({
+      pointOfSale: row.point_of_sale,
+      voucherType: row.voucher_type,
+      lastNumber: row.last_number,
+      leaseOwner: row.lease_owner,
+      leaseExpiresAt: row.lease_expires_at,
+      version: row.etag
+    });
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.initialized) {
+      await this.db.close();
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * Cleanup resources (alias for close)
+   */
+  async cleanup() {
+    return this.close();
+  }
+}
+
+module.exports = AzureVoucherSequenceRepository;
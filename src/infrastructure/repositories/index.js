@@ -6,8 +6,20 @@
 
 const AzureOrderRepository = require('./AzureOrderRepository');
 const AzureInvoiceRepository = require('./AzureInvoiceRepository');
+const AzureCaeaRepository = require('./AzureCaeaRepository');
+const AzureTaxpayerRepository = require('./AzureTaxpayerRepository');
+const AzureCounterpartyRepository = require('./AzureCounterpartyRepository');
+const AzureParameterRepository = require('./AzureParameterRepository');
+const AzureVoucherSequenceRepository = require('./AzureVoucherSequenceRepository');
+const AzureRunLockRepository = require('./AzureRunLockRepository');
 
 module.exports = {
   AzureOrderRepository,
-  AzureInvoiceRepository
+  AzureInvoiceRepository,
+  AzureCaeaRepository,
+  AzureTaxpayerRepository,
+  AzureCounterpartyRepository,
+  AzureParameterRepository,
+  AzureVoucherSequenceRepository,
+  AzureRunLockRepository
 };
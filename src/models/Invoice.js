@@ -12,6 +12,7 @@ const { InvoiceValidator } = require('../utils/validators');
  * @property {number} netAmount - Net amount (before VAT)
  * @property {number} totalAmount - Total amount (including VAT)
  * @property {number} [vatAmount=0] - VAT amount
+ * @property {number} [receiverVatCondition=5] - Receiver VAT condition (5=Consumidor Final)
  * @property {string} [serviceFrom] - Service start date (required for concept 2 or 3)
  * @property {string} [serviceTo] - Service end date (required for concept 2 or 3)
  * @property {string} [dueDate] - Payment due date (required for concept 2 or 3)
@@ -98,6 +99,9 @@ class Invoice {
     /** @type {number} - VAT amount */
     this.vatAmount = parseFloat(data.vatAmount || 0);
 
+    /** @type {number} - Receiver VAT condition (CondicionIVAReceptorId, 5=Consumidor Final) */
+    this.receiverVatCondition = data.receiverVatCondition || 5;
+
     /** @type {string|undefined} - Service start date (required for concept 2 or 3) */
     this.serviceFrom = data.serviceFrom;
 
@@ -190,7 +194,7 @@ class Invoice {
       MonId: this.currency,
       MonCotiz: this.exchange,
       // Required for Resolution 5616 - VAT condition of receiver
-      CondicionIVAReceptorId: 5 // Consumidor Final (most common)
+      CondicionIVAReceptorId: this.receiverVatCondition
     };
 
     // Add service dates only for services (Concept 2 or 3)
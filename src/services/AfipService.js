@@ -1,4 +1,4 @@
-const { AfipServices } = require('facturajs');
+const { AfipServices, AfipSoap } = require('facturajs');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
@@ -12,7 +12,31 @@ const {
   ErrorHandler
 } = require('../utils/errors');
 const { CUITValidator } = require('../utils/validators');
-const { AFIP_VOUCHER_TYPE } = require('../shared/constants');
+const { AFIP_VOUCHER_TYPE, AFIP_EXPORT_VOUCHER_TYPE, AFIP_ERROR_CODE } = require('../shared/constants');
+
+/** AFIP padrón service used for taxpayer lookups (WSAA service name) */
+const PADRON_SERVICE = 'ws_sr_padron_a5';
+
+/**
+ * Padrón A5 WSDL per facturajs environment. It is not on the WSFE hosts
+ * facturajs builds service URLs for.
+ */
+const PADRON_WSDL = {
+  homo: 'https://awshomo.afip.gov.ar/sr-padron/webservices/personaServiceA5?WSDL',
+  prod: 'https://aws.afip.gov.ar/sr-padron/webservices/personaServiceA5?WSDL'
+};
+
+/** AFIP export invoicing service (Factura E) */
+const WSFEX_SERVICE = 'wsfexv1';
+
+/**
+ * WSAA service the WSFEX ticket is requested for. facturajs only maps
+ * wsfev1 to its ticket service (wsfe), so the export one is added on init.
+ */
+const WSFEX_TOKEN_SERVICE = 'wsfex';
+
+/** Fault text the padrón returns for an unknown CUIT */
+const PADRON_NOT_FOUND_PATTERN = /no existe persona/i;
 
 /**
  * @typedef {Object} AfipServiceConfig
@@ -20,6 +44,8 @@ const { AFIP_VOUCHER_TYPE } = require('../shared/constants');
  * @property {string} environment - Environment ('production' or 'testing')
  * @property {string} certPath - Path to AFIP certificate file
  * @property {string} keyPath - Path to AFIP private key file
+ * @property {string} [simulatorUrl] - Base URL of a local AfipSimulator to use instead of
+ *   AFIP (certificate and key are then not read)
  */
 
 /**
@@ -37,7 +63,7 @@ const { AFIP_VOUCHER_TYPE } = require('../shared/constants');
 /**
  * @typedef {Object} TaxpayerValidationResult
  * @property {boolean} valid - Whether taxpayer is valid
- * @property {Object} [data] - Taxpayer data from AFIP
+ * @property {Object} [data] - Raw personaReturn from the padrón
  * @property {string} [error] - Error message (if invalid)
  * @property {string} [errorCode] - Error code (if invalid)
  */
@@ -85,6 +111,12 @@ class AfipService {
     /** @type {Object|null} - AFIP SDK instance (facturajs) */
     this.afip = null;
 
+    /** @type {Object|null} - facturajs configuration the SDK was set up with (null for the simulator) */
+    this.afipConfig = null;
+
+    /** @type {AfipSoap|null} - SOAP client of the padrón A5, set up on first lookup */
+    this.padron = null;
+
     /** @type {boolean} - Whether service has been initialized */
     this.initialized = false;
 
@@ -112,6 +144,18 @@ class AfipService {
    */
   async initialize() {
     try {
+      if (this.config.simulatorUrl) {
+        const AfipSimulatorClient = require('../simulator/AfipSimulatorClient');
+        this.afip = new AfipSimulatorClient({ url: this.config.simulatorUrl });
+        this.initialized = true;
+
+        logger.warn('AFIP Service initialized against the local simulator', {
+          url: this.config.simulatorUrl,
+          event: 'afip_initialized_simulator'
+        });
+        return true;
+      }
+
       const afipConfig = {
         homo: this.config.environment !== 'production',
         cacheTokensPath: config.afip.cacheTokensPath,
@@ -145,6 +189,8 @@ class AfipService {
       }
 
       this.afip = new AfipServices(afipConfig);
+      this.afip.afipSoap.tokensAliasServices[WSFEX_SERVICE] = WSFEX_TOKEN_SERVICE;
+      this.afipConfig = afipConfig;
       this.initialized = true;
 
       logger.info('AFIP Service initialized', {
@@ -194,13 +240,14 @@ class AfipService {
       // Validate invoice data before sending to AFIP
       invoice.validateOrThrow();
 
+      const invoiceData = invoice.toAfipFormat();
+
+      // Each voucher type (invoice, credit note, debit note) has its own sequence
       if (!voucherNumber) {
-        const lastVoucher = await this.getLastVoucherNumber();
+        const lastVoucher = await this.getLastVoucherNumber(invoiceData.PtoVta, invoiceData.CbteTipo);
         voucherNumber = lastVoucher + 1;
       }
 
-      const invoiceData = invoice.toAfipFormat();
-
       logger.debug('Creating invoice in AFIP', {
         docNumber: invoice.docNumber,
         totalAmount: invoice.totalAmount,
@@ -287,9 +334,17 @@ class AfipService {
    */
   async createMultipleInvoices(invoices) {
     const results = [];
-    let currentVoucherNumber = await this.getLastVoucherNumber();
+    // Each point of sale/voucher type pair (A, B, C) is numbered on its own
+    const lastNumbers = new Map();
 
     for (const invoice of invoices) {
+      const { PtoVta, CbteTipo } = invoice.toAfipFormat();
+      const sequence = `${PtoVta}-${CbteTipo}`;
+      if (!lastNumbers.has(sequence)) {
+        lastNumbers.set(sequence, await this.getLastVoucherNumber(PtoVta, CbteTipo));
+      }
+      let currentVoucherNumber = lastNumbers.get(sequence);
+
       try {
         currentVoucherNumber++;
         const result = await this.createInvoice(invoice, currentVoucherNumber);
@@ -317,21 +372,177 @@ class AfipService {
         });
         currentVoucherNumber--; // Don't increment if failed
       }
+      lastNumbers.set(sequence, currentVoucherNumber);
+    }
+
+    return results;
+  }
+
+  /**
+   * Authorizes several invoices in multi-record FECAESolicitar requests
+   *
+   * All invoices must share point of sale and voucher type. They are sent in
+   * chunks of `config.afip.batchSize` records (CantReg), each chunk numbered
+   * consecutively after a single getLastVoucherNumber call. AFIP can approve
+   * some records and reject others (Resultado 'P'), so results are returned
+   * per invoice, in input order.
+   *
+   * @async
+   * @param {Array<Invoice>} invoices - Invoices to submit
+   * @param {number} [firstNumber=null] - Number of the first record (read from AFIP if null);
+   *   later chunks are always numbered after what AFIP last authorized
+   * @returns {Promise<Array<InvoiceCreationResult>>} One result per invoice
+   * @throws {AfipError} If the invoices mix point of sale/voucher type, or a request fails as a whole
+   *
+   * @example
+   * const results = await service.createInvoiceBatch([invoice1, invoice2]);
+   * results.forEach(r => console.log(r.success ? r.cae : r.error));
+   */
+  async createInvoiceBatch(invoices, firstNumber = null) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+    if (invoices.length === 0) {
+      return [];
+    }
+
+    const records = invoices.map(invoice => {
+      invoice.validateOrThrow();
+      return invoice.toAfipFormat();
+    });
+
+    const { PtoVta, CbteTipo } = records[0];
+    if (records.some(r => r.PtoVta !== PtoVta || r.CbteTipo !== CbteTipo)) {
+      throw new AfipError(
+        'Batch invoices must share point of sale and voucher type',
+        'AFIP_BATCH_MIXED',
+        { count: records.length }
+      );
     }
-    
+
+    const batchSize = config.afip.batchSize || 250;
+    const results = [];
+
+    for (let start = 0; start < records.length; start += batchSize) {
+      const chunk = records.slice(start, start + batchSize);
+      results.push(...await this._submitBatchChunk(chunk, PtoVta, CbteTipo, start === 0 ? firstNumber : null));
+    }
+
     return results;
   }
 
+  /**
+   * Sends one multi-record FECAESolicitar and maps each FECAEDetResponse back
+   * to its record by voucher number
+   * @private
+   * @param {Array<Object>} records - Records in AFIP format (same PtoVta/CbteTipo)
+   * @param {number} salePoint - Point of sale
+   * @param {number} voucherType - Voucher type
+   * @param {number|null} firstNumber - Number of the first record (read from AFIP if null)
+   * @returns {Promise<Array<InvoiceCreationResult>>}
+   */
+  async _submitBatchChunk(records, salePoint, voucherType, firstNumber) {
+    try {
+      if (!firstNumber) {
+        firstNumber = (await this.getLastVoucherNumber(salePoint, voucherType)) + 1;
+      }
+
+      logger.debug('Creating invoice batch in AFIP', {
+        count: records.length,
+        firstVoucherNumber: firstNumber,
+        event: 'invoice_batch_attempt'
+      });
+
+      const result = await this.afip.createBill({
+        Auth: { Cuit: this.cuit },
+        params: {
+          FeCAEReq: {
+            FeCabReq: {
+              CantReg: records.length,
+              PtoVta: salePoint,
+              CbteTipo: voucherType
+            },
+            FeDetReq: {
+              FECAEDetRequest: records.map((record, i) => ({
+                ...record,
+                CbteDesde: firstNumber + i,
+                CbteHasta: firstNumber + i
+              }))
+            }
+          }
+        }
+      });
+
+      const details = result.FeDetResp?.FECAEDetResponse || [];
+      const byNumber = new Map(
+        (Array.isArray(details) ? details : [details]).map(d => [parseInt(d.CbteDesde), d])
+      );
+      return records.map((record, i) => {
+        const voucherNumber = firstNumber + i;
+        const detail = byNumber.get(voucherNumber);
+
+        if (detail && detail.Resultado === 'A') {
+          return {
+            success: true,
+            cae: detail.CAE,
+            caeExpiration: detail.CAEFchVto,
+            voucherNumber,
+            result: detail
+          };
+        }
+
+        const obs = detail?.Observaciones?.Obs;
+        const reasons = obs ? (Array.isArray(obs) ? obs : [obs]) : [];
+        const obsText = reasons.length > 0
+          ? reasons.map(o => `[${o.Code}] ${o.Msg}`).join('; ')
+          : 'no details from AFIP';
+
+        return {
+          success: false,
+          error: `AFIP rejected invoice: ${obsText}`,
+          errorCode: reasons.length > 0 ? Number(reasons[0].Code) : 'AFIP_INVOICE_REJECTED',
+          voucherNumber,
+          invoice: record
+        };
+      });
+    } catch (error) {
+      // facturajs throws when the request is rejected as a whole (Errors/Err):
+      // every record of the chunk failed for that reason
+      const afipCode = this._afipErrorCode(error);
+      if (afipCode !== null) {
+        return records.map((record, i) => ({
+          success: false,
+          error: `AFIP rejected invoice: [${afipCode}] ${error.message}`,
+          errorCode: afipCode,
+          voucherNumber: firstNumber + i,
+          invoice: record
+        }));
+      }
+
+      const wrappedError = ErrorHandler.wrap(error, {
+        service: 'AfipService',
+        method: 'createInvoiceBatch',
+        count: records.length,
+        firstVoucherNumber: firstNumber
+      });
+
+      logger.error('Error creating invoice batch', ErrorHandler.formatForLogging(wrappedError));
+      throw wrappedError;
+    }
+  }
+
   /**
    * Retrieves the last used voucher number from AFIP
    *
-   * Used to determine the next voucher number for invoice creation.
-   * Returns 0 on error to allow graceful degradation.
+   * Used to determine the next voucher number for invoice creation. Errors
+   * are thrown, not turned into 0: numbering from a guess would reuse or
+   * skip a voucher.
    *
    * @async
    * @param {number} [salePoint=null] - Point of sale number (uses config default if null)
    * @param {number} [voucherType=AFIP_VOUCHER_TYPE.INVOICE_C] - Voucher type
-   * @returns {Promise<number>} Last voucher number used, or 0 if error/not found
+   * @returns {Promise<number>} Last voucher number used, 0 if none was issued yet
+   * @throws {AfipError} If AFIP returns an error or cannot be reached
    *
    * @example
    * const lastNumber = await service.getLastVoucherNumber();
@@ -345,13 +556,21 @@ class AfipService {
     }
 
     try {
-      const result = await this.afip.getLastBillNumber({
-        Auth: { Cuit: this.cuit },
-        params: {
-          CbteTipo: voucherType,
-          PtoVta: salePoint
-        }
-      });
+      let result;
+      try {
+        result = await this.afip.getLastBillNumber({
+          Auth: { Cuit: this.cuit },
+          params: {
+            CbteTipo: voucherType,
+            PtoVta: salePoint
+          }
+        });
+      } catch (error) {
+        throw this._fromAfipResponse(error, 'AFIP last voucher query failed', 'AFIP_LAST_VOUCHER_FAILED', {
+          salePoint,
+          voucherType
+        });
+      }
 
       let lastNumber = 0;
       if (typeof result === 'number') {
@@ -372,17 +591,631 @@ class AfipService {
       });
 
       logger.error('Error getting last voucher number', ErrorHandler.formatForLogging(wrappedError));
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Queries a voucher exactly as AFIP has it on record (WSFE FECompConsultar)
+   *
+   * @async
+   * @param {number} salePoint - Point of sale number
+   * @param {number} voucherType - Voucher type (e.g. 11 = Factura C)
+   * @param {number} voucherNumber - Voucher number
+   * @returns {Promise<Object|null>} Raw ResultGet, or null if AFIP has no such voucher
+   * @throws {AfipError} If AFIP returns any other error or cannot be reached
+   *
+   * @example
+   * const voucher = await service.queryVoucher(2, 11, 150);
+   * if (voucher) console.log(voucher.CodAutorizacion, voucher.ImpTotal);
+   */
+  async queryVoucher(salePoint, voucherType, voucherNumber) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    try {
+      const response = await this.afip.execRemote('wsfev1', 'FECompConsultar', {
+        Auth: { Cuit: this.cuit },
+        params: {
+          FeCompConsReq: {
+            CbteTipo: voucherType,
+            CbteNro: voucherNumber,
+            PtoVta: salePoint
+          }
+        }
+      });
+
+      const result = response || {};
+      return result.ResultGet || null;
+    } catch (error) {
+      if (this._afipErrorCode(error) === AFIP_ERROR_CODE.VOUCHER_NOT_FOUND) {
+        return null;
+      }
+
+      const afipError = this._fromAfipResponse(error, 'AFIP voucher query failed', 'AFIP_QUERY_FAILED', {
+        salePoint,
+        voucherType,
+        voucherNumber
+      });
+      const wrappedError = ErrorHandler.wrap(afipError, {
+        service: 'AfipService',
+        method: 'queryVoucher',
+        salePoint,
+        voucherType,
+        voucherNumber
+      });
+
+      logger.error('Error querying voucher', ErrorHandler.formatForLogging(wrappedError));
+      throw wrappedError;
+    }
+  }
 
-      // Return 0 on error to allow graceful degradation
-      return 0;
+  /**
+   * Requests the CAEA for a fortnight (WSFE FECAEASolicitar)
+   *
+   * AFIP grants one CAEA per period and fortnight and refuses a second
+   * request (error 15008), so the already granted CAEA is then fetched with
+   * FECAEAConsultar instead.
+   *
+   * @async
+   * @param {number} period - Period as YYYYMM
+   * @param {number} fortnight - 1 (days 1–15) or 2 (day 16 to month end)
+   * @returns {Promise<Object>} Raw ResultGet (CAEA, FchVigDesde, FchVigHasta, FchTopeInf, ...)
+   * @throws {AfipError} If AFIP neither grants nor has a CAEA for the fortnight
+   *
+   * @example
+   * const caea = await service.requestCaea(202601, 2);
+   * console.log(caea.CAEA, caea.FchTopeInf);
+   */
+  async requestCaea(period, fortnight) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    try {
+      let result;
+      try {
+        const response = await this.afip.execRemote('wsfev1', 'FECAEASolicitar', {
+          Auth: { Cuit: this.cuit },
+          params: { Periodo: period, Orden: fortnight }
+        });
+        result = response || {};
+      } catch (error) {
+        if (this._afipErrorCode(error) !== AFIP_ERROR_CODE.CAEA_ALREADY_GRANTED) {
+          throw this._fromAfipResponse(error, 'AFIP CAEA request failed', 'AFIP_CAEA_REQUEST_FAILED', { period, fortnight });
+        }
+        result = { ResultGet: await this.queryCaea(period, fortnight) };
+      }
+
+      if (result.ResultGet && result.ResultGet.CAEA) {
+        return result.ResultGet;
+      }
+
+      throw new AfipError(
+        'AFIP CAEA request failed: no CAEA returned by AFIP',
+        'AFIP_CAEA_REQUEST_FAILED',
+        { period, fortnight }
+      );
+    } catch (error) {
+      const wrappedError = ErrorHandler.wrap(error, {
+        service: 'AfipService',
+        method: 'requestCaea',
+        period,
+        fortnight
+      });
+
+      logger.error('Error requesting CAEA', ErrorHandler.formatForLogging(wrappedError));
+      throw wrappedError;
     }
   }
 
+  /**
+   * Fetches an already granted CAEA (WSFE FECAEAConsultar)
+   *
+   * @async
+   * @param {number} period - Period as YYYYMM
+   * @param {number} fortnight - 1 or 2
+   * @returns {Promise<Object|null>} Raw ResultGet, or null if no CAEA was granted
+   */
+  async queryCaea(period, fortnight) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    let response;
+    try {
+      response = await this.afip.execRemote('wsfev1', 'FECAEAConsultar', {
+        Auth: { Cuit: this.cuit },
+        params: { Periodo: period, Orden: fortnight }
+      });
+    } catch (error) {
+      if (this._afipErrorCode(error) === AFIP_ERROR_CODE.VOUCHER_NOT_FOUND) {
+        return null;
+      }
+      throw this._fromAfipResponse(error, 'AFIP CAEA query failed', 'AFIP_CAEA_QUERY_FAILED', { period, fortnight });
+    }
+
+    const result = response || {};
+    return result.ResultGet && result.ResultGet.CAEA ? result.ResultGet : null;
+  }
+
+  /**
+   * Reports vouchers issued under a CAEA (WSFE FECAEARegInformativo)
+   *
+   * All entries must share voucher type and be numbered on `salePoint`, the
+   * point of sale enabled for CAEA. AFIP accepts or rejects each record.
+   *
+   * @async
+   * @param {string} caea - CAEA the vouchers were issued under
+   * @param {number} salePoint - CAEA point of sale
+   * @param {Array<{invoice: Invoice, voucherNumber: number}>} entries - Vouchers to report
+   * @returns {Promise<Array<{success: boolean, voucherNumber: number, error?: string, errorCode?: number}>>}
+   *   One result per entry, in input order
+   * @throws {AfipError} If the request fails as a whole
+   */
+  async reportCaeaVouchers(caea, salePoint, entries) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+    if (entries.length === 0) {
+      return [];
+    }
+
+    try {
+      const records = entries.map(({ invoice, voucherNumber }) => {
+        invoice.validateOrThrow();
+        return {
+          ...invoice.toAFIPFormat(salePoint),
+          CbteDesde: voucherNumber,
+          CbteHasta: voucherNumber,
+          CAEA: caea
+        };
+      });
+
+      const voucherType = records[0].CbteTipo;
+      if (records.some(r => r.CbteTipo !== voucherType)) {
+        throw new AfipError(
+          'CAEA report entries must share voucher type',
+          'AFIP_BATCH_MIXED',
+          { count: records.length }
+        );
+      }
+
+      const response = await this.afip.execRemote('wsfev1', 'FECAEARegInformativo', {
+        Auth: { Cuit: this.cuit },
+        params: {
+          FeCAEARegInfReq: {
+            FeCabReq: {
+              CantReg: records.length,
+              PtoVta: salePoint,
+              CbteTipo: voucherType
+            },
+            FeDetReq: {
+              FECAEADetRequest: records
+            }
+          }
+        }
+      });
+
+      const result = response || {};
+      const details = result.FeDetResp?.FECAEADetResponse || [];
+      const byNumber = new Map(
+        (Array.isArray(details) ? details : [details]).map(d => [parseInt(d.CbteDesde), d])
+      );
+
+      return records.map(({ CbteDesde: voucherNumber }) => {
+        const detail = byNumber.get(voucherNumber);
+        if (detail && (detail.Resultado === 'A' || detail.Resultado === 'O')) {
+          return { success: true, voucherNumber };
+        }
+
+        const obs = detail?.Observaciones?.Obs;
+        const reasons = obs ? (Array.isArray(obs) ? obs : [obs]) : [];
+        return {
+          success: false,
+          voucherNumber,
+          error: `AFIP rejected CAEA report: ${reasons.map(o => `[${o.Code}] ${o.Msg}`).join('; ') || 'no details from AFIP'}`,
+          errorCode: reasons.length > 0 ? Number(reasons[0].Code) : null
+        };
+      });
+    } catch (error) {
+      // facturajs throws when the report is rejected as a whole (Errors/Err)
+      const afipCode = this._afipErrorCode(error);
+      if (afipCode !== null) {
+        return entries.map(({ voucherNumber }) => ({
+          success: false,
+          voucherNumber,
+          error: `AFIP rejected CAEA report: [${afipCode}] ${error.message}`,
+          errorCode: afipCode
+        }));
+      }
+
+      const wrappedError = ErrorHandler.wrap(error, {
+        service: 'AfipService',
+        method: 'reportCaeaVouchers',
+        salePoint,
+        count: entries.length
+      });
+
+      logger.error('Error reporting CAEA vouchers', ErrorHandler.formatForLogging(wrappedError));
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Code AFIP answered with when facturajs rejects a call because the
+   * response carried Errors/Err (AfipResponseError); null for any other failure
+   * @private
+   * @param {Error} error - Rejection of an SDK call
+   * @returns {number|null}
+   */
+  _afipErrorCode(error) {
+    return error && error.name === 'AfipResponseError' ? Number(error.code) : null;
+  }
+
+  /**
+   * Turn an AfipResponseError into an AfipError carrying AFIP's code and
+   * message; any other error is returned as is
+   * @private
+   * @param {Error} error - Rejection of an SDK call
+   * @param {string} message - What failed
+   * @param {string} code - AfipError code
+   * @param {Object} [context]
+   * @returns {Error}
+   */
+  _fromAfipResponse(error, message, code, context = {}) {
+    const afipCode = this._afipErrorCode(error);
+    if (afipCode === null) {
+      return error;
+    }
+    return new AfipError(`${message}: [${afipCode}] ${error.message}`, code, { ...context, afipCode });
+  }
+
+  /**
+   * Fetches the WSFE parameter tables (FEParamGet*)
+   *
+   * @async
+   * @returns {Promise<{voucherTypes: Array, docTypes: Array, currencies: Array, pointsOfSale: Array, vatConditions: Array}>}
+   *   Raw ResultGet lists (CbteTipo, DocTipo, Moneda, PtoVenta, CondicionIvaReceptor)
+   * @throws {AfipError} If any of the calls fails
+   *
+   * @example
+   * const params = await service.getParameterCatalog();
+   * console.log(params.pointsOfSale.map(p => p.Nro));
+   */
+  async getParameterCatalog() {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    try {
+      return {
+        voucherTypes: await this._paramGet('FEParamGetTiposCbte', 'CbteTipo'),
+        docTypes: await this._paramGet('FEParamGetTiposDoc', 'DocTipo'),
+        currencies: await this._paramGet('FEParamGetTiposMonedas', 'Moneda'),
+        pointsOfSale: await this._paramGet('FEParamGetPtosVenta', 'PtoVenta'),
+        vatConditions: await this._paramGet('FEParamGetCondicionIvaReceptor', 'CondicionIvaReceptor')
+      };
+    } catch (error) {
+      const wrappedError = ErrorHandler.wrap(error, {
+        service: 'AfipService',
+        method: 'getParameterCatalog'
+      });
+
+      logger.error('Error fetching WSFE parameters', ErrorHandler.formatForLogging(wrappedError));
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Calls one FEParamGet* method and returns its ResultGet list
+   *
+   * An issuer with no points of sale gets error 602 (no results) from
+   * FEParamGetPtosVenta; that is an empty list, not a failure.
+   *
+   * @private
+   * @param {string} method - WSFE method name
+   * @param {string} itemKey - Key of the list inside ResultGet
+   * @returns {Promise<Array<Object>>}
+   */
+  async _paramGet(method, itemKey) {
+    let result;
+    try {
+      result = await this.afip.execRemote('wsfev1', method, {
+        Auth: { Cuit: this.cuit },
+        params: {}
+      });
+    } catch (error) {
+      // facturajs throws the Errors/Err of the answer
+      if (this._afipErrorCode(error) === AFIP_ERROR_CODE.VOUCHER_NOT_FOUND) {
+        return [];
+      }
+      throw this._fromAfipResponse(error, `AFIP ${method} failed`, 'AFIP_PARAM_QUERY_FAILED', { method });
+    }
+
+    const items = result?.ResultGet?.[itemKey] || [];
+    return Array.isArray(items) ? items : [items];
+  }
+
+  /**
+   * Gets AFIP's official exchange rate of a currency on a date (FEParamGetCotizacion)
+   *
+   * This is the rate WSFE checks MonCotiz against.
+   *
+   * @async
+   * @param {string} currency - AFIP currency id (e.g. 'DOL')
+   * @param {string} date - Date of the rate (YYYY-MM-DD)
+   * @returns {Promise<number>} Pesos per unit of the currency
+   * @throws {AfipError} If AFIP returns an error or no rate
+   *
+   * @example
+   * const rate = await service.getExchangeRate('DOL', '2026-07-15');
+   */
+  async getExchangeRate(currency, date) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    const context = { method: 'FEParamGetCotizacion', currency, date };
+    let result;
+    try {
+      result = await this.afip.execRemote('wsfev1', 'FEParamGetCotizacion', {
+        Auth: { Cuit: this.cuit },
+        params: { MonId: currency, FchCotiz: date.replace(/-/g, '') }
+      });
+    } catch (error) {
+      throw this._fromAfipResponse(error, 'AFIP FEParamGetCotizacion failed', 'AFIP_PARAM_QUERY_FAILED', context);
+    }
+
+    const rate = parseFloat(result?.ResultGet?.MonCotiz);
+    if (!(rate > 0)) {
+      throw new AfipError('AFIP FEParamGetCotizacion failed: no rate returned', 'AFIP_PARAM_QUERY_FAILED', context);
+    }
+
+    return rate;
+  }
+
+  /**
+   * Creates and submits a Factura E to WSFEX for authorization (FEXAuthorize)
+   *
+   * Export vouchers are numbered on their own sequence, and every WSFEX
+   * request carries a unique Id, so both the last voucher number and the
+   * last request Id are read from AFIP first.
+   *
+   * @async
+   * @param {ExportInvoice} exportInvoice - Export invoice to submit
+   * @param {number} [voucherNumber=null] - Specific voucher number to use (auto-assigned if null)
+   * @returns {Promise<InvoiceCreationResult>} Result with CAE or error details
+   *
+   * @example
+   * const result = await service.createExportInvoice(exportInvoice);
+   * if (result.success) console.log('CAE:', result.cae);
+   */
+  async createExportInvoice(exportInvoice, voucherNumber = null) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    try {
+      if (!voucherNumber) {
+        voucherNumber = (await this.getLastExportVoucherNumber(exportInvoice.pointOfSale)) + 1;
+      }
+      const requestId = (await this.getLastExportRequestId()) + 1;
+      const voucher = exportInvoice.toWsfexFormat(requestId, voucherNumber);
+
+      logger.debug('Creating export invoice in AFIP', {
+        orderNumber: exportInvoice.orderNumber.value,
+        pointOfSale: exportInvoice.pointOfSale,
+        voucherNumber,
+        requestId,
+        event: 'export_invoice_creation_attempt'
+      });
+
+      const response = await this.afip.execRemote(WSFEX_SERVICE, 'FEXAuthorize', {
+        Auth: { Cuit: this.cuit },
+        params: { Cmp: voucher }
+      });
+
+      const result = response || {};
+      const auth = result.FEXResultAuth;
+
+      if (auth && auth.Resultado === 'A') {
+        return {
+          success: true,
+          cae: auth.Cae,
+          caeExpiration: auth.Fch_venc_Cae,
+          voucherNumber: parseInt(auth.Cbte_nro) || voucherNumber,
+          result
+        };
+      }
+
+      const reasons = [
+        ...this._wsfexErrors(result).map(e => `[${e.ErrCode}] ${e.ErrMsg}`),
+        ...(auth?.Motivos_Obs ? [auth.Motivos_Obs] : [])
+      ];
+      throw new AfipInvoiceRejectedError(
+        `AFIP rejected export invoice: ${reasons.join('; ') || 'no details from AFIP'}`,
+        result,
+        { voucherNumber, invoice: voucher }
+      );
+    } catch (error) {
+      const wrappedError = ErrorHandler.wrap(error, {
+        service: 'AfipService',
+        method: 'createExportInvoice',
+        voucherNumber
+      });
+
+      logger.error('Error creating export invoice', ErrorHandler.formatForLogging(wrappedError));
+
+      return {
+        success: false,
+        error: wrappedError.message,
+        errorCode: wrappedError.code,
+        invoice: exportInvoice
+      };
+    }
+  }
+
+  /**
+   * Gets the last Factura E number authorized on an export point of sale (FEXGetLast_CMP)
+   *
+   * Like getLastVoucherNumber this does not fall back to 0: WSFEX also
+   * wants the request Id to be unique, and guessing either is worse than
+   * failing the call.
+   *
+   * @async
+   * @param {number} salePoint - Export point of sale
+   * @returns {Promise<number>} Last voucher number, 0 if none was issued yet
+   * @throws {AfipError} If WSFEX returns an error or cannot be reached
+   */
+  async getLastExportVoucherNumber(salePoint) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    const response = await this.afip.execRemote(WSFEX_SERVICE, 'FEXGetLast_CMP', {
+      Auth: { Cuit: this.cuit, Cbte_Tipo: AFIP_EXPORT_VOUCHER_TYPE.INVOICE_E, Pto_venta: salePoint }
+    });
+
+    const result = response || {};
+    this._throwOnWsfexErrors(result, 'FEXGetLast_CMP', { salePoint });
+
+    return parseInt(result.FEXResult_LastCMP?.Cbte_nro) || 0;
+  }
+
+  /**
+   * Gets the last request Id WSFEX has seen from this CUIT (FEXGetLast_ID)
+   *
+   * @async
+   * @returns {Promise<number>} Last request Id, 0 if none
+   * @throws {AfipError} If WSFEX returns an error or cannot be reached
+   */
+  async getLastExportRequestId() {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    const response = await this.afip.execRemote(WSFEX_SERVICE, 'FEXGetLast_ID', {
+      Auth: { Cuit: this.cuit }
+    });
+
+    const result = response || {};
+    this._throwOnWsfexErrors(result, 'FEXGetLast_ID');
+
+    return parseInt(result.FEXResultGet?.Id) || 0;
+  }
+
+  /**
+   * FEXErr of a WSFEX result as an array; ErrCode 0 means no error
+   * @private
+   * @param {Object} result - WSFEX method result
+   * @returns {Array<{ErrCode: number, ErrMsg: string}>}
+   */
+  _wsfexErrors(result) {
+    const errors = result?.FEXErr ? [].concat(result.FEXErr) : [];
+    return errors.filter(e => Number(e.ErrCode) !== 0);
+  }
+
+  /**
+   * @private
+   * @throws {AfipError} If the WSFEX result carries errors
+   */
+  _throwOnWsfexErrors(result, method, context = {}) {
+    const errors = this._wsfexErrors(result);
+    if (errors.length > 0) {
+      throw new AfipError(
+        `AFIP ${method} failed: ${errors.map(e => `[${e.ErrCode}] ${e.ErrMsg}`).join('; ')}`,
+        'AFIP_WSFEX_FAILED',
+        context
+      );
+    }
+  }
+
+  /**
+   * Looks up a taxpayer in the AFIP padrón (ws_sr_padron_a5 getPersona_v2)
+   *
+   * The padrón is not a WSFE-style service: it lives on its own host and
+   * takes the WSAA ticket as top-level token and sign instead of an Auth
+   * block, so it is called through its own SOAP client rather than
+   * execRemote. Its ticket is cached with the others.
+   *
+   * @async
+   * @param {string} cuit - CUIT to look up
+   * @returns {Promise<Object|null>} Raw personaReturn, or null if the padrón has no such person
+   * @throws {AfipError} If the padrón returns any other error or cannot be reached, or
+   *   AFIP_SERVICE_UNAVAILABLE against the simulator
+   *
+   * @example
+   * const persona = await service.getTaxpayer('20123456786');
+   * if (persona) console.log(persona.datosGenerales.razonSocial);
+   */
+  async getTaxpayer(cuit) {
+    if (!this.initialized) {
+      throw new AfipError('AFIP service not initialized', 'AFIP_NOT_INITIALIZED');
+    }
+
+    if (!this.afipConfig) {
+      throw new AfipError(`${PADRON_SERVICE} is not available through AFIP_SIMULATOR_URL`, 'AFIP_SERVICE_UNAVAILABLE', {
+        service: PADRON_SERVICE
+      });
+    }
+
+    const idPersona = parseInt(String(cuit).replace(/-/g, ''));
+
+    try {
+      const padron = this._padronClient();
+      const { tokens } = await padron.getTokens(PADRON_SERVICE);
+      const client = await padron.getSoapClient(PADRON_SERVICE);
+      const [result] = await client.getPersona_v2Async({
+        token: tokens.token,
+        sign: tokens.sign,
+        cuitRepresentada: this.cuit,
+        idPersona
+      });
+
+      return result?.personaReturn || null;
+    } catch (error) {
+      if (PADRON_NOT_FOUND_PATTERN.test(error.message || '')) {
+        return null;
+      }
+
+      const wrappedError = ErrorHandler.wrap(error, {
+        service: 'AfipService',
+        method: 'getTaxpayer',
+        cuit
+      });
+
+      logger.error('Error looking up taxpayer', ErrorHandler.formatForLogging(wrappedError));
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * facturajs SOAP client pointed at the padrón A5 WSDL. It shares the SDK's
+   * configuration, so its WSAA ticket comes from the same certificate and
+   * token cache.
+   * @private
+   * @returns {AfipSoap}
+   */
+  _padronClient() {
+    if (!this.padron) {
+      const padron = new AfipSoap(this.afipConfig);
+      padron.urls = {
+        homo: { ...padron.urls.homo, service: PADRON_WSDL.homo },
+        prod: { ...padron.urls.prod, service: PADRON_WSDL.prod }
+      };
+      this.padron = padron;
+    }
+    return this.padron;
+  }
+
   /**
    * Validates a taxpayer's CUIT with AFIP
    *
-   * Note: Full taxpayer validation not available with current SDK (facturajs).
-   * Currently only validates CUIT format and checksum.
+   * Checks CUIT format and checksum, then looks the CUIT up in the padrón.
+   * A CUIT the padrón does not know, or whose constancia has errors, is
+   * reported as invalid.
    *
    * @async
    * @param {string} cuit - CUIT to validate
@@ -391,7 +1224,7 @@ class AfipService {
    * @example
    * const result = await service.validateTaxpayer('20123456786');
    * if (result.valid) {
-   *   console.log('Taxpayer is valid');
+   *   console.log(result.data.datosGenerales.razonSocial);
    * } else {
    *   console.error('Error:', result.error);
    * }
@@ -412,16 +1245,26 @@ class AfipService {
         };
       }
 
-      // facturajs doesn't have RegisterScopeFour, this would need a different service
-      // For now, return a placeholder - this feature can be implemented later if needed
-      logger.warn('Taxpayer validation not implemented with facturajs SDK', {
-        cuit,
-        event: 'taxpayer_validation_unavailable'
-      });
-      return {
-        valid: true,
-        data: { message: 'Validation not available with current SDK' }
-      };
+      const persona = await this.getTaxpayer(cuit);
+      if (!persona || !persona.datosGenerales) {
+        return {
+          valid: false,
+          error: `CUIT ${cuit} not found in the AFIP padrón`,
+          errorCode: 'TAXPAYER_NOT_FOUND'
+        };
+      }
+
+      const constanciaErrors = persona.errorConstancia?.error;
+      if (constanciaErrors) {
+        return {
+          valid: false,
+          data: persona,
+          error: [].concat(constanciaErrors).join('; '),
+          errorCode: 'TAXPAYER_CONSTANCIA_ERROR'
+        };
+      }
+
+      return { valid: true, data: persona };
     } catch (error) {
       const wrappedError = ErrorHandler.wrap(error, {
         service: 'AfipService',
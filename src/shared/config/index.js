@@ -14,7 +14,7 @@
 
 require('dotenv').config();
 
-const { get, getRequired, getInt } = require('./helpers');
+const { get, getRequired, getInt, getFloat, getJSON } = require('./helpers');
 const environment = require('./environment');
 const apiConfig = require('./api.config');
 const cliConfig = require('./cli.config');
@@ -39,7 +39,61 @@ const shared = {
     keyPath: safeGetRequired('AFIP_KEY_PATH'),
     environment: get('AFIP_ENVIRONMENT', 'production'),
     ptoVta: getInt('AFIP_PTOVTA', 2),
-    cacheTokensPath: get('AFIP_CACHE_TOKENS_PATH', './.afip-tokens')
+    // Rules sending orders to other points of sale by source, asset or trade type,
+    // e.g. [{"source":"manual","pointOfSale":3}]; first match wins
+    pointOfSaleRules: getJSON('AFIP_PTOVTA_RULES', null),
+    batchSize: getInt('AFIP_BATCH_SIZE', 250),
+    // A run holds a voucher sequence this long at most; a crashed run's lease lapses after it.
+    // Must outlast the slowest FECAESolicitar of a full batch
+    voucherLeaseSeconds: getInt('AFIP_VOUCHER_LEASE_SECONDS', 120),
+    caeaPtoVta: getInt('AFIP_CAEA_PTOVTA', null),
+    // Point of sale for Factura E (WSFEX); orders with a foreign buyer wait until it is set
+    exportPtoVta: getInt('AFIP_EXPORT_PTOVTA', null),
+    padronCacheDays: getInt('AFIP_PADRON_CACHE_DAYS', 30),
+    paramsCacheHours: getInt('AFIP_PARAMS_CACHE_HOURS', 24),
+    // Consumidor final sales at or above this amount (ARS) must identify the buyer;
+    // AFIP updates it from time to time (RG 5700/2025: $10.000.000)
+    buyerIdThreshold: getFloat('AFIP_BUYER_ID_THRESHOLD', 10000000),
+    // Consumidor final SELL orders below this amount (ARS) go out on one invoice per day;
+    // 0 keeps one invoice per order
+    consolidateBelow: getFloat('AFIP_CONSOLIDATE_BELOW', 0),
+    cacheTokensPath: get('AFIP_CACHE_TOKENS_PATH', './.afip-tokens'),
+    // Local AfipSimulator to send WSAA/WSFE calls to instead of AFIP (offline runs only)
+    simulatorUrl: get('AFIP_SIMULATOR_URL', '')
+  },
+
+  // Issuer data printed on invoice PDFs (the CUIT is afip.cuit). The tax
+  // condition (MONOTRIBUTO or RESPONSABLE_INSCRIPTO) picks Factura C or A/B
+  issuer: {
+    name: get('ISSUER_NAME', ''),
+    address: get('ISSUER_ADDRESS', ''),
+    taxCondition: get('ISSUER_TAX_CONDITION', 'MONOTRIBUTO'),
+    vatRate: getFloat('ISSUER_VAT_RATE', 0.21),
+    // Tax profiles over time, e.g. [{"effectiveFrom":"2026-07-01","taxCondition":"RESPONSABLE_INSCRIPTO","pointOfSale":4}];
+    // fields left out fall back to the single-profile settings above and AFIP_PTOVTA
+    profiles: getJSON('ISSUER_PROFILES', null),
+    activityStart: get('ISSUER_ACTIVITY_START', '')
+  },
+
+  // Monotributo category tracking (`monotributo`)
+  monotributo: {
+    // Category caps by period, e.g. [{"effectiveFrom":"2026-02-01","categories":[{"category":"A","maxIncome":10000000}]}];
+    // the tables ARCA published up to 2025-08 are used when unset
+    scale: getJSON('MONOTRIBUTO_SCALE', null),
+    // Category the issuer is registered in; usage is measured against the income's own category when unset
+    category: get('MONOTRIBUTO_CATEGORY', ''),
+    // Shares of the category cap to warn at
+    warnThresholds: getJSON('MONOTRIBUTO_WARN_THRESHOLDS', [0.8, 0.95])
+  },
+
+  // Ingresos Brutos monthly declaration (`iibb`)
+  iibb: {
+    // Jurisdictions filed in: [{"jurisdiction":"CABA","rate":0.03}] under the general regime, or
+    // [{"jurisdiction":"PBA","brackets":[{"maxIncome":9000000,"amount":15000}]}] under a simplified one;
+    // "share" is the Convenio Multilateral coefficient (default 1)
+    jurisdictions: getJSON('IIBB_JURISDICTIONS', null),
+    // Retentions and perceptions suffered, e.g. [{"month":"2026-09","jurisdiction":"CABA","kind":"perception","amount":1500}]
+    credits: getJSON('IIBB_CREDITS', [])
   },
 
   // Binance API Configuration (optional — only needed for binance:fetch, not process:auto)
@@ -58,7 +112,11 @@ const shared = {
   app: {
     logLevel: get('LOG_LEVEL', 'info'),
     invoiceInputPath: get('INVOICE_INPUT_PATH', './data/invoices.csv'),
-    invoiceOutputPath: get('INVOICE_OUTPUT_PATH', './data/processed')
+    invoiceOutputPath: get('INVOICE_OUTPUT_PATH', './data/processed'),
+    invoicePdfPath: get('INVOICE_PDF_PATH', './data/pdf'),
+    // A processing run holds its lock this long at most; a crashed run's lock goes stale after it.
+    // Must outlast the longest process-month
+    runLockMinutes: getInt('RUN_LOCK_MINUTES', 60)
   }
 };
 
@@ -38,18 +38,18 @@ const AFIP_CONCEPT = {
 const AFIP_VOUCHER_TYPE = {
   // Facturas tipo A (IVA discriminado)
   INVOICE_A: 1,
-  CREDIT_NOTE_A: 2,
-  DEBIT_NOTE_A: 3,
+  DEBIT_NOTE_A: 2,
+  CREDIT_NOTE_A: 3,
 
   // Facturas tipo B (IVA incluido)
   INVOICE_B: 6,
-  CREDIT_NOTE_B: 7,
-  DEBIT_NOTE_B: 8,
+  DEBIT_NOTE_B: 7,
+  CREDIT_NOTE_B: 8,
 
   // Facturas tipo C (Monotributo)
   INVOICE_C: 11,      // Most commonly used for monotributistas
-  CREDIT_NOTE_C: 12,
-  DEBIT_NOTE_C: 13,
+  DEBIT_NOTE_C: 12,
+  CREDIT_NOTE_C: 13,
 
   // Facturas tipo M (exportación)
   INVOICE_M: 51,
@@ -76,18 +76,61 @@ const VAT_RATE = {
   EXEMPT: -1          // Exempt from VAT
 };
 
+/**
+ * VAT Rate Ids (AlicIva Id)
+ * AFIP ids for each VAT rate in the Iva breakdown of Type A/B vouchers, as
+ * listed by FEParamGetTiposIva
+ */
+const AFIP_VAT_RATE_ID = {
+  ZERO: 3,            // 0%
+  REDUCED: 4,         // 10.5%
+  GENERAL: 5,         // 21%
+  INCREASED: 6,       // 27%
+  FIVE: 8,            // 5%
+  MINIMUM: 9          // 2.5%
+};
+
 /**
  * VAT Condition Codes (Condición frente al IVA)
- * Taxpayer VAT status
+ * Receiver VAT status, as sent in CondicionIVAReceptorId (RG 5616) and listed
+ * by FEParamGetCondicionIvaReceptor
  */
 const VAT_CONDITION = {
-  REGISTERED: 1,              // Responsable Inscripto
-  REGISTERED_SIMPLIFIED: 2,   // Responsable No Inscripto
-  EXEMPT: 4,                  // Exento
-  NON_TAXABLE: 5,            // No Alcanzado
-  MONOTAX: 6,                // Monotributista
-  FINAL_CONSUMER: 7,         // Consumidor Final
-  FOREIGN: 8                 // Cliente del Exterior
+  REGISTERED: 1,              // IVA Responsable Inscripto
+  EXEMPT: 4,                  // IVA Sujeto Exento
+  FINAL_CONSUMER: 5,          // Consumidor Final
+  MONOTAX: 6,                 // Responsable Monotributo
+  NOT_CATEGORIZED: 7,         // Sujeto No Categorizado
+  FOREIGN_SUPPLIER: 8,        // Proveedor del Exterior
+  FOREIGN_CLIENT: 9,          // Cliente del Exterior
+  FREED: 10,                  // IVA Liberado - Ley 19.640
+  SOCIAL_MONOTAX: 13,         // Monotributista Social
+  NON_TAXABLE: 15,            // IVA No Alcanzado
+  PROMOTED_MONOTAX: 16        // Monotributo Trabajador Independiente Promovido
+};
+
+/**
+ * Receiver VAT conditions AFIP accepts on each voucher class, invoices and
+ * notes alike (FEParamGetCondicionIvaReceptor, Cmp_Clase). Factura A goes to
+ * RI and monotributistas only; Factura C may go to anyone
+ */
+const RECEIVER_VAT_CONDITIONS_BY_CLASS = {
+  A: [
+    VAT_CONDITION.REGISTERED,
+    VAT_CONDITION.MONOTAX,
+    VAT_CONDITION.SOCIAL_MONOTAX,
+    VAT_CONDITION.PROMOTED_MONOTAX
+  ],
+  B: [
+    VAT_CONDITION.EXEMPT,
+    VAT_CONDITION.FINAL_CONSUMER,
+    VAT_CONDITION.NOT_CATEGORIZED,
+    VAT_CONDITION.FOREIGN_SUPPLIER,
+    VAT_CONDITION.FOREIGN_CLIENT,
+    VAT_CONDITION.FREED,
+    VAT_CONDITION.NON_TAXABLE
+  ],
+  C: Object.values(VAT_CONDITION)
 };
 
 /**
@@ -111,13 +154,88 @@ const CURRENCY_CODE = {
   BRL: '012'      // Brazilian Real
 };
 
+/**
+ * WSFEX Voucher Types
+ * Export vouchers are authorized through WSFEX, not WSFE, so they are kept
+ * apart from AFIP_VOUCHER_TYPE (which is checked against the WSFE catalog)
+ */
+const AFIP_EXPORT_VOUCHER_TYPE = {
+  INVOICE_E: 19
+};
+
+/**
+ * WSFEX Export Types (Tipo_expo)
+ */
+const AFIP_EXPORT_TYPE = {
+  GOODS: 1,     // Exportación definitiva de bienes
+  SERVICES: 2,  // Servicios
+  OTHER: 4      // Otros
+};
+
+/**
+ * WSFE Error Codes
+ * Errors the application reacts to specifically
+ */
+const AFIP_ERROR_CODE = {
+  VOUCHER_NOT_FOUND: 602,         // No results (FECompConsultar: no such voucher)
+  VOUCHER_OUT_OF_SEQUENCE: 10016, // FECAESolicitar: number/date is not the next to authorize
+  CAEA_ALREADY_GRANTED: 15008     // FECAEASolicitar: a CAEA was already granted for the period and fortnight
+};
+
+/**
+ * Monotributo Category Scale (Escalas del Monotributo)
+ * Gross income each category allows over the last twelve months (ARS), by the
+ * date each table came into force. ARCA updates the caps every February and
+ * August; newer tables go in MONOTRIBUTO_SCALE until they are added here
+ */
+const MONOTRIBUTO_SCALE = [
+  {
+    effectiveFrom: '2025-02-01',
+    categories: [
+      { category: 'A', maxIncome: 7813063.45 },
+      { category: 'B', maxIncome: 11447046.44 },
+      { category: 'C', maxIncome: 16050091.57 },
+      { category: 'D', maxIncome: 19926340.10 },
+      { category: 'E', maxIncome: 23439190.34 },
+      { category: 'F', maxIncome: 29374695.90 },
+      { category: 'G', maxIncome: 35128502.31 },
+      { category: 'H', maxIncome: 53298417.30 },
+      { category: 'I', maxIncome: 59657887.55 },
+      { category: 'J', maxIncome: 68318880.36 },
+      { category: 'K', maxIncome: 82370281.28 }
+    ]
+  },
+  {
+    effectiveFrom: '2025-08-01',
+    categories: [
+      { category: 'A', maxIncome: 8992597.87 },
+      { category: 'B', maxIncome: 13175201.52 },
+      { category: 'C', maxIncome: 18473166.15 },
+      { category: 'D', maxIncome: 22934610.05 },
+      { category: 'E', maxIncome: 26977793.60 },
+      { category: 'F', maxIncome: 33809379.57 },
+      { category: 'G', maxIncome: 40431835.35 },
+      { category: 'H', maxIncome: 61344853.64 },
+      { category: 'I', maxIncome: 68664410.05 },
+      { category: 'J', maxIncome: 78632948.76 },
+      { category: 'K', maxIncome: 94805682.90 }
+    ]
+  }
+];
+
 module.exports = {
   AFIP_DOC_TYPE,
   AFIP_CONCEPT,
   AFIP_VOUCHER_TYPE,
   DEFAULT_SALE_POINT,
   VAT_RATE,
+  AFIP_VAT_RATE_ID,
   VAT_CONDITION,
+  RECEIVER_VAT_CONDITIONS_BY_CLASS,
   INVOICE_DATE_RULES,
-  CURRENCY_CODE
+  CURRENCY_CODE,
+  AFIP_EXPORT_VOUCHER_TYPE,
+  AFIP_EXPORT_TYPE,
+  AFIP_ERROR_CODE,
+  MONOTRIBUTO_SCALE
 };
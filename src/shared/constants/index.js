@@ -10,9 +10,15 @@ const {
   AFIP_VOUCHER_TYPE,
   DEFAULT_SALE_POINT,
   VAT_RATE,
+  AFIP_VAT_RATE_ID,
   VAT_CONDITION,
+  RECEIVER_VAT_CONDITIONS_BY_CLASS,
   INVOICE_DATE_RULES,
-  CURRENCY_CODE
+  CURRENCY_CODE,
+  AFIP_EXPORT_VOUCHER_TYPE,
+  AFIP_EXPORT_TYPE,
+  AFIP_ERROR_CODE,
+  MONOTRIBUTO_SCALE
 } = require('./afip.constants');
 
 module.exports = {
@@ -21,7 +27,13 @@ module.exports = {
   AFIP_VOUCHER_TYPE,
   DEFAULT_SALE_POINT,
   VAT_RATE,
+  AFIP_VAT_RATE_ID,
   VAT_CONDITION,
+  RECEIVER_VAT_CONDITIONS_BY_CLASS,
   INVOICE_DATE_RULES,
-  CURRENCY_CODE
+  CURRENCY_CODE,
+  AFIP_EXPORT_VOUCHER_TYPE,
+  AFIP_EXPORT_TYPE,
+  AFIP_ERROR_CODE,
+  MONOTRIBUTO_SCALE
 };
@@ -0,0 +1,17 @@
+const AppError = require('./AppError');
+
+/**
+ * Conflict error for operations another one is already doing
+ * Used when a resource is held (e.g. a processing run lock)
+ */
+class ConflictError extends AppError {
+  /**
+   * @param {string} message - Error message describing the conflict
+   * @param {Object} metadata - Additional context (e.g., who holds the resource)
+   */
+  constructor(message, metadata = {}) {
+    super(message, 409, true, metadata); // 409 Conflict
+  }
+}
+
+module.exports = ConflictError;
@@ -7,11 +7,13 @@ const DomainError = require('./DomainError');
 const ValidationError = require('./ValidationError');
 const InfrastructureError = require('./InfrastructureError');
 const NotFoundError = require('./NotFoundError');
+const ConflictError = require('./ConflictError');
 
 module.exports = {
   AppError,
   DomainError,
   ValidationError,
   InfrastructureError,
-  NotFoundError
+  NotFoundError,
+  ConflictError
 };
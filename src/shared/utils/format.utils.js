@@ -77,6 +77,17 @@ function formatVoucherNumber(voucherNumber, length = 8) {
   return String(voucherNumber).padStart(length, '0');
 }
 
+/**
+ * Format a voucher id as AFIP prints it (PPPPP-NNNNNNNN). Voucher numbers
+ * only identify a voucher within its point of sale.
+ * @param {number} pointOfSale - Point of sale
+ * @param {number} voucherNumber - Voucher number
+ * @returns {string} Formatted voucher id
+ */
+function formatVoucherId(pointOfSale, voucherNumber) {
+  return `${String(pointOfSale).padStart(5, '0')}-${formatVoucherNumber(voucherNumber)}`;
+}
+
 /**
  * Format order number for display
  * @param {string} orderNumber - Order number
@@ -274,6 +285,7 @@ module.exports = {
   formatCUIT,
   formatCAE,
   formatVoucherNumber,
+  formatVoucherId,
   formatOrderNumber,
   formatPercentage,
   formatFileSize,
@@ -7,6 +7,7 @@
 const dateUtils = require('./date.utils');
 const formatUtils = require('./format.utils');
 const currencyUtils = require('./currency.utils');
+const xmlUtils = require('./xml.utils');
 
 module.exports = {
   // Date utilities
@@ -18,8 +19,12 @@ module.exports = {
   // Currency utilities
   ...currencyUtils,
 
+  // XML/SOAP utilities
+  ...xmlUtils,
+
   // Also export namespaced for clarity
   date: dateUtils,
   format: formatUtils,
-  currency: currencyUtils
+  currency: currencyUtils,
+  xml: xmlUtils
 };
@@ -0,0 +1,160 @@
+/**
+ * XML Utility Functions
+ *
+ * Just enough XML for the SOAP messages AFIP's web services exchange:
+ * plain elements, text and namespaces. Attributes other than xmlns are
+ * not needed by WSAA or WSFE and are ignored when parsing.
+ */
+
+/**
+ * Escape text for use in an XML element
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Unescape the entities of XML text
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Serialize a value as an XML element. Objects become nested elements,
+ * arrays repeat the element once per item, null and undefined are left out.
+ * @param {string} name - Element name
+ * @param {*} value - Element content
+ * @returns {string} XML
+ *
+ * @example
+ * toXml('Obs', [{ Code: 1 }, { Code: 2 }]) // '<Obs><Code>1</Code></Obs><Obs><Code>2</Code></Obs>'
+ */
+function toXml(name, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toXml(name, item)).join('');
+  }
+  if (typeof value === 'object') {
+    const children = Object.entries(value).map(([key, child]) => toXml(key, child)).join('');
+    return `<${name}>${children}</${name}>`;
+  }
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Parse XML into plain objects: an element with children becomes an object,
+ * one with only text a string (empty elements give ''). Namespace prefixes
+ * are dropped. A repeated element becomes an array, as does every element
+ * named in `arrays`, so lists of one keep their shape.
+ * @param {string} xml - XML document or fragment
+ * @param {Object} [options]
+ * @param {string[]} [options.arrays=[]] - Elements that are always lists
+ * @returns {Object} Root element name mapped to its content
+ * @throws {Error} If the XML is malformed
+ *
+ * @example
+ * parseXml('<a><b>1</b></a>') // { a: { b: '1' } }
+ */
+function parseXml(xml, options = {}) {
+  const arrays = new Set(options.arrays || []);
+  const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)[^>]*?(\/?)>|([^<]+)/g;
+  const root = { children: {}, text: '' };
+  const stack = [root];
+  let match;
+
+  const add = (parent, name, value) => {
+    const existing = parent.children[name];
+    if (existing === undefined) {
+      parent.children[name] = arrays.has(name) ? [value] : value;
+    } else if (Array.isArray(existing) && (arrays.has(name) || existing.repeated)) {
+      existing.push(value);
+    } else {
+      const list = [existing, value];
+      Object.defineProperty(list, 'repeated', { value: true });
+      parent.children[name] = list;
+    }
+  };
+  const valueOf = (node) => (Object.keys(node.children).length > 0 ? node.children : unescapeXml(node.text.trim()));
+
+  while ((match = tokens.exec(xml)) !== null) {
+    const [, cdata, closing, tag, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    } else if (text !== undefined) {
+      current.text += text;
+    } else if (tag) {
+      const name = tag.includes(':') ? tag.slice(tag.indexOf(':') + 1) : tag;
+      if (closing) {
+        if (stack.length === 1 || current.name !== name) {
+          throw new Error(`Malformed XML: unexpected </${tag}>`);
+        }
+        stack.pop();
+        add(stack[stack.length - 1], name, valueOf(current));
+      } else if (selfClosing) {
+        add(current, name, '');
+      } else {
+        stack.push({ name, children: {}, text: '' });
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  return root.children;
+}
+
+/**
+ * Wrap XML in a SOAP 1.1 envelope
+ * @param {string} body - Body content
+ * @returns {string} SOAP message
+ */
+function soapEnvelope(body) {
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    `<soap:Body>${body}</soap:Body></soap:Envelope>`;
+}
+
+/**
+ * Parse the body of a SOAP message
+ * @param {string} xml - SOAP message
+ * @param {Object} [options] - Options for parseXml
+ * @returns {Object} Body content, e.g. { FECAESolicitarResponse: {...} } or { Fault: {...} }
+ * @throws {Error} If the message is not a SOAP envelope
+ */
+function parseSoapBody(xml, options = {}) {
+  const body = parseXml(xml, options).Envelope?.Body;
+  if (body === undefined) {
+    throw new Error('Malformed SOAP message: no Envelope/Body');
+  }
+  return body || {};
+}
+
+module.exports = {
+  escapeXml,
+  unescapeXml,
+  toXml,
+  parseXml,
+  soapEnvelope,
+  parseSoapBody
+};
@@ -397,6 +397,35 @@ class InvoiceValidator {
     return { valid: errors.length === 0, errors };
   }
 
+  /**
+   * Validate an invoice in AFIP format against the live WSFE parameter catalog
+   * @param {Object} afipInvoice - Invoice as sent to FECAESolicitar (PtoVta, CbteTipo, DocTipo, ...)
+   * @param {ParameterCatalog} catalog - Catalog from FEParamGet*
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  static validateAgainstCatalog(afipInvoice, catalog) {
+    const errors = [];
+
+    if (!catalog.isPointOfSaleEnabled(afipInvoice.PtoVta)) {
+      errors.push(`Point of sale ${afipInvoice.PtoVta} is not enabled in AFIP`);
+    }
+    if (!catalog.hasVoucherType(afipInvoice.CbteTipo)) {
+      errors.push(`Voucher type ${afipInvoice.CbteTipo} is not in the AFIP catalog`);
+    }
+    if (!catalog.hasDocType(afipInvoice.DocTipo)) {
+      errors.push(`Document type ${afipInvoice.DocTipo} is not in the AFIP catalog`);
+    }
+    if (!catalog.hasCurrency(afipInvoice.MonId)) {
+      errors.push(`Currency ${afipInvoice.MonId} is not in the AFIP catalog`);
+    }
+    if (afipInvoice.CondicionIVAReceptorId !== undefined &&
+        !catalog.hasVatCondition(afipInvoice.CondicionIVAReceptorId)) {
+      errors.push(`Receiver VAT condition ${afipInvoice.CondicionIVAReceptorId} is not in the AFIP catalog`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
   /**
    * Validate and throw error if invalid
    * @param {Object} invoice - Invoice data
@@ -0,0 +1,387 @@
+/**
+ * AfipSimulator
+ *
+ * Local HTTP stand-in for AFIP's WSAA and WSFE SOAP services, so the invoicing
+ * flow can run end to end without homologación access or network. It signs in
+ * any TRA (`loginCms`), keeps a voucher sequence per point of sale and voucher
+ * type, and answers `FECompUltimoAutorizado`, `FECAESolicitar` and
+ * `FECompConsultar` the way AFIP does, including 10016 for out-of-sequence
+ * numbers. Failures are scripted with `fail()`: rejections and header errors
+ * in the SOAP response, 5xx statuses, or a connection dropped mid-request the
+ * way a failed TLS handshake looks to the client.
+ *
+ * Point AfipService at it with AFIP_SIMULATOR_URL; `npm run afip:simulator`
+ * starts one. Not for production use: it accepts any credentials.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { toXml, parseXml, soapEnvelope, parseSoapBody, escapeXml } = require('../shared/utils/xml.utils');
+const { AFIP_ERROR_CODE } = require('../shared/constants');
+
+const WSAA_PATH = '/ws/services/LoginCms';
+const WSFE_PATH = '/wsfev1/service.asmx';
+const WSAA_NAMESPACE = 'http://wsaa.view.sua.dvadac.desein.afip.gov';
+const WSFE_NAMESPACE = 'http://ar.gov.afip.dif.FEV1/';
+
+/**
+ * WSFE methods the simulator answers
+ */
+const WSFE_METHODS = ['FECompUltimoAutorizado', 'FECAESolicitar', 'FECompConsultar'];
+
+/**
+ * Request elements that are lists in the WSFE schema
+ */
+const WSFE_ARRAYS = ['FECAEDetRequest', 'AlicIva', 'Tributo', 'CbteAsoc', 'Opcional'];
+
+/**
+ * Days a simulated CAE stays valid
+ */
+const CAE_VALIDITY_DAYS = 10;
+
+/**
+ * @typedef {Object} SimulatedFault
+ * @property {string} [method='FECAESolicitar'] - SOAP method it applies to ('loginCms' for WSAA)
+ * @property {'reject'|'error'|'http'|'reset'} type - `reject`: every record of the request is
+ *   rejected with an observation; `error`: the response carries a header error (Errors/Err);
+ *   `http`: the server answers with a 5xx status and a SOAP fault; `reset`: the connection is
+ *   dropped without a response
+ * @property {number} [code] - Observation or error code (reject defaults to 10016, error to 500)
+ * @property {string} [message] - Observation, error or fault message
+ * @property {number} [status=500] - HTTP status of an `http` fault
+ */
+
+class AfipSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, number>} [options.lastVouchers] - Starting sequences, keyed
+   *   'PtoVta-CbteTipo' (e.g. { '2-11': 150 }); unlisted ones start at 0
+   * @param {SimulatedFault[]} [options.faults] - Faults to apply, in order
+   */
+  constructor(options = {}) {
+    this._lastVouchers = new Map(Object.entries(options.lastVouchers || {}).map(([key, n]) => [key, Number(n)]));
+    this._vouchers = new Map();
+    this._faults = [...(options.faults || [])];
+    this._credentials = new Map();
+    this._caeCounter = 0;
+    this._server = null;
+    this._sockets = new Set();
+    this.requests = [];
+  }
+
+  /**
+   * Base URL the simulator listens on, e.g. http://127.0.0.1:8089
+   * @returns {string|null}
+   */
+  get url() {
+    if (!this._server || !this._server.listening) return null;
+    const { address, port } = this._server.address();
+    return `http://${address}:${port}`;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - Port (0 picks a free one)
+   * @param {string} [host='127.0.0.1'] - Interface to bind
+   * @returns {Promise<string>} Base URL
+   */
+  start(port = 0, host = '127.0.0.1') {
+    this._server = http.createServer((req, res) => this._handle(req, res));
+    this._server.on('connection', socket => {
+      this._sockets.add(socket);
+      socket.on('close', () => this._sockets.delete(socket));
+    });
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, host, () => resolve(this.url));
+    });
+  }
+
+  /**
+   * Stop listening, dropping kept-alive connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this._server) return Promise.resolve();
+    const server = this._server;
+    this._server = null;
+    this._sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Queue a fault for the next matching request
+   * @param {SimulatedFault} fault
+   * @returns {AfipSimulator} this, for chaining
+   */
+  fail(fault) {
+    this._faults.push(fault);
+    return this;
+  }
+
+  /**
+   * Last voucher number authorized on a sequence
+   * @param {number} pointOfSale
+   * @param {number} voucherType
+   * @returns {number}
+   */
+  lastVoucher(pointOfSale, voucherType) {
+    return this._lastVouchers.get(`${pointOfSale}-${voucherType}`) || 0;
+  }
+
+  /**
+   * Move a sequence, as if vouchers had been authorized elsewhere (e.g. in the AFIP portal)
+   * @param {number} pointOfSale
+   * @param {number} voucherType
+   * @param {number} voucherNumber - New last voucher number
+   */
+  setLastVoucher(pointOfSale, voucherType, voucherNumber) {
+    this._lastVouchers.set(`${pointOfSale}-${voucherType}`, Number(voucherNumber));
+  }
+
+  /**
+   * A voucher the simulator authorized, as FECompConsultar returns it
+   * @param {number} pointOfSale
+   * @param {number} voucherType
+   * @param {number} voucherNumber
+   * @returns {Object|null} ResultGet
+   */
+  voucher(pointOfSale, voucherType, voucherNumber) {
+    return this._vouchers.get(`${pointOfSale}-${voucherType}-${voucherNumber}`) || null;
+  }
+
+  // ==================== HTTP ====================
+
+  /**
+   * @private
+   */
+  _handle(req, res) {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body;
+      try {
+        body = parseSoapBody(raw, { arrays: WSFE_ARRAYS });
+      } catch (error) {
+        return this._sendFault(res, 400, 'soap:Client', error.message);
+      }
+
+      const method = Object.keys(body)[0];
+      const service = req.url.split('?')[0];
+      this.requests.push({ service, method });
+
+      const fault = this._takeFault(method);
+      if (fault && fault.type === 'reset') {
+        return req.socket.destroy();
+      }
+      if (fault && fault.type === 'http') {
+        return this._sendFault(res, fault.status || 500, 'soap:Server', fault.message || 'Internal Server Error');
+      }
+
+      if (service === WSAA_PATH && method === 'loginCms') {
+        return this._loginCms(res, body.loginCms);
+      }
+      if (service === WSFE_PATH && WSFE_METHODS.includes(method)) {
+        return this._wsfe(res, method, body[method], fault);
+      }
+      return this._sendFault(res, 500, 'soap:Client', `${method || 'Request'} is not simulated on ${service}`);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _takeFault(method) {
+    const index = this._faults.findIndex(fault => (fault.method || 'FECAESolicitar') === method);
+    return index === -1 ? null : this._faults.splice(index, 1)[0];
+  }
+
+  /**
+   * @private
+   */
+  _send(res, xml) {
+    res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+    res.end(soapEnvelope(xml));
+  }
+
+  /**
+   * @private
+   */
+  _sendFault(res, status, code, message) {
+    res.writeHead(status, { 'Content-Type': 'text/xml; charset=utf-8' });
+    res.end(soapEnvelope(toXml('soap:Fault', { faultcode: code, faultstring: message })));
+  }
+
+  // ==================== WSAA ====================
+
+  /**
+   * loginCms: the CMS is not verified, only decoded for the TRA's service
+   * @private
+   */
+  _loginCms(res, request) {
+    let service;
+    try {
+      const tra = parseXml(Buffer.from(String(request.in0 || ''), 'base64').toString('utf8'));
+      service = tra.loginTicketRequest && tra.loginTicketRequest.service;
+    } catch (error) {
+      service = null;
+    }
+    if (!service) {
+      return this._sendFault(res, 500, 'ns1:cms.bad', 'CMS no es valido');
+    }
+
+    const token = crypto.randomBytes(24).toString('base64');
+    const sign = crypto.randomBytes(12).toString('base64');
+    this._credentials.set(token, { sign, service });
+
+    const now = new Date();
+    const ticket = toXml('loginTicketResponse', {
+      header: {
+        source: 'CN=wsaa-simulator',
+        destination: 'CN=my-afip',
+        uniqueId: this._credentials.size,
+        generationTime: now.toISOString(),
+        expirationTime: new Date(now.getTime() + 12 * 3600 * 1000).toISOString()
+      },
+      credentials: { token, sign }
+    });
+    this._send(res, `<loginCmsResponse xmlns="${WSAA_NAMESPACE}">` +
+      `<loginCmsReturn>${escapeXml(ticket)}</loginCmsReturn></loginCmsResponse>`);
+  }
+
+  // ==================== WSFE ====================
+
+  /**
+   * Check the Auth block and dispatch a WSFE method
+   * @private
+   */
+  _wsfe(res, method, request, fault) {
+    const auth = (request && request.Auth) || {};
+    const credentials = this._credentials.get(auth.Token);
+    let result;
+
+    if (!credentials || credentials.sign !== auth.Sign || credentials.service !== 'wsfe') {
+      result = { Errors: { Err: [{ Code: 600, Msg: 'ValidacionDeToken: No validaron las credenciales' }] } };
+    } else if (fault && fault.type === 'error') {
+      result = { Errors: { Err: [{ Code: fault.code || 500, Msg: fault.message || 'Error interno de aplicacion' }] } };
+    } else {
+      result = this[`_${method}`](request, fault);
+    }
+
+    this._send(res, `<${method}Response xmlns="${WSFE_NAMESPACE}">${toXml(`${method}Result`, result)}</${method}Response>`);
+  }
+
+  /**
+   * @private
+   */
+  _FECompUltimoAutorizado(request) {
+    const pointOfSale = Number(request.PtoVta);
+    const voucherType = Number(request.CbteTipo);
+    return { PtoVta: pointOfSale, CbteTipo: voucherType, CbteNro: this.lastVoucher(pointOfSale, voucherType) };
+  }
+
+  /**
+   * @private
+   */
+  _FECompConsultar(request) {
+    const query = request.FeCompConsReq || {};
+    const voucher = this.voucher(Number(query.PtoVta), Number(query.CbteTipo), Number(query.CbteNro));
+    return voucher
+      ? { ResultGet: voucher }
+      : {
+        Errors: {
+          Err: [{ Code: AFIP_ERROR_CODE.VOUCHER_NOT_FOUND, Msg: 'No existen datos en nuestros registros para los parametros ingresados.' }]
+        }
+      };
+  }
+
+  /**
+   * Authorize records in sequence: a record whose number is not the next one
+   * is rejected with 10016, like AFIP does
+   * @private
+   */
+  _FECAESolicitar(request, fault) {
+    const header = (request.FeCAEReq && request.FeCAEReq.FeCabReq) || {};
+    const records = (request.FeCAEReq && request.FeCAEReq.FeDetReq && request.FeCAEReq.FeDetReq.FECAEDetRequest) || [];
+    const pointOfSale = Number(header.PtoVta);
+    const voucherType = Number(header.CbteTipo);
+    const processedAt = AfipSimulator._afipTimestamp(new Date());
+
+    const details = records.map(record => {
+      const number = Number(record.CbteDesde);
+      const detail = {
+        Concepto: record.Concepto,
+        DocTipo: record.DocTipo,
+        DocNro: record.DocNro,
+        CbteDesde: number,
+        CbteHasta: Number(record.CbteHasta),
+        CbteFch: record.CbteFch
+      };
+
+      const observation = fault && fault.type === 'reject'
+        ? { Code: fault.code || AFIP_ERROR_CODE.VOUCHER_OUT_OF_SEQUENCE, Msg: fault.message || AfipSimulator.OUT_OF_SEQUENCE_MESSAGE }
+        : number !== this.lastVoucher(pointOfSale, voucherType) + 1
+          ? { Code: AFIP_ERROR_CODE.VOUCHER_OUT_OF_SEQUENCE, Msg: AfipSimulator.OUT_OF_SEQUENCE_MESSAGE }
+          : null;
+
+      if (observation) {
+        return { ...detail, Resultado: 'R', Observaciones: { Obs: [observation] }, CAE: '', CAEFchVto: '' };
+      }
+
+      const cae = String(74000000000000 + (++this._caeCounter));
+      const caeExpiration = AfipSimulator._addDays(record.CbteFch, CAE_VALIDITY_DAYS);
+      this.setLastVoucher(pointOfSale, voucherType, number);
+      this._vouchers.set(`${pointOfSale}-${voucherType}-${number}`, {
+        ...record,
+        PtoVta: pointOfSale,
+        CbteTipo: voucherType,
+        Resultado: 'A',
+        CodAutorizacion: cae,
+        EmisionTipo: 'CAE',
+        FchVto: caeExpiration,
+        FchProceso: processedAt
+      });
+      return { ...detail, Resultado: 'A', CAE: cae, CAEFchVto: caeExpiration };
+    });
+
+    const approved = details.filter(detail => detail.Resultado === 'A').length;
+    return {
+      FeCabResp: {
+        Cuit: request.Auth.Cuit,
+        PtoVta: pointOfSale,
+        CbteTipo: voucherType,
+        FchProceso: processedAt,
+        CantReg: details.length,
+        Resultado: approved === details.length ? 'A' : approved === 0 ? 'R' : 'P',
+        Reproceso: 'N'
+      },
+      FeDetResp: { FECAEDetResponse: details }
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _afipTimestamp(date) {
+    return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  }
+
+  /**
+   * Add days to an AFIP date (YYYYMMDD)
+   * @private
+   */
+  static _addDays(afipDate, days) {
+    const str = String(afipDate);
+    const date = new Date(Date.UTC(Number(str.slice(0, 4)), Number(str.slice(4, 6)) - 1, Number(str.slice(6, 8)) + days));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+}
+
+AfipSimulator.OUT_OF_SEQUENCE_MESSAGE =
+  'El numero o fecha del comprobante no se corresponde con el proximo a autorizar. Consultar metodo FECompUltimoAutorizado.';
+
+AfipSimulator.WSAA_PATH = WSAA_PATH;
+AfipSimulator.WSFE_PATH = WSFE_PATH;
+
+module.exports = AfipSimulator;
@@ -0,0 +1,182 @@
+/**
+ * AfipSimulatorClient
+ *
+ * Drop-in for facturajs' `AfipServices` (`createBill`, `getLastBillNumber`,
+ * `execRemote`) that talks SOAP to an AfipSimulator, so AfipService runs
+ * unchanged against it. Signs in through the simulator's WSAA with an unsigned
+ * TRA, which real AFIP would reject: use it only with AFIP_SIMULATOR_URL.
+ *
+ * Answers and errors surface as the SDK's do: a call returns the content
+ * of its <method>Result, and an answer carrying Errors/Err is thrown as an
+ * AfipResponseError with AFIP's code and message; rejected records come back
+ * in the result. A dropped connection or a 5xx is an AfipConnectionError, a
+ * WSAA fault an AfipAuthenticationError.
+ */
+
+const axios = require('axios');
+const { toXml, parseXml, soapEnvelope, parseSoapBody } = require('../shared/utils/xml.utils');
+const { AfipError, AfipAuthenticationError, AfipConnectionError } = require('../utils/errors');
+const AfipSimulator = require('./AfipSimulator');
+
+/**
+ * Services the simulator answers, with the TRA service their tickets are for
+ */
+const SERVICES = {
+  wsfev1: { path: AfipSimulator.WSFE_PATH, namespace: 'http://ar.gov.afip.dif.FEV1/', ticket: 'wsfe' }
+};
+
+/**
+ * Response elements that are lists in the WSFE schema
+ */
+const RESULT_ARRAYS = ['FECAEDetResponse', 'Obs', 'Err', 'Evt', 'AlicIva', 'Tributo', 'CbteAsoc', 'Opcional'];
+
+class AfipSimulatorClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Simulator base URL (e.g. http://127.0.0.1:8089)
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   */
+  constructor(options) {
+    this.url = String(options.url).replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+    this._tickets = new Map();
+  }
+
+  /**
+   * FECAESolicitar
+   * @param {{Auth: Object, params: Object}} request - As for facturajs
+   * @returns {Promise<Object>} FECAESolicitarResult
+   */
+  async createBill(request) {
+    return this.execRemote('wsfev1', 'FECAESolicitar', request);
+  }
+
+  /**
+   * FECompUltimoAutorizado
+   * @param {{Auth: Object, params: Object}} request - As for facturajs
+   * @returns {Promise<Object>} FECompUltimoAutorizadoResult
+   */
+  async getLastBillNumber(request) {
+    return this.execRemote('wsfev1', 'FECompUltimoAutorizado', request);
+  }
+
+  /**
+   * Call a web service method with WSAA credentials added to Auth
+   * @param {string} service - Service name (only 'wsfev1' is simulated)
+   * @param {string} method - SOAP method
+   * @param {{Auth?: Object, params?: Object}} request - As for facturajs
+   * @returns {Promise<Object>} Content of the method's Result, e.g. { ResultGet: {...} }
+   * @throws {Error} AfipResponseError (code and message of the first Err) if AFIP answers with Errors
+   * @throws {AfipError} If the service is not simulated
+   * @throws {AfipAuthenticationError} If WSAA refuses the ticket request
+   * @throws {AfipConnectionError} If the simulator cannot be reached or answers 5xx
+   */
+  async execRemote(service, method, request = {}) {
+    const definition = SERVICES[service];
+    if (!definition) {
+      throw new AfipError(`${service} is not available through AFIP_SIMULATOR_URL`, 'AFIP_SERVICE_UNAVAILABLE', { service });
+    }
+
+    const { token, sign } = await this._ticket(definition.ticket);
+    const body = { Auth: { ...request.Auth, Token: token, Sign: sign }, ...request.params };
+    const xml = `<${method} xmlns="${definition.namespace}">` +
+      Object.entries(body).map(([name, value]) => toXml(name, value)).join('') +
+      `</${method}>`;
+
+    const response = await this._post(definition.path, `${definition.namespace}${method}`, xml, service);
+    const result = (response[`${method}Response`] || {})[`${method}Result`];
+    AfipSimulatorClient._throwOnError(result);
+    return result;
+  }
+
+  /**
+   * Throw the first Errors/Err of a result the way facturajs' AfipSoap does
+   * @private
+   * @param {Object} [result] - Method result
+   */
+  static _throwOnError(result) {
+    const err = result && result.Errors && result.Errors.Err;
+    if (!err) {
+      return;
+    }
+
+    // Err is parsed as a list (RESULT_ARRAYS)
+    const error = new Error(err[0].Msg);
+    error.name = 'AfipResponseError';
+    error.code = err[0].Code;
+    throw error;
+  }
+
+  /**
+   * WSAA ticket for a service, reused until it expires
+   * @private
+   */
+  async _ticket(service) {
+    const cached = this._tickets.get(service);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    const now = new Date();
+    const tra = toXml('loginTicketRequest', {
+      header: {
+        uniqueId: Math.floor(now.getTime() / 1000),
+        generationTime: new Date(now.getTime() - 60000).toISOString(),
+        expirationTime: new Date(now.getTime() + 60000).toISOString()
+      },
+      service
+    });
+    const body = `<loginCms xmlns="http://wsaa.view.sua.dvadac.desein.afip.gov"><in0>${Buffer.from(tra).toString('base64')}</in0></loginCms>`;
+
+    const response = await this._post(AfipSimulator.WSAA_PATH, '', body, 'wsaa');
+    const ticket = parseXml(String(response.loginCmsResponse.loginCmsReturn)).loginTicketResponse;
+    const credentials = {
+      token: ticket.credentials.token,
+      sign: ticket.credentials.sign,
+      expiresAt: Date.parse(ticket.header.expirationTime)
+    };
+    this._tickets.set(service, credentials);
+    return credentials;
+  }
+
+  /**
+   * POST a SOAP message and parse the body of the answer
+   * @private
+   */
+  async _post(path, soapAction, body, service) {
+    let response;
+    try {
+      response = await axios.post(`${this.url}${path}`, soapEnvelope(body), {
+        headers: { 'Content-Type': 'text/xml; charset=utf-8', SOAPAction: `"${soapAction}"` },
+        timeout: this.timeout,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw new AfipConnectionError(`AFIP ${service} unreachable: ${error.message}`, {
+        originalError: error.code,
+        service
+      });
+    }
+
+    let parsed = null;
+    try {
+      parsed = parseSoapBody(response.data, { arrays: RESULT_ARRAYS });
+    } catch (error) {
+      // A 5xx proxy page is not SOAP; it is reported by status below
+    }
+    const fault = parsed && parsed.Fault;
+
+    if (fault && service === 'wsaa') {
+      throw new AfipAuthenticationError(`WSAA refused the ticket: ${fault.faultstring}`, { faultcode: fault.faultcode });
+    }
+    if (response.status >= 500 || fault || !parsed) {
+      const reason = fault ? fault.faultstring : `HTTP ${response.status}`;
+      throw new AfipConnectionError(`AFIP ${service} failed: ${reason}`, { status: response.status, service });
+    }
+    return parsed;
+  }
+}
+
+module.exports = AfipSimulatorClient;
@@ -85,15 +85,17 @@ class DatabaseOrderTracker {
     }
   }
 
-  async markManualInvoice(orderNumber, cae, voucherNumber, notes = null) {
+  async markManualInvoice(orderNumber, cae, voucherNumber, notes = null, pointOfSale = null, consolidatedOrders = null, voucherType = null) {
     await this.initialize();
 
     try {
-      const changes = await this.db.markOrderManual(orderNumber, cae, voucherNumber, notes);
+      const changes = await this.db.markOrderManual(orderNumber, cae, voucherNumber, notes, pointOfSale, consolidatedOrders, voucherType);
       if (changes > 0) {
         logger.info('Order marked as manually processed', {
           orderNumber,
           cae,
+          pointOfSale,
+          voucherType,
           voucherNumber,
           event: 'manual_invoice_marked'
         });
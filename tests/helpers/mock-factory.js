@@ -1,5 +1,7 @@
 // Factory functions for creating test data and mocks
 
+const Order = require('../../src/domain/entities/Order');
+
 class MockFactory {
   static createBinanceOrder(overrides = {}) {
     const timestamp = Date.now();
@@ -72,6 +74,28 @@ class MockFactory {
     };
   }
 
+  static createInvoicedOrder(overrides = {}) {
+    const invoiceDate = overrides.invoiceDate || new Date().toISOString().split('T')[0];
+
+    return new Order({
+      orderNumber: `test_order_${Date.now()}`,
+      amount: 100,
+      price: 1000,
+      totalPrice: 100000,
+      asset: 'USDT',
+      fiat: 'ARS',
+      tradeType: 'SELL',
+      createTime: Date.now(),
+      orderDate: invoiceDate,
+      processedAt: `${invoiceDate}T12:00:00Z`,
+      success: true,
+      cae: '75123456789012',
+      voucherNumber: 1,
+      invoiceDate,
+      ...overrides
+    });
+  }
+
   static mockAfipService() {
     return {
       initialize: jest.fn().mockResolvedValue(),
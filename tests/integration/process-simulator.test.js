@@ -0,0 +1,151 @@
+/**
+ * End-to-end `process` flow against the local AFIP simulator: use cases,
+ * gateway adapter and AfipService over real SOAP/HTTP, with the orders table
+ * kept in memory.
+ */
+
+const AfipSimulator = require('../../src/simulator/AfipSimulator');
+const AfipService = require('../../src/services/AfipService');
+const AfipGatewayAdapter = require('../../src/infrastructure/gateways/AfipGatewayAdapter');
+const VoucherAllocator = require('../../src/infrastructure/gateways/VoucherAllocator');
+const ProcessUnprocessedOrders = require('../../src/application/use-cases/invoices/ProcessUnprocessedOrders');
+const Order = require('../../src/domain/entities/Order');
+const VoucherSequence = require('../../src/domain/entities/VoucherSequence');
+
+const POINT_OF_SALE = 3;
+const FACTURA_C = 11;
+
+const yesterday = () => new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+
+const makeOrder = (orderNumber, totalPrice) => Order.fromJSON({
+  orderNumber,
+  amount: 1,
+  price: totalPrice,
+  totalPrice,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.parse(yesterday()),
+  orderDate: yesterday()
+});
+
+// Orders table in memory, enough for ProcessUnprocessedOrders and CreateInvoice
+const inMemoryOrderRepository = (orders) => {
+  const rows = new Map(orders.map(order => [order.orderNumber.value, order]));
+  return {
+    rows,
+    findUnprocessed: async () => [...rows.values()].filter(order => !order.isProcessed()),
+    findByOrderNumber: async (orderNumber) => rows.get(String(orderNumber)) || null,
+    findByCae: async (cae) => [...rows.values()].find(order => order.cae && order.cae.value === cae) || null,
+    findSuccessfullyInvoiced: async () => [...rows.values()].filter(order => order.isSuccessful()),
+    update: async (order) => { rows.set(order.orderNumber.value, order); }
+  };
+};
+
+// Sequences table in memory, with the compare-and-swap of the Azure one
+const inMemorySequenceRepository = () => {
+  const rows = new Map();
+  let versions = 0;
+  return {
+    acquireLease: async (pointOfSale, voucherType, owner, expiresAt) => {
+      const key = VoucherSequence.keyFor(pointOfSale, voucherType);
+      const row = rows.get(key) || { pointOfSale, voucherType };
+      if (!new VoucherSequence(row).isLeased()) {
+        rows.set(key, { ...row, leaseOwner: owner, leaseExpiresAt: expiresAt, version: String(++versions) });
+      }
+      return new VoucherSequence(rows.get(key));
+    },
+    renewLease: async (sequence, expiresAt) => {
+      const row = rows.get(sequence.key);
+      if (row.version !== sequence.version) return null;
+      rows.set(sequence.key, { ...row, leaseExpiresAt: expiresAt, version: String(++versions) });
+      return new VoucherSequence(rows.get(sequence.key));
+    },
+    releaseLease: async (sequence, lastNumber) => {
+      rows.set(sequence.key, { pointOfSale: sequence.pointOfSale, voucherType: sequence.voucherType, lastNumber });
+      return true;
+    }
+  };
+};
+
+describe('process flow against the AFIP simulator', () => {
+  let simulator;
+  let orderRepository;
+  let useCase;
+
+  beforeEach(async () => {
+    simulator = new AfipSimulator({ lastVouchers: { [`${POINT_OF_SALE}-${FACTURA_C}`]: 41 } });
+    const url = await simulator.start();
+
+    const afipService = new AfipService({ cuit: '20123456786', environment: 'testing', simulatorUrl: url });
+    orderRepository = inMemoryOrderRepository([makeOrder('ORD-1', 15000), makeOrder('ORD-2', 27500.5)]);
+    useCase = new ProcessUnprocessedOrders(orderRepository, new AfipGatewayAdapter(afipService));
+  });
+
+  afterEach(async () => {
+    await simulator.stop();
+  });
+
+  it('authorizes each pending order on the next voucher number', async () => {
+    const result = await useCase.execute();
+
+    expect(result).toMatchObject({ totalOrders: 2, processedOrders: 2, failedOrders: 0 });
+    const saved = [...orderRepository.rows.values()];
+    expect(saved.map(order => order.voucherNumber)).toEqual([42, 43]);
+    expect(saved.every(order => order.isSuccessful() && /^\d{14}$/.test(order.cae.value))).toBe(true);
+    expect(simulator.voucher(POINT_OF_SALE, FACTURA_C, 43)).toMatchObject({ ImpTotal: '27500.5', Resultado: 'A' });
+  });
+
+  it('authorizes them in one multi-record request in batch mode', async () => {
+    const result = await useCase.execute({ batch: true });
+
+    expect(result).toMatchObject({ processedOrders: 2, failedOrders: 0 });
+    expect(simulator.requests.filter(r => r.method === 'FECAESolicitar')).toHaveLength(1);
+    expect(simulator.lastVoucher(POINT_OF_SALE, FACTURA_C)).toBe(43);
+  });
+
+  it('recovers from a voucher number taken in the meantime (10016)', async () => {
+    simulator.fail({ type: 'reject' });
+
+    const result = await useCase.execute({ limit: 1 });
+
+    expect(result.processedOrders).toBe(1);
+    expect(orderRepository.rows.get('ORD-1').voucherNumber).toBe(42);
+    expect(simulator.requests.map(r => r.method)).toContain('FECompConsultar');
+  });
+
+  it('numbers the vouchers of two concurrent runs without colliding', async () => {
+    const sequences = inMemorySequenceRepository();
+    const run = (owner, orders) => {
+      const afipService = new AfipService({ cuit: '20123456786', environment: 'testing', simulatorUrl: simulator.url });
+      const voucherAllocator = new VoucherAllocator(sequences, { owner, retryMs: 10 });
+      const repository = inMemoryOrderRepository(orders);
+      return new ProcessUnprocessedOrders(repository, new AfipGatewayAdapter(afipService, { voucherAllocator }))
+        .execute()
+        .then(result => ({ result, repository }));
+    };
+
+    const [scheduled, dashboard] = await Promise.all([
+      run('github-actions', [makeOrder('ORD-3', 1000), makeOrder('ORD-4', 2000)]),
+      run('dashboard', [makeOrder('ORD-5', 3000), makeOrder('ORD-6', 4000)])
+    ]);
+
+    expect(scheduled.result.processedOrders + dashboard.result.processedOrders).toBe(4);
+    const numbers = [scheduled, dashboard]
+      .flatMap(({ repository }) => [...repository.rows.values()].map(order => order.voucherNumber));
+    expect(numbers.sort()).toEqual([42, 43, 44, 45]);
+    expect(simulator.requests.map(r => r.method)).not.toContain('FECompConsultar');
+  });
+
+  it('records an order AFIP rejects with an observation as failed', async () => {
+    simulator.fail({ type: 'reject', code: 10015, message: 'El campo DocNro es invalido' });
+
+    const result = await useCase.execute({ limit: 1 });
+
+    expect(result.failedOrders).toBe(1);
+    const order = orderRepository.rows.get('ORD-1');
+    expect(order.isProcessed() && !order.isSuccessful()).toBe(true);
+    expect(order.errorMessage).toContain('[10015]');
+    expect(simulator.lastVoucher(POINT_OF_SALE, FACTURA_C)).toBe(41);
+  });
+});
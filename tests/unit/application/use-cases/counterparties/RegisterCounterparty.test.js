@@ -0,0 +1,49 @@
+const RegisterCounterparty = require('../../../../../src/application/use-cases/counterparties/RegisterCounterparty');
+const Counterparty = require('../../../../../src/domain/entities/Counterparty');
+const { ValidationError } = require('../../../../../src/shared/errors');
+
+describe('RegisterCounterparty', () => {
+  let counterpartyRepository;
+  let useCase;
+
+  beforeEach(() => {
+    counterpartyRepository = { save: jest.fn().mockResolvedValue(undefined) };
+    useCase = new RegisterCounterparty(counterpartyRepository);
+  });
+
+  it('saves the buyer under their nickname', async () => {
+    const counterparty = await useCase.execute({
+      nickname: 'buyer1',
+      docType: 96,
+      docNumber: '30123456',
+      name: 'ANA PEREZ'
+    });
+
+    expect(counterparty).toBeInstanceOf(Counterparty);
+    expect(counterparty.nickname).toBe('buyer1');
+    expect(counterpartyRepository.save).toHaveBeenCalledWith(counterparty);
+  });
+
+  it('records the VAT condition to declare', async () => {
+    const counterparty = await useCase.execute({
+      nickname: 'acme',
+      docType: 80,
+      docNumber: '30712345671',
+      vatCondition: 1
+    });
+
+    expect(counterparty.vatCondition).toBe(1);
+  });
+
+  it('requires a nickname and a document', async () => {
+    await expect(useCase.execute({ docType: 96, docNumber: '30123456' })).rejects.toThrow(ValidationError);
+    await expect(useCase.execute({ nickname: 'buyer1', docType: 96 })).rejects.toThrow(ValidationError);
+    expect(counterpartyRepository.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects an invalid document without saving', async () => {
+    await expect(useCase.execute({ nickname: 'buyer1', docType: 80, docNumber: '30712345670' }))
+      .rejects.toThrow(ValidationError);
+    expect(counterpartyRepository.save).not.toHaveBeenCalled();
+  });
+});
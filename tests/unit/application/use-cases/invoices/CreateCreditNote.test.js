@@ -0,0 +1,157 @@
+const CreateCreditNote = require('../../../../../src/application/use-cases/invoices/CreateCreditNote');
+const Order = require('../../../../../src/domain/entities/Order');
+const InvoiceResult = require('../../../../../src/domain/entities/InvoiceResult');
+const { AFIP_VOUCHER_TYPE } = require('../../../../../src/shared/constants');
+const { DomainError, NotFoundError, ValidationError } = require('../../../../../src/shared/errors');
+
+const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// A SELL order already invoiced as Factura C #42.
+const makeInvoicedOrder = (overrides = {}) => Order.fromJSON({
+  orderNumber: '22898552614455627776',
+  amount: 100,
+  price: 1990,
+  totalPrice: 199000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.now(),
+  orderDate: today(),
+  processedAt: new Date(),
+  processingMethod: 'automatic',
+  success: true,
+  cae: '74123456789012',
+  voucherNumber: 42,
+  invoiceDate: today(),
+  ...overrides
+});
+
+describe('CreateCreditNote', () => {
+  let orderRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeInvoicedOrder()),
+      findAllByCae: jest.fn().mockResolvedValue([makeInvoicedOrder()]),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn().mockImplementation(async (invoice) => InvoiceResult.success({
+        cae: '74999999999999',
+        caeExpiration: '2030-01-01',
+        voucherNumber: 7,
+        invoiceDate: invoice.invoiceDate
+      }))
+    };
+    useCase = new CreateCreditNote(orderRepository, afipGateway);
+  });
+
+  it('submits a Nota de Crédito C for the full amount referencing the original voucher', async () => {
+    const result = await useCase.execute({ orderNumber: '22898552614455627776' });
+
+    expect(result).toMatchObject({ success: true, amount: 199000, cae: '74999999999999', voucherNumber: 7 });
+
+    const note = afipGateway.createInvoice.mock.calls[0][0];
+    expect(note.getInvoiceType()).toBe(AFIP_VOUCHER_TYPE.CREDIT_NOTE_C);
+    expect(note.totalAmount.amount).toBe(199000);
+    expect(note.associatedVoucher).toMatchObject({ type: AFIP_VOUCHER_TYPE.INVOICE_C, number: 42 });
+  });
+
+  it('credits a Factura B with a Nota de Crédito B that itemizes IVA', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(makeInvoicedOrder({ voucherType: AFIP_VOUCHER_TYPE.INVOICE_B }));
+
+    const result = await useCase.execute({ orderNumber: '22898552614455627776', amount: 12100 });
+
+    const afipData = afipGateway.createInvoice.mock.calls[0][0].toAFIPFormat(3);
+    expect(afipData).toMatchObject({ CbteTipo: AFIP_VOUCHER_TYPE.CREDIT_NOTE_B, ImpNeto: 10000, ImpIVA: 2100 });
+    expect(afipData.CbtesAsoc.CbteAsoc[0].Tipo).toBe(AFIP_VOUCHER_TYPE.INVOICE_B);
+    expect(result.success).toBe(true);
+    expect(orderRepository.update.mock.calls[0][0].adjustments[0].voucherType).toBe(AFIP_VOUCHER_TYPE.CREDIT_NOTE_B);
+  });
+
+  it('records the credit note on the order', async () => {
+    await useCase.execute({ orderNumber: '22898552614455627776', amount: 50000 });
+
+    const saved = orderRepository.update.mock.calls[0][0];
+    expect(saved.adjustments).toHaveLength(1);
+    expect(saved.adjustments[0]).toMatchObject({
+      kind: 'credit',
+      voucherType: AFIP_VOUCHER_TYPE.CREDIT_NOTE_C,
+      voucherNumber: 7,
+      cae: '74999999999999',
+      amount: 50000
+    });
+    expect(saved.getNetInvoicedAmount().amount).toBe(149000);
+  });
+
+  it('looks the order up by CAE when no order number is given', async () => {
+    await useCase.execute({ cae: '74123456789012' });
+
+    expect(orderRepository.findAllByCae).toHaveBeenCalledWith('74123456789012');
+    expect(orderRepository.findByOrderNumber).not.toHaveBeenCalled();
+  });
+
+  it('defaults to the amount still invoiced after earlier credits', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(makeInvoicedOrder({
+      adjustments: [{ kind: 'credit', voucherType: 13, voucherNumber: 1, cae: '74000000000001', date: today(), amount: 99000 }]
+    }));
+
+    const result = await useCase.execute({ orderNumber: '22898552614455627776' });
+
+    expect(result.amount).toBe(100000);
+  });
+
+  it('does not touch the order when AFIP rejects the note', async () => {
+    afipGateway.createInvoice.mockResolvedValue(InvoiceResult.failure('[10015] Comprobante asociado inexistente'));
+
+    const result = await useCase.execute({ orderNumber: '22898552614455627776' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('10015');
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects credits above the amount still invoiced', async () => {
+    await expect(
+      useCase.execute({ orderNumber: '22898552614455627776', amount: 200000 })
+    ).rejects.toThrow(DomainError);
+    expect(afipGateway.createInvoice).not.toHaveBeenCalled();
+  });
+
+  it('rejects orders without an authorized invoice', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(makeInvoicedOrder({
+      success: false, cae: null, voucherNumber: null, errorMessage: 'AFIP rejected'
+    }));
+
+    await expect(
+      useCase.execute({ orderNumber: '22898552614455627776' })
+    ).rejects.toThrow(DomainError);
+  });
+
+  it('throws NotFoundError for unknown orders', async () => {
+    orderRepository.findAllByCae.mockResolvedValue([]);
+
+    await expect(useCase.execute({ cae: '74123456789012' })).rejects.toThrow(NotFoundError);
+  });
+
+  it('asks for an order number when the CAE is a daily consolidated invoice', async () => {
+    orderRepository.findAllByCae.mockResolvedValue([
+      makeInvoicedOrder({ orderNumber: '22898552614455627776', totalPrice: 30000, consolidatedOrders: 2 }),
+      makeInvoicedOrder({ orderNumber: '22898552614455627777', totalPrice: 20000, consolidatedOrders: 2 })
+    ]);
+
+    await expect(useCase.execute({ cae: '74123456789012' }))
+      .rejects.toThrow(/daily invoice of 2 orders \(22898552614455627776, 22898552614455627777\).*by order number/);
+    expect(afipGateway.createInvoice).not.toHaveBeenCalled();
+  });
+
+  it('requires an order number or CAE', async () => {
+    await expect(useCase.execute({})).rejects.toThrow(ValidationError);
+    await expect(useCase.execute({ orderNumber: 'X', amount: -5 })).rejects.toThrow(ValidationError);
+  });
+});
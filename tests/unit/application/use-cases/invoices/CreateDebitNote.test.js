@@ -0,0 +1,114 @@
+const CreateDebitNote = require('../../../../../src/application/use-cases/invoices/CreateDebitNote');
+const Order = require('../../../../../src/domain/entities/Order');
+const InvoiceResult = require('../../../../../src/domain/entities/InvoiceResult');
+const { AFIP_VOUCHER_TYPE } = require('../../../../../src/shared/constants');
+const { DomainError, NotFoundError, ValidationError } = require('../../../../../src/shared/errors');
+
+const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// A SELL order already invoiced as Factura C #42 for 199,000.
+const makeInvoicedOrder = (overrides = {}) => Order.fromJSON({
+  orderNumber: '22898552614455627776',
+  amount: 100,
+  price: 1990,
+  totalPrice: 199000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.now(),
+  orderDate: today(),
+  processedAt: new Date(),
+  processingMethod: 'automatic',
+  success: true,
+  cae: '74123456789012',
+  voucherNumber: 42,
+  invoiceDate: today(),
+  ...overrides
+});
+
+describe('CreateDebitNote', () => {
+  let orderRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeInvoicedOrder()),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn().mockImplementation(async (invoice) => InvoiceResult.success({
+        cae: '74999999999999',
+        caeExpiration: '2030-01-01',
+        voucherNumber: 3,
+        invoiceDate: invoice.invoiceDate
+      }))
+    };
+    useCase = new CreateDebitNote(orderRepository, afipGateway);
+  });
+
+  it('submits a Nota de Débito C for the missing difference', async () => {
+    const result = await useCase.execute({ orderNumber: '22898552614455627776', correctAmount: 200000.5 });
+
+    expect(result).toMatchObject({ success: true, amount: 1000.5, voucherNumber: 3 });
+
+    const note = afipGateway.createInvoice.mock.calls[0][0];
+    expect(note.getInvoiceType()).toBe(AFIP_VOUCHER_TYPE.DEBIT_NOTE_C);
+    expect(note.totalAmount.amount).toBe(1000.5);
+    expect(note.associatedVoucher).toMatchObject({ type: AFIP_VOUCHER_TYPE.INVOICE_C, number: 42 });
+  });
+
+  it('records the debit note so the order totals include it', async () => {
+    await useCase.execute({ orderNumber: '22898552614455627776', correctAmount: 200000 });
+
+    const saved = orderRepository.update.mock.calls[0][0];
+    expect(saved.adjustments[0]).toMatchObject({
+      kind: 'debit',
+      voucherType: AFIP_VOUCHER_TYPE.DEBIT_NOTE_C,
+      amount: 1000
+    });
+    expect(saved.getNetInvoicedAmount().amount).toBe(200000);
+  });
+
+  it('computes the difference against earlier notes', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(makeInvoicedOrder({
+      adjustments: [{ kind: 'credit', voucherType: 13, voucherNumber: 1, cae: '74000000000001', date: today(), amount: 9000 }]
+    }));
+
+    const result = await useCase.execute({ orderNumber: '22898552614455627776', correctAmount: 199000 });
+
+    expect(result.amount).toBe(9000);
+  });
+
+  it('refuses when the order is not under-invoiced', async () => {
+    await expect(
+      useCase.execute({ orderNumber: '22898552614455627776', correctAmount: 199000 })
+    ).rejects.toThrow(DomainError);
+    expect(afipGateway.createInvoice).not.toHaveBeenCalled();
+  });
+
+  it('does not touch the order when AFIP rejects the note', async () => {
+    afipGateway.createInvoice.mockResolvedValue(InvoiceResult.failure('AFIP rejected'));
+
+    const result = await useCase.execute({ orderNumber: '22898552614455627776', correctAmount: 200000 });
+
+    expect(result.success).toBe(false);
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('throws NotFoundError for unknown orders', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(null);
+
+    await expect(
+      useCase.execute({ orderNumber: 'missing', correctAmount: 10 })
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  it('validates input', async () => {
+    await expect(useCase.execute({ correctAmount: 10 })).rejects.toThrow(ValidationError);
+    await expect(useCase.execute({ orderNumber: 'X' })).rejects.toThrow(ValidationError);
+  });
+});
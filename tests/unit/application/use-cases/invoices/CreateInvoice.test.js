@@ -2,7 +2,13 @@
 
 const CreateInvoice = require('../../../../../src/application/use-cases/invoices/CreateInvoice');
 const Order = require('../../../../../src/domain/entities/Order');
-const { DomainError } = require('../../../../../src/shared/errors');
+const InvoiceResult = require('../../../../../src/domain/entities/InvoiceResult');
+const AuthorizedVoucher = require('../../../../../src/domain/entities/AuthorizedVoucher');
+const Taxpayer = require('../../../../../src/domain/entities/Taxpayer');
+const IssuerProfileTimeline = require('../../../../../src/domain/entities/IssuerProfileTimeline');
+const Counterparty = require('../../../../../src/domain/entities/Counterparty');
+const PointOfSaleRouting = require('../../../../../src/domain/entities/PointOfSaleRouting');
+const { DomainError, NotFoundError, InfrastructureError } = require('../../../../../src/shared/errors');
 
 // A valid, unprocessed SELL order dated today so it passes the age check.
 const makeOrder = (overrides = {}) => {
@@ -34,7 +40,9 @@ describe('CreateInvoice — failure handling', () => {
       update: jest.fn().mockResolvedValue(undefined)
     };
     afipGateway = {
-      createInvoice: jest.fn()
+      createInvoice: jest.fn(),
+      getLastInvoiceNumber: jest.fn().mockResolvedValue(0),
+      queryInvoice: jest.fn().mockResolvedValue(null)
     };
     useCase = new CreateInvoice(orderRepository, afipGateway);
   });
@@ -69,7 +77,7 @@ describe('CreateInvoice — failure handling', () => {
     expect(savedOrder.isFailed()).toBe(true);
   });
 
-  it('marks the order failed on the AFIP "already exists" (10016) error', async () => {
+  it('marks the order failed when AFIP 10016 persists after the recovery retry', async () => {
     const dup = new Error('El numero de comprobante no se corresponde con el proximo a autorizar');
     afipGateway.createInvoice.mockRejectedValue(dup);
 
@@ -95,3 +103,460 @@ describe('CreateInvoice — failure handling', () => {
     expect(orderRepository.update).not.toHaveBeenCalled();
   });
 });
+
+describe('CreateInvoice — AFIP 10016 recovery', () => {
+  const orderNumber = '22898552614455627776';
+  const sequenceError = InvoiceResult.failure(
+    'AFIP rejected invoice: [10016] El numero o fecha del comprobante no se corresponde con el proximo a autorizar'
+  );
+  let order;
+  let orderRepository;
+  let afipGateway;
+  let useCase;
+
+  const authorized = (overrides = {}) => new AuthorizedVoucher({
+    pointOfSale: 3,
+    voucherType: 11,
+    voucherNumber: 41,
+    voucherDate: order.orderDate,
+    concept: 2,
+    docType: 99,
+    docNumber: '0',
+    totalAmount: 199000,
+    netAmount: 199000,
+    serviceFrom: order.orderDate,
+    serviceTo: order.orderDate,
+    cae: '74111111111111',
+    caeExpiration: '2099-01-01',
+    result: 'A',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    order = makeOrder();
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(order),
+      findByCae: jest.fn().mockResolvedValue(null),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn().mockResolvedValueOnce(sequenceError),
+      getLastInvoiceNumber: jest.fn().mockResolvedValue(41),
+      queryInvoice: jest.fn().mockImplementation(async () => authorized())
+    };
+    useCase = new CreateInvoice(orderRepository, afipGateway);
+  });
+
+  it('adopts the last authorized voucher when it is this order\'s invoice', async () => {
+    const result = await useCase.execute({ orderNumber });
+
+    expect(afipGateway.getLastInvoiceNumber).toHaveBeenCalledWith(3, 11);
+    expect(afipGateway.queryInvoice).toHaveBeenCalledWith(3, 11, 41);
+    expect(afipGateway.createInvoice).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ success: true, cae: '74111111111111', voucherNumber: 41 });
+
+    const saved = orderRepository.update.mock.calls[0][0];
+    expect(saved.isSuccessful()).toBe(true);
+    expect(saved.cae.value).toBe('74111111111111');
+    expect(saved.voucherNumber).toBe(41);
+  });
+
+  it('retries without a number of its own when the last voucher is for a different amount', async () => {
+    afipGateway.queryInvoice.mockResolvedValue(authorized({ totalAmount: 5000, netAmount: 5000 }));
+    afipGateway.createInvoice.mockResolvedValueOnce(InvoiceResult.success({
+      cae: '74222222222222',
+      voucherNumber: 42,
+      invoiceDate: order.orderDate
+    }));
+
+    const result = await useCase.execute({ orderNumber });
+
+    expect(afipGateway.createInvoice).toHaveBeenCalledTimes(2);
+    // The gateway numbers the retry holding the sequence lease
+    expect(afipGateway.createInvoice.mock.calls[1]).toHaveLength(1);
+    expect(result).toMatchObject({ success: true, voucherNumber: 42 });
+  });
+
+  it('does not adopt a voucher that another order already holds', async () => {
+    orderRepository.findByCae.mockResolvedValue(makeOrder({ orderNumber: '11111111111111111111' }));
+    afipGateway.createInvoice.mockResolvedValueOnce(InvoiceResult.success({
+      cae: '74222222222222',
+      voucherNumber: 42,
+      invoiceDate: order.orderDate
+    }));
+
+    const result = await useCase.execute({ orderNumber });
+
+    expect(afipGateway.createInvoice).toHaveBeenCalledTimes(2);
+    expect(result.voucherNumber).toBe(42);
+  });
+
+  it('recovers from a thrown 10016 error too', async () => {
+    const thrown = new Error('no se corresponde con el proximo a autorizar');
+    thrown.code = 10016;
+    afipGateway.createInvoice.mockReset().mockRejectedValueOnce(thrown);
+
+    const result = await useCase.execute({ orderNumber });
+
+    expect(result).toMatchObject({ success: true, voucherNumber: 41 });
+  });
+
+  it('leaves other AFIP rejections alone', async () => {
+    afipGateway.createInvoice.mockReset().mockResolvedValue(InvoiceResult.failure('[10048] Importe total invalido'));
+
+    const result = await useCase.execute({ orderNumber });
+
+    expect(result.success).toBe(false);
+    expect(afipGateway.getLastInvoiceNumber).not.toHaveBeenCalled();
+  });
+});
+
+describe('CreateInvoice — identified buyer', () => {
+  const orderNumber = '22898552614455627776';
+  let orderRepository;
+  let afipGateway;
+  let lookupTaxpayer;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeOrder()),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn().mockResolvedValue(InvoiceResult.success({
+        cae: '74333333333333',
+        voucherNumber: 7,
+        invoiceDate: makeOrder().orderDate
+      }))
+    };
+    lookupTaxpayer = {
+      execute: jest.fn().mockResolvedValue(new Taxpayer({
+        cuit: '30712345671',
+        name: 'ACME SA',
+        taxCondition: 'RESPONSABLE_INSCRIPTO'
+      }))
+    };
+    useCase = new CreateInvoice(orderRepository, afipGateway, lookupTaxpayer);
+  });
+
+  it('invoices the buyer with their CUIT and VAT condition from the padrón', async () => {
+    await useCase.execute({ orderNumber, buyerCuit: '30712345671' });
+
+    expect(lookupTaxpayer.execute).toHaveBeenCalledWith({ cuit: '30712345671' });
+    const invoice = afipGateway.createInvoice.mock.calls[0][0];
+    expect(invoice.receiverName).toBe('ACME SA');
+    expect(invoice.toAFIPFormat(3)).toMatchObject({ DocTipo: 80, DocNro: '30712345671', CondicionIVAReceptorId: 1 });
+  });
+
+  it('leaves the order untouched when the CUIT cannot be resolved', async () => {
+    lookupTaxpayer.execute.mockRejectedValue(NotFoundError.resource('Taxpayer', '30712345671'));
+
+    await expect(useCase.execute({ orderNumber, buyerCuit: '30712345671' })).rejects.toThrow(NotFoundError);
+    expect(orderRepository.findByOrderNumber).not.toHaveBeenCalled();
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('keeps invoicing unidentified orders as Consumidor Final', async () => {
+    await useCase.execute({ orderNumber });
+
+    expect(lookupTaxpayer.execute).not.toHaveBeenCalled();
+    expect(afipGateway.createInvoice.mock.calls[0][0].toAFIPFormat(3))
+      .toMatchObject({ DocTipo: 99, DocNro: 0, CondicionIVAReceptorId: 5 });
+  });
+});
+
+describe('CreateInvoice — Responsable Inscripto issuer', () => {
+  const orderNumber = '22898552614455627776';
+  let orderRepository;
+  let afipGateway;
+  let lookupTaxpayer;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeOrder()),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn().mockResolvedValue(InvoiceResult.success({
+        cae: '74333333333333',
+        voucherNumber: 7,
+        invoiceDate: makeOrder().orderDate
+      }))
+    };
+    lookupTaxpayer = {
+      execute: jest.fn().mockResolvedValue(new Taxpayer({
+        cuit: '30712345671',
+        name: 'ACME SA',
+        taxCondition: 'RESPONSABLE_INSCRIPTO'
+      }))
+    };
+    useCase = new CreateInvoice(orderRepository, afipGateway, lookupTaxpayer, {
+      issuerProfiles: IssuerProfileTimeline.single({
+        taxCondition: 'RESPONSABLE_INSCRIPTO',
+        pointOfSale: 3,
+        vatRate: 0.21
+      })
+    });
+  });
+
+  it('issues Factura B with IVA to an unidentified buyer and records the type', async () => {
+    const result = await useCase.execute({ orderNumber });
+
+    const afipData = afipGateway.createInvoice.mock.calls[0][0].toAFIPFormat(3);
+    expect(afipData).toMatchObject({ CbteTipo: 6, ImpNeto: 164462.81, ImpIVA: 34537.19, ImpTotal: 199000 });
+    expect(afipData.Iva.AlicIva).toEqual([{ Id: 5, BaseImp: 164462.81, Importe: 34537.19 }]);
+    expect(result.voucherType).toBe(6);
+    expect(orderRepository.update.mock.calls[0][0].voucherType).toBe(6);
+  });
+
+  it('issues Factura A to a registered buyer', async () => {
+    await useCase.execute({ orderNumber, buyerCuit: '30712345671' });
+
+    const afipData = afipGateway.createInvoice.mock.calls[0][0].toAFIPFormat(3);
+    expect(afipData.CbteTipo).toBe(1);
+    expect(orderRepository.update.mock.calls[0][0].voucherType).toBe(1);
+  });
+});
+
+describe('CreateInvoice — issuer profile change', () => {
+  const orderNumber = '22898552614455627776';
+  const today = makeOrder().orderDate;
+  const yesterday = new Date(Date.parse(today) - 86400000).toISOString().slice(0, 10);
+  let orderRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeOrder()),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn().mockResolvedValue(InvoiceResult.success({
+        cae: '74333333333333',
+        voucherNumber: 7,
+        invoiceDate: today
+      }))
+    };
+    // Monotributista until yesterday, Responsable Inscripto on point of sale 4 from today
+    useCase = new CreateInvoice(orderRepository, afipGateway, null, {
+      issuerProfiles: new IssuerProfileTimeline([
+        { taxCondition: 'MONOTRIBUTO', pointOfSale: 2 },
+        { effectiveFrom: today, taxCondition: 'RESPONSABLE_INSCRIPTO', pointOfSale: 4 }
+      ])
+    });
+  });
+
+  it('invoices under the profile in force on the invoice date', async () => {
+    await useCase.execute({ orderNumber });
+
+    const invoice = afipGateway.createInvoice.mock.calls[0][0];
+    expect(invoice.toAfipFormat()).toMatchObject({ PtoVta: 4, CbteTipo: 6 });
+    expect(orderRepository.update.mock.calls[0][0]).toMatchObject({ voucherType: 6, pointOfSale: 4 });
+  });
+
+  it('uses the profile in force on profileDate when given', async () => {
+    await useCase.execute({ orderNumber, profileDate: yesterday });
+
+    const invoice = afipGateway.createInvoice.mock.calls[0][0];
+    expect(invoice.toAfipFormat()).toMatchObject({ PtoVta: 2, CbteTipo: 11, ImpIVA: 0 });
+    expect(orderRepository.update.mock.calls[0][0]).toMatchObject({ voucherType: 11, pointOfSale: 2 });
+  });
+
+  it('rejects a malformed profileDate', async () => {
+    await expect(useCase.execute({ orderNumber, profileDate: '2026/07/01' })).rejects.toThrow('profile date');
+  });
+});
+
+describe('CreateInvoice — foreign buyer (Factura E)', () => {
+  const orderNumber = '22898552614455627776';
+  const foreignBuyer = { name: 'JOAO SILVA', country: 203, taxId: '12345678901', address: 'RUA A 10, SAO PAULO' };
+  let orderRepository;
+  let afipGateway;
+  let exportGateway;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeOrder({ foreignBuyer })),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = { createInvoice: jest.fn() };
+    exportGateway = {
+      createExportInvoice: jest.fn().mockResolvedValue(InvoiceResult.success({
+        cae: '76012345678901',
+        voucherNumber: 3,
+        invoiceDate: makeOrder().orderDate
+      }))
+    };
+  });
+
+  it('routes the order to the WSFEX gateway and records the Factura E', async () => {
+    const useCase = new CreateInvoice(orderRepository, afipGateway, null, { exportGateway, exportPointOfSale: 5 });
+
+    const result = await useCase.execute({ orderNumber });
+
+    expect(afipGateway.createInvoice).not.toHaveBeenCalled();
+    const exportInvoice = exportGateway.createExportInvoice.mock.calls[0][0];
+    expect(exportInvoice.toWsfexFormat(1, 3)).toMatchObject({ Cbte_Tipo: 19, Punto_vta: 5, Dst_cmp: 203, Imp_total: 199000 });
+    expect(result).toMatchObject({ success: true, voucherType: 19, voucherNumber: 3 });
+    expect(orderRepository.update.mock.calls[0][0]).toMatchObject({ voucherType: 19, pointOfSale: 5 });
+  });
+
+  it('leaves the order unprocessed when export invoicing is not configured', async () => {
+    const useCase = new CreateInvoice(orderRepository, afipGateway, null, { exportGateway });
+
+    await expect(useCase.execute({ orderNumber })).rejects.toThrow(InfrastructureError);
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('CreateInvoice — USD orders', () => {
+  const orderNumber = '22898552614455627776';
+  const today = makeOrder().orderDate;
+  let orderRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeOrder({ fiat: 'USD', totalPrice: 150 })),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      getExchangeRate: jest.fn().mockResolvedValue(1180.25),
+      createInvoice: jest.fn().mockResolvedValue(InvoiceResult.success({
+        cae: '74333333333333',
+        voucherNumber: 7,
+        invoiceDate: today
+      }))
+    };
+    useCase = new CreateInvoice(orderRepository, afipGateway);
+  });
+
+  it('invoices in DOL at the official rate for the invoice date and stores the rate', async () => {
+    await useCase.execute({ orderNumber });
+
+    expect(afipGateway.getExchangeRate).toHaveBeenCalledWith('USD', today);
+    const afipData = afipGateway.createInvoice.mock.calls[0][0].toAfipFormat();
+    expect(afipData).toMatchObject({ MonId: 'DOL', MonCotiz: 1180.25, ImpTotal: 150 });
+    expect(orderRepository.update.mock.calls[0][0].exchangeRate).toBe(1180.25);
+  });
+
+  it('does not look up a rate for orders in pesos', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(makeOrder());
+
+    await useCase.execute({ orderNumber });
+
+    expect(afipGateway.getExchangeRate).not.toHaveBeenCalled();
+    expect(orderRepository.update.mock.calls[0][0].exchangeRate).toBeNull();
+  });
+
+  it('leaves the order unprocessed when the rate cannot be fetched', async () => {
+    const error = new Error('AFIP FEParamGetCotizacion failed: no rate returned');
+    error.code = 'AFIP_PARAM_QUERY_FAILED';
+    afipGateway.getExchangeRate.mockRejectedValue(error);
+
+    await expect(useCase.execute({ orderNumber })).rejects.toThrow('FEParamGetCotizacion');
+    expect(afipGateway.createInvoice).not.toHaveBeenCalled();
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('CreateInvoice — buyer identification', () => {
+  const orderNumber = '22898552614455627776';
+  const counterparty = new Counterparty({ nickname: 'buyer1', docType: 96, docNumber: '30123456', name: 'ANA PEREZ' });
+  let orderRepository;
+  let afipGateway;
+  let counterpartyRepository;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeOrder({ buyerNickname: 'buyer1', totalPrice: 12000000 })),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn().mockResolvedValue(InvoiceResult.success({
+        cae: '74444444444444',
+        voucherNumber: 8,
+        invoiceDate: makeOrder().orderDate
+      }))
+    };
+    counterpartyRepository = { findByNickname: jest.fn().mockResolvedValue(counterparty) };
+    useCase = new CreateInvoice(orderRepository, afipGateway, null, {
+      counterpartyRepository,
+      identificationThreshold: 10000000
+    });
+  });
+
+  it('invoices a registered buyer with their document', async () => {
+    await useCase.execute({ orderNumber });
+
+    expect(counterpartyRepository.findByNickname).toHaveBeenCalledWith('buyer1');
+    const afipData = afipGateway.createInvoice.mock.calls[0][0].toAfipFormat();
+    expect(afipData).toMatchObject({ DocTipo: 96, DocNro: '30123456', CondicionIVAReceptorId: 5 });
+    expect(orderRepository.update.mock.calls[0][0].receiverVatCondition).toBe(5);
+  });
+
+  it('leaves an unregistered buyer above the threshold unprocessed', async () => {
+    counterpartyRepository.findByNickname.mockResolvedValue(null);
+
+    await expect(useCase.execute({ orderNumber })).rejects.toThrow('register buyer "buyer1"');
+    expect(afipGateway.createInvoice).not.toHaveBeenCalled();
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('invoices an unregistered buyer below the threshold as consumidor final', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(makeOrder({ buyerNickname: 'buyer2' }));
+    counterpartyRepository.findByNickname.mockResolvedValue(null);
+
+    await useCase.execute({ orderNumber });
+
+    expect(afipGateway.createInvoice.mock.calls[0][0].toAfipFormat().DocTipo).toBe(99);
+  });
+});
+
+describe('CreateInvoice — point of sale routing', () => {
+  const orderNumber = '22898552614455627776';
+  let orderRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeOrder()),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn().mockResolvedValue(InvoiceResult.success({
+        cae: '74555555555555',
+        voucherNumber: 3,
+        invoiceDate: makeOrder().orderDate
+      }))
+    };
+    useCase = new CreateInvoice(orderRepository, afipGateway, null, {
+      issuerProfiles: IssuerProfileTimeline.single({ taxCondition: 'MONOTRIBUTO', pointOfSale: 2 }),
+      pointOfSaleRouting: new PointOfSaleRouting([
+        { pointOfSale: 5, asset: 'BTC' },
+        { pointOfSale: 3, source: 'binance' }
+      ])
+    });
+  });
+
+  it('invoices on the point of sale of the first matching rule', async () => {
+    await useCase.execute({ orderNumber });
+
+    expect(afipGateway.createInvoice.mock.calls[0][0].toAfipFormat()).toMatchObject({ PtoVta: 3, CbteTipo: 11 });
+    expect(orderRepository.update.mock.calls[0][0]).toMatchObject({ pointOfSale: 3, voucherNumber: 3 });
+  });
+
+  it('keeps the issuer profile point of sale when no rule matches', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(makeOrder({ source: 'manual' }));
+
+    await useCase.execute({ orderNumber });
+
+    expect(afipGateway.createInvoice.mock.calls[0][0].toAfipFormat().PtoVta).toBe(2);
+  });
+});
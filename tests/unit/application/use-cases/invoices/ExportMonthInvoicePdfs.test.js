@@ -0,0 +1,61 @@
+const ExportMonthInvoicePdfs = require('../../../../../src/application/use-cases/invoices/ExportMonthInvoicePdfs');
+const Order = require('../../../../../src/domain/entities/Order');
+const { ValidationError } = require('../../../../../src/shared/errors');
+
+const invoiced = (orderNumber, voucherNumber, invoiceDate) => Order.fromJSON({
+  orderNumber,
+  amount: 1,
+  price: 1000,
+  totalPrice: 1000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.parse('2026-01-10'),
+  orderDate: invoiceDate,
+  processedAt: new Date(),
+  processingMethod: 'automatic',
+  success: true,
+  cae: `7400000000${String(voucherNumber).padStart(4, '0')}`,
+  voucherNumber,
+  invoiceDate
+});
+
+describe('ExportMonthInvoicePdfs', () => {
+  let orderRepository;
+  let generateInvoicePdf;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findSuccessfullyInvoiced: jest.fn().mockResolvedValue([
+        invoiced('ORD-23', 23, '2026-01-20'),
+        invoiced('ORD-21', 21, '2026-01-12'),
+        invoiced('ORD-30', 30, '2026-02-02')
+      ])
+    };
+    generateInvoicePdf = {
+      execute: jest.fn(async ({ orderNumber }) => ({ orderNumber, fileName: `${orderNumber}.pdf`, pdf: Buffer.from('%PDF') }))
+    };
+    useCase = new ExportMonthInvoicePdfs(orderRepository, generateInvoicePdf);
+  });
+
+  it('renders the month\'s invoices in voucher order', async () => {
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    expect(result.documents.map(d => d.orderNumber)).toEqual(['ORD-21', 'ORD-23']);
+    expect(result.failures).toEqual([]);
+  });
+
+  it('keeps going when one invoice cannot be rendered', async () => {
+    generateInvoicePdf.execute.mockRejectedValueOnce(new Error('AFIP has no record of this voucher'));
+
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    expect(result.documents.map(d => d.orderNumber)).toEqual(['ORD-23']);
+    expect(result.failures).toEqual([{ orderNumber: 'ORD-21', error: 'AFIP has no record of this voucher' }]);
+  });
+
+  it('validates the month', async () => {
+    await expect(useCase.execute({ year: 2026, month: 13 })).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,149 @@
+const GenerateInvoicePdf = require('../../../../../src/application/use-cases/invoices/GenerateInvoicePdf');
+const Order = require('../../../../../src/domain/entities/Order');
+const AuthorizedVoucher = require('../../../../../src/domain/entities/AuthorizedVoucher');
+const IssuerProfileTimeline = require('../../../../../src/domain/entities/IssuerProfileTimeline');
+const AfipQrCode = require('../../../../../src/domain/services/AfipQrCode');
+const { NotFoundError, DomainError } = require('../../../../../src/shared/errors');
+
+const invoicedOrder = (overrides = {}) => Order.fromJSON({
+  orderNumber: 'ORD-21',
+  amount: 10,
+  price: 1234.567,
+  totalPrice: 12345.67,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.parse('2026-01-10'),
+  orderDate: '2026-01-10',
+  processedAt: new Date(),
+  processingMethod: 'automatic',
+  success: true,
+  cae: '74000000000021',
+  voucherNumber: 21,
+  invoiceDate: '2026-01-12',
+  ...overrides
+});
+
+const voucher = (overrides = {}) => new AuthorizedVoucher({
+  pointOfSale: 3,
+  voucherType: 11,
+  voucherNumber: 21,
+  voucherDate: '2026-01-12',
+  concept: 2,
+  docType: 99,
+  docNumber: '0',
+  totalAmount: 12345.67,
+  netAmount: 12345.67,
+  serviceFrom: '2026-01-10',
+  serviceTo: '2026-01-10',
+  cae: '74000000000021',
+  caeExpiration: '2026-01-22',
+  ...overrides
+});
+
+describe('GenerateInvoicePdf', () => {
+  let orderRepository;
+  let afipGateway;
+  let invoiceRenderer;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = { findByOrderNumber: jest.fn().mockResolvedValue(invoicedOrder()) };
+    afipGateway = { queryInvoice: jest.fn().mockResolvedValue(voucher()) };
+    invoiceRenderer = { render: jest.fn().mockResolvedValue(Buffer.from('%PDF-1.3')) };
+    useCase = new GenerateInvoicePdf(orderRepository, afipGateway, invoiceRenderer, {
+      issuer: { cuit: '20123456786', name: 'PEREZ JUAN', taxCondition: 'MONOTRIBUTO' },
+      pointOfSale: 3,
+      caeaPointOfSale: 9
+    });
+  });
+
+  it('renders the voucher AFIP has on record with its QR code', async () => {
+    const result = await useCase.execute({ orderNumber: 'ORD-21' });
+
+    expect(afipGateway.queryInvoice).toHaveBeenCalledWith(3, 11, 21);
+    expect(result).toMatchObject({ orderNumber: 'ORD-21', voucherNumber: 21, fileName: 'factura-C-00003-00000021.pdf' });
+    expect(result.pdf.toString()).toBe('%PDF-1.3');
+
+    const document = invoiceRenderer.render.mock.calls[0][0];
+    expect(document).toMatchObject({
+      issuer: { cuit: '20-12345678-6', name: 'PEREZ JUAN', taxCondition: 'Responsable Monotributo' },
+      letter: 'C',
+      pointOfSale: 3,
+      voucherNumber: 21,
+      date: '2026-01-12',
+      cae: '74000000000021',
+      caeExpiration: '2026-01-22',
+      servicePeriod: '2026-01-10 – 2026-01-10'
+    });
+    expect(document.total.amount).toBe(12345.67);
+    expect(document.vat).toBeNull();
+    expect(AfipQrCode.decode(document.qrUrl)).toMatchObject({ cuit: 20123456786, nroCmp: 21, codAut: 74000000000021 });
+  });
+
+  it('prints Factura B with its net and IVA lines', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(invoicedOrder({ voucherType: 6 }));
+    afipGateway.queryInvoice.mockResolvedValue(voucher({ voucherType: 6, netAmount: 10202.17, vatAmount: 2143.5 }));
+
+    const result = await useCase.execute({ orderNumber: 'ORD-21' });
+
+    expect(afipGateway.queryInvoice).toHaveBeenCalledWith(3, 6, 21);
+    expect(result.fileName).toBe('factura-B-00003-00000021.pdf');
+    const document = invoiceRenderer.render.mock.calls[0][0];
+    expect(document).toMatchObject({ letter: 'B', voucherType: 6 });
+    expect(document.net.amount).toBe(10202.17);
+    expect(document.vat.amount).toBe(2143.5);
+  });
+
+  it('uses the point of sale and issuer profile the invoice was issued under', async () => {
+    useCase = new GenerateInvoicePdf(orderRepository, afipGateway, invoiceRenderer, {
+      issuer: { cuit: '20123456786', name: 'PEREZ JUAN', taxCondition: 'MONOTRIBUTO' },
+      pointOfSale: 3,
+      issuerProfiles: new IssuerProfileTimeline([
+        { taxCondition: 'MONOTRIBUTO', pointOfSale: 3 },
+        { effectiveFrom: '2026-01-01', taxCondition: 'RESPONSABLE_INSCRIPTO', pointOfSale: 4 }
+      ])
+    });
+    orderRepository.findByOrderNumber.mockResolvedValue(invoicedOrder({ voucherType: 6, pointOfSale: 4 }));
+    afipGateway.queryInvoice.mockResolvedValue(voucher({ pointOfSale: 4, voucherType: 6, netAmount: 10202.17, vatAmount: 2143.5 }));
+
+    const result = await useCase.execute({ orderNumber: 'ORD-21' });
+
+    expect(afipGateway.queryInvoice).toHaveBeenCalledWith(4, 6, 21);
+    expect(result.fileName).toBe('factura-B-00004-00000021.pdf');
+    expect(invoiceRenderer.render.mock.calls[0][0].issuer.taxCondition).toBe('IVA Responsable Inscripto');
+  });
+
+  it('looks CAEA vouchers up on the CAEA point of sale', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(invoicedOrder({ authorizationType: 'CAEA' }));
+
+    await useCase.execute({ orderNumber: 'ORD-21' });
+
+    expect(afipGateway.queryInvoice).toHaveBeenCalledWith(9, 11, 21);
+  });
+
+  it('rejects orders without an authorized invoice', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(invoicedOrder({
+      success: false, cae: null, voucherNumber: null, errorMessage: 'rejected'
+    }));
+
+    await expect(useCase.execute({ orderNumber: 'ORD-21' })).rejects.toThrow(DomainError);
+    expect(afipGateway.queryInvoice).not.toHaveBeenCalled();
+  });
+
+  it('throws NotFoundError for an unknown order', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(null);
+
+    await expect(useCase.execute({ orderNumber: 'ORD-404' })).rejects.toThrow(NotFoundError);
+  });
+
+  it('refuses to print when AFIP has no record or a different CAE', async () => {
+    afipGateway.queryInvoice.mockResolvedValueOnce(null);
+    await expect(useCase.execute({ orderNumber: 'ORD-21' })).rejects.toThrow('AFIP has no record');
+
+    afipGateway.queryInvoice.mockResolvedValueOnce(voucher({ cae: '74000000000099' }));
+    await expect(useCase.execute({ orderNumber: 'ORD-21' })).rejects.toThrow('different CAE');
+
+    expect(invoiceRenderer.render).not.toHaveBeenCalled();
+  });
+});
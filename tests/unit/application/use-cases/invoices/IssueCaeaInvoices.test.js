@@ -0,0 +1,171 @@
+const IssueCaeaInvoices = require('../../../../../src/application/use-cases/invoices/IssueCaeaInvoices');
+const Order = require('../../../../../src/domain/entities/Order');
+const Caea = require('../../../../../src/domain/entities/Caea');
+const Counterparty = require('../../../../../src/domain/entities/Counterparty');
+const IssuerProfileTimeline = require('../../../../../src/domain/entities/IssuerProfileTimeline');
+const { DomainError } = require('../../../../../src/shared/errors');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const makeOrder = (orderNumber, overrides = {}) => Order.fromJSON({
+  orderNumber,
+  amount: 1,
+  price: 1000,
+  totalPrice: 1000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.now(),
+  orderDate: today(),
+  ...overrides
+});
+
+describe('IssueCaeaInvoices', () => {
+  let orderRepository;
+  let caeaRepository;
+  let useCase;
+
+  beforeEach(() => {
+    const { period, fortnight } = Caea.periodFor(today());
+    caeaRepository = {
+      findCovering: jest.fn().mockResolvedValue(new Caea({
+        code: '31234567890123',
+        period,
+        fortnight,
+        validFrom: '2000-01-01',
+        validTo: '2100-12-31',
+        reportDeadline: '2100-12-31'
+      }))
+    };
+    orderRepository = {
+      findUnprocessed: jest.fn().mockResolvedValue([makeOrder('ORD-1'), makeOrder('ORD-2')]),
+      findSuccessfullyInvoiced: jest.fn().mockResolvedValue([
+        // CAE invoice on the regular point of sale: does not count
+        makeOrder('ORD-OLD', { processedAt: new Date(), success: true, cae: '74000000000099', voucherNumber: 99 }),
+        makeOrder('ORD-CAEA', {
+          processedAt: new Date(),
+          success: true,
+          cae: '31234567890123',
+          voucherNumber: 4,
+          authorizationType: 'CAEA'
+        })
+      ]),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    useCase = new IssueCaeaInvoices(orderRepository, caeaRepository, { pointOfSale: 9 });
+  });
+
+  it('numbers vouchers after the last CAEA voucher and records them pending report', async () => {
+    const result = await useCase.execute();
+
+    expect(result.issued).toEqual([
+      { orderNumber: 'ORD-1', voucherType: 11, voucherNumber: 5 },
+      { orderNumber: 'ORD-2', voucherType: 11, voucherNumber: 6 }
+    ]);
+
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved.every(o => o.isPendingCaeaReport())).toBe(true);
+    expect(saved[0].cae.value).toBe('31234567890123');
+    expect(saved[0].voucherType).toBe(11);
+    expect(saved[0].invoiceDate).toBe(result.invoiceDate);
+  });
+
+  it('invoices under the issuer profile and numbers each voucher type on its own', async () => {
+    const registered = new Counterparty({
+      nickname: 'buyer1',
+      docType: 80,
+      docNumber: '20111111112',
+      name: 'ACME SRL',
+      vatCondition: 1
+    });
+    orderRepository.findUnprocessed.mockResolvedValue([
+      makeOrder('ORD-1', { buyerNickname: 'buyer1' }),
+      makeOrder('ORD-2', { buyerNickname: 'buyer2' })
+    ]);
+    orderRepository.findSuccessfullyInvoiced.mockResolvedValue([
+      makeOrder('ORD-B', {
+        processedAt: new Date(),
+        success: true,
+        cae: '31234567890123',
+        voucherType: 6,
+        voucherNumber: 4,
+        authorizationType: 'CAEA'
+      })
+    ]);
+    const counterpartyRepository = {
+      findByNickname: jest.fn().mockImplementation(nickname => Promise.resolve(nickname === 'buyer1' ? registered : null))
+    };
+    useCase = new IssueCaeaInvoices(orderRepository, caeaRepository, {
+      pointOfSale: 9,
+      // The profile's point of sale is not enabled for CAEA
+      issuerProfiles: IssuerProfileTimeline.single({ taxCondition: 'RESPONSABLE_INSCRIPTO', pointOfSale: 4 }),
+      counterpartyRepository
+    });
+
+    const result = await useCase.execute();
+
+    expect(result.issued).toEqual([
+      { orderNumber: 'ORD-1', voucherType: 1, voucherNumber: 1 },
+      { orderNumber: 'ORD-2', voucherType: 6, voucherNumber: 5 }
+    ]);
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved[0]).toMatchObject({
+      voucherType: 1,
+      pointOfSale: 9,
+      receiverVatCondition: 1,
+      receiverDocType: 80,
+      receiverDocNumber: '20111111112'
+    });
+    expect(saved[1]).toMatchObject({ voucherType: 6, pointOfSale: 9, receiverVatCondition: 5, receiverDocType: 99 });
+  });
+
+  it('leaves an order pending while its buyer must be identified', async () => {
+    orderRepository.findUnprocessed.mockResolvedValue([
+      makeOrder('ORD-1', { buyerNickname: 'buyer1', totalPrice: 12000000 }),
+      makeOrder('ORD-2')
+    ]);
+    useCase = new IssueCaeaInvoices(orderRepository, caeaRepository, {
+      pointOfSale: 9,
+      counterpartyRepository: { findByNickname: jest.fn().mockResolvedValue(null) },
+      identificationThreshold: 10000000
+    });
+
+    const result = await useCase.execute();
+
+    expect(result.skipped).toEqual([{ orderNumber: 'ORD-1', error: expect.stringContaining('register buyer "buyer1"') }]);
+    expect(result.issued).toEqual([{ orderNumber: 'ORD-2', voucherType: 11, voucherNumber: 5 }]);
+    expect(orderRepository.update).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the CAEA point of sale and numbers only its own vouchers', async () => {
+    orderRepository.findSuccessfullyInvoiced.mockResolvedValue([
+      makeOrder('ORD-CAEA', { processedAt: new Date(), success: true, cae: '31234567890123', voucherNumber: 4, authorizationType: 'CAEA' }),
+      makeOrder('ORD-OTHER', {
+        processedAt: new Date(),
+        success: true,
+        cae: '31234567890123',
+        voucherNumber: 40,
+        pointOfSale: 8,
+        authorizationType: 'CAEA'
+      })
+    ]);
+
+    const result = await useCase.execute();
+
+    expect(result.issued[0].voucherNumber).toBe(5);
+    expect(orderRepository.update.mock.calls[0][0].pointOfSale).toBe(9);
+  });
+
+  it('refuses to issue without a CAEA covering today', async () => {
+    caeaRepository.findCovering.mockResolvedValue(null);
+
+    await expect(useCase.execute()).rejects.toThrow(DomainError);
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to issue without a CAEA point of sale', async () => {
+    useCase = new IssueCaeaInvoices(orderRepository, caeaRepository, {});
+
+    await expect(useCase.execute()).rejects.toThrow('AFIP_CAEA_PTOVTA');
+  });
+});
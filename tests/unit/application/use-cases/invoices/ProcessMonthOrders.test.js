@@ -138,6 +138,21 @@ describe('ProcessMonthOrders', () => {
       expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({ skipAgeCheck: true }));
     });
 
+    it('should pick the issuer profile by each order date', async () => {
+      orderRepository.findUnprocessed.mockResolvedValue([
+        makeOrder('2026-01-10', '111'),
+        makeOrder('2026-01-20', '222'),
+      ]);
+
+      const createSpy = jest.spyOn(useCase.createInvoiceUseCase, 'execute').mockResolvedValue({
+        orderNumber: '111', success: true, cae: 'CAE123', error: null,
+      });
+
+      await useCase.execute({ year: 2026, month: 1 });
+
+      expect(createSpy.mock.calls.map(c => c[0].profileDate)).toEqual(['2026-01-10', '2026-01-20']);
+    });
+
     it('should count successful and failed orders correctly', async () => {
       orderRepository.findUnprocessed.mockResolvedValue([
         makeOrder('2026-01-10', '111'),
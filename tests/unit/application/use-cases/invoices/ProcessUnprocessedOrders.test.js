@@ -0,0 +1,330 @@
+const ProcessUnprocessedOrders = require('../../../../../src/application/use-cases/invoices/ProcessUnprocessedOrders');
+const Order = require('../../../../../src/domain/entities/Order');
+const InvoiceResult = require('../../../../../src/domain/entities/InvoiceResult');
+const IssuerProfileTimeline = require('../../../../../src/domain/entities/IssuerProfileTimeline');
+const PointOfSaleRouting = require('../../../../../src/domain/entities/PointOfSaleRouting');
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+};
+
+const makeOrder = (orderNumber, totalPrice = 1000, orderDate = daysAgo(2)) => Order.fromJSON({
+  orderNumber,
+  amount: 1,
+  price: totalPrice,
+  totalPrice,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.parse(orderDate),
+  orderDate
+});
+
+const approved = (voucherNumber) => InvoiceResult.success({
+  cae: `7539827900${String(voucherNumber).padStart(4, '0')}`,
+  caeExpiration: daysAgo(-10),
+  voucherNumber,
+  invoiceDate: daysAgo(0)
+});
+
+describe('ProcessUnprocessedOrders (batch mode)', () => {
+  let orderRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findUnprocessed: jest.fn().mockResolvedValue([
+        makeOrder('ORD-1', 1000),
+        makeOrder('ORD-2', 2000),
+        makeOrder('ORD-3', 3000)
+      ]),
+      findByOrderNumber: jest.fn(),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      createInvoice: jest.fn(),
+      createInvoices: jest.fn()
+    };
+    useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway);
+  });
+
+  it('authorizes all orders in a single gateway call', async () => {
+    afipGateway.createInvoices.mockResolvedValue([approved(21), approved(22), approved(23)]);
+
+    const result = await useCase.execute({ batch: true });
+
+    expect(afipGateway.createInvoices).toHaveBeenCalledTimes(1);
+    expect(afipGateway.createInvoices.mock.calls[0][0].map(i => i.totalAmount.amount)).toEqual([1000, 2000, 3000]);
+    expect(afipGateway.createInvoice).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ totalOrders: 3, processedOrders: 3, failedOrders: 0, deferredOrders: 0 });
+
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved.map(o => [o.orderNumber.value, o.voucherNumber])).toEqual([['ORD-1', 21], ['ORD-2', 22], ['ORD-3', 23]]);
+    expect(saved.every(o => o.isSuccessful())).toBe(true);
+  });
+
+  it('records rejections and leaves out-of-sequence records pending', async () => {
+    afipGateway.createInvoices.mockResolvedValue([
+      approved(21),
+      InvoiceResult.failure('AFIP rejected invoice: [10015] Importe invalido', { errorCode: 10015 }),
+      InvoiceResult.failure('AFIP rejected invoice: [10016] El numero no se corresponde con el proximo a autorizar', { errorCode: 10016 })
+    ]);
+
+    const result = await useCase.execute({ batch: true });
+
+    expect(result).toMatchObject({ processedOrders: 1, failedOrders: 1, deferredOrders: 1 });
+    expect(result.results[2]).toMatchObject({ orderNumber: 'ORD-3', deferred: true });
+
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved.map(o => o.orderNumber.value)).toEqual(['ORD-1', 'ORD-2']);
+    expect(saved[1].isFailed()).toBe(true);
+    expect(saved[1].errorMessage).toContain('[10015]');
+  });
+
+  it('leaves every order unprocessed when the request fails as a whole', async () => {
+    afipGateway.createInvoices.mockRejectedValue(new Error('socket hang up'));
+
+    const result = await useCase.execute({ batch: true });
+
+    expect(result).toMatchObject({ totalOrders: 3, processedOrders: 0, failedOrders: 3 });
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('does not use the batch path unless asked', async () => {
+    orderRepository.findUnprocessed.mockResolvedValue([]);
+
+    await useCase.execute();
+
+    expect(afipGateway.createInvoices).not.toHaveBeenCalled();
+  });
+});
+
+describe('ProcessUnprocessedOrders (batch mode, issuer profile change)', () => {
+  it('sends one request per point of sale and voucher type', async () => {
+    const orderRepository = {
+      findUnprocessed: jest.fn().mockResolvedValue([
+        makeOrder('ORD-1', 1000, daysAgo(3)),
+        makeOrder('ORD-2', 2000, daysAgo(1)),
+        makeOrder('ORD-3', 3000, daysAgo(3))
+      ]),
+      findByOrderNumber: jest.fn(),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    const afipGateway = {
+      createInvoice: jest.fn(),
+      createInvoices: jest.fn()
+        .mockResolvedValueOnce([approved(8), approved(9)])
+        .mockResolvedValueOnce([approved(1)])
+    };
+    // Responsable Inscripto on point of sale 4 from two days ago
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway, {
+      issuerProfiles: new IssuerProfileTimeline([
+        { taxCondition: 'MONOTRIBUTO', pointOfSale: 2 },
+        { effectiveFrom: daysAgo(2), taxCondition: 'RESPONSABLE_INSCRIPTO', pointOfSale: 4 }
+      ])
+    });
+
+    const result = await useCase.execute({ batch: true });
+
+    const requests = afipGateway.createInvoices.mock.calls.map(c => c[0].map(i => i.toAfipFormat()));
+    expect(requests.map(r => r.map(d => [d.PtoVta, d.CbteTipo, d.ImpTotal]))).toEqual([
+      [[2, 11, 1000], [2, 11, 3000]],
+      [[4, 6, 2000]]
+    ]);
+    expect(result).toMatchObject({ totalOrders: 3, processedOrders: 3 });
+
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved.map(o => [o.orderNumber.value, o.pointOfSale, o.voucherType, o.voucherNumber])).toEqual([
+      ['ORD-1', 2, 11, 8], ['ORD-3', 2, 11, 9], ['ORD-2', 4, 6, 1]
+    ]);
+  });
+});
+
+describe('ProcessUnprocessedOrders (batch mode, USD orders)', () => {
+  it('looks up the rate once per date and stores it on each order', async () => {
+    const usd = (orderNumber, totalPrice) => Order.fromJSON({ ...makeOrder(orderNumber, totalPrice).toJSON(), fiat: 'USD' });
+    const orderRepository = {
+      findUnprocessed: jest.fn().mockResolvedValue([usd('ORD-1', 100), usd('ORD-2', 200), makeOrder('ORD-3', 3000)]),
+      findByOrderNumber: jest.fn(),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    const afipGateway = {
+      createInvoice: jest.fn(),
+      createInvoices: jest.fn().mockResolvedValue([approved(1), approved(2), approved(3)]),
+      getExchangeRate: jest.fn().mockResolvedValue(1180.25)
+    };
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway);
+
+    await useCase.execute({ batch: true });
+
+    expect(afipGateway.getExchangeRate).toHaveBeenCalledTimes(1);
+    expect(afipGateway.getExchangeRate).toHaveBeenCalledWith('USD', daysAgo(2));
+    const sent = afipGateway.createInvoices.mock.calls[0][0].map(i => i.toAfipFormat());
+    expect(sent.map(d => [d.MonId, d.MonCotiz])).toEqual([['DOL', 1180.25], ['DOL', 1180.25], ['PES', 1]]);
+    expect(orderRepository.update.mock.calls.map(c => c[0].exchangeRate)).toEqual([1180.25, 1180.25, null]);
+  });
+});
+
+describe('ProcessUnprocessedOrders (batch mode, buyer identification)', () => {
+  it('keeps an unregistered buyer above the threshold out of the batch and pending', async () => {
+    const large = Order.fromJSON({ ...makeOrder('ORD-2', 12000000).toJSON(), buyerNickname: 'buyer2' });
+    const orderRepository = {
+      findUnprocessed: jest.fn().mockResolvedValue([makeOrder('ORD-1', 1000), large]),
+      findByOrderNumber: jest.fn().mockResolvedValue(large),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    const afipGateway = {
+      createInvoice: jest.fn(),
+      createInvoices: jest.fn().mockResolvedValue([approved(1)])
+    };
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway, {
+      counterpartyRepository: { findByNickname: jest.fn().mockResolvedValue(null) },
+      identificationThreshold: 10000000
+    });
+
+    await useCase.execute({ batch: true });
+
+    expect(afipGateway.createInvoices.mock.calls[0][0]).toHaveLength(1);
+    expect(afipGateway.createInvoice).not.toHaveBeenCalled();
+    expect(orderRepository.update.mock.calls.map(c => c[0].orderNumber.value)).toEqual(['ORD-1']);
+  });
+});
+
+describe('ProcessUnprocessedOrders (batch mode, point of sale routing)', () => {
+  it('sends routed orders in a request of their own point of sale', async () => {
+    const btc = Order.fromJSON({ ...makeOrder('ORD-2', 2000).toJSON(), asset: 'BTC' });
+    const orderRepository = {
+      findUnprocessed: jest.fn().mockResolvedValue([makeOrder('ORD-1', 1000), btc]),
+      findByOrderNumber: jest.fn(),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    const afipGateway = {
+      createInvoice: jest.fn(),
+      createInvoices: jest.fn()
+        .mockResolvedValueOnce([approved(8)])
+        .mockResolvedValueOnce([approved(1)])
+    };
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway, {
+      issuerProfiles: IssuerProfileTimeline.single({ taxCondition: 'MONOTRIBUTO', pointOfSale: 2 }),
+      pointOfSaleRouting: new PointOfSaleRouting([{ pointOfSale: 5, asset: 'BTC' }])
+    });
+
+    await useCase.execute({ batch: true });
+
+    const requests = afipGateway.createInvoices.mock.calls.map(c => c[0].map(i => i.toAfipFormat().PtoVta));
+    expect(requests).toEqual([[2], [5]]);
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved.map(o => [o.orderNumber.value, o.pointOfSale, o.voucherNumber])).toEqual([
+      ['ORD-1', 2, 8], ['ORD-2', 5, 1]
+    ]);
+  });
+});
+
+describe('ProcessUnprocessedOrders (daily consolidation)', () => {
+  let orderRepository;
+  let afipGateway;
+
+  const withOrders = (orders) => {
+    orderRepository = {
+      findUnprocessed: jest.fn().mockResolvedValue(orders),
+      findByOrderNumber: jest.fn(),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+  };
+
+  beforeEach(() => {
+    afipGateway = {
+      createInvoice: jest.fn().mockResolvedValue(approved(7)),
+      createInvoices: jest.fn().mockResolvedValue([approved(8), approved(9)])
+    };
+  });
+
+  it('invoices the small orders of a day together and the rest one by one', async () => {
+    withOrders([
+      makeOrder('ORD-1', 1000),
+      makeOrder('ORD-2', 2000),
+      makeOrder('ORD-3', 50000),
+      makeOrder('ORD-4', 500, daysAgo(3))
+    ]);
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway, { consolidateBelow: 10000 });
+
+    const result = await useCase.execute({ batch: true });
+
+    expect(afipGateway.createInvoice).toHaveBeenCalledTimes(1);
+    const daily = afipGateway.createInvoice.mock.calls[0][0];
+    expect(daily.totalAmount.amount).toBe(3000);
+    expect([daily.serviceFrom, daily.serviceTo]).toEqual([daysAgo(2), daysAgo(2)]);
+    expect(daily.toAfipFormat().DocTipo).toBe(99);
+
+    // The day with a single small order invoices it on its own
+    expect(afipGateway.createInvoices.mock.calls[0][0].map(i => i.totalAmount.amount)).toEqual([50000, 500]);
+    expect(result).toMatchObject({ totalOrders: 4, processedOrders: 4, failedOrders: 0, consolidatedInvoices: 1 });
+
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved.map(o => [o.orderNumber.value, o.voucherNumber, o.consolidatedOrders])).toEqual([
+      ['ORD-1', 7, 2], ['ORD-2', 7, 2], ['ORD-3', 8, null], ['ORD-4', 9, null]
+    ]);
+    expect(saved[0].cae.value).toBe(saved[1].cae.value);
+  });
+
+  it('splits a day so that no invoice reaches the identification threshold', async () => {
+    withOrders(['ORD-1', 'ORD-2', 'ORD-3', 'ORD-4'].map(number => makeOrder(number, 2000)));
+    afipGateway.createInvoice
+      .mockResolvedValueOnce(approved(7))
+      .mockResolvedValueOnce(approved(8));
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway, {
+      consolidateBelow: 3000,
+      identificationThreshold: 5000
+    });
+
+    const result = await useCase.execute();
+
+    expect(afipGateway.createInvoice.mock.calls.map(c => c[0].totalAmount.amount)).toEqual([4000, 4000]);
+    expect(result).toMatchObject({ processedOrders: 4, consolidatedInvoices: 2 });
+  });
+
+  it('leaves registered buyers out of the daily invoice', async () => {
+    const registered = Order.fromJSON({ ...makeOrder('ORD-3', 1500).toJSON(), buyerNickname: 'buyer3' });
+    withOrders([makeOrder('ORD-1', 1000), makeOrder('ORD-2', 2000), registered]);
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway, {
+      consolidateBelow: 10000,
+      counterpartyRepository: {
+        findByNickname: jest.fn(async nickname => (nickname === 'buyer3' ? { documentType: 96 } : null))
+      }
+    });
+    jest.spyOn(useCase, '_processBatch').mockResolvedValue({ totalOrders: 1, processedOrders: 1, failedOrders: 0, results: [] });
+
+    await useCase.execute({ batch: true });
+
+    expect(afipGateway.createInvoice.mock.calls[0][0].totalAmount.amount).toBe(3000);
+    expect(useCase._processBatch.mock.calls[0][0].map(o => o.orderNumber.value)).toEqual(['ORD-3']);
+  });
+
+  it('leaves the orders unprocessed when the request fails', async () => {
+    withOrders([makeOrder('ORD-1', 1000), makeOrder('ORD-2', 2000)]);
+    afipGateway.createInvoice.mockRejectedValue(new Error('socket hang up'));
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway, { consolidateBelow: 10000 });
+
+    const result = await useCase.execute();
+
+    expect(result).toMatchObject({ totalOrders: 2, processedOrders: 0, failedOrders: 2, consolidatedInvoices: 0 });
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('marks every order failed when AFIP rejects the invoice', async () => {
+    withOrders([makeOrder('ORD-1', 1000), makeOrder('ORD-2', 2000)]);
+    afipGateway.createInvoice.mockResolvedValue(
+      InvoiceResult.failure('AFIP rejected invoice: [10015] Importe invalido', { errorCode: 10015 })
+    );
+    const useCase = new ProcessUnprocessedOrders(orderRepository, afipGateway, { consolidateBelow: 10000 });
+
+    const result = await useCase.execute();
+
+    expect(result).toMatchObject({ processedOrders: 0, failedOrders: 2 });
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved.every(o => o.isFailed() && o.consolidatedOrders === null)).toBe(true);
+  });
+});
@@ -0,0 +1,197 @@
+const ReconcileMonth = require('../../../../../src/application/use-cases/invoices/ReconcileMonth');
+const Order = require('../../../../../src/domain/entities/Order');
+const AuthorizedVoucher = require('../../../../../src/domain/entities/AuthorizedVoucher');
+const { ValidationError } = require('../../../../../src/shared/errors');
+
+const makeOrder = (orderNumber, overrides = {}) => Order.fromJSON({
+  orderNumber,
+  amount: 1,
+  price: 1000,
+  totalPrice: 1000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.parse('2026-01-10'),
+  orderDate: '2026-01-10',
+  ...overrides
+});
+
+const invoiced = (orderNumber, voucherNumber, overrides = {}) => makeOrder(orderNumber, {
+  processedAt: new Date(),
+  processingMethod: 'automatic',
+  success: true,
+  cae: `7400000000${String(voucherNumber).padStart(4, '0')}`,
+  voucherNumber,
+  invoiceDate: '2026-01-12',
+  ...overrides
+});
+
+const voucher = (voucherNumber, overrides = {}) => new AuthorizedVoucher({
+  pointOfSale: 3,
+  voucherType: 11,
+  voucherNumber,
+  voucherDate: '2026-01-12',
+  concept: 2,
+  docType: 99,
+  docNumber: '0',
+  totalAmount: 1000,
+  netAmount: 1000,
+  serviceFrom: '2026-01-10',
+  serviceTo: '2026-01-10',
+  cae: `7400000000${String(voucherNumber).padStart(4, '0')}`,
+  caeExpiration: '2026-01-22',
+  result: 'A',
+  ...overrides
+});
+
+describe('ReconcileMonth', () => {
+  let orderRepository;
+  let afipGateway;
+  let afipVouchers;
+  let useCase;
+
+  beforeEach(() => {
+    // AFIP: #10 is December, #11-#14 January, #15 February
+    afipVouchers = {
+      10: voucher(10, { voucherDate: '2025-12-30' }),
+      11: voucher(11),
+      12: voucher(12, { totalAmount: 1500, netAmount: 1500 }),
+      13: voucher(13, { serviceFrom: '2026-01-11', serviceTo: '2026-01-11', totalAmount: 700, netAmount: 700 }),
+      14: voucher(14, { serviceFrom: '2026-01-09', serviceTo: '2026-01-09', totalAmount: 900, netAmount: 900 }),
+      15: voucher(15, { voucherDate: '2026-02-01' })
+    };
+
+    orderRepository = {
+      findSuccessfullyInvoiced: jest.fn().mockResolvedValue([
+        invoiced('ORD-11', 11),
+        invoiced('ORD-12', 12),
+        invoiced('ORD-99', 99, { invoiceDate: '2026-01-20' })
+      ]),
+      findByDateRange: jest.fn().mockResolvedValue([
+        // Single candidate for #13 (failed by the 10016 sync issue)
+        makeOrder('ORD-13', {
+          orderDate: '2026-01-11',
+          totalPrice: 700,
+          processedAt: new Date(),
+          success: false,
+          errorMessage: 'AFIP sync issue'
+        }),
+        // Two candidates for #14: ambiguous
+        makeOrder('ORD-14A', { orderDate: '2026-01-09', totalPrice: 900 }),
+        makeOrder('ORD-14B', { orderDate: '2026-01-09', totalPrice: 900 })
+      ]),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+
+    afipGateway = {
+      getLastInvoiceNumber: jest.fn().mockResolvedValue(15),
+      queryInvoice: jest.fn().mockImplementation(async (pos, type, number) => afipVouchers[number] || null)
+    };
+
+    useCase = new ReconcileMonth(orderRepository, afipGateway, { pointOfSale: 3 });
+  });
+
+  it('walks back from the last voucher and stops before the month', async () => {
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    expect(afipGateway.getLastInvoiceNumber).toHaveBeenCalledWith(3, 11);
+    expect(afipGateway.queryInvoice.mock.calls.map(c => c[2])).toEqual([15, 14, 13, 12, 11, 10]);
+    expect(result.afipVouchers).toBe(4);
+  });
+
+  it('reports matches, gaps on both sides and amount mismatches', async () => {
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    expect(result.matched).toBe(1);
+    expect(result.amountMismatches.map(m => m.voucher.voucherNumber)).toEqual([12]);
+    expect(result.missingInTable.map(m => m.voucher.voucherNumber)).toEqual([13, 14]);
+    expect(result.missingInAfip.map(o => o.orderNumber.value)).toEqual(['ORD-99']);
+  });
+
+  it('marks only unambiguous candidates as matches', async () => {
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    const [v13, v14] = result.missingInTable;
+    expect(v13.match.orderNumber.value).toBe('ORD-13');
+    expect(v14.candidates).toHaveLength(2);
+    expect(v14.match).toBeNull();
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('records unambiguous matches with --fix like mark-manual', async () => {
+    const result = await useCase.execute({ year: 2026, month: 1, fix: true });
+
+    expect(result.fixed).toEqual([{ orderNumber: 'ORD-13', voucherNumber: 13 }]);
+    expect(orderRepository.update).toHaveBeenCalledTimes(1);
+
+    const saved = orderRepository.update.mock.calls[0][0];
+    expect(saved.isSuccessful()).toBe(true);
+    expect(saved.processingMethod).toBe('manual');
+    expect(saved.cae.value).toBe('74000000000013');
+    expect(saved.voucherNumber).toBe(13);
+    expect(saved.voucherType).toBe(11);
+    expect(saved.pointOfSale).toBe(3);
+    expect(saved.invoiceDate).toBe('2026-01-12');
+    expect(saved.errorMessage).toBeNull();
+    expect(saved.notes).toContain('3-13');
+  });
+
+  it('only matches orders invoiced with the voucher type being walked', async () => {
+    orderRepository.findSuccessfullyInvoiced.mockResolvedValue([
+      invoiced('ORD-11', 11),
+      // Factura B #12 lives in its own sequence and must not claim Factura C #12
+      invoiced('ORD-B12', 12, { voucherType: 6 })
+    ]);
+
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    expect(result.amountMismatches).toEqual([]);
+    expect(result.missingInTable.map(m => m.voucher.voucherNumber)).toEqual([12, 13, 14]);
+  });
+
+  it('only matches orders invoiced on the point of sale being walked', async () => {
+    orderRepository.findSuccessfullyInvoiced.mockResolvedValue([
+      invoiced('ORD-11', 11, { pointOfSale: 3 }),
+      // Issued on point of sale 4 after a profile change, its own sequence
+      invoiced('ORD-P4-12', 12, { pointOfSale: 4 })
+    ]);
+
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    expect(result.matched).toBe(1);
+    expect(result.missingInTable.map(m => m.voucher.voucherNumber)).toEqual([12, 13, 14]);
+  });
+
+  it('compares a daily consolidated voucher with the total of its orders', async () => {
+    const daily = { cae: '74000000000012', consolidatedOrders: 2 };
+    orderRepository.findSuccessfullyInvoiced.mockResolvedValue([
+      invoiced('ORD-11', 11),
+      invoiced('ORD-12A', 12, { ...daily, totalPrice: 1000 }),
+      invoiced('ORD-12B', 12, { ...daily, totalPrice: 500 })
+    ]);
+
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    expect(result.matched).toBe(2);
+    expect(result.amountMismatches).toEqual([]);
+  });
+
+  it('lists every order of a consolidated voucher that does not add up', async () => {
+    const daily = { cae: '74000000000012', consolidatedOrders: 2 };
+    orderRepository.findSuccessfullyInvoiced.mockResolvedValue([
+      invoiced('ORD-12A', 12, { ...daily, totalPrice: 1000 }),
+      invoiced('ORD-12B', 12, { ...daily, totalPrice: 400 })
+    ]);
+
+    const result = await useCase.execute({ year: 2026, month: 1 });
+
+    const [mismatch] = result.amountMismatches;
+    expect(mismatch.orders.map(o => o.orderNumber.value)).toEqual(['ORD-12A', 'ORD-12B']);
+    expect(mismatch.tableAmount).toBe(1400);
+  });
+
+  it('validates year and month', async () => {
+    await expect(useCase.execute({ year: 2026, month: 13 })).rejects.toThrow(ValidationError);
+    await expect(useCase.execute({ month: 1 })).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,122 @@
+const ReportCaeaInvoices = require('../../../../../src/application/use-cases/invoices/ReportCaeaInvoices');
+const Order = require('../../../../../src/domain/entities/Order');
+const IssuerProfileTimeline = require('../../../../../src/domain/entities/IssuerProfileTimeline');
+
+const caeaOrder = (orderNumber, voucherNumber, cae = '31234567890123', overrides = {}) => Order.fromJSON({
+  orderNumber,
+  amount: 1,
+  price: 1000,
+  totalPrice: 1000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.parse('2026-01-20'),
+  orderDate: '2026-01-20',
+  processedAt: new Date(),
+  processingMethod: 'automatic',
+  success: true,
+  cae,
+  voucherNumber,
+  invoiceDate: '2026-01-21',
+  authorizationType: 'CAEA',
+  ...overrides
+});
+
+describe('ReportCaeaInvoices', () => {
+  let orderRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findPendingCaeaReport: jest.fn().mockResolvedValue([
+        caeaOrder('ORD-1', 1),
+        caeaOrder('ORD-2', 2),
+        caeaOrder('ORD-3', 3, '31234567890999')
+      ]),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    afipGateway = {
+      reportCaeaInvoices: jest.fn().mockImplementation(async (code, pos, entries) =>
+        entries.map(({ voucherNumber }) => ({ success: true, voucherNumber })))
+    };
+    useCase = new ReportCaeaInvoices(orderRepository, afipGateway, { pointOfSale: 9 });
+  });
+
+  it('sends one report per CAEA and marks accepted vouchers reported', async () => {
+    const result = await useCase.execute();
+
+    expect(afipGateway.reportCaeaInvoices).toHaveBeenCalledTimes(2);
+    const [code, pos, entries] = afipGateway.reportCaeaInvoices.mock.calls[0];
+    expect(code).toBe('31234567890123');
+    expect(pos).toBe(9);
+    expect(entries.map(e => e.voucherNumber)).toEqual([1, 2]);
+    expect(entries[0].invoice.invoiceDate).toBe('2026-01-21');
+
+    expect(result.reported).toHaveLength(3);
+    const saved = orderRepository.update.mock.calls.map(c => c[0]);
+    expect(saved.every(o => !o.isPendingCaeaReport())).toBe(true);
+  });
+
+  it('restates each voucher as it was issued, one report per voucher type', async () => {
+    orderRepository.findPendingCaeaReport.mockResolvedValue([
+      caeaOrder('ORD-1', 1, '31234567890123', { voucherType: 6, pointOfSale: 9, receiverVatCondition: 5 }),
+      caeaOrder('ORD-2', 1, '31234567890123', {
+        voucherType: 1,
+        pointOfSale: 9,
+        receiverVatCondition: 1,
+        receiverDocType: 80,
+        receiverDocNumber: '20111111112'
+      })
+    ]);
+    useCase = new ReportCaeaInvoices(orderRepository, afipGateway, {
+      pointOfSale: 9,
+      issuerProfiles: IssuerProfileTimeline.single({ taxCondition: 'RESPONSABLE_INSCRIPTO', vatRate: 0.105, pointOfSale: 4 })
+    });
+
+    await useCase.execute();
+
+    expect(afipGateway.reportCaeaInvoices).toHaveBeenCalledTimes(2);
+    const [typeB, typeA] = afipGateway.reportCaeaInvoices.mock.calls.map(([, pos, entries]) => entries[0].invoice.toAFIPFormat(pos));
+    expect(typeB).toMatchObject({ PtoVta: 9, CbteTipo: 6, DocTipo: 99, CondicionIVAReceptorId: 5, CbteFch: '20260121' });
+    expect(typeA).toMatchObject({ PtoVta: 9, CbteTipo: 1, DocTipo: 80, DocNro: '20111111112', CondicionIVAReceptorId: 1 });
+    expect(typeA.Iva.AlicIva[0].Id).toBe(4);
+  });
+
+  it('keeps rejected vouchers pending with the reason in notes', async () => {
+    afipGateway.reportCaeaInvoices.mockImplementation(async (code, pos, entries) =>
+      entries.map(({ voucherNumber }) => (voucherNumber === 2
+        ? { success: false, voucherNumber, error: 'AFIP rejected CAEA report: [703] Fecha invalida' }
+        : { success: true, voucherNumber })));
+
+    const result = await useCase.execute();
+
+    expect(result.rejected).toEqual([
+      { orderNumber: 'ORD-2', voucherNumber: 2, error: 'AFIP rejected CAEA report: [703] Fecha invalida' }
+    ]);
+    const rejected = orderRepository.update.mock.calls.map(c => c[0]).find(o => o.orderNumber.value === 'ORD-2');
+    expect(rejected.isPendingCaeaReport()).toBe(true);
+    expect(rejected.notes).toContain('[703]');
+  });
+
+  it('adds the reason to the notes the order already has', async () => {
+    orderRepository.findPendingCaeaReport.mockResolvedValue([
+      caeaOrder('ORD-1', 1, '31234567890123', { notes: 'Paid in two transfers' })
+    ]);
+    afipGateway.reportCaeaInvoices.mockResolvedValue([
+      { success: false, voucherNumber: 1, error: 'AFIP rejected CAEA report: [703] Fecha invalida' }
+    ]);
+
+    await useCase.execute();
+
+    expect(orderRepository.update.mock.calls[0][0].notes)
+      .toBe('Paid in two transfers\nAFIP rejected CAEA report: [703] Fecha invalida');
+  });
+
+  it('propagates AFIP being unreachable', async () => {
+    afipGateway.reportCaeaInvoices.mockRejectedValue(new Error('socket hang up'));
+
+    await expect(useCase.execute()).rejects.toThrow('socket hang up');
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+});
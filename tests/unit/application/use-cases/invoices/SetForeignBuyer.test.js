@@ -0,0 +1,65 @@
+const SetForeignBuyer = require('../../../../../src/application/use-cases/invoices/SetForeignBuyer');
+const Order = require('../../../../../src/domain/entities/Order');
+const { ValidationError, NotFoundError, DomainError } = require('../../../../../src/shared/errors');
+
+const foreignBuyer = { name: 'JOAO SILVA', country: 203, taxId: '12345678901', address: 'RUA A 10, SAO PAULO' };
+
+const makeOrder = (overrides = {}) => Order.fromJSON({
+  orderNumber: 'ORD-E1',
+  amount: 100,
+  price: 1500,
+  totalPrice: 150000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.parse('2026-01-10'),
+  orderDate: '2026-01-10',
+  ...overrides
+});
+
+describe('SetForeignBuyer', () => {
+  let orderRepository;
+  let useCase;
+
+  beforeEach(() => {
+    orderRepository = {
+      findByOrderNumber: jest.fn().mockResolvedValue(makeOrder()),
+      update: jest.fn().mockResolvedValue(undefined)
+    };
+    useCase = new SetForeignBuyer(orderRepository);
+  });
+
+  it('flags the order and saves it', async () => {
+    const order = await useCase.execute({ orderNumber: 'ORD-E1', foreignBuyer });
+
+    expect(order.isForeignBuyer()).toBe(true);
+    expect(orderRepository.update).toHaveBeenCalledWith(order);
+  });
+
+  it('clears the flag with null', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValue(makeOrder({ foreignBuyer }));
+
+    const order = await useCase.execute({ orderNumber: 'ORD-E1', foreignBuyer: null });
+
+    expect(order.isForeignBuyer()).toBe(false);
+  });
+
+  it('refuses invoiced orders and unknown order numbers', async () => {
+    orderRepository.findByOrderNumber.mockResolvedValueOnce(makeOrder({
+      processedAt: new Date(),
+      success: true,
+      cae: '74000000000021',
+      voucherNumber: 21
+    }));
+    await expect(useCase.execute({ orderNumber: 'ORD-E1', foreignBuyer })).rejects.toThrow(DomainError);
+
+    orderRepository.findByOrderNumber.mockResolvedValueOnce(null);
+    await expect(useCase.execute({ orderNumber: 'ORD-X', foreignBuyer })).rejects.toThrow(NotFoundError);
+
+    expect(orderRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('requires the buyer or an explicit null', async () => {
+    await expect(useCase.execute({ orderNumber: 'ORD-E1' })).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,113 @@
+const HoldRunLock = require('../../../../../src/application/use-cases/locks/HoldRunLock');
+const ReleaseRunLock = require('../../../../../src/application/use-cases/locks/ReleaseRunLock');
+const RunLock = require('../../../../../src/domain/entities/RunLock');
+const { ConflictError, ValidationError, NotFoundError } = require('../../../../../src/shared/errors');
+
+// Holds at most one lock per name, like the ETag-conditional writes of the locks table
+const inMemoryLocks = () => {
+  const locks = new Map();
+  return {
+    locks,
+    acquire: jest.fn(async (lock) => {
+      const current = locks.get(lock.name);
+      if (current && !current.isExpired()) return current;
+      locks.set(lock.name, lock);
+      return lock;
+    }),
+    release: jest.fn(async (lock) => {
+      if (locks.get(lock.name) !== lock) return false;
+      return locks.delete(lock.name);
+    }),
+    forceRelease: jest.fn(async (name) => locks.delete(name))
+  };
+};
+
+describe('HoldRunLock', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = inMemoryLocks();
+  });
+
+  const hold = (owner) => new HoldRunLock(repository, { owner, ttlMinutes: 60 });
+
+  it('runs the work holding the lock and gives it back', async () => {
+    const run = jest.fn(async () => {
+      expect(repository.locks.get('processing').owner).toBe('run-a');
+      return { processedOrders: 3 };
+    });
+
+    const result = await hold('run-a').execute({ name: RunLock.PROCESSING, command: 'process', run });
+
+    expect(result).toEqual({ processedOrders: 3 });
+    expect(repository.locks.size).toBe(0);
+  });
+
+  it('fails fast while another run holds the lock', async () => {
+    let finishFirst;
+    const first = hold('run-a').execute({
+      name: RunLock.PROCESSING,
+      command: 'process-month 2026-09',
+      run: () => new Promise(resolve => { finishFirst = resolve; })
+    });
+    await Promise.resolve();
+
+    const run = jest.fn();
+    const second = hold('run-b').execute({ name: RunLock.PROCESSING, command: 'process', run });
+
+    await expect(second).rejects.toThrow(ConflictError);
+    await expect(second).rejects.toThrow(/^run process-month 2026-09 in progress since \d{4}-\d{2}-\d{2}T/);
+    expect(run).not.toHaveBeenCalled();
+
+    finishFirst();
+    await first;
+    await expect(hold('run-b').execute({ name: RunLock.PROCESSING, command: 'process', run })).resolves.toBeUndefined();
+  });
+
+  it('takes over a stale lock', async () => {
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    repository.locks.set('processing', new RunLock({
+      name: 'processing',
+      command: 'process',
+      owner: 'crashed',
+      acquiredAt: new Date(hourAgo - 60 * 60 * 1000).toISOString(),
+      expiresAt: new Date(hourAgo).toISOString()
+    }));
+    const run = jest.fn().mockResolvedValue('done');
+
+    await expect(hold('run-a').execute({ name: RunLock.PROCESSING, command: 'process', run })).resolves.toBe('done');
+  });
+
+  it('gives the lock back when the work throws', async () => {
+    const failure = new Error('AFIP unreachable');
+
+    await expect(hold('run-a').execute({ name: RunLock.PROCESSING, command: 'process', run: () => Promise.reject(failure) }))
+      .rejects.toBe(failure);
+    expect(repository.locks.size).toBe(0);
+  });
+
+  it('does not mask the result when the lock cannot be given back', async () => {
+    repository.release.mockRejectedValue(new Error('storage down'));
+
+    await expect(hold('run-a').execute({ name: RunLock.PROCESSING, command: 'process', run: async () => 'done' }))
+      .resolves.toBe('done');
+  });
+
+  it('requires a name, a command and the work to run', async () => {
+    await expect(hold('run-a').execute({ name: RunLock.PROCESSING, command: 'process' })).rejects.toThrow(ValidationError);
+    await expect(hold('run-a').execute({ command: 'process', run: jest.fn() })).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('ReleaseRunLock', () => {
+  it('force-releases a lock and reports a missing one', async () => {
+    const repository = inMemoryLocks();
+    repository.locks.set('processing', {});
+    const useCase = new ReleaseRunLock(repository);
+
+    await useCase.execute({ name: 'processing' });
+
+    expect(repository.locks.size).toBe(0);
+    await expect(useCase.execute({ name: 'processing' })).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,66 @@
+const GetParameterCatalog = require('../../../../../src/application/use-cases/parameters/GetParameterCatalog');
+const ParameterCatalog = require('../../../../../src/domain/entities/ParameterCatalog');
+
+const makeCatalog = (fetchedAt = new Date().toISOString()) => new ParameterCatalog({
+  voucherTypes: [{ id: 11, description: 'Factura C' }],
+  pointsOfSale: [{ number: 3, emissionType: 'CAE - Ws', blocked: false, deactivatedAt: null }],
+  fetchedAt
+});
+
+describe('GetParameterCatalog', () => {
+  let parameterRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    parameterRepository = {
+      findCatalog: jest.fn().mockResolvedValue(null),
+      saveCatalog: jest.fn().mockImplementation(async catalog => catalog)
+    };
+    afipGateway = {
+      fetchParameterCatalog: jest.fn().mockResolvedValue(makeCatalog())
+    };
+    useCase = new GetParameterCatalog(parameterRepository, afipGateway, { maxAgeHours: 24 });
+  });
+
+  it('fetches and caches the catalog when nothing is cached', async () => {
+    const catalog = await useCase.execute();
+
+    expect(afipGateway.fetchParameterCatalog).toHaveBeenCalledTimes(1);
+    expect(parameterRepository.saveCatalog).toHaveBeenCalledWith(catalog);
+  });
+
+  it('serves a fresh cached catalog without calling AFIP', async () => {
+    const cached = makeCatalog();
+    parameterRepository.findCatalog.mockResolvedValue(cached);
+
+    expect(await useCase.execute()).toBe(cached);
+    expect(afipGateway.fetchParameterCatalog).not.toHaveBeenCalled();
+  });
+
+  it('refreshes a stale catalog, or any catalog when asked to', async () => {
+    parameterRepository.findCatalog.mockResolvedValue(makeCatalog('2020-01-01T00:00:00.000Z'));
+    await useCase.execute();
+
+    parameterRepository.findCatalog.mockResolvedValue(makeCatalog());
+    await useCase.execute({ refresh: true });
+
+    expect(afipGateway.fetchParameterCatalog).toHaveBeenCalledTimes(2);
+    expect(parameterRepository.saveCatalog).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the stale cached catalog when AFIP is down', async () => {
+    const stale = makeCatalog('2020-01-01T00:00:00.000Z');
+    parameterRepository.findCatalog.mockResolvedValue(stale);
+    afipGateway.fetchParameterCatalog.mockRejectedValue(new Error('ECONNRESET'));
+
+    expect(await useCase.execute()).toBe(stale);
+    expect(parameterRepository.saveCatalog).not.toHaveBeenCalled();
+  });
+
+  it('propagates the AFIP error when there is no cached catalog', async () => {
+    afipGateway.fetchParameterCatalog.mockRejectedValue(new Error('ECONNRESET'));
+
+    await expect(useCase.execute()).rejects.toThrow('ECONNRESET');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * GenerateIibbReport Use Case Tests
+ */
+
+const GenerateIibbReport = require('../../../../../src/application/use-cases/reports/GenerateIibbReport');
+const GenerateMonthlyReport = require('../../../../../src/application/use-cases/reports/GenerateMonthlyReport');
+const IibbJurisdiction = require('../../../../../src/domain/entities/IibbJurisdiction');
+const { ValidationError } = require('../../../../../src/shared/errors');
+const MockFactory = require('../../../../helpers/mock-factory');
+
+const creditNote = (voucherNumber, date, amount) => ({
+  kind: 'credit',
+  voucherType: 13,
+  voucherNumber,
+  cae: '75999999999999',
+  date,
+  amount
+});
+
+describe('GenerateIibbReport Use Case', () => {
+  const caba = new IibbJurisdiction({ jurisdiction: 'CABA', rate: 0.03 });
+  let orders;
+  let orderRepository;
+
+  beforeEach(() => {
+    orders = [
+      MockFactory.createInvoicedOrder({ orderNumber: 'ORD-10', invoiceDate: '2025-09-30', totalPrice: 4000000, voucherNumber: 1 }), // before the window
+      MockFactory.createInvoicedOrder({ orderNumber: 'ORD-11', invoiceDate: '2025-10-01', totalPrice: 10000000, voucherNumber: 2 }),
+      MockFactory.createInvoicedOrder({ orderNumber: 'ORD-3', invoiceDate: '2026-09-12', totalPrice: 200000, voucherNumber: 7 }),
+      MockFactory.createInvoicedOrder({ orderNumber: 'ORD-1', invoiceDate: '2026-09-10', totalPrice: 300000, voucherNumber: 5, consolidatedOrders: 2 }),
+      MockFactory.createInvoicedOrder({ orderNumber: 'ORD-2', invoiceDate: '2026-09-10', totalPrice: 150000, voucherNumber: 5, consolidatedOrders: 2 })
+    ];
+    orderRepository = {
+      findByDateRange: jest.fn().mockResolvedValue([]),
+      findSuccessfullyInvoiced: jest.fn().mockImplementation(() => Promise.resolve(orders))
+    };
+  });
+
+  describe('validateInput', () => {
+    it('should require a valid year and month', async () => {
+      const useCase = new GenerateIibbReport(orderRepository, [caba]);
+
+      await expect(useCase.execute({ year: 2026, month: 13 })).rejects.toThrow(ValidationError);
+      await expect(useCase.execute({ month: 9 })).rejects.toThrow(ValidationError);
+    });
+
+    it('should require a configured jurisdiction', async () => {
+      const useCase = new GenerateIibbReport(orderRepository, []);
+
+      await expect(useCase.execute({ year: 2026, month: 9 })).rejects.toThrow(/IIBB_JURISDICTIONS/);
+    });
+  });
+
+  describe('execute', () => {
+    it('should tax the income invoiced in the month, less its credits', async () => {
+      const useCase = new GenerateIibbReport(orderRepository, [caba], {
+        credits: [
+          { month: '2026-09', jurisdiction: 'CABA', kind: 'retention', amount: 4000 },
+          { month: '2026-08', jurisdiction: 'CABA', kind: 'retention', amount: 9999 }
+        ]
+      });
+
+      const report = await useCase.execute({ year: 2026, month: 9 });
+
+      expect(report.base).toBe(650000);
+      expect(report.annualIncome).toBeNull();
+      expect(report.jurisdictions).toEqual([{
+        jurisdiction: 'CABA',
+        regime: 'general',
+        share: 1,
+        base: 650000,
+        rate: 0.03,
+        bracket: null,
+        tax: 19500,
+        credits: 4000,
+        due: 15500,
+        balanceInFavor: 0
+      }]);
+      expect(report.totals).toEqual({ tax: 19500, credits: 4000, due: 15500, balanceInFavor: 0 });
+    });
+
+    it('should list each voucher once with the orders it covers', async () => {
+      const useCase = new GenerateIibbReport(orderRepository, [caba], { pointOfSale: 2 });
+
+      const report = await useCase.execute({ year: 2026, month: 9 });
+
+      expect(report.vouchers).toEqual([
+        {
+          voucher: '00002-00000005',
+          voucherType: 11,
+          date: '2026-09-10',
+          cae: '75123456789012',
+          orderNumbers: ['ORD-1', 'ORD-2'],
+          amount: 450000
+        },
+        {
+          voucher: '00002-00000007',
+          voucherType: 11,
+          date: '2026-09-12',
+          cae: '75123456789012',
+          orderNumbers: ['ORD-3'],
+          amount: 200000
+        }
+      ]);
+    });
+
+    it('should count a credit note in the month it was issued, not in its invoice month', async () => {
+      orders.push(
+        MockFactory.createInvoicedOrder({ orderNumber: 'ORD-6', invoiceDate: '2026-08-20', totalPrice: 100000, voucherNumber: 3 })
+          .addAdjustment(creditNote(1, '2026-09-05', 40000))
+      );
+      orders[2] = orders[2].addAdjustment(creditNote(2, '2026-10-02', 50000));
+      const useCase = new GenerateIibbReport(orderRepository, [caba], { pointOfSale: 2 });
+
+      const august = await useCase.execute({ year: 2026, month: 8 });
+      const september = await useCase.execute({ year: 2026, month: 9 });
+      const october = await useCase.execute({ year: 2026, month: 10 });
+
+      expect(august.base).toBe(100000);
+      expect(september.base).toBe(610000);
+      expect(september.vouchers).toContainEqual({
+        voucher: '00002-00000001',
+        voucherType: 13,
+        date: '2026-09-05',
+        cae: '75999999999999',
+        orderNumbers: ['ORD-6'],
+        amount: -40000
+      });
+      expect(october.base).toBe(-50000);
+    });
+
+    it('should agree with the invoiced income of the monthly report', async () => {
+      orders.push(
+        MockFactory.createInvoicedOrder({ orderNumber: 'ORD-6', invoiceDate: '2026-08-20', totalPrice: 100000, voucherNumber: 3 })
+          .addAdjustment(creditNote(1, '2026-09-05', 40000))
+      );
+      const useCase = new GenerateIibbReport(orderRepository, [caba], { pointOfSale: 2 });
+      const monthlyReport = new GenerateMonthlyReport(orderRepository, { pointOfSale: 2 });
+
+      const report = await useCase.execute({ year: 2026, month: 9 });
+      const monthly = await monthlyReport.execute({ year: 2026, month: 9 });
+
+      expect(report.base).toBe(monthly.stats.invoicedAmount);
+      expect(report.vouchers).toEqual(monthly.vouchers);
+    });
+
+    it('should pick the simplified-regime bracket from the twelve months up to the month end', async () => {
+      const simplified = new IibbJurisdiction({
+        jurisdiction: 'CABA',
+        brackets: [{ maxIncome: 10000000, amount: 20000 }, { maxIncome: 20000000, amount: 45000 }]
+      });
+      const useCase = new GenerateIibbReport(orderRepository, [simplified]);
+
+      const report = await useCase.execute({ year: 2026, month: 9 });
+
+      expect(report.annualIncome).toBe(10650000);
+      expect(report.jurisdictions[0]).toMatchObject({
+        regime: 'simplified',
+        bracket: { maxIncome: 20000000, amount: 45000 },
+        tax: 45000,
+        due: 45000
+      });
+    });
+  });
+});
@@ -13,7 +13,10 @@ describe('GenerateMonthlyReport Use Case', () => {
 
   beforeEach(() => {
     mockOrderRepository = {
-      findByDateRange: jest.fn()
+      findByDateRange: jest.fn(),
+      // The orders of these tests are invoiced in the month they were placed
+      findSuccessfullyInvoiced: jest.fn(async () => (await mockOrderRepository.findByDateRange())
+        .filter(order => order.isSuccessful()))
     };
     useCase = new GenerateMonthlyReport(mockOrderRepository);
   });
@@ -168,6 +171,207 @@ describe('GenerateMonthlyReport Use Case', () => {
     });
   });
 
+  describe('credit notes', () => {
+    it('should net credit notes out of invoiced income', async () => {
+      const orderDate = new Date().toISOString().split('T')[0];
+      const base = {
+        amount: 1,
+        price: 1000,
+        asset: 'USDT',
+        fiat: 'ARS',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        orderDate,
+        processedAt: new Date(),
+        success: true,
+        cae: '12345678901234'
+      };
+      const mockOrders = [
+        new Order({ ...base, orderNumber: 'ORD-010', totalPrice: 1000, voucherNumber: 10 }),
+        new Order({
+          ...base,
+          orderNumber: 'ORD-011',
+          totalPrice: 500,
+          voucherNumber: 11,
+          adjustments: [{ kind: 'credit', voucherType: 13, voucherNumber: 1, cae: '98765432109876', date: orderDate, amount: 200 }]
+        })
+      ];
+
+      mockOrderRepository.findByDateRange.mockResolvedValue(mockOrders);
+
+      const result = await useCase.execute();
+
+      expect(result.stats.totalAmount).toBe(1500);
+      expect(result.stats.creditedAmount).toBe(200);
+      expect(result.stats.invoicedAmount).toBe(1300);
+      expect(result.orders[1]).toMatchObject({ creditedAmount: 200, netInvoicedAmount: 300 });
+    });
+
+    it('should count each voucher in the month of its own date', async () => {
+      const base = {
+        amount: 1,
+        price: 1000,
+        asset: 'USDT',
+        fiat: 'ARS',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        processedAt: new Date(),
+        success: true,
+        cae: '12345678901234',
+        pointOfSale: 2
+      };
+      const august = new Order({
+        ...base,
+        orderNumber: 'ORD-020',
+        orderDate: '2026-08-28',
+        invoiceDate: '2026-08-28',
+        totalPrice: 1000,
+        voucherNumber: 20,
+        adjustments: [{ kind: 'credit', voucherType: 13, voucherNumber: 2, cae: '98765432109876', date: '2026-09-03', amount: 400 }]
+      });
+      const invoicedInSeptember = new Order({
+        ...base,
+        orderNumber: 'ORD-021',
+        orderDate: '2026-08-31',
+        invoiceDate: '2026-09-01',
+        totalPrice: 700,
+        voucherNumber: 21
+      });
+      mockOrderRepository.findByDateRange.mockResolvedValue([]);
+      mockOrderRepository.findSuccessfullyInvoiced.mockResolvedValue([august, invoicedInSeptember]);
+
+      const result = await useCase.execute({ year: 2026, month: 9 });
+
+      expect(result.stats).toMatchObject({ totalOrders: 0, invoices: 1, invoicedAmount: 300, creditedAmount: 400 });
+      expect(result.stats.byPointOfSale).toEqual({ 2: { count: 1, invoicedAmount: 300 } });
+      expect(result.vouchers).toEqual([
+        { voucher: '00002-00000002', voucherType: 13, date: '2026-09-03', cae: '98765432109876', orderNumbers: ['ORD-020'], amount: -400 },
+        { voucher: '00002-00000021', voucherType: 11, date: '2026-09-01', cae: '12345678901234', orderNumbers: ['ORD-021'], amount: 700 }
+      ]);
+    });
+  });
+
+  describe('USD orders', () => {
+    it('should convert invoiced income to pesos at the rate sent to AFIP', async () => {
+      const orderDate = new Date().toISOString().split('T')[0];
+      const base = {
+        amount: 1,
+        price: 1,
+        asset: 'USDT',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        orderDate,
+        processedAt: new Date(),
+        success: true,
+        cae: '12345678901234'
+      };
+      const mockOrders = [
+        new Order({ ...base, orderNumber: 'ORD-020', fiat: 'ARS', totalPrice: 50000, voucherNumber: 20 }),
+        new Order({ ...base, orderNumber: 'ORD-021', fiat: 'USD', totalPrice: 100, voucherNumber: 21, exchangeRate: 1180.25 })
+      ];
+
+      mockOrderRepository.findByDateRange.mockResolvedValue(mockOrders);
+
+      const result = await useCase.execute();
+
+      expect(result.stats.invoicedAmount).toBe(168025);
+      expect(result.orders[1]).toMatchObject({ fiat: 'USD', totalPrice: 100, exchangeRate: 1180.25, netInvoicedAmount: 118025 });
+    });
+  });
+
+  describe('points of sale', () => {
+    it('should key vouchers by point of sale and number', async () => {
+      const orderDate = new Date().toISOString().split('T')[0];
+      const base = {
+        amount: 1,
+        price: 1,
+        asset: 'USDT',
+        fiat: 'ARS',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        orderDate,
+        processedAt: new Date(),
+        success: true,
+        cae: '12345678901234',
+        voucherNumber: 7
+      };
+      const mockOrders = [
+        new Order({ ...base, orderNumber: 'ORD-030', totalPrice: 1000 }),
+        new Order({ ...base, orderNumber: 'ORD-031', totalPrice: 500, pointOfSale: 4 })
+      ];
+      mockOrderRepository.findByDateRange.mockResolvedValue(mockOrders);
+      useCase = new GenerateMonthlyReport(mockOrderRepository, { pointOfSale: 3 });
+
+      const result = await useCase.execute();
+
+      expect(result.orders[0]).toMatchObject({ pointOfSale: 3, voucherNumber: 7, voucher: '00003-00000007' });
+      expect(result.orders[1]).toMatchObject({ pointOfSale: 4, voucherNumber: 7, voucher: '00004-00000007' });
+      expect(result.stats.byPointOfSale).toEqual({
+        3: { count: 1, invoicedAmount: 1000 },
+        4: { count: 1, invoicedAmount: 500 }
+      });
+    });
+  });
+
+  describe('totals', () => {
+    it('should add amounts up to the cent', async () => {
+      const orderDate = new Date().toISOString().split('T')[0];
+      const mockOrders = [0.1, 0.2, 1234567.01].map((totalPrice, i) => new Order({
+        orderNumber: `ORD-05${i}`,
+        amount: 1,
+        price: totalPrice,
+        totalPrice,
+        asset: 'USDT',
+        fiat: 'ARS',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        orderDate,
+        processedAt: new Date(),
+        success: true,
+        cae: '12345678901234',
+        voucherNumber: i + 1
+      }));
+      mockOrderRepository.findByDateRange.mockResolvedValue(mockOrders);
+
+      const result = await useCase.execute();
+
+      expect(result.stats.totalAmount).toBe(1234567.31);
+      expect(result.stats.invoicedAmount).toBe(1234567.31);
+      expect(result.stats.byCurrency.ARS.total).toBe(1234567.31);
+    });
+  });
+
+  describe('daily consolidated invoices', () => {
+    it('should count a voucher covering several orders once', async () => {
+      const orderDate = new Date().toISOString().split('T')[0];
+      const base = {
+        amount: 1,
+        price: 1,
+        asset: 'USDT',
+        fiat: 'ARS',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        orderDate,
+        processedAt: new Date(),
+        success: true,
+        pointOfSale: 3
+      };
+      const daily = { cae: '12345678901234', voucherNumber: 7, consolidatedOrders: 2 };
+      const mockOrders = [
+        new Order({ ...base, ...daily, orderNumber: 'ORD-040', totalPrice: 1000 }),
+        new Order({ ...base, ...daily, orderNumber: 'ORD-041', totalPrice: 500 }),
+        new Order({ ...base, orderNumber: 'ORD-042', totalPrice: 20000, cae: '12345678901235', voucherNumber: 8 })
+      ];
+      mockOrderRepository.findByDateRange.mockResolvedValue(mockOrders);
+
+      const result = await useCase.execute();
+
+      expect(result.stats).toMatchObject({ successfulInvoices: 3, invoices: 2, consolidatedOrders: 2 });
+      expect(result.stats.byPointOfSale).toEqual({ 3: { count: 2, invoicedAmount: 21500 } });
+      expect(result.orders.map(o => o.consolidatedOrders)).toEqual([2, 2, null]);
+    });
+  });
+
   describe('validation', () => {
     it('should validate year parameter', async () => {
       await expect(useCase.execute({ year: 1999 })).rejects.toThrow('year must be a number between 2000 and 2100');
@@ -0,0 +1,134 @@
+/**
+ * GenerateRecategorizationReport Use Case Tests
+ */
+
+const GenerateRecategorizationReport = require('../../../../../src/application/use-cases/reports/GenerateRecategorizationReport');
+const MonotributoScale = require('../../../../../src/domain/entities/MonotributoScale');
+const Order = require('../../../../../src/domain/entities/Order');
+const { ValidationError } = require('../../../../../src/shared/errors');
+
+const makeOrder = (orderNumber, invoiceDate, totalPrice, overrides = {}) => new Order({
+  orderNumber,
+  amount: 100,
+  price: 1000,
+  totalPrice,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.now(),
+  orderDate: invoiceDate,
+  processedAt: `${invoiceDate}T12:00:00Z`,
+  success: true,
+  cae: '75123456789012',
+  voucherNumber: overrides.voucherNumber || Number(orderNumber.replace(/\D/g, '')),
+  pointOfSale: 2,
+  invoiceDate,
+  consolidatedOrders: overrides.consolidatedOrders,
+  adjustments: overrides.adjustments
+});
+
+describe('GenerateRecategorizationReport Use Case', () => {
+  // Caps change on August 1: the July declaration (deadline August 5) uses the new ones
+  const scale = new MonotributoScale([
+    {
+      effectiveFrom: '2026-02-01',
+      categories: [
+        { category: 'A', maxIncome: 1000000 },
+        { category: 'B', maxIncome: 2000000 }
+      ]
+    },
+    {
+      effectiveFrom: '2026-08-01',
+      categories: [
+        { category: 'A', maxIncome: 1200000 },
+        { category: 'B', maxIncome: 2400000 }
+      ]
+    }
+  ]);
+  let orderRepository;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(new Date('2026-07-20T12:00:00Z'));
+    orderRepository = {
+      findSuccessfullyInvoiced: jest.fn().mockResolvedValue([
+        makeOrder('ORD-1', '2025-06-30', 500000), // before the period
+        makeOrder('ORD-2', '2025-07-01', 600000, { adjustments: [{ kind: 'credit', amount: 100000, date: '2025-07-15' }] }),
+        makeOrder('ORD-3', '2026-03-15', 300000, { voucherNumber: 30, consolidatedOrders: 2 }),
+        makeOrder('ORD-4', '2026-03-15', 200000, { voucherNumber: 30, consolidatedOrders: 2 }),
+        makeOrder('ORD-5', '2026-07-02', 900000) // after the period
+      ])
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should gather the twelve months up to the close of the semester', async () => {
+    const useCase = new GenerateRecategorizationReport(orderRepository, scale);
+
+    const report = await useCase.execute({ year: 2026, semester: 1 });
+
+    expect(report.period).toEqual({ from: '2025-07-01', to: '2026-06-30' });
+    expect(report.capsDate).toBe('2026-08-05');
+    expect(report.months).toHaveLength(12);
+    expect(report.months[0]).toEqual({ month: '2025-07', invoices: 1, invoiced: 600000, credited: 100000, income: 500000 });
+    expect(report.months[8]).toEqual({ month: '2026-03', invoices: 1, invoiced: 500000, credited: 0, income: 500000 });
+    expect(report.months[11]).toEqual({ month: '2026-06', invoices: 0, invoiced: 0, credited: 0, income: 0 });
+    expect(report.totals).toEqual({ invoices: 2, invoiced: 1100000, credited: 100000, income: 1000000 });
+  });
+
+  test('should count each note in the month it was issued, not its invoice\'s', async () => {
+    orderRepository.findSuccessfullyInvoiced.mockResolvedValue([
+      makeOrder('ORD-1', '2025-06-30', 500000, { adjustments: [{ kind: 'credit', amount: 200000, date: '2025-07-03' }] }),
+      makeOrder('ORD-2', '2026-06-10', 600000, {
+        adjustments: [
+          { kind: 'debit', amount: 50000, date: '2026-06-20' },
+          { kind: 'credit', amount: 100000, date: '2026-07-02' }
+        ]
+      })
+    ]);
+    const useCase = new GenerateRecategorizationReport(orderRepository, scale);
+
+    const report = await useCase.execute({ year: 2026, semester: 1 });
+
+    expect(report.months[0]).toEqual({ month: '2025-07', invoices: 0, invoiced: 0, credited: 200000, income: -200000 });
+    expect(report.months[11]).toEqual({ month: '2026-06', invoices: 1, invoiced: 650000, credited: 0, income: 650000 });
+    expect(report.totals).toEqual({ invoices: 1, invoiced: 650000, credited: 200000, income: 450000 });
+  });
+
+  test('should place the income under the caps in force for the declaration', async () => {
+    const useCase = new GenerateRecategorizationReport(orderRepository, scale, { registeredCategory: 'B' });
+
+    const report = await useCase.execute({ year: 2026, semester: 1 });
+
+    // 1,000,000 is category A under the August caps
+    expect(report.category).toEqual({ category: 'A', maxIncome: 1200000 });
+    expect(report.usage).toBe(0.8333);
+    expect(report.change).toBe('down');
+    expect(report.exceedsScale).toBe(false);
+  });
+
+  test('should leave the change out without a registered category', async () => {
+    const useCase = new GenerateRecategorizationReport(orderRepository, scale);
+
+    const report = await useCase.execute({ year: 2026, semester: 1 });
+
+    expect(report.registeredCategory).toBeNull();
+    expect(report.change).toBeNull();
+  });
+
+  test('should reject a semester that has not closed', async () => {
+    const useCase = new GenerateRecategorizationReport(orderRepository, scale);
+
+    await expect(useCase.execute({ year: 2026, semester: 2 })).rejects.toThrow(ValidationError);
+    expect(orderRepository.findSuccessfullyInvoiced).not.toHaveBeenCalled();
+  });
+
+  test('should reject a semester other than 1 or 2', async () => {
+    const useCase = new GenerateRecategorizationReport(orderRepository, scale);
+
+    await expect(useCase.execute({ year: 2026, semester: 3 })).rejects.toThrow(ValidationError);
+  });
+});
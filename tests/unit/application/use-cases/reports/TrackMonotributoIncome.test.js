@@ -0,0 +1,92 @@
+/**
+ * TrackMonotributoIncome Use Case Tests
+ */
+
+const TrackMonotributoIncome = require('../../../../../src/application/use-cases/reports/TrackMonotributoIncome');
+const MonotributoScale = require('../../../../../src/domain/entities/MonotributoScale');
+const Order = require('../../../../../src/domain/entities/Order');
+const { ValidationError } = require('../../../../../src/shared/errors');
+
+const makeOrder = (orderNumber, invoiceDate, totalPrice) => new Order({
+  orderNumber,
+  amount: 100,
+  price: 1000,
+  totalPrice,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.now(),
+  orderDate: invoiceDate,
+  processedAt: `${invoiceDate}T12:00:00Z`,
+  success: true,
+  cae: '75123456789012',
+  voucherNumber: 1,
+  invoiceDate
+});
+
+describe('TrackMonotributoIncome Use Case', () => {
+  const scale = new MonotributoScale([{
+    categories: [
+      { category: 'A', maxIncome: 1000000 },
+      { category: 'B', maxIncome: 2000000 }
+    ]
+  }]);
+  let orderRepository;
+  let useCase;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(new Date(2026, 8, 10, 12));
+    orderRepository = {
+      findSuccessfullyInvoiced: jest.fn().mockResolvedValue([
+        makeOrder('ORD-1', '2025-09-30', 900000), // before the window
+        makeOrder('ORD-2', '2025-10-01', 600000),
+        makeOrder('ORD-3', '2026-09-05', 100000)
+      ])
+    };
+    useCase = new TrackMonotributoIncome(orderRepository, scale, { thresholds: [0.8, 0.95] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should track the month in progress up to today and project it', async () => {
+    const status = await useCase.execute();
+
+    expect(status.asOf).toBe('2026-09-10');
+    expect(status.window).toEqual({ from: '2025-10-01', to: '2026-09-10' });
+    expect(status.income).toBe(700000);
+    expect(status.monthIncome).toBe(100000);
+    expect(status.projectedIncome).toBe(900000);
+    expect(status.category).toEqual({ category: 'A', maxIncome: 1000000 });
+    expect(status.projectedUsage).toBe(0.9);
+    expect(status.remaining).toBe(300000);
+    expect(status.warnings).toEqual([{ figure: 'projected', threshold: 0.8, usage: 0.9 }]);
+  });
+
+  test('should track a past month up to its last day with nothing to project', async () => {
+    const status = await useCase.execute({ year: 2026, month: 8 });
+
+    expect(status.asOf).toBe('2026-08-31');
+    expect(status.window).toEqual({ from: '2025-09-01', to: '2026-08-31' });
+    expect(status.income).toBe(1500000);
+    expect(status.projectedIncome).toBe(1500000);
+    expect(status.category.category).toBe('B');
+  });
+
+  test('should measure against the registered category', async () => {
+    useCase = new TrackMonotributoIncome(orderRepository, scale, { registeredCategory: 'A' });
+
+    const status = await useCase.execute({ year: 2026, month: 8 });
+
+    expect(status.registered).toBe(true);
+    expect(status.limit.category).toBe('A');
+    expect(status.usage).toBe(1.5);
+  });
+
+  test('should reject a month that has not started', async () => {
+    await expect(useCase.execute({ year: 2026, month: 10 })).rejects.toThrow(ValidationError);
+    expect(orderRepository.findSuccessfullyInvoiced).not.toHaveBeenCalled();
+  });
+});
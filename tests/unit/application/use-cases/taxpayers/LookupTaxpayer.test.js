@@ -0,0 +1,66 @@
+const LookupTaxpayer = require('../../../../../src/application/use-cases/taxpayers/LookupTaxpayer');
+const Taxpayer = require('../../../../../src/domain/entities/Taxpayer');
+const { ValidationError, NotFoundError } = require('../../../../../src/shared/errors');
+
+const makeTaxpayer = (fetchedAt = new Date().toISOString()) => new Taxpayer({
+  cuit: '27301234568',
+  name: 'PEREZ ANA',
+  taxCondition: 'MONOTRIBUTO',
+  fetchedAt
+});
+
+describe('LookupTaxpayer', () => {
+  let taxpayerRepository;
+  let afipGateway;
+  let useCase;
+
+  beforeEach(() => {
+    taxpayerRepository = {
+      findByCuit: jest.fn().mockResolvedValue(null),
+      save: jest.fn().mockImplementation(async taxpayer => taxpayer)
+    };
+    afipGateway = {
+      lookupTaxpayer: jest.fn().mockResolvedValue(makeTaxpayer())
+    };
+    useCase = new LookupTaxpayer(taxpayerRepository, afipGateway, { maxAgeDays: 30 });
+  });
+
+  it('queries the padrón and caches the result', async () => {
+    const taxpayer = await useCase.execute({ cuit: '27-30123456-8' });
+
+    expect(taxpayerRepository.findByCuit).toHaveBeenCalledWith('27301234568');
+    expect(afipGateway.lookupTaxpayer).toHaveBeenCalledWith('27301234568');
+    expect(taxpayerRepository.save).toHaveBeenCalledWith(taxpayer);
+    expect(taxpayer.name).toBe('PEREZ ANA');
+  });
+
+  it('returns a fresh cached taxpayer without calling AFIP', async () => {
+    taxpayerRepository.findByCuit.mockResolvedValue(makeTaxpayer());
+
+    await useCase.execute({ cuit: '27301234568' });
+
+    expect(afipGateway.lookupTaxpayer).not.toHaveBeenCalled();
+    expect(taxpayerRepository.save).not.toHaveBeenCalled();
+  });
+
+  it('looks up again when the cached entry is stale or a refresh is asked for', async () => {
+    taxpayerRepository.findByCuit.mockResolvedValue(makeTaxpayer('2020-01-01T00:00:00.000Z'));
+    await useCase.execute({ cuit: '27301234568' });
+
+    taxpayerRepository.findByCuit.mockResolvedValue(makeTaxpayer());
+    await useCase.execute({ cuit: '27301234568', refresh: true });
+
+    expect(afipGateway.lookupTaxpayer).toHaveBeenCalledTimes(2);
+  });
+
+  it('throws NotFoundError when the padrón does not know the CUIT', async () => {
+    afipGateway.lookupTaxpayer.mockResolvedValue(null);
+
+    await expect(useCase.execute({ cuit: '27301234568' })).rejects.toThrow(NotFoundError);
+    expect(taxpayerRepository.save).not.toHaveBeenCalled();
+  });
+
+  it('validates the CUIT', async () => {
+    await expect(useCase.execute({ cuit: '27301234567' })).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * ProcessCommand Tests
+ */
+
+jest.mock('../../../../src/application/di/container');
+jest.mock('../../../../src/utils/DatabaseOrderTracker');
+
+const ProcessCommand = require('../../../../src/cli/commands/ProcessCommand');
+const container = require('../../../../src/application/di/container');
+const DatabaseOrderTracker = require('../../../../src/utils/DatabaseOrderTracker');
+const ConsoleFormatter = require('../../../../src/cli/formatters/ConsoleFormatter');
+const Order = require('../../../../src/domain/entities/Order');
+const { DomainError, NotFoundError } = require('../../../../src/shared/errors');
+
+const makeOrder = (orderNumber, overrides = {}) => new Order({
+  orderNumber,
+  amount: 10,
+  price: 1000,
+  totalPrice: 10000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.now(),
+  orderDate: '2026-10-15',
+  ...overrides
+});
+
+describe('ProcessCommand.markOrderAsManual', () => {
+  let orders;
+
+  beforeEach(() => {
+    orders = new Map();
+    container.getOrderRepository.mockReturnValue({
+      findByOrderNumber: jest.fn(async (orderNumber) => orders.get(orderNumber) || null)
+    });
+    DatabaseOrderTracker.prototype.markManualInvoice.mockResolvedValue(true);
+    jest.spyOn(ConsoleFormatter, 'header').mockImplementation(() => {});
+    jest.spyOn(ConsoleFormatter, 'keyValue').mockImplementation(() => {});
+    jest.spyOn(ConsoleFormatter, 'progress').mockImplementation(() => {});
+    jest.spyOn(ConsoleFormatter, 'success').mockImplementation(() => {});
+    jest.spyOn(ConsoleFormatter, 'error').mockImplementation(() => {});
+  });
+
+  it('should mark the orders of a daily invoice sold on one day in pesos', async () => {
+    orders.set('ORD-1', makeOrder('ORD-1'));
+    orders.set('ORD-2', makeOrder('ORD-2'));
+
+    await ProcessCommand.markOrderAsManual(['ORD-1', 'ORD-2'], '75123456789012', 30, 2, 11);
+
+    expect(DatabaseOrderTracker.prototype.markManualInvoice).toHaveBeenCalledWith('ORD-1', '75123456789012', 30, null, 2, 2, 11);
+    expect(DatabaseOrderTracker.prototype.markManualInvoice).toHaveBeenCalledWith('ORD-2', '75123456789012', 30, null, 2, 2, 11);
+  });
+
+  it('should refuse orders of different days on one invoice', async () => {
+    orders.set('ORD-1', makeOrder('ORD-1'));
+    orders.set('ORD-2', makeOrder('ORD-2', { orderDate: '2026-10-16' }));
+
+    await expect(ProcessCommand.markOrderAsManual(['ORD-1', 'ORD-2'], '75123456789012', 30))
+      .rejects.toThrow(DomainError);
+    expect(DatabaseOrderTracker.prototype.markManualInvoice).not.toHaveBeenCalled();
+  });
+
+  it('should refuse orders in another currency on one invoice', async () => {
+    orders.set('ORD-1', makeOrder('ORD-1'));
+    orders.set('ORD-2', makeOrder('ORD-2', { fiat: 'USD', totalPrice: 10 }));
+
+    await expect(ProcessCommand.markOrderAsManual(['ORD-1', 'ORD-2'], '75123456789012', 30))
+      .rejects.toThrow(DomainError);
+    expect(DatabaseOrderTracker.prototype.markManualInvoice).not.toHaveBeenCalled();
+  });
+
+  it('should refuse an unknown order on one invoice', async () => {
+    orders.set('ORD-1', makeOrder('ORD-1'));
+
+    await expect(ProcessCommand.markOrderAsManual(['ORD-1', 'ORD-9'], '75123456789012', 30))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  it('should mark a single order without loading it', async () => {
+    await ProcessCommand.markOrderAsManual(['ORD-1'], '75123456789012', 30);
+
+    expect(container.getOrderRepository).not.toHaveBeenCalled();
+    expect(DatabaseOrderTracker.prototype.markManualInvoice).toHaveBeenCalledWith('ORD-1', '75123456789012', 30, null, null, null, null);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * IibbFormatter Tests
+ */
+
+const IibbFormatter = require('../../../../src/cli/formatters/IibbFormatter');
+
+describe('IibbFormatter', () => {
+  const report = {
+    year: 2026,
+    month: 9,
+    base: 650000,
+    annualIncome: null,
+    jurisdictions: [],
+    totals: { tax: 19500, credits: 4000, due: 15500, balanceInFavor: 0 },
+    vouchers: [
+      {
+        voucher: '00002-00000005',
+        voucherType: 11,
+        date: '2026-09-10',
+        cae: '75123456789012',
+        orderNumbers: ['ORD-1', 'ORD-2'],
+        amount: 450000
+      },
+      {
+        voucher: '00002-00000007',
+        voucherType: 11,
+        date: '2026-09-12',
+        cae: null,
+        orderNumbers: ['ORD-3'],
+        amount: 200000.5
+      }
+    ]
+  };
+
+  describe('vouchersToCSV', () => {
+    it('should write one line per voucher and the base as total', () => {
+      expect(IibbFormatter.vouchersToCSV(report).trim().split('\n')).toEqual([
+        'Voucher,Type,Date,CAE,Orders,Amount',
+        '00002-00000005,11,2026-09-10,75123456789012,ORD-1 ORD-2,450000.00',
+        '00002-00000007,11,2026-09-12,,ORD-3,200000.50',
+        'Total,,,,,650000.00'
+      ]);
+    });
+
+    it('should quote fields with commas', () => {
+      const csv = IibbFormatter.vouchersToCSV({
+        ...report,
+        vouchers: [{ ...report.vouchers[0], orderNumbers: ['A,1'] }]
+      });
+
+      expect(csv).toContain(',"A,1",');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * RecategorizationFormatter Tests
+ */
+
+const RecategorizationFormatter = require('../../../../src/cli/formatters/RecategorizationFormatter');
+
+describe('RecategorizationFormatter', () => {
+  const report = {
+    year: 2026,
+    semester: 1,
+    period: { from: '2025-07-01', to: '2026-06-30' },
+    capsDate: '2026-08-05',
+    months: [
+      { month: '2025-07', invoices: 1, invoiced: 600000, credited: 100000, income: 500000 },
+      { month: '2025-08', invoices: 0, invoiced: 0, credited: 0, income: 0 }
+    ],
+    totals: { invoices: 1, invoiced: 600000, credited: 100000, income: 500000 },
+    category: { category: 'A', maxIncome: 1200000 },
+    usage: 0.4167,
+    registeredCategory: 'B',
+    change: 'down',
+    exceedsScale: false,
+    generatedAt: '2026-07-20T12:00:00.000Z'
+  };
+
+  describe('toCSV', () => {
+    it('should write the summary, then one line per month', () => {
+      const lines = RecategorizationFormatter.toCSV(report).trim().split('\n');
+
+      expect(lines).toContain('Recategorization,2026 S1');
+      expect(lines).toContain('Income,500000.00');
+      expect(lines).toContain('Category,A');
+      expect(lines).toContain('Change,down');
+      expect(lines.slice(-3)).toEqual([
+        'Month,Invoices,Invoiced,Credited,Income',
+        '2025-07,1,600000.00,100000.00,500000.00',
+        '2025-08,0,0.00,0.00,0.00'
+      ]);
+    });
+
+    it('should mark income over every category', () => {
+      const csv = RecategorizationFormatter.toCSV({ ...report, category: null, exceedsScale: true });
+
+      expect(csv).toContain('Category,over every category\n');
+      expect(csv).toContain('Category cap,\n');
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should round-trip the report', () => {
+      expect(JSON.parse(RecategorizationFormatter.toJSON(report))).toEqual(report);
+    });
+  });
+});
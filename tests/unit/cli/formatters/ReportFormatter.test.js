@@ -27,6 +27,7 @@ describe('ReportFormatter', () => {
             totalPrice: 100,
             processing_status: 'success',
             voucherNumber: 123,
+            voucher: '00003-00000123',
             cae: 'CAE123'
           }
         ],
@@ -44,13 +45,13 @@ describe('ReportFormatter', () => {
       // Verify header was called
       expect(ConsoleFormatter.header).toHaveBeenCalled();
 
-      // Verify TableFormatter was called with correct columns including voucherNumber
+      // Verify TableFormatter was called with correct columns including the voucher id
       expect(TableFormatter.format).toHaveBeenCalledWith(
         reportData.orders,
-        expect.arrayContaining(['orderNumber', 'orderDate', 'totalPrice', 'processing_status', 'voucherNumber', 'cae']),
+        expect.arrayContaining(['orderNumber', 'orderDate', 'totalPrice', 'processing_status', 'voucher', 'cae']),
         expect.objectContaining({
           headers: expect.objectContaining({
-            voucherNumber: 'Voucher'
+            voucher: 'Voucher'
           }),
           formatters: expect.any(Object)
         })
@@ -85,10 +86,10 @@ describe('ReportFormatter', () => {
       expect(ConsoleFormatter.warning).toHaveBeenCalledWith('No orders found for this month');
     });
 
-    it('should format voucher number correctly', () => {
+    it('should format voucher id correctly', () => {
       const reportData = {
         orders: [
-          { orderNumber: '1', orderDate: '2025-01-01', totalPrice: 100, processing_status: 'success', voucherNumber: 456, cae: 'CAE1' },
+          { orderNumber: '1', orderDate: '2025-01-01', totalPrice: 100, processing_status: 'success', voucherNumber: 456, voucher: '00003-00000456', cae: 'CAE1' },
           { orderNumber: '2', orderDate: '2025-01-02', totalPrice: 200, processing_status: 'success', voucherNumber: null, cae: 'CAE2' }
         ],
         stats: { totalOrders: 2, successfulOrders: 2, failedOrders: 0, pendingOrders: 0 }
@@ -104,10 +105,29 @@ describe('ReportFormatter', () => {
       const options = call[2];
       const formatters = options.formatters;
 
-      // Test voucher number formatter
-      expect(formatters.voucherNumber(456)).toBe('456');
-      expect(formatters.voucherNumber(null)).toBe('N/A');
-      expect(formatters.voucherNumber(undefined)).toBe('N/A');
+      // Test voucher id formatter
+      expect(formatters.voucher('00003-00000456')).toBe('00003-00000456');
+      expect(formatters.voucher(null)).toBe('N/A');
+      expect(formatters.voucher(undefined)).toBe('N/A');
+    });
+
+    it('should break invoices down by point of sale when there are several', () => {
+      const reportData = {
+        orders: [
+          { orderNumber: '1', orderDate: '2025-01-01', totalPrice: 100, processing_status: 'success', voucher: '00003-00000001' },
+          { orderNumber: '2', orderDate: '2025-01-02', totalPrice: 200, processing_status: 'success', voucher: '00004-00000001' }
+        ],
+        stats: {
+          totalOrders: 2,
+          successfulOrders: 2,
+          byPointOfSale: { 3: { count: 1, invoicedAmount: 100 }, 4: { count: 1, invoicedAmount: 200 } }
+        }
+      };
+
+      ReportFormatter.formatMonthlyReport(reportData);
+
+      expect(ConsoleFormatter.subheader).toHaveBeenCalledWith('By Point of Sale');
+      expect(ConsoleFormatter.keyValue).toHaveBeenCalledWith('00004', expect.stringContaining('1 invoices'), 1);
     });
   });
 
@@ -0,0 +1,41 @@
+/**
+ * CLI Router Tests
+ */
+
+jest.mock('../../../src/cli/commands/ProcessCommand');
+
+const CLI = require('../../../src/cli/index');
+const ProcessCommand = require('../../../src/cli/commands/ProcessCommand');
+const ConsoleFormatter = require('../../../src/cli/formatters/ConsoleFormatter');
+
+describe('CLI', () => {
+  let cli;
+
+  beforeEach(() => {
+    cli = new CLI({ initialize: jest.fn() });
+    jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit');
+    });
+    jest.spyOn(ConsoleFormatter, 'error').mockImplementation(() => {});
+  });
+
+  describe('mark-manual', () => {
+    it('should pass orders, CAE and voucher number, Factura C when no type is given', async () => {
+      await cli.route('mark-manual', ['ORD-1', '75123456789012', '42']);
+
+      expect(ProcessCommand.markOrderAsManual).toHaveBeenCalledWith(['ORD-1'], '75123456789012', 42, null, null);
+    });
+
+    it('should pass the point of sale and voucher type of a Factura A or B', async () => {
+      await cli.route('mark-manual', ['ORD-1,ORD-2', '--type', '6', '75123456789012', '42', '--pos', '3']);
+
+      expect(ProcessCommand.markOrderAsManual).toHaveBeenCalledWith(['ORD-1', 'ORD-2'], '75123456789012', 42, 3, 6);
+    });
+
+    it('should reject a voucher type that is not an invoice', async () => {
+      await expect(cli.route('mark-manual', ['ORD-1', '75123456789012', '--type', '3'])).rejects.toThrow('process.exit');
+
+      expect(ProcessCommand.markOrderAsManual).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('@azure/data-tables', () => ({
+  TableClient: {
+    fromConnectionString: jest.fn(),
+  },
+}));
+
+process.env.AZURE_STORAGE_CONNECTION_STRING = 'UseDevelopmentStorage=true';
+
+const { TableClient } = require('@azure/data-tables');
+const AzureTableDatabase = require('../../../src/database/AzureTableDatabase');
+
+const tableError = (statusCode) => Object.assign(new Error(`status ${statusCode}`), { statusCode });
+
+describe('AzureTableDatabase.initialize', () => {
+  let createTable;
+
+  beforeEach(() => {
+    createTable = jest.fn();
+    TableClient.fromConnectionString.mockReturnValue({ createTable });
+  });
+
+  it('creates each table once however many repositories initialize it', async () => {
+    createTable.mockResolvedValue();
+    const db = new AzureTableDatabase();
+
+    await Promise.all([db.initialize(), db.initialize()]);
+    await db.initialize();
+
+    expect(createTable).toHaveBeenCalledTimes(8);
+  });
+
+  it('treats an existing table as created', async () => {
+    createTable.mockRejectedValue(tableError(409));
+    const db = new AzureTableDatabase();
+
+    await expect(db.initialize()).resolves.toBeUndefined();
+  });
+
+  it('tries again on the next call after a failure', async () => {
+    createTable.mockRejectedValueOnce(tableError(500)).mockResolvedValue();
+    const db = new AzureTableDatabase();
+
+    await expect(db.initialize()).rejects.toThrow('status 500');
+    await db.initialize();
+
+    expect(createTable).toHaveBeenCalledTimes(9);
+  });
+});
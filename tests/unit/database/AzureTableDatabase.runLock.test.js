@@ -0,0 +1,118 @@
+jest.mock('@azure/data-tables', () => ({
+  TableClient: {
+    fromConnectionString: jest.fn().mockReturnValue({}),
+  },
+}));
+
+process.env.AZURE_STORAGE_CONNECTION_STRING = 'UseDevelopmentStorage=true';
+
+const AzureTableDatabase = require('../../../src/database/AzureTableDatabase');
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const tableError = (statusCode) => Object.assign(new Error(`status ${statusCode}`), { statusCode });
+
+const wanted = {
+  name: 'processing',
+  command: 'process',
+  owner: 'run-a',
+  acquiredAt: '2026-10-19T12:00:00.000Z',
+  expiresAt: '2026-10-19T13:00:00.000Z',
+};
+
+const storedRow = (fields = {}) => ({
+  partitionKey: 'locks',
+  rowKey: 'processing',
+  command: 'process-month 2026-09',
+  owner: 'run-b',
+  acquiredAt: '2026-10-19T11:30:00.000Z',
+  expiresAt: '2026-10-19T12:30:00.000Z',
+  etag: 'etag-1',
+  ...fields,
+});
+
+function makeDb(client) {
+  const db = new AzureTableDatabase();
+  db.locksClient = {
+    getEntity: jest.fn(),
+    createEntity: jest.fn(),
+    updateEntity: jest.fn(),
+    deleteEntity: jest.fn(),
+    ...client,
+  };
+  return db;
+}
+
+describe('AzureTableDatabase run locks', () => {
+  it('creates the lock when nobody holds it', async () => {
+    const db = makeDb({
+      getEntity: jest.fn().mockRejectedValue(tableError(404)),
+      createEntity: jest.fn().mockResolvedValue({ etag: 'etag-new' }),
+    });
+
+    const row = await db.acquireRunLock(wanted, NOW);
+
+    expect(db.locksClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      partitionKey: 'locks', rowKey: 'processing', owner: 'run-a', command: 'process',
+    }));
+    expect(row).toMatchObject({ name: 'processing', owner: 'run-a', etag: 'etag-new' });
+  });
+
+  it('leaves a held lock alone and returns its holder', async () => {
+    const db = makeDb({ getEntity: jest.fn().mockResolvedValue(storedRow()) });
+
+    const row = await db.acquireRunLock(wanted, NOW);
+
+    expect(db.locksClient.updateEntity).not.toHaveBeenCalled();
+    expect(row).toMatchObject({ owner: 'run-b', command: 'process-month 2026-09', acquired_at: '2026-10-19T11:30:00.000Z' });
+  });
+
+  it('takes over a stale lock only if nobody changed it since it was read', async () => {
+    const db = makeDb({
+      getEntity: jest.fn().mockResolvedValue(storedRow({ expiresAt: '2026-10-19T11:59:59.000Z' })),
+      updateEntity: jest.fn().mockResolvedValue({ etag: 'etag-2' }),
+    });
+
+    const row = await db.acquireRunLock(wanted, NOW);
+
+    expect(db.locksClient.updateEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ owner: 'run-a' }),
+      'Replace',
+      { etag: 'etag-1' }
+    );
+    expect(row).toMatchObject({ owner: 'run-a', etag: 'etag-2' });
+  });
+
+  it('returns the winner when another run takes the lock first (409)', async () => {
+    const db = makeDb({
+      getEntity: jest.fn()
+        .mockRejectedValueOnce(tableError(404))
+        .mockResolvedValueOnce(storedRow({ etag: 'etag-b' })),
+      createEntity: jest.fn().mockRejectedValue(tableError(409)),
+    });
+
+    const row = await db.acquireRunLock(wanted, NOW);
+
+    expect(row).toMatchObject({ owner: 'run-b', etag: 'etag-b' });
+  });
+
+  it('deletes the lock on release, conditional on its ETag', async () => {
+    const db = makeDb({ deleteEntity: jest.fn().mockResolvedValue({}) });
+
+    await expect(db.releaseRunLock({ name: 'processing', version: 'etag-2' })).resolves.toBe(true);
+    expect(db.locksClient.deleteEntity).toHaveBeenCalledWith('locks', 'processing', { etag: 'etag-2' });
+  });
+
+  it('does not delete a lock another run took over after ours went stale', async () => {
+    const db = makeDb({ deleteEntity: jest.fn().mockRejectedValue(tableError(412)) });
+
+    await expect(db.releaseRunLock({ name: 'processing', version: 'etag-2' })).resolves.toBe(false);
+  });
+
+  it('force-deletes a lock whoever holds it', async () => {
+    const db = makeDb({ deleteEntity: jest.fn().mockResolvedValue({}) });
+
+    await expect(db.deleteRunLock('processing')).resolves.toBe(1);
+    expect(db.locksClient.deleteEntity).toHaveBeenCalledWith('locks', 'processing');
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('@azure/data-tables', () => ({
+  TableClient: {
+    fromConnectionString: jest.fn().mockReturnValue({}),
+  },
+}));
+
+process.env.AZURE_STORAGE_CONNECTION_STRING = 'UseDevelopmentStorage=true';
+
+const AzureTableDatabase = require('../../../src/database/AzureTableDatabase');
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+const EXPIRES = '2026-10-19T12:02:00.000Z';
+
+const tableError = (statusCode) => Object.assign(new Error(`status ${statusCode}`), { statusCode });
+
+const storedRow = (fields = {}) => ({
+  partitionKey: 'sequences',
+  rowKey: '2-11',
+  pointOfSale: 2,
+  voucherType: 11,
+  lastNumber: 41,
+  leaseOwner: '',
+  leaseExpiresAt: '',
+  etag: 'etag-1',
+  ...fields,
+});
+
+function makeDb(client) {
+  const db = new AzureTableDatabase();
+  db.sequencesClient = {
+    getEntity: jest.fn(),
+    createEntity: jest.fn(),
+    updateEntity: jest.fn(),
+    ...client,
+  };
+  return db;
+}
+
+describe('AzureTableDatabase voucher sequence leases', () => {
+  it('creates the sequence leased when it does not exist yet', async () => {
+    const db = makeDb({
+      getEntity: jest.fn().mockRejectedValue(tableError(404)),
+      createEntity: jest.fn().mockResolvedValue({ etag: 'etag-new' }),
+    });
+
+    const row = await db.acquireVoucherLease(2, 11, 'run-a', EXPIRES, NOW);
+
+    expect(db.sequencesClient.createEntity).toHaveBeenCalledWith(expect.objectContaining({
+      rowKey: '2-11', lastNumber: 0, leaseOwner: 'run-a', leaseExpiresAt: EXPIRES,
+    }));
+    expect(row).toMatchObject({ lease_owner: 'run-a', last_number: 0, etag: 'etag-new' });
+  });
+
+  it('takes a free sequence only if nobody changed it since it was read', async () => {
+    const db = makeDb({
+      getEntity: jest.fn().mockResolvedValue(storedRow()),
+      updateEntity: jest.fn().mockResolvedValue({ etag: 'etag-2' }),
+    });
+
+    const row = await db.acquireVoucherLease(2, 11, 'run-a', EXPIRES, NOW);
+
+    expect(db.sequencesClient.updateEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ lastNumber: 41, leaseOwner: 'run-a' }),
+      'Replace',
+      { etag: 'etag-1' }
+    );
+    expect(row).toMatchObject({ lease_owner: 'run-a', etag: 'etag-2' });
+  });
+
+  it('leaves an unexpired lease alone and returns its holder', async () => {
+    const db = makeDb({
+      getEntity: jest.fn().mockResolvedValue(storedRow({ leaseOwner: 'run-b', leaseExpiresAt: EXPIRES })),
+    });
+
+    const row = await db.acquireVoucherLease(2, 11, 'run-a', EXPIRES, NOW);
+
+    expect(db.sequencesClient.updateEntity).not.toHaveBeenCalled();
+    expect(row.lease_owner).toBe('run-b');
+  });
+
+  it('takes over an expired lease', async () => {
+    const db = makeDb({
+      getEntity: jest.fn().mockResolvedValue(storedRow({ leaseOwner: 'run-b', leaseExpiresAt: '2026-10-19T11:59:59.000Z' })),
+      updateEntity: jest.fn().mockResolvedValue({ etag: 'etag-2' }),
+    });
+
+    const row = await db.acquireVoucherLease(2, 11, 'run-a', EXPIRES, NOW);
+
+    expect(row.lease_owner).toBe('run-a');
+  });
+
+  it('returns the winner when another run creates the sequence first (409)', async () => {
+    const db = makeDb({
+      getEntity: jest.fn()
+        .mockRejectedValueOnce(tableError(404))
+        .mockResolvedValueOnce(storedRow({ leaseOwner: 'run-b', leaseExpiresAt: EXPIRES, etag: 'etag-b' })),
+      createEntity: jest.fn().mockRejectedValue(tableError(409)),
+    });
+
+    const row = await db.acquireVoucherLease(2, 11, 'run-a', EXPIRES, NOW);
+
+    expect(row).toMatchObject({ lease_owner: 'run-b', etag: 'etag-b' });
+  });
+
+  it('returns the winner when another run takes the lease first (412)', async () => {
+    const db = makeDb({
+      getEntity: jest.fn()
+        .mockResolvedValueOnce(storedRow())
+        .mockResolvedValueOnce(storedRow({ leaseOwner: 'run-b', leaseExpiresAt: EXPIRES, etag: 'etag-b' })),
+      updateEntity: jest.fn().mockRejectedValue(tableError(412)),
+    });
+
+    const row = await db.acquireVoucherLease(2, 11, 'run-a', EXPIRES, NOW);
+
+    expect(row).toMatchObject({ lease_owner: 'run-b', etag: 'etag-b' });
+  });
+
+  it('releases the lease with the last number, conditional on its ETag', async () => {
+    const db = makeDb({ updateEntity: jest.fn().mockResolvedValue({ etag: 'etag-3' }) });
+
+    const released = await db.releaseVoucherLease({ pointOfSale: 2, voucherType: 11, version: 'etag-2' }, 43);
+
+    expect(released).toBe(true);
+    expect(db.sequencesClient.updateEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ rowKey: '2-11', lastNumber: 43, leaseOwner: '' }),
+      'Replace',
+      { etag: 'etag-2' }
+    );
+  });
+
+  it('does not overwrite a lease another run took after ours lapsed', async () => {
+    const db = makeDb({ updateEntity: jest.fn().mockRejectedValue(tableError(412)) });
+
+    await expect(db.releaseVoucherLease({ pointOfSale: 2, voucherType: 11, version: 'etag-2' }, 43)).resolves.toBe(false);
+  });
+
+  it('extends a lease still held, if nobody changed it since', async () => {
+    const db = makeDb({ updateEntity: jest.fn().mockResolvedValue({ etag: 'etag-3' }) });
+    const later = '2026-10-19T12:04:00.000Z';
+
+    const row = await db.renewVoucherLease(
+      { pointOfSale: 2, voucherType: 11, lastNumber: 41, leaseOwner: 'run-a', leaseExpiresAt: EXPIRES, version: 'etag-2' },
+      later
+    );
+
+    expect(db.sequencesClient.updateEntity).toHaveBeenCalledWith(
+      expect.objectContaining({ rowKey: '2-11', lastNumber: 41, leaseOwner: 'run-a', leaseExpiresAt: later }),
+      'Replace',
+      { etag: 'etag-2' }
+    );
+    expect(row).toMatchObject({ lease_owner: 'run-a', lease_expires_at: later, etag: 'etag-3' });
+  });
+
+  it('does not renew a lease another run took after ours lapsed', async () => {
+    const db = makeDb({ updateEntity: jest.fn().mockRejectedValue(tableError(412)) });
+
+    await expect(db.renewVoucherLease({ pointOfSale: 2, voucherType: 11, leaseOwner: 'run-a', version: 'etag-2' }, EXPIRES))
+      .resolves.toBeNull();
+  });
+});
@@ -57,6 +57,22 @@ describe('Domain Services', () => {
 
       expect(rounded.amount).toBe(100.46);
     });
+
+    test('should round to whole pesos with the given mode', () => {
+      const amount = new Money(100.5, 'ARS');
+
+      expect(InvoiceCalculator.roundAmount(amount, 0).amount).toBe(101);
+      expect(InvoiceCalculator.roundAmount(amount, 0, Money.ROUNDING.HALF_EVEN).amount).toBe(100);
+    });
+
+    test('should split large totals so net and VAT add up to the cent', () => {
+      for (const total of [12345678.91, 9999999.99, 3000000.05]) {
+        const { net, vat } = InvoiceCalculator.vatBreakdown(new Money(total, 'ARS'), 0.21);
+
+        expect(net.minorUnits + vat.minorUnits).toBe(Math.round(total * 100));
+      }
+      expect(InvoiceCalculator.vatBreakdown(new Money(12345678.91, 'ARS')).net.amount).toBe(10203040.42);
+    });
   });
 
   describe('InvoiceDateValidator', () => {
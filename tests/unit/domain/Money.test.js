@@ -29,6 +29,25 @@ describe('Money Value Object', () => {
       expect(money.amount).toBe(100.57);
     });
 
+    test('should round a decimal half cent up, not its binary approximation', () => {
+      expect(new Money(1.005).amount).toBe(1.01);
+      expect(new Money(-1.005).amount).toBe(-1.01);
+      expect(new Money('150000.00000000').amount).toBe(150000);
+    });
+
+    test('should round half cents to even when asked', () => {
+      expect(new Money(1.005, 'ARS', Money.ROUNDING.HALF_EVEN).amount).toBe(1);
+      expect(new Money(1.015, 'ARS', Money.ROUNDING.HALF_EVEN).amount).toBe(1.02);
+      expect(() => new Money(1, 'ARS', 'HALF_DOWN')).toThrow(ValidationError);
+    });
+
+    test('should hold the amount in cents', () => {
+      const money = new Money(1234567.89);
+      expect(money.minorUnits).toBe(123456789);
+      expect(Money.fromMinorUnits(123456789).equals(money)).toBe(true);
+      expect(() => Money.fromMinorUnits(1.5)).toThrow(ValidationError);
+    });
+
     test('should accept zero amount', () => {
       const money = new Money(0, 'ARS');
       expect(money.amount).toBe(0);
@@ -169,6 +188,13 @@ describe('Money Value Object', () => {
       expect(result.amount).toBe(156.7);
     });
 
+    test('should multiply by the decimal value of the multiplier', () => {
+      // 0.21 is not exact in binary: 1.5 * 0.21 = 0.315 exactly
+      expect(new Money(1.5).multiply(0.21).amount).toBe(0.32);
+      expect(new Money(1.5).multiply(0.21, Money.ROUNDING.HALF_EVEN).amount).toBe(0.32);
+      expect(new Money(2.5).multiply(0.21, Money.ROUNDING.HALF_EVEN).amount).toBe(0.52);
+    });
+
     test('should throw ValidationError for invalid multiplier', () => {
       const money = new Money(100, 'ARS');
       expect(() => money.multiply('invalid')).toThrow(ValidationError);
@@ -189,6 +215,12 @@ describe('Money Value Object', () => {
       expect(result.amount).toBe(33.33);
     });
 
+    test('should round a tie with the given mode', () => {
+      expect(new Money(0.05).divide(2).amount).toBe(0.03);
+      expect(new Money(0.05).divide(2, Money.ROUNDING.HALF_EVEN).amount).toBe(0.02);
+      expect(new Money(-0.05).divide(2).amount).toBe(-0.03);
+    });
+
     test('should throw ValidationError for zero divisor', () => {
       const money = new Money(100, 'ARS');
       expect(() => money.divide(0)).toThrow(ValidationError);
@@ -213,6 +245,12 @@ describe('Money Value Object', () => {
       const result = money.percentage(10.5);
       expect(result.amount).toBe(105);
     });
+
+    test('should round a tie with the given mode', () => {
+      const money = new Money(0.5, 'ARS');
+      expect(money.percentage(21).amount).toBe(0.11);
+      expect(money.percentage(21, Money.ROUNDING.HALF_EVEN).amount).toBe(0.1);
+    });
   });
 
   describe('convertTo', () => {
@@ -233,6 +271,10 @@ describe('Money Value Object', () => {
       const money = new Money(100, 'ARS');
       expect(() => money.convertTo('XXX', 1)).toThrow(ValidationError);
     });
+
+    test('should convert at the exact rate', () => {
+      expect(new Money(1234.57, 'USD').convertTo('ARS', 1180.25).amount).toBe(1457101.24);
+    });
   });
 
   describe('compareTo', () => {
@@ -369,6 +411,19 @@ describe('Money Value Object', () => {
     });
   });
 
+  describe('AFIP amounts', () => {
+    test('should write exactly two decimals', () => {
+      expect(new Money(1500).toDecimalString()).toBe('1500.00');
+      expect(new Money(-0.5).toDecimalString()).toBe('-0.50');
+      expect(new Money(0.07).toDecimalString()).toBe('0.07');
+    });
+
+    test('should send AFIP a number whose decimal form is the amount', () => {
+      const amount = new Money(12345678.91).toAfipAmount();
+      expect(String(amount)).toBe('12345678.91');
+    });
+  });
+
   describe('toString', () => {
     test('should return formatted string', () => {
       const money = new Money(100, 'ARS');
@@ -415,6 +470,19 @@ describe('Money Value Object', () => {
       expect(result.currency).toBe('ARS');
     });
 
+    test('sum should not drift over many amounts', () => {
+      const amounts = Array.from({ length: 1000 }, () => new Money(1234567.01));
+      expect(Money.sum(...amounts).amount).toBe(1234567010);
+      expect(Money.sum(...Array.from({ length: 10 }, () => new Money(0.1))).amount).toBe(1);
+    });
+
+    test('sum should take a rounding mode as last argument', () => {
+      const total = Money.sum(new Money(0.1), new Money(0.2), Money.ROUNDING.HALF_EVEN);
+      expect(total.amount).toBe(0.3);
+      expect(() => Money.sum(new Money(1), 'SIDEWAYS')).toThrow(ValidationError);
+      expect(() => Money.sum(Money.ROUNDING.HALF_UP)).toThrow(DomainError);
+    });
+
     test('sum should throw for no arguments', () => {
       expect(() => Money.sum()).toThrow(DomainError);
     });
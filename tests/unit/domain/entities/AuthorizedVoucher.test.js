@@ -0,0 +1,97 @@
+/**
+ * AuthorizedVoucher Entity Tests
+ */
+
+const AuthorizedVoucher = require('../../../../src/domain/entities/AuthorizedVoucher');
+const Money = require('../../../../src/domain/value-objects/Money');
+const { ValidationError } = require('../../../../src/shared/errors');
+
+describe('AuthorizedVoucher Entity', () => {
+  // FECompConsultar ResultGet as returned by WSFE
+  const resultGet = {
+    Concepto: 2,
+    DocTipo: 99,
+    DocNro: 0,
+    CbteDesde: 150,
+    CbteHasta: 150,
+    CbteFch: '20250115',
+    ImpTotal: 199000,
+    ImpTotConc: 0,
+    ImpNeto: 199000,
+    ImpOpEx: 0,
+    ImpTrib: 0,
+    ImpIVA: 0,
+    FchServDesde: '20250114',
+    FchServHasta: '20250114',
+    FchVtoPago: '20250115',
+    MonId: 'PES',
+    MonCotiz: 1,
+    Resultado: 'A',
+    CodAutorizacion: '75034567890123',
+    EmisionTipo: 'CAE',
+    FchVto: '20250125',
+    FchProceso: '20250115101530',
+    PtoVta: 3,
+    CbteTipo: 11
+  };
+
+  describe('fromAFIPResponse', () => {
+    test('should map the AFIP record to domain fields', () => {
+      const voucher = AuthorizedVoucher.fromAFIPResponse(resultGet);
+
+      expect(voucher.pointOfSale).toBe(3);
+      expect(voucher.voucherType).toBe(11);
+      expect(voucher.voucherNumber).toBe(150);
+      expect(voucher.voucherDate).toBe('2025-01-15');
+      expect(voucher.totalAmount).toBeInstanceOf(Money);
+      expect(voucher.totalAmount.amount).toBe(199000);
+      expect(voucher.totalAmount.currency).toBe('ARS');
+      expect(voucher.serviceFrom).toBe('2025-01-14');
+      expect(voucher.cae.value).toBe('75034567890123');
+      expect(voucher.authorizationType).toBe('CAE');
+      expect(voucher.processedAt).toBe('2025-01-15');
+      expect(voucher.isApproved()).toBe(true);
+    });
+
+    test('should include the CAE expiry in JSON', () => {
+      const json = AuthorizedVoucher.fromAFIPResponse(resultGet).toJSON();
+
+      expect(json.cae).toBe('75034567890123');
+      expect(json.caeExpiration).toBe('2025-01-25');
+      expect(json.totalAmount).toBe(199000);
+    });
+
+    test('should map associated vouchers of notes', () => {
+      const voucher = AuthorizedVoucher.fromAFIPResponse({
+        ...resultGet,
+        CbteTipo: 13,
+        CbtesAsoc: { CbteAsoc: { Tipo: 11, PtoVta: 3, Nro: 149 } }
+      });
+
+      expect(voucher.associatedVouchers).toEqual([{ type: 11, pointOfSale: 3, number: 149 }]);
+    });
+
+    test('should map foreign currency ids', () => {
+      const voucher = AuthorizedVoucher.fromAFIPResponse({ ...resultGet, MonId: 'DOL', MonCotiz: 1050.5 });
+
+      expect(voucher.totalAmount.currency).toBe('USD');
+      expect(voucher.exchangeRate).toBe(1050.5);
+    });
+  });
+
+  describe('matchesAmount', () => {
+    test('should compare within a cent', () => {
+      const voucher = AuthorizedVoucher.fromAFIPResponse(resultGet);
+
+      expect(voucher.matchesAmount(199000.004)).toBe(true);
+      expect(voucher.matchesAmount(new Money(199000))).toBe(true);
+      expect(voucher.matchesAmount(198999)).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    test('should require voucher identifiers', () => {
+      expect(() => new AuthorizedVoucher({ totalAmount: 1 })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Caea Entity Tests
+ */
+
+const Caea = require('../../../../src/domain/entities/Caea');
+const { ValidationError } = require('../../../../src/shared/errors');
+
+describe('Caea Entity', () => {
+  // FECAEASolicitar ResultGet as returned by WSFE
+  const resultGet = {
+    CAEA: '31234567890123',
+    Periodo: 202601,
+    Orden: 2,
+    FchVigDesde: '20260116',
+    FchVigHasta: '20260131',
+    FchTopeInf: '20260208',
+    FchProceso: '20260111093000'
+  };
+
+  describe('fromAFIPResponse', () => {
+    test('should map the AFIP record to domain fields', () => {
+      const caea = Caea.fromAFIPResponse(resultGet);
+
+      expect(caea.code).toBe('31234567890123');
+      expect(caea.period).toBe(202601);
+      expect(caea.fortnight).toBe(2);
+      expect(caea.validFrom).toBe('2026-01-16');
+      expect(caea.validTo).toBe('2026-01-31');
+      expect(caea.reportDeadline).toBe('2026-02-08');
+      expect(caea.grantedAt).toBe('2026-01-11');
+    });
+
+    test('should round-trip through JSON', () => {
+      const caea = Caea.fromAFIPResponse(resultGet);
+
+      expect(Caea.fromJSON(caea.toJSON()).toJSON()).toEqual(caea.toJSON());
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject a malformed code or fortnight', () => {
+      expect(() => Caea.fromAFIPResponse({ ...resultGet, CAEA: '123' })).toThrow(ValidationError);
+      expect(() => Caea.fromAFIPResponse({ ...resultGet, Orden: 3 })).toThrow(ValidationError);
+    });
+  });
+
+  describe('covers / isReportOverdue', () => {
+    const caea = Caea.fromAFIPResponse(resultGet);
+
+    test('should cover only dates in its fortnight', () => {
+      expect(caea.covers('2026-01-16')).toBe(true);
+      expect(caea.covers('2026-01-31')).toBe(true);
+      expect(caea.covers('2026-01-15')).toBe(false);
+      expect(caea.covers('2026-02-01')).toBe(false);
+    });
+
+    test('should be overdue only after the report deadline', () => {
+      expect(caea.isReportOverdue('2026-02-08')).toBe(false);
+      expect(caea.isReportOverdue('2026-02-09')).toBe(true);
+    });
+  });
+
+  describe('periodFor', () => {
+    test('should split the month at day 15', () => {
+      expect(Caea.periodFor('2026-01-15')).toEqual({ period: 202601, fortnight: 1 });
+      expect(Caea.periodFor('2026-01-16')).toEqual({ period: 202601, fortnight: 2 });
+      expect(Caea.periodFor('2026-12-31')).toEqual({ period: 202612, fortnight: 2 });
+    });
+  });
+});
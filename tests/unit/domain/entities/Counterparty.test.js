@@ -0,0 +1,68 @@
+/**
+ * Counterparty Entity Tests
+ */
+
+const Counterparty = require('../../../../src/domain/entities/Counterparty');
+const { ValidationError } = require('../../../../src/shared/errors');
+const { AFIP_DOC_TYPE, VAT_CONDITION } = require('../../../../src/shared/constants');
+
+describe('Counterparty Entity', () => {
+  test('should normalize the document number', () => {
+    const counterparty = new Counterparty({ nickname: ' buyer1 ', docType: '96', docNumber: '30.123.456' });
+
+    expect(counterparty.nickname).toBe('buyer1');
+    expect(counterparty.docType).toBe(AFIP_DOC_TYPE.DNI);
+    expect(counterparty.docNumber).toBe('30123456');
+    expect(counterparty.name).toBeNull();
+    expect(counterparty.registeredAt).toBeDefined();
+  });
+
+  test('should validate CUIT and CUIL check digits', () => {
+    expect(new Counterparty({ nickname: 'acme', docType: AFIP_DOC_TYPE.CUIT, docNumber: '30-71234567-1' }).docNumber)
+      .toBe('30712345671');
+    expect(() => new Counterparty({ nickname: 'acme', docType: AFIP_DOC_TYPE.CUIT, docNumber: '30712345670' }))
+      .toThrow(ValidationError);
+  });
+
+  test('should reject a malformed DNI', () => {
+    expect(() => new Counterparty({ nickname: 'buyer1', docType: AFIP_DOC_TYPE.DNI, docNumber: '12345' }))
+      .toThrow(ValidationError);
+  });
+
+  test('should accept passports as given', () => {
+    const counterparty = new Counterparty({ nickname: 'buyer1', docType: AFIP_DOC_TYPE.PASSPORT, docNumber: 'AAB123456' });
+
+    expect(counterparty.docNumber).toBe('AAB123456');
+  });
+
+  test('should require a nickname and an identifying document', () => {
+    expect(() => new Counterparty({ docType: AFIP_DOC_TYPE.DNI, docNumber: '30123456' })).toThrow(ValidationError);
+    expect(() => new Counterparty({ nickname: 'buyer1', docType: AFIP_DOC_TYPE.NO_ID, docNumber: '0' }))
+      .toThrow(ValidationError);
+    expect(() => new Counterparty({ nickname: 'buyer1', docType: AFIP_DOC_TYPE.DNI })).toThrow(ValidationError);
+  });
+
+  test('should default to consumidor final', () => {
+    const counterparty = new Counterparty({ nickname: 'buyer1', docType: 96, docNumber: '30123456' });
+
+    expect(counterparty.vatCondition).toBe(VAT_CONDITION.FINAL_CONSUMER);
+  });
+
+  test('should validate the VAT condition', () => {
+    expect(new Counterparty({ nickname: 'acme', docType: 80, docNumber: '30712345671', vatCondition: '1' }).vatCondition)
+      .toBe(VAT_CONDITION.REGISTERED);
+    expect(() => new Counterparty({ nickname: 'buyer1', docType: 96, docNumber: '30123456', vatCondition: 42 }))
+      .toThrow(ValidationError);
+    // Factura A receivers need a CUIT
+    expect(() => new Counterparty({ nickname: 'buyer1', docType: 96, docNumber: '30123456', vatCondition: 6 }))
+      .toThrow(ValidationError);
+  });
+
+  test('should round-trip through JSON', () => {
+    const counterparty = new Counterparty({ nickname: 'buyer1', docType: 96, docNumber: '30123456', name: 'ANA PEREZ' });
+    const copy = Counterparty.fromJSON(counterparty.toJSON());
+
+    expect(copy.toJSON()).toEqual(counterparty.toJSON());
+    expect(Object.isFrozen(copy)).toBe(true);
+  });
+});
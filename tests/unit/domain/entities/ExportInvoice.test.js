@@ -0,0 +1,111 @@
+/**
+ * ExportInvoice Entity Tests
+ */
+
+const ExportInvoice = require('../../../../src/domain/entities/ExportInvoice');
+const Order = require('../../../../src/domain/entities/Order');
+const { ValidationError, DomainError } = require('../../../../src/shared/errors');
+
+describe('ExportInvoice Entity', () => {
+  const buyer = { name: 'JOAO SILVA', country: 203, taxId: '12345678901', address: 'RUA A 10, SAO PAULO' };
+
+  const makeOrder = (overrides = {}) => Order.fromJSON({
+    orderNumber: 'ORD-E1',
+    amount: 100,
+    price: 1500,
+    totalPrice: 150000,
+    asset: 'USDT',
+    fiat: 'ARS',
+    tradeType: 'SELL',
+    createTime: Date.parse('2026-01-10'),
+    orderDate: '2026-01-10',
+    foreignBuyer: buyer,
+    ...overrides
+  });
+
+  describe('fromOrder', () => {
+    test('should build a Factura E in pesos for the foreign buyer', () => {
+      const invoice = ExportInvoice.fromOrder(makeOrder(), { pointOfSale: 5, invoiceDate: '2026-01-12' });
+
+      expect(invoice.getInvoiceType()).toBe(19);
+      expect(invoice.currency).toBe('PES');
+      expect(invoice.exchangeRate).toBe(1);
+      expect(invoice.pointOfSale).toBe(5);
+      expect(invoice.buyer).toEqual(buyer);
+      expect(invoice.invoiceDate).toBe('2026-01-12');
+    });
+
+    test('should reject an order without a foreign buyer', () => {
+      expect(() => ExportInvoice.fromOrder(makeOrder({ foreignBuyer: null }), { pointOfSale: 5 }))
+        .toThrow(DomainError);
+    });
+
+    test('should require an exchange rate for orders not in pesos', () => {
+      const order = makeOrder({ fiat: 'USD', totalPrice: 100, price: 1 });
+
+      expect(() => ExportInvoice.fromOrder(order, { pointOfSale: 5 })).toThrow(DomainError);
+      expect(ExportInvoice.fromOrder(order, { pointOfSale: 5, exchangeRate: 1050 }).toWsfexFormat(1, 1))
+        .toMatchObject({ Moneda_Id: 'DOL', Moneda_ctz: 1050, Imp_total: 100 });
+    });
+  });
+
+  describe('validation', () => {
+    const data = (overrides = {}) => ({
+      orderNumber: 'ORD-E1',
+      totalAmount: 150000,
+      currency: 'PES',
+      invoiceDate: '2026-01-12',
+      pointOfSale: 5,
+      buyer,
+      ...overrides
+    });
+
+    test('should reject a buyer without tax ID', () => {
+      expect(() => new ExportInvoice(data({ buyer: { ...buyer, taxId: '' } }))).toThrow(ValidationError);
+    });
+
+    test('should reject an exchange rate other than 1 for pesos', () => {
+      expect(() => new ExportInvoice(data({ exchangeRate: 1000 }))).toThrow(ValidationError);
+    });
+
+    test('should reject a missing point of sale', () => {
+      expect(() => new ExportInvoice(data({ pointOfSale: undefined }))).toThrow(ValidationError);
+    });
+  });
+
+  describe('toWsfexFormat', () => {
+    test('should map to the FEXAuthorize Cmp structure', () => {
+      const invoice = ExportInvoice.fromOrder(makeOrder(), { pointOfSale: 5, invoiceDate: '2026-01-12' });
+
+      expect(invoice.toWsfexFormat(42, 8)).toEqual({
+        Id: 42,
+        Fecha_cbte: '20260112',
+        Cbte_Tipo: 19,
+        Punto_vta: 5,
+        Cbte_nro: 8,
+        Tipo_expo: 2,
+        Permiso_existente: '',
+        Dst_cmp: 203,
+        Cliente: 'JOAO SILVA',
+        Id_impositivo: '12345678901',
+        Domicilio_cliente: 'RUA A 10, SAO PAULO',
+        Moneda_Id: 'PES',
+        Moneda_ctz: 1,
+        Imp_total: 150000,
+        Idioma_cbte: 1,
+        Fecha_pago: '20260110',
+        Items: {
+          Item: [{
+            Pro_codigo: 'ORD-E1',
+            Pro_ds: 'Servicio de intermediación P2P',
+            Pro_qty: 1,
+            Pro_umed: 7,
+            Pro_precio_uni: 150000,
+            Pro_bonificacion: 0,
+            Pro_total_item: 150000
+          }]
+        }
+      });
+    });
+  });
+});
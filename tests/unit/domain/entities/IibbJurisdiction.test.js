@@ -0,0 +1,92 @@
+/**
+ * IibbJurisdiction Entity Tests
+ */
+
+const IibbJurisdiction = require('../../../../src/domain/entities/IibbJurisdiction');
+const Money = require('../../../../src/domain/value-objects/Money');
+const { ValidationError, DomainError } = require('../../../../src/shared/errors');
+
+const validationMessage = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.validationErrors[0].message;
+  }
+  return null;
+};
+
+describe('IibbJurisdiction', () => {
+  const simplified = new IibbJurisdiction({
+    jurisdiction: 'CABA',
+    brackets: [
+      { maxIncome: 20000000, amount: 45000 },
+      { maxIncome: 10000000, amount: 20000 }
+    ]
+  });
+
+  describe('constructor', () => {
+    it('should default the share to the whole base', () => {
+      const jurisdiction = new IibbJurisdiction({ jurisdiction: 'CABA', rate: 0.03 });
+
+      expect(jurisdiction.share).toBe(1);
+      expect(jurisdiction.isSimplified()).toBe(false);
+    });
+
+    it('should sort brackets by income cap', () => {
+      expect(simplified.brackets.map(b => b.maxIncome)).toEqual([10000000, 20000000]);
+      expect(simplified.isSimplified()).toBe(true);
+    });
+
+    it('should require exactly one of rate and brackets', () => {
+      expect(() => new IibbJurisdiction({ jurisdiction: 'CABA' })).toThrow(ValidationError);
+      expect(() => new IibbJurisdiction({
+        jurisdiction: 'CABA',
+        rate: 0.03,
+        brackets: [{ maxIncome: 1000, amount: 10 }]
+      })).toThrow(ValidationError);
+    });
+
+    it('should reject a rate given as a percentage', () => {
+      expect(validationMessage(() => new IibbJurisdiction({ jurisdiction: 'CABA', rate: 3 }))).toMatch(/fraction/);
+    });
+
+    it('should reject a share out of range', () => {
+      expect(() => new IibbJurisdiction({ jurisdiction: '902', rate: 0.035, share: 1.2 })).toThrow(ValidationError);
+      expect(() => new IibbJurisdiction({ jurisdiction: '902', rate: 0.035, share: 0 })).toThrow(ValidationError);
+    });
+
+    it('should require a jurisdiction', () => {
+      expect(validationMessage(() => new IibbJurisdiction({ rate: 0.03 }))).toMatch(/Jurisdiction is required/);
+    });
+
+    it('should be immutable', () => {
+      expect(Object.isFrozen(simplified)).toBe(true);
+    });
+  });
+
+  describe('taxOn', () => {
+    it('should apply the rate to the jurisdiction share of the base', () => {
+      const jurisdiction = new IibbJurisdiction({ jurisdiction: '902', rate: 0.035, share: 0.4 });
+
+      expect(jurisdiction.baseShare(Money.of(1000000)).amount).toBe(400000);
+      expect(jurisdiction.taxOn(Money.of(1000000)).amount).toBe(14000);
+    });
+
+    it('should take the fixed amount of the bracket the annual income falls in', () => {
+      expect(simplified.taxOn(Money.of(1000000), 10000000).amount).toBe(20000);
+      expect(simplified.taxOn(Money.of(1000000), 10000001).amount).toBe(45000);
+    });
+
+    it('should throw when the annual income is over every bracket', () => {
+      expect(() => simplified.bracketFor(25000000)).toThrow(DomainError);
+    });
+  });
+
+  describe('toJSON/fromJSON', () => {
+    it('should round-trip', () => {
+      const copy = IibbJurisdiction.fromJSON(simplified.toJSON());
+
+      expect(copy.toJSON()).toEqual(simplified.toJSON());
+    });
+  });
+});
@@ -7,7 +7,9 @@ const Order = require('../../../../src/domain/entities/Order');
 const Money = require('../../../../src/domain/value-objects/Money');
 const CUIT = require('../../../../src/domain/value-objects/CUIT');
 const OrderNumber = require('../../../../src/domain/value-objects/OrderNumber');
-const { ValidationError } = require('../../../../src/shared/errors');
+const Taxpayer = require('../../../../src/domain/entities/Taxpayer');
+const Counterparty = require('../../../../src/domain/entities/Counterparty');
+const { ValidationError, DomainError } = require('../../../../src/shared/errors');
 
 describe('Invoice Entity', () => {
   const today = new Date().toISOString().split('T')[0];
@@ -118,6 +120,17 @@ describe('Invoice Entity', () => {
       expect(() => new Invoice(invalidData)).toThrow(ValidationError);
     });
 
+    test('should accept an old date for an already issued voucher', () => {
+      const oldDate = new Date();
+      oldDate.setDate(oldDate.getDate() - 11);
+      const issuedData = {
+        ...validInvoiceData,
+        invoiceDate: oldDate.toISOString().split('T')[0],
+        issued: true
+      };
+      expect(() => new Invoice(issuedData)).not.toThrow();
+    });
+
     test('should be immutable', () => {
       const invoice = new Invoice(validInvoiceData);
       const oldAmount = invoice.netAmount;
@@ -243,10 +256,52 @@ describe('Invoice Entity', () => {
 
       expect(afipFormat.CbteTipo).toBe(6); // Type B
       expect(afipFormat.ImpIVA).toBe(21000);
-      expect(afipFormat.Iva).toBeDefined();
-      expect(afipFormat.Iva[0].Id).toBe(5); // 21%
-      expect(afipFormat.Iva[0].BaseImp).toBe(100000);
-      expect(afipFormat.Iva[0].Importe).toBe(21000);
+      expect(afipFormat.Iva).toEqual({
+        AlicIva: [{ Id: 5, BaseImp: 100000, Importe: 21000 }] // 21%
+      });
+    });
+
+    test('should map the VAT rate to its AFIP rate id', () => {
+      const invoice = new Invoice({
+        ...validInvoiceData,
+        netAmount: 100000,
+        vatAmount: 10500,
+        totalAmount: 110500,
+        voucherType: 1,
+        receiverVatCondition: 1
+      });
+      const afipFormat = invoice.toAFIPFormat(1);
+
+      expect(afipFormat.CbteTipo).toBe(1);
+      expect(afipFormat.Iva.AlicIva[0].Id).toBe(4); // 10.5%
+    });
+
+    test('should reject a receiver VAT condition the voucher class does not accept', () => {
+      const typeA = { ...validInvoiceData, netAmount: 100000, vatAmount: 21000, totalAmount: 121000, voucherType: 1 };
+
+      expect(() => new Invoice(typeA)).toThrow(ValidationError);
+      expect(() => new Invoice({ ...typeA, receiverVatCondition: 42 })).toThrow(ValidationError);
+      expect(() => new Invoice({ ...typeA, voucherType: 6, receiverVatCondition: 1 })).toThrow(ValidationError);
+      expect(new Invoice({ ...validInvoiceData, receiverVatCondition: 1 }).toAFIPFormat(1).CondicionIVAReceptorId).toBe(1);
+    });
+
+    test('should reject a VAT rate AFIP does not know', () => {
+      expect(() => new Invoice({
+        ...validInvoiceData,
+        netAmount: 100000,
+        vatAmount: 15000,
+        totalAmount: 115000
+      })).toThrow(ValidationError);
+    });
+
+    test('should reject VAT on a Type C voucher', () => {
+      expect(() => new Invoice({
+        ...validInvoiceData,
+        netAmount: 100000,
+        vatAmount: 21000,
+        totalAmount: 121000,
+        voucherType: 11
+      })).toThrow(ValidationError);
     });
 
     test('should include service dates for services', () => {
@@ -268,6 +323,58 @@ describe('Invoice Entity', () => {
 
       expect(afipFormat.MonId).toBe('DOL');
     });
+
+    test('should send the exchange rate and the same-currency mark for USD', () => {
+      const invoice = new Invoice({ ...validInvoiceData, currency: 'USD', totalAmount: 100, netAmount: 100, exchangeRate: 1234.5 });
+      const afipFormat = invoice.toAFIPFormat(1);
+
+      expect(afipFormat.MonCotiz).toBe(1234.5);
+      expect(afipFormat.CanMisMonExt).toBe('S');
+    });
+
+    test('should send MonCotiz 1 and no same-currency mark for pesos', () => {
+      const afipFormat = new Invoice(validInvoiceData).toAFIPFormat(1);
+
+      expect(afipFormat.MonCotiz).toBe(1);
+      expect(afipFormat).not.toHaveProperty('CanMisMonExt');
+    });
+
+    test('should reject an exchange rate other than 1 for pesos', () => {
+      expect(() => new Invoice({ ...validInvoiceData, exchangeRate: 1200 }))
+        .toThrow(ValidationError);
+    });
+
+    test('should reject a non-positive exchange rate', () => {
+      expect(() => new Invoice({ ...validInvoiceData, currency: 'USD', exchangeRate: 0 }))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('AFIP amounts', () => {
+    test('should send net, VAT and total that add up exactly', () => {
+      const order = new Order({
+        orderNumber: 'ORDER-LARGE',
+        amount: 10000,
+        price: 1234.5678891,
+        totalPrice: 12345678.91,
+        asset: 'USDT',
+        fiat: 'ARS',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        orderDate: today
+      });
+      const afip = Invoice.fromOrder(order, { issuerTaxCondition: 'RESPONSABLE_INSCRIPTO' }).toAFIPFormat(4);
+
+      expect(String(afip.ImpTotal)).toBe('12345678.91');
+      expect([afip.ImpNeto, afip.ImpIVA]).toEqual([10203040.42, 2142638.49]);
+      expect(Math.round(afip.ImpNeto * 100) + Math.round(afip.ImpIVA * 100)).toBe(1234567891);
+      expect(afip.Iva.AlicIva[0]).toMatchObject({ BaseImp: afip.ImpNeto, Importe: afip.ImpIVA });
+    });
+
+    test('should reject amounts that are a cent apart', () => {
+      expect(() => new Invoice({ ...validInvoiceData, netAmount: 100000, vatAmount: 0.01 }))
+        .toThrow(ValidationError);
+    });
   });
 
   describe('toJSON', () => {
@@ -325,6 +432,15 @@ describe('Invoice Entity', () => {
       expect(invoice.concept).toBe(Invoice.Concept.SERVICES);
     });
 
+    test('should carry the exchange rate of a USD order', () => {
+      const order = new Order({ ...orderData, fiat: 'USD', totalPrice: 45.3 });
+      const invoice = Invoice.fromOrder(order, { exchangeRate: 1180.25 });
+
+      expect(invoice.totalAmount.currency).toBe('USD');
+      expect(invoice.exchangeRate).toBe(1180.25);
+      expect(invoice.toAFIPFormat(1).MonCotiz).toBe(1180.25);
+    });
+
     test('should create Invoice from Order with VAT', () => {
       const order = new Order(orderData);
       const invoice = Invoice.fromOrder(order, { includeVAT: true, vatRate: 0.21 });
@@ -335,6 +451,69 @@ describe('Invoice Entity', () => {
       expect(calculatedTotal.amount).toBeCloseTo(45300, 0);
     });
 
+    test('should issue Type B with the VAT split for a Responsable Inscripto', () => {
+      const order = new Order(orderData);
+      const invoice = Invoice.fromOrder(order, { issuerTaxCondition: 'RESPONSABLE_INSCRIPTO' });
+
+      expect(invoice.getInvoiceType()).toBe(Invoice.Type.TYPE_B);
+      expect(invoice.netAmount.amount).toBe(37438.02);
+      expect(invoice.vatAmount.amount).toBe(7861.98);
+      expect(invoice.totalAmount.amount).toBe(45300);
+      expect(invoice.toAFIPFormat(1).Iva.AlicIva).toEqual([
+        { Id: 5, BaseImp: 37438.02, Importe: 7861.98 }
+      ]);
+    });
+
+    test('should issue Type A to a registered receiver', () => {
+      const order = new Order(orderData);
+      const receiver = new Taxpayer({
+        cuit: '30712345671',
+        name: 'ACME SA',
+        taxCondition: Taxpayer.TaxCondition.RESPONSABLE_INSCRIPTO
+      });
+      const invoice = Invoice.fromOrder(order, {
+        issuerTaxCondition: 'RESPONSABLE_INSCRIPTO',
+        receiver,
+        vatRate: 0.105
+      });
+
+      expect(invoice.getInvoiceType()).toBe(Invoice.Type.TYPE_A);
+      expect(invoice.getVATRate()).toBe(0.105);
+      expect(invoice.toAFIPFormat(1).Iva.AlicIva[0].Id).toBe(4);
+    });
+
+    test('should identify a registered buyer by their document', () => {
+      const order = new Order(orderData);
+      const counterparty = new Counterparty({ nickname: 'buyer1', docType: 96, docNumber: '30.123.456', name: 'ANA PEREZ' });
+      const invoice = Invoice.fromOrder(order, { counterparty });
+
+      expect(invoice.getInvoiceType()).toBe(Invoice.Type.TYPE_C);
+      expect(invoice.receiverName).toBe('ANA PEREZ');
+      expect(invoice.toAFIPFormat(1)).toMatchObject({ DocTipo: 96, DocNro: '30123456' });
+    });
+
+    test('should declare the VAT condition of a registered buyer', () => {
+      const order = new Order(orderData);
+      const counterparty = new Counterparty({
+        nickname: 'acme', docType: 80, docNumber: '30712345671', vatCondition: 6
+      });
+
+      const typeA = Invoice.fromOrder(order, { counterparty, issuerTaxCondition: 'RESPONSABLE_INSCRIPTO' });
+      expect(typeA.getInvoiceType()).toBe(Invoice.Type.TYPE_A);
+      expect(typeA.toAFIPFormat(1)).toMatchObject({ DocTipo: 80, CondicionIVAReceptorId: 6 });
+
+      const typeC = Invoice.fromOrder(order, { counterparty });
+      expect(typeC.toAFIPFormat(1)).toMatchObject({ CbteTipo: 11, CondicionIVAReceptorId: 6 });
+    });
+
+    test('should keep Type C without VAT for a monotributista', () => {
+      const order = new Order(orderData);
+      const invoice = Invoice.fromOrder(order, { issuerTaxCondition: 'MONOTRIBUTO' });
+
+      expect(invoice.getInvoiceType()).toBe(Invoice.Type.TYPE_C);
+      expect(invoice.vatAmount.amount).toBe(0);
+    });
+
     test('should use custom invoice date if provided', () => {
       const order = new Order(orderData);
       // Use a date within the last 10 days (AFIP rule)
@@ -372,6 +551,278 @@ describe('Invoice Entity', () => {
     });
   });
 
+  describe('fromDailyOrders', () => {
+    const dayOrder = (orderNumber, totalPrice, overrides = {}) => new Order({
+      orderNumber,
+      amount: 1,
+      price: totalPrice,
+      totalPrice,
+      asset: 'USDT',
+      fiat: 'ARS',
+      tradeType: 'SELL',
+      createTime: Date.now(),
+      orderDate: today,
+      ...overrides
+    });
+
+    test('should invoice the day\'s total to an unidentified consumidor final', () => {
+      const invoice = Invoice.fromDailyOrders([dayOrder('ORDER-1', 1000), dayOrder('ORDER-2', 2500.5)]);
+      const afip = invoice.toAFIPFormat();
+
+      expect(invoice.totalAmount.amount).toBe(3500.5);
+      expect(invoice.getInvoiceType()).toBe(11);
+      expect([invoice.serviceFrom, invoice.serviceTo]).toEqual([today, today]);
+      expect(invoice.orderNumber.value).toBe('ORDER-1');
+      expect([afip.DocTipo, afip.CondicionIVAReceptorId]).toEqual([99, 5]);
+    });
+
+    test('should itemize VAT on a Factura B for a Responsable Inscripto', () => {
+      const invoice = Invoice.fromDailyOrders(
+        [dayOrder('ORDER-1', 1210), dayOrder('ORDER-2', 2420)],
+        { issuerTaxCondition: 'RESPONSABLE_INSCRIPTO', pointOfSale: 4 }
+      );
+
+      expect(invoice.getInvoiceType()).toBe(6);
+      expect(invoice.netAmount.amount).toBe(3000);
+      expect(invoice.vatAmount.amount).toBe(630);
+      expect(invoice.pointOfSale).toBe(4);
+    });
+
+    test('should reject orders of different days or currencies', () => {
+      const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0];
+
+      expect(() => Invoice.fromDailyOrders([dayOrder('ORDER-1', 1000), dayOrder('ORDER-2', 1000, { orderDate: yesterday })]))
+        .toThrow(DomainError);
+      expect(() => Invoice.fromDailyOrders([dayOrder('ORDER-1', 1000), dayOrder('ORDER-2', 10, { fiat: 'USD' })]))
+        .toThrow(DomainError);
+      expect(() => Invoice.fromDailyOrders([])).toThrow(DomainError);
+    });
+
+    test('should check orders recorded on a daily invoice issued by hand the same way', () => {
+      const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0];
+
+      expect(() => Invoice.ensureDailyOrders([dayOrder('ORDER-1', 1000), dayOrder('ORDER-2', 500)])).not.toThrow();
+      expect(() => Invoice.ensureDailyOrders([dayOrder('ORDER-1', 1000), dayOrder('ORDER-2', 500, { orderDate: yesterday })]))
+        .toThrow(DomainError);
+    });
+  });
+
+  describe('adjustmentFor', () => {
+    const invoicedOrder = () => new Order({
+      orderNumber: 'ORDER-12345',
+      amount: 100,
+      price: 1000,
+      totalPrice: 100000,
+      asset: 'USDT',
+      fiat: 'ARS',
+      tradeType: 'SELL',
+      createTime: Date.now(),
+      orderDate: today
+    }).markAsProcessed({
+      success: true,
+      cae: '12345678901234',
+      voucherNumber: 42,
+      invoiceDate: today
+    }, 'automatic');
+
+    test('should restate a USD invoice at the rate it was issued with', () => {
+      const order = new Order({
+        orderNumber: 'ORDER-USD',
+        amount: 100,
+        price: 1,
+        totalPrice: 100,
+        asset: 'USDT',
+        fiat: 'USD',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        orderDate: today
+      }).markAsProcessed({
+        success: true,
+        cae: '12345678901234',
+        voucherNumber: 42,
+        exchangeRate: 1180.25,
+        invoiceDate: today
+      }, 'automatic');
+
+      const note = Invoice.adjustmentFor(order, { voucherType: 13, amount: 40, invoiceDate: today });
+
+      expect(note.exchangeRate).toBe(1180.25);
+    });
+
+    test('should build a credit note C referencing the original voucher', () => {
+      const note = Invoice.adjustmentFor(invoicedOrder(), {
+        voucherType: 13,
+        amount: 25000,
+        invoiceDate: today
+      });
+
+      expect(note.getInvoiceType()).toBe(13);
+      expect(note.isNote()).toBe(true);
+      expect(note.isCreditNote()).toBe(true);
+      expect(note.totalAmount.amount).toBe(25000);
+
+      const afipData = note.toAFIPFormat(3);
+      expect(afipData.CbteTipo).toBe(13);
+      expect(afipData.ImpTotal).toBe(25000);
+      expect(afipData.CbtesAsoc).toEqual({
+        CbteAsoc: [{
+          Tipo: 11,
+          PtoVta: 3,
+          Nro: 42,
+          CbteFch: today.replace(/-/g, '')
+        }]
+      });
+    });
+
+    test('should itemize VAT on a note against a Type B invoice', () => {
+      const order = new Order({
+        ...invoicedOrder().toJSON(),
+        voucherType: 6
+      });
+      const note = Invoice.adjustmentFor(order, {
+        voucherType: Invoice.noteTypeFor(order.voucherType, 'credit'),
+        amount: 12100,
+        invoiceDate: today
+      });
+
+      const afipData = note.toAFIPFormat(3);
+      expect(afipData.CbteTipo).toBe(8);
+      expect(afipData.ImpNeto).toBe(10000);
+      expect(afipData.ImpIVA).toBe(2100);
+      expect(afipData.Iva.AlicIva).toEqual([{ Id: 5, BaseImp: 10000, Importe: 2100 }]);
+      expect(afipData.CbtesAsoc.CbteAsoc[0].Tipo).toBe(6);
+    });
+
+    test('should declare the receiver VAT condition of a Type A invoice on its note', () => {
+      const order = new Order({
+        ...invoicedOrder().toJSON(),
+        voucherType: 1,
+        receiverVatCondition: 6
+      });
+      const note = Invoice.adjustmentFor(order, { voucherType: 3, amount: 12100, invoiceDate: today });
+
+      expect(note.toAFIPFormat(3).CondicionIVAReceptorId).toBe(6);
+    });
+
+    test('should reject orders without an authorized invoice', () => {
+      const order = new Order({
+        orderNumber: 'ORDER-12345',
+        amount: 100,
+        price: 1000,
+        totalPrice: 100000,
+        asset: 'USDT',
+        fiat: 'ARS',
+        tradeType: 'SELL',
+        createTime: Date.now(),
+        orderDate: today
+      });
+
+      expect(() => Invoice.adjustmentFor(order, {
+        voucherType: 13,
+        amount: 100,
+        invoiceDate: today
+      })).toThrow('no authorized invoice');
+    });
+
+    test('should require an associated voucher for notes', () => {
+      expect(() => new Invoice({ ...validInvoiceData, voucherType: 13 })).toThrow(ValidationError);
+    });
+  });
+
+  describe('restatementOf', () => {
+    const issuedOrder = (overrides = {}) => new Order({
+      orderNumber: 'ORDER-12345',
+      amount: 100,
+      price: 1000,
+      totalPrice: 121000,
+      asset: 'USDT',
+      fiat: 'ARS',
+      tradeType: 'SELL',
+      createTime: Date.now(),
+      orderDate: today
+    }).markAsProcessed({
+      success: true,
+      cae: '31234567890123',
+      voucherNumber: 7,
+      invoiceDate: today,
+      authorizationType: 'CAEA',
+      ...overrides
+    }, 'automatic');
+
+    test('should restate the voucher the order recorded', () => {
+      const invoice = Invoice.restatementOf(issuedOrder({
+        voucherType: 1,
+        pointOfSale: 9,
+        receiverVatCondition: 1,
+        receiverDocType: 80,
+        receiverDocNumber: '20111111112'
+      }));
+
+      expect(invoice.toAfipFormat()).toMatchObject({
+        PtoVta: 9,
+        CbteTipo: 1,
+        DocTipo: 80,
+        DocNro: '20111111112',
+        CondicionIVAReceptorId: 1,
+        ImpNeto: 100000,
+        ImpIVA: 21000,
+        CbteFch: today.replace(/-/g, '')
+      });
+    });
+
+    test('should restate a Factura C to a consumidor final without VAT', () => {
+      const afipData = Invoice.restatementOf(issuedOrder()).toAFIPFormat(9);
+
+      expect(afipData).toMatchObject({ CbteTipo: 11, DocTipo: 99, ImpNeto: 121000, ImpIVA: 0 });
+    });
+
+    test('should reject orders without an authorized invoice', () => {
+      const order = new Order({ ...issuedOrder().toJSON(), success: null, processedAt: null });
+
+      expect(() => Invoice.restatementOf(order)).toThrow('no authorized invoice');
+    });
+  });
+
+  describe('voucherTypeFor', () => {
+    test('should issue C for anyone but a Responsable Inscripto', () => {
+      expect(Invoice.voucherTypeFor('MONOTRIBUTO', 1)).toBe(11);
+      expect(Invoice.voucherTypeFor(undefined)).toBe(11);
+    });
+
+    test('should issue A to registered and monotributo receivers', () => {
+      expect(Invoice.voucherTypeFor('RESPONSABLE_INSCRIPTO', 1)).toBe(1);
+      expect(Invoice.voucherTypeFor('RESPONSABLE_INSCRIPTO', 6)).toBe(1);
+    });
+
+    test('should issue B to final consumers and exempt receivers', () => {
+      expect(Invoice.voucherTypeFor('RESPONSABLE_INSCRIPTO')).toBe(6);
+      expect(Invoice.voucherTypeFor('RESPONSABLE_INSCRIPTO', 4)).toBe(6);
+    });
+  });
+
+  describe('acceptsReceiverVatCondition', () => {
+    test('should follow the AFIP class matrix for invoices and notes', () => {
+      expect(Invoice.acceptsReceiverVatCondition(1, 6)).toBe(true);
+      expect(Invoice.acceptsReceiverVatCondition(3, 5)).toBe(false);
+      expect(Invoice.acceptsReceiverVatCondition(6, 5)).toBe(true);
+      expect(Invoice.acceptsReceiverVatCondition(8, 1)).toBe(false);
+      expect(Invoice.acceptsReceiverVatCondition(11, 1)).toBe(true);
+      expect(Invoice.acceptsReceiverVatCondition(13, 9)).toBe(true);
+    });
+  });
+
+  describe('noteTypeFor', () => {
+    test('should pick the note of the invoice class', () => {
+      expect(Invoice.noteTypeFor(1, 'credit')).toBe(3);
+      expect(Invoice.noteTypeFor(6, 'debit')).toBe(7);
+      expect(Invoice.noteTypeFor(11, 'credit')).toBe(13);
+    });
+
+    test('should reject unknown invoice types', () => {
+      expect(() => Invoice.noteTypeFor(19, 'credit')).toThrow('No credit note');
+    });
+  });
+
   describe('constants', () => {
     test('should have Concept constants', () => {
       expect(Invoice.Concept.PRODUCTS).toBe(1);
@@ -380,6 +831,7 @@ describe('Invoice Entity', () => {
     });
 
     test('should have Type constants', () => {
+      expect(Invoice.Type.TYPE_A).toBe(1);
       expect(Invoice.Type.TYPE_B).toBe(6);
       expect(Invoice.Type.TYPE_C).toBe(11);
     });
@@ -0,0 +1,93 @@
+/**
+ * IssuerProfile Entity Tests
+ */
+
+const IssuerProfile = require('../../../../src/domain/entities/IssuerProfile');
+const { ValidationError } = require('../../../../src/shared/errors');
+
+describe('IssuerProfile Entity', () => {
+  const data = (overrides = {}) => ({
+    effectiveFrom: '2026-07-01',
+    taxCondition: 'RESPONSABLE_INSCRIPTO',
+    pointOfSale: 4,
+    vatRate: 0.105,
+    ...overrides
+  });
+
+  describe('constructor', () => {
+    test('should keep the profile fields', () => {
+      const profile = new IssuerProfile(data());
+
+      expect(profile.effectiveFrom).toBe('2026-07-01');
+      expect(profile.taxCondition).toBe('RESPONSABLE_INSCRIPTO');
+      expect(profile.pointOfSale).toBe(4);
+      expect(profile.vatRate).toBe(0.105);
+    });
+
+    test('should default the VAT rate to 21% and allow no effective date', () => {
+      const profile = new IssuerProfile(data({ effectiveFrom: undefined, vatRate: undefined }));
+
+      expect(profile.effectiveFrom).toBeNull();
+      expect(profile.vatRate).toBe(0.21);
+    });
+
+    test('should reject an unknown tax condition', () => {
+      expect(() => new IssuerProfile(data({ taxCondition: 'CONSUMIDOR_FINAL' }))).toThrow(ValidationError);
+    });
+
+    test('should reject an invalid point of sale', () => {
+      expect(() => new IssuerProfile(data({ pointOfSale: 0 }))).toThrow(ValidationError);
+      expect(() => new IssuerProfile(data({ pointOfSale: undefined }))).toThrow(ValidationError);
+    });
+
+    test('should reject a rate AFIP has no id for', () => {
+      expect(() => new IssuerProfile(data({ vatRate: 0.19 }))).toThrow(ValidationError);
+    });
+
+    test('should reject a malformed effective date', () => {
+      expect(() => new IssuerProfile(data({ effectiveFrom: '01/07/2026' }))).toThrow(ValidationError);
+    });
+  });
+
+  describe('startsOnOrBefore', () => {
+    test('should compare against the effective date', () => {
+      const profile = new IssuerProfile(data());
+
+      expect(profile.startsOnOrBefore('2026-06-30')).toBe(false);
+      expect(profile.startsOnOrBefore('2026-07-01')).toBe(true);
+    });
+
+    test('should be in force on any date without an effective date', () => {
+      expect(new IssuerProfile(data({ effectiveFrom: null })).startsOnOrBefore('2000-01-01')).toBe(true);
+    });
+  });
+
+  describe('voucherTypes', () => {
+    test('should issue A and B as a Responsable Inscripto', () => {
+      expect(new IssuerProfile(data()).voucherTypes()).toEqual([1, 6]);
+    });
+
+    test('should issue C otherwise', () => {
+      expect(new IssuerProfile(data({ taxCondition: 'MONOTRIBUTO' })).voucherTypes()).toEqual([11]);
+      expect(new IssuerProfile(data({ taxCondition: 'EXENTO' })).voucherTypes()).toEqual([11]);
+    });
+  });
+
+  describe('invoiceOptions', () => {
+    test('should map to Invoice.fromOrder options', () => {
+      expect(new IssuerProfile(data()).invoiceOptions()).toEqual({
+        issuerTaxCondition: 'RESPONSABLE_INSCRIPTO',
+        vatRate: 0.105,
+        pointOfSale: 4
+      });
+    });
+  });
+
+  describe('serialization', () => {
+    test('should round-trip through JSON', () => {
+      const profile = new IssuerProfile(data());
+
+      expect(IssuerProfile.fromJSON(profile.toJSON()).toJSON()).toEqual(data());
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * IssuerProfileTimeline Entity Tests
+ */
+
+const IssuerProfileTimeline = require('../../../../src/domain/entities/IssuerProfileTimeline');
+const { ValidationError, DomainError } = require('../../../../src/shared/errors');
+
+describe('IssuerProfileTimeline Entity', () => {
+  const monotributo = { taxCondition: 'MONOTRIBUTO', pointOfSale: 2 };
+  const inscripto = { effectiveFrom: '2026-07-01', taxCondition: 'RESPONSABLE_INSCRIPTO', pointOfSale: 4 };
+
+  describe('constructor', () => {
+    test('should sort profiles by effective date', () => {
+      const timeline = new IssuerProfileTimeline([inscripto, monotributo]);
+
+      expect(timeline.profiles.map(p => p.taxCondition)).toEqual(['MONOTRIBUTO', 'RESPONSABLE_INSCRIPTO']);
+    });
+
+    test('should reject an empty timeline', () => {
+      expect(() => new IssuerProfileTimeline([])).toThrow(ValidationError);
+    });
+
+    test('should reject a later profile without an effective date', () => {
+      expect(() => new IssuerProfileTimeline([monotributo, { ...inscripto, effectiveFrom: null }]))
+        .toThrow(ValidationError);
+    });
+
+    test('should reject two profiles starting on the same date', () => {
+      expect(() => new IssuerProfileTimeline([inscripto, { ...inscripto, pointOfSale: 5 }]))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('profileOn', () => {
+    const timeline = new IssuerProfileTimeline([monotributo, inscripto]);
+
+    test('should return the profile in force before the change', () => {
+      expect(timeline.profileOn('2026-06-30').taxCondition).toBe('MONOTRIBUTO');
+    });
+
+    test('should switch on the effective date', () => {
+      expect(timeline.profileOn('2026-07-01').taxCondition).toBe('RESPONSABLE_INSCRIPTO');
+      expect(timeline.profileOn('2027-01-15').pointOfSale).toBe(4);
+    });
+
+    test('should throw DomainError before the first profile', () => {
+      const dated = new IssuerProfileTimeline([inscripto]);
+
+      expect(() => dated.profileOn('2026-06-30')).toThrow(DomainError);
+    });
+  });
+
+  describe('profilesBetween', () => {
+    const timeline = new IssuerProfileTimeline([monotributo, inscripto]);
+
+    test('should return the profile in force all period', () => {
+      expect(timeline.profilesBetween('2026-06-01', '2026-06-30').map(p => p.taxCondition)).toEqual(['MONOTRIBUTO']);
+      expect(timeline.profilesBetween('2026-07-01', '2026-07-31').map(p => p.taxCondition)).toEqual(['RESPONSABLE_INSCRIPTO']);
+    });
+
+    test('should return both profiles of a period the change falls in', () => {
+      const mid = new IssuerProfileTimeline([monotributo, { ...inscripto, effectiveFrom: '2026-07-15' }]);
+
+      expect(mid.profilesBetween('2026-07-01', '2026-07-31').map(p => p.taxCondition))
+        .toEqual(['MONOTRIBUTO', 'RESPONSABLE_INSCRIPTO']);
+    });
+
+    test('should return none before the first profile', () => {
+      expect(new IssuerProfileTimeline([inscripto]).profilesBetween('2026-06-01', '2026-06-30')).toEqual([]);
+    });
+  });
+
+  describe('single', () => {
+    test('should build a profile in force since always', () => {
+      const timeline = IssuerProfileTimeline.single(inscripto);
+
+      expect(timeline.profiles).toHaveLength(1);
+      expect(timeline.profileOn('2000-01-01').taxCondition).toBe('RESPONSABLE_INSCRIPTO');
+    });
+  });
+
+  describe('serialization', () => {
+    test('should round-trip through JSON', () => {
+      const timeline = new IssuerProfileTimeline([monotributo, inscripto]);
+
+      expect(IssuerProfileTimeline.fromJSON(timeline.toJSON()).toJSON()).toEqual(timeline.toJSON());
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * MonotributoScale Entity Tests
+ */
+
+const MonotributoScale = require('../../../../src/domain/entities/MonotributoScale');
+const { MONOTRIBUTO_SCALE } = require('../../../../src/shared/constants');
+const { ValidationError, DomainError } = require('../../../../src/shared/errors');
+
+describe('MonotributoScale Entity', () => {
+  const february = {
+    effectiveFrom: '2026-02-01',
+    categories: [
+      { category: 'B', maxIncome: 15000000 },
+      { category: 'A', maxIncome: 10000000 }
+    ]
+  };
+  const august = {
+    effectiveFrom: '2026-08-01',
+    categories: [
+      { category: 'A', maxIncome: 11000000 },
+      { category: 'B', maxIncome: 16500000 }
+    ]
+  };
+
+  describe('constructor', () => {
+    test('should sort tables by effective date and categories by cap', () => {
+      const scale = new MonotributoScale([august, february]);
+
+      expect(scale.periods.map(p => p.effectiveFrom)).toEqual(['2026-02-01', '2026-08-01']);
+      expect(scale.categoriesOn('2026-03-01').map(c => c.category)).toEqual(['A', 'B']);
+    });
+
+    test('should reject an empty scale', () => {
+      expect(() => new MonotributoScale([])).toThrow(ValidationError);
+    });
+
+    test('should reject two tables starting on the same date', () => {
+      expect(() => new MonotributoScale([february, { ...august, effectiveFrom: '2026-02-01' }]))
+        .toThrow(ValidationError);
+    });
+
+    test('should reject a repeated category or a cap that is not positive', () => {
+      expect(() => new MonotributoScale([{ categories: [{ category: 'A', maxIncome: 1 }, { category: 'a', maxIncome: 2 }] }]))
+        .toThrow(ValidationError);
+      expect(() => new MonotributoScale([{ categories: [{ category: 'A', maxIncome: 0 }] }]))
+        .toThrow(ValidationError);
+    });
+
+    test('should accept the tables shipped in the constants', () => {
+      const scale = new MonotributoScale(MONOTRIBUTO_SCALE);
+
+      expect(scale.categoriesOn('2025-09-01')).toHaveLength(11);
+    });
+  });
+
+  describe('categoriesOn', () => {
+    const scale = new MonotributoScale([february, august]);
+
+    test('should take the caps of the table in force on the date', () => {
+      expect(scale.category('A', '2026-07-31').maxIncome).toBe(10000000);
+      expect(scale.category('A', '2026-08-01').maxIncome).toBe(11000000);
+    });
+
+    test('should throw before the first table', () => {
+      expect(() => scale.categoriesOn('2026-01-31')).toThrow(DomainError);
+    });
+
+    test('should throw for a category the table does not have', () => {
+      expect(() => scale.category('K', '2026-09-01')).toThrow(DomainError);
+    });
+  });
+
+  describe('categoryFor', () => {
+    const scale = new MonotributoScale([february]);
+
+    test('should return the lowest category whose cap covers the income', () => {
+      expect(scale.categoryFor(10000000, '2026-03-01').category).toBe('A');
+      expect(scale.categoryFor(10000000.01, '2026-03-01').category).toBe('B');
+    });
+
+    test('should return null over every cap', () => {
+      expect(scale.categoryFor(15000000.01, '2026-03-01')).toBeNull();
+    });
+  });
+
+  test('should round-trip through JSON and be immutable', () => {
+    const scale = new MonotributoScale([february, august]);
+
+    expect(MonotributoScale.fromJSON(scale.toJSON()).toJSON()).toEqual(scale.toJSON());
+    expect(Object.isFrozen(scale)).toBe(true);
+  });
+});
@@ -253,6 +253,75 @@ describe('Order Entity', () => {
       expect(processedOrder.voucherNumber).toBe(100);
       expect(processedOrder.invoiceDate).toBe('2024-01-01');
       expect(processedOrder.processingMethod).toBe('automatic');
+      expect(processedOrder.voucherType).toBe(11); // Factura C unless told otherwise
+    });
+
+    test('should record the voucher type issued', () => {
+      const order = new Order(validOrderData);
+      const processedOrder = order.markAsProcessed({
+        success: true,
+        cae: '12345678901234',
+        voucherNumber: 7,
+        voucherType: 6,
+        invoiceDate: '2024-01-01'
+      });
+
+      expect(processedOrder.voucherType).toBe(6);
+      expect(Order.fromJSON(processedOrder.toJSON()).voucherType).toBe(6);
+    });
+
+    test('should record the point of sale issued on', () => {
+      const order = new Order(validOrderData);
+      const processedOrder = order.markAsProcessed({
+        success: true,
+        cae: '12345678901234',
+        voucherNumber: 7,
+        pointOfSale: 4,
+        invoiceDate: '2024-01-01'
+      });
+
+      expect(processedOrder.pointOfSale).toBe(4);
+      expect(Order.fromJSON(processedOrder.toJSON()).pointOfSale).toBe(4);
+    });
+
+    test('should record the exchange rate sent to AFIP', () => {
+      const order = new Order({ ...validOrderData, fiat: 'USD', totalPrice: 100 });
+      const processedOrder = order.markAsProcessed({
+        success: true,
+        cae: '12345678901234',
+        voucherNumber: 7,
+        exchangeRate: 1180.25,
+        invoiceDate: '2024-01-01'
+      });
+
+      expect(processedOrder.exchangeRate).toBe(1180.25);
+      expect(Order.fromJSON(processedOrder.toJSON()).exchangeRate).toBe(1180.25);
+    });
+
+    test('should record the receiver VAT condition declared to AFIP', () => {
+      const processedOrder = new Order(validOrderData).markAsProcessed({
+        success: true,
+        cae: '12345678901234',
+        voucherNumber: 7,
+        receiverVatCondition: 5,
+        invoiceDate: '2024-01-01'
+      });
+
+      expect(processedOrder.receiverVatCondition).toBe(5);
+      expect(Order.fromJSON(processedOrder.toJSON()).receiverVatCondition).toBe(5);
+    });
+
+    test('should record the receiver document declared to AFIP', () => {
+      const processedOrder = new Order(validOrderData).markAsProcessed({
+        success: true,
+        cae: '12345678901234',
+        voucherNumber: 7,
+        receiverDocType: 96,
+        receiverDocNumber: '30123456',
+        invoiceDate: '2024-01-01'
+      });
+
+      expect(Order.fromJSON(processedOrder.toJSON())).toMatchObject({ receiverDocType: 96, receiverDocNumber: '30123456' });
     });
 
     test('should mark order as failed', () => {
@@ -311,6 +380,177 @@ describe('Order Entity', () => {
     });
   });
 
+  describe('daily consolidated invoice', () => {
+    const shared = { success: true, cae: '12345678901234', voucherNumber: 7, consolidatedOrders: 3 };
+
+    test('should record how many orders the invoice covers and keep it through JSON', () => {
+      const order = new Order(validOrderData).markAsProcessed(shared);
+
+      expect(order.isConsolidated()).toBe(true);
+      expect(order.consolidatedOrders).toBe(3);
+      expect(Order.fromJSON(order.toJSON()).consolidatedOrders).toBe(3);
+    });
+
+    test('should not be consolidated when invoiced on its own', () => {
+      const order = new Order(validOrderData).markAsProcessed({ ...shared, consolidatedOrders: undefined });
+
+      expect(order.isConsolidated()).toBe(false);
+      expect(order.consolidatedOrders).toBeNull();
+    });
+
+    test('should forget the invoice on retry', () => {
+      const order = new Order(validOrderData)
+        .markAsProcessed({ ...shared, success: false, cae: null, errorMessage: 'rejected' })
+        .resetForRetry();
+
+      expect(order.consolidatedOrders).toBeNull();
+    });
+
+    test('should reject a count below two', () => {
+      expect(() => new Order({ ...validOrderData, consolidatedOrders: 1 })).toThrow(ValidationError);
+      expect(() => new Order({ ...validOrderData, consolidatedOrders: 2.5 })).toThrow(ValidationError);
+    });
+  });
+
+  describe('foreign buyer', () => {
+    const foreignBuyer = { name: 'JOAO SILVA', country: 203, taxId: '12345678901', address: 'RUA A 10, SAO PAULO' };
+
+    test('should flag the buyer as a foreign resident and keep it through JSON', () => {
+      const order = new Order(validOrderData).withForeignBuyer(foreignBuyer);
+
+      expect(order.isForeignBuyer()).toBe(true);
+      expect(order.foreignBuyer).toEqual(foreignBuyer);
+      expect(Order.fromJSON(order.toJSON()).foreignBuyer).toEqual(foreignBuyer);
+    });
+
+    test('should clear the flag with null', () => {
+      const order = new Order({ ...validOrderData, foreignBuyer }).withForeignBuyer(null);
+
+      expect(order.isForeignBuyer()).toBe(false);
+    });
+
+    test('should reject incomplete buyer details', () => {
+      expect(() => new Order({ ...validOrderData, foreignBuyer: { ...foreignBuyer, address: '' } }))
+        .toThrow(ValidationError);
+      expect(() => new Order({ ...validOrderData, foreignBuyer: { ...foreignBuyer, country: 'BR' } }))
+        .toThrow(ValidationError);
+    });
+
+    test('should not change the buyer of an invoiced order', () => {
+      const invoiced = new Order(validOrderData).markAsProcessed({ success: true, cae: '12345678901234', voucherNumber: 1 });
+
+      expect(() => invoiced.withForeignBuyer(foreignBuyer)).toThrow(DomainError);
+    });
+  });
+
+  describe('adjustments', () => {
+    const invoicedOrder = () => new Order(validOrderData).markAsProcessed({
+      success: true,
+      cae: '12345678901234',
+      voucherNumber: 100,
+      invoiceDate: '2024-01-01'
+    }, 'automatic');
+
+    const creditNote = (amount) => ({
+      kind: 'credit',
+      voucherType: 13,
+      voucherNumber: 5,
+      cae: '98765432109876',
+      date: '2024-01-05',
+      amount
+    });
+
+    test('should start with no adjustments', () => {
+      const order = invoicedOrder();
+
+      expect(order.adjustments).toEqual([]);
+      expect(order.getCreditedAmount().amount).toBe(0);
+      expect(order.getNetInvoicedAmount().amount).toBe(45000);
+    });
+
+    test('should net credit notes out of the invoiced amount', () => {
+      const order = invoicedOrder().addAdjustment(creditNote(15000));
+
+      expect(order.adjustments).toHaveLength(1);
+      expect(order.getCreditedAmount().amount).toBe(15000);
+      expect(order.getNetInvoicedAmount().amount).toBe(30000);
+      expect(order.isFullyCredited()).toBe(false);
+    });
+
+    test('should add debit notes to the invoiced amount', () => {
+      const order = invoicedOrder().addAdjustment({ ...creditNote(500), kind: 'debit' });
+
+      expect(order.getDebitedAmount().amount).toBe(500);
+      expect(order.getNetInvoicedAmount().amount).toBe(45500);
+    });
+
+    test('should detect a fully credited invoice', () => {
+      const order = invoicedOrder().addAdjustment(creditNote(45000));
+
+      expect(order.isFullyCredited()).toBe(true);
+      expect(order.getNetInvoicedAmount().amount).toBe(0);
+    });
+
+    test('should reject credits above the amount still invoiced', () => {
+      const order = invoicedOrder().addAdjustment(creditNote(40000));
+
+      expect(() => order.addAdjustment(creditNote(5000.01))).toThrow(DomainError);
+    });
+
+    test('should accept a credit of exactly what is still invoiced, compared in cents', () => {
+      const order = invoicedOrder().addAdjustment(creditNote(44999.7));
+
+      expect(order.addAdjustment(creditNote(0.3)).getNetInvoicedAmount().amount).toBe(0);
+      expect(() => order.addAdjustment(creditNote(0.304))).not.toThrow();
+      expect(() => order.addAdjustment(creditNote(0.306))).toThrow(DomainError);
+    });
+
+    test('should reject adjustments on orders without a successful invoice', () => {
+      const order = new Order(validOrderData);
+
+      expect(() => order.addAdjustment(creditNote(100))).toThrow(DomainError);
+    });
+
+    test('should reject invalid adjustment kinds', () => {
+      expect(() => new Order({
+        ...validOrderData,
+        adjustments: [{ ...creditNote(100), kind: 'refund' }]
+      })).toThrow(ValidationError);
+    });
+
+    test('should round-trip adjustments through JSON', () => {
+      const order = invoicedOrder().addAdjustment(creditNote(15000));
+      const restored = Order.fromJSON(order.toJSON());
+
+      expect(restored.adjustments).toEqual(order.adjustments);
+      expect(restored.getNetInvoicedAmount().amount).toBe(30000);
+    });
+  });
+
+  describe('toPesos', () => {
+    test('should convert a USD amount at the invoice exchange rate', () => {
+      const order = new Order({ ...validOrderData, fiat: 'USD', totalPrice: 100 })
+        .markAsProcessed({ success: true, cae: '12345678901234', voucherNumber: 7, exchangeRate: 1180.25 });
+
+      const pesos = order.toPesos(order.totalAmount);
+
+      expect(pesos.currency).toBe('ARS');
+      expect(pesos.amount).toBe(118025);
+    });
+
+    test('should leave pesos unchanged', () => {
+      const order = new Order(validOrderData);
+
+      expect(order.toPesos(order.totalAmount).amount).toBe(45000);
+    });
+
+    test('should use rate 1 for a USD invoice issued without a stored rate', () => {
+      const order = new Order({ ...validOrderData, fiat: 'USD', totalPrice: 100 });
+
+      expect(order.toPesos(order.totalAmount).amount).toBe(100);
+    });
+  });
+
   describe('getServicePeriod', () => {
     test('should return order date as service period', () => {
       const order = new Order(validOrderData);
@@ -346,6 +586,14 @@ describe('Order Entity', () => {
 
       expect(json.cae).toBe('12345678901234');
     });
+
+    test('should round-trip the order source', () => {
+      expect(new Order(validOrderData).source).toBe('binance');
+
+      const order = Order.fromJSON(new Order({ ...validOrderData, source: 'manual' }).toJSON());
+
+      expect(order.source).toBe('manual');
+    });
   });
 
   describe('fromJSON', () => {
@@ -370,6 +618,39 @@ describe('Order Entity', () => {
     });
   });
 
+  describe('CAEA vouchers', () => {
+    const caeaResult = {
+      success: true,
+      cae: '31234567890123',
+      voucherNumber: 7,
+      invoiceDate: '2024-01-02',
+      authorizationType: 'CAEA'
+    };
+
+    test('are pending report until marked reported', () => {
+      const issued = new Order(validOrderData).markAsProcessed(caeaResult, 'automatic');
+
+      expect(issued.authorizationType).toBe('CAEA');
+      expect(issued.isPendingCaeaReport()).toBe(true);
+
+      const reported = issued.markCaeaReported('2024-01-05');
+      expect(reported.caeaReportedAt).toBe('2024-01-05');
+      expect(reported.isPendingCaeaReport()).toBe(false);
+    });
+
+    test('CAE invoices are never pending report', () => {
+      const invoiced = new Order(validOrderData).markAsProcessed({ ...caeaResult, authorizationType: undefined });
+
+      expect(invoiced.authorizationType).toBe('CAE');
+      expect(invoiced.isPendingCaeaReport()).toBe(false);
+      expect(() => invoiced.markCaeaReported()).toThrow(DomainError);
+    });
+
+    test('rejects unknown authorization types', () => {
+      expect(() => new Order({ ...validOrderData, authorizationType: 'XYZ' })).toThrow(ValidationError);
+    });
+  });
+
   describe('equals', () => {
     test('should return true for orders with same order number', () => {
       const order1 = new Order(validOrderData);
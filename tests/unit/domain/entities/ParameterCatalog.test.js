@@ -0,0 +1,75 @@
+/**
+ * ParameterCatalog Entity Tests
+ */
+
+const ParameterCatalog = require('../../../../src/domain/entities/ParameterCatalog');
+
+describe('ParameterCatalog Entity', () => {
+  // FEParamGet* ResultGet lists as returned by WSFE
+  const raw = {
+    voucherTypes: [
+      { Id: 11, Desc: 'Factura C', FchDesde: '20110330', FchHasta: 'NULL' },
+      { Id: 13, Desc: 'Nota de Crédito C', FchDesde: '20110330', FchHasta: 'NULL' },
+      { Id: 39, Desc: 'Otros comprobantes A', FchDesde: '20100917', FchHasta: '20200101' }
+    ],
+    docTypes: [{ Id: 80, Desc: 'CUIT' }, { Id: 99, Desc: 'Doc. (Otro)' }],
+    currencies: [{ Id: 'PES', Desc: 'Pesos Argentinos' }, { Id: 'DOL', Desc: 'Dólar Estadounidense' }],
+    pointsOfSale: [
+      { Nro: 3, EmisionTipo: 'CAE - Ws', Bloqueado: 'N', FchBaja: 'NULL' },
+      { Nro: 4, EmisionTipo: 'CAEA - Ws', Bloqueado: 'S', FchBaja: 'NULL' },
+      { Nro: 5, EmisionTipo: 'CAE - Ws', Bloqueado: 'N', FchBaja: '20250301' }
+    ],
+    vatConditions: [{ Id: 5, Desc: 'Consumidor Final', Cmp_Clase: 'A/M/C' }]
+  };
+
+  describe('fromAFIPResponse', () => {
+    test('should map the lists and drop retired voucher types', () => {
+      const catalog = ParameterCatalog.fromAFIPResponse(raw, '20260115');
+
+      expect(catalog.voucherTypes.map(t => t.id)).toEqual([11, 13]);
+      expect(catalog.hasDocType(99)).toBe(true);
+      expect(catalog.hasCurrency('PES')).toBe(true);
+      expect(catalog.hasVatCondition(5)).toBe(true);
+      expect(catalog.pointsOfSale[2]).toEqual({
+        number: 5, emissionType: 'CAE - Ws', blocked: false, deactivatedAt: '2025-03-01'
+      });
+    });
+
+    test('should only enable points of sale that are neither blocked nor deactivated', () => {
+      const catalog = ParameterCatalog.fromAFIPResponse(raw, '20260115');
+
+      expect(catalog.isPointOfSaleEnabled(3)).toBe(true);
+      expect(catalog.isPointOfSaleEnabled(4)).toBe(false);
+      expect(catalog.isPointOfSaleEnabled(5)).toBe(false);
+      expect(catalog.isPointOfSaleEnabled(9)).toBe(false);
+    });
+  });
+
+  describe('compareWith', () => {
+    test('should list constants AFIP does not know and AFIP codes without a constant', () => {
+      const catalog = ParameterCatalog.fromAFIPResponse(raw, '20260115');
+
+      const diff = catalog.compareWith({
+        voucherTypes: { INVOICE_C: 11, INVOICE_M: 51 },
+        currencies: { ARS: 'PES', USD: 'DOL' }
+      });
+
+      expect(diff.voucherTypes.unknownToAfip).toEqual([{ name: 'INVOICE_M', value: 51 }]);
+      expect(diff.voucherTypes.missingLocally).toEqual([{ id: 13, description: 'Nota de Crédito C' }]);
+      expect(diff.currencies).toEqual({ unknownToAfip: [], missingLocally: [] });
+    });
+  });
+
+  test('should be stale after the cache age', () => {
+    const catalog = new ParameterCatalog({ fetchedAt: '2026-01-01T00:00:00.000Z' });
+
+    expect(catalog.isStale(24, new Date('2026-01-01T12:00:00Z'))).toBe(false);
+    expect(catalog.isStale(24, new Date('2026-01-02T12:00:00Z'))).toBe(true);
+  });
+
+  test('should round-trip through JSON', () => {
+    const catalog = ParameterCatalog.fromAFIPResponse(raw, '20260115');
+
+    expect(ParameterCatalog.fromJSON(catalog.toJSON()).toJSON()).toEqual(catalog.toJSON());
+  });
+});
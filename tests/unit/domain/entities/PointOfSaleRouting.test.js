@@ -0,0 +1,73 @@
+/**
+ * PointOfSaleRouting Entity Tests
+ */
+
+const PointOfSaleRouting = require('../../../../src/domain/entities/PointOfSaleRouting');
+const { ValidationError } = require('../../../../src/shared/errors');
+
+describe('PointOfSaleRouting Entity', () => {
+  const order = (overrides = {}) => ({ source: 'binance', asset: 'USDT', tradeType: 'SELL', ...overrides });
+
+  describe('constructor', () => {
+    test('should normalize rule criteria', () => {
+      const routing = new PointOfSaleRouting([{ pointOfSale: '3', source: 'Binance', asset: 'usdt', tradeType: 'sell' }]);
+
+      expect(routing.rules).toEqual([{ pointOfSale: 3, source: 'binance', asset: 'USDT', tradeType: 'SELL' }]);
+    });
+
+    test('should reject a rule without a valid point of sale', () => {
+      expect(() => new PointOfSaleRouting([{ pointOfSale: 0, source: 'binance' }])).toThrow(ValidationError);
+    });
+
+    test('should reject a rule that matches every order', () => {
+      expect(() => new PointOfSaleRouting([{ pointOfSale: 3 }])).toThrow(ValidationError);
+    });
+
+    test('should reject an unknown trade type', () => {
+      expect(() => new PointOfSaleRouting([{ pointOfSale: 3, tradeType: 'SWAP' }])).toThrow(ValidationError);
+    });
+
+    test('should be immutable', () => {
+      const routing = new PointOfSaleRouting([{ pointOfSale: 3, source: 'binance' }]);
+
+      expect(Object.isFrozen(routing)).toBe(true);
+    });
+  });
+
+  describe('pointOfSaleFor', () => {
+    const routing = new PointOfSaleRouting([
+      { pointOfSale: 5, source: 'binance', asset: 'BTC' },
+      { pointOfSale: 3, source: 'binance' },
+      { pointOfSale: 4, source: 'manual' }
+    ]);
+
+    test('should pick the first matching rule', () => {
+      expect(routing.pointOfSaleFor(order({ asset: 'BTC' }))).toBe(5);
+      expect(routing.pointOfSaleFor(order())).toBe(3);
+    });
+
+    test('should match case-insensitively', () => {
+      expect(routing.pointOfSaleFor(order({ source: 'MANUAL' }))).toBe(4);
+    });
+
+    test('should return null when no rule matches', () => {
+      expect(routing.pointOfSaleFor(order({ source: 'transfer' }))).toBeNull();
+    });
+
+    test('should route nothing without rules', () => {
+      expect(PointOfSaleRouting.none().pointOfSaleFor(order())).toBeNull();
+    });
+  });
+
+  describe('pointsOfSale', () => {
+    test('should list each routed point of sale once', () => {
+      const routing = new PointOfSaleRouting([
+        { pointOfSale: 3, asset: 'USDT' },
+        { pointOfSale: 3, asset: 'USDC' },
+        { pointOfSale: 4, tradeType: 'BUY' }
+      ]);
+
+      expect(routing.pointsOfSale()).toEqual([3, 4]);
+    });
+  });
+});
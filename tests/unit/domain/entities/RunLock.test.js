@@ -0,0 +1,56 @@
+/**
+ * RunLock Entity Tests
+ */
+
+const RunLock = require('../../../../src/domain/entities/RunLock');
+const { ValidationError } = require('../../../../src/shared/errors');
+
+describe('RunLock Entity', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z');
+  const held = {
+    name: 'processing',
+    command: 'process-month 2026-09',
+    owner: 'runner-1:4242:a1b2c3',
+    acquiredAt: '2026-10-19T11:30:00.000Z',
+    expiresAt: '2026-10-19T12:30:00.000Z',
+    version: 'W/"datetime\'2026-10-19T11%3A30%3A00Z\'"'
+  };
+
+  test('should be held by its owner until it expires', () => {
+    const lock = new RunLock(held);
+
+    expect(lock.isExpired(now)).toBe(false);
+    expect(lock.isHeldBy(held.owner, now)).toBe(true);
+    expect(lock.isHeldBy('runner-2:17:d4e5f6', now)).toBe(false);
+  });
+
+  test('should go stale at its expiry', () => {
+    const lock = new RunLock(held);
+    const later = new Date(held.expiresAt);
+
+    expect(lock.isExpired(later)).toBe(true);
+    expect(lock.isHeldBy(held.owner, later)).toBe(false);
+  });
+
+  describe('validation', () => {
+    test('should reject a name that is not a table row key', () => {
+      expect(() => new RunLock({ ...held, name: 'Processing/1' })).toThrow(ValidationError);
+    });
+
+    test('should reject a lock without command or owner', () => {
+      expect(() => new RunLock({ ...held, command: '' })).toThrow(ValidationError);
+      expect(() => new RunLock({ ...held, owner: null })).toThrow(ValidationError);
+    });
+
+    test('should reject a lock without timestamps', () => {
+      expect(() => new RunLock({ ...held, expiresAt: undefined })).toThrow(ValidationError);
+    });
+  });
+
+  test('should round-trip through JSON and be immutable', () => {
+    const lock = new RunLock(held);
+
+    expect(RunLock.fromJSON(lock.toJSON()).toJSON()).toEqual(held);
+    expect(Object.isFrozen(lock)).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Taxpayer Entity Tests
+ */
+
+const Taxpayer = require('../../../../src/domain/entities/Taxpayer');
+const { ValidationError } = require('../../../../src/shared/errors');
+const { VAT_CONDITION } = require('../../../../src/shared/constants');
+
+describe('Taxpayer Entity', () => {
+  // getPersona_v2 personaReturn as returned by ws_sr_padron_a5
+  const persona = (overrides = {}) => ({
+    datosGenerales: {
+      idPersona: 27301234568,
+      apellido: 'PEREZ',
+      nombre: 'ANA',
+      tipoPersona: 'FISICA',
+      estadoClave: 'ACTIVO',
+      domicilioFiscal: {
+        direccion: 'SAN MARTIN 100',
+        localidad: 'ROSARIO',
+        descripcionProvincia: 'SANTA FE',
+        codPostal: '2000'
+      }
+    },
+    ...overrides
+  });
+
+  describe('fromPadronResponse', () => {
+    test('should map name, address and status', () => {
+      const taxpayer = Taxpayer.fromPadronResponse(persona());
+
+      expect(taxpayer.cuit.value).toBe('27301234568');
+      expect(taxpayer.name).toBe('PEREZ ANA');
+      expect(taxpayer.personType).toBe('FISICA');
+      expect(taxpayer.address).toBe('SAN MARTIN 100, ROSARIO, SANTA FE, 2000');
+      expect(taxpayer.isActive()).toBe(true);
+    });
+
+    test('should treat monotributo registration as Monotributo', () => {
+      const taxpayer = Taxpayer.fromPadronResponse(persona({
+        datosMonotributo: { categoriaMonotributo: { descripcionCategoria: 'H LOCACIONES DE SERVICIO' } }
+      }));
+
+      expect(taxpayer.taxCondition).toBe(Taxpayer.TaxCondition.MONOTRIBUTO);
+      expect(taxpayer.vatConditionId).toBe(VAT_CONDITION.MONOTAX);
+    });
+
+    test('should treat IVA registration as Responsable Inscripto', () => {
+      // A single impuesto comes back as an object, not an array
+      const taxpayer = Taxpayer.fromPadronResponse(persona({
+        datosRegimenGeneral: { impuesto: { idImpuesto: 30, descripcionImpuesto: 'IVA' } }
+      }));
+
+      expect(taxpayer.taxCondition).toBe(Taxpayer.TaxCondition.RESPONSABLE_INSCRIPTO);
+      expect(taxpayer.vatConditionId).toBe(VAT_CONDITION.REGISTERED);
+    });
+
+    test('should treat IVA EXENTO as Exento', () => {
+      const taxpayer = Taxpayer.fromPadronResponse(persona({
+        datosRegimenGeneral: { impuesto: [{ idImpuesto: 11 }, { idImpuesto: 32 }] }
+      }));
+
+      expect(taxpayer.vatConditionId).toBe(VAT_CONDITION.EXEMPT);
+    });
+
+    test('should default to Consumidor Final', () => {
+      const taxpayer = Taxpayer.fromPadronResponse(persona());
+
+      expect(taxpayer.taxCondition).toBe(Taxpayer.TaxCondition.CONSUMIDOR_FINAL);
+      expect(taxpayer.vatConditionId).toBe(VAT_CONDITION.FINAL_CONSUMER);
+    });
+
+    test('should prefer razonSocial for companies', () => {
+      const taxpayer = Taxpayer.fromPadronResponse(persona({
+        datosGenerales: { idPersona: 30712345671, razonSocial: 'ACME SA', tipoPersona: 'JURIDICA' }
+      }));
+
+      expect(taxpayer.name).toBe('ACME SA');
+      expect(taxpayer.address).toBeNull();
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject an unknown tax condition', () => {
+      expect(() => new Taxpayer({ cuit: '27301234568', name: 'X', taxCondition: 'OTHER' }))
+        .toThrow(ValidationError);
+    });
+
+    test('should reject a missing name', () => {
+      expect(() => new Taxpayer({ cuit: '27301234568', taxCondition: 'MONOTRIBUTO' }))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('isStale', () => {
+    test('should compare the fetch time against the cache age', () => {
+      const taxpayer = new Taxpayer({
+        cuit: '27301234568',
+        name: 'PEREZ ANA',
+        taxCondition: 'MONOTRIBUTO',
+        fetchedAt: '2026-01-01T00:00:00.000Z'
+      });
+
+      expect(taxpayer.isStale(30, new Date('2026-01-20T00:00:00Z'))).toBe(false);
+      expect(taxpayer.isStale(30, new Date('2026-02-15T00:00:00Z'))).toBe(true);
+    });
+  });
+
+  test('should round-trip through JSON', () => {
+    const taxpayer = Taxpayer.fromPadronResponse(persona());
+
+    expect(Taxpayer.fromJSON(taxpayer.toJSON()).toJSON()).toEqual(taxpayer.toJSON());
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * VoucherSequence Entity Tests
+ */
+
+const VoucherSequence = require('../../../../src/domain/entities/VoucherSequence');
+const { ValidationError } = require('../../../../src/shared/errors');
+
+describe('VoucherSequence Entity', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z');
+  const leased = {
+    pointOfSale: 2,
+    voucherType: 11,
+    lastNumber: 41,
+    leaseOwner: 'runner-1:4242:a1b2c3:1',
+    leaseExpiresAt: '2026-10-19T12:02:00.000Z',
+    version: 'W/"datetime\'2026-10-19T12%3A00%3A00Z\'"'
+  };
+
+  test('should key the sequence by point of sale and voucher type', () => {
+    expect(new VoucherSequence(leased).key).toBe('2-11');
+    expect(VoucherSequence.keyFor(3, 6)).toBe('3-6');
+  });
+
+  test('should start a new sequence at zero and free', () => {
+    const sequence = new VoucherSequence({ pointOfSale: 2, voucherType: 11 });
+
+    expect(sequence.lastNumber).toBe(0);
+    expect(sequence.isLeased(now)).toBe(false);
+  });
+
+  describe('lease', () => {
+    test('should be held by its owner until it expires', () => {
+      const sequence = new VoucherSequence(leased);
+
+      expect(sequence.isLeased(now)).toBe(true);
+      expect(sequence.isLeasedBy(leased.leaseOwner, now)).toBe(true);
+      expect(sequence.isLeasedBy('runner-2:17:d4e5f6:1', now)).toBe(false);
+    });
+
+    test('should be free once expired', () => {
+      const sequence = new VoucherSequence(leased);
+      const later = new Date('2026-10-19T12:02:00.001Z');
+
+      expect(sequence.isLeased(later)).toBe(false);
+      expect(sequence.isLeasedBy(leased.leaseOwner, later)).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject a leased sequence without expiry', () => {
+      expect(() => new VoucherSequence({ ...leased, leaseExpiresAt: null })).toThrow(ValidationError);
+    });
+
+    test('should reject a missing point of sale or voucher type', () => {
+      expect(() => new VoucherSequence({ voucherType: 11 })).toThrow(ValidationError);
+      expect(() => new VoucherSequence({ pointOfSale: 2 })).toThrow(ValidationError);
+    });
+
+    test('should reject a negative last number', () => {
+      expect(() => new VoucherSequence({ pointOfSale: 2, voucherType: 11, lastNumber: -1 })).toThrow(ValidationError);
+    });
+  });
+
+  test('should round-trip through JSON and be immutable', () => {
+    const sequence = new VoucherSequence(leased);
+
+    expect(VoucherSequence.fromJSON(sequence.toJSON()).toJSON()).toEqual(leased);
+    expect(Object.isFrozen(sequence)).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * AfipQrCode Domain Service Tests
+ */
+
+const AfipQrCode = require('../../../../src/domain/services/AfipQrCode');
+const AuthorizedVoucher = require('../../../../src/domain/entities/AuthorizedVoucher');
+
+describe('AfipQrCode', () => {
+  const voucher = (overrides = {}) => new AuthorizedVoucher({
+    pointOfSale: 3,
+    voucherType: 11,
+    voucherNumber: 21,
+    voucherDate: '2026-01-12',
+    concept: 2,
+    docType: 99,
+    docNumber: '0',
+    totalAmount: 12345.67,
+    netAmount: 12345.67,
+    cae: '74000000000021',
+    caeExpiration: '2026-01-22',
+    ...overrides
+  });
+
+  describe('payload', () => {
+    test('should carry the voucher data in the RG 4892 fields', () => {
+      expect(AfipQrCode.payload(voucher(), '20123456786')).toEqual({
+        ver: 1,
+        fecha: '2026-01-12',
+        cuit: 20123456786,
+        ptoVta: 3,
+        tipoCmp: 11,
+        nroCmp: 21,
+        importe: 12345.67,
+        moneda: 'PES',
+        ctz: 1,
+        tipoCodAut: 'E',
+        codAut: 74000000000021
+      });
+    });
+
+    test('should include an identified receiver', () => {
+      const payload = AfipQrCode.payload(voucher({ docType: 80, docNumber: '30712345671' }), '20123456786');
+
+      expect(payload.tipoDocRec).toBe(80);
+      expect(payload.nroDocRec).toBe(30712345671);
+    });
+
+    test('should mark CAEA vouchers with tipoCodAut A', () => {
+      const payload = AfipQrCode.payload(voucher({ authorizationType: 'CAEA' }), '20123456786');
+
+      expect(payload.tipoCodAut).toBe('A');
+    });
+  });
+
+  describe('url', () => {
+    test('should point to the AFIP QR page with the base64 JSON payload', () => {
+      const payload = AfipQrCode.payload(voucher(), '20123456786');
+      const url = AfipQrCode.url(payload);
+
+      expect(url.startsWith('https://www.afip.gob.ar/fe/qr/?p=')).toBe(true);
+      expect(AfipQrCode.decode(url)).toEqual(payload);
+    });
+  });
+});
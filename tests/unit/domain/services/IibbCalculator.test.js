@@ -0,0 +1,116 @@
+/**
+ * IibbCalculator Domain Service Tests
+ */
+
+const IibbCalculator = require('../../../../src/domain/services/IibbCalculator');
+const IibbJurisdiction = require('../../../../src/domain/entities/IibbJurisdiction');
+const Money = require('../../../../src/domain/value-objects/Money');
+const { ValidationError } = require('../../../../src/shared/errors');
+
+describe('IibbCalculator', () => {
+  const caba = new IibbJurisdiction({ jurisdiction: 'CABA', rate: 0.03, share: 0.6 });
+  const buenosAires = new IibbJurisdiction({ jurisdiction: '902', rate: 0.035, share: 0.4 });
+
+  describe('validateCredits', () => {
+    it('should accept well-formed credits', () => {
+      expect(() => IibbCalculator.validateCredits([
+        { month: '2026-09', jurisdiction: 'CABA', kind: 'retention', amount: 1500 }
+      ])).not.toThrow();
+      expect(() => IibbCalculator.validateCredits(undefined)).not.toThrow();
+    });
+
+    it('should list every problem of a malformed credit', () => {
+      let error;
+      try {
+        IibbCalculator.validateCredits([{ month: '2026-9', kind: 'refund', amount: -1 }]);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.validationErrors[0].message)
+        .toMatch(/month must be YYYY-MM.*jurisdiction is required.*kind must be one of.*amount must be positive/);
+    });
+  });
+
+  describe('creditsFor', () => {
+    it('should pick the credits of the month and jurisdiction', () => {
+      const credits = [
+        { month: '2026-09', jurisdiction: 'CABA', kind: 'retention', amount: 100 },
+        { month: '2026-08', jurisdiction: 'CABA', kind: 'retention', amount: 200 },
+        { month: '2026-09', jurisdiction: 902, kind: 'perception', amount: 300 }
+      ];
+
+      expect(IibbCalculator.creditsFor(credits, '2026-09', 'CABA').map(c => c.amount)).toEqual([100]);
+      expect(IibbCalculator.creditsFor(credits, '2026-09', '902').map(c => c.amount)).toEqual([300]);
+    });
+  });
+
+  describe('declare', () => {
+    it('should work out the tax, credits and amount due per jurisdiction', () => {
+      const { lines, totals } = IibbCalculator.declare({
+        jurisdictions: [caba, buenosAires],
+        base: Money.of(1000000),
+        credits: [
+          { month: '2026-09', jurisdiction: 'CABA', kind: 'retention', amount: 5000 },
+          { month: '2026-09', jurisdiction: 'CABA', kind: 'perception', amount: 1000 }
+        ],
+        month: '2026-09'
+      });
+
+      expect(lines[0]).toMatchObject({ jurisdiction: 'CABA', regime: 'general', rate: 0.03, bracket: null });
+      expect(lines[0].base.amount).toBe(600000);
+      expect(lines[0].tax.amount).toBe(18000);
+      expect(lines[0].credits.amount).toBe(6000);
+      expect(lines[0].due.amount).toBe(12000);
+      expect(lines[1].tax.amount).toBe(14000);
+      expect(lines[1].credits.amount).toBe(0);
+      expect(totals.tax.amount).toBe(32000);
+      expect(totals.credits.amount).toBe(6000);
+      expect(totals.due.amount).toBe(26000);
+      expect(totals.balanceInFavor.amount).toBe(0);
+    });
+
+    it('should leave credits above the tax as a balance in favour', () => {
+      const { lines, totals } = IibbCalculator.declare({
+        jurisdictions: [caba],
+        base: Money.of(100000),
+        credits: [{ month: '2026-09', jurisdiction: 'CABA', kind: 'retention', amount: 2500 }],
+        month: '2026-09'
+      });
+
+      expect(lines[0].tax.amount).toBe(1800);
+      expect(lines[0].due.amount).toBe(0);
+      expect(lines[0].balanceInFavor.amount).toBe(700);
+      expect(totals.due.amount).toBe(0);
+      expect(totals.balanceInFavor.amount).toBe(700);
+    });
+
+    it('should charge the bracket amount under the simplified regime', () => {
+      const simplified = new IibbJurisdiction({
+        jurisdiction: 'CABA',
+        brackets: [{ maxIncome: 10000000, amount: 20000 }, { maxIncome: 20000000, amount: 45000 }]
+      });
+
+      const { lines } = IibbCalculator.declare({
+        jurisdictions: [simplified],
+        base: Money.of(500000),
+        annualIncome: 12000000,
+        month: '2026-09'
+      });
+
+      expect(lines[0].regime).toBe('simplified');
+      expect(lines[0].bracket).toEqual({ maxIncome: 20000000, amount: 45000 });
+      expect(lines[0].tax.amount).toBe(45000);
+    });
+
+    it('should reject malformed credits', () => {
+      expect(() => IibbCalculator.declare({
+        jurisdictions: [caba],
+        base: Money.of(1000),
+        credits: [{ month: '2026-09', jurisdiction: 'CABA', kind: 'retention', amount: 0 }],
+        month: '2026-09'
+      })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * MonotributoTracker Domain Service Tests
+ */
+
+const MonotributoTracker = require('../../../../src/domain/services/MonotributoTracker');
+const MonotributoScale = require('../../../../src/domain/entities/MonotributoScale');
+const Order = require('../../../../src/domain/entities/Order');
+const Money = require('../../../../src/domain/value-objects/Money');
+const { ValidationError } = require('../../../../src/shared/errors');
+
+const makeOrder = (overrides = {}) => new Order({
+  orderNumber: overrides.orderNumber || 'ORD-1',
+  amount: 100,
+  price: 1000,
+  totalPrice: overrides.totalPrice || 100000,
+  asset: 'USDT',
+  fiat: 'ARS',
+  tradeType: 'SELL',
+  createTime: Date.now(),
+  orderDate: overrides.orderDate || '2026-09-10',
+  processedAt: '2026-09-10T12:00:00Z',
+  success: overrides.success !== undefined ? overrides.success : true,
+  cae: '75123456789012',
+  voucherNumber: 1,
+  invoiceDate: overrides.invoiceDate !== undefined ? overrides.invoiceDate : null,
+  adjustments: overrides.adjustments
+});
+
+describe('MonotributoTracker', () => {
+  const scale = new MonotributoScale([{
+    effectiveFrom: '2026-08-01',
+    categories: [
+      { category: 'A', maxIncome: 1000000 },
+      { category: 'B', maxIncome: 2000000 }
+    ]
+  }]);
+
+  describe('windowFor', () => {
+    test('should span the month and the eleven before it', () => {
+      expect(MonotributoTracker.windowFor('2026-09-15')).toEqual({ from: '2025-10-01', to: '2026-09-15' });
+      expect(MonotributoTracker.windowFor('2026-12-31')).toEqual({ from: '2026-01-01', to: '2026-12-31' });
+    });
+  });
+
+  describe('recategorizationWindow', () => {
+    test('should close semester 1 on June 30 and take the caps of the August deadline', () => {
+      expect(MonotributoTracker.recategorizationWindow(2026, 1))
+        .toEqual({ from: '2025-07-01', to: '2026-06-30', capsDate: '2026-08-05' });
+    });
+
+    test('should close semester 2 on December 31 and take the caps of the February deadline', () => {
+      expect(MonotributoTracker.recategorizationWindow(2026, 2))
+        .toEqual({ from: '2026-01-01', to: '2026-12-31', capsDate: '2027-02-05' });
+    });
+
+    test('should reject any other semester', () => {
+      expect(() => MonotributoTracker.recategorizationWindow(2026, 3)).toThrow(ValidationError);
+    });
+  });
+
+  describe('incomeBetween', () => {
+    test('should add up invoices by invoice date, falling back to the order date', () => {
+      const orders = [
+        makeOrder({ orderNumber: 'ORD-1', orderDate: '2026-08-31', invoiceDate: '2026-09-02', totalPrice: 100000 }),
+        makeOrder({ orderNumber: 'ORD-2', orderDate: '2026-09-05', totalPrice: 50000.5 }),
+        makeOrder({ orderNumber: 'ORD-3', orderDate: '2026-08-20', invoiceDate: '2026-08-20', totalPrice: 70000 })
+      ];
+
+      expect(MonotributoTracker.incomeBetween(orders, '2026-09-01', '2026-09-30').amount).toBe(150000.5);
+    });
+
+    test('should count invoices net of credit notes and skip failed orders', () => {
+      const orders = [
+        makeOrder({ orderNumber: 'ORD-1', adjustments: [{ kind: 'credit', amount: 40000, date: '2026-09-20' }] }),
+        makeOrder({ orderNumber: 'ORD-2', success: false })
+      ];
+
+      expect(MonotributoTracker.incomeBetween(orders, '2026-09-01', '2026-09-30').amount).toBe(60000);
+    });
+
+    test('should count each note in the period it was issued, not its invoice\'s', () => {
+      const orders = [
+        makeOrder({
+          orderNumber: 'ORD-1',
+          orderDate: '2026-08-20',
+          adjustments: [
+            { kind: 'credit', amount: 40000, date: '2026-09-05' },
+            { kind: 'debit', amount: 5000, date: '2026-10-01' }
+          ]
+        })
+      ];
+
+      expect(MonotributoTracker.incomeBetween(orders, '2026-08-01', '2026-08-31').amount).toBe(100000);
+      expect(MonotributoTracker.incomeBetween(orders, '2026-09-01', '2026-09-30').amount).toBe(-40000);
+      expect(MonotributoTracker.incomeBetween(orders, '2026-10-01', '2026-10-31').amount).toBe(5000);
+    });
+
+    test('should be zero with no invoices', () => {
+      expect(MonotributoTracker.incomeBetween([], '2026-09-01', '2026-09-30').isZero()).toBe(true);
+    });
+  });
+
+  describe('projectMonthEnd', () => {
+    test('should extend the month at the pace of the days gone', () => {
+      const projected = MonotributoTracker.projectMonthEnd(Money.of(500000), Money.of(100000), '2026-09-10');
+
+      // 100000 in 10 days of 30: 200000 more by the 30th
+      expect(projected.amount).toBe(700000);
+    });
+
+    test('should not project a finished month', () => {
+      const projected = MonotributoTracker.projectMonthEnd(Money.of(500000), Money.of(100000), '2026-09-30');
+
+      expect(projected.amount).toBe(500000);
+    });
+  });
+
+  describe('assess', () => {
+    test('should measure income against its own category and warn past the thresholds', () => {
+      const result = MonotributoTracker.assess({
+        income: Money.of(850000),
+        projectedIncome: Money.of(960000),
+        scale,
+        asOf: '2026-09-10',
+        thresholds: [0.8, 0.95]
+      });
+
+      expect(result.category.category).toBe('A');
+      expect(result.limit.category).toBe('A');
+      expect(result.usage).toBe(0.85);
+      expect(result.projectedUsage).toBe(0.96);
+      expect(result.remaining.amount).toBe(150000);
+      expect(result.warnings).toEqual([
+        { figure: 'income', threshold: 0.8, usage: 0.85 },
+        { figure: 'projected', threshold: 0.95, usage: 0.96 }
+      ]);
+    });
+
+    test('should measure against the registered category when given', () => {
+      const result = MonotributoTracker.assess({
+        income: Money.of(1200000),
+        projectedIncome: Money.of(1200000),
+        scale,
+        asOf: '2026-09-10',
+        registeredCategory: 'A'
+      });
+
+      expect(result.category.category).toBe('B');
+      expect(result.limit.category).toBe('A');
+      expect(result.usage).toBe(1.2);
+      expect(result.remaining.amount).toBe(-200000);
+    });
+
+    test('should flag income over every category against the top cap', () => {
+      const result = MonotributoTracker.assess({
+        income: Money.of(2100000),
+        projectedIncome: Money.of(2100000),
+        scale,
+        asOf: '2026-09-10'
+      });
+
+      expect(result.category).toBeNull();
+      expect(result.exceedsScale).toBe(true);
+      expect(result.limit.category).toBe('B');
+    });
+
+    test('should not warn below the lowest threshold', () => {
+      const result = MonotributoTracker.assess({
+        income: Money.of(100000),
+        projectedIncome: Money.of(200000),
+        scale,
+        asOf: '2026-09-10'
+      });
+
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should reject thresholds that are not positive shares', () => {
+      expect(() => MonotributoTracker.assess({
+        income: Money.of(1),
+        projectedIncome: Money.of(1),
+        scale,
+        asOf: '2026-09-10',
+        thresholds: [80, 'high']
+      })).toThrow(ValidationError);
+    });
+  });
+});
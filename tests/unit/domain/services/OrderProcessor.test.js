@@ -0,0 +1,95 @@
+/**
+ * OrderProcessor Domain Service Tests
+ */
+
+const OrderProcessor = require('../../../../src/domain/services/OrderProcessor');
+const Order = require('../../../../src/domain/entities/Order');
+
+describe('OrderProcessor', () => {
+  const today = new Date().toISOString().split('T')[0];
+  const makeOrder = (overrides = {}) => new Order({
+    orderNumber: 'ORDER-1',
+    amount: 100,
+    price: 1500,
+    totalPrice: 150000,
+    asset: 'USDT',
+    fiat: 'ARS',
+    tradeType: 'SELL',
+    createTime: Date.now(),
+    orderDate: today,
+    buyerNickname: 'buyer1',
+    ...overrides
+  });
+
+  describe('buyerIdentificationReason', () => {
+    const identificationThreshold = 10000000;
+
+    test('should block an unidentified buyer at the threshold', () => {
+      const reason = OrderProcessor.buyerIdentificationReason(
+        makeOrder({ totalPrice: 10000000 }),
+        { identificationThreshold }
+      );
+
+      expect(reason).toContain('identification threshold');
+      expect(reason).toContain('"buyer1"');
+    });
+
+    test('should let identified buyers and smaller orders through', () => {
+      const order = makeOrder({ totalPrice: 12000000 });
+
+      expect(OrderProcessor.buyerIdentificationReason(order, { identificationThreshold, buyerIdentified: true })).toBeNull();
+      expect(OrderProcessor.buyerIdentificationReason(makeOrder(), { identificationThreshold })).toBeNull();
+      expect(OrderProcessor.buyerIdentificationReason(order)).toBeNull();
+    });
+
+    test('should compare foreign-currency orders in pesos', () => {
+      const order = makeOrder({ fiat: 'USD', totalPrice: 9000 });
+
+      expect(OrderProcessor.buyerIdentificationReason(order, { identificationThreshold, exchangeRate: 1000 })).toBeNull();
+      expect(OrderProcessor.buyerIdentificationReason(order, { identificationThreshold, exchangeRate: 1200 }))
+        .not.toBeNull();
+    });
+
+    test('should skip orders invoiced with a Factura E', () => {
+      const order = makeOrder({
+        totalPrice: 12000000,
+        foreignBuyer: { name: 'JOAO SILVA', country: 203, taxId: '12345678901', address: 'RUA A 10' }
+      });
+
+      expect(OrderProcessor.buyerIdentificationReason(order, { identificationThreshold })).toBeNull();
+    });
+  });
+
+  describe('canConsolidate', () => {
+    test('should accept a SELL order in pesos below the amount', () => {
+      expect(OrderProcessor.canConsolidate(makeOrder(), 200000)).toBe(true);
+      expect(OrderProcessor.canConsolidate(makeOrder(), 150000)).toBe(false);
+    });
+
+    test('should be off without an amount', () => {
+      expect(OrderProcessor.canConsolidate(makeOrder(), 0)).toBe(false);
+      expect(OrderProcessor.canConsolidate(makeOrder())).toBe(false);
+    });
+
+    test('should leave out BUY, foreign-currency and foreign-buyer orders', () => {
+      expect(OrderProcessor.canConsolidate(makeOrder({ tradeType: 'BUY' }), 200000)).toBe(false);
+      expect(OrderProcessor.canConsolidate(makeOrder({ fiat: 'USD', totalPrice: 100 }), 200000)).toBe(false);
+      expect(OrderProcessor.canConsolidate(makeOrder({
+        foreignBuyer: { name: 'JOAO SILVA', country: 203, taxId: '12345678901', address: 'RUA A 10, SAO PAULO' }
+      }), 200000)).toBe(false);
+    });
+  });
+
+  describe('canProcess', () => {
+    test('should report the identification reason', () => {
+      const result = OrderProcessor.canProcess(makeOrder({ totalPrice: 12000000 }), { identificationThreshold: 10000000 });
+
+      expect(result.canProcess).toBe(false);
+      expect(result.reasons).toHaveLength(1);
+    });
+
+    test('should allow an unprocessed SELL order', () => {
+      expect(OrderProcessor.canProcess(makeOrder())).toEqual({ canProcess: true, reasons: [] });
+    });
+  });
+});
@@ -38,5 +38,6 @@ describe('functions entry point', () => {
     const container = require('../../../src/application/di/container');
     expect(container.getOrderRepository()).toBeTruthy();
     expect(container.getGenerateMonthlyReportUseCase()).toBeTruthy();
+    expect(container.getTrackMonotributoIncomeUseCase()).toBeTruthy();
   });
 });
@@ -16,6 +16,7 @@ jest.mock('@azure/functions', () => ({
 jest.mock('../../../src/application/di/container', () => ({
   getOrderRepository: jest.fn(),
   getGenerateMonthlyReportUseCase: jest.fn(),
+  getTrackMonotributoIncomeUseCase: jest.fn(),
 }));
 
 const { app } = require('@azure/functions');
@@ -85,11 +86,11 @@ afterEach(() => {
 });
 
 describe('MCP tool registration', () => {
-  it('registers exactly the three read tools — no write tools', () => {
-    expect(Object.keys(tools).sort()).toEqual(['list_invoices', 'list_orders', 'monthly_income']);
+  it('registers exactly the four read tools — no write tools', () => {
+    expect(Object.keys(tools).sort()).toEqual(['list_invoices', 'list_orders', 'monotributo_status', 'monthly_income']);
   });
 
-  it.each(['list_orders', 'list_invoices', 'monthly_income'])(
+  it.each(['list_orders', 'list_invoices', 'monthly_income', 'monotributo_status'])(
     '%s takes a single required month string arg',
     (toolName) => {
       expect(tools[toolName].toolProperties).toEqual([
@@ -355,3 +356,44 @@ describe('monthly_income', () => {
     expect(body).toEqual({ error: 'boom', code: 'TypeError' });
   });
 });
+
+describe('monotributo_status', () => {
+  it('delegates the month to TrackMonotributoIncome and adds tableFreshness', async () => {
+    const status = {
+      asOf: '2026-07-30',
+      window: { from: '2025-08-01', to: '2026-07-30' },
+      income: 8500000,
+      monthIncome: 700000,
+      projectedIncome: 8523333.33,
+      category: { category: 'A', maxIncome: 8992597.87 },
+      projectedCategory: { category: 'A', maxIncome: 8992597.87 },
+      limit: { category: 'A', maxIncome: 8992597.87 },
+      registered: false,
+      usage: 0.9452,
+      projectedUsage: 0.9478,
+      remaining: 492597.87,
+      exceedsScale: false,
+      warnings: [{ figure: 'income', threshold: 0.8, usage: 0.9452 }],
+    };
+    const execute = jest.fn().mockResolvedValue(status);
+    container.getTrackMonotributoIncomeUseCase.mockReturnValue({ execute });
+
+    const body = await invoke('monotributo_status', { month: '2026-07' });
+
+    expect(execute).toHaveBeenCalledWith({ year: 2026, month: 7 });
+    expect(body).toEqual({
+      month: '2026-07',
+      ...status,
+      tableFreshness: { newestOrderDate: '2026-07-27', ageDays: 3 },
+    });
+  });
+
+  it('maps a month that has not started to {error, code}', async () => {
+    const { ValidationError } = require('../../../src/shared/errors');
+    container.getTrackMonotributoIncomeUseCase.mockReturnValue({
+      execute: jest.fn().mockRejectedValue(ValidationError.forField('month', '2026-08 has not started yet')),
+    });
+    const body = await invoke('monotributo_status', { month: '2026-08' });
+    expect(body.code).toBe('ValidationError');
+  });
+});
@@ -0,0 +1,75 @@
+const AfipGatewayAdapter = require('../../../../src/infrastructure/gateways/AfipGatewayAdapter');
+const ParameterCatalog = require('../../../../src/domain/entities/ParameterCatalog');
+
+const catalog = new ParameterCatalog({
+  voucherTypes: [{ id: 11, description: 'Factura C' }],
+  docTypes: [{ id: 99, description: 'Doc. (Otro)' }],
+  currencies: [{ id: 'PES', description: 'Pesos Argentinos' }],
+  pointsOfSale: [{ number: 3, emissionType: 'CAE - Ws', blocked: false, deactivatedAt: null }],
+  vatConditions: [{ id: 5, description: 'Consumidor Final' }]
+});
+
+const makeInvoice = (afipFormat = {}) => ({
+  orderNumber: { value: 'ORD-1' },
+  invoiceDate: '2026-01-15',
+  toJSON: () => ({}),
+  toAfipFormat: () => ({
+    PtoVta: 3, CbteTipo: 11, DocTipo: 99, MonId: 'PES', CondicionIVAReceptorId: 5, ...afipFormat
+  })
+});
+
+describe('AfipGatewayAdapter — parameter catalog checks', () => {
+  let afipService;
+  let catalogProvider;
+  let gateway;
+
+  beforeEach(() => {
+    afipService = {
+      initialize: jest.fn().mockResolvedValue(true),
+      createInvoice: jest.fn().mockResolvedValue({ success: true, cae: '74000000000001', caeExpiration: '20260125', voucherNumber: 1 }),
+      createInvoiceBatch: jest.fn(async invoices => invoices.map((inv, i) => ({
+        success: true, cae: `7400000000000${i + 2}`, caeExpiration: '20260125', voucherNumber: i + 2
+      })))
+    };
+    catalogProvider = jest.fn().mockResolvedValue(catalog);
+    gateway = new AfipGatewayAdapter(afipService, { catalogProvider });
+  });
+
+  it('submits invoices that match the catalog', async () => {
+    const result = await gateway.createInvoice(makeInvoice(), 3);
+
+    expect(result.isSuccessful()).toBe(true);
+    expect(afipService.createInvoice).toHaveBeenCalled();
+  });
+
+  it('fails invoices the catalog rules out without calling AFIP', async () => {
+    const result = await gateway.createInvoice(makeInvoice({ PtoVta: 7, MonId: 'XXX' }), 7);
+
+    expect(afipService.createInvoice).not.toHaveBeenCalled();
+    expect(result.isFailed()).toBe(true);
+    expect(result.errorMessage).toContain('Point of sale 7 is not enabled');
+    expect(result.errorMessage).toContain('Currency XXX');
+  });
+
+  it('leaves ruled-out records out of a batch and keeps the result order', async () => {
+    const results = await gateway.createInvoices([
+      makeInvoice(),
+      makeInvoice({ DocTipo: 42 }),
+      makeInvoice()
+    ]);
+
+    expect(afipService.createInvoiceBatch.mock.calls[0][0]).toHaveLength(2);
+    expect(results.map(r => r.isSuccessful())).toEqual([true, false, true]);
+    expect(results[2].voucherNumber).toBe(3);
+  });
+
+  it('loads the catalog once and submits unchecked when it is unavailable', async () => {
+    catalogProvider.mockRejectedValue(new Error('no catalog'));
+
+    await gateway.createInvoice(makeInvoice({ PtoVta: 7 }), 7);
+    await gateway.createInvoice(makeInvoice({ PtoVta: 7 }), 7);
+
+    expect(catalogProvider).toHaveBeenCalledTimes(1);
+    expect(afipService.createInvoice).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,53 @@
+const AfipGatewayAdapter = require('../../../../src/infrastructure/gateways/AfipGatewayAdapter');
+const AuthorizedVoucher = require('../../../../src/domain/entities/AuthorizedVoucher');
+
+describe('AfipGatewayAdapter.queryInvoice', () => {
+  let afipService;
+  let gateway;
+
+  beforeEach(() => {
+    afipService = {
+      initialize: jest.fn().mockResolvedValue(true),
+      queryVoucher: jest.fn()
+    };
+    gateway = new AfipGatewayAdapter(afipService);
+  });
+
+  it('returns the AFIP record as an AuthorizedVoucher', async () => {
+    afipService.queryVoucher.mockResolvedValue({
+      PtoVta: 3,
+      CbteTipo: 11,
+      CbteDesde: 150,
+      CbteFch: '20250115',
+      Concepto: 2,
+      DocTipo: 99,
+      DocNro: 0,
+      ImpTotal: 1000,
+      ImpNeto: 1000,
+      MonId: 'PES',
+      Resultado: 'A',
+      CodAutorizacion: '75034567890123',
+      FchVto: '20250125'
+    });
+
+    const voucher = await gateway.queryInvoice(3, 11, 150);
+
+    expect(afipService.queryVoucher).toHaveBeenCalledWith(3, 11, 150);
+    expect(voucher).toBeInstanceOf(AuthorizedVoucher);
+    expect(voucher.voucherNumber).toBe(150);
+    expect(voucher.totalAmount.amount).toBe(1000);
+    expect(voucher.cae.value).toBe('75034567890123');
+  });
+
+  it('returns null when AFIP has no such voucher', async () => {
+    afipService.queryVoucher.mockResolvedValue(null);
+
+    expect(await gateway.queryInvoice(3, 11, 999)).toBeNull();
+  });
+
+  it('propagates AFIP errors', async () => {
+    afipService.queryVoucher.mockRejectedValue(new Error('AFIP unreachable'));
+
+    await expect(gateway.queryInvoice(3, 11, 1)).rejects.toThrow('AFIP unreachable');
+  });
+});
@@ -0,0 +1,77 @@
+const AfipGatewayAdapter = require('../../../../src/infrastructure/gateways/AfipGatewayAdapter');
+const VoucherAllocator = require('../../../../src/infrastructure/gateways/VoucherAllocator');
+const VoucherSequence = require('../../../../src/domain/entities/VoucherSequence');
+const { AfipConnectionError } = require('../../../../src/utils/errors');
+
+const makeInvoice = () => ({
+  orderNumber: { value: 'ORD-1' },
+  invoiceDate: '2026-10-19',
+  toJSON: () => ({}),
+  toAfipFormat: () => ({ PtoVta: 3, CbteTipo: 11 })
+});
+
+// Every lease is granted; what was released is kept for the assertions
+const grantingSequences = () => ({
+  released: [],
+  acquireLease: async (pointOfSale, voucherType, owner, expiresAt) =>
+    new VoucherSequence({ pointOfSale, voucherType, lastNumber: 0, leaseOwner: owner, leaseExpiresAt: expiresAt }),
+  renewLease: async (sequence, expiresAt) => new VoucherSequence({ ...sequence.toJSON(), leaseExpiresAt: expiresAt }),
+  async releaseLease(sequence, lastNumber) {
+    this.released.push({ key: sequence.key, lastNumber });
+    return true;
+  }
+});
+
+describe('AfipGatewayAdapter — voucher allocation', () => {
+  let afipService;
+  let sequences;
+  let gateway;
+
+  beforeEach(() => {
+    afipService = {
+      initialize: jest.fn().mockResolvedValue(true),
+      getLastVoucherNumber: jest.fn().mockResolvedValue(41),
+      createInvoice: jest.fn(async (invoice, voucherNumber) => ({
+        success: true, cae: '74000000000001', caeExpiration: '20261029', voucherNumber
+      })),
+      createInvoiceBatch: jest.fn(async (invoices, firstNumber) => invoices.map((inv, i) => ({
+        success: true, cae: '74000000000002', caeExpiration: '20261029', voucherNumber: firstNumber + i
+      })))
+    };
+    sequences = grantingSequences();
+    gateway = new AfipGatewayAdapter(afipService, { voucherAllocator: new VoucherAllocator(sequences) });
+  });
+
+  it('numbers an invoice after AFIP\'s last voucher while holding the lease', async () => {
+    const result = await gateway.createInvoice(makeInvoice(), 3);
+
+    expect(afipService.getLastVoucherNumber).toHaveBeenCalledWith(3, 11);
+    expect(afipService.createInvoice).toHaveBeenCalledWith(expect.anything(), 42);
+    expect(result.voucherNumber).toBe(42);
+    expect(sequences.released).toEqual([{ key: '3-11', lastNumber: 42 }]);
+  });
+
+  it('numbers a batch from the first number it was allocated', async () => {
+    const results = await gateway.createInvoices([makeInvoice(), makeInvoice()]);
+
+    expect(afipService.createInvoiceBatch).toHaveBeenCalledWith(expect.any(Array), 42);
+    expect(results.map(result => result.voucherNumber)).toEqual([42, 43]);
+    expect(sequences.released).toEqual([{ key: '3-11', lastNumber: 43 }]);
+  });
+
+  it('throws instead of submitting when AFIP cannot say the last number', async () => {
+    afipService.getLastVoucherNumber.mockRejectedValue(new AfipConnectionError('AFIP wsfev1 unreachable: ECONNRESET'));
+
+    await expect(gateway.createInvoice(makeInvoice(), 3)).rejects.toThrow(AfipConnectionError);
+    expect(afipService.createInvoice).not.toHaveBeenCalled();
+  });
+
+  it('leaves numbering to AfipService without an allocator', async () => {
+    gateway = new AfipGatewayAdapter(afipService);
+
+    await gateway.createInvoice(makeInvoice(), 3);
+
+    expect(afipService.getLastVoucherNumber).not.toHaveBeenCalled();
+    expect(afipService.createInvoice).toHaveBeenCalledWith(expect.anything(), null);
+  });
+});
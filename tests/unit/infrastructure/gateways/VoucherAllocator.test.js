@@ -0,0 +1,200 @@
+const VoucherAllocator = require('../../../../src/infrastructure/gateways/VoucherAllocator');
+const VoucherSequence = require('../../../../src/domain/entities/VoucherSequence');
+const InvoiceResult = require('../../../../src/domain/entities/InvoiceResult');
+const { InfrastructureError } = require('../../../../src/shared/errors');
+
+// Sequences table in memory, with the compare-and-swap of the Azure one
+const inMemorySequences = (initial = {}) => {
+  const rows = new Map(Object.entries(initial));
+  let versions = 0;
+  return {
+    rows,
+    acquireLease: async (pointOfSale, voucherType, owner, expiresAt) => {
+      const key = VoucherSequence.keyFor(pointOfSale, voucherType);
+      const row = rows.get(key) || { pointOfSale, voucherType, lastNumber: 0 };
+      if (new VoucherSequence(row).isLeased()) {
+        return new VoucherSequence(row);
+      }
+      const leased = { ...row, leaseOwner: owner, leaseExpiresAt: expiresAt, version: String(++versions) };
+      rows.set(key, leased);
+      return new VoucherSequence(leased);
+    },
+    renewLease: jest.fn(async (sequence, expiresAt) => {
+      const row = rows.get(sequence.key);
+      if (row.version !== sequence.version) return null;
+      const renewed = { ...row, leaseExpiresAt: expiresAt, version: String(++versions) };
+      rows.set(sequence.key, renewed);
+      return new VoucherSequence(renewed);
+    }),
+    releaseLease: async (sequence, lastNumber) => {
+      const row = rows.get(sequence.key);
+      if (row.version !== sequence.version) return false;
+      rows.set(sequence.key, { ...row, lastNumber, leaseOwner: null, leaseExpiresAt: null, version: String(++versions) });
+      return true;
+    }
+  };
+};
+
+const authorized = (voucherNumber) => InvoiceResult.success({
+  cae: '74000000000001',
+  caeExpiration: '2026-10-29',
+  voucherNumber,
+  invoiceDate: '2026-10-19'
+});
+
+const inSeconds = (seconds) => new Date(Date.now() + seconds * 1000).toISOString();
+
+describe('VoucherAllocator', () => {
+  let sequences;
+  let allocator;
+
+  beforeEach(() => {
+    sequences = inMemorySequences();
+    allocator = new VoucherAllocator(sequences, { owner: 'run-a', waitSeconds: 0.2, retryMs: 20 });
+  });
+
+  it('numbers after the last voucher AFIP authorized and records it', async () => {
+    const submit = jest.fn(async (number) => authorized(number));
+
+    const result = await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber: async () => 41 }, submit);
+
+    expect(submit).toHaveBeenCalledWith(42);
+    expect(result.voucherNumber).toBe(42);
+    expect(sequences.rows.get('2-11')).toMatchObject({ lastNumber: 42, leaseOwner: null });
+  });
+
+  it('records the highest number of a batch and ignores rejected records', async () => {
+    await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber: async () => 41 }, async (first) => [
+      authorized(first),
+      authorized(first + 1),
+      InvoiceResult.failure('AFIP rejected invoice: [10015] DocNro invalido', { errorCode: 10015 })
+    ]);
+
+    expect(sequences.rows.get('2-11').lastNumber).toBe(43);
+  });
+
+  it('uses the number it is given instead of asking AFIP', async () => {
+    const lastNumber = jest.fn();
+
+    await allocator.allocate({ pointOfSale: 2, voucherType: 11, voucherNumber: 50, lastNumber }, async (number) => authorized(number));
+
+    expect(lastNumber).not.toHaveBeenCalled();
+    expect(sequences.rows.get('2-11').lastNumber).toBe(50);
+  });
+
+  it('submits nothing when AFIP cannot say the last number, and gives the lease back', async () => {
+    const submit = jest.fn();
+    const lastNumber = async () => { throw new Error('AFIP wsfev1 unreachable: ECONNRESET'); };
+
+    await expect(allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber }, submit)).rejects.toThrow('ECONNRESET');
+
+    expect(submit).not.toHaveBeenCalled();
+    expect(new VoucherSequence(sequences.rows.get('2-11')).isLeased()).toBe(false);
+  });
+
+  it('gives the lease back when the submission throws', async () => {
+    await expect(allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber: async () => 41 }, async () => {
+      throw new Error('AFIP wsfev1 failed: HTTP 503');
+    })).rejects.toThrow('503');
+
+    expect(sequences.rows.get('2-11')).toMatchObject({ lastNumber: 41, leaseOwner: null });
+  });
+
+  it('renews the lease after asking AFIP, before submitting', async () => {
+    allocator = new VoucherAllocator(sequences, { owner: 'run-a', leaseSeconds: 60 });
+    const lastNumber = async () => {
+      sequences.rows.get('2-11').leaseExpiresAt = inSeconds(1);
+      return 41;
+    };
+    let leaseAtSubmit;
+
+    await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber }, async (number) => {
+      leaseAtSubmit = new VoucherSequence(sequences.rows.get('2-11'));
+      return authorized(number);
+    });
+
+    expect(Date.parse(leaseAtSubmit.leaseExpiresAt)).toBeGreaterThan(Date.now() + 50 * 1000);
+  });
+
+  it('submits nothing when the lease lapsed and another run took it while asking AFIP', async () => {
+    const submit = jest.fn();
+    const lastNumber = async () => {
+      sequences.rows.set('2-11', { pointOfSale: 2, voucherType: 11, lastNumber: 41, leaseOwner: 'run-b', leaseExpiresAt: inSeconds(60), version: 'b' });
+      return 41;
+    };
+
+    const error = await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber }, submit).catch(e => e);
+
+    expect(error).toBeInstanceOf(InfrastructureError);
+    expect(error.metadata).toMatchObject({ code: 'VOUCHER_LEASE_LOST' });
+    expect(submit).not.toHaveBeenCalled();
+    expect(sequences.rows.get('2-11')).toMatchObject({ leaseOwner: 'run-b', version: 'b' });
+  });
+
+  it('keeps renewing the lease while AFIP takes longer than it', async () => {
+    allocator = new VoucherAllocator(sequences, { owner: 'run-a', leaseSeconds: 0.06 });
+
+    await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber: async () => 41 }, async (number) => {
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect(new VoucherSequence(sequences.rows.get('2-11')).isLeased()).toBe(true);
+      return authorized(number);
+    });
+
+    expect(sequences.renewLease.mock.calls.length).toBeGreaterThan(3);
+    expect(sequences.rows.get('2-11')).toMatchObject({ lastNumber: 42, leaseOwner: null });
+  });
+
+  it('refuses to number while another run holds the lease', async () => {
+    sequences.rows.set('2-11', { pointOfSale: 2, voucherType: 11, lastNumber: 41, leaseOwner: 'run-b', leaseExpiresAt: inSeconds(60) });
+    const submit = jest.fn();
+
+    const error = await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber: async () => 41 }, submit)
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(InfrastructureError);
+    expect(error.metadata).toMatchObject({ code: 'VOUCHER_SEQUENCE_LOCKED', leaseOwner: 'run-b' });
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  it('waits for another run to give the lease back', async () => {
+    sequences.rows.set('2-11', { pointOfSale: 2, voucherType: 11, lastNumber: 41, leaseOwner: 'run-b', leaseExpiresAt: inSeconds(60), version: 'b' });
+    setTimeout(() => sequences.releaseLease(new VoucherSequence(sequences.rows.get('2-11')), 42), 50);
+
+    const result = await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber: async () => 42 }, async (number) => authorized(number));
+
+    expect(result.voucherNumber).toBe(43);
+  });
+
+  it('takes over the lease of a run that crashed once it expires', async () => {
+    sequences.rows.set('2-11', { pointOfSale: 2, voucherType: 11, lastNumber: 41, leaseOwner: 'run-b', leaseExpiresAt: inSeconds(-1) });
+
+    const result = await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber: async () => 41 }, async (number) => authorized(number));
+
+    expect(result.voucherNumber).toBe(42);
+  });
+
+  it('serializes two submissions of the same process', async () => {
+    let afipLast = 41;
+    const lastNumber = async () => afipLast;
+    const submit = async (number) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      afipLast = number;
+      return authorized(number);
+    };
+
+    const results = await Promise.all([
+      allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber }, submit),
+      allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber }, submit)
+    ]);
+
+    expect(results.map(result => result.voucherNumber).sort()).toEqual([42, 43]);
+  });
+
+  it('keeps sequences of different voucher types apart', async () => {
+    sequences.rows.set('2-6', { pointOfSale: 2, voucherType: 6, lastNumber: 7, leaseOwner: 'run-b', leaseExpiresAt: inSeconds(60) });
+
+    const result = await allocator.allocate({ pointOfSale: 2, voucherType: 11, lastNumber: async () => 41 }, async (number) => authorized(number));
+
+    expect(result.voucherNumber).toBe(42);
+  });
+});
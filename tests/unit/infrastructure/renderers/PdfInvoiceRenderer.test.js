@@ -0,0 +1,58 @@
+const PdfInvoiceRenderer = require('../../../../src/infrastructure/renderers/PdfInvoiceRenderer');
+const Money = require('../../../../src/domain/value-objects/Money');
+
+describe('PdfInvoiceRenderer', () => {
+  const document = {
+    issuer: {
+      cuit: '20-12345678-6',
+      name: 'PEREZ JUAN',
+      address: 'Av. Corrientes 1234, CABA',
+      taxCondition: 'Responsable Monotributo',
+      activityStart: '2020-03-01'
+    },
+    letter: 'C',
+    title: 'FACTURA',
+    voucherType: 11,
+    pointOfSale: 3,
+    voucherNumber: 21,
+    date: '2026-01-12',
+    receiver: { docType: 99, docNumber: '0' },
+    servicePeriod: '2026-01-10 – 2026-01-10',
+    description: 'Operación P2P ORD-21 (10 USDT)',
+    total: new Money(12345.67, 'ARS'),
+    authorizationType: 'CAE',
+    cae: '74000000000021',
+    caeExpiration: '2026-01-22',
+    qrUrl: 'https://www.afip.gob.ar/fe/qr/?p=eyJ2ZXIiOjF9'
+  };
+
+  it('renders a single-page PDF', async () => {
+    const pdf = await new PdfInvoiceRenderer().render(document);
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(1);
+  });
+
+  it('prints an identified receiver and a CAEA', async () => {
+    const pdf = await new PdfInvoiceRenderer().render({
+      ...document,
+      receiver: { docType: 80, docNumber: '30712345671' },
+      authorizationType: 'CAEA'
+    });
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('prints the net and IVA lines of a Factura B on one page', async () => {
+    const pdf = await new PdfInvoiceRenderer().render({
+      ...document,
+      letter: 'B',
+      voucherType: 6,
+      net: new Money(10202.17, 'ARS'),
+      vat: new Money(2143.5, 'ARS')
+    });
+
+    expect(pdf.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,85 @@
+const AzureOrderRepository = require('../../../../src/infrastructure/repositories/AzureOrderRepository');
+const Order = require('../../../../src/domain/entities/Order');
+
+jest.mock('../../../../src/database/AzureTableDatabase');
+jest.mock('../../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+function makeRepo() {
+  const mockDb = {
+    initialize: jest.fn().mockResolvedValue(),
+    updateOrder: jest.fn().mockResolvedValue(1),
+    getOrderByNumber: jest.fn(),
+  };
+
+  const Database = require('../../../../src/database/AzureTableDatabase');
+  Database.mockImplementation(() => mockDb);
+
+  const repo = new AzureOrderRepository();
+  repo.initialized = true;
+  repo.db = mockDb;
+  return { repo, mockDb };
+}
+
+describe('AzureOrderRepository.update', () => {
+  const order = new Order({
+    orderNumber: '12345678901234567890',
+    amount: 100,
+    price: 1200,
+    totalPrice: 120000,
+    asset: 'USDT',
+    fiat: 'ARS',
+    tradeType: 'SELL',
+    createTime: 1745697600000,
+    orderDate: '2026-04-26',
+    processedAt: new Date('2026-04-27T10:00:00Z'),
+    processingMethod: 'manual',
+    success: true,
+    cae: '74000000000013',
+    voucherNumber: 13,
+    invoiceDate: '2026-04-27',
+    notes: 'Reconciled with AFIP voucher 3-13',
+    adjustments: [{ kind: 'credit', voucherType: 13, voucherNumber: 1, cae: '74000000000099', date: '2026-04-28', amount: 1000 }]
+  });
+
+  it('keeps notes and adjustments (updateOrder replaces the whole entity)', async () => {
+    const { repo, mockDb } = makeRepo();
+
+    await repo.update(order);
+
+    const [, data] = mockDb.updateOrder.mock.calls[0];
+    expect(data.notes).toBe('Reconciled with AFIP voucher 3-13');
+    expect(data.adjustments).toHaveLength(1);
+  });
+
+  it('reads notes back from the row', async () => {
+    const { repo, mockDb } = makeRepo();
+    mockDb.getOrderByNumber.mockResolvedValue({
+      order_number: '12345678901234567890',
+      amount: 100,
+      price: 1200,
+      total_price: 120000,
+      asset: 'USDT',
+      fiat: 'ARS',
+      trade_type: 'SELL',
+      create_time: 1745697600000,
+      order_date: '2026-04-26',
+      processed_at: '2026-04-27T10:00:00.000Z',
+      processing_method: 'manual',
+      success: 1,
+      cae: '74000000000013',
+      voucher_number: 13,
+      invoice_date: '2026-04-27',
+      error_message: null,
+      notes: 'Reconciled with AFIP voucher 3-13',
+      adjustments: []
+    });
+
+    const found = await repo.findByOrderNumber('12345678901234567890');
+
+    expect(found.notes).toBe('Reconciled with AFIP voucher 3-13');
+  });
+});
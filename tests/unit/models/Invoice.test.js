@@ -170,6 +170,19 @@ describe('Invoice Model', () => {
       expect(afipFormat.CondicionIVAReceptorId).toBe(5); // Consumidor Final
     });
 
+    it('should declare the receiver VAT condition it was given', () => {
+      const invoice = new Invoice({
+        docDate: getValidTestDate(),
+        docType: 80,
+        docNumber: '30712345671',
+        netAmount: 120000,
+        totalAmount: 120000,
+        receiverVatCondition: 6
+      });
+
+      expect(invoice.toAfipFormat().CondicionIVAReceptorId).toBe(6); // Monotributo
+    });
+
     it('should generate Type B (6) format with VAT', () => {
       const invoice = new Invoice({
         docType: 80, // CUIT
@@ -0,0 +1,105 @@
+/**
+ * AfipService through the real facturajs SDK: only the SOAP transport is
+ * replaced, so WSAA tickets, ticket service names and WSDL URLs go through
+ * AfipSoap as they do against AFIP.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('soap', () => ({ ...jest.requireActual('soap'), createClientAsync: jest.fn() }));
+
+const soap = require('soap');
+const { AfipSoap } = require('facturajs');
+const config = require('../../../src/config');
+const AfipService = require('../../../src/services/AfipService');
+
+describe('AfipService — facturajs SDK', () => {
+  const originalTokensPath = config.afip.cacheTokensPath;
+  let tokensDir;
+  let service;
+
+  // WSAA tickets already in the token cache, so AfipSoap neither signs a TRA nor asks WSAA
+  const cacheTickets = (...services) => fs.writeFileSync(config.afip.cacheTokensPath, JSON.stringify(
+    Object.fromEntries(services.map(name => [name, {
+      created: new Date().toISOString(),
+      service: name,
+      tokens: { token: `TOKEN-${name}`, sign: `SIGN-${name}` }
+    }]))
+  ));
+
+  beforeEach(async () => {
+    tokensDir = fs.mkdtempSync(path.join(os.tmpdir(), 'afip-tokens-'));
+    config.afip.cacheTokensPath = path.join(tokensDir, 'tokens.json');
+    jest.spyOn(AfipSoap.prototype, 'getTokensFromNetwork')
+      .mockRejectedValue(new Error('No cached ticket for this service'));
+
+    service = new AfipService({
+      cuit: '20123456786',
+      environment: 'testing',
+      certPath: './certificates/cert.crt',
+      keyPath: './certificates/private.key'
+    });
+    await service.initialize();
+  });
+
+  afterEach(() => {
+    config.afip.cacheTokensPath = originalTokensPath;
+    fs.rmSync(tokensDir, { recursive: true, force: true });
+  });
+
+  describe('padrón A5', () => {
+    it('calls getPersona_v2 on the A5 WSDL with the padrón ticket as token and sign', async () => {
+      cacheTickets('ws_sr_padron_a5');
+      const client = {
+        getPersona_v2Async: jest.fn().mockResolvedValue([{ personaReturn: { datosGenerales: { razonSocial: 'ACME SA' } } }])
+      };
+      soap.createClientAsync.mockResolvedValue(client);
+
+      const persona = await service.getTaxpayer('30712345671');
+
+      expect(soap.createClientAsync).toHaveBeenCalledWith(
+        'https://awshomo.afip.gov.ar/sr-padron/webservices/personaServiceA5?WSDL',
+        expect.any(Object)
+      );
+      expect(client.getPersona_v2Async).toHaveBeenCalledWith({
+        token: 'TOKEN-ws_sr_padron_a5',
+        sign: 'SIGN-ws_sr_padron_a5',
+        cuitRepresentada: 20123456786,
+        idPersona: 30712345671
+      });
+      expect(persona.datosGenerales.razonSocial).toBe('ACME SA');
+    });
+
+    it('returns null for the fault the padrón answers an unknown CUIT with', async () => {
+      cacheTickets('ws_sr_padron_a5');
+      soap.createClientAsync.mockResolvedValue({
+        getPersona_v2Async: jest.fn().mockRejectedValue(new Error('soap:Server: No existe persona con ese Id'))
+      });
+
+      await expect(service.getTaxpayer('30712345671')).resolves.toBeNull();
+    });
+  });
+
+  describe('WSFEX', () => {
+    it('signs wsfexv1 calls with the wsfex ticket', async () => {
+      cacheTickets('wsfex');
+      const client = {
+        FEXGetLast_IDAsync: jest.fn().mockResolvedValue([{ FEXGetLast_IDResult: { FEXResultGet: { Id: 41 } } }])
+      };
+      soap.createClientAsync.mockResolvedValue(client);
+
+      const lastId = await service.getLastExportRequestId();
+
+      expect(soap.createClientAsync).toHaveBeenCalledWith(
+        'https://wswhomo.afip.gov.ar/wsfexv1/service.asmx?wsdl',
+        expect.any(Object)
+      );
+      expect(client.FEXGetLast_IDAsync).toHaveBeenCalledWith({
+        Auth: { Cuit: 20123456786, Token: 'TOKEN-wsfex', Sign: 'SIGN-wsfex' }
+      });
+      expect(lastId).toBe(41);
+    });
+  });
+});
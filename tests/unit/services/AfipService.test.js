@@ -4,7 +4,8 @@ const AssertionHelpers = require('../../helpers/assertion-helpers');
 
 // Mock facturajs
 jest.mock('facturajs', () => ({
-  AfipServices: jest.fn()
+  AfipServices: jest.fn(),
+  AfipSoap: jest.fn()
 }));
 
 // Mock validators to avoid validation issues in tests
@@ -22,6 +23,9 @@ jest.mock('../../../src/utils/validators', () => ({
 // Mock fs module
 jest.mock('fs');
 
+// What facturajs rejects with when a response carries Errors/Err (AfipSoap.throwOnError)
+const afipResponseError = (code, message) => Object.assign(new Error(message), { name: 'AfipResponseError', code });
+
 describe('AfipService', () => {
   let service;
   let mockAfipSDK;
@@ -35,7 +39,8 @@ describe('AfipService', () => {
       createBill: jest.fn(),
       createInvoice: jest.fn(), // Added for tests that use createInvoice
       getLastBillNumber: jest.fn(),
-      execRemote: jest.fn()
+      execRemote: jest.fn(),
+      afipSoap: { tokensAliasServices: {} }
     };
 
     const { AfipServices } = require('facturajs');
@@ -84,6 +89,22 @@ describe('AfipService', () => {
         privateKeyPath: process.env.AFIP_KEY_PATH
       });
     });
+
+    it('should talk to the local simulator when simulatorUrl is set', async () => {
+      const { AfipServices } = require('facturajs');
+      const AfipSimulatorClient = require('../../../src/simulator/AfipSimulatorClient');
+      const simulated = new AfipService({
+        cuit: '20123456786',
+        environment: 'production',
+        simulatorUrl: 'http://127.0.0.1:8089'
+      });
+
+      await simulated.initialize();
+
+      expect(AfipServices).not.toHaveBeenCalled();
+      expect(simulated.afip).toBeInstanceOf(AfipSimulatorClient);
+      expect(simulated.afip.url).toBe('http://127.0.0.1:8089');
+    });
   });
 
   describe('getLastVoucherNumber', () => {
@@ -105,18 +126,23 @@ describe('AfipService', () => {
       });
     });
 
-    it('should handle AFIP errors gracefully', async () => {
+    it('should throw instead of guessing when AFIP cannot be reached', async () => {
       mockAfipSDK.getLastBillNumber.mockRejectedValue(new Error('AFIP connection error'));
 
       await service.initialize();
 
-      try {
-        await service.getLastVoucherNumber();
-        // If we get here, the method didn't throw but returned a default value
-        expect(true).toBe(true);  // Test passes if no exception is thrown
-      } catch (error) {
-        expect(error.message).toContain('AFIP connection error');
-      }
+      await expect(service.getLastVoucherNumber()).rejects.toThrow('AFIP connection error');
+    });
+
+    it('should throw when AFIP answers with errors', async () => {
+      mockAfipSDK.getLastBillNumber.mockRejectedValue(afipResponseError(501, 'Error interno de aplicacion'));
+
+      await service.initialize();
+
+      await expect(service.getLastVoucherNumber()).rejects.toMatchObject({
+        code: 'AFIP_LAST_VOUCHER_FAILED',
+        message: expect.stringContaining('[501]')
+      });
     });
 
     it('should handle missing CbteNro in response', async () => {
@@ -129,6 +155,43 @@ describe('AfipService', () => {
     });
   });
 
+  describe('queryVoucher', () => {
+    it('should query FECompConsultar and return the ResultGet', async () => {
+      const resultGet = { CbteDesde: 150, ImpTotal: 1000, CodAutorizacion: '74123456789012' };
+      mockAfipSDK.execRemote.mockResolvedValue({ ResultGet: resultGet });
+
+      await service.initialize();
+      const result = await service.queryVoucher(3, 11, 150);
+
+      expect(result).toBe(resultGet);
+      expect(mockAfipSDK.execRemote).toHaveBeenCalledWith('wsfev1', 'FECompConsultar', {
+        Auth: { Cuit: expect.any(Number) },
+        params: {
+          FeCompConsReq: { CbteTipo: 11, CbteNro: 150, PtoVta: 3 }
+        }
+      });
+    });
+
+    it('should return null when AFIP reports the voucher does not exist (602)', async () => {
+      mockAfipSDK.execRemote.mockRejectedValue(afipResponseError(602, 'No existen datos en nuestros registros'));
+
+      await service.initialize();
+
+      expect(await service.queryVoucher(3, 11, 999)).toBeNull();
+    });
+
+    it('should throw on other AFIP errors', async () => {
+      mockAfipSDK.execRemote.mockRejectedValue(afipResponseError(600, 'No autorizado'));
+
+      await service.initialize();
+
+      await expect(service.queryVoucher(3, 11, 1)).rejects.toMatchObject({
+        code: 'AFIP_QUERY_FAILED',
+        message: 'AFIP voucher query failed: [600] No autorizado'
+      });
+    });
+  });
+
   describe('createInvoice', () => {
     it('should create invoice successfully', async () => {
       const mockInvoice = {
@@ -352,6 +415,441 @@ describe('AfipService', () => {
     });
   });
 
+  describe('createInvoiceBatch', () => {
+    const makeInvoice = (total) => ({
+      validateOrThrow: jest.fn(),
+      toAfipFormat: () => ({ PtoVta: 3, CbteTipo: 11, ImpTotal: total })
+    });
+
+    it('sends all records in one request numbered after the last voucher', async () => {
+      mockAfipSDK.getLastBillNumber.mockResolvedValue({ CbteNro: 20 });
+      mockAfipSDK.createBill.mockResolvedValue({
+        FeCabResp: { Resultado: 'A' },
+        FeDetResp: {
+          FECAEDetResponse: [
+            { Resultado: 'A', CAE: '75398279001644', CAEFchVto: '20251004', CbteDesde: 21, CbteHasta: 21 },
+            { Resultado: 'A', CAE: '75398279001645', CAEFchVto: '20251004', CbteDesde: 22, CbteHasta: 22 }
+          ]
+        }
+      });
+
+      await service.initialize();
+      const results = await service.createInvoiceBatch([makeInvoice(1000), makeInvoice(2000)]);
+
+      expect(mockAfipSDK.getLastBillNumber).toHaveBeenCalledTimes(1);
+      expect(mockAfipSDK.createBill).toHaveBeenCalledTimes(1);
+      const { FeCabReq, FeDetReq } = mockAfipSDK.createBill.mock.calls[0][0].params.FeCAEReq;
+      expect(FeCabReq).toEqual({ CantReg: 2, PtoVta: 3, CbteTipo: 11 });
+      expect(FeDetReq.FECAEDetRequest.map(r => [r.CbteDesde, r.CbteHasta, r.ImpTotal]))
+        .toEqual([[21, 21, 1000], [22, 22, 2000]]);
+      expect(results.map(r => [r.success, r.cae, r.voucherNumber])).toEqual([
+        [true, '75398279001644', 21],
+        [true, '75398279001645', 22]
+      ]);
+    });
+
+    it('maps a partial approval back to each record', async () => {
+      mockAfipSDK.getLastBillNumber.mockResolvedValue({ CbteNro: 20 });
+      mockAfipSDK.createBill.mockResolvedValue({
+        FeCabResp: { Resultado: 'P' },
+        FeDetResp: {
+          FECAEDetResponse: [
+            { Resultado: 'A', CAE: '75398279001644', CAEFchVto: '20251004', CbteDesde: 21, CbteHasta: 21 },
+            { Resultado: 'R', CbteDesde: 22, CbteHasta: 22, Observaciones: { Obs: [{ Code: 10015, Msg: 'Importe invalido' }] } },
+            { Resultado: 'R', CbteDesde: 23, CbteHasta: 23, Observaciones: { Obs: [{ Code: 10016, Msg: 'El numero no se corresponde con el proximo a autorizar' }] } }
+          ]
+        }
+      });
+
+      await service.initialize();
+      const results = await service.createInvoiceBatch([makeInvoice(1000), makeInvoice(-1), makeInvoice(3000)]);
+
+      expect(results[0].success).toBe(true);
+      expect(results[1]).toMatchObject({ success: false, errorCode: 10015, voucherNumber: 22 });
+      expect(results[1].error).toContain('[10015] Importe invalido');
+      expect(results[2]).toMatchObject({ success: false, errorCode: 10016 });
+    });
+
+    it('fails every record of a request AFIP rejects as a whole', async () => {
+      mockAfipSDK.getLastBillNumber.mockResolvedValue({ CbteNro: 20 });
+      mockAfipSDK.createBill.mockRejectedValue(
+        afipResponseError(10016, 'El numero no se corresponde con el proximo a autorizar')
+      );
+
+      await service.initialize();
+      const results = await service.createInvoiceBatch([makeInvoice(1000), makeInvoice(2000)]);
+
+      expect(results.map(r => [r.success, r.errorCode, r.voucherNumber])).toEqual([
+        [false, 10016, 21],
+        [false, 10016, 22]
+      ]);
+      expect(results[0].error).toBe('AFIP rejected invoice: [10016] El numero no se corresponde con el proximo a autorizar');
+    });
+
+    it('splits requests at the configured batch size', async () => {
+      const config = require('../../../src/config');
+      const originalBatchSize = config.afip.batchSize;
+      config.afip.batchSize = 2;
+
+      mockAfipSDK.getLastBillNumber
+        .mockResolvedValueOnce({ CbteNro: 20 })
+        .mockResolvedValueOnce({ CbteNro: 22 });
+      mockAfipSDK.createBill.mockImplementation(async (request) => ({
+        FeCabResp: { Resultado: 'A' },
+        FeDetResp: {
+          FECAEDetResponse: request.params.FeCAEReq.FeDetReq.FECAEDetRequest.map(r => ({
+            Resultado: 'A', CAE: `753982790016${r.CbteDesde}`, CAEFchVto: '20251004', CbteDesde: r.CbteDesde, CbteHasta: r.CbteDesde
+          }))
+        }
+      }));
+
+      try {
+        await service.initialize();
+        const results = await service.createInvoiceBatch([makeInvoice(1), makeInvoice(2), makeInvoice(3)]);
+
+        expect(mockAfipSDK.createBill).toHaveBeenCalledTimes(2);
+        expect(mockAfipSDK.createBill.mock.calls[1][0].params.FeCAEReq.FeCabReq.CantReg).toBe(1);
+        expect(results.map(r => r.voucherNumber)).toEqual([21, 22, 23]);
+      } finally {
+        config.afip.batchSize = originalBatchSize;
+      }
+    });
+
+    it('throws when the request fails as a whole', async () => {
+      mockAfipSDK.getLastBillNumber.mockResolvedValue({ CbteNro: 20 });
+      mockAfipSDK.createBill.mockRejectedValue(new Error('socket hang up'));
+
+      await service.initialize();
+
+      await expect(service.createInvoiceBatch([makeInvoice(1000)])).rejects.toThrow('socket hang up');
+    });
+
+    it('rejects invoices of different voucher types', async () => {
+      const note = {
+        validateOrThrow: jest.fn(),
+        toAfipFormat: () => ({ PtoVta: 3, CbteTipo: 13, ImpTotal: 1000 })
+      };
+
+      await service.initialize();
+
+      await expect(service.createInvoiceBatch([makeInvoice(1000), note]))
+        .rejects.toMatchObject({ code: 'AFIP_BATCH_MIXED' });
+      expect(mockAfipSDK.createBill).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('CAEA', () => {
+    const caeaResultGet = {
+      CAEA: '31234567890123',
+      Periodo: 202601,
+      Orden: 2,
+      FchVigDesde: '20260116',
+      FchVigHasta: '20260131',
+      FchTopeInf: '20260208'
+    };
+
+    it('requests the CAEA for a period and fortnight', async () => {
+      mockAfipSDK.execRemote.mockResolvedValue({ ResultGet: caeaResultGet });
+
+      await service.initialize();
+      const result = await service.requestCaea(202601, 2);
+
+      expect(mockAfipSDK.execRemote).toHaveBeenCalledWith('wsfev1', 'FECAEASolicitar', {
+        Auth: { Cuit: 20123456786 },
+        params: { Periodo: 202601, Orden: 2 }
+      });
+      expect(result.CAEA).toBe('31234567890123');
+    });
+
+    it('fetches the CAEA AFIP already granted when the request is refused', async () => {
+      mockAfipSDK.execRemote
+        .mockRejectedValueOnce(afipResponseError(15008, 'Existe un CAEA otorgado para el periodo y orden'))
+        .mockResolvedValueOnce({ ResultGet: caeaResultGet });
+
+      await service.initialize();
+      const result = await service.requestCaea(202601, 2);
+
+      expect(mockAfipSDK.execRemote.mock.calls[1][1]).toBe('FECAEAConsultar');
+      expect(result.CAEA).toBe('31234567890123');
+    });
+
+    it('throws on any other refusal without looking for a granted CAEA', async () => {
+      mockAfipSDK.execRemote.mockRejectedValueOnce(afipResponseError(15007, 'Fuera de plazo'));
+
+      await service.initialize();
+
+      await expect(service.requestCaea(202601, 2)).rejects.toMatchObject({
+        code: 'AFIP_CAEA_REQUEST_FAILED',
+        message: 'AFIP CAEA request failed: [15007] Fuera de plazo'
+      });
+      expect(mockAfipSDK.execRemote).toHaveBeenCalledTimes(1);
+    });
+
+    it('throws when the CAEA reported as granted cannot be found', async () => {
+      mockAfipSDK.execRemote
+        .mockRejectedValueOnce(afipResponseError(15008, 'Existe un CAEA otorgado para el periodo y orden'))
+        .mockRejectedValueOnce(afipResponseError(602, 'Sin Resultados'));
+
+      await service.initialize();
+
+      await expect(service.requestCaea(202601, 2)).rejects.toMatchObject({ code: 'AFIP_CAEA_REQUEST_FAILED' });
+    });
+
+    it('reports CAEA vouchers and maps each record result', async () => {
+      const invoice = {
+        validateOrThrow: jest.fn(),
+        toAFIPFormat: jest.fn(pos => ({ PtoVta: pos, CbteTipo: 11, ImpTotal: 1000 }))
+      };
+      mockAfipSDK.execRemote.mockResolvedValue({
+        FeDetResp: {
+          FECAEADetResponse: [
+            { CbteDesde: 5, Resultado: 'A' },
+            { CbteDesde: 6, Resultado: 'R', Observaciones: { Obs: { Code: 703, Msg: 'Fecha invalida' } } }
+          ]
+        }
+      });
+
+      await service.initialize();
+      const results = await service.reportCaeaVouchers('31234567890123', 9, [
+        { invoice, voucherNumber: 5 },
+        { invoice, voucherNumber: 6 }
+      ]);
+
+      const [, method, request] = mockAfipSDK.execRemote.mock.calls[0];
+      expect(method).toBe('FECAEARegInformativo');
+      expect(request.params.FeCAEARegInfReq.FeCabReq).toEqual({ CantReg: 2, PtoVta: 9, CbteTipo: 11 });
+      expect(request.params.FeCAEARegInfReq.FeDetReq.FECAEADetRequest[1])
+        .toMatchObject({ CbteDesde: 6, CbteHasta: 6, CAEA: '31234567890123' });
+      expect(results[0]).toEqual({ success: true, voucherNumber: 5 });
+      expect(results[1]).toMatchObject({ success: false, voucherNumber: 6, errorCode: 703 });
+    });
+
+    it('fails every voucher of a report AFIP rejects as a whole', async () => {
+      const invoice = {
+        validateOrThrow: jest.fn(),
+        toAFIPFormat: jest.fn(pos => ({ PtoVta: pos, CbteTipo: 11, ImpTotal: 1000 }))
+      };
+      mockAfipSDK.execRemote.mockRejectedValue(afipResponseError(1502, 'El CAEA informado no es valido'));
+
+      await service.initialize();
+      const results = await service.reportCaeaVouchers('31234567890123', 9, [
+        { invoice, voucherNumber: 5 },
+        { invoice, voucherNumber: 6 }
+      ]);
+
+      expect(results).toEqual([
+        { success: false, voucherNumber: 5, error: 'AFIP rejected CAEA report: [1502] El CAEA informado no es valido', errorCode: 1502 },
+        { success: false, voucherNumber: 6, error: 'AFIP rejected CAEA report: [1502] El CAEA informado no es valido', errorCode: 1502 }
+      ]);
+    });
+  });
+
+  describe('taxpayer lookup (padrón A5)', () => {
+    const persona = {
+      datosGenerales: {
+        idPersona: 30712345671,
+        razonSocial: 'ACME SA',
+        tipoPersona: 'JURIDICA',
+        estadoClave: 'ACTIVO',
+        domicilioFiscal: { direccion: 'AV CORRIENTES 1234', localidad: 'CABA', codPostal: '1043' }
+      },
+      datosRegimenGeneral: { impuesto: [{ idImpuesto: 30, descripcionImpuesto: 'IVA' }] }
+    };
+
+    let padronClient;
+
+    beforeEach(() => {
+      // resetMocks clears the module mock's implementation between tests
+      const { CUITValidator } = require('../../../src/utils/validators');
+      CUITValidator.validate.mockReturnValue({ valid: true, errors: [] });
+
+      padronClient = { getPersona_v2Async: jest.fn().mockResolvedValue([{ personaReturn: persona }]) };
+      const { AfipSoap } = require('facturajs');
+      AfipSoap.mockImplementation(() => ({
+        urls: { homo: {}, prod: {} },
+        getTokens: jest.fn().mockResolvedValue({ tokens: { token: 'TOKEN', sign: 'SIGN' } }),
+        getSoapClient: jest.fn().mockResolvedValue(padronClient)
+      }));
+    });
+
+    it('queries getPersona_v2 for the CUIT with the ticket as token and sign', async () => {
+      await service.initialize();
+      const result = await service.getTaxpayer('30-71234567-1');
+
+      expect(padronClient.getPersona_v2Async).toHaveBeenCalledWith({
+        token: 'TOKEN',
+        sign: 'SIGN',
+        cuitRepresentada: 20123456786,
+        idPersona: 30712345671
+      });
+      expect(mockAfipSDK.execRemote).not.toHaveBeenCalled();
+      expect(result.datosGenerales.razonSocial).toBe('ACME SA');
+    });
+
+    it('returns null when the padrón does not know the CUIT', async () => {
+      padronClient.getPersona_v2Async.mockRejectedValue(new Error('soap:Server: No existe persona con ese Id'));
+
+      await service.initialize();
+
+      await expect(service.getTaxpayer('30712345671')).resolves.toBeNull();
+    });
+
+    it('is not available against the simulator', async () => {
+      service = new AfipService({ cuit: '20123456786', environment: 'testing', simulatorUrl: 'http://127.0.0.1:8089' });
+
+      await service.initialize();
+
+      await expect(service.getTaxpayer('30712345671')).rejects.toMatchObject({ code: 'AFIP_SERVICE_UNAVAILABLE' });
+    });
+
+    it('validates a taxpayer the padrón knows', async () => {
+
+      await service.initialize();
+      const result = await service.validateTaxpayer('30712345671');
+
+      expect(result).toEqual({ valid: true, data: persona });
+    });
+
+    it('rejects a CUIT missing from the padrón', async () => {
+      padronClient.getPersona_v2Async.mockRejectedValue(new Error('soap:Server: No existe persona con ese Id'));
+
+      await service.initialize();
+      const result = await service.validateTaxpayer('30712345671');
+
+      expect(result).toMatchObject({ valid: false, errorCode: 'TAXPAYER_NOT_FOUND' });
+    });
+  });
+
+  describe('export invoices (WSFEX)', () => {
+    const ExportInvoice = require('../../../src/domain/entities/ExportInvoice');
+
+    const exportInvoice = () => new ExportInvoice({
+      orderNumber: 'ORD-E1',
+      totalAmount: 150000,
+      currency: 'PES',
+      invoiceDate: '2026-01-12',
+      pointOfSale: 5,
+      buyer: { name: 'JOAO SILVA', country: 203, taxId: '12345678901', address: 'RUA A 10, SAO PAULO' }
+    });
+
+    const remote = (handlers) => mockAfipSDK.execRemote.mockImplementation(
+      async (service, method) => handlers[method]
+    );
+
+    it('numbers the voucher and request after the last ones and returns the CAE', async () => {
+      remote({
+        FEXGetLast_CMP: { FEXResult_LastCMP: { Cbte_nro: 7 } },
+        FEXGetLast_ID: { FEXResultGet: { Id: 41 } },
+        FEXAuthorize: {
+          FEXResultAuth: { Resultado: 'A', Cae: '76012345678901', Fch_venc_Cae: '20260122', Cbte_nro: 8 },
+          FEXErr: { ErrCode: 0, ErrMsg: 'OK' }
+        }
+      });
+
+      await service.initialize();
+      const result = await service.createExportInvoice(exportInvoice());
+
+      expect(mockAfipSDK.execRemote).toHaveBeenCalledWith('wsfexv1', 'FEXGetLast_CMP', {
+        Auth: { Cuit: 20123456786, Cbte_Tipo: 19, Pto_venta: 5 }
+      });
+      const { Cmp } = mockAfipSDK.execRemote.mock.calls.find(c => c[1] === 'FEXAuthorize')[2].params;
+      expect(Cmp).toMatchObject({ Id: 42, Cbte_Tipo: 19, Punto_vta: 5, Cbte_nro: 8, Dst_cmp: 203, Moneda_Id: 'PES', Imp_total: 150000 });
+      expect(result).toMatchObject({ success: true, cae: '76012345678901', caeExpiration: '20260122', voucherNumber: 8 });
+    });
+
+    it('returns the WSFEX errors when the voucher is rejected', async () => {
+      remote({
+        FEXGetLast_ID: { FEXResultGet: { Id: 41 } },
+        FEXAuthorize: {
+          FEXResultAuth: { Resultado: 'R' },
+          FEXErr: { ErrCode: 1560, ErrMsg: 'Dst_cmp invalido' }
+        }
+      });
+
+      await service.initialize();
+      const result = await service.createExportInvoice(exportInvoice(), 8);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('[1560] Dst_cmp invalido');
+    });
+
+    it('fails instead of guessing when the last voucher cannot be read', async () => {
+      remote({
+        FEXGetLast_CMP: { FEXErr: { ErrCode: 1000, ErrMsg: 'Usuario no autorizado' } }
+      });
+
+      await service.initialize();
+
+      await expect(service.getLastExportVoucherNumber(5)).rejects.toThrow('[1000] Usuario no autorizado');
+    });
+  });
+
+  describe('parameter catalog (FEParamGet*)', () => {
+    const params = {
+      FEParamGetTiposCbte: { ResultGet: { CbteTipo: [{ Id: 11, Desc: 'Factura C' }] } },
+      FEParamGetTiposDoc: { ResultGet: { DocTipo: { Id: 99, Desc: 'Doc. (Otro)' } } },
+      FEParamGetTiposMonedas: { ResultGet: { Moneda: [{ Id: 'PES', Desc: 'Pesos Argentinos' }] } },
+      FEParamGetCondicionIvaReceptor: { ResultGet: { CondicionIvaReceptor: [{ Id: 5, Desc: 'Consumidor Final' }] } }
+    };
+
+    it('queries each list and treats "no results" as empty', async () => {
+      mockAfipSDK.execRemote.mockImplementation(async (service, method) => {
+        if (method === 'FEParamGetPtosVenta') {
+          throw afipResponseError(602, 'Sin Resultados');
+        }
+        return params[method];
+      });
+
+      await service.initialize();
+      const result = await service.getParameterCatalog();
+
+      expect(mockAfipSDK.execRemote).toHaveBeenCalledTimes(5);
+      expect(mockAfipSDK.execRemote).toHaveBeenCalledWith('wsfev1', 'FEParamGetPtosVenta', {
+        Auth: { Cuit: 20123456786 },
+        params: {}
+      });
+      expect(result.docTypes).toEqual([{ Id: 99, Desc: 'Doc. (Otro)' }]);
+      expect(result.pointsOfSale).toEqual([]);
+      expect(result.vatConditions).toHaveLength(1);
+    });
+
+    it('fails on any other AFIP error', async () => {
+      mockAfipSDK.execRemote.mockRejectedValue(afipResponseError(600, 'ValidacionDeToken'));
+
+      await service.initialize();
+
+      await expect(service.getParameterCatalog()).rejects.toMatchObject({
+        code: 'AFIP_PARAM_QUERY_FAILED',
+        message: 'AFIP FEParamGetTiposCbte failed: [600] ValidacionDeToken'
+      });
+    });
+  });
+
+  describe('getExchangeRate (FEParamGetCotizacion)', () => {
+    it('returns the official rate for the currency and date', async () => {
+      mockAfipSDK.execRemote.mockResolvedValue({
+        ResultGet: { MonId: 'DOL', MonCotiz: '1180.25', FchCotiz: '20260714' }
+      });
+
+      await service.initialize();
+      const rate = await service.getExchangeRate('DOL', '2026-07-15');
+
+      expect(rate).toBe(1180.25);
+      expect(mockAfipSDK.execRemote).toHaveBeenCalledWith('wsfev1', 'FEParamGetCotizacion', {
+        Auth: { Cuit: 20123456786 },
+        params: { MonId: 'DOL', FchCotiz: '20260715' }
+      });
+    });
+
+    it('fails when AFIP returns an error instead of a rate', async () => {
+      mockAfipSDK.execRemote.mockRejectedValue(afipResponseError(602, 'Sin Resultados'));
+
+      await service.initialize();
+
+      await expect(service.getExchangeRate('DOL', '2026-07-15')).rejects.toThrow('[602] Sin Resultados');
+    });
+  });
+
   describe('error handling', () => {
     it('should handle authentication errors specifically', async () => {
       const mockInvoice = {
@@ -375,9 +873,7 @@ describe('AfipService', () => {
 
       await service.initialize();
 
-      // Service returns 0 on error for graceful degradation
-      const result = await service.getLastVoucherNumber();
-      expect(result).toBe(0);
+      await expect(service.getLastVoucherNumber()).rejects.toThrow('503');
     });
   });
 });
\ No newline at end of file
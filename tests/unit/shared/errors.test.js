@@ -3,7 +3,8 @@ const {
   DomainError,
   ValidationError,
   InfrastructureError,
-  NotFoundError
+  NotFoundError,
+  ConflictError
 } = require('../../../src/shared/errors');
 
 describe('Shared Error Classes', () => {
@@ -286,6 +287,18 @@ describe('Shared Error Classes', () => {
     });
   });
 
+  describe('ConflictError', () => {
+    it('should create conflict error with 409 status code', () => {
+      const error = new ConflictError('run process in progress since 2026-10-19T12:00:00.000Z', { lock: 'processing' });
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.name).toBe('ConflictError');
+      expect(error.statusCode).toBe(409);
+      expect(error.isOperational).toBe(true);
+      expect(error.metadata).toMatchObject({ lock: 'processing' });
+    });
+  });
+
   describe('Error inheritance chain', () => {
     it('should maintain instanceof relationships', () => {
       const domainError = new DomainError('Test');
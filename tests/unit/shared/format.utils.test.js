@@ -96,6 +96,12 @@ describe('Format Utilities', () => {
     });
   });
 
+  describe('formatVoucherId', () => {
+    test('should pad point of sale and voucher number', () => {
+      expect(formatUtils.formatVoucherId(3, 21)).toBe('00003-00000021');
+    });
+  });
+
   describe('formatOrderNumber', () => {
     test('should return order number unchanged if not too long', () => {
       expect(formatUtils.formatOrderNumber('ORDER123')).toBe('ORDER123');
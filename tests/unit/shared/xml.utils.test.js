@@ -0,0 +1,49 @@
+/**
+ * XML Utilities Tests
+ */
+
+const xmlUtils = require('../../../src/shared/utils/xml.utils');
+
+describe('XML Utils', () => {
+  describe('toXml', () => {
+    test('should nest objects, repeat arrays and escape text', () => {
+      expect(xmlUtils.toXml('Obs', [{ Code: 1, Msg: 'a < b' }, { Code: 2 }]))
+        .toBe('<Obs><Code>1</Code><Msg>a &lt; b</Msg></Obs><Obs><Code>2</Code></Obs>');
+    });
+
+    test('should leave out null and undefined', () => {
+      expect(xmlUtils.toXml('A', { B: null, C: undefined, D: 0 })).toBe('<A><D>0</D></A>');
+    });
+  });
+
+  describe('parseXml', () => {
+    test('should drop namespace prefixes and unescape text', () => {
+      expect(xmlUtils.parseXml('<?xml version="1.0"?><s:A xmlns:s="urn:x"><B>x &amp; y</B><C/></s:A>'))
+        .toEqual({ A: { B: 'x & y', C: '' } });
+    });
+
+    test('should turn repeated elements into arrays', () => {
+      expect(xmlUtils.parseXml('<A><B>1</B><B>2</B></A>')).toEqual({ A: { B: ['1', '2'] } });
+    });
+
+    test('should keep listed elements as arrays of one', () => {
+      expect(xmlUtils.parseXml('<A><B>1</B></A>', { arrays: ['B'] })).toEqual({ A: { B: ['1'] } });
+    });
+
+    test('should throw on unbalanced tags', () => {
+      expect(() => xmlUtils.parseXml('<A><B></A>')).toThrow('Malformed XML');
+    });
+  });
+
+  describe('parseSoapBody', () => {
+    test('should return the body of an envelope', () => {
+      const message = xmlUtils.soapEnvelope('<Ping><Id>7</Id></Ping>');
+
+      expect(xmlUtils.parseSoapBody(message)).toEqual({ Ping: { Id: '7' } });
+    });
+
+    test('should throw when there is no envelope', () => {
+      expect(() => xmlUtils.parseSoapBody('<Ping/>')).toThrow('SOAP');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const axios = require('axios');
+const AfipSimulator = require('../../../src/simulator/AfipSimulator');
+const AfipSimulatorClient = require('../../../src/simulator/AfipSimulatorClient');
+const { soapEnvelope } = require('../../../src/shared/utils/xml.utils');
+const { AfipError, AfipAuthenticationError, AfipConnectionError } = require('../../../src/utils/errors');
+
+const record = (number) => ({
+  Concepto: 2,
+  DocTipo: 99,
+  DocNro: 0,
+  CbteDesde: number,
+  CbteHasta: number,
+  CbteFch: '20261019',
+  ImpTotal: 1000,
+  ImpNeto: 1000
+});
+
+const bill = (numbers) => ({
+  Auth: { Cuit: 20123456786 },
+  params: {
+    FeCAEReq: {
+      FeCabReq: { CantReg: numbers.length, PtoVta: 2, CbteTipo: 11 },
+      FeDetReq: { FECAEDetRequest: numbers.map(record) }
+    }
+  }
+});
+
+describe('AfipSimulator', () => {
+  let simulator;
+  let client;
+
+  beforeEach(async () => {
+    simulator = new AfipSimulator({ lastVouchers: { '2-11': 5 } });
+    client = new AfipSimulatorClient({ url: await simulator.start() });
+  });
+
+  afterEach(async () => {
+    await simulator.stop();
+  });
+
+  describe('sequencing', () => {
+    it('reports the last authorized voucher of a sequence', async () => {
+      const result = await client.getLastBillNumber({ Auth: { Cuit: 20123456786 }, params: { PtoVta: 2, CbteTipo: 11 } });
+
+      expect(result.CbteNro).toBe('5');
+    });
+
+    it('authorizes the next number and rejects an out-of-sequence one with 10016', async () => {
+      const result = await client.createBill(bill([6, 8]));
+
+      const [approved, rejected] = result.FeDetResp.FECAEDetResponse;
+      expect(result.FeCabResp.Resultado).toBe('P');
+      expect(approved).toMatchObject({ Resultado: 'A', CbteDesde: '6', CAEFchVto: '20261029' });
+      expect(approved.CAE).toMatch(/^\d{14}$/);
+      expect(rejected).toMatchObject({ Resultado: 'R', CAE: '' });
+      expect(rejected.Observaciones.Obs[0].Code).toBe('10016');
+      expect(simulator.lastVoucher(2, 11)).toBe(6);
+    });
+
+    it('answers FECompConsultar for authorized vouchers and 602 otherwise', async () => {
+      await client.createBill(bill([6]));
+      const query = (number) => client.execRemote('wsfev1', 'FECompConsultar', {
+        Auth: { Cuit: 20123456786 },
+        params: { FeCompConsReq: { PtoVta: 2, CbteTipo: 11, CbteNro: number } }
+      });
+
+      expect((await query(6)).ResultGet).toMatchObject({ CbteDesde: '6', ImpTotal: '1000', EmisionTipo: 'CAE' });
+      await expect(query(7)).rejects.toMatchObject({ name: 'AfipResponseError', code: '602' });
+    });
+  });
+
+  describe('scripted faults', () => {
+    it('rejects every record with the configured observation', async () => {
+      simulator.fail({ type: 'reject', code: 10015, message: 'DocNro invalido' });
+
+      const result = await client.createBill(bill([6]));
+
+      expect(result.FeCabResp.Resultado).toBe('R');
+      expect(result.FeDetResp.FECAEDetResponse[0].Observaciones.Obs[0]).toEqual({ Code: '10015', Msg: 'DocNro invalido' });
+      expect(simulator.lastVoucher(2, 11)).toBe(5);
+    });
+
+    it('throws a header error as facturajs does', async () => {
+      simulator.fail({ method: 'FECompUltimoAutorizado', type: 'error', code: 501, message: 'Error interno' });
+
+      await expect(client.getLastBillNumber({ Auth: { Cuit: 20123456786 }, params: { PtoVta: 2, CbteTipo: 11 } }))
+        .rejects.toMatchObject({ name: 'AfipResponseError', code: '501', message: 'Error interno' });
+    });
+
+    it('answers a 5xx', async () => {
+      simulator.fail({ type: 'http', status: 503 });
+
+      await expect(client.createBill(bill([6]))).rejects.toThrow(AfipConnectionError);
+    });
+
+    it('drops the connection like a failed TLS handshake', async () => {
+      simulator.fail({ type: 'reset' });
+
+      await expect(client.createBill(bill([6]))).rejects.toThrow(AfipConnectionError);
+      expect((await client.createBill(bill([6]))).FeCabResp.Resultado).toBe('A');
+    });
+
+    it('fails WSAA sign-in', async () => {
+      simulator.fail({ method: 'loginCms', type: 'http' });
+
+      await expect(client.createBill(bill([6]))).rejects.toThrow(AfipAuthenticationError);
+    });
+  });
+
+  it('refuses WSFE calls without WSAA credentials', async () => {
+    const response = await axios.post(`${simulator.url}${AfipSimulator.WSFE_PATH}`, soapEnvelope(
+      '<FECompUltimoAutorizado xmlns="http://ar.gov.afip.dif.FEV1/"><Auth><Token>x</Token><Sign>y</Sign></Auth></FECompUltimoAutorizado>'
+    ), { headers: { 'Content-Type': 'text/xml' } });
+
+    expect(response.data).toContain('<Code>600</Code>');
+  });
+
+  it('is not a stand-in for other services', async () => {
+    await expect(client.execRemote('wsfexv1', 'FEXGetLast_ID', {})).rejects.toThrow(AfipError);
+  });
+});
@@ -207,10 +207,31 @@ describe('DatabaseOrderTracker', () => {
         'order_123',
         'CAE_MANUAL',
         99,
-        'Manual note'
+        'Manual note',
+        null,
+        null,
+        null
       );
     });
 
+    it('should pass the point of sale the voucher was issued on', async () => {
+      await tracker.markManualInvoice('order_123', 'CAE_MANUAL', 99, null, 3);
+
+      expect(mockDb.markOrderManual).toHaveBeenCalledWith('order_123', 'CAE_MANUAL', 99, null, 3, null, null);
+    });
+
+    it('should record how many orders a daily consolidated voucher covers', async () => {
+      await tracker.markManualInvoice('order_123', 'CAE_MANUAL', 99, null, 3, 4);
+
+      expect(mockDb.markOrderManual).toHaveBeenCalledWith('order_123', 'CAE_MANUAL', 99, null, 3, 4, null);
+    });
+
+    it('should pass the voucher type of a Factura A or B', async () => {
+      await tracker.markManualInvoice('order_123', 'CAE_MANUAL', 99, null, 3, null, 6);
+
+      expect(mockDb.markOrderManual).toHaveBeenCalledWith('order_123', 'CAE_MANUAL', 99, null, 3, null, 6);
+    });
+
     it('should return false for non-existent order', async () => {
       mockDb.markOrderManual.mockResolvedValue(0);
 